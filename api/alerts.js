@@ -0,0 +1,464 @@
+// Llama Manager — alert rules and notification delivery.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Wedges, thermal runaways and failed ds4 updates were only reported by
+// one-off hooks (scripts/gpu-wedge-alert.sh, ds4UpdaterAlert). This module is
+// the general replacement: operators declare rules over telemetry the manager
+// already computes (gauges sampled on an interval) or over discrete events
+// (crashes, update failures), each with a threshold, a hold duration, a
+// cooldown and a severity, and route the resulting alerts to webhook channels
+// in Slack, Discord, ntfy or generic JSON shape. Every alert carries an
+// email-style subject and text body so generic webhooks can feed mail relays.
+// The engine is pure state + injected delivery; server.js feeds it samples.
+
+/** Severity levels, lowest first. */
+export const ALERT_SEVERITIES = Object.freeze(['info', 'warning', 'critical']);
+
+/** Channel payload shapes. */
+export const ALERT_CHANNEL_TYPES = Object.freeze(['webhook', 'slack', 'discord', 'ntfy']);
+
+/** Comparison operators for gauge rules. */
+export const ALERT_OPERATORS = Object.freeze(['>', '>=', '<', '<=', '==', '!=']);
+
+/**
+ * Signals rules may reference. Gauges are sampled every evaluation interval;
+ * events fire once per occurrence.
+ */
+export const ALERT_SIGNALS = Object.freeze({
+  'thermal.max_temp_c': { kind: 'gauge', unit: '°C', description: 'Hottest of GPU and CPU die temperature (thermal governor input)' },
+  'thermal.gpu_temp_c': { kind: 'gauge', unit: '°C', description: 'GPU die temperature' },
+  'thermal.state': { kind: 'gauge', unit: '', description: 'Thermal governor state: normal, throttled or critical' },
+  'memory.available_gib': { kind: 'gauge', unit: 'GiB', description: 'MemAvailable from /proc/meminfo' },
+  'queue.pending': { kind: 'gauge', unit: '', description: 'Requests waiting in the local queue' },
+  'queue.stalled': { kind: 'gauge', unit: '', description: '1 while queue admission would reject new work as stalled' },
+  'queue.ms_since_completion': { kind: 'gauge', unit: 'ms', description: 'Time since the last local completion while a request is active' },
+  'backend.circuits_open': { kind: 'gauge', unit: '', description: 'Remote backends with an open circuit breaker' },
+  'backend.budget_percent': { kind: 'gauge', unit: '%', description: 'Highest share of any remote spend budget used (backend or global, daily or monthly)' },
+  crash: { kind: 'event', unit: '', description: 'llama-server crash or connection failure recorded in crash history' },
+  'ds4.update_failed': { kind: 'event', unit: '', description: 'ds4 auto-update build, smoke test or activation failure' },
+});
+
+/** Rules installed when config.alerts has never been saved. */
+export const DEFAULT_ALERT_RULES = Object.freeze([
+  { id: 'thermal-critical', name: 'Die temperature critical', signal: 'thermal.max_temp_c', op: '>=', threshold: 95, forSeconds: 30, cooldownSeconds: 900, severity: 'critical' },
+  { id: 'memory-low', name: 'Available memory low', signal: 'memory.available_gib', op: '<', threshold: 4, forSeconds: 60, cooldownSeconds: 900, severity: 'warning' },
+  { id: 'queue-stalled', name: 'Local queue stalled', signal: 'queue.stalled', op: '==', threshold: 1, forSeconds: 0, cooldownSeconds: 600, severity: 'critical' },
+  { id: 'backend-circuit-open', name: 'Remote backend circuit open', signal: 'backend.circuits_open', op: '>', threshold: 0, forSeconds: 0, cooldownSeconds: 600, severity: 'warning' },
+  { id: 'backend-budget-exhausted', name: 'Remote spend budget exhausted', signal: 'backend.budget_percent', op: '>=', threshold: 100, forSeconds: 0, cooldownSeconds: 3600, severity: 'warning' },
+  { id: 'llama-crash', name: 'llama-server crashed', signal: 'crash', forSeconds: 0, cooldownSeconds: 300, severity: 'critical' },
+  { id: 'ds4-update-failed', name: 'ds4 update failed', signal: 'ds4.update_failed', forSeconds: 0, cooldownSeconds: 0, severity: 'warning' },
+]);
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9-]+$/;
+
+function requireId(value, what) {
+  if (typeof value !== 'string' || !ID_PATTERN.test(value)) {
+    throw new TypeError(`${what} id must be 1-64 lowercase letters, digits, '-' or '_'`);
+  }
+  return value;
+}
+
+function nonNegative(value, fallback, name) {
+  if (value === undefined || value === null) return fallback;
+  if (!Number.isFinite(value) || value < 0) throw new TypeError(`${name} must be a non-negative number`);
+  return value;
+}
+
+/**
+ * Validate one rule.
+ *
+ * @param {Record<string, any>} input Rule as submitted.
+ * @returns {{id:string, name:string, signal:string, op:(string|null),
+ *   threshold:(number|string|null), forSeconds:number, cooldownSeconds:number,
+ *   severity:string, enabled:boolean, channels:string[]}} Normalized rule.
+ * @throws {TypeError} On unknown signals, operators, severities or bad numbers.
+ */
+export function normalizeAlertRule(input) {
+  if (!input || typeof input !== 'object') throw new TypeError('rule must be an object');
+  const id = requireId(input.id, 'rule');
+  const signal = ALERT_SIGNALS[input.signal];
+  if (!signal) throw new TypeError(`rule ${id}: unknown signal '${input.signal}'`);
+  const severity = input.severity ?? 'warning';
+  if (!ALERT_SEVERITIES.includes(severity)) throw new TypeError(`rule ${id}: severity must be one of ${ALERT_SEVERITIES.join(', ')}`);
+  let op = null;
+  let threshold = null;
+  if (signal.kind === 'gauge') {
+    op = input.op ?? '>';
+    if (!ALERT_OPERATORS.includes(op)) throw new TypeError(`rule ${id}: op must be one of ${ALERT_OPERATORS.join(' ')}`);
+    threshold = input.threshold;
+    const numeric = Number.isFinite(threshold);
+    if (!numeric && !(typeof threshold === 'string' && threshold && (op === '==' || op === '!='))) {
+      throw new TypeError(`rule ${id}: threshold must be a number (or a string with == / !=)`);
+    }
+  }
+  const channels = input.channels ?? [];
+  if (!Array.isArray(channels)) throw new TypeError(`rule ${id}: channels must be an array of channel ids`);
+  return {
+    id,
+    name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : id,
+    signal: input.signal,
+    op,
+    threshold,
+    forSeconds: nonNegative(input.forSeconds, 0, `rule ${id}: forSeconds`),
+    cooldownSeconds: nonNegative(input.cooldownSeconds, 300, `rule ${id}: cooldownSeconds`),
+    severity,
+    enabled: input.enabled !== false,
+    channels: channels.map(channel => requireId(channel, `rule ${id}: channel`)),
+  };
+}
+
+/**
+ * Validate one delivery channel. `url` and `headers` are secrets: when they
+ * are omitted, the values stored for the same channel id are kept.
+ *
+ * @param {Record<string, any>} input Channel as submitted.
+ * @param {Record<string, any>} [previous] Stored channel with the same id.
+ * @returns {{id:string, name:string, type:string, url:string, topic:(string|null),
+ *   headers:Record<string,string>, minSeverity:string, enabled:boolean}} Channel.
+ * @throws {TypeError} On unknown types, bad URLs or header values.
+ */
+export function normalizeAlertChannel(input, previous) {
+  if (!input || typeof input !== 'object') throw new TypeError('channel must be an object');
+  const id = requireId(input.id, 'channel');
+  const type = input.type ?? 'webhook';
+  if (!ALERT_CHANNEL_TYPES.includes(type)) throw new TypeError(`channel ${id}: type must be one of ${ALERT_CHANNEL_TYPES.join(', ')}`);
+  const url = input.url ?? previous?.url;
+  let parsed;
+  try { parsed = new URL(url); } catch { /* reported below */ }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) throw new TypeError(`channel ${id}: url must be an http(s) URL`);
+  const topic = typeof input.topic === 'string' && input.topic.trim() ? input.topic.trim() : null;
+  if (type === 'ntfy' && !topic) throw new TypeError(`channel ${id}: ntfy channels need a topic`);
+  const headers = input.headers ?? previous?.headers ?? {};
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) throw new TypeError(`channel ${id}: headers must be an object`);
+  for (const [name, value] of Object.entries(headers)) {
+    if (!HEADER_NAME_PATTERN.test(name) || typeof value !== 'string') throw new TypeError(`channel ${id}: headers must map names to string values`);
+  }
+  const minSeverity = input.minSeverity ?? 'info';
+  if (!ALERT_SEVERITIES.includes(minSeverity)) throw new TypeError(`channel ${id}: minSeverity must be one of ${ALERT_SEVERITIES.join(', ')}`);
+  return {
+    id,
+    name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : id,
+    type,
+    url: String(url),
+    topic,
+    headers: { ...headers },
+    minSeverity,
+    enabled: input.enabled !== false,
+  };
+}
+
+/**
+ * Validate the whole config.alerts block.
+ *
+ * @param {Record<string, any>} [input] `{ enabled?, evaluationSeconds?, rules?, channels? }`.
+ * @param {Record<string, any>} [previous] Stored block, for secret retention.
+ * @returns {{enabled:boolean, evaluationSeconds:number, rules:object[], channels:object[]}} Settings.
+ * @throws {TypeError} On any invalid rule or channel, duplicate ids, or
+ *   rules naming channels that do not exist.
+ */
+export function normalizeAlertSettings(input = {}, previous = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new TypeError('alerts must be an object');
+  const previousChannels = new Map((previous?.channels || []).map(channel => [channel.id, channel]));
+  const channels = (input.channels ?? previous?.channels ?? []).map(channel => normalizeAlertChannel(channel, previousChannels.get(channel?.id)));
+  const rules = (input.rules ?? previous?.rules ?? DEFAULT_ALERT_RULES).map(normalizeAlertRule);
+  for (const [what, list] of [['channel', channels], ['rule', rules]]) {
+    const seen = new Set();
+    for (const { id } of list) {
+      if (seen.has(id)) throw new TypeError(`duplicate ${what} id '${id}'`);
+      seen.add(id);
+    }
+  }
+  const channelIds = new Set(channels.map(channel => channel.id));
+  for (const rule of rules) {
+    const missing = rule.channels.find(id => !channelIds.has(id));
+    if (missing) throw new TypeError(`rule ${rule.id}: unknown channel '${missing}'`);
+  }
+  const evaluationSeconds = nonNegative(input.evaluationSeconds ?? previous?.evaluationSeconds, 15, 'evaluationSeconds');
+  return {
+    enabled: (input.enabled ?? previous?.enabled) !== false,
+    evaluationSeconds: Math.max(5, evaluationSeconds),
+    rules,
+    channels,
+  };
+}
+
+/**
+ * Settings as returned by the API: channel URLs are reduced to their origin
+ * and header values are dropped, since webhook URLs usually embed tokens.
+ *
+ * @param {ReturnType<typeof normalizeAlertSettings>} settings Settings.
+ * @returns {object} Settings safe to show in the dashboard.
+ */
+export function publicAlertSettings(settings) {
+  return {
+    ...settings,
+    channels: settings.channels.map(({ url, headers, ...channel }) => ({
+      ...channel,
+      urlOrigin: new URL(url).origin,
+      headerNames: Object.keys(headers),
+    })),
+  };
+}
+
+/**
+ * Whether a gauge value meets a rule's condition.
+ *
+ * @param {number|string} value Sampled value.
+ * @param {string} op Operator.
+ * @param {number|string} threshold Threshold.
+ * @returns {boolean} True when the rule condition holds.
+ */
+export function compareAlertValue(value, op, threshold) {
+  switch (op) {
+    case '>': return value > threshold;
+    case '>=': return value >= threshold;
+    case '<': return value < threshold;
+    case '<=': return value <= threshold;
+    case '==': return String(value) === String(threshold);
+    case '!=': return String(value) !== String(threshold);
+    default: return false;
+  }
+}
+
+function formatValue(value, signal) {
+  const unit = ALERT_SIGNALS[signal]?.unit;
+  const shown = typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(1) : String(value);
+  return unit ? `${shown} ${unit}` : shown;
+}
+
+/**
+ * Build the subject and text of an alert, email style.
+ *
+ * @param {{status:string, severity:string, ruleName:string, signal:string,
+ *   message:string, timestamp:string}} alert Alert record.
+ * @param {string} hostLabel Host name shown in the subject.
+ * @returns {{subject:string, text:string}} Rendered notification.
+ */
+export function renderAlertText(alert, hostLabel) {
+  const state = alert.status === 'resolved' ? 'RESOLVED' : alert.status === 'test' ? 'TEST' : alert.severity.toUpperCase();
+  return {
+    subject: `[Llama Manager${hostLabel ? ` @ ${hostLabel}` : ''}] ${state}: ${alert.ruleName}`,
+    text: `${alert.message}\n\nSignal: ${alert.signal}\nSeverity: ${alert.severity}\nTime: ${alert.timestamp}`,
+  };
+}
+
+const NTFY_PRIORITY = { info: 3, warning: 4, critical: 5 };
+const NTFY_TAGS = { info: 'information_source', warning: 'warning', critical: 'rotating_light' };
+
+/**
+ * Shape an alert for one channel.
+ *
+ * @param {ReturnType<typeof normalizeAlertChannel>} channel Destination.
+ * @param {object} alert Alert record.
+ * @param {string} [hostLabel] Host name for the subject line.
+ * @returns {{url:string, headers:Record<string,string>, body:object}} HTTP request to send.
+ */
+export function formatAlertNotification(channel, alert, hostLabel = '') {
+  const { subject, text } = renderAlertText(alert, hostLabel);
+  let body;
+  if (channel.type === 'slack') {
+    body = { text: `*${subject}*\n${text}` };
+  } else if (channel.type === 'discord') {
+    body = { username: 'Llama Manager', content: `**${subject}**\n${text}`.slice(0, 2000) };
+  } else if (channel.type === 'ntfy') {
+    body = {
+      topic: channel.topic,
+      title: subject,
+      message: text,
+      priority: alert.status === 'resolved' ? 3 : NTFY_PRIORITY[alert.severity],
+      tags: [alert.status === 'resolved' ? 'white_check_mark' : NTFY_TAGS[alert.severity]],
+    };
+  } else {
+    body = { subject, text, alert };
+  }
+  return { url: channel.url, headers: { 'Content-Type': 'application/json', ...channel.headers }, body };
+}
+
+/**
+ * Delivery function over fetch, with a per-request timeout. Never throws.
+ *
+ * @param {typeof fetch} fetchImpl Fetch implementation.
+ * @param {number} [timeoutMs] Per-request timeout.
+ * @returns {(request:{url:string, headers:object, body:object}) => Promise<{ok:boolean, status:(number|null), error:(string|null)}>}
+ */
+export function createWebhookDelivery(fetchImpl, timeoutMs = 10_000) {
+  return async ({ url, headers, body }) => {
+    try {
+      const response = await fetchImpl(url, { method: 'POST', headers, body: JSON.stringify(body), signal: AbortSignal.timeout(timeoutMs) });
+      return { ok: response.ok, status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+    } catch (error) {
+      return { ok: false, status: null, error: error.message };
+    }
+  };
+}
+
+/**
+ * Evaluates rules against sampled gauges and events, tracks per-rule firing
+ * state, and dispatches alerts to channels.
+ */
+export class AlertEngine {
+  /**
+   * @param {object} options
+   * @param {() => ReturnType<typeof normalizeAlertSettings>} options.getSettings Current settings.
+   * @param {(request:object) => Promise<{ok:boolean, status:(number|null), error:(string|null)}>} options.deliver
+   *   Sends one formatted notification (see createWebhookDelivery()).
+   * @param {(alert:object) => void} [options.record] Persists each alert (history).
+   * @param {string} [options.hostLabel] Host name shown in subjects.
+   * @param {() => number} [options.now] Clock.
+   */
+  constructor({ getSettings, deliver, record = () => {}, hostLabel = '', now = Date.now }) {
+    this.getSettings = getSettings;
+    this.deliver = deliver;
+    this.record = record;
+    this.hostLabel = hostLabel;
+    this.now = now;
+    this.states = new Map();
+    this.sequence = 0;
+  }
+
+  #state(ruleId) {
+    if (!this.states.has(ruleId)) this.states.set(ruleId, { pendingSince: null, firing: false, suppressed: false, lastFiredAt: null, lastValue: null });
+    return this.states.get(ruleId);
+  }
+
+  /**
+   * Apply one round of gauge samples. Signals whose sample is null or
+   * missing (telemetry dark) leave their rules unchanged.
+   *
+   * @param {Record<string, number|string|null>} samples Gauge values by signal.
+   * @returns {Promise<object[]>} Alerts emitted this round (firing and resolved).
+   */
+  async evaluate(samples) {
+    const settings = this.getSettings();
+    if (!settings.enabled) return [];
+    const now = this.now();
+    const emitted = [];
+    for (const rule of settings.rules) {
+      if (!rule.enabled || ALERT_SIGNALS[rule.signal].kind !== 'gauge') continue;
+      const value = samples[rule.signal];
+      if (value === null || value === undefined) continue;
+      const state = this.#state(rule.id);
+      state.lastValue = value;
+      if (compareAlertValue(value, rule.op, rule.threshold)) {
+        state.pendingSince ??= now;
+        if (state.firing || now - state.pendingSince < rule.forSeconds * 1000) continue;
+        state.firing = true;
+        state.suppressed = state.lastFiredAt !== null && now - state.lastFiredAt < rule.cooldownSeconds * 1000;
+        if (state.suppressed) continue;
+        state.lastFiredAt = now;
+        const held = rule.forSeconds ? ` for ${rule.forSeconds}s` : '';
+        emitted.push(this.#alert(rule, 'firing', value, `${rule.signal} is ${formatValue(value, rule.signal)} (${rule.op} ${formatValue(rule.threshold, rule.signal)})${held}`));
+      } else {
+        state.pendingSince = null;
+        if (!state.firing) continue;
+        state.firing = false;
+        if (state.suppressed) continue;
+        emitted.push(this.#alert(rule, 'resolved', value, `${rule.signal} back to ${formatValue(value, rule.signal)}`));
+      }
+    }
+    await Promise.all(emitted.map(alert => this.#dispatch(alert, settings, this.#ruleChannels(settings, alert))));
+    return emitted;
+  }
+
+  /**
+   * Report a discrete event (crash, update failure) to rules on that signal.
+   *
+   * @param {string} signal Event signal name.
+   * @param {{message:string, details?:object}} event What happened.
+   * @returns {Promise<object[]>} Alerts emitted (empty when cooled down or no rule).
+   */
+  async recordEvent(signal, { message, details = null }) {
+    const settings = this.getSettings();
+    if (!settings.enabled) return [];
+    const now = this.now();
+    const emitted = [];
+    for (const rule of settings.rules) {
+      if (!rule.enabled || rule.signal !== signal) continue;
+      const state = this.#state(rule.id);
+      if (state.lastFiredAt !== null && now - state.lastFiredAt < rule.cooldownSeconds * 1000) continue;
+      state.lastFiredAt = now;
+      emitted.push(this.#alert(rule, 'firing', null, message, details));
+    }
+    await Promise.all(emitted.map(alert => this.#dispatch(alert, settings, this.#ruleChannels(settings, alert))));
+    return emitted;
+  }
+
+  /**
+   * Send a test alert to one channel, or every enabled channel.
+   *
+   * @param {string|null} [channelId] Channel to test.
+   * @returns {Promise<object>} The test alert with per-channel delivery results.
+   * @throws {Error} statusCode 404 when channelId does not exist.
+   */
+  async test(channelId = null) {
+    const settings = this.getSettings();
+    if (channelId && !settings.channels.some(channel => channel.id === channelId)) {
+      const error = new Error(`unknown channel '${channelId}'`);
+      error.statusCode = 404;
+      throw error;
+    }
+    const rule = { id: 'test', name: 'Test alert', signal: 'test', severity: 'info' };
+    const alert = this.#alert(rule, 'test', null, 'This is a test alert from Llama Manager. Delivery works.');
+    await this.#dispatch(alert, settings, channelId ? [channelId] : [], { force: true });
+    return alert;
+  }
+
+  /**
+   * Current firing state for each rule, for the dashboard.
+   *
+   * @returns {Record<string, {firing:boolean, pendingSince:(string|null), lastFiredAt:(string|null), lastValue:unknown}>} States.
+   */
+  status() {
+    const result = {};
+    for (const rule of this.getSettings().rules) {
+      const state = this.states.get(rule.id);
+      result[rule.id] = {
+        firing: !!state?.firing,
+        pendingSince: state?.pendingSince ? new Date(state.pendingSince).toISOString() : null,
+        lastFiredAt: state?.lastFiredAt ? new Date(state.lastFiredAt).toISOString() : null,
+        lastValue: state?.lastValue ?? null,
+      };
+    }
+    return result;
+  }
+
+  #alert(rule, status, value, message, details = null) {
+    this.sequence += 1;
+    return {
+      id: `${this.now()}-${this.sequence}`,
+      timestamp: new Date(this.now()).toISOString(),
+      status,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      signal: rule.signal,
+      severity: rule.severity,
+      value,
+      threshold: rule.threshold ?? null,
+      message,
+      details,
+      deliveries: [],
+    };
+  }
+
+  #ruleChannels(settings, alert) {
+    return settings.rules.find(rule => rule.id === alert.ruleId)?.channels ?? [];
+  }
+
+  // An empty `named` list means every channel. Test alerts (force) ignore
+  // the enabled flag and severity floor so a channel can be checked before
+  // it is switched on.
+  async #dispatch(alert, settings, named, { force = false } = {}) {
+    const targets = settings.channels.filter(channel => {
+      if (named.length && !named.includes(channel.id)) return false;
+      if (force) return true;
+      return channel.enabled && ALERT_SEVERITIES.indexOf(alert.severity) >= ALERT_SEVERITIES.indexOf(channel.minSeverity);
+    });
+    alert.deliveries = await Promise.all(targets.map(async channel => ({
+      channel: channel.id,
+      ...(await this.deliver(formatAlertNotification(channel, alert, this.hostLabel))),
+    })));
+    try { this.record(alert); } catch { /* history is best-effort */ }
+  }
+}
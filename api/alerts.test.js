@@ -0,0 +1,144 @@
+// Llama Manager — alert rules engine tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies rule and channel validation (including write-only channel
+// secrets), hold duration / cooldown / resolve transitions, event rules,
+// per-channel payload shapes and test-alert delivery.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  AlertEngine,
+  DEFAULT_ALERT_RULES,
+  formatAlertNotification,
+  normalizeAlertRule,
+  normalizeAlertSettings,
+  publicAlertSettings,
+} from './alerts.js';
+
+function harness(settingsInput) {
+  let clock = 1_000_000;
+  const sent = [];
+  const history = [];
+  const settings = normalizeAlertSettings(settingsInput);
+  const engine = new AlertEngine({
+    getSettings: () => settings,
+    deliver: async request => { sent.push(request); return { ok: true, status: 200, error: null }; },
+    record: alert => history.push(alert),
+    hostLabel: 'gpu-box',
+    now: () => clock,
+  });
+  return { engine, sent, history, advance: seconds => { clock += seconds * 1000; } };
+}
+
+const hook = { id: 'ops', type: 'slack', url: 'https://hooks.example.com/T000/secret' };
+
+test('rules and settings validate signals, operators and channel references', () => {
+  assert.equal(normalizeAlertSettings({}).rules.length, DEFAULT_ALERT_RULES.length);
+  assert.throws(() => normalizeAlertRule({ id: 'x', signal: 'disk.free' }), /unknown signal/);
+  assert.throws(() => normalizeAlertRule({ id: 'x', signal: 'queue.pending', op: '=~', threshold: 1 }), /op must be/);
+  assert.throws(() => normalizeAlertRule({ id: 'x', signal: 'queue.pending', op: '>', threshold: 'many' }), /threshold/);
+  assert.equal(normalizeAlertRule({ id: 'x', signal: 'thermal.state', op: '==', threshold: 'critical' }).threshold, 'critical');
+  assert.equal(normalizeAlertRule({ id: 'x', signal: 'crash' }).op, null);
+  assert.throws(() => normalizeAlertRule({ id: 'Bad Id', signal: 'crash' }), TypeError);
+  assert.throws(() => normalizeAlertSettings({ rules: [{ id: 'x', signal: 'crash', channels: ['nope'] }] }), /unknown channel 'nope'/);
+  assert.throws(() => normalizeAlertSettings({ channels: [hook, hook], rules: [] }), /duplicate channel id/);
+  assert.throws(() => normalizeAlertSettings({ channels: [{ id: 'n', type: 'ntfy', url: 'https://ntfy.sh' }] }), /topic/);
+  assert.throws(() => normalizeAlertSettings({ channels: [{ id: 'n', url: 'file:///etc/passwd' }] }), /http\(s\) URL/);
+});
+
+test('channel URLs and headers are write-only and kept across saves', () => {
+  const stored = normalizeAlertSettings({ channels: [{ ...hook, headers: { Authorization: 'Bearer t' } }], rules: [] });
+  const shown = publicAlertSettings(stored);
+  assert.equal(shown.channels[0].url, undefined);
+  assert.equal(shown.channels[0].urlOrigin, 'https://hooks.example.com');
+  assert.deepEqual(shown.channels[0].headerNames, ['Authorization']);
+  assert.ok(!JSON.stringify(shown).includes('secret'));
+
+  const resaved = normalizeAlertSettings({ channels: [{ id: 'ops', type: 'slack', name: 'Ops room' }] }, stored);
+  assert.equal(resaved.channels[0].url, hook.url);
+  assert.equal(resaved.channels[0].headers.Authorization, 'Bearer t');
+  assert.equal(resaved.channels[0].name, 'Ops room');
+  assert.equal(resaved.rules.length, 0, 'omitted rules keep the stored list');
+});
+
+test('gauge rules fire after the hold duration, resolve once, and honour cooldown', async () => {
+  const { engine, sent, history, advance } = harness({
+    channels: [hook],
+    rules: [{ id: 'hot', signal: 'thermal.max_temp_c', op: '>=', threshold: 95, forSeconds: 30, cooldownSeconds: 600, severity: 'critical' }],
+  });
+
+  assert.deepEqual(await engine.evaluate({ 'thermal.max_temp_c': 97 }), []);
+  advance(20);
+  assert.deepEqual(await engine.evaluate({ 'thermal.max_temp_c': 96 }), [], 'still inside the hold window');
+  advance(15);
+  const [fired] = await engine.evaluate({ 'thermal.max_temp_c': 98 });
+  assert.equal(fired.status, 'firing');
+  assert.match(fired.message, /98 °C \(>= 95 °C\) for 30s/);
+  assert.deepEqual(fired.deliveries, [{ channel: 'ops', ok: true, status: 200, error: null }]);
+  advance(10);
+  assert.deepEqual(await engine.evaluate({ 'thermal.max_temp_c': 99 }), [], 'no repeat while firing');
+  assert.deepEqual(await engine.evaluate({ 'thermal.max_temp_c': null }), [], 'dark telemetry changes nothing');
+  assert.equal(engine.status().hot.firing, true);
+
+  const [resolved] = await engine.evaluate({ 'thermal.max_temp_c': 80 });
+  assert.equal(resolved.status, 'resolved');
+
+  // Re-fires inside the cooldown are swallowed, including their resolve.
+  advance(60);
+  await engine.evaluate({ 'thermal.max_temp_c': 97 });
+  advance(31);
+  assert.deepEqual(await engine.evaluate({ 'thermal.max_temp_c': 97 }), []);
+  assert.deepEqual(await engine.evaluate({ 'thermal.max_temp_c': 70 }), []);
+  advance(600);
+  await engine.evaluate({ 'thermal.max_temp_c': 97 });
+  advance(30);
+  assert.equal((await engine.evaluate({ 'thermal.max_temp_c': 97 })).length, 1, 'fires again after the cooldown');
+
+  assert.equal(sent.length, 3);
+  assert.deepEqual(history.map(alert => alert.status), ['firing', 'resolved', 'firing']);
+});
+
+test('event rules respect cooldown and channel routing by severity', async () => {
+  const { engine, sent, advance } = harness({
+    channels: [hook, { id: 'pager', type: 'webhook', url: 'https://pager.example.com/in', minSeverity: 'critical' }],
+    rules: [
+      { id: 'crash', signal: 'crash', cooldownSeconds: 300, severity: 'critical' },
+      { id: 'ds4', signal: 'ds4.update_failed', cooldownSeconds: 0, severity: 'warning', channels: ['ops'] },
+    ],
+  });
+  const [crash] = await engine.recordEvent('crash', { message: 'llama-server exited with code 139', details: { exitCode: 139 } });
+  assert.deepEqual(crash.deliveries.map(d => d.channel), ['ops', 'pager']);
+  assert.deepEqual(crash.details, { exitCode: 139 });
+  advance(60);
+  assert.deepEqual(await engine.recordEvent('crash', { message: 'again' }), []);
+  const [ds4] = await engine.recordEvent('ds4.update_failed', { message: 'smoke test failed' });
+  assert.deepEqual(ds4.deliveries.map(d => d.channel), ['ops']);
+  assert.equal(sent.length, 3);
+});
+
+test('payloads match each channel shape and carry an email-style subject', () => {
+  const alert = { status: 'firing', severity: 'critical', ruleName: 'Queue stalled', signal: 'queue.stalled', message: 'queue.stalled is 1', timestamp: '2026-10-19T00:00:00.000Z' };
+  const slack = formatAlertNotification({ type: 'slack', url: 'https://s', headers: {} }, alert, 'box');
+  assert.match(slack.body.text, /^\*\[Llama Manager @ box\] CRITICAL: Queue stalled\*/);
+  assert.match(formatAlertNotification({ type: 'discord', url: 'https://d', headers: {} }, alert).body.content, /\*\*\[Llama Manager\] CRITICAL/);
+  const ntfy = formatAlertNotification({ type: 'ntfy', url: 'https://ntfy.sh', topic: 'lab', headers: { Authorization: 'Bearer x' } }, alert);
+  assert.deepEqual([ntfy.body.topic, ntfy.body.priority, ntfy.body.tags[0]], ['lab', 5, 'rotating_light']);
+  assert.equal(ntfy.headers.Authorization, 'Bearer x');
+  assert.equal(formatAlertNotification({ type: 'ntfy', url: 'https://ntfy.sh', topic: 'lab', headers: {} }, { ...alert, status: 'resolved' }).body.priority, 3);
+  const generic = formatAlertNotification({ type: 'webhook', url: 'https://w', headers: {} }, alert);
+  assert.equal(generic.body.subject, '[Llama Manager] CRITICAL: Queue stalled');
+  assert.match(generic.body.text, /Signal: queue\.stalled/);
+  assert.equal(generic.body.alert, alert);
+});
+
+test('test alerts reach disabled channels and report unknown ids', async () => {
+  const { engine, history } = harness({ channels: [{ ...hook, enabled: false, minSeverity: 'critical' }], rules: [] });
+  const alert = await engine.test('ops');
+  assert.equal(alert.status, 'test');
+  assert.deepEqual(alert.deliveries.map(d => d.channel), ['ops']);
+  assert.equal(history.length, 1);
+  await assert.rejects(engine.test('missing'), error => error.statusCode === 404);
+});
@@ -0,0 +1,158 @@
+// Llama Manager — weighted canary splits inside alias groups.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// An alias group whose targets carry weights (validated by `validateAlias()` in
+// model-aliases.js) splits its traffic instead of trying targets in order, so
+// clients can be moved between models gradually — 90/10, then 50/50, then
+// 0/100 — without changing the name they request. Assignment is sticky: each
+// request maps to a fixed point in [0, 1) derived from its conversation
+// lineage key, so every turn of a conversation lands on the same target and
+// keeps its KV cache warm for as long as the weights stay put. This module
+// holds the pure parts: the lineage point, the weighted pick, and running
+// per-target success and latency stats for promoting or rolling back a split.
+
+/** Endpoints whose traffic a weighted split routes (generation only; embeddings never split). */
+export const SPLIT_ENDPOINTS = Object.freeze(['chat/completions', 'completions']);
+
+/**
+ * Whether an alias group is a weighted split.
+ *
+ * @param {{targets?: Array<{weight?: number}>}|null|undefined} group Alias group from `config.aliases`.
+ * @returns {boolean} True when any target carries a numeric weight.
+ */
+export function isWeightedGroup(group) {
+  return Array.isArray(group?.targets) && group.targets.some(t => typeof t?.weight === 'number');
+}
+
+/**
+ * Map a lineage key to a stable point in [0, 1) with 32-bit FNV-1a. The key
+ * is already an opaque hash, so this only needs to spread it evenly.
+ *
+ * @param {string} key Conversation lineage key.
+ * @returns {number} Point in [0, 1); the same key always yields the same point.
+ */
+export function lineagePoint(key) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
+
+/**
+ * Pick the target whose slice of the cumulative weights contains `point`.
+ * Targets that are unavailable right now are left out and the remaining
+ * weights rescaled, so a down canary sends its share to the others rather
+ * than failing requests.
+ *
+ * @param {Array<{host:string, model:string, weight:number}>} targets Weighted targets in authored order.
+ * @param {number} point Point in [0, 1), from {@link lineagePoint} or a random draw.
+ * @param {(target: Object) => boolean} [eligible] Availability check per target.
+ * @returns {{index:number, target:Object}|null} Chosen target and its authored index,
+ *   or null when no eligible target has a positive weight.
+ */
+export function pickWeightedTarget(targets, point, eligible = () => true) {
+  const pool = (Array.isArray(targets) ? targets : [])
+    .map((target, index) => ({ index, target }))
+    .filter(({ target }) => target?.weight > 0 && eligible(target));
+  const total = pool.reduce((sum, { target }) => sum + target.weight, 0);
+  if (!total) return null;
+  let remaining = point * total;
+  for (const entry of pool) {
+    remaining -= entry.target.weight;
+    if (remaining < 0) return entry;
+  }
+  return pool[pool.length - 1];
+}
+
+/**
+ * Key a target's stats by host and model.
+ *
+ * @param {string} host 'local' or a backend id.
+ * @param {string} model Exact model name.
+ * @returns {string} `host/model`.
+ */
+export function splitTargetKey(host, model) {
+  return `${host}/${model}`;
+}
+
+/**
+ * Running totals per alias and target since start: requests assigned, how
+ * many completed and failed, and mean end-to-end latency of the completed ones.
+ */
+export class SplitStats {
+  constructor() {
+    this.aliases = new Map(); // alias -> Map(targetKey -> totals)
+  }
+
+  #totals(alias, host, model) {
+    let targets = this.aliases.get(alias);
+    if (!targets) {
+      targets = new Map();
+      this.aliases.set(alias, targets);
+    }
+    const key = splitTargetKey(host, model);
+    let totals = targets.get(key);
+    if (!totals) {
+      totals = { assigned: 0, completed: 0, errors: 0, latencyMs: 0 };
+      targets.set(key, totals);
+    }
+    return totals;
+  }
+
+  /**
+   * Count a request routed to a target.
+   *
+   * @param {string} alias Alias name.
+   * @param {{host:string, model:string}} target Chosen target.
+   */
+  assign(alias, { host, model }) {
+    this.#totals(alias, host, model).assigned++;
+  }
+
+  /**
+   * Add the outcome of a routed request.
+   *
+   * @param {string} alias Alias name.
+   * @param {{host:string, model:string}} target Target that served it.
+   * @param {{ok:boolean, latencyMs:number}} outcome Whether it succeeded, and how long it took.
+   */
+  record(alias, { host, model }, { ok, latencyMs }) {
+    const totals = this.#totals(alias, host, model);
+    if (!ok) {
+      totals.errors++;
+      return;
+    }
+    totals.completed++;
+    totals.latencyMs += latencyMs || 0;
+  }
+
+  /** Forget a deleted alias. */
+  forget(alias) {
+    this.aliases.delete(alias);
+  }
+
+  /**
+   * Stats for one alias.
+   *
+   * @param {string} alias Alias name.
+   * @returns {Object<string, {assigned:number, completed:number, errors:number,
+   *   successRate:(number|null), meanLatencyMs:(number|null)}>} Stats keyed by `host/model`.
+   */
+  snapshot(alias) {
+    const out = {};
+    for (const [key, t] of this.aliases.get(alias) || []) {
+      const finished = t.completed + t.errors;
+      out[key] = {
+        assigned: t.assigned,
+        completed: t.completed,
+        errors: t.errors,
+        successRate: finished ? Math.round((t.completed / finished) * 1000) / 1000 : null,
+        meanLatencyMs: t.completed ? Math.round(t.latencyMs / t.completed) : null,
+      };
+    }
+    return out;
+  }
+}
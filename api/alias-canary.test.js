@@ -0,0 +1,60 @@
+// Llama Manager — weighted alias split tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies split detection, the sticky lineage point, the weighted pick with
+// unavailable targets left out, and the per-target stats.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SplitStats, isWeightedGroup, lineagePoint, pickWeightedTarget } from './alias-canary.js';
+
+const TARGETS = [
+  { host: 'local', model: 'qwen3-32b', weight: 90 },
+  { host: 'gpu-box', model: 'qwen3-235b', weight: 10 },
+];
+
+test('only groups with weights are splits', () => {
+  assert.equal(isWeightedGroup({ targets: TARGETS }), true);
+  assert.equal(isWeightedGroup({ targets: [{ host: 'local', model: 'm' }] }), false);
+  assert.equal(isWeightedGroup(undefined), false);
+});
+
+test('a lineage always lands on the same point, and points spread across the range', () => {
+  const key = 'lineage_0f3a9c';
+  assert.equal(lineagePoint(key), lineagePoint(key));
+  const points = Array.from({ length: 1000 }, (_, i) => lineagePoint(`lineage_${i}`));
+  assert.ok(points.every(p => p >= 0 && p < 1));
+  const low = points.filter(p => p < 0.1).length;
+  assert.ok(low > 60 && low < 140, `expected about 100 of 1000 below 0.1, got ${low}`);
+});
+
+test('the pick follows cumulative weights and skips unavailable targets', () => {
+  assert.equal(pickWeightedTarget(TARGETS, 0).index, 0);
+  assert.equal(pickWeightedTarget(TARGETS, 0.899).index, 0);
+  assert.equal(pickWeightedTarget(TARGETS, 0.9).index, 1);
+  assert.equal(pickWeightedTarget(TARGETS, 0.999).index, 1);
+  assert.deepEqual(pickWeightedTarget(TARGETS, 0.95, t => t.host === 'local'), { index: 0, target: TARGETS[0] });
+
+  const promoted = [{ ...TARGETS[0], weight: 0 }, { ...TARGETS[1], weight: 100 }];
+  assert.equal(pickWeightedTarget(promoted, 0).index, 1);
+  assert.equal(pickWeightedTarget(promoted, 0, t => t.host === 'local'), null);
+  assert.equal(pickWeightedTarget([], 0.5), null);
+});
+
+test('stats count assignments, failures and mean latency per target', () => {
+  const stats = new SplitStats();
+  stats.assign('default-big', TARGETS[0]);
+  stats.assign('default-big', TARGETS[0]);
+  stats.assign('default-big', TARGETS[1]);
+  stats.record('default-big', TARGETS[0], { ok: true, latencyMs: 1000 });
+  stats.record('default-big', TARGETS[0], { ok: true, latencyMs: 2000 });
+  stats.record('default-big', TARGETS[1], { ok: false, latencyMs: 300 });
+  assert.deepEqual(stats.snapshot('default-big'), {
+    'local/qwen3-32b': { assigned: 2, completed: 2, errors: 0, successRate: 1, meanLatencyMs: 1500 },
+    'gpu-box/qwen3-235b': { assigned: 1, completed: 0, errors: 1, successRate: 0, meanLatencyMs: null },
+  });
+  stats.forget('default-big');
+  assert.deepEqual(stats.snapshot('default-big'), {});
+});
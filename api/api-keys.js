@@ -0,0 +1,338 @@
+// Llama Manager — manager-issued client API keys and route scope policy.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Issues opaque `lmk_` bearer keys for clients of the OpenAI-compatible proxy
+// and management API, persists only their SHA-256 digests beside config.json,
+// and classifies every /api and /v1 route into the scope a caller must hold.
+// Raw key material is returned exactly once, at creation, and never stored.
+
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import {
+  chmodSync,
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from 'node:fs';
+import { dirname } from 'node:path';
+
+/** Key file schema version. */
+export const API_KEY_STORE_VERSION = 1;
+
+/** Prefix identifying manager-issued keys in Authorization headers. */
+export const API_KEY_PREFIX = 'lmk_';
+
+/**
+ * Assignable scopes. `admin` implies every other scope and `models:write`
+ * implies `read`; `inference` covers only the OpenAI-compatible surface.
+ */
+export const API_KEY_SCOPES = Object.freeze(['inference', 'read', 'models:write', 'admin']);
+
+const SCOPE_IMPLICATIONS = {
+  admin: API_KEY_SCOPES,
+  'models:write': ['models:write', 'read'],
+  read: ['read'],
+  inference: ['inference'],
+};
+
+const MAX_LABEL_LENGTH = 80;
+
+// Unauthenticated liveness probes used by service managers and load balancers.
+const PUBLIC_PATHS = new Set(['/health', '/api/health', '/api/v1/health', '/v1/health']);
+
+// Mutating management routes that only load, unload, or fetch model artifacts.
+const MODEL_WRITE_PATTERNS = [
+  /^\/api\/models\/(load|unload|aliases)(\/|$)/,
+  /^\/api\/pull(\/|$)/,
+  /^\/api\/downloads(\/|$)/,
+  /^\/api\/presets(\/|$)/,
+  /^\/api\/ds4\/download$/,
+];
+
+/**
+ * Hash raw key material for storage and lookup.
+ *
+ * @param {string} key Raw `lmk_` key.
+ * @returns {string} Lowercase hex SHA-256 digest.
+ */
+export function hashApiKey(key) {
+  return createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Extract a presented client key from request headers. Accepts
+ * `Authorization: Bearer <key>` and `x-api-key: <key>`.
+ *
+ * @param {Record<string, unknown>} [headers] Request headers.
+ * @returns {string|null} Trimmed key, or null when none is presented.
+ */
+export function extractApiKey(headers = {}) {
+  const explicit = String(headers['x-api-key'] || '').trim();
+  if (explicit) return explicit;
+  const authorization = String(headers.authorization || headers.Authorization || '').trim();
+  const match = /^Bearer\s+(.+)$/i.exec(authorization);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Canonical form of a request path for policy decisions. Express matches
+ * routes case-insensitively and ignores a trailing slash, so a policy that
+ * compared the raw path could be sidestepped with `/API/...` or `/v1/x/`.
+ *
+ * @param {string} path Request path without query string.
+ * @returns {string} Lower-cased path with repeated slashes collapsed and no
+ *   trailing slash (except for the root).
+ */
+export function normalizeRequestPath(path) {
+  const p = String(path || '/').toLowerCase().replace(/\/{2,}/g, '/');
+  return p.length > 1 && p.endsWith('/') ? p.slice(0, -1) : p;
+}
+
+/**
+ * Classify a request into the scope it requires.
+ *
+ * @param {string} method HTTP method.
+ * @param {string} path Request path without query string; normalized with
+ *   normalizeRequestPath() before classification.
+ * @returns {'inference'|'read'|'models:write'|'admin'|null} Required scope,
+ *   or null for public and non-API (static dashboard) paths. The Prometheus
+ *   scrape path is read-scoped, since it reveals models and clients in use.
+ */
+export function requiredScope(method, path) {
+  const verb = String(method || 'GET').toUpperCase();
+  const p = normalizeRequestPath(path);
+  if (PUBLIC_PATHS.has(p) || verb === 'OPTIONS') return null;
+  if (p.startsWith('/v1/') || p === '/v1' || p.startsWith('/api/v1/') || p === '/api/v1') return 'inference';
+  if (p.startsWith('/api/media/') || p === '/api/media' || p === '/api/embeddings') return 'inference';
+  // A peer manager polls this with the same key it sends inference through.
+  if (p === '/api/peer/state') return 'inference';
+  if (p === '/metrics') return 'read';
+  if (!p.startsWith('/api/') && p !== '/api') return null;
+  if (p.startsWith('/api/auth/')) return 'admin';
+  if (verb === 'GET' || verb === 'HEAD') return 'read';
+  if (MODEL_WRITE_PATTERNS.some(pattern => pattern.test(p))) return 'models:write';
+  return 'admin';
+}
+
+/**
+ * Whether a set of granted scopes satisfies one required scope.
+ *
+ * @param {string[]} granted Scopes stored on the key.
+ * @param {string|null} required Scope returned by requiredScope().
+ * @returns {boolean} True when access is allowed.
+ */
+export function scopeSatisfies(granted, required) {
+  if (!required) return true;
+  return (granted || []).some(scope => (SCOPE_IMPLICATIONS[scope] || []).includes(required));
+}
+
+/**
+ * Whether a socket address is the local machine. Loopback callers include the
+ * manager's own internal sub-requests (audio transcription, auto routing).
+ *
+ * @param {string|undefined} address Socket remote address.
+ * @returns {boolean} True for IPv4/IPv6 loopback.
+ */
+export function isLoopbackAddress(address) {
+  const a = String(address || '');
+  return a === '::1' || a.startsWith('127.') || a.startsWith('::ffff:127.');
+}
+
+/**
+ * Normalize the persisted `apiAuth` configuration block.
+ *
+ * @param {Record<string, unknown>} [config] Manager configuration.
+ * @returns {{enabled:boolean,trustLoopback:boolean}} Effective settings.
+ */
+export function resolveAuthSettings(config = {}) {
+  const auth = config?.apiAuth || {};
+  return {
+    enabled: auth.enabled === true,
+    trustLoopback: auth.trustLoopback !== false,
+  };
+}
+
+/**
+ * Validate and normalize a scope list.
+ *
+ * @param {unknown} scopes Candidate scopes.
+ * @returns {string[]} Sorted unique scopes.
+ * @throws {TypeError} If the list is empty or contains an unknown scope.
+ */
+export function normalizeScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new TypeError('scopes must be a non-empty array');
+  }
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new TypeError(`unknown scope(s): ${unknown.join(', ')}; valid scopes are ${API_KEY_SCOPES.join(', ')}`);
+  }
+  return API_KEY_SCOPES.filter(scope => scopes.includes(scope));
+}
+
+function normalizeLabel(label) {
+  const value = String(label ?? '').trim();
+  if (!value) throw new TypeError('label is required');
+  if (value.length > MAX_LABEL_LENGTH) throw new TypeError(`label must be at most ${MAX_LABEL_LENGTH} characters`);
+  return value;
+}
+
+function publicRecord(record) {
+  const { hash, ...rest } = record;
+  return { ...rest, scopes: [...record.scopes] };
+}
+
+/**
+ * Durable store of hashed client keys.
+ */
+export class ApiKeyStore {
+  /**
+   * Create a store backed by one JSON file.
+   *
+   * @param {Object} options Store options.
+   * @param {string} options.path Absolute key file path (beside config.json).
+   * @param {() => number} [options.now] Clock returning epoch milliseconds.
+   * @param {number} [options.touchPersistMs=60000] Minimum interval between
+   *   persisting last-used timestamps for one key.
+   */
+  constructor({ path, now = () => Date.now(), touchPersistMs = 60_000 } = {}) {
+    if (!path) throw new TypeError('api key store path is required');
+    this.path = path;
+    this.tempPath = `${path}.tmp`;
+    this.now = now;
+    this.touchPersistMs = Math.max(0, Number(touchPersistMs) || 0);
+    this.records = new Map();
+    this.lastTouchPersist = new Map();
+  }
+
+  /**
+   * Load keys from disk. Corrupt or foreign files fail closed to an empty store.
+   *
+   * @returns {{loaded:number}} Number of keys loaded.
+   */
+  load() {
+    this.records.clear();
+    if (existsSync(this.path)) {
+      try {
+        const parsed = JSON.parse(readFileSync(this.path, 'utf8'));
+        if (parsed?.version === API_KEY_STORE_VERSION && Array.isArray(parsed.keys)) {
+          for (const record of parsed.keys) {
+            if (record?.id && /^[a-f0-9]{64}$/.test(String(record.hash || '')) && Array.isArray(record.scopes)) {
+              this.records.set(record.id, { ...record });
+            }
+          }
+        }
+      } catch { /* corrupt key files fail closed */ }
+    }
+    return { loaded: this.records.size };
+  }
+
+  /** Atomically persist the hashed key file with owner-only permissions. */
+  persist() {
+    mkdirSync(dirname(this.path), { recursive: true });
+    const body = JSON.stringify({ version: API_KEY_STORE_VERSION, keys: [...this.records.values()] }, null, 2);
+    writeFileSync(this.tempPath, `${body}\n`, { mode: 0o600 });
+    renameSync(this.tempPath, this.path);
+    try { chmodSync(this.path, 0o600); } catch { /* best effort */ }
+  }
+
+  /**
+   * Mint a new key. The raw key is only available in this return value.
+   *
+   * @param {{label:string,scopes:string[]}} input Key label and scopes.
+   * @returns {{key:string,record:Object}} Raw key and its public record.
+   * @throws {TypeError} If the label or scopes are invalid.
+   */
+  create({ label, scopes } = {}) {
+    const record = {
+      id: `key_${randomBytes(8).toString('hex')}`,
+      label: normalizeLabel(label),
+      scopes: normalizeScopes(scopes),
+      createdAt: this.now(),
+      lastUsedAt: null,
+      revokedAt: null,
+    };
+    const key = `${API_KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+    record.prefix = key.slice(0, API_KEY_PREFIX.length + 6);
+    record.hash = hashApiKey(key);
+    this.records.set(record.id, record);
+    this.persist();
+    return { key, record: publicRecord(record) };
+  }
+
+  /**
+   * Update a key's label and/or scopes.
+   *
+   * @param {string} id Key id.
+   * @param {{label?:string,scopes?:string[]}} patch Fields to change.
+   * @returns {Object|null} Updated public record, or null when unknown.
+   * @throws {TypeError} If a supplied field is invalid.
+   */
+  update(id, patch = {}) {
+    const record = this.records.get(id);
+    if (!record) return null;
+    const next = { ...record };
+    if (patch.label !== undefined) next.label = normalizeLabel(patch.label);
+    if (patch.scopes !== undefined) next.scopes = normalizeScopes(patch.scopes);
+    this.records.set(id, next);
+    this.persist();
+    return publicRecord(next);
+  }
+
+  /**
+   * Revoke a key. Revoked keys stay listed for audit but never authenticate.
+   *
+   * @param {string} id Key id.
+   * @returns {Object|null} Revoked public record, or null when unknown.
+   */
+  revoke(id) {
+    const record = this.records.get(id);
+    if (!record) return null;
+    if (!record.revokedAt) {
+      record.revokedAt = this.now();
+      this.persist();
+    }
+    return publicRecord(record);
+  }
+
+  /**
+   * Authenticate raw key material and record its last use.
+   *
+   * @param {string|null} key Presented key.
+   * @returns {Object|null} Public record of the active key, or null.
+   */
+  authenticate(key) {
+    if (!key || !String(key).startsWith(API_KEY_PREFIX)) return null;
+    const digest = Buffer.from(hashApiKey(key), 'hex');
+    for (const record of this.records.values()) {
+      if (record.revokedAt) continue;
+      if (!timingSafeEqual(digest, Buffer.from(record.hash, 'hex'))) continue;
+      const now = this.now();
+      record.lastUsedAt = now;
+      if (now - (this.lastTouchPersist.get(record.id) || 0) >= this.touchPersistMs) {
+        this.lastTouchPersist.set(record.id, now);
+        try { this.persist(); } catch { /* last-used is advisory */ }
+      }
+      return publicRecord(record);
+    }
+    return null;
+  }
+
+  /**
+   * Whether at least one unrevoked key carries the admin scope.
+   *
+   * @returns {boolean} True when enforcement can be enabled without lockout.
+   */
+  hasActiveAdmin() {
+    return [...this.records.values()].some(record => !record.revokedAt && record.scopes.includes('admin'));
+  }
+
+  /** Return public records, newest first, without digests. */
+  list() {
+    return [...this.records.values()]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(publicRecord);
+  }
+}
@@ -0,0 +1,131 @@
+// Llama Manager — client API key store and scope policy tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies hashed-at-rest persistence, revocation, last-used tracking, header
+// extraction, and the route-to-scope classification enforced by middleware.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  ApiKeyStore,
+  extractApiKey,
+  isLoopbackAddress,
+  normalizeScopes,
+  normalizeRequestPath,
+  requiredScope,
+  resolveAuthSettings,
+  scopeSatisfies,
+} from './api-keys.js';
+
+function withStore(fn) {
+  const directory = mkdtempSync(join(tmpdir(), 'llama-api-keys-'));
+  try {
+    return fn(join(directory, 'api-keys.json'));
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+test('minted keys are stored only as digests and survive restart', () => withStore((path) => {
+  let clock = 1_000;
+  const store = new ApiKeyStore({ path, now: () => clock });
+  store.load();
+  const { key, record } = store.create({ label: 'ci runner', scopes: ['inference'] });
+
+  assert.match(key, /^lmk_/);
+  assert.equal(record.hash, undefined);
+  assert.equal(readFileSync(path, 'utf8').includes(key), false);
+
+  clock = 2_000;
+  const restarted = new ApiKeyStore({ path, now: () => clock });
+  restarted.load();
+  const authenticated = restarted.authenticate(key);
+  assert.equal(authenticated.id, record.id);
+  assert.equal(authenticated.lastUsedAt, 2_000);
+  assert.equal(restarted.authenticate('lmk_wrong'), null);
+  assert.equal(restarted.authenticate('sk-unrelated'), null);
+}));
+
+test('revoked keys stay listed but never authenticate', () => withStore((path) => {
+  const store = new ApiKeyStore({ path, now: () => 5 });
+  store.load();
+  const { key, record } = store.create({ label: 'ops', scopes: ['admin'] });
+  assert.equal(store.hasActiveAdmin(), true);
+
+  assert.equal(store.revoke(record.id).revokedAt, 5);
+  assert.equal(store.authenticate(key), null);
+  assert.equal(store.hasActiveAdmin(), false);
+  assert.equal(store.list()[0].revokedAt, 5);
+  assert.equal(store.revoke('key_missing'), null);
+}));
+
+test('labels and scopes are validated on create and update', () => withStore((path) => {
+  const store = new ApiKeyStore({ path });
+  store.load();
+  assert.throws(() => store.create({ label: '', scopes: ['read'] }), TypeError);
+  assert.throws(() => store.create({ label: 'x', scopes: ['root'] }), /unknown scope/);
+  const { record } = store.create({ label: 'dash', scopes: ['read'] });
+  assert.deepEqual(store.update(record.id, { scopes: ['admin', 'read', 'read'] }).scopes, ['read', 'admin']);
+  assert.equal(store.update(record.id, { label: ' renamed ' }).label, 'renamed');
+  assert.deepEqual(normalizeScopes(['models:write', 'inference']), ['inference', 'models:write']);
+}));
+
+test('corrupt key files fail closed to an empty store', () => withStore((path) => {
+  writeFileSync(path, '{not json');
+  const store = new ApiKeyStore({ path });
+  assert.deepEqual(store.load(), { loaded: 0 });
+}));
+
+test('keys are read from bearer and x-api-key headers', () => {
+  assert.equal(extractApiKey({ authorization: 'Bearer lmk_a' }), 'lmk_a');
+  assert.equal(extractApiKey({ 'x-api-key': 'lmk_b', authorization: 'Bearer lmk_a' }), 'lmk_b');
+  assert.equal(extractApiKey({ authorization: 'Basic abc' }), null);
+  assert.equal(extractApiKey({}), null);
+});
+
+test('routes map to the least scope that may call them', () => {
+  assert.equal(requiredScope('GET', '/health'), null);
+  assert.equal(requiredScope('GET', '/settings'), null);
+  assert.equal(requiredScope('POST', '/v1/chat/completions'), 'inference');
+  assert.equal(requiredScope('POST', '/api/v1/context/prepare'), 'inference');
+  assert.equal(requiredScope('POST', '/api/media/upload'), 'inference');
+  assert.equal(requiredScope('GET', '/api/peer/state'), 'inference');
+  assert.equal(requiredScope('GET', '/api/stats'), 'read');
+  assert.equal(requiredScope('GET', '/metrics'), 'read');
+  assert.equal(requiredScope('POST', '/api/models/load'), 'models:write');
+  assert.equal(requiredScope('PUT', '/api/models/aliases/gemma'), 'models:write');
+  assert.equal(requiredScope('POST', '/api/server/stop'), 'admin');
+  assert.equal(requiredScope('POST', '/api/processes/42/kill'), 'admin');
+  assert.equal(requiredScope('GET', '/api/auth/keys'), 'admin');
+});
+
+test('mixed-case, doubled-slash and trailing-slash paths classify like Express routes them', () => {
+  assert.equal(normalizeRequestPath('//API//Server/Stop/'), '/api/server/stop');
+  assert.equal(normalizeRequestPath('/'), '/');
+  assert.equal(requiredScope('POST', '/API/server/stop'), 'admin');
+  assert.equal(requiredScope('POST', '/Api/server/stop'), 'admin');
+  assert.equal(requiredScope('GET', '/API/AUTH/KEYS'), 'admin');
+  assert.equal(requiredScope('POST', '/API/Models/Load'), 'models:write');
+  assert.equal(requiredScope('POST', '/V1/chat/completions/'), 'inference');
+  assert.equal(requiredScope('GET', '/HEALTH'), null);
+});
+
+test('admin implies every scope and models:write implies read', () => {
+  assert.equal(scopeSatisfies(['admin'], 'inference'), true);
+  assert.equal(scopeSatisfies(['models:write'], 'read'), true);
+  assert.equal(scopeSatisfies(['inference'], 'read'), false);
+  assert.equal(scopeSatisfies(['read'], 'models:write'), false);
+  assert.equal(scopeSatisfies([], null), true);
+});
+
+test('auth settings default to disabled with trusted loopback', () => {
+  assert.deepEqual(resolveAuthSettings({}), { enabled: false, trustLoopback: true });
+  assert.deepEqual(resolveAuthSettings({ apiAuth: { enabled: true, trustLoopback: false } }), { enabled: true, trustLoopback: false });
+  assert.equal(isLoopbackAddress('::ffff:127.0.0.1'), true);
+  assert.equal(isLoopbackAddress('192.168.1.4'), false);
+});
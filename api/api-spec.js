@@ -164,6 +164,11 @@ const CHAT_REQUEST_SCHEMA = {
       },
     },
     stream: { type: 'boolean', default: false },
+    deadline_ms: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Llama Manager extension: milliseconds the caller will wait (X-Request-Deadline takes precedence and also accepts an ISO 8601 timestamp). On the local lane a request predicted to miss it is rejected up front, and one still queued or running when it passes is dropped or aborted, all with HTTP 504 and code deadline_unreachable or deadline_exceeded.',
+    },
   },
   additionalProperties: true,
 };
@@ -721,20 +726,125 @@ const ROUTES = [
   ['GET', '/api/settings', 'system', 'Get manager settings'],
   ['POST', '/api/settings', 'system', 'Update manager settings'],
   ['GET', '/api/backends', 'backends', 'List inference backends'],
-  ['POST', '/api/backends', 'backends', 'Create an inference backend'],
-  ['PUT', '/api/backends/{id}', 'backends', 'Update an inference backend'],
+  ['POST', '/api/backends', 'backends', 'Create an inference backend', {
+    description: 'protocol selects the upstream wire format: openai (default), anthropic, gemini or ollama-native. Non-OpenAI backends receive translated chat completions (messages, images, tools, streaming and usage) and serve chat/completions only. type peer (default remote) marks another Llama Manager, configured by its /v1 URL: it serves the models its /api/peer/state reports without a modelMapping, and routing prefers it for models it has loaded.',
+    body: { name: 'Anthropic', url: 'https://api.anthropic.com/v1', protocol: 'anthropic', apiKeyEnvVar: 'ANTHROPIC_API_KEY', modelMapping: { 'qwen-coder': 'claude-sonnet-4-5' } },
+  }],
+  ['PUT', '/api/backends/{id}', 'backends', 'Update an inference backend', {
+    description: 'Fields omitted are left unchanged. transforms (null removes them) adapts requests to the host: request.drop deletes fields (dotted paths reach nested ones), request.rename moves them, request.defaults fills top-level fields the client left out, request.maxTokens caps max_tokens and max_completion_tokens, request.stripThinking removes reasoning from outgoing messages, and response.stripReasoning removes reasoning fields, thinking blocks and reasoning items from its completions and stream events, keeping the upstream headers. model, messages, prompt, input and stream cannot be changed.',
+    body: { transforms: { request: { drop: ['reasoning_effort'], rename: { max_tokens: 'max_completion_tokens' } }, response: { stripReasoning: true } } },
+  }],
   ['DELETE', '/api/backends/{id}', 'backends', 'Delete an inference backend'],
   ['GET', '/api/backends/{id}/models', 'backends', 'List models available from a backend'],
   ['POST', '/api/backends/{id}/refresh-models', 'backends', 'Refresh one backend model catalog'],
   ['POST', '/api/backends/refresh-models', 'backends', 'Refresh all backend model catalogs'],
+  ['POST', '/api/backends/{id}/transforms/preview', 'backends', 'Preview the outbound body after a backend\'s transforms', {
+    description: 'Dry run; nothing is sent. Returns the sample request, the body it would be sent to this backend with (after reasoning-effort and sampling injection, the model mapping and the transforms) and, for non-OpenAI protocols, the translated native request. transforms, protocol, url and modelMapping in the body override the saved backend; request replaces the built-in sample chat request.',
+    body: { transforms: { request: { drop: ['chat_template_kwargs'], rename: { max_tokens: 'max_completion_tokens' }, maxTokens: 4096, stripThinking: true }, response: { stripReasoning: true } } },
+  }],
+  ['POST', '/api/backends/transforms/preview', 'backends', 'Preview transforms for an unsaved backend'],
   ['POST', '/api/backends/{id}/test', 'backends', 'Test backend connectivity'],
   ['GET', '/api/backends/stats', 'backends', 'Get backend request statistics'],
   ['GET', '/api/backends/routing', 'backends', 'Get backend routing rules'],
-  ['POST', '/api/backends/routing', 'backends', 'Update backend routing rules'],
+  ['POST', '/api/backends/routing', 'backends', 'Update backend routing rules', {
+    description: 'preferWarmPeers (default true) offloads a request whose model is not loaded here to a peer manager that reports it loaded, and ranks such peers first among remote candidates.',
+    body: { enabled: true, offloadPolicy: 'overflow', preferLocal: true, preferWarmPeers: true },
+  }],
+  ['GET', '/api/backends/health', 'backends', 'Get backend circuit state, probes and latency', {
+    description: 'Per backend: circuit state (closed, open or half_open — half-open admits a single trial request), consecutive failures, the last background probe, and rolling p50/p95 latency and TTFT overall and per model over the last hour. Live traffic samples take precedence over probe samples.',
+  }],
+  ['GET', '/api/backends/health/settings', 'backends', 'Get background health probe settings'],
+  ['PUT', '/api/backends/health/settings', 'backends', 'Configure background health probes', {
+    description: 'Stored in config.backends.healthProbe. Each enabled backend is probed every intervalSeconds with GET /models or a one-token chat completion (mode). Failing probes count toward tripping the circuit breaker; a passing probe moves an open circuit to half-open and re-marks a backend whose test had failed as tested. A backend\'s own healthProbe field (enabled, intervalSeconds, mode) overrides these.',
+    body: { enabled: true, intervalSeconds: 30, mode: 'models', timeoutMs: 10000 },
+  }],
+  ['POST', '/api/backends/{id}/probe', 'backends', 'Run a backend health probe now'],
+  ['GET', '/api/backends/budget', 'backends', 'Get remote spend against budget limits', {
+    description: 'Today\'s and this month\'s spend (UTC) globally and per backend, each configured limit with its percent used, state (ok, warning or exceeded) and reset time. A backend\'s own limits live in its budget field (dailyUsd, monthlyUsd, warnPercent) on POST/PUT /api/backends.',
+  }],
+  ['GET', '/api/backends/budget/settings', 'backends', 'Get the global remote spend budget'],
+  ['PUT', '/api/backends/budget/settings', 'backends', 'Configure the global remote spend budget', {
+    description: 'Stored in config.backends.budget; a null limit is unlimited. Spend is priced from each backend\'s costs block and persisted across restarts. Past warnPercent of a limit the manager logs a warning; at the limit routing skips the backend (or every backend, for global limits) until the period resets. onExceeded picks what happens to work policy routing would have offloaded: local falls back to the local lane, reject answers 402. Requests naming a backend explicitly (backendId/model) always get 402 with Retry-After.',
+    body: { dailyUsd: 5, monthlyUsd: 100, warnPercent: 80, onExceeded: 'local' },
+  }],
+  ['GET', '/api/backends/slo', 'backends', 'Get latency-SLO routing decisions and prediction accuracy', {
+    description: 'Whether the slo offload policy is active, its settings, decision counts (local, remote, and unattainable — no host predicted to meet the target) and, per host, the bias, mean and p95 absolute error between predicted and observed TTFT and the share of requests that met their target. Only streamed chat and completion requests are measured.',
+  }],
+  ['GET', '/api/backends/slo/settings', 'backends', 'Get latency-SLO routing settings'],
+  ['PUT', '/api/backends/slo/settings', 'backends', 'Configure latency-SLO routing', {
+    description: 'Stored in config.backends.slo and used by the slo offload policy. A request\'s max_ttft_ms (or X-Llama-Max-TTFT-Ms header) takes precedence over targets, which map model or alias names (globs allowed) to milliseconds, and over defaultMaxTtftMs. coldLoadMsPerGiB is the local prediction\'s cost of loading a non-resident model. The cheapest host predicted to meet the target serves the request.',
+    body: { defaultMaxTtftMs: 3000, coldLoadMsPerGiB: 1500, targets: { 'default-big': 2000 } },
+  }],
+  ['GET', '/api/backends/hedging', 'backends', 'Get request hedging settings, budget use and outcomes', {
+    description: 'The hedging settings, eligible and hedged requests in the 10-minute budget window, outcomes since start (localWon, remoteWon, failed, overBudget, noBackend) and, per backend, hedges fired, won and lost.',
+  }],
+  ['GET', '/api/backends/hedging/settings', 'backends', 'Get request hedging settings'],
+  ['PUT', '/api/backends/hedging/settings', 'backends', 'Configure request hedging', {
+    description: 'Stored in config.backends.hedging. A streamed realtime chat completion is hedged when it sets hedge: true (or X-Llama-Hedge: true) or its model or alias matches aliases (globs allowed); hedge: false opts out. After the local TTFT percentile, clamped to minDelayMs-maxDelayMs (fallbackDelayMs until 10 requests were measured), the request is also sent to the fastest remote; the first to stream output serves it and the other is cancelled. budgetPercent caps hedges per 100 eligible requests.',
+    body: { enabled: true, percentile: 90, minDelayMs: 250, maxDelayMs: 10000, fallbackDelayMs: 2000, budgetPercent: 10, aliases: ['chat-fast'] },
+  }],
+  ['GET', '/api/aliases', 'backends', 'List alias groups with weighted split stats', {
+    description: 'Each group in config.aliases with its targets (host `local` or a backend id, and a model). In a weighted split every target also carries its weight, its share of the group total and, since start, requests assigned, completed and failed, success rate and mean latency.',
+  }],
+  ['PUT', '/api/aliases/{name}', 'backends', 'Create or replace an alias group', {
+    description: 'Giving any target a weight makes the group a weighted split for chat and text completions: each conversation is placed on one target by its lineage key, so all of its turns stay on that target while the weights are unchanged, and unavailable targets drop out of the pick. Weighted targets must name exact models and the weights must not all be 0. Promote or roll back a canary by re-sending the targets with new weights; stats are kept. Returns warnings for names that shadow a local model or preset and for unknown hosts.',
+    body: { targets: [{ host: 'local', model: 'qwen3-32b', weight: 90 }, { host: 'gpu-box', model: 'qwen3-235b', weight: 10 }] },
+  }],
+  ['DELETE', '/api/aliases/{name}', 'backends', 'Remove an alias group'],
+  ['GET', '/api/backends/{id}/model-suggestions', 'backends', 'Suggest model mappings and alias targets from a backend model list', {
+    description: 'Fetches the backend\'s model list and matches each id to local models and alias names by canonical name (org prefix, quant suffix, .gguf and Ollama :tag folded away, so qwen3:32b matches Qwen3-32B-Q4_K_M.gguf). Suggestions of kind mapping add a modelMapping entry (source local, alias, or canonical for a remote model nothing routes to yet); kind alias-target adds the backend to an unweighted alias group serving the same model. Also returns the backend\'s autoSyncModels flag and its last automatic sync. Peer managers get no suggestions.',
+  }],
+  ['POST', '/api/backends/{id}/model-suggestions/apply', 'backends', 'Apply model-mapping suggestions', {
+    description: 'Recomputes the suggestions and applies those whose id is listed, or all of them when ids is omitted. Existing mappings and targets are never changed. A backend with autoSyncModels: true (set on POST/PUT /api/backends) has all its suggestions applied every 5 minutes.',
+    body: { ids: ['mapping:qwen3-32b', 'alias:coder:qwen3:32b'] },
+  }],
+  ['GET', '/api/peer/state', 'backends', 'Get this manager\'s state for peer managers', {
+    description: 'Polled every 10 seconds by managers that have this one configured as a peer backend: instance id, engine, loaded and servable models, local queue depth, thermal pause, memory headroom and this manager\'s own peers. Requires the inference scope, so the key a peer sends requests with also reads its state.',
+  }],
+  ['GET', '/api/peers', 'backends', 'Get the fleet of peer managers', {
+    description: 'This manager\'s own state, each configured peer backend with its last polled state (stale after 30 seconds, when it stops steering routing), poll error and circuit, and discovered managers that a peer lists but that are not configured here.',
+  }],
+
+  // Manager-issued client API keys and enforcement.
+  ['GET', '/api/auth/keys', 'auth', 'List client API keys and enforcement settings'],
+  ['POST', '/api/auth/keys', 'auth', 'Mint a scoped client API key', {
+    description: 'Creates an `lmk_` key with the given label and scopes (inference, read, models:write, admin). The raw key is returned only in this response; the manager stores its SHA-256 digest.',
+    body: { label: 'ci runner', scopes: ['inference'] },
+  }],
+  ['PATCH', '/api/auth/keys/{id}', 'auth', 'Relabel or re-scope a client API key', { body: { label: 'ci runner (staging)' } }],
+  ['DELETE', '/api/auth/keys/{id}', 'auth', 'Revoke a client API key'],
+  ['PUT', '/api/auth/settings', 'auth', 'Enable or disable client API key enforcement', {
+    description: 'When enabled, every /api and /v1 route except health checks requires a key holding the route scope. Enabling fails with 409 until an admin-scoped key exists. trustLoopback (default true) admits keyless loopback callers.',
+    body: { enabled: true, trustLoopback: true },
+  }],
 
   // Health, status, and request queue.
   ['GET', '/api/status', 'system', 'Get detailed manager status'],
   ['GET', '/health', 'system', 'Check manager health'],
+  ['GET', '/metrics', 'system', 'Scrape Prometheus metrics', {
+    description: 'Prometheus text exposition of queue depth, request throughput and TTFT histograms, GPU telemetry, resident models, restart-governor, circuit-breaker, slot-cache and ds4 state. Requires the read scope when API keys are enforced.',
+  }],
+  ['GET', '/api/tracing/settings', 'system', 'Get OpenTelemetry trace export settings and exporter counters'],
+  ['PUT', '/api/tracing/settings', 'system', 'Configure OpenTelemetry OTLP/HTTP trace export', {
+    description: 'Generation requests become traces with alias_resolution, resolve_backend, queue_wait, ensure_model_served, slot_restore, upstream_fetch and upstream_stream child spans, continuing any incoming W3C traceparent. Header values are write-only.',
+    body: { enabled: true, endpoint: 'http://127.0.0.1:4318/v1/traces', serviceName: 'llama-manager', sampleRatio: 1 },
+  }],
+  ['GET', '/api/alerts/settings', 'system', 'Get alert rules, channels and the signal catalog'],
+  ['PUT', '/api/alerts/settings', 'system', 'Configure alert rules and notification channels', {
+    description: 'Rules watch a gauge (thermal.max_temp_c, memory.available_gib, queue.stalled, backend.circuits_open, …) with op/threshold held for forSeconds, or an event (crash, ds4.update_failed). Each rule has a severity and cooldownSeconds, and may name channels (empty means all). Channels post Slack, Discord, ntfy or generic JSON webhooks with an email-style subject; url and headers are write-only and kept when omitted.',
+    body: {
+      rules: [{ id: 'thermal-critical', name: 'Die temperature critical', signal: 'thermal.max_temp_c', op: '>=', threshold: 95, forSeconds: 30, cooldownSeconds: 900, severity: 'critical' }],
+      channels: [{ id: 'phone', type: 'ntfy', url: 'https://ntfy.sh', topic: 'llama-lab', minSeverity: 'warning' }],
+    },
+  }],
+  ['GET', '/api/alerts/status', 'system', 'Get firing state per alert rule and current gauge samples'],
+  ['GET', '/api/alerts/history', 'system', 'Search alert history', {
+    description: 'Fired, resolved and test alerts with per-channel delivery results. Same q, since/until, limit and cursor paging as /api/request-logs.',
+  }],
+  ['POST', '/api/alerts/test', 'system', 'Send a test alert', {
+    description: 'Delivers a test alert to body.channel, or to every channel when omitted, ignoring the enabled flag and minSeverity. 404 for unknown channel ids.',
+    body: { channel: 'phone' },
+  }],
   ['GET', '/api/health/gpu', 'system', 'Get GPU health telemetry'],
   ['GET', '/api/v1/health', 'system', 'Check versioned API health'],
   ['POST', '/api/queue/flush', 'queue', 'Flush queued inference requests'],
@@ -742,6 +852,31 @@ const ROUTES = [
   ['DELETE', '/api/queue/{id}', 'queue', 'Cancel a queued request'],
   ['DELETE', '/api/queue/active/{id}', 'queue', 'Cancel an active request'],
   ['GET', '/api/queue/watch/{id}', 'queue', 'Watch request queue progress'],
+  ['GET', '/api/queue/clients', 'queue', 'Get per-client usage counters, limits and queue share', {
+    description: 'Each client carries its usage counters, effective limits, fair-share `weight`, and `queue` for the local lane: pending and active requests, `recentShare` (fraction of the last 100 dispatches) and `fairShare` (its weight over the weights of clients currently waiting or running), or null when it has no queued work or recent dispatches.',
+  }],
+  ['PUT', '/api/queue/clients/limits', 'queue', 'Set per-client rate limits and token quotas', {
+    description: 'Replaces config.clientLimits. Clients are keyed by API key id or `client:<X-Client-Id>`; `default` applies to identified clients without an entry and `anonymous` to callers with neither. Each limit (requestsPerMinute, tokensPerDay, maxConcurrent) is a positive integer, or 0/null for unlimited. Over-limit generation requests receive an OpenAI-shaped 429 with Retry-After and x-ratelimit-* headers.',
+    body: { default: { requestsPerMinute: 60, tokensPerDay: 2000000, maxConcurrent: 2 }, clients: { 'client:nightly-batch': { maxConcurrent: 1 } } },
+  }],
+  ['PUT', '/api/queue/clients/weights', 'queue', 'Set per-client fair-share weights', {
+    description: 'Replaces config.queueWeights. Keys are client ids as in client limits (API key id, `client:<X-Client-Id>` or `anonymous`); weights run from 0.1 to 100 and unlisted clients weigh 1. Within each priority class the local queue serves clients by weighted start-time fair queuing, so a client with weight 2 gets twice the dispatches of a weight-1 client while both have requests waiting. Realtime still goes ahead of interactive, and background keeps its queue cap and burst guard.',
+    body: { 'client:nightly-batch': 0.5, 'key_ab12cd': 2 },
+  }],
+  ['GET', '/api/queue/preemption', 'queue', 'Get resumable preemption settings and counters', {
+    description: 'Settings from config.resumablePreemption and counters since start: checkpoints (background streams paused by a realtime preemption), resumes, slotSaves and failed continuations.',
+  }],
+  ['PUT', '/api/queue/preemption', 'queue', 'Set resumable preemption settings', {
+    description: 'Replaces config.resumablePreemption. When enabled, a streamed background chat completion preempted by realtime work keeps the output already sent, queues again, and continues with that output as an assistant prefill once the lane frees; the continuation carries the first stream\'s id, so the client sees one response. maxResumes (1-20) bounds pauses per request, after which a preemption fails the stream as before. saveSlot dumps the slot through the slot save path before handing the lane over and restores it for the continuation.',
+    body: { enabled: true, maxResumes: 3, saveSlot: false },
+  }],
+  ['GET', '/api/batches', 'queue', 'List batches with progress and the batch schedule', {
+    description: 'The 50 newest batches with request counts and `in_flight`, the schedule from config.batches, and `gate` ({open, reason, thermalState}) saying whether batch requests are being dispatched now.',
+  }],
+  ['PUT', '/api/batches/settings', 'queue', 'Set the batch schedule', {
+    description: 'Replaces config.batches. `windows` are local HH:MM ranges (an end before the start runs overnight; empty means any time), `requireCool` pauses dispatch unless the thermal guard reports normal, `concurrency` (1–16) caps batch requests in flight across all batches and `maxAttempts` (1–10) bounds retries after preemption, 429 or 5xx.',
+    body: { windows: [{ start: '22:00', end: '06:00' }], requireCool: true, concurrency: 1, maxAttempts: 3 },
+  }],
 
   // Local models, downloads, and repositories.
   ['GET', '/api/models/aliases', 'models', 'List model aliases'],
@@ -783,10 +918,57 @@ const ROUTES = [
   ['GET', '/api/logs/filters', 'logs', 'Get server log filters'],
   ['POST', '/api/logs/filters', 'logs', 'Set server log filters'],
   ['DELETE', '/api/logs/filters', 'logs', 'Clear server log filters'],
-  ['GET', '/api/request-logs', 'logs', 'Get HTTP request logs'],
+  ['GET', '/api/request-logs', 'logs', 'Search persisted HTTP request logs', {
+    description: 'Newest-first page of request logs from the on-disk store, returned oldest-first as { logs, nextCursor }. Filters: q (all terms, full text), model, backend, status (ok, error, 5xx, 404), client, since/until (ISO or epoch ms), limit (max 500). Pass nextCursor back as cursor for the next older page.',
+  }],
   ['DELETE', '/api/request-logs', 'logs', 'Clear HTTP request logs'],
-  ['GET', '/api/llm-logs', 'logs', 'Get model inference logs'],
+  ['GET', '/api/llm-logs', 'logs', 'Search persisted model inference logs', {
+    description: 'Same paging and filters as /api/request-logs, searching prompts, messages, responses and errors. endpoint filters by inference endpoint; prefix it with - to exclude one (endpoint=-embeddings).',
+  }],
   ['DELETE', '/api/llm-logs', 'logs', 'Clear model inference logs'],
+  ['POST', '/api/llm-logs/{id}/replay', 'logs', 'Replay a logged inference request', {
+    description: 'Re-submits the captured requestBody of a chat/completions, completions, responses or messages log entry through the matching /v1 handler (non-streaming). model, backend (`local` or a backend id) and sampling overrides (temperature, top_p, max_tokens, seed, …; null removes a field) are optional. Returns original and replay summaries with token counts, duration and timing evidence. 409 when the entry has no captured body, or its body was redacted or had inline media omitted (code REPLAY_BODY_NOT_CAPTURED, REPLAY_BODY_REDACTED or REPLAY_BODY_TRUNCATED).',
+    body: { model: 'qwen3-8b', backend: 'local', sampling: { temperature: 0.2 } },
+  }],
+  ['GET', '/api/audit', 'logs', 'Search the administrative audit log', {
+    description: 'Append-only record of every mutating admin and models:write request, including denied ones: actor (API key, X-Client-Id, IP, user agent), method and route pattern, route params, redacted request body, result status and error, and the before/after diff of each config path changed. Same q, status, client, since/until, limit and cursor paging as /api/request-logs.',
+  }],
+  ['GET', '/api/audit/retention', 'logs', 'Get audit log retention and on-disk usage'],
+  ['PUT', '/api/audit/retention', 'logs', 'Raise audit log retention', {
+    description: 'Stored in config.auditRetention (defaults: 365 days, 1024 MB), separate from config.logRetention so shrinking general log retention never removes audit entries. maxAgeDays and maxSizeMb can only be raised here; a lower value is rejected with 400 and must be set by editing config.json.',
+    body: { maxAgeDays: 730 },
+  }],
+  ['GET', '/api/shadows', 'logs', 'List shadow traffic rules with their comparison summary', {
+    description: 'Each rule in config.shadows: the model or alias name clients request, the shadow target (host `local` or a backend id, and an exact model), the sampled percent and whether it is enabled, plus pairs stored since start, identical outputs, mean similarity, mean latency and output tokens for primary and shadow, failures and skipped mirrors by reason (local_only, primary_failed, saturated, not_resident, thermal, local_busy, preempted, engine_busy, backend_unavailable, circuit_open, over_budget, backend_busy, unsupported_endpoint).',
+  }],
+  ['GET', '/api/shadows/records', 'logs', 'Search stored primary / shadow output pairs', {
+    description: 'Same paging and filters as /api/request-logs; model is the rule name and backend the shadow host. Each pair has the prompt, primary and shadow outputs with status, latency and token usage, and a comparison (identical, word-overlap similarity 0-1, shadow-to-primary length ratio). Prompts and outputs follow the LLM log capture and redaction settings.',
+  }],
+  ['DELETE', '/api/shadows/records', 'logs', 'Clear stored shadow pairs'],
+  ['PUT', '/api/shadows/{name}', 'logs', 'Mirror a share of a model or alias to a shadow target', {
+    description: 'Creates or updates the rule for requests naming {name} (an alias such as default-big, or a model). Chat and text completions are sampled at percent and, once the primary response has been sent, re-sent non-streaming to the target; the shadow output is never returned to the client. Local targets run only on an already-loaded model at background priority and never load or evict one; remote targets are skipped when the backend is unhealthy, over budget or at capacity. local_only requests are never mirrored to a remote.',
+    body: { host: 'local', model: 'qwen3-32b', percent: 10, enabled: true },
+  }],
+  ['DELETE', '/api/shadows/{name}', 'logs', 'Remove a shadow traffic rule'],
+  ['GET', '/api/logs/retention', 'logs', 'Get log retention settings and on-disk usage'],
+  ['PUT', '/api/logs/retention', 'logs', 'Set log retention by age and total size', {
+    description: 'Stored in config.logRetention and applied to the request, LLM, shadow traffic and alert history log stores immediately (the audit log has its own retention, see /api/audit/retention). Whole segments older than maxAgeDays, or beyond maxSizeMb per store, are deleted.',
+    body: { maxAgeDays: 14, maxSizeMb: 1024, segmentSizeMb: 16 },
+  }],
+  ['GET', '/api/responses/settings', 'logs', 'Get stored response retention and the number stored'],
+  ['PUT', '/api/responses/settings', 'logs', 'Set stored response retention and cap', {
+    description: 'Stored in config.responses (defaults: ttlDays 30, maxRecords 10000) and applied immediately. Responses older than ttlDays are deleted; beyond maxRecords the oldest are evicted first. A longer ttlDays only extends responses stored from then on.',
+    body: { ttlDays: 7, maxRecords: 5000 },
+  }],
+  ['GET', '/api/redaction/settings', 'logs', 'Get sensitive-data redaction settings'],
+  ['PUT', '/api/redaction/settings', 'logs', 'Configure sensitive-data redaction', {
+    description: 'Stored in config.redaction. When enabled, built-in detectors (email, phone, api_key, credit_card, jwt) and operator regex rules replace matches with [REDACTED:<name>] in the server log, request/LLM/audit logs, their WebSocket broadcasts and the live active-request view. Clients in noBodyCapture (client id or API key label) never have prompts or responses captured. Invalid regexes are rejected with 400.',
+    body: { enabled: true, detectors: { phone: false }, rules: [{ name: 'employee_id', pattern: 'EMP-\\d{6}', flags: 'i' }], noBodyCapture: ['billing-service'] },
+  }],
+  ['POST', '/api/redaction/preview', 'logs', 'Preview redaction over sample text', {
+    description: 'Returns the redacted text and per-detector match counts. With settings, the unsaved settings are applied (redaction forced on); otherwise the saved ones.',
+    body: { text: 'Reach me at jane@example.com', settings: { rules: [] } },
+  }],
   ['GET', '/api/processes', 'system', 'List managed processes'],
   ['POST', '/api/processes/{pid}/kill', 'system', 'Terminate a managed process'],
 
@@ -796,6 +978,9 @@ const ROUTES = [
   ['GET', '/api/analytics/models', 'analytics', 'Get per-model analytics'],
   ['GET', '/api/analytics/request-stats', 'analytics', 'Get request outcome statistics'],
   ['GET', '/api/analytics/crashes', 'analytics', 'Get inference crash analytics'],
+  ['GET', '/api/analytics/usage', 'analytics', 'Get per-client usage and chargeback report', {
+    description: 'Prompt/completion tokens, requests, errors and error rate, GPU-seconds held on the local lane, and remote spend (backend costs pricing), charged to the calling client: API key, else X-Client-Id, else the User-Agent product name. Query: from / to (inclusive UTC days, default the last 30), period (day, month or total), groupBy (comma list of client, model, backend; default client,model), client (id or label) and model filters, format=csv for a spreadsheet download.',
+  }],
 
   // OpenAI-, Anthropic-, and reranking-compatible inference APIs.
   ['GET', '/api/v1/models', 'openai', 'List OpenAI-compatible models'],
@@ -808,13 +993,42 @@ const ROUTES = [
   ['GET', '/api/embed/model', 'models', 'Get the active embedding model'],
   ['POST', '/api/embed/model', 'models', 'Set the active embedding model'],
   ['GET', '/api/v1/models/{model}', 'openai', 'Get an OpenAI-compatible model'],
-  ['POST', '/api/v1/responses', 'openai', 'Create an OpenAI Responses API response'],
+  ['POST', '/api/v1/responses', 'openai', 'Create an OpenAI Responses API response', {
+    description: 'With `store` (default true) the response is kept for 30 days, visible only to the same API key or Authorization header. `previous_response_id` continues a stored response: the manager expands the chain into the full input before proxying (upstreams never see either field) and pins the chain to one llama.cpp slot so its KV prefix is reused. An unknown or expired id is a 400 `previous_response_not_found`.',
+  }],
+  ['GET', '/api/v1/responses/{id}', 'openai', 'Get a stored response'],
+  ['DELETE', '/api/v1/responses/{id}', 'openai', 'Delete a stored response', {
+    description: 'Responses continued from it keep the history before the deleted turn.',
+  }],
+  ['GET', '/api/v1/responses/{id}/input_items', 'openai', 'List the input items of a stored response', {
+    description: 'Items of that turn only, with ids. `limit` (1–100, default 20), `order` (`asc` or `desc`, default desc) and `after` (an item id) page the list.',
+  }],
   ['POST', '/api/v1/responses/input_tokens', 'openai', 'Count exact rendered Responses API input tokens'],
   ['POST', '/api/v1/messages', 'openai', 'Create an Anthropic-compatible message'],
   ['POST', '/api/v1/messages/count_tokens', 'openai', 'Count Anthropic message tokens'],
   ['POST', '/api/v1/rerank', 'openai', 'Rerank documents'],
   ['POST', '/api/v1/reranking', 'openai', 'Rerank documents through the compatibility alias'],
   ['POST', '/api/v1/audio/transcriptions', 'openai', 'Transcribe an audio file', TRANSCRIPTION_OPTIONS('/api/v1/audio/transcriptions')],
+  ['POST', '/api/v1/files', 'openai', 'Upload a batch input file', {
+    description: 'multipart/form-data with `file` (JSONL, up to 100 MB) and `purpose` set to `batch`; other purposes are rejected. Returns the OpenAI file object. Files and batches are visible only to the cache scope (API key or Authorization header) that created them; other callers get a 404.',
+  }],
+  ['GET', '/api/v1/files', 'openai', 'List uploaded and batch result files'],
+  ['GET', '/api/v1/files/{id}', 'openai', 'Get a file object'],
+  ['GET', '/api/v1/files/{id}/content', 'openai', 'Download a file as JSONL'],
+  ['DELETE', '/api/v1/files/{id}', 'openai', 'Delete a file', {
+    description: '409 while the file is the input of an unfinished batch.',
+  }],
+  ['POST', '/api/v1/batches', 'openai', 'Create a batch', {
+    description: 'Runs every line of the input file against `endpoint` (/v1/chat/completions, /v1/completions or /v1/embeddings) at background priority on the local lane, inside the schedule set by PUT /api/batches/settings. A file with invalid lines yields a `failed` batch listing them in `errors`. Only the 24h completion window is accepted; unfinished requests are written to the error file as `batch_expired` when it passes. Each line runs as the client that created the batch and counts against its client limits and usage.',
+    body: { input_file_id: 'file-abc123', endpoint: '/v1/chat/completions', completion_window: '24h', metadata: { job: 'nightly-eval' } },
+  }],
+  ['GET', '/api/v1/batches', 'openai', 'List batches', {
+    description: 'Newest first. Query: limit (1–100, default 20) and after (a batch id) for paging.',
+  }],
+  ['GET', '/api/v1/batches/{id}', 'openai', 'Get a batch'],
+  ['POST', '/api/v1/batches/{id}/cancel', 'openai', 'Cancel a batch', {
+    description: 'Aborts requests in flight and stops dispatching; results already written stay in the output and error files. 409 once the batch has finished.',
+  }],
 
   // Llama Manager context preparation and durable slot-cache extensions.
   ['POST', '/api/v1/context/prepare', 'context', 'Prepare a reusable inference context', CONTEXT_PREPARE_OPTIONS],
@@ -829,12 +1043,41 @@ const ROUTES = [
   ['POST', '/v1/chat/completions', 'openai', 'Create a chat completion', CHAT_OPTIONS('/v1/chat/completions')],
   ['POST', '/v1/completions', 'openai', 'Create a legacy text completion'],
   ['POST', '/v1/embeddings', 'openai', 'Create vector embeddings'],
-  ['POST', '/v1/responses', 'openai', 'Create an OpenAI Responses API response'],
+  ['POST', '/v1/responses', 'openai', 'Create an OpenAI Responses API response', {
+    description: 'With `store` (default true) the response is kept for 30 days, visible only to the same API key or Authorization header. `previous_response_id` continues a stored response: the manager expands the chain into the full input before proxying (upstreams never see either field) and pins the chain to one llama.cpp slot so its KV prefix is reused. An unknown or expired id is a 400 `previous_response_not_found`.',
+  }],
+  ['GET', '/v1/responses/{id}', 'openai', 'Get a stored response'],
+  ['DELETE', '/v1/responses/{id}', 'openai', 'Delete a stored response', {
+    description: 'Responses continued from it keep the history before the deleted turn.',
+  }],
+  ['GET', '/v1/responses/{id}/input_items', 'openai', 'List the input items of a stored response', {
+    description: 'Items of that turn only, with ids. `limit` (1–100, default 20), `order` (`asc` or `desc`, default desc) and `after` (an item id) page the list.',
+  }],
   ['POST', '/v1/messages', 'openai', 'Create an Anthropic-compatible message'],
   ['POST', '/v1/messages/count_tokens', 'openai', 'Count Anthropic message tokens'],
   ['POST', '/v1/rerank', 'openai', 'Rerank documents'],
   ['POST', '/v1/reranking', 'openai', 'Rerank documents through the compatibility alias'],
   ['POST', '/v1/audio/transcriptions', 'openai', 'Transcribe an audio file', TRANSCRIPTION_OPTIONS('/v1/audio/transcriptions')],
+  ['POST', '/v1/files', 'openai', 'Upload a batch input file', {
+    description: 'multipart/form-data with `file` (JSONL, up to 100 MB) and `purpose` set to `batch`; other purposes are rejected. Returns the OpenAI file object. Files and batches are visible only to the cache scope (API key or Authorization header) that created them; other callers get a 404.',
+  }],
+  ['GET', '/v1/files', 'openai', 'List uploaded and batch result files'],
+  ['GET', '/v1/files/{id}', 'openai', 'Get a file object'],
+  ['GET', '/v1/files/{id}/content', 'openai', 'Download a file as JSONL'],
+  ['DELETE', '/v1/files/{id}', 'openai', 'Delete a file', {
+    description: '409 while the file is the input of an unfinished batch.',
+  }],
+  ['POST', '/v1/batches', 'openai', 'Create a batch', {
+    description: 'Runs every line of the input file against `endpoint` (/v1/chat/completions, /v1/completions or /v1/embeddings) at background priority on the local lane, inside the schedule set by PUT /api/batches/settings. A file with invalid lines yields a `failed` batch listing them in `errors`. Only the 24h completion window is accepted; unfinished requests are written to the error file as `batch_expired` when it passes. Each line runs as the client that created the batch and counts against its client limits and usage.',
+    body: { input_file_id: 'file-abc123', endpoint: '/v1/chat/completions', completion_window: '24h', metadata: { job: 'nightly-eval' } },
+  }],
+  ['GET', '/v1/batches', 'openai', 'List batches', {
+    description: 'Newest first. Query: limit (1–100, default 20) and after (a batch id) for paging.',
+  }],
+  ['GET', '/v1/batches/{id}', 'openai', 'Get a batch'],
+  ['POST', '/v1/batches/{id}/cancel', 'openai', 'Cancel a batch', {
+    description: 'Aborts requests in flight and stops dispatching; results already written stay in the output and error files. 409 once the batch has finished.',
+  }],
 
   // Agent-readable documentation generated from this catalog.
   ['GET', '/llms.txt', 'system', 'Get the concise agent-readable API index'],
@@ -31,12 +31,47 @@ const CURRENT_ENDPOINT_KEYS = [
   'GET /api/backends/{id}/models',
   'POST /api/backends/{id}/refresh-models',
   'POST /api/backends/refresh-models',
+  'POST /api/backends/{id}/transforms/preview',
+  'POST /api/backends/transforms/preview',
   'POST /api/backends/{id}/test',
   'GET /api/backends/stats',
   'GET /api/backends/routing',
   'POST /api/backends/routing',
+  'GET /api/backends/health',
+  'GET /api/backends/health/settings',
+  'PUT /api/backends/health/settings',
+  'POST /api/backends/{id}/probe',
+  'GET /api/backends/budget',
+  'GET /api/backends/budget/settings',
+  'PUT /api/backends/budget/settings',
+  'GET /api/backends/slo',
+  'GET /api/backends/slo/settings',
+  'PUT /api/backends/slo/settings',
+  'GET /api/backends/hedging',
+  'GET /api/backends/hedging/settings',
+  'PUT /api/backends/hedging/settings',
+  'GET /api/aliases',
+  'PUT /api/aliases/{name}',
+  'DELETE /api/aliases/{name}',
+  'GET /api/backends/{id}/model-suggestions',
+  'POST /api/backends/{id}/model-suggestions/apply',
+  'GET /api/peer/state',
+  'GET /api/peers',
+  'GET /api/auth/keys',
+  'POST /api/auth/keys',
+  'PATCH /api/auth/keys/{id}',
+  'DELETE /api/auth/keys/{id}',
+  'PUT /api/auth/settings',
   'GET /api/status',
   'GET /health',
+  'GET /metrics',
+  'GET /api/tracing/settings',
+  'PUT /api/tracing/settings',
+  'GET /api/alerts/settings',
+  'PUT /api/alerts/settings',
+  'GET /api/alerts/status',
+  'GET /api/alerts/history',
+  'POST /api/alerts/test',
   'GET /api/health/gpu',
   'GET /api/v1/health',
   'POST /api/queue/flush',
@@ -44,6 +79,13 @@ const CURRENT_ENDPOINT_KEYS = [
   'DELETE /api/queue/{id}',
   'DELETE /api/queue/active/{id}',
   'GET /api/queue/watch/{id}',
+  'GET /api/queue/clients',
+  'PUT /api/queue/clients/limits',
+  'PUT /api/queue/clients/weights',
+  'GET /api/queue/preemption',
+  'PUT /api/queue/preemption',
+  'GET /api/batches',
+  'PUT /api/batches/settings',
   'GET /api/models/aliases',
   'PUT /api/models/aliases/{modelName}',
   'DELETE /api/models/aliases/{modelName}',
@@ -83,6 +125,22 @@ const CURRENT_ENDPOINT_KEYS = [
   'DELETE /api/request-logs',
   'GET /api/llm-logs',
   'DELETE /api/llm-logs',
+  'POST /api/llm-logs/{id}/replay',
+  'GET /api/audit',
+  'GET /api/shadows',
+  'GET /api/shadows/records',
+  'DELETE /api/shadows/records',
+  'PUT /api/shadows/{name}',
+  'DELETE /api/shadows/{name}',
+  'GET /api/audit/retention',
+  'PUT /api/audit/retention',
+  'GET /api/logs/retention',
+  'PUT /api/logs/retention',
+  'GET /api/responses/settings',
+  'PUT /api/responses/settings',
+  'GET /api/redaction/settings',
+  'PUT /api/redaction/settings',
+  'POST /api/redaction/preview',
   'GET /api/processes',
   'POST /api/processes/{pid}/kill',
   'GET /api/analytics',
@@ -90,6 +148,7 @@ const CURRENT_ENDPOINT_KEYS = [
   'GET /api/analytics/models',
   'GET /api/analytics/request-stats',
   'GET /api/analytics/crashes',
+  'GET /api/analytics/usage',
   'GET /api/v1/models',
   'POST /api/v1/chat/completions',
   'POST /api/v1/completions',
@@ -149,11 +208,23 @@ test('catalog describes the dual OpenAI surface and full multimodal contract', (
     ['POST', '/completions'],
     ['POST', '/embeddings'],
     ['POST', '/responses'],
+    ['GET', '/responses/{id}'],
+    ['DELETE', '/responses/{id}'],
+    ['GET', '/responses/{id}/input_items'],
     ['POST', '/messages'],
     ['POST', '/messages/count_tokens'],
     ['POST', '/rerank'],
     ['POST', '/reranking'],
     ['POST', '/audio/transcriptions'],
+    ['POST', '/files'],
+    ['GET', '/files'],
+    ['GET', '/files/{id}'],
+    ['GET', '/files/{id}/content'],
+    ['DELETE', '/files/{id}'],
+    ['POST', '/batches'],
+    ['GET', '/batches'],
+    ['GET', '/batches/{id}'],
+    ['POST', '/batches/{id}/cancel'],
   ];
 
   assert.equal(OPENAI_BASE_URL, 'http://<host>:5250/v1');
@@ -0,0 +1,200 @@
+// Llama Manager — administrative audit log.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Every mutating admin / models:write request (model loads, preset and alias
+// edits, routing policy, process kills, engine updates, settings writes)
+// becomes one structured audit entry: who made it (API key, client id, IP),
+// the route and its parameters, a redacted copy of the request body, the
+// before/after diff of whatever part of the config it changed, and the
+// result. server.js snapshots config when such a request arrives and builds
+// the entry when the response finishes; entries are appended to a LogStore
+// and never edited or cleared through the API. The audit store has its own
+// retention (config.auditRetention), which the API can raise but not lower,
+// so shrinking general log retention cannot wipe the trail.
+
+import { normalizeLogRetention } from './log-store.js';
+
+/** Audit retention defaults (config.auditRetention). */
+export const AUDIT_RETENTION_DEFAULTS = Object.freeze({
+  maxAgeDays: 365,
+  maxSizeMb: 1024,
+  segmentSizeMb: 16,
+});
+
+/** Scopes whose non-read requests are audited (see api-keys.js requiredScope). */
+export const AUDITED_SCOPES = Object.freeze(['admin', 'models:write']);
+
+/** Placeholder for secret values in bodies and config diffs. */
+export const AUDIT_REDACTED = '[redacted]';
+
+/** Cap on diff rows per entry; later rows are summarized by `truncated`. */
+export const MAX_AUDIT_CHANGES = 100;
+
+const MAX_BODY_CHARS = 4096;
+const SECRET_KEY_PATTERN = /^(?:.*token|.*secret|password|passphrase|api[-_]?key|authorization|cookie)$/i;
+// Webhook URLs embed their credentials (see alerts.js).
+const SECRET_URL_PARENTS = new Set(['channels']);
+
+/**
+ * Whether a request is an auditable administrative action.
+ *
+ * @param {string} method HTTP method.
+ * @param {string|null} scope Scope returned by requiredScope().
+ * @returns {boolean} True for mutating admin / models:write requests.
+ */
+export function isAuditedRequest(method, scope) {
+  const verb = String(method || 'GET').toUpperCase();
+  return AUDITED_SCOPES.includes(scope) && verb !== 'GET' && verb !== 'HEAD' && verb !== 'OPTIONS';
+}
+
+/**
+ * Normalize the audit retention block; omitted fields take the audit defaults.
+ *
+ * @param {Record<string, unknown>} [input] Partial settings.
+ * @returns {{maxAgeDays:number, maxSizeMb:number, segmentSizeMb:number}} Settings.
+ * @throws {TypeError} When a field is unknown or not a positive number.
+ */
+export function normalizeAuditRetention(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new TypeError('audit retention must be an object');
+  }
+  return normalizeLogRetention({ ...AUDIT_RETENTION_DEFAULTS, ...input });
+}
+
+/**
+ * Apply an update to audit retention through the API. Limits may only grow:
+ * an admin who could shorten them could erase the record of their own actions.
+ *
+ * @param {Record<string, unknown>} current Current config.auditRetention.
+ * @param {Record<string, unknown>} update Requested fields.
+ * @returns {{maxAgeDays:number, maxSizeMb:number, segmentSizeMb:number}} New settings.
+ * @throws {TypeError} On invalid values or when maxAgeDays or maxSizeMb would shrink.
+ */
+export function raiseAuditRetention(current = {}, update = {}) {
+  const before = normalizeAuditRetention(current);
+  const next = normalizeAuditRetention({ ...before, ...update });
+  for (const field of ['maxAgeDays', 'maxSizeMb']) {
+    if (next[field] < before[field]) {
+      throw new TypeError(`audit ${field} can only be raised through the API (currently ${before[field]})`);
+    }
+  }
+  return next;
+}
+
+/**
+ * Deep copy with secret-looking string values replaced: keys named like
+ * tokens, secrets, passwords or API keys, every value under a `headers`
+ * object, and `url` fields of alert channels.
+ *
+ * @param {unknown} value Value to copy.
+ * @param {string[]} [path] Key path of `value` (used for context rules).
+ * @returns {unknown} Redacted copy.
+ */
+export function redactSecrets(value, path = []) {
+  const key = path[path.length - 1];
+  if (typeof value === 'string') {
+    if (typeof key === 'string' && SECRET_KEY_PATTERN.test(key)) return AUDIT_REDACTED;
+    if (path.includes('headers')) return AUDIT_REDACTED;
+    if (key === 'url' && path.some(part => SECRET_URL_PARENTS.has(part))) return AUDIT_REDACTED;
+    return value;
+  }
+  if (Array.isArray(value)) return value.map((item, index) => redactSecrets(item, [...path, index]));
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [inner, innerValue] of Object.entries(value)) copy[inner] = redactSecrets(innerValue, [...path, inner]);
+    return copy;
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Leaf-level differences between two config snapshots. Objects are walked
+ * key by key; arrays and primitives are compared as whole values. Values are
+ * redacted with redactSecrets().
+ *
+ * @param {unknown} before Snapshot taken when the request arrived.
+ * @param {unknown} after Snapshot taken when the response finished.
+ * @returns {{changes:Array<{path:string, before:unknown, after:unknown}>, truncated:number}}
+ *   Changed dotted paths (`undefined` before/after means added/removed).
+ */
+export function diffConfig(before, after) {
+  const changes = [];
+  let truncated = 0;
+  const visit = (a, b, path) => {
+    if (isPlainObject(a) && isPlainObject(b)) {
+      const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+      for (const key of [...keys].sort()) visit(a[key], b[key], [...path, key]);
+      return;
+    }
+    if (JSON.stringify(a) === JSON.stringify(b)) return;
+    if (changes.length >= MAX_AUDIT_CHANGES) {
+      truncated += 1;
+      return;
+    }
+    changes.push({ path: path.join('.'), before: redactSecrets(a, path), after: redactSecrets(b, path) });
+  };
+  visit(before, after, []);
+  return { changes, truncated };
+}
+
+/**
+ * Redacted request body for the entry, or a size note when it is too large
+ * to keep verbatim.
+ *
+ * @param {unknown} body Parsed request body.
+ * @returns {unknown} Body to store (null when empty).
+ */
+export function auditRequestBody(body) {
+  if (body === undefined || body === null) return null;
+  if (isPlainObject(body) && Object.keys(body).length === 0) return null;
+  const redacted = redactSecrets(body);
+  const text = JSON.stringify(redacted);
+  if (text.length <= MAX_BODY_CHARS) return redacted;
+  return { omitted: `${text.length} chars` };
+}
+
+/**
+ * Build one audit entry.
+ *
+ * @param {object} request
+ * @param {string} request.method HTTP method.
+ * @param {string} request.path Request path as received.
+ * @param {string|null} request.route Matched route pattern (e.g. `/api/presets/:id`).
+ * @param {Record<string,string>} [request.params] Route parameters.
+ * @param {unknown} [request.body] Parsed request body.
+ * @param {{keyId:(string|null), keyLabel:(string|null), client:(string|null), ip:(string|null), userAgent:(string|null), internal:boolean}} request.actor
+ *   Who made the request.
+ * @param {number} request.status Response status.
+ * @param {string|null} [request.error] Error message for failed requests.
+ * @param {number} request.durationMs Handling time.
+ * @param {unknown} request.configBefore Config snapshot at arrival.
+ * @param {unknown} request.configAfter Config snapshot at finish.
+ * @param {Date} [request.now] Entry time.
+ * @returns {object} Audit entry.
+ */
+export function buildAuditEntry({ method, path, route, params = {}, body, actor, status, error = null, durationMs, configBefore, configAfter, now = new Date() }) {
+  const { changes, truncated } = diffConfig(configBefore, configAfter);
+  return {
+    id: `${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: now.toISOString(),
+    method,
+    path,
+    endpoint: route ? `${method} ${route}` : `${method} ${path}`,
+    params: { ...params },
+    body: auditRequestBody(body),
+    actor,
+    client: actor.keyLabel || actor.client || (actor.internal ? 'internal' : 'anonymous'),
+    clientId: actor.keyId || null,
+    status,
+    ok: status < 400,
+    error: status >= 400 ? error || `HTTP ${status}` : null,
+    durationMs,
+    changes,
+    changesTruncated: truncated,
+  };
+}
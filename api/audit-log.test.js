@@ -0,0 +1,113 @@
+// Llama Manager — audit log tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies which requests are audited, secret redaction in bodies and config
+// diffs, leaf-level diffing, the entry shape used by the log store filters,
+// and that audit retention is separate and can only grow through the API.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { requiredScope } from './api-keys.js';
+import {
+  AUDIT_REDACTED,
+  AUDIT_RETENTION_DEFAULTS,
+  MAX_AUDIT_CHANGES,
+  auditRequestBody,
+  buildAuditEntry,
+  diffConfig,
+  isAuditedRequest,
+  normalizeAuditRetention,
+  raiseAuditRetention,
+  redactSecrets,
+} from './audit-log.js';
+import { matchesLogQuery, parseLogQuery } from './log-store.js';
+
+test('only mutating admin and models:write requests are audited', () => {
+  assert.equal(isAuditedRequest('POST', 'admin'), true);
+  assert.equal(isAuditedRequest('delete', 'models:write'), true);
+  assert.equal(isAuditedRequest('GET', 'admin'), false);
+  assert.equal(isAuditedRequest('POST', 'inference'), false);
+  assert.equal(isAuditedRequest('PUT', 'read'), false);
+  assert.equal(isAuditedRequest('POST', null), false);
+});
+
+test('mixed-case admin paths are classified, and so audited, like their canonical route', () => {
+  for (const path of ['/API/server/stop', '/Api/server/stop', '//api/server/stop/']) {
+    assert.equal(isAuditedRequest('POST', requiredScope('POST', path)), true, path);
+  }
+  assert.equal(isAuditedRequest('POST', requiredScope('POST', '/API/Models/Load')), true);
+});
+
+test('audit retention is separate from log retention and can only grow through the API', () => {
+  assert.deepEqual(normalizeAuditRetention({}), AUDIT_RETENTION_DEFAULTS);
+  assert.equal(normalizeAuditRetention({ maxAgeDays: 30 }).maxAgeDays, 30);
+  assert.throws(() => normalizeAuditRetention({ keepForever: true }), /unknown retention field/);
+  assert.deepEqual(raiseAuditRetention({}, { maxAgeDays: 730 }), { ...AUDIT_RETENTION_DEFAULTS, maxAgeDays: 730 });
+  assert.throws(() => raiseAuditRetention({}, { maxAgeDays: 1 }), /maxAgeDays can only be raised/);
+  assert.throws(() => raiseAuditRetention({ maxSizeMb: 2048 }, { maxSizeMb: 1024 }), /maxSizeMb can only be raised/);
+  assert.equal(raiseAuditRetention({}, { segmentSizeMb: 4 }).segmentSizeMb, 4);
+});
+
+test('secrets are redacted by key name, header maps and alert channel URLs', () => {
+  const redacted = redactSecrets({
+    hfToken: 'hf_abc',
+    maxTokens: 512,
+    tracing: { endpoint: 'http://collector:4318', headers: { 'x-api-key': 'k' } },
+    backends: { directory: [{ id: 'gpu', url: 'http://gpu:8080', apiKeyEnvVar: 'GPU_KEY' }] },
+    alerts: { channels: [{ id: 'ops', url: 'https://hooks.slack.com/T/secret' }] },
+  });
+  assert.equal(redacted.hfToken, AUDIT_REDACTED);
+  assert.equal(redacted.maxTokens, 512);
+  assert.equal(redacted.tracing.endpoint, 'http://collector:4318');
+  assert.equal(redacted.tracing.headers['x-api-key'], AUDIT_REDACTED);
+  assert.equal(redacted.backends.directory[0].url, 'http://gpu:8080');
+  assert.equal(redacted.backends.directory[0].apiKeyEnvVar, 'GPU_KEY');
+  assert.equal(redacted.alerts.channels[0].url, AUDIT_REDACTED);
+  assert.equal(auditRequestBody({ password: 'p', model: 'qwen' }).password, AUDIT_REDACTED);
+  assert.equal(auditRequestBody({}), null);
+  assert.match(auditRequestBody({ blob: 'x'.repeat(5000) }).omitted, /chars/);
+});
+
+test('config diffs list changed leaf paths with redacted values', () => {
+  const before = { defaultModels: { big: 'qwen', small: 'gemma' }, hfToken: 'old', aliases: ['a'] };
+  const after = { defaultModels: { big: 'ds4', small: 'gemma' }, hfToken: 'new', aliases: ['a', 'b'], guard: { enabled: true } };
+  const { changes, truncated } = diffConfig(before, after);
+  assert.equal(truncated, 0);
+  assert.deepEqual(changes, [
+    { path: 'aliases', before: ['a'], after: ['a', 'b'] },
+    { path: 'defaultModels.big', before: 'qwen', after: 'ds4' },
+    { path: 'guard', before: undefined, after: { enabled: true } },
+    { path: 'hfToken', before: AUDIT_REDACTED, after: AUDIT_REDACTED },
+  ]);
+  assert.deepEqual(diffConfig(before, structuredClone(before)).changes, []);
+
+  const wide = Object.fromEntries(Array.from({ length: MAX_AUDIT_CHANGES + 5 }, (_, i) => [`k${i}`, i]));
+  assert.equal(diffConfig({}, wide).truncated, 5);
+});
+
+test('entries carry actor, route and result in the fields log queries filter on', () => {
+  const entry = buildAuditEntry({
+    method: 'PUT',
+    path: '/api/default-models',
+    route: '/api/default-models',
+    body: { big: 'ds4' },
+    actor: { keyId: 'key_1', keyLabel: 'ops-laptop', client: null, ip: '10.0.0.5', userAgent: 'curl/8', internal: false },
+    status: 200,
+    durationMs: 12,
+    configBefore: { defaultModels: { big: 'qwen' } },
+    configAfter: { defaultModels: { big: 'ds4' } },
+    now: new Date('2026-10-19T03:00:00Z'),
+  });
+  assert.equal(entry.endpoint, 'PUT /api/default-models');
+  assert.equal(entry.client, 'ops-laptop');
+  assert.equal(entry.error, null);
+  assert.deepEqual(entry.changes, [{ path: 'defaultModels.big', before: 'qwen', after: 'ds4' }]);
+  assert.ok(matchesLogQuery(entry, parseLogQuery({ q: 'ds4', client: 'ops-laptop', status: 'ok' })));
+
+  const denied = buildAuditEntry({ ...entry, route: null, actor: { ...entry.actor, keyId: null, keyLabel: null }, status: 403, error: 'lacks admin', configBefore: {}, configAfter: {} });
+  assert.equal(denied.endpoint, 'PUT /api/default-models');
+  assert.equal(denied.client, 'anonymous');
+  assert.ok(matchesLogQuery(denied, parseLogQuery({ status: 'error' })));
+});
@@ -0,0 +1,279 @@
+// Llama Manager — spend budgets and automatic cutoff for remote backends.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// calculateBackendCost() prices every remote completion from the backend's
+// `costs` block; this module keeps a running total of that spend per backend
+// in UTC day buckets and checks it against daily and monthly limits, set per
+// backend and globally (all backends together). Crossing `warnPercent` of a
+// limit is a soft warning; reaching the limit is a hard cutoff that routing
+// treats like an open circuit until the period resets (UTC midnight or the
+// first of the month). The spend file persists like the usage ledger so a
+// restart does not hand out a fresh budget.
+
+import {
+  chmodSync,
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from 'node:fs';
+import { dirname } from 'node:path';
+
+import { utcDay } from './client-quotas.js';
+
+/** Spend file schema version. */
+export const BACKEND_SPEND_VERSION = 1;
+
+/** What policy routing does once a budget is exhausted: fall back to local or reject. */
+export const BUDGET_ACTIONS = Object.freeze(['local', 'reject']);
+
+/** Global budget used when config.backends.budget has never been saved. */
+export const BUDGET_DEFAULTS = Object.freeze({ dailyUsd: null, monthlyUsd: null, warnPercent: 80, onExceeded: 'local' });
+
+const DAY_MS = 86_400_000;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LIMIT_FIELDS = Object.freeze({ dailyUsd: 'day', monthlyUsd: 'month' });
+const BACKEND_FIELDS = Object.freeze(['dailyUsd', 'monthlyUsd', 'warnPercent']);
+
+function rejectUnknown(input, allowed, what) {
+  const unknown = Object.keys(input).filter(key => !allowed.includes(key));
+  if (unknown.length) throw new TypeError(`unknown ${what} field(s): ${unknown.join(', ')}`);
+}
+
+function normalizeLimit(value, name) {
+  if (value === null || value === undefined || value === '') return null;
+  const usd = Number(value);
+  if (!Number.isFinite(usd) || usd < 0) throw new TypeError(`${name} must be a non-negative number of USD or null`);
+  return usd;
+}
+
+function normalizeWarnPercent(value) {
+  const percent = Number(value);
+  if (!Number.isFinite(percent) || percent < 1 || percent > 100) throw new TypeError('warnPercent must be between 1 and 100');
+  return percent;
+}
+
+/**
+ * Validate the global budget (config.backends.budget).
+ *
+ * @param {Object} [input] Budget settings; omitted fields take defaults.
+ * @returns {{dailyUsd:(number|null), monthlyUsd:(number|null), warnPercent:number, onExceeded:string}}
+ *   Normalized budget; a null limit means unlimited.
+ * @throws {TypeError} On negative limits, an out-of-range warnPercent, an unknown action or unknown fields.
+ */
+export function normalizeGlobalBudget(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new TypeError('budget must be an object');
+  rejectUnknown(input, Object.keys(BUDGET_DEFAULTS), 'budget');
+  const onExceeded = input.onExceeded ?? BUDGET_DEFAULTS.onExceeded;
+  if (!BUDGET_ACTIONS.includes(onExceeded)) throw new TypeError(`onExceeded must be one of ${BUDGET_ACTIONS.join(', ')}`);
+  return {
+    dailyUsd: normalizeLimit(input.dailyUsd, 'dailyUsd'),
+    monthlyUsd: normalizeLimit(input.monthlyUsd, 'monthlyUsd'),
+    warnPercent: input.warnPercent === undefined || input.warnPercent === null ? BUDGET_DEFAULTS.warnPercent : normalizeWarnPercent(input.warnPercent),
+    onExceeded,
+  };
+}
+
+/**
+ * Validate a backend's own budget. Omitted fields are unlimited (limits) or
+ * inherit the global warnPercent.
+ *
+ * @param {Object|null} input Budget, or null to remove it.
+ * @returns {{dailyUsd?:number, monthlyUsd?:number, warnPercent?:number}|null} Normalized budget, or null when empty.
+ * @throws {TypeError} On invalid values or unknown fields.
+ */
+export function normalizeBackendBudget(input) {
+  if (input === null || input === undefined) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) throw new TypeError('budget must be an object or null');
+  rejectUnknown(input, BACKEND_FIELDS, 'budget');
+  const budget = {};
+  for (const field of Object.keys(LIMIT_FIELDS)) {
+    const limit = normalizeLimit(input[field], field);
+    if (limit !== null) budget[field] = limit;
+  }
+  if (input.warnPercent !== undefined && input.warnPercent !== null && input.warnPercent !== '') {
+    budget.warnPercent = normalizeWarnPercent(input.warnPercent);
+  }
+  return Object.keys(budget).length ? budget : null;
+}
+
+/**
+ * When a budget period rolls over.
+ *
+ * @param {'day'|'month'} period Budget period.
+ * @param {number} [now] Epoch milliseconds.
+ * @returns {number} Epoch milliseconds of the next UTC midnight or month start.
+ */
+export function budgetResetAt(period, now = Date.now()) {
+  const date = new Date(now);
+  return period === 'month'
+    ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+function roundUsd(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+/**
+ * Durable remote spend per UTC day and backend.
+ */
+export class BackendSpend {
+  /**
+   * Create a spend store backed by one JSON file.
+   *
+   * @param {Object} options Store options.
+   * @param {string} options.path Absolute spend file path.
+   * @param {number} [options.retentionDays] Days kept (default 62, enough for the current and previous month).
+   * @param {() => number} [options.now] Clock returning epoch milliseconds.
+   */
+  constructor({ path, retentionDays = 62, now = () => Date.now() } = {}) {
+    if (!path) throw new TypeError('backend spend path is required');
+    this.path = path;
+    this.tempPath = `${path}.tmp`;
+    this.retentionDays = retentionDays;
+    this.now = now;
+    this.days = new Map(); // day -> Map(backendId -> usd)
+    this.dirty = false;
+  }
+
+  /**
+   * Load spend from disk; a corrupt file starts empty.
+   *
+   * @returns {{days:number}} Number of days loaded.
+   */
+  load() {
+    this.days.clear();
+    if (existsSync(this.path)) {
+      try {
+        const parsed = JSON.parse(readFileSync(this.path, 'utf8'));
+        if (parsed?.version === BACKEND_SPEND_VERSION && parsed.days && typeof parsed.days === 'object') {
+          for (const [day, spend] of Object.entries(parsed.days)) {
+            if (!DAY_PATTERN.test(day) || !spend || typeof spend !== 'object') continue;
+            const map = new Map();
+            for (const [backendId, usd] of Object.entries(spend)) {
+              if (Number.isFinite(usd) && usd > 0) map.set(backendId, usd);
+            }
+            this.days.set(day, map);
+          }
+        }
+      } catch { /* corrupt spend files start empty */ }
+    }
+    this.prune();
+    this.dirty = false;
+    return { days: this.days.size };
+  }
+
+  /** Atomically persist spend when it changed since the last write. */
+  persist() {
+    if (!this.dirty) return;
+    mkdirSync(dirname(this.path), { recursive: true });
+    const days = {};
+    for (const [day, spend] of [...this.days].sort(([a], [b]) => a.localeCompare(b))) days[day] = Object.fromEntries(spend);
+    writeFileSync(this.tempPath, `${JSON.stringify({ version: BACKEND_SPEND_VERSION, days })}\n`, { mode: 0o600 });
+    renameSync(this.tempPath, this.path);
+    try { chmodSync(this.path, 0o600); } catch { /* best effort */ }
+    this.dirty = false;
+  }
+
+  /** Drop days older than the retention window. */
+  prune() {
+    const cutoff = utcDay(this.now() - this.retentionDays * DAY_MS);
+    for (const day of this.days.keys()) {
+      if (day < cutoff) {
+        this.days.delete(day);
+        this.dirty = true;
+      }
+    }
+  }
+
+  /**
+   * Add spend for a backend to today (or `at`).
+   *
+   * @param {string} backendId Backend id.
+   * @param {number} usd Spend in USD; zero and invalid amounts are ignored.
+   * @param {number} [at] Epoch milliseconds (defaults to now).
+   */
+  record(backendId, usd, at = this.now()) {
+    if (!backendId || !Number.isFinite(usd) || usd <= 0) return;
+    const day = utcDay(at);
+    let spend = this.days.get(day);
+    if (!spend) {
+      spend = new Map();
+      this.days.set(day, spend);
+      this.prune();
+    }
+    spend.set(backendId, (spend.get(backendId) || 0) + usd);
+    this.dirty = true;
+  }
+
+  /**
+   * Spend in the period containing `at`.
+   *
+   * @param {string|null} backendId Backend id, or null for all backends.
+   * @param {'day'|'month'} period Budget period.
+   * @param {number} [at] Epoch milliseconds (defaults to now).
+   * @returns {number} Spend in USD.
+   */
+  spent(backendId, period, at = this.now()) {
+    const today = utcDay(at);
+    const matches = period === 'month' ? day => day.startsWith(today.slice(0, 7)) && day <= today : day => day === today;
+    let total = 0;
+    for (const [day, spend] of this.days) {
+      if (!matches(day)) continue;
+      if (backendId === null) {
+        for (const usd of spend.values()) total += usd;
+      } else {
+        total += spend.get(backendId) || 0;
+      }
+    }
+    return roundUsd(total);
+  }
+}
+
+function limitState(spentUsd, limitUsd, warnPercent) {
+  if (spentUsd >= limitUsd) return 'exceeded';
+  if (limitUsd > 0 && (spentUsd / limitUsd) * 100 >= warnPercent) return 'warning';
+  return 'ok';
+}
+
+/**
+ * Check a backend's spend against its own and the global limits.
+ *
+ * @param {BackendSpend} spend Spend store.
+ * @param {Object} options Evaluation inputs.
+ * @param {string} options.backendId Backend id.
+ * @param {Object|null} [options.backendBudget] Normalized backend budget.
+ * @param {Object} [options.globalBudget] Normalized global budget.
+ * @param {number} [options.now] Epoch milliseconds.
+ * @returns {{state:string, limits:Array<{scope:string, period:string, spentUsd:number, limitUsd:number,
+ *   percent:number, state:string, resetsAt:number}>, blocking:(Object|null)}} Overall state
+ *   (`ok`, `warning` or `exceeded`), every configured limit, and the first
+ *   exceeded limit (backend before global, day before month).
+ */
+export function evaluateBudget(spend, { backendId, backendBudget = null, globalBudget = BUDGET_DEFAULTS, now = Date.now() }) {
+  const limits = [];
+  for (const [scope, budget] of [['backend', backendBudget], ['global', globalBudget]]) {
+    if (!budget) continue;
+    const warnPercent = budget.warnPercent ?? globalBudget?.warnPercent ?? BUDGET_DEFAULTS.warnPercent;
+    for (const [field, period] of Object.entries(LIMIT_FIELDS)) {
+      const limitUsd = budget[field];
+      if (limitUsd === null || limitUsd === undefined) continue;
+      const spentUsd = spend.spent(scope === 'global' ? null : backendId, period, now);
+      limits.push({
+        scope,
+        period,
+        spentUsd,
+        limitUsd,
+        percent: limitUsd > 0 ? Math.round((spentUsd / limitUsd) * 1000) / 10 : 100,
+        state: limitState(spentUsd, limitUsd, warnPercent),
+        resetsAt: budgetResetAt(period, now),
+      });
+    }
+  }
+  const blocking = limits.find(limit => limit.state === 'exceeded') || null;
+  const state = blocking ? 'exceeded' : limits.some(limit => limit.state === 'warning') ? 'warning' : 'ok';
+  return { state, limits, blocking };
+}
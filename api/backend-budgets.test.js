@@ -0,0 +1,92 @@
+// Llama Manager — backend budget tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies budget validation, day and month spend roll-ups, persistence across
+// a reload, warning and cutoff states for backend and global limits, and the
+// period reset times.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, statSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  BackendSpend,
+  budgetResetAt,
+  evaluateBudget,
+  normalizeBackendBudget,
+  normalizeGlobalBudget,
+} from './backend-budgets.js';
+
+const MAY_31 = Date.parse('2026-05-31T18:00:00Z');
+const JUNE_1 = Date.parse('2026-06-01T09:00:00Z');
+
+function withSpend(fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'lm-spend-'));
+  const clock = { t: MAY_31 };
+  try {
+    return fn(new BackendSpend({ path: join(dir, 'backend-spend.json'), now: () => clock.t }), clock, dir);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('budget settings validate globally and per backend', () => {
+  assert.deepEqual(normalizeGlobalBudget(), { dailyUsd: null, monthlyUsd: null, warnPercent: 80, onExceeded: 'local' });
+  assert.deepEqual(normalizeGlobalBudget({ dailyUsd: '5', monthlyUsd: 100, onExceeded: 'reject' }),
+    { dailyUsd: 5, monthlyUsd: 100, warnPercent: 80, onExceeded: 'reject' });
+  assert.throws(() => normalizeGlobalBudget({ dailyUsd: -1 }), /non-negative/);
+  assert.throws(() => normalizeGlobalBudget({ warnPercent: 0 }), /between 1 and 100/);
+  assert.throws(() => normalizeGlobalBudget({ onExceeded: 'drop' }), /onExceeded/);
+  assert.throws(() => normalizeGlobalBudget({ weekly: 1 }), /unknown/);
+
+  assert.equal(normalizeBackendBudget(null), null);
+  assert.equal(normalizeBackendBudget({ dailyUsd: '' }), null);
+  assert.deepEqual(normalizeBackendBudget({ monthlyUsd: 20, warnPercent: 50 }), { monthlyUsd: 20, warnPercent: 50 });
+  assert.throws(() => normalizeBackendBudget({ onExceeded: 'reject' }), /unknown/);
+});
+
+test('spend rolls up by day and month and survives a reload', () => withSpend((spend, clock, dir) => {
+  spend.record('a', 1.5, Date.parse('2026-05-02T00:00:00Z'));
+  spend.record('a', 0.25);
+  spend.record('b', 2);
+  spend.record('b', 0);
+  assert.equal(spend.spent('a', 'day'), 0.25);
+  assert.equal(spend.spent('a', 'month'), 1.75);
+  assert.equal(spend.spent(null, 'day'), 2.25);
+
+  spend.persist();
+  assert.equal(statSync(join(dir, 'backend-spend.json')).mode & 0o777, 0o600);
+  const reloaded = new BackendSpend({ path: spend.path, now: () => clock.t });
+  assert.deepEqual(reloaded.load(), { days: 2 });
+  assert.equal(reloaded.spent(null, 'month'), 3.75);
+
+  clock.t = JUNE_1;
+  assert.equal(reloaded.spent('a', 'month'), 0);
+  assert.equal(reloaded.spent('b', 'month', MAY_31), 2);
+}));
+
+test('limits warn at warnPercent and cut off at the limit, backend before global', () => withSpend((spend) => {
+  const globalBudget = normalizeGlobalBudget({ monthlyUsd: 10 });
+  spend.record('a', 4);
+  assert.equal(evaluateBudget(spend, { backendId: 'a', backendBudget: { dailyUsd: 5 }, globalBudget, now: MAY_31 }).state, 'warning');
+
+  spend.record('b', 6);
+  const over = evaluateBudget(spend, { backendId: 'a', backendBudget: { dailyUsd: 5, warnPercent: 90 }, globalBudget, now: MAY_31 });
+  assert.equal(over.state, 'exceeded');
+  assert.deepEqual(over.limits.map(limit => [limit.scope, limit.period, limit.spentUsd, limit.percent, limit.state]),
+    [['backend', 'day', 4, 80, 'ok'], ['global', 'month', 10, 100, 'exceeded']]);
+  assert.equal(over.blocking.scope, 'global');
+  assert.equal(over.blocking.resetsAt, JUNE_1 - 9 * 3_600_000);
+
+  assert.deepEqual(evaluateBudget(spend, { backendId: 'a', now: MAY_31 }), { state: 'ok', limits: [], blocking: null });
+  assert.equal(evaluateBudget(spend, { backendId: 'a', backendBudget: { dailyUsd: 0 }, now: MAY_31 }).blocking.limitUsd, 0);
+}));
+
+test('budget periods reset at UTC midnight and the first of the month', () => {
+  assert.equal(new Date(budgetResetAt('day', MAY_31)).toISOString(), '2026-06-01T00:00:00.000Z');
+  assert.equal(new Date(budgetResetAt('month', JUNE_1)).toISOString(), '2026-07-01T00:00:00.000Z');
+  assert.equal(new Date(budgetResetAt('month', Date.parse('2026-12-15T00:00:00Z'))).toISOString(), '2027-01-01T00:00:00.000Z');
+});
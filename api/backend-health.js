@@ -0,0 +1,419 @@
+// Llama Manager — remote backend health: circuit breakers, probes and latency.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Remote backends used to be checked only when an operator pressed "Test", and
+// the circuit breaker only learned about an outage from failing user traffic.
+// BackendHealth keeps three things per backend:
+//
+//   - a circuit breaker: closed → open after consecutive failures → half-open
+//     once the reset period passes (or a probe sees the backend answer again).
+//     Half-open admits exactly one trial request; its success closes the
+//     circuit, its failure re-opens it.
+//   - the last background probe (GET /models or a one-token completion).
+//     Probe failures count toward tripping the breaker, so an outage is found
+//     before a user request runs into it.
+//   - rolling latency and TTFT samples per backend + model, from both live
+//     traffic (passive) and probes, summarized as p50 / p95.
+//
+// server.js owns the timers and the config; everything here is synchronous
+// state plus one fetch helper, so it can be tested without a network.
+
+import { modelsUrl, parseModelList, translateChatRequest } from './backend-protocols.js';
+
+/** Circuit states. */
+export const CIRCUIT_STATES = Object.freeze(['closed', 'open', 'half_open']);
+
+/** Probe kinds: list models, or request a single completion token. */
+export const PROBE_MODES = Object.freeze(['models', 'completion']);
+
+/** Defaults for config.backends.healthProbe. */
+export const HEALTH_PROBE_DEFAULTS = Object.freeze({
+  enabled: true,
+  intervalSeconds: 30,
+  mode: 'models',
+  timeoutMs: 10000,
+});
+
+const PROBE_OVERRIDE_FIELDS = ['enabled', 'intervalSeconds', 'mode'];
+
+function validateProbeFields(input, label) {
+  const out = {};
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') throw new TypeError(`${label}.enabled must be a boolean`);
+    out.enabled = input.enabled;
+  }
+  if (input.intervalSeconds !== undefined) {
+    if (!Number.isInteger(input.intervalSeconds) || input.intervalSeconds < 5 || input.intervalSeconds > 3600) {
+      throw new TypeError(`${label}.intervalSeconds must be an integer between 5 and 3600`);
+    }
+    out.intervalSeconds = input.intervalSeconds;
+  }
+  if (input.mode !== undefined) {
+    if (!PROBE_MODES.includes(input.mode)) throw new TypeError(`${label}.mode must be one of ${PROBE_MODES.join(', ')}`);
+    out.mode = input.mode;
+  }
+  return out;
+}
+
+/**
+ * Validate config.backends.healthProbe.
+ *
+ * @param {Record<string, unknown>} [input] Submitted settings.
+ * @returns {{enabled:boolean, intervalSeconds:number, mode:string, timeoutMs:number}} Settings.
+ * @throws {TypeError} On out-of-range values or unknown fields.
+ */
+export function normalizeHealthProbeSettings(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new TypeError('healthProbe must be an object');
+  const unknown = Object.keys(input).filter(key => !(key in HEALTH_PROBE_DEFAULTS));
+  if (unknown.length) throw new TypeError(`unknown healthProbe field(s): ${unknown.join(', ')}`);
+  const settings = { ...HEALTH_PROBE_DEFAULTS, ...validateProbeFields(input, 'healthProbe') };
+  if (input.timeoutMs !== undefined) {
+    if (!Number.isInteger(input.timeoutMs) || input.timeoutMs < 1000 || input.timeoutMs > 120000) {
+      throw new TypeError('healthProbe.timeoutMs must be an integer between 1000 and 120000');
+    }
+    settings.timeoutMs = input.timeoutMs;
+  }
+  return settings;
+}
+
+/**
+ * Validate a backend's own `healthProbe` override (any of enabled,
+ * intervalSeconds, mode). null clears the override.
+ *
+ * @param {Record<string, unknown>|null} input Override.
+ * @returns {Record<string, unknown>|null} Normalized override.
+ * @throws {TypeError} On invalid fields.
+ */
+export function normalizeBackendProbeOverride(input) {
+  if (input == null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) throw new TypeError('backend healthProbe must be an object or null');
+  const unknown = Object.keys(input).filter(key => !PROBE_OVERRIDE_FIELDS.includes(key));
+  if (unknown.length) throw new TypeError(`unknown backend healthProbe field(s): ${unknown.join(', ')}`);
+  const override = validateProbeFields(input, 'backend healthProbe');
+  return Object.keys(override).length ? override : null;
+}
+
+/**
+ * Effective probe settings for one backend. Disabled backends are never probed.
+ *
+ * @param {Record<string, unknown>|undefined} globalSettings config.backends.healthProbe.
+ * @param {{enabled?:boolean, healthProbe?:Record<string, unknown>}} backend Backend entry.
+ * @returns {{enabled:boolean, intervalSeconds:number, mode:string, timeoutMs:number}} Settings.
+ */
+export function resolveProbeSettings(globalSettings, backend) {
+  let base;
+  try {
+    base = normalizeHealthProbeSettings(globalSettings || {});
+  } catch {
+    base = { ...HEALTH_PROBE_DEFAULTS };
+  }
+  let override = null;
+  try {
+    override = normalizeBackendProbeOverride(backend?.healthProbe ?? null);
+  } catch { /* invalid hand-edited override: ignore */ }
+  const settings = { ...base, ...(override || {}) };
+  if (backend?.enabled === false) settings.enabled = false;
+  return settings;
+}
+
+/**
+ * Nearest-rank percentile.
+ *
+ * @param {number[]} values Samples (any order).
+ * @param {number} p Percentile in (0, 100].
+ * @returns {number|null} Value, or null without samples.
+ */
+export function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+function summarize(samples) {
+  const latencies = samples.map(s => s.latencyMs);
+  const ttfts = samples.map(s => s.ttftMs).filter(Number.isFinite);
+  return {
+    samples: samples.length,
+    p50Ms: percentile(latencies, 50),
+    p95Ms: percentile(latencies, 95),
+    ttftP50Ms: percentile(ttfts, 50),
+    ttftP95Ms: percentile(ttfts, 95),
+  };
+}
+
+/**
+ * Per-backend circuit, probe and latency state.
+ */
+export class BackendHealth {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.threshold] Consecutive failures that open the circuit.
+   * @param {number} [options.resetMs] Time an open circuit waits before going half-open.
+   * @param {number} [options.trialTimeoutMs] How long a half-open trial may run before another is allowed.
+   * @param {number} [options.latencyWindow] Samples kept per backend + model.
+   * @param {number} [options.latencyMaxAgeMs] Samples older than this are ignored.
+   * @param {() => number} [options.now] Clock returning epoch milliseconds.
+   */
+  constructor({ threshold = 3, resetMs = 60_000, trialTimeoutMs = 120_000, latencyWindow = 200, latencyMaxAgeMs = 3_600_000, now = () => Date.now() } = {}) {
+    this.threshold = threshold;
+    this.resetMs = resetMs;
+    this.trialTimeoutMs = trialTimeoutMs;
+    this.latencyWindow = latencyWindow;
+    this.latencyMaxAgeMs = latencyMaxAgeMs;
+    this.now = now;
+    this.backends = new Map();
+  }
+
+  #entry(id) {
+    let entry = this.backends.get(id);
+    if (!entry) {
+      entry = { failures: 0, lastFailure: 0, trippedAt: null, halfOpen: false, trialStartedAt: null, lastProbe: null, latency: new Map() };
+      this.backends.set(id, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Circuit state for a backend.
+   *
+   * @param {string} id Backend id.
+   * @returns {'closed'|'open'|'half_open'} State.
+   */
+  state(id) {
+    const entry = this.backends.get(id);
+    if (!entry?.trippedAt) return 'closed';
+    if (entry.halfOpen || this.now() - entry.trippedAt >= this.resetMs) return 'half_open';
+    return 'open';
+  }
+
+  #trialRunning(entry) {
+    return entry.trialStartedAt != null && this.now() - entry.trialStartedAt < this.trialTimeoutMs;
+  }
+
+  /**
+   * Whether routing may pick this backend now: closed, or half-open with no
+   * trial request already running.
+   *
+   * @param {string} id Backend id.
+   * @returns {boolean} True when a request would be admitted.
+   */
+  admits(id) {
+    const state = this.state(id);
+    if (state === 'closed') return true;
+    return state === 'half_open' && !this.#trialRunning(this.backends.get(id));
+  }
+
+  /**
+   * Admit a request about to be sent. In half-open state the first caller
+   * becomes the trial and everyone else is refused until it finishes.
+   *
+   * @param {string} id Backend id.
+   * @returns {{admitted:boolean, trial:boolean}} Decision.
+   */
+  beginRequest(id) {
+    if (!this.admits(id)) return { admitted: false, trial: false };
+    if (this.state(id) === 'closed') return { admitted: true, trial: false };
+    this.#entry(id).trialStartedAt = this.now();
+    return { admitted: true, trial: true };
+  }
+
+  /**
+   * Release a half-open trial that ended without a verdict (the caller
+   * cancelled), so the next request can try instead of waiting out the lease.
+   *
+   * @param {string} id Backend id.
+   */
+  abandonTrial(id) {
+    const entry = this.backends.get(id);
+    if (entry) entry.trialStartedAt = null;
+  }
+
+  /**
+   * Record a successful response; closes a half-open circuit.
+   *
+   * @param {string} id Backend id.
+   * @returns {'closed'|null} 'closed' when this success re-admitted the backend.
+   */
+  recordSuccess(id) {
+    const entry = this.#entry(id);
+    const wasTripped = entry.trippedAt != null;
+    Object.assign(entry, { failures: 0, lastFailure: 0, trippedAt: null, halfOpen: false, trialStartedAt: null });
+    return wasTripped ? 'closed' : null;
+  }
+
+  /**
+   * Record a failed request or probe.
+   *
+   * @param {string} id Backend id.
+   * @returns {'tripped'|'reopened'|null} Transition caused by this failure.
+   */
+  recordFailure(id) {
+    const entry = this.#entry(id);
+    const before = this.state(id);
+    entry.failures += 1;
+    entry.lastFailure = this.now();
+    entry.trialStartedAt = null;
+    if (before === 'half_open') {
+      entry.trippedAt = this.now();
+      entry.halfOpen = false;
+      return 'reopened';
+    }
+    if (before === 'closed' && entry.failures >= this.threshold) {
+      entry.trippedAt = this.now();
+      return 'tripped';
+    }
+    return null;
+  }
+
+  /**
+   * Record a background probe. A failure counts like a failed request; a
+   * success moves an open circuit straight to half-open so the next request
+   * is the trial instead of waiting out the reset period.
+   *
+   * @param {string} id Backend id.
+   * @param {{ok:boolean, status:number, latencyMs:number, mode:string, model?:(string|null), error?:(string|null)}} result
+   *   Probe outcome from runHealthProbe().
+   * @returns {'tripped'|'reopened'|'half_open'|null} Circuit transition.
+   */
+  recordProbe(id, result) {
+    const entry = this.#entry(id);
+    entry.lastProbe = { ...result, at: this.now() };
+    if (!result.ok) return this.recordFailure(id);
+    if (result.mode === 'completion' && result.model) {
+      this.recordLatency(id, result.model, { latencyMs: result.latencyMs, source: 'probe' });
+    }
+    if (this.state(id) === 'open') {
+      entry.halfOpen = true;
+      return 'half_open';
+    }
+    return null;
+  }
+
+  /**
+   * Add a latency sample.
+   *
+   * @param {string} id Backend id.
+   * @param {string} model Model the request targeted.
+   * @param {{latencyMs:number, ttftMs?:(number|null), source?:string}} sample Timing.
+   */
+  recordLatency(id, model, { latencyMs, ttftMs = null, source = 'traffic' }) {
+    if (!Number.isFinite(latencyMs)) return;
+    const byModel = this.#entry(id).latency;
+    const key = model || 'unknown';
+    const samples = byModel.get(key) || [];
+    samples.push({ at: this.now(), latencyMs: Math.round(latencyMs), ttftMs: Number.isFinite(ttftMs) ? Math.round(ttftMs) : null, source });
+    if (samples.length > this.latencyWindow) samples.splice(0, samples.length - this.latencyWindow);
+    byModel.set(key, samples);
+  }
+
+  /**
+   * Latency summary for one backend, overall and per model. Probe samples
+   * stand in when there is no live traffic.
+   *
+   * @param {string} id Backend id.
+   * @returns {{samples:number, p50Ms:(number|null), p95Ms:(number|null), ttftP50Ms:(number|null),
+   *   ttftP95Ms:(number|null), models:Array<Object>}} Summary.
+   */
+  latency(id) {
+    const cutoff = this.now() - this.latencyMaxAgeMs;
+    const all = [];
+    const models = [];
+    for (const [model, samples] of this.backends.get(id)?.latency || []) {
+      const recent = samples.filter(sample => sample.at >= cutoff);
+      if (!recent.length) continue;
+      const traffic = recent.filter(sample => sample.source === 'traffic');
+      const used = traffic.length ? traffic : recent;
+      all.push(...used);
+      models.push({ model, source: traffic.length ? 'traffic' : 'probe', ...summarize(used) });
+    }
+    models.sort((a, b) => b.samples - a.samples);
+    return { ...summarize(all), models };
+  }
+
+  /**
+   * Everything known about one backend, for the API.
+   *
+   * @param {string} id Backend id.
+   * @returns {Object} Circuit, last probe and latency summary.
+   */
+  snapshot(id) {
+    const entry = this.backends.get(id);
+    return {
+      circuit: this.state(id),
+      failures: entry?.failures || 0,
+      lastFailureAt: entry?.lastFailure || null,
+      trippedAt: entry?.trippedAt || null,
+      trialInFlight: entry ? this.#trialRunning(entry) : false,
+      lastProbe: entry?.lastProbe || null,
+      latency: this.latency(id),
+    };
+  }
+
+  /**
+   * Drop state for a removed backend.
+   *
+   * @param {string} id Backend id.
+   */
+  forget(id) {
+    this.backends.delete(id);
+  }
+
+  /** @returns {string[]} Ids with any recorded state. */
+  ids() {
+    return [...this.backends.keys()];
+  }
+}
+
+/**
+ * Probe one backend. `models` mode lists its models; `completion` mode asks
+ * `model` (or the first listed model) for a single token. Both use the
+ * backend's own protocol.
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl Backend base URL (ends in /v1 or equivalent).
+ * @param {string} [options.protocol] Backend protocol (default openai).
+ * @param {Record<string, string>} [options.headers] Auth and extra headers.
+ * @param {string} options.mode One of PROBE_MODES.
+ * @param {string|null} [options.model] Model for completion probes.
+ * @param {number} options.timeoutMs Abort after this long.
+ * @param {typeof fetch} [options.fetchImpl] fetch implementation.
+ * @returns {Promise<{ok:boolean, status:number, latencyMs:number, mode:string, model:(string|null), models:(string[]|null), error:(string|null)}>}
+ *   Outcome; never rejects.
+ */
+export async function runHealthProbe({ baseUrl, protocol = 'openai', headers = {}, mode, model = null, timeoutMs, fetchImpl = fetch }) {
+  const started = Date.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const result = (fields) => ({ ok: false, status: 0, latencyMs: Date.now() - started, mode, model, models: null, error: null, ...fields });
+  try {
+    let models = null;
+    if (mode === 'models') model = null;
+    if (mode === 'models' || !model) {
+      const res = await fetchImpl(modelsUrl(protocol, baseUrl), { headers, signal: controller.signal });
+      if (!res.ok) return result({ status: res.status, error: `HTTP ${res.status} from the model list` });
+      models = parseModelList(protocol, await res.json().catch(() => ({})));
+      if (mode === 'models') return result({ ok: true, status: res.status, models });
+      model = models[0] || null;
+      if (!model) return result({ status: res.status, models, error: 'no model available for a completion probe' });
+    }
+    const startedCompletion = Date.now();
+    const request = translateChatRequest(protocol, {
+      baseUrl,
+      body: { model, messages: [{ role: 'user', content: 'ping' }], max_tokens: 1, stream: false },
+    });
+    const res = await fetchImpl(request.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(request.body),
+      signal: controller.signal,
+    });
+    await res.text().catch(() => '');
+    if (!res.ok) return result({ status: res.status, model, models, error: `HTTP ${res.status} from a completion` });
+    return { ...result({ ok: true, status: res.status, model, models }), latencyMs: Date.now() - startedCompletion };
+  } catch (error) {
+    return result({ error: error.name === 'AbortError' ? `timed out after ${timeoutMs}ms` : error.message });
+  } finally {
+    clearTimeout(timer);
+  }
+}
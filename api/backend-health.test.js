@@ -0,0 +1,140 @@
+// Llama Manager — backend health tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies the closed → open → half-open → closed circuit with a single trial
+// request, probe-driven early recovery, rolling latency percentiles, probe
+// settings validation and the probe fetch helper.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  BackendHealth,
+  normalizeBackendProbeOverride,
+  normalizeHealthProbeSettings,
+  percentile,
+  resolveProbeSettings,
+  runHealthProbe,
+} from './backend-health.js';
+
+function clocked(options = {}) {
+  const clock = { t: 1_000_000 };
+  const health = new BackendHealth({ threshold: 3, resetMs: 60_000, trialTimeoutMs: 30_000, now: () => clock.t, ...options });
+  return { clock, health };
+}
+
+test('circuit opens, goes half-open, admits one trial and closes on success', () => {
+  const { clock, health } = clocked();
+  assert.equal(health.recordFailure('b'), null);
+  assert.equal(health.recordFailure('b'), null);
+  assert.equal(health.recordFailure('b'), 'tripped');
+  assert.equal(health.state('b'), 'open');
+  assert.deepEqual(health.beginRequest('b'), { admitted: false, trial: false });
+
+  clock.t += 60_000;
+  assert.equal(health.state('b'), 'half_open');
+  assert.equal(health.admits('b'), true);
+  assert.deepEqual(health.beginRequest('b'), { admitted: true, trial: true });
+  assert.equal(health.admits('b'), false);
+  assert.deepEqual(health.beginRequest('b'), { admitted: false, trial: false });
+
+  // A trial that never reports back stops blocking after its timeout.
+  clock.t += 30_000;
+  assert.equal(health.admits('b'), true);
+
+  assert.equal(health.recordSuccess('b'), 'closed');
+  assert.equal(health.state('b'), 'closed');
+  assert.equal(health.recordSuccess('b'), null);
+});
+
+test('a failed trial re-opens the circuit for another reset period', () => {
+  const { clock, health } = clocked();
+  for (let i = 0; i < 3; i++) health.recordFailure('b');
+  clock.t += 60_000;
+  health.beginRequest('b');
+  assert.equal(health.recordFailure('b'), 'reopened');
+  assert.equal(health.state('b'), 'open');
+  clock.t += 59_000;
+  assert.equal(health.state('b'), 'open');
+});
+
+test('probes count failures and move an open circuit to half-open on success', () => {
+  const { health } = clocked();
+  const down = { ok: false, status: 0, latencyMs: 10, mode: 'models', model: null, error: 'ECONNREFUSED' };
+  health.recordProbe('b', down);
+  health.recordProbe('b', down);
+  assert.equal(health.recordProbe('b', down), 'tripped');
+  assert.equal(health.snapshot('b').lastProbe.error, 'ECONNREFUSED');
+
+  assert.equal(health.recordProbe('b', { ok: true, status: 200, latencyMs: 40, mode: 'models', model: null }), 'half_open');
+  assert.equal(health.state('b'), 'half_open');
+  assert.equal(health.recordProbe('b', { ok: true, status: 200, latencyMs: 40, mode: 'models', model: null }), null);
+});
+
+test('latency keeps a rolling window per model and prefers live traffic over probes', () => {
+  const { clock, health } = clocked({ latencyWindow: 10, latencyMaxAgeMs: 60_000 });
+  assert.equal(percentile([], 50), null);
+  assert.equal(percentile([5, 1, 3, 2, 4], 50), 3);
+  assert.equal(percentile([5, 1, 3, 2, 4], 95), 5);
+
+  health.recordLatency('b', 'm1', { latencyMs: 9999, source: 'probe' });
+  for (let i = 1; i <= 20; i++) health.recordLatency('b', 'm1', { latencyMs: i * 100, ttftMs: i * 10 });
+  health.recordLatency('b', 'm2', { latencyMs: 50, source: 'probe' });
+
+  const latency = health.latency('b');
+  assert.deepEqual(latency.models.map(m => [m.model, m.source, m.samples]), [['m1', 'traffic', 10], ['m2', 'probe', 1]]);
+  assert.equal(latency.models[0].p50Ms, 1500);
+  assert.equal(latency.models[0].p95Ms, 2000);
+  assert.equal(latency.models[0].ttftP50Ms, 150);
+  assert.equal(latency.samples, 11);
+
+  clock.t += 61_000;
+  assert.deepEqual(health.latency('b'), { samples: 0, p50Ms: null, p95Ms: null, ttftP50Ms: null, ttftP95Ms: null, models: [] });
+});
+
+test('probe settings validate globally and per backend', () => {
+  assert.deepEqual(normalizeHealthProbeSettings(), { enabled: true, intervalSeconds: 30, mode: 'models', timeoutMs: 10000 });
+  assert.throws(() => normalizeHealthProbeSettings({ intervalSeconds: 1 }), /between 5 and 3600/);
+  assert.throws(() => normalizeHealthProbeSettings({ mode: 'ping' }), /mode/);
+  assert.throws(() => normalizeHealthProbeSettings({ every: 5 }), /unknown/);
+  assert.equal(normalizeBackendProbeOverride(null), null);
+  assert.equal(normalizeBackendProbeOverride({}), null);
+  assert.throws(() => normalizeBackendProbeOverride({ timeoutMs: 5000 }), /unknown/);
+
+  const global = { intervalSeconds: 60 };
+  assert.deepEqual(resolveProbeSettings(global, { healthProbe: { mode: 'completion' } }),
+    { enabled: true, intervalSeconds: 60, mode: 'completion', timeoutMs: 10000 });
+  assert.equal(resolveProbeSettings(global, { enabled: false }).enabled, false);
+  assert.equal(resolveProbeSettings({ intervalSeconds: 'x' }, {}).intervalSeconds, 30);
+});
+
+test('runHealthProbe lists models or requests one completion token', async () => {
+  const calls = [];
+  const fetchImpl = async (url, init = {}) => {
+    calls.push([url, init.method || 'GET', init.body ? JSON.parse(init.body) : null]);
+    if (url.endsWith('/models')) return new Response(JSON.stringify({ data: [{ id: 'm1' }, { id: 'm2' }] }));
+    return new Response('{"choices":[]}');
+  };
+  const listed = await runHealthProbe({ baseUrl: 'http://h/v1/', mode: 'models', timeoutMs: 1000, fetchImpl });
+  assert.equal(listed.ok, true);
+  assert.deepEqual(listed.models, ['m1', 'm2']);
+
+  const completion = await runHealthProbe({ baseUrl: 'http://h/v1', mode: 'completion', timeoutMs: 1000, fetchImpl });
+  assert.equal(completion.ok, true);
+  assert.equal(completion.model, 'm1');
+  assert.deepEqual(calls.at(-1), ['http://h/v1/chat/completions', 'POST',
+    { model: 'm1', messages: [{ role: 'user', content: 'ping' }], max_tokens: 1, stream: false }]);
+
+  const failing = await runHealthProbe({ baseUrl: 'http://h/v1', mode: 'completion', model: 'm9', timeoutMs: 1000,
+    fetchImpl: async () => new Response('nope', { status: 503 }) });
+  assert.deepEqual([failing.ok, failing.status, failing.error], [false, 503, 'HTTP 503 from a completion']);
+
+  const ollama = await runHealthProbe({ baseUrl: 'http://h:11434', protocol: 'ollama-native', mode: 'completion', model: 'llama3', timeoutMs: 1000, fetchImpl });
+  assert.equal(ollama.ok, true);
+  assert.equal(calls.at(-1)[0], 'http://h:11434/api/chat');
+
+  const refused = await runHealthProbe({ baseUrl: 'http://h/v1', mode: 'models', timeoutMs: 1000,
+    fetchImpl: async () => { throw new Error('ECONNREFUSED'); } });
+  assert.deepEqual([refused.ok, refused.error], [false, 'ECONNREFUSED']);
+});
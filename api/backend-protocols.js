@@ -0,0 +1,601 @@
+// Llama Manager — wire-protocol adapters for remote backends.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Every request the manager sends to a remote backend is OpenAI-shaped, and
+// every handler reads OpenAI-shaped responses back. A backend's `protocol`
+// says what the upstream actually speaks; for anything other than `openai`
+// the remote fetch layer translates a chat completion on the way out and the
+// response (JSON or stream) on the way back, so routing, logging, token stats
+// and usage accounting see the same shapes they always have:
+//
+//   openai         POST <url>/chat/completions (and every other endpoint)
+//   anthropic      POST <url>/messages               e.g. https://api.anthropic.com/v1
+//   gemini         POST <url>/models/<m>:generateContent, :streamGenerateContent?alt=sse
+//                                                    e.g. https://generativelanguage.googleapis.com/v1beta
+//   ollama-native  POST <url>/api/chat (NDJSON stream) e.g. http://gpu-box:11434
+//
+// Non-OpenAI backends serve chat/completions only. Text, images (data URLs;
+// Anthropic also takes http URLs), tools / tool_choice, tool results,
+// reasoning text, stop reasons and usage are mapped both ways.
+
+/** Supported upstream protocols. */
+export const BACKEND_PROTOCOLS = Object.freeze(['openai', 'anthropic', 'gemini', 'ollama-native']);
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_DEFAULT_MAX_TOKENS = 4096;
+
+/**
+ * Validate a backend `protocol` field; missing means `openai`.
+ *
+ * @param {unknown} value Submitted protocol.
+ * @returns {string} One of BACKEND_PROTOCOLS.
+ * @throws {TypeError} On an unknown protocol.
+ */
+export function normalizeBackendProtocol(value) {
+  if (value === undefined || value === null || value === '') return 'openai';
+  if (!BACKEND_PROTOCOLS.includes(value)) {
+    throw new TypeError(`protocol must be one of ${BACKEND_PROTOCOLS.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Whether a backend speaking `protocol` can serve an OpenAI-style endpoint.
+ *
+ * @param {string|undefined} protocol Backend protocol.
+ * @param {string} endpoint e.g. `chat/completions`, `embeddings`.
+ * @returns {boolean} True when the manager can route the endpoint there.
+ */
+export function protocolSupportsEndpoint(protocol, endpoint) {
+  return !protocol || protocol === 'openai' || endpoint === 'chat/completions';
+}
+
+/**
+ * Auth and content headers for an upstream request.
+ *
+ * @param {string|undefined} protocol Backend protocol.
+ * @param {string|null} apiKey Resolved API key, if any.
+ * @param {Record<string, string>} [extraHeaders] Operator-configured headers (win on conflict).
+ * @returns {Record<string, string>} Headers.
+ */
+export function protocolHeaders(protocol, apiKey, extraHeaders = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (protocol === 'anthropic') {
+    headers['anthropic-version'] = ANTHROPIC_VERSION;
+    if (apiKey) headers['x-api-key'] = apiKey;
+  } else if (protocol === 'gemini') {
+    if (apiKey) headers['x-goog-api-key'] = apiKey;
+  } else if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+  return { ...headers, ...(extraHeaders || {}) };
+}
+
+/**
+ * URL that lists an upstream's models.
+ *
+ * @param {string|undefined} protocol Backend protocol.
+ * @param {string} baseUrl Backend URL.
+ * @returns {string} Model-list URL.
+ */
+export function modelsUrl(protocol, baseUrl) {
+  const base = String(baseUrl || '').replace(/\/+$/, '');
+  return protocol === 'ollama-native' ? `${base}/api/tags` : `${base}/models`;
+}
+
+/**
+ * Model ids from an upstream's model-list response.
+ *
+ * @param {string|undefined} protocol Backend protocol.
+ * @param {Record<string, unknown>} data Parsed JSON body.
+ * @returns {string[]} Model ids as they must be sent back upstream.
+ */
+export function parseModelList(protocol, data) {
+  const list = data?.data || data?.models || [];
+  return list
+    .map(m => {
+      if (typeof m === 'string') return m;
+      if (protocol === 'gemini') return String(m.name || '').replace(/^models\//, '');
+      return m.id || m.name || m.model || '';
+    })
+    .filter(Boolean);
+}
+
+// --- Request translation -------------------------------------------------
+
+function textOf(content) {
+  if (content == null) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+  return String(content);
+}
+
+// OpenAI content → [{type:'text', text} | {type:'image', url}]
+function contentParts(content) {
+  if (content == null) return [];
+  if (typeof content === 'string') return content ? [{ type: 'text', text: content }] : [];
+  if (!Array.isArray(content)) return [{ type: 'text', text: String(content) }];
+  const parts = [];
+  for (const part of content) {
+    if (typeof part === 'string') parts.push({ type: 'text', text: part });
+    else if (part?.type === 'text') parts.push({ type: 'text', text: part.text || '' });
+    else if (part?.type === 'image_url') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      if (url) parts.push({ type: 'image', url });
+    }
+  }
+  return parts;
+}
+
+function parseDataUrl(url) {
+  const match = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s.exec(url);
+  return match ? { mediaType: match[1], data: match[2] } : null;
+}
+
+function parseArguments(args) {
+  if (args && typeof args === 'object') return args;
+  try {
+    const parsed = JSON.parse(args || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : { value: parsed };
+  } catch {
+    return { raw: String(args) };
+  }
+}
+
+function stopList(stop) {
+  if (stop == null) return undefined;
+  return Array.isArray(stop) ? stop : [stop];
+}
+
+function maxTokensOf(body) {
+  return body.max_completion_tokens ?? body.max_tokens;
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+function anthropicRequest(body) {
+  const system = [];
+  const messages = [];
+  const push = (role, blocks) => {
+    const last = messages.at(-1);
+    if (last?.role === role) last.content.push(...blocks);
+    else messages.push({ role, content: blocks });
+  };
+  for (const message of body.messages || []) {
+    if (message.role === 'system' || message.role === 'developer') {
+      system.push(textOf(message.content));
+    } else if (message.role === 'tool') {
+      push('user', [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: textOf(message.content) }]);
+    } else {
+      const blocks = contentParts(message.content).map(part => {
+        if (part.type === 'text') return { type: 'text', text: part.text };
+        const inline = parseDataUrl(part.url);
+        return inline
+          ? { type: 'image', source: { type: 'base64', media_type: inline.mediaType, data: inline.data } }
+          : { type: 'image', source: { type: 'url', url: part.url } };
+      }).filter(block => block.type !== 'text' || block.text);
+      for (const call of message.tool_calls || []) {
+        blocks.push({ type: 'tool_use', id: call.id, name: call.function?.name, input: parseArguments(call.function?.arguments) });
+      }
+      if (blocks.length) push(message.role === 'assistant' ? 'assistant' : 'user', blocks);
+    }
+  }
+  let toolChoice;
+  if (body.tool_choice === 'auto') toolChoice = { type: 'auto' };
+  else if (body.tool_choice === 'required') toolChoice = { type: 'any' };
+  else if (body.tool_choice === 'none') toolChoice = { type: 'none' };
+  else if (body.tool_choice?.function?.name) toolChoice = { type: 'tool', name: body.tool_choice.function.name };
+  return withoutUndefined({
+    model: body.model,
+    system: system.length ? system.join('\n\n') : undefined,
+    messages,
+    max_tokens: maxTokensOf(body) ?? ANTHROPIC_DEFAULT_MAX_TOKENS,
+    temperature: body.temperature,
+    top_p: body.top_p,
+    top_k: body.top_k,
+    stop_sequences: stopList(body.stop),
+    stream: body.stream === true ? true : undefined,
+    tools: body.tools?.length
+      ? body.tools.map(tool => withoutUndefined({ name: tool.function?.name, description: tool.function?.description, input_schema: tool.function?.parameters || { type: 'object', properties: {} } }))
+      : undefined,
+    tool_choice: body.tools?.length ? toolChoice : undefined,
+  });
+}
+
+function geminiRequest(body) {
+  const toolNames = new Map(); // tool_call_id -> function name
+  const system = [];
+  const contents = [];
+  const push = (role, parts) => {
+    const last = contents.at(-1);
+    if (last?.role === role) last.parts.push(...parts);
+    else contents.push({ role, parts });
+  };
+  for (const message of body.messages || []) {
+    if (message.role === 'system' || message.role === 'developer') {
+      system.push(textOf(message.content));
+    } else if (message.role === 'tool') {
+      push('user', [{ functionResponse: { name: toolNames.get(message.tool_call_id) || message.name || 'tool', response: { content: textOf(message.content) } } }]);
+    } else {
+      const parts = contentParts(message.content).map(part => {
+        if (part.type === 'text') return { text: part.text };
+        const inline = parseDataUrl(part.url);
+        return inline ? { inlineData: { mimeType: inline.mediaType, data: inline.data } } : { text: `[image: ${part.url}]` };
+      }).filter(part => part.text !== '');
+      for (const call of message.tool_calls || []) {
+        toolNames.set(call.id, call.function?.name);
+        parts.push({ functionCall: { name: call.function?.name, args: parseArguments(call.function?.arguments) } });
+      }
+      if (parts.length) push(message.role === 'assistant' ? 'model' : 'user', parts);
+    }
+  }
+  let toolConfig;
+  if (body.tools?.length && body.tool_choice) {
+    if (body.tool_choice === 'required') toolConfig = { functionCallingConfig: { mode: 'ANY' } };
+    else if (body.tool_choice === 'none') toolConfig = { functionCallingConfig: { mode: 'NONE' } };
+    else if (body.tool_choice?.function?.name) toolConfig = { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [body.tool_choice.function.name] } };
+    else toolConfig = { functionCallingConfig: { mode: 'AUTO' } };
+  }
+  const generationConfig = withoutUndefined({
+    temperature: body.temperature,
+    topP: body.top_p,
+    topK: body.top_k,
+    maxOutputTokens: maxTokensOf(body),
+    stopSequences: stopList(body.stop),
+    seed: body.seed,
+    responseMimeType: body.response_format?.type === 'json_object' || body.response_format?.type === 'json_schema' ? 'application/json' : undefined,
+  });
+  return withoutUndefined({
+    systemInstruction: system.length ? { parts: [{ text: system.join('\n\n') }] } : undefined,
+    contents,
+    tools: body.tools?.length
+      ? [{ functionDeclarations: body.tools.map(tool => withoutUndefined({ name: tool.function?.name, description: tool.function?.description, parameters: tool.function?.parameters })) }]
+      : undefined,
+    toolConfig,
+    generationConfig: Object.keys(generationConfig).length ? generationConfig : undefined,
+  });
+}
+
+function ollamaRequest(body) {
+  const messages = (body.messages || []).map(message => {
+    const parts = contentParts(message.content);
+    const images = [];
+    const text = parts.map(part => {
+      if (part.type === 'text') return part.text;
+      const inline = parseDataUrl(part.url);
+      if (inline) { images.push(inline.data); return ''; }
+      return `[image: ${part.url}]`;
+    }).join('');
+    return withoutUndefined({
+      role: message.role === 'developer' ? 'system' : message.role,
+      content: text,
+      images: images.length ? images : undefined,
+      tool_calls: message.tool_calls?.length
+        ? message.tool_calls.map(call => ({ function: { name: call.function?.name, arguments: parseArguments(call.function?.arguments) } }))
+        : undefined,
+    });
+  });
+  const options = withoutUndefined({
+    temperature: body.temperature,
+    top_p: body.top_p,
+    top_k: body.top_k,
+    num_predict: maxTokensOf(body),
+    stop: stopList(body.stop),
+    seed: body.seed,
+  });
+  return withoutUndefined({
+    model: body.model,
+    messages,
+    stream: body.stream === true,
+    tools: body.tools?.length ? body.tools : undefined,
+    format: body.response_format?.type === 'json_object' ? 'json' : (body.response_format?.json_schema?.schema || undefined),
+    options: Object.keys(options).length ? options : undefined,
+  });
+}
+
+/**
+ * Translate an OpenAI chat completion request into the upstream's native call.
+ *
+ * @param {string} protocol Backend protocol (not `openai`).
+ * @param {{baseUrl:string, body:Record<string, any>}} request Backend URL and OpenAI body.
+ * @returns {{url:string, body:Record<string, any>}} Native URL and body.
+ */
+export function translateChatRequest(protocol, { baseUrl, body }) {
+  const base = String(baseUrl || '').replace(/\/+$/, '');
+  if (protocol === 'anthropic') return { url: `${base}/messages`, body: anthropicRequest(body) };
+  if (protocol === 'gemini') {
+    const model = encodeURIComponent(String(body.model || '').replace(/^models\//, ''));
+    const url = body.stream === true
+      ? `${base}/models/${model}:streamGenerateContent?alt=sse`
+      : `${base}/models/${model}:generateContent`;
+    return { url, body: geminiRequest(body) };
+  }
+  if (protocol === 'ollama-native') return { url: `${base}/api/chat`, body: ollamaRequest(body) };
+  return { url: `${base}/chat/completions`, body };
+}
+
+// --- Response translation ------------------------------------------------
+
+const ANTHROPIC_STOP = { end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'length', tool_use: 'tool_calls', refusal: 'content_filter' };
+const GEMINI_STOP = { STOP: 'stop', MAX_TOKENS: 'length', SAFETY: 'content_filter', RECITATION: 'content_filter', BLOCKLIST: 'content_filter', PROHIBITED_CONTENT: 'content_filter', SPII: 'content_filter' };
+
+function usageOf(promptTokens, completionTokens) {
+  const prompt = promptTokens || 0;
+  const completion = completionTokens || 0;
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+function completion({ id, model, content, reasoning, toolCalls, finishReason, usage }) {
+  const message = { role: 'assistant', content: content || (toolCalls.length ? null : '') };
+  if (reasoning) message.reasoning_content = reasoning;
+  if (toolCalls.length) message.tool_calls = toolCalls;
+  return {
+    id: id || `chatcmpl-${Date.now().toString(36)}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{ index: 0, message, finish_reason: finishReason }],
+    usage,
+  };
+}
+
+function anthropicCompletion(data, model) {
+  let content = '';
+  let reasoning = '';
+  const toolCalls = [];
+  for (const block of data.content || []) {
+    if (block.type === 'text') content += block.text || '';
+    else if (block.type === 'thinking') reasoning += block.thinking || '';
+    else if (block.type === 'tool_use') {
+      toolCalls.push({ id: block.id, type: 'function', function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) } });
+    }
+  }
+  return completion({
+    id: data.id, model: data.model || model, content, reasoning, toolCalls,
+    finishReason: ANTHROPIC_STOP[data.stop_reason] || 'stop',
+    usage: usageOf(data.usage?.input_tokens, data.usage?.output_tokens),
+  });
+}
+
+function geminiCompletion(data, model) {
+  let content = '';
+  let reasoning = '';
+  const toolCalls = [];
+  const candidate = data.candidates?.[0] || {};
+  for (const part of candidate.content?.parts || []) {
+    if (part.functionCall) {
+      toolCalls.push({ id: part.functionCall.id || `call_${toolCalls.length}`, type: 'function', function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args ?? {}) } });
+    } else if (part.thought) reasoning += part.text || '';
+    else content += part.text || '';
+  }
+  const finish = toolCalls.length && (!candidate.finishReason || candidate.finishReason === 'STOP')
+    ? 'tool_calls'
+    : GEMINI_STOP[candidate.finishReason] || 'stop';
+  return completion({
+    id: data.responseId, model: data.modelVersion || model, content, reasoning, toolCalls, finishReason: finish,
+    usage: usageOf(data.usageMetadata?.promptTokenCount, data.usageMetadata?.candidatesTokenCount),
+  });
+}
+
+function ollamaToolCalls(calls, offset = 0) {
+  return (calls || []).map((call, i) => ({
+    id: call.id || `call_${offset + i}`,
+    type: 'function',
+    function: { name: call.function?.name, arguments: typeof call.function?.arguments === 'string' ? call.function.arguments : JSON.stringify(call.function?.arguments ?? {}) },
+  }));
+}
+
+function ollamaCompletion(data, model) {
+  const toolCalls = ollamaToolCalls(data.message?.tool_calls);
+  return completion({
+    model: data.model || model,
+    content: data.message?.content || '',
+    reasoning: data.message?.thinking || '',
+    toolCalls,
+    finishReason: toolCalls.length ? 'tool_calls' : data.done_reason === 'length' ? 'length' : 'stop',
+    usage: usageOf(data.prompt_eval_count, data.eval_count),
+  });
+}
+
+/**
+ * Stateful translator from an upstream stream (SSE for Anthropic and Gemini,
+ * NDJSON for Ollama) to OpenAI `chat.completion.chunk` SSE text.
+ *
+ * @param {string} protocol Backend protocol (not `openai`).
+ * @param {{model:string}} options Model name reported in chunks.
+ * @returns {{push:(text:string) => string, end:() => string}} Feed decoded text; each call returns SSE to forward.
+ */
+export function createStreamTranslator(protocol, { model }) {
+  const state = {
+    id: `chatcmpl-${Date.now().toString(36)}`,
+    created: Math.floor(Date.now() / 1000),
+    model,
+    started: false,
+    done: false,
+    finishReason: null,
+    promptTokens: 0,
+    completionTokens: 0,
+    toolCount: 0,
+    toolIndexByBlock: new Map(),
+  };
+  let buffer = '';
+
+  const chunk = (delta, finishReason = null, extra = {}) => ({
+    id: state.id, object: 'chat.completion.chunk', created: state.created, model: state.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }], ...extra,
+  });
+  const start = () => {
+    if (state.started) return [];
+    state.started = true;
+    return [chunk({ role: 'assistant', content: '' })];
+  };
+  const finish = () => {
+    if (state.done) return [];
+    state.done = true;
+    const reason = state.finishReason || (state.toolCount ? 'tool_calls' : 'stop');
+    return [...start(), chunk({}, reason, { usage: usageOf(state.promptTokens, state.completionTokens) })];
+  };
+
+  const handlers = {
+    anthropic(event) {
+      switch (event.type) {
+        case 'message_start':
+          if (event.message?.id) state.id = event.message.id;
+          state.promptTokens = event.message?.usage?.input_tokens || state.promptTokens;
+          return start();
+        case 'content_block_start': {
+          const block = event.content_block || {};
+          if (block.type === 'tool_use') {
+            const index = state.toolCount++;
+            state.toolIndexByBlock.set(event.index, index);
+            return [...start(), chunk({ tool_calls: [{ index, id: block.id, type: 'function', function: { name: block.name, arguments: '' } }] })];
+          }
+          return block.type === 'text' && block.text ? [...start(), chunk({ content: block.text })] : [];
+        }
+        case 'content_block_delta': {
+          const delta = event.delta || {};
+          if (delta.type === 'text_delta') return [...start(), chunk({ content: delta.text })];
+          if (delta.type === 'thinking_delta') return [...start(), chunk({ reasoning_content: delta.thinking })];
+          if (delta.type === 'input_json_delta') {
+            return [...start(), chunk({ tool_calls: [{ index: state.toolIndexByBlock.get(event.index) ?? 0, function: { arguments: delta.partial_json } }] })];
+          }
+          return [];
+        }
+        case 'message_delta':
+          if (event.delta?.stop_reason) state.finishReason = ANTHROPIC_STOP[event.delta.stop_reason] || 'stop';
+          state.promptTokens = event.usage?.input_tokens || state.promptTokens;
+          state.completionTokens = event.usage?.output_tokens ?? state.completionTokens;
+          return [];
+        case 'message_stop':
+          return finish();
+        case 'error':
+          state.done = true;
+          return [{ error: { message: event.error?.message || 'upstream error', type: event.error?.type || 'upstream_error' } }];
+        default:
+          return [];
+      }
+    },
+    gemini(event) {
+      if (event.error) {
+        state.done = true;
+        return [{ error: { message: event.error.message || 'upstream error', type: event.error.status || 'upstream_error' } }];
+      }
+      const out = [...start()];
+      const candidate = event.candidates?.[0] || {};
+      for (const part of candidate.content?.parts || []) {
+        if (part.functionCall) {
+          const index = state.toolCount++;
+          out.push(chunk({ tool_calls: [{ index, id: part.functionCall.id || `call_${index}`, type: 'function', function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args ?? {}) } }] }));
+        } else if (part.text) {
+          out.push(chunk(part.thought ? { reasoning_content: part.text } : { content: part.text }));
+        }
+      }
+      if (event.usageMetadata) {
+        state.promptTokens = event.usageMetadata.promptTokenCount || state.promptTokens;
+        state.completionTokens = event.usageMetadata.candidatesTokenCount || state.completionTokens;
+      }
+      if (candidate.finishReason && candidate.finishReason !== 'STOP') state.finishReason = GEMINI_STOP[candidate.finishReason] || 'stop';
+      return out;
+    },
+    'ollama-native'(event) {
+      if (event.error) {
+        state.done = true;
+        return [{ error: { message: String(event.error), type: 'upstream_error' } }];
+      }
+      const out = [...start()];
+      const message = event.message || {};
+      if (message.thinking) out.push(chunk({ reasoning_content: message.thinking }));
+      if (message.content) out.push(chunk({ content: message.content }));
+      const calls = ollamaToolCalls(message.tool_calls, state.toolCount);
+      for (const call of calls) out.push(chunk({ tool_calls: [{ index: state.toolCount++, ...call }] }));
+      if (event.done) {
+        state.promptTokens = event.prompt_eval_count || 0;
+        state.completionTokens = event.eval_count || 0;
+        if (event.done_reason === 'length') state.finishReason = 'length';
+        out.push(...finish());
+      }
+      return out;
+    },
+  };
+  const handle = handlers[protocol];
+  const sse = chunks => chunks.map(c => `data: ${JSON.stringify(c)}\n\n`).join('');
+
+  const consume = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed || state.done) return [];
+    let payload = trimmed;
+    if (protocol !== 'ollama-native') {
+      if (!trimmed.startsWith('data:')) return [];
+      payload = trimmed.slice(5).trim();
+    }
+    try {
+      return handle(JSON.parse(payload));
+    } catch {
+      return [];
+    }
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      return sse(lines.flatMap(consume));
+    },
+    end() {
+      const tail = buffer ? consume(buffer) : [];
+      buffer = '';
+      return `${sse([...tail, ...finish()])}data: [DONE]\n\n`;
+    },
+  };
+}
+
+function upstreamErrorMessage(text) {
+  try {
+    const data = JSON.parse(text);
+    if (typeof data.error === 'string') return data.error;
+    return data.error?.message || data.message || text;
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Translate an upstream response into the OpenAI chat completion shape.
+ * Errors become `{error:{message, type, code}}` with the upstream status.
+ *
+ * @param {string} protocol Backend protocol (not `openai`).
+ * @param {Response} response Upstream fetch response.
+ * @param {{model:string, stream:boolean}} options Requested model and whether the client streams.
+ * @returns {Promise<Response>} OpenAI-shaped response.
+ */
+export async function translateChatResponse(protocol, response, { model, stream }) {
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    return new Response(JSON.stringify({ error: { message: upstreamErrorMessage(text) || `HTTP ${response.status}`, type: 'upstream_error', code: response.status } }), {
+      status: response.status, statusText: response.statusText, headers: { 'Content-Type': 'application/json' },
+    });
+  }
+  if (stream && response.body) {
+    const translator = createStreamTranslator(protocol, { model });
+    const body = response.body
+      .pipeThrough(new TextDecoderStream())
+      .pipeThrough(new TransformStream({
+        transform(text, controller) {
+          const out = translator.push(text);
+          if (out) controller.enqueue(out);
+        },
+        flush(controller) {
+          controller.enqueue(translator.end());
+        },
+      }))
+      .pipeThrough(new TextEncoderStream());
+    return new Response(body, { status: response.status, headers: { 'Content-Type': 'text/event-stream' } });
+  }
+  const data = await response.json();
+  const translate = { anthropic: anthropicCompletion, gemini: geminiCompletion, 'ollama-native': ollamaCompletion }[protocol];
+  return new Response(JSON.stringify(translate(data, model)), { status: response.status, headers: { 'Content-Type': 'application/json' } });
+}
@@ -0,0 +1,236 @@
+// Llama Manager — backend protocol adapter tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Drives each adapter against a local stub server speaking the native
+// protocol: request translation (system prompts, images, tools, tool results),
+// JSON and streamed responses back to OpenAI chunks with tool calls and usage,
+// upstream errors, model lists and auth headers.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import {
+  createStreamTranslator,
+  modelsUrl,
+  normalizeBackendProtocol,
+  parseModelList,
+  protocolHeaders,
+  protocolSupportsEndpoint,
+  translateChatRequest,
+  translateChatResponse,
+} from './backend-protocols.js';
+
+const requests = [];
+let server;
+let base;
+
+const sse = events => events.map(e => `event: ${e.type || 'message'}\ndata: ${JSON.stringify(e)}\n\n`).join('');
+
+const ROUTES = {
+  'POST /v1/messages': (body) => body.stream
+    ? ['text/event-stream', sse([
+      { type: 'message_start', message: { id: 'msg_1', usage: { input_tokens: 12 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Checking' } },
+      { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: {} } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"city":' } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"Oslo"}' } },
+      { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 9 } },
+      { type: 'message_stop' },
+    ])]
+    : ['application/json', JSON.stringify({
+      id: 'msg_2', model: 'claude-x', stop_reason: 'tool_use',
+      content: [{ type: 'text', text: 'Checking' }, { type: 'tool_use', id: 'toolu_2', name: 'get_weather', input: { city: 'Oslo' } }],
+      usage: { input_tokens: 12, output_tokens: 9 },
+    })],
+  'POST /v1beta/models/gemini-x:generateContent': () => ['application/json', JSON.stringify({
+    candidates: [{ content: { role: 'model', parts: [{ text: 'It is ' }, { text: 'sunny.' }] }, finishReason: 'STOP' }],
+    usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 3, totalTokenCount: 10 },
+  })],
+  'POST /v1beta/models/gemini-x:streamGenerateContent?alt=sse': () => ['text/event-stream',
+    `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text: 'Let me look', thought: true }] } }] })}\r\n\r\n` +
+    `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ functionCall: { name: 'get_weather', args: { city: 'Oslo' } } }] }, finishReason: 'STOP' }], usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 4 } })}\r\n\r\n`],
+  'POST /api/chat': (body) => body.stream
+    ? ['application/x-ndjson', [
+      { model: 'llama3', message: { role: 'assistant', content: 'Hel' }, done: false },
+      { model: 'llama3', message: { role: 'assistant', content: 'lo' }, done: false },
+      { model: 'llama3', message: { role: 'assistant', content: '' }, done: true, done_reason: 'length', prompt_eval_count: 5, eval_count: 2 },
+    ].map(line => JSON.stringify(line)).join('\n') + '\n']
+    : ['application/json', JSON.stringify({
+      model: 'llama3', done: true, done_reason: 'stop', prompt_eval_count: 5, eval_count: 6,
+      message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Oslo' } } }] },
+    })],
+  'GET /v1beta/models': () => ['application/json', JSON.stringify({ models: [{ name: 'models/gemini-x' }, { name: 'models/gemini-y' }] })],
+  'GET /api/tags': () => ['application/json', JSON.stringify({ models: [{ name: 'llama3:8b', model: 'llama3:8b' }] })],
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      if (req.url === '/v1/broken') {
+        res.writeHead(529, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }));
+      }
+      const route = ROUTES[`${req.method} ${req.url}`];
+      if (!route) { res.writeHead(404); return res.end(); }
+      const [type, payload] = route(body);
+      res.writeHead(200, { 'Content-Type': type });
+      res.end(payload);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function chat(protocol, baseUrl, body, apiKey = 'secret') {
+  const native = translateChatRequest(protocol, { baseUrl, body });
+  const response = await fetch(native.url, { method: 'POST', headers: protocolHeaders(protocol, apiKey), body: JSON.stringify(native.body) });
+  return translateChatResponse(protocol, response, { model: body.model, stream: body.stream === true });
+}
+
+async function chunks(response) {
+  const text = await response.text();
+  assert.match(text, /data: \[DONE\]\n\n$/);
+  return text.split('\n').filter(line => line.startsWith('data: ') && line !== 'data: [DONE]').map(line => JSON.parse(line.slice(6)));
+}
+
+const conversation = {
+  messages: [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: [{ type: 'text', text: 'Weather?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } }] },
+    { role: 'tool', tool_call_id: 'call_1', content: '{"temp":3}' },
+  ],
+  tools: [{ type: 'function', function: { name: 'get_weather', description: 'Weather by city', parameters: { type: 'object', properties: { city: { type: 'string' } } } } }],
+  tool_choice: 'required',
+  max_tokens: 64,
+  stop: 'END',
+};
+
+test('protocol validation, endpoint support, headers and model lists', () => {
+  assert.equal(normalizeBackendProtocol(undefined), 'openai');
+  assert.equal(normalizeBackendProtocol('gemini'), 'gemini');
+  assert.throws(() => normalizeBackendProtocol('grpc'), /protocol must be one of/);
+  assert.equal(protocolSupportsEndpoint('openai', 'embeddings'), true);
+  assert.equal(protocolSupportsEndpoint('anthropic', 'chat/completions'), true);
+  assert.equal(protocolSupportsEndpoint('anthropic', 'embeddings'), false);
+
+  assert.deepEqual(protocolHeaders('anthropic', 'k', { 'X-Team': 'a' }), { 'Content-Type': 'application/json', 'anthropic-version': '2023-06-01', 'x-api-key': 'k', 'X-Team': 'a' });
+  assert.equal(protocolHeaders('gemini', 'k')['x-goog-api-key'], 'k');
+  assert.equal(protocolHeaders('ollama-native', null).Authorization, undefined);
+  assert.equal(protocolHeaders(undefined, 'k').Authorization, 'Bearer k');
+
+  assert.equal(modelsUrl('ollama-native', 'http://h:11434/'), 'http://h:11434/api/tags');
+  assert.equal(modelsUrl('anthropic', 'https://api.anthropic.com/v1'), 'https://api.anthropic.com/v1/models');
+  assert.deepEqual(parseModelList('gemini', { models: [{ name: 'models/gemini-x' }] }), ['gemini-x']);
+  assert.deepEqual(parseModelList('anthropic', { data: [{ id: 'claude-x' }] }), ['claude-x']);
+  assert.deepEqual(parseModelList('ollama-native', { models: [{ name: 'llama3:8b' }] }), ['llama3:8b']);
+});
+
+test('anthropic: requests carry system, images, tools and tool results; JSON and SSE translate back', async () => {
+  const native = translateChatRequest('anthropic', { baseUrl: `${base}/v1`, body: { model: 'claude-x', ...conversation } });
+  assert.equal(native.url, `${base}/v1/messages`);
+  assert.equal(native.body.system, 'Be brief.');
+  assert.deepEqual(native.body.messages.map(m => [m.role, m.content.map(b => b.type)]), [
+    ['user', ['text', 'image']],
+    ['assistant', ['tool_use']],
+    ['user', ['tool_result']],
+  ]);
+  assert.deepEqual(native.body.messages[0].content[1].source, { type: 'base64', media_type: 'image/png', data: 'AAAA' });
+  assert.deepEqual(native.body.messages[1].content[0].input, { city: 'Oslo' });
+  assert.deepEqual(native.body.tools[0], { name: 'get_weather', description: 'Weather by city', input_schema: conversation.tools[0].function.parameters });
+  assert.deepEqual(native.body.tool_choice, { type: 'any' });
+  assert.deepEqual(native.body.stop_sequences, ['END']);
+  assert.equal(native.body.max_tokens, 64);
+  assert.equal(translateChatRequest('anthropic', { baseUrl: base, body: { model: 'm', messages: [] } }).body.max_tokens, 4096);
+
+  const json = await (await chat('anthropic', `${base}/v1`, { model: 'claude-x', messages: [{ role: 'user', content: 'hi' }] })).json();
+  assert.equal(requests.at(-1).headers['x-api-key'], 'secret');
+  assert.equal(json.choices[0].finish_reason, 'tool_calls');
+  assert.equal(json.choices[0].message.content, 'Checking');
+  assert.deepEqual(json.choices[0].message.tool_calls, [{ id: 'toolu_2', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } }]);
+  assert.deepEqual(json.usage, { prompt_tokens: 12, completion_tokens: 9, total_tokens: 21 });
+
+  const streamed = await chunks(await chat('anthropic', `${base}/v1`, { model: 'claude-x', stream: true, messages: [{ role: 'user', content: 'hi' }] }));
+  assert.deepEqual(streamed[0].choices[0].delta, { role: 'assistant', content: '' });
+  assert.equal(streamed.map(c => c.choices[0].delta.content || '').join(''), 'Checking');
+  const toolDeltas = streamed.flatMap(c => c.choices[0].delta.tool_calls || []);
+  assert.equal(toolDeltas[0].id, 'toolu_1');
+  assert.equal(toolDeltas.map(d => d.function.arguments).join(''), '{"city":"Oslo"}');
+  assert.equal(streamed.at(-1).choices[0].finish_reason, 'tool_calls');
+  assert.deepEqual(streamed.at(-1).usage, { prompt_tokens: 12, completion_tokens: 9, total_tokens: 21 });
+  assert.equal(streamed.every(c => c.id === 'msg_1'), true);
+});
+
+test('gemini: contents, function calls and responses; JSON and SSE translate back', async () => {
+  const native = translateChatRequest('gemini', { baseUrl: `${base}/v1beta`, body: { model: 'gemini-x', ...conversation, stream: true } });
+  assert.equal(native.url, `${base}/v1beta/models/gemini-x:streamGenerateContent?alt=sse`);
+  assert.deepEqual(native.body.systemInstruction, { parts: [{ text: 'Be brief.' }] });
+  assert.deepEqual(native.body.contents.map(c => [c.role, c.parts.map(p => Object.keys(p)[0])]), [
+    ['user', ['text', 'inlineData']],
+    ['model', ['functionCall']],
+    ['user', ['functionResponse']],
+  ]);
+  assert.deepEqual(native.body.contents[2].parts[0].functionResponse, { name: 'get_weather', response: { content: '{"temp":3}' } });
+  assert.deepEqual(native.body.toolConfig, { functionCallingConfig: { mode: 'ANY' } });
+  assert.deepEqual(native.body.generationConfig, { maxOutputTokens: 64, stopSequences: ['END'] });
+
+  const json = await (await chat('gemini', `${base}/v1beta`, { model: 'gemini-x', messages: [{ role: 'user', content: 'hi' }] })).json();
+  assert.equal(requests.at(-1).headers['x-goog-api-key'], 'secret');
+  assert.equal(json.choices[0].message.content, 'It is sunny.');
+  assert.equal(json.choices[0].finish_reason, 'stop');
+  assert.deepEqual(json.usage, { prompt_tokens: 7, completion_tokens: 3, total_tokens: 10 });
+
+  const streamed = await chunks(await chat('gemini', `${base}/v1beta`, { model: 'gemini-x', stream: true, messages: [{ role: 'user', content: 'hi' }] }));
+  assert.equal(streamed[1].choices[0].delta.reasoning_content, 'Let me look');
+  assert.deepEqual(streamed[2].choices[0].delta.tool_calls, [{ index: 0, id: 'call_0', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } }]);
+  assert.equal(streamed.at(-1).choices[0].finish_reason, 'tool_calls');
+  assert.deepEqual(streamed.at(-1).usage, { prompt_tokens: 7, completion_tokens: 4, total_tokens: 11 });
+
+  const models = await (await fetch(modelsUrl('gemini', `${base}/v1beta`))).json();
+  assert.deepEqual(parseModelList('gemini', models), ['gemini-x', 'gemini-y']);
+});
+
+test('ollama-native: options and images map; NDJSON streams become SSE', async () => {
+  const native = translateChatRequest('ollama-native', { baseUrl: base, body: { model: 'llama3', ...conversation, temperature: 0.2 } });
+  assert.equal(native.url, `${base}/api/chat`);
+  assert.equal(native.body.stream, false);
+  assert.deepEqual(native.body.messages[1], { role: 'user', content: 'Weather?', images: ['AAAA'] });
+  assert.deepEqual(native.body.messages[2].tool_calls, [{ function: { name: 'get_weather', arguments: { city: 'Oslo' } } }]);
+  assert.deepEqual(native.body.options, { temperature: 0.2, num_predict: 64, stop: ['END'] });
+
+  const json = await (await chat('ollama-native', base, { model: 'llama3', messages: [{ role: 'user', content: 'hi' }] }, null)).json();
+  assert.equal(requests.at(-1).headers.authorization, undefined);
+  assert.equal(json.choices[0].finish_reason, 'tool_calls');
+  assert.equal(json.choices[0].message.content, null);
+  assert.equal(json.choices[0].message.tool_calls[0].function.arguments, '{"city":"Oslo"}');
+  assert.deepEqual(json.usage, { prompt_tokens: 5, completion_tokens: 6, total_tokens: 11 });
+
+  const response = await chat('ollama-native', base, { model: 'llama3', stream: true, messages: [{ role: 'user', content: 'hi' }] }, null);
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+  const streamed = await chunks(response);
+  assert.equal(streamed.map(c => c.choices[0].delta.content || '').join(''), 'Hello');
+  assert.equal(streamed.at(-1).choices[0].finish_reason, 'length');
+  assert.deepEqual(streamed.at(-1).usage, { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 });
+});
+
+test('upstream errors keep their status with an OpenAI error body; split stream lines reassemble', async () => {
+  const response = await fetch(`${base}/v1/broken`, { method: 'POST', body: '{}' });
+  const translated = await translateChatResponse('anthropic', response, { model: 'claude-x', stream: true });
+  assert.equal(translated.status, 529);
+  assert.deepEqual(await translated.json(), { error: { message: 'Overloaded', type: 'upstream_error', code: 529 } });
+
+  const translator = createStreamTranslator('ollama-native', { model: 'llama3' });
+  const line = JSON.stringify({ message: { content: 'split' }, done: false });
+  assert.equal(translator.push(line.slice(0, 10)), '');
+  assert.match(translator.push(`${line.slice(10)}\n`), /"content":"split"/);
+  assert.match(translator.end(), /"finish_reason":"stop"[\s\S]*data: \[DONE\]/);
+});
@@ -0,0 +1,336 @@
+// Llama Manager — per-backend request and response transforms.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Remote hosts differ in what they accept and return: one rejects
+// `reasoning_effort`, another wants `max_completion_tokens`, a third echoes
+// `reasoning_content` the client did not ask for. A backend's `transforms`
+// entry declares the fixes, and they are applied to every request sent to it
+// (in the OpenAI shape, before any protocol translation) and to its
+// responses:
+//
+//   request.stripThinking  remove reasoning fields, thinking parts and
+//                          <think> blocks from the outgoing messages
+//   request.drop           delete fields (dotted paths reach nested fields)
+//   request.rename         move fields, e.g. max_tokens → max_completion_tokens
+//   request.defaults       set top-level fields the request left out
+//   request.maxTokens      cap max_tokens / max_completion_tokens
+//   response.stripReasoning remove reasoning from completions and stream
+//                          events: OpenAI `reasoning_content` fields,
+//                          Anthropic Messages thinking blocks, Responses API
+//                          reasoning items and Gemini thought parts
+//
+// Steps run in that order, so a default or cap sees the renamed field.
+// Anthropic, Gemini and Ollama protocol backends are translated to the OpenAI
+// shape before response transforms run; the other shapes arrive when an
+// OpenAI-protocol host serves /v1/messages or /v1/responses itself. Dropping a
+// streamed block or item renumbers the ones after it, so the indexes clients
+// accumulate by stay contiguous. The rewritten response keeps the upstream
+// status and headers.
+
+/** Top-level fields transforms may not drop, rename or default. */
+export const PROTECTED_FIELDS = Object.freeze(['model', 'messages', 'prompt', 'input', 'stream']);
+
+/** Reasoning fields on messages, deltas and content parts. */
+export const REASONING_FIELDS = Object.freeze(['reasoning_content', 'reasoning', 'thinking']);
+
+const THINKING_PART_TYPES = ['thinking', 'redacted_thinking', 'reasoning'];
+const MAX_TOKEN_FIELDS = ['max_tokens', 'max_completion_tokens'];
+const REQUEST_FIELDS = ['drop', 'rename', 'defaults', 'maxTokens', 'stripThinking'];
+const RESPONSE_FIELDS = ['stripReasoning'];
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function rejectUnknown(input, allowed, label) {
+  const unknown = Object.keys(input).filter(key => !allowed.includes(key));
+  if (unknown.length) throw new TypeError(`unknown ${label} field(s): ${unknown.join(', ')}`);
+}
+
+function fieldPath(value, label) {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/.test(value.trim())) {
+    throw new TypeError(`${label} must be a field name or dotted path`);
+  }
+  const path = value.trim();
+  if (PROTECTED_FIELDS.includes(path.split('.')[0])) throw new TypeError(`${label} may not change ${path.split('.')[0]}`);
+  return path;
+}
+
+function optionalBoolean(value, name) {
+  if (value === undefined) return false;
+  if (typeof value !== 'boolean') throw new TypeError(`${name} must be a boolean`);
+  return value;
+}
+
+/**
+ * Validate a backend's `transforms` entry.
+ *
+ * @param {Object|null|undefined} input `{request?, response?}` as described in
+ *   the module comment.
+ * @returns {{request?:Object, response?:Object}|null} Normalized transforms
+ *   with unset steps left out, or null when nothing is set.
+ * @throws {TypeError} On unknown fields, protected or malformed field names,
+ *   or a non-positive cap.
+ */
+export function normalizeBackendTransforms(input) {
+  if (input === null || input === undefined) return null;
+  if (!isPlainObject(input)) throw new TypeError('transforms must be an object or null');
+  rejectUnknown(input, ['request', 'response'], 'transforms');
+  const request = input.request ?? {};
+  const response = input.response ?? {};
+  if (!isPlainObject(request)) throw new TypeError('transforms.request must be an object');
+  if (!isPlainObject(response)) throw new TypeError('transforms.response must be an object');
+  rejectUnknown(request, REQUEST_FIELDS, 'transforms.request');
+  rejectUnknown(response, RESPONSE_FIELDS, 'transforms.response');
+
+  const out = {};
+  if (request.stripThinking !== undefined && optionalBoolean(request.stripThinking, 'stripThinking')) out.stripThinking = true;
+  if (request.drop !== undefined) {
+    if (!Array.isArray(request.drop)) throw new TypeError('drop must be a list of field names');
+    const drop = [...new Set(request.drop.map(name => fieldPath(name, 'drop')))];
+    if (drop.length) out.drop = drop;
+  }
+  if (request.rename !== undefined) {
+    if (!isPlainObject(request.rename)) throw new TypeError('rename must map field names to new names');
+    const rename = {};
+    for (const [from, to] of Object.entries(request.rename)) {
+      const source = fieldPath(from, 'rename');
+      const target = fieldPath(to, 'rename');
+      if (source === target) throw new TypeError(`rename maps ${source} to itself`);
+      rename[source] = target;
+    }
+    if (Object.keys(rename).length) out.rename = rename;
+  }
+  if (request.defaults !== undefined) {
+    if (!isPlainObject(request.defaults)) throw new TypeError('defaults must be an object of field values');
+    for (const key of Object.keys(request.defaults)) {
+      if (PROTECTED_FIELDS.includes(key)) throw new TypeError(`defaults may not set ${key}`);
+    }
+    if (Object.keys(request.defaults).length) out.defaults = structuredClone(request.defaults);
+  }
+  if (request.maxTokens !== undefined && request.maxTokens !== null && request.maxTokens !== '') {
+    const cap = Number(request.maxTokens);
+    if (!Number.isInteger(cap) || cap < 1) throw new TypeError('maxTokens must be a whole number of at least 1');
+    out.maxTokens = cap;
+  }
+
+  const transforms = {};
+  if (Object.keys(out).length) transforms.request = out;
+  if (optionalBoolean(response.stripReasoning, 'stripReasoning')) transforms.response = { stripReasoning: true };
+  return Object.keys(transforms).length ? transforms : null;
+}
+
+function getPath(body, path) {
+  return path.split('.').reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), body);
+}
+
+// Walks the path, copying each object on the way so the input is untouched.
+// Returns false when an intermediate field is missing or not an object.
+function parentFor(body, path, create) {
+  const keys = path.split('.');
+  let node = body;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(node[key])) {
+      if (!create || node[key] !== undefined) return null;
+      node[key] = {};
+    } else {
+      node[key] = { ...node[key] };
+    }
+    node = node[key];
+  }
+  return { node, key: keys[keys.length - 1] };
+}
+
+function deletePath(body, path) {
+  if (getPath(body, path) === undefined) return;
+  const parent = parentFor(body, path, false);
+  if (parent) delete parent.node[parent.key];
+}
+
+function setPath(body, path, value) {
+  const parent = parentFor(body, path, true);
+  if (parent) parent.node[parent.key] = value;
+}
+
+function stripThinkingFromMessage(message) {
+  if (!isPlainObject(message)) return message;
+  const out = { ...message };
+  for (const field of REASONING_FIELDS) delete out[field];
+  if (Array.isArray(out.content)) {
+    out.content = out.content.filter(part => !THINKING_PART_TYPES.includes(part?.type));
+  } else if (typeof out.content === 'string' && out.role === 'assistant') {
+    out.content = out.content.replace(/<think>[\s\S]*?<\/think>\s*/g, '');
+  }
+  return out;
+}
+
+/**
+ * Apply a backend's request transforms to an outgoing JSON body.
+ *
+ * @param {Object} body Request body in the OpenAI shape.
+ * @param {ReturnType<typeof normalizeBackendTransforms>} transforms Backend transforms.
+ * @returns {Object} Transformed copy; the input is not modified.
+ */
+export function applyRequestTransforms(body, transforms) {
+  const steps = transforms?.request;
+  if (!steps || !isPlainObject(body)) return body;
+  const out = { ...body };
+  if (steps.stripThinking && Array.isArray(out.messages)) out.messages = out.messages.map(stripThinkingFromMessage);
+  for (const path of steps.drop || []) deletePath(out, path);
+  for (const [from, to] of Object.entries(steps.rename || {})) {
+    const value = getPath(out, from);
+    if (value === undefined) continue;
+    deletePath(out, from);
+    setPath(out, to, value);
+  }
+  for (const [key, value] of Object.entries(steps.defaults || {})) {
+    if (out[key] === undefined) out[key] = structuredClone(value);
+  }
+  if (steps.maxTokens) {
+    for (const field of MAX_TOKEN_FIELDS) {
+      if (typeof out[field] === 'number' && out[field] > steps.maxTokens) out[field] = steps.maxTokens;
+    }
+  }
+  return out;
+}
+
+const isThinking = part => isPlainObject(part) && THINKING_PART_TYPES.includes(part.type);
+
+/**
+ * Remove reasoning from a completion or stream chunk in any supported shape.
+ *
+ * @param {Object} data Parsed chat completion or chunk, Anthropic message,
+ *   Responses API response, or Gemini response.
+ * @returns {Object} Copy without reasoning on `choices[].message` /
+ *   `choices[].delta`, thinking blocks in `content`, reasoning items in
+ *   `output` (also under `response`), or thought parts in `candidates`.
+ */
+export function stripReasoningFields(data) {
+  if (!isPlainObject(data)) return data;
+  const out = { ...data };
+  if (Array.isArray(out.choices)) {
+    out.choices = out.choices.map(choice => {
+      if (!isPlainObject(choice)) return choice;
+      const next = { ...choice };
+      for (const key of ['message', 'delta']) {
+        if (!isPlainObject(next[key])) continue;
+        next[key] = { ...next[key] };
+        for (const field of REASONING_FIELDS) delete next[key][field];
+      }
+      return next;
+    });
+  }
+  if (Array.isArray(out.content)) out.content = out.content.filter(part => !isThinking(part));
+  if (Array.isArray(out.output)) out.output = out.output.filter(item => !isThinking(item));
+  if (isPlainObject(out.response) && Array.isArray(out.response.output)) out.response = stripReasoningFields(out.response);
+  if (Array.isArray(out.candidates)) {
+    out.candidates = out.candidates.map(candidate => {
+      if (!Array.isArray(candidate?.content?.parts)) return candidate;
+      return { ...candidate, content: { ...candidate.content, parts: candidate.content.parts.filter(part => !part?.thought) } };
+    });
+  }
+  return out;
+}
+
+// Streamed Anthropic blocks are addressed by `index` and Responses items by
+// `output_index`. `dropped` holds the upstream positions of removed thinking
+// blocks / reasoning items; later positions shift down past them.
+function stripStreamEvent(data, dropped) {
+  if (!isPlainObject(data)) return data;
+  const field = data.index !== undefined && String(data.type).startsWith('content_block_') ? 'index'
+    : data.output_index !== undefined ? 'output_index' : null;
+  if (data.type === 'content_block_start' && isThinking(data.content_block)) dropped.index.add(data.index);
+  if (data.type === 'response.output_item.added' && isThinking(data.item)) dropped.output_index.add(data.output_index);
+  if (String(data.type).startsWith('response.reasoning')) return null;
+  if (!field) return stripReasoningFields(data);
+  if (dropped[field].has(data[field])) return null;
+  const shift = [...dropped[field]].filter(position => position < data[field]).length;
+  return stripReasoningFields(shift ? { ...data, [field]: data[field] - shift } : data);
+}
+
+/**
+ * Incremental SSE rewriter that strips reasoning from each event: `data:`
+ * payloads are rewritten, and events that only carry reasoning are dropped
+ * along with their `event:` line.
+ *
+ * @returns {{push:(text:string)=>string, end:()=>string}} Feed decoded text;
+ *   complete events come back rewritten, and `end` flushes the remainder.
+ */
+export function createReasoningStripper() {
+  let pending = '';
+  const dropped = { index: new Set(), output_index: new Set() };
+  const rewrite = (event) => {
+    const lines = event.split('\n');
+    const at = lines.findIndex(line => /^data:/.test(line));
+    const payload = at < 0 ? null : lines[at].replace(/^data:\s?/, '');
+    if (payload === null || payload.trim() === '[DONE]') return event;
+    let data;
+    try {
+      data = stripStreamEvent(JSON.parse(payload), dropped);
+    } catch {
+      return event;
+    }
+    if (data === null) return null;
+    lines[at] = `data: ${JSON.stringify(data)}`;
+    return lines.join('\n');
+  };
+  const render = events => events.map(rewrite).filter(event => event !== null).map(event => `${event}\n\n`).join('');
+  return {
+    push(text) {
+      pending += text.replace(/\r\n/g, '\n');
+      const events = pending.split('\n\n');
+      pending = events.pop();
+      return render(events);
+    },
+    end() {
+      const rest = pending ? rewrite(pending) : null;
+      pending = '';
+      return rest ?? '';
+    },
+  };
+}
+
+// Upstream headers minus the ones that describe the original body bytes.
+function rewrittenHeaders(response) {
+  const headers = new Headers(response.headers);
+  for (const name of ['content-length', 'content-encoding', 'transfer-encoding']) headers.delete(name);
+  return headers;
+}
+
+/**
+ * Apply a backend's response transforms to a successful upstream response.
+ *
+ * @param {Response} response Upstream response.
+ * @param {ReturnType<typeof normalizeBackendTransforms>} transforms Backend transforms.
+ * @returns {Promise<Response>} The response, rewritten when a step applies.
+ */
+export async function applyResponseTransforms(response, transforms) {
+  if (!transforms?.response?.stripReasoning || !response.ok) return response;
+  const type = response.headers.get('content-type') || '';
+  if (type.includes('text/event-stream') && response.body) {
+    const stripper = createReasoningStripper();
+    const body = response.body
+      .pipeThrough(new TextDecoderStream())
+      .pipeThrough(new TransformStream({
+        transform(text, controller) {
+          const out = stripper.push(text);
+          if (out) controller.enqueue(out);
+        },
+        flush(controller) {
+          const out = stripper.end();
+          if (out) controller.enqueue(out);
+        },
+      }))
+      .pipeThrough(new TextEncoderStream());
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: rewrittenHeaders(response) });
+  }
+  if (!type.includes('json')) return response;
+  let text = await response.text();
+  try {
+    text = JSON.stringify(stripReasoningFields(JSON.parse(text)));
+  } catch {
+    // Not the JSON it claimed to be; pass it on for the caller to report.
+  }
+  return new Response(text, { status: response.status, statusText: response.statusText, headers: rewrittenHeaders(response) });
+}
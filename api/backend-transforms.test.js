@@ -0,0 +1,142 @@
+// Llama Manager — per-backend transform tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies transform validation, each request step and their order, and
+// reasoning removal from completions, stream chunks and split SSE text in the
+// OpenAI, Anthropic Messages, Responses API and Gemini shapes, with upstream
+// headers kept on the rewritten response.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  applyRequestTransforms,
+  applyResponseTransforms,
+  createReasoningStripper,
+  normalizeBackendTransforms,
+  stripReasoningFields,
+} from './backend-transforms.js';
+
+test('transforms validate and drop unset steps', () => {
+  assert.equal(normalizeBackendTransforms(null), null);
+  assert.equal(normalizeBackendTransforms({ request: { drop: [], stripThinking: false }, response: {} }), null);
+  assert.deepEqual(
+    normalizeBackendTransforms({ request: { drop: [' reasoning_effort ', 'reasoning_effort'], maxTokens: '4096' }, response: { stripReasoning: true } }),
+    { request: { drop: ['reasoning_effort'], maxTokens: 4096 }, response: { stripReasoning: true } },
+  );
+  assert.throws(() => normalizeBackendTransforms({ request: { drop: ['model'] } }), /may not change model/);
+  assert.throws(() => normalizeBackendTransforms({ request: { rename: { max_tokens: 'messages' } } }), /may not change messages/);
+  assert.throws(() => normalizeBackendTransforms({ request: { rename: { a: 'a' } } }), /itself/);
+  assert.throws(() => normalizeBackendTransforms({ request: { defaults: { stream: true } } }), /may not set stream/);
+  assert.throws(() => normalizeBackendTransforms({ request: { drop: ['bad key'] } }), /dotted path/);
+  assert.throws(() => normalizeBackendTransforms({ request: { maxTokens: 0 } }), /maxTokens/);
+  assert.throws(() => normalizeBackendTransforms({ request: { strip: true } }), /unknown transforms.request field/);
+  assert.throws(() => normalizeBackendTransforms([]), /object or null/);
+});
+
+test('request steps drop, rename, default and cap in order', () => {
+  const transforms = normalizeBackendTransforms({
+    request: {
+      drop: ['chat_template_kwargs.reasoning_effort', 'top_k'],
+      rename: { max_tokens: 'max_completion_tokens' },
+      defaults: { temperature: 0.2, max_completion_tokens: 512 },
+      maxTokens: 1000,
+    },
+  });
+  const body = { model: 'm', messages: [], top_k: 20, max_tokens: 8000, chat_template_kwargs: { reasoning_effort: 'high', enable_thinking: true } };
+  assert.deepEqual(applyRequestTransforms(body, transforms), {
+    model: 'm', messages: [], max_completion_tokens: 1000, temperature: 0.2, chat_template_kwargs: { enable_thinking: true },
+  });
+  assert.deepEqual(body.chat_template_kwargs, { reasoning_effort: 'high', enable_thinking: true });
+  assert.deepEqual(applyRequestTransforms({ model: 'm' }, transforms), { model: 'm', temperature: 0.2, max_completion_tokens: 512 });
+  assert.deepEqual(applyRequestTransforms({ model: 'm', temperature: 0 }, transforms).temperature, 0);
+  assert.equal(applyRequestTransforms(body, null), body);
+});
+
+test('stripThinking cleans reasoning out of outgoing messages', () => {
+  const transforms = normalizeBackendTransforms({ request: { stripThinking: true } });
+  const { messages } = applyRequestTransforms({
+    messages: [
+      { role: 'user', content: 'keep <think>user text</think>' },
+      { role: 'assistant', content: '<think>plan</think>\nAnswer', reasoning_content: 'plan' },
+      { role: 'assistant', content: [{ type: 'thinking', thinking: 'x' }, { type: 'text', text: 'Hi' }] },
+    ],
+  }, transforms);
+  assert.deepEqual(messages, [
+    { role: 'user', content: 'keep <think>user text</think>' },
+    { role: 'assistant', content: 'Answer' },
+    { role: 'assistant', content: [{ type: 'text', text: 'Hi' }] },
+  ]);
+});
+
+test('reasoning is stripped from completions and split stream text', async () => {
+  assert.deepEqual(
+    stripReasoningFields({ choices: [{ message: { role: 'assistant', content: 'Hi', reasoning_content: 'r' } }] }),
+    { choices: [{ message: { role: 'assistant', content: 'Hi' } }] },
+  );
+  const stripper = createReasoningStripper();
+  const out = stripper.push('data: {"choices":[{"delta":{"reasoning":"a"}}]}\n\ndata: {"choices":[{"de')
+    + stripper.push('lta":{"content":"b"}}]}\n\n: keepalive\ndata: [DONE]') + stripper.end();
+  assert.equal(out, 'data: {"choices":[{"delta":{}}]}\n\ndata: {"choices":[{"delta":{"content":"b"}}]}\n\n: keepalive\ndata: [DONE]');
+
+  const transforms = { response: { stripReasoning: true } };
+  const json = new Response(JSON.stringify({ choices: [{ message: { content: 'x', thinking: 't' } }] }), { headers: { 'content-type': 'application/json' } });
+  assert.deepEqual(await (await applyResponseTransforms(json, transforms)).json(), { choices: [{ message: { content: 'x' } }] });
+  const failed = new Response('nope', { status: 500 });
+  assert.equal(await applyResponseTransforms(failed, transforms), failed);
+});
+
+test('thinking blocks and reasoning items are dropped and later indexes renumbered', async () => {
+  assert.deepEqual(
+    stripReasoningFields({ content: [{ type: 'thinking', thinking: 't', signature: 's' }, { type: 'text', text: 'Hi' }] }).content,
+    [{ type: 'text', text: 'Hi' }],
+  );
+  assert.deepEqual(
+    stripReasoningFields({ output: [{ type: 'reasoning', summary: [] }, { type: 'message', content: [] }] }).output,
+    [{ type: 'message', content: [] }],
+  );
+  assert.deepEqual(
+    stripReasoningFields({ candidates: [{ content: { parts: [{ text: 'plan', thought: true }, { text: 'Hi' }] } }] }).candidates,
+    [{ content: { parts: [{ text: 'Hi' }] } }],
+  );
+
+  const event = (name, data) => `event: ${name}\ndata: ${JSON.stringify(data)}\n\n`;
+  const anthropic = createReasoningStripper();
+  const messages = anthropic.push([
+    event('content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } }),
+    event('content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'hmm' } }),
+    event('content_block_stop', { type: 'content_block_stop', index: 0 }),
+    event('content_block_start', { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } }),
+    event('content_block_delta', { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Hi' } }),
+    event('message_stop', { type: 'message_stop' }),
+  ].join('')) + anthropic.end();
+  assert.equal(messages, [
+    event('content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }),
+    event('content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } }),
+    event('message_stop', { type: 'message_stop' }),
+  ].join(''));
+
+  const responses = createReasoningStripper();
+  const stream = responses.push([
+    event('response.output_item.added', { type: 'response.output_item.added', output_index: 0, item: { type: 'reasoning' } }),
+    event('response.reasoning_summary_text.delta', { type: 'response.reasoning_summary_text.delta', output_index: 0, delta: 'r' }),
+    event('response.output_item.added', { type: 'response.output_item.added', output_index: 1, item: { type: 'message' } }),
+    event('response.completed', { type: 'response.completed', response: { output: [{ type: 'reasoning' }, { type: 'message' }] } }),
+  ].join(''));
+  assert.equal(stream, [
+    event('response.output_item.added', { type: 'response.output_item.added', output_index: 0, item: { type: 'message' } }),
+    event('response.completed', { type: 'response.completed', response: { output: [{ type: 'message' }] } }),
+  ].join(''));
+
+  const upstream = new Response(JSON.stringify({ content: [{ type: 'redacted_thinking', data: 'x' }, { type: 'text', text: 'ok' }] }), {
+    status: 200,
+    headers: { 'content-type': 'application/json', 'content-length': '99', 'x-request-id': 'req_1', 'x-ratelimit-remaining-requests': '41' },
+  });
+  const rewritten = await applyResponseTransforms(upstream, { response: { stripReasoning: true } });
+  assert.equal(rewritten.headers.get('x-request-id'), 'req_1');
+  assert.equal(rewritten.headers.get('x-ratelimit-remaining-requests'), '41');
+  assert.match(rewritten.headers.get('content-type'), /application\/json/);
+  assert.notEqual(rewritten.headers.get('content-length'), '99');
+  assert.deepEqual((await rewritten.json()).content, [{ type: 'text', text: 'ok' }]);
+});
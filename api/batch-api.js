@@ -0,0 +1,488 @@
+// Llama Manager — OpenAI-compatible Batch API: files, batches and scheduling.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// A batch is a JSONL file of requests (`{custom_id, method, url, body}` per
+// line) uploaded through /v1/files and run through /v1/batches. The manager
+// sends each request to its own endpoint at background priority on the local
+// lane, so batch work yields to interactive traffic, and only while the
+// schedule in config.batches allows it: inside one of its time windows and,
+// optionally, while the thermal guard reports the die as normal. Results are
+// appended to output and error JSONL files as they finish, so after a restart
+// a batch resumes with the requests that have no result yet.
+//
+// Files and batches belong to the client that created them: each record keeps
+// an `owner` (cache scope plus client identity) that every lookup is filtered
+// by, and that batch lines are charged to. The owner never appears in the
+// OpenAI-shaped objects returned to clients.
+
+import {
+  appendFileSync,
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  readdirSync,
+  renameSync,
+  rmSync,
+  statSync,
+  writeFileSync,
+} from 'node:fs';
+import { randomBytes } from 'node:crypto';
+import { join } from 'node:path';
+
+/** Endpoints a batch may target. */
+export const BATCH_ENDPOINTS = Object.freeze(['/v1/chat/completions', '/v1/completions', '/v1/embeddings']);
+
+/** The only completion window OpenAI clients send. */
+export const BATCH_COMPLETION_WINDOW = '24h';
+
+const COMPLETION_WINDOW_MS = 24 * 60 * 60_000;
+
+/** Batch statuses that still have work or bookkeeping left. */
+export const OPEN_BATCH_STATUSES = Object.freeze(['validating', 'in_progress', 'finalizing', 'cancelling']);
+
+/** Schedule used when config.batches has never been saved. */
+export const BATCH_DEFAULTS = Object.freeze({
+  windows: Object.freeze([]),
+  requireCool: false,
+  concurrency: 1,
+  maxAttempts: 3,
+});
+
+/** Largest accepted upload. */
+export const BATCH_FILE_MAX_BYTES = 100 * 1024 * 1024;
+
+/** Most requests one batch may hold. */
+export const BATCH_MAX_REQUESTS = 50_000;
+
+const CLOCK = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function minutesOf(clock) {
+  const [, h, m] = CLOCK.exec(clock);
+  return Number(h) * 60 + Number(m);
+}
+
+/**
+ * Validate batch scheduling settings (config.batches).
+ *
+ * @param {Object} [input] Settings; omitted fields take defaults.
+ * @returns {{windows:Array<{start:string, end:string}>, requireCool:boolean,
+ *   concurrency:number, maxAttempts:number}} Normalized settings.
+ * @throws {TypeError} On malformed windows, out-of-range numbers or unknown fields.
+ */
+export function normalizeBatchSettings(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new TypeError('batch settings must be an object');
+  const unknown = Object.keys(input).filter(key => !(key in BATCH_DEFAULTS));
+  if (unknown.length) throw new TypeError(`unknown batch setting(s): ${unknown.join(', ')}`);
+  const merged = { ...BATCH_DEFAULTS, ...input };
+  if (!Array.isArray(merged.windows)) throw new TypeError('windows must be a list of {start, end} times');
+  const windows = merged.windows.map((window) => {
+    const start = String(window?.start ?? '').trim();
+    const end = String(window?.end ?? '').trim();
+    if (!CLOCK.test(start) || !CLOCK.test(end)) throw new TypeError('window start and end must be HH:MM (24-hour)');
+    if (start === end) throw new TypeError('a window must not start and end at the same time');
+    return { start, end };
+  });
+  if (typeof merged.requireCool !== 'boolean') throw new TypeError('requireCool must be a boolean');
+  const concurrency = Number(merged.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 16) throw new TypeError('concurrency must be a whole number between 1 and 16');
+  const maxAttempts = Number(merged.maxAttempts);
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 10) throw new TypeError('maxAttempts must be a whole number between 1 and 10');
+  return { windows, requireCool: merged.requireCool, concurrency, maxAttempts };
+}
+
+/**
+ * Whether a local time falls in one of the windows. A window whose end is
+ * before its start runs overnight; no windows means always open.
+ *
+ * @param {Array<{start:string, end:string}>} windows Normalized windows.
+ * @param {Date} date Time to test, read in the server's local time zone.
+ * @returns {boolean} True inside a window.
+ */
+export function batchWindowOpen(windows, date) {
+  if (!windows.length) return true;
+  const now = date.getHours() * 60 + date.getMinutes();
+  return windows.some(({ start, end }) => {
+    const from = minutesOf(start);
+    const to = minutesOf(end);
+    return from < to ? now >= from && now < to : now >= from || now < to;
+  });
+}
+
+/**
+ * Whether batch work may be dispatched now.
+ *
+ * @param {ReturnType<typeof normalizeBatchSettings>} settings Batch settings.
+ * @param {{date:Date, thermalState:string}} state Current time and thermal guard state.
+ * @returns {{open:boolean, reason:(null|'outside_window'|'thermal')}} Gate state.
+ */
+export function batchGate(settings, { date, thermalState }) {
+  if (!batchWindowOpen(settings.windows, date)) return { open: false, reason: 'outside_window' };
+  if (settings.requireCool && thermalState !== 'normal') return { open: false, reason: 'thermal' };
+  return { open: true, reason: null };
+}
+
+/**
+ * Parse and validate a batch input file.
+ *
+ * @param {string} text JSONL content.
+ * @param {string} endpoint The batch's endpoint; every line must target it.
+ * @returns {{requests:Array<{custom_id:string, body:Object}>,
+ *   errors:Array<{code:string, message:string, line:number}>}} Requests in
+ *   file order, or the problems found (with 1-based line numbers).
+ */
+export function parseBatchInput(text, endpoint) {
+  const requests = [];
+  const errors = [];
+  const seen = new Set();
+  const lines = String(text).split('\n');
+  lines.forEach((raw, index) => {
+    const line = index + 1;
+    if (!raw.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(raw);
+    } catch {
+      errors.push({ code: 'invalid_json_line', message: 'Line is not valid JSON', line });
+      return;
+    }
+    if (typeof entry?.custom_id !== 'string' || !entry.custom_id) {
+      errors.push({ code: 'missing_required_parameter', message: 'custom_id must be a non-empty string', line });
+    } else if (seen.has(entry.custom_id)) {
+      errors.push({ code: 'duplicate_custom_id', message: `custom_id "${entry.custom_id}" is repeated`, line });
+    } else if (String(entry.method || '').toUpperCase() !== 'POST') {
+      errors.push({ code: 'invalid_method', message: 'method must be POST', line });
+    } else if (entry.url !== endpoint) {
+      errors.push({ code: 'invalid_url', message: `url must be ${endpoint}, the batch endpoint`, line });
+    } else if (!entry.body || typeof entry.body !== 'object' || Array.isArray(entry.body)) {
+      errors.push({ code: 'missing_required_parameter', message: 'body must be an object', line });
+    } else if (typeof entry.body.model !== 'string' || !entry.body.model) {
+      errors.push({ code: 'missing_required_parameter', message: 'body.model is required', line });
+    } else {
+      seen.add(entry.custom_id);
+      requests.push({ custom_id: entry.custom_id, body: entry.body });
+    }
+  });
+  if (!requests.length && !errors.length) errors.push({ code: 'empty_file', message: 'The input file has no requests', line: 0 });
+  if (requests.length > BATCH_MAX_REQUESTS) {
+    errors.push({ code: 'too_many_requests', message: `A batch may hold at most ${BATCH_MAX_REQUESTS} requests`, line: 0 });
+  }
+  return { requests, errors };
+}
+
+/**
+ * Whether a failed attempt should be retried: rate limits, server errors
+ * (including preemption by realtime work) and network failures.
+ *
+ * @param {number} status HTTP status, 0 when no response arrived.
+ * @returns {boolean} True to retry.
+ */
+export function isRetryableStatus(status) {
+  return status === 0 || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Read one text field from a multipart/form-data body (the upload's
+ * `purpose`); the file part itself is parsed by media.js.
+ *
+ * @param {Buffer} body Complete bounded multipart body.
+ * @param {string} contentType Request Content-Type header.
+ * @param {string} name Field name.
+ * @returns {string|null} Field value, or null when absent.
+ */
+export function multipartTextField(body, contentType, name) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(String(contentType));
+  const boundary = (match?.[1] || match?.[2] || '').trim();
+  if (!boundary) return null;
+  const marker = Buffer.from(`--${boundary}`);
+  const nextMarker = Buffer.from(`\r\n--${boundary}`);
+  let cursor = 0;
+  while (cursor < body.length) {
+    const markerIndex = body.indexOf(marker, cursor);
+    if (markerIndex === -1) break;
+    let partStart = markerIndex + marker.length;
+    if (body.subarray(partStart, partStart + 2).toString() === '--') break;
+    if (body.subarray(partStart, partStart + 2).toString() === '\r\n') partStart += 2;
+    const headerEnd = body.indexOf(Buffer.from('\r\n\r\n'), partStart);
+    if (headerEnd === -1) break;
+    const partEnd = body.indexOf(nextMarker, headerEnd + 4);
+    if (partEnd === -1) break;
+    const disposition = /^content-disposition:\s*form-data;([^\r\n]+)$/im.exec(body.subarray(partStart, headerEnd).toString('utf8'))?.[1] || '';
+    const partName = /(?:^|;)\s*name="([^"]*)"/i.exec(disposition)?.[1];
+    if (partName === name && !/(?:^|;)\s*filename="/i.test(disposition) && partEnd - headerEnd - 4 <= 1024) {
+      return body.subarray(headerEnd + 4, partEnd).toString('utf8').trim();
+    }
+    cursor = partEnd + 2;
+  }
+  return null;
+}
+
+/**
+ * Whether a file or batch is visible to a caller.
+ *
+ * @param {Object|null} record File or batch record.
+ * @param {string} scopeId Caller's cache scope (see deriveCacheScope()).
+ * @param {{unowned?:boolean}} [options] Whether records created before owners
+ *   were recorded are visible to this caller.
+ * @returns {boolean} True when the caller may see and act on the record.
+ */
+export function visibleTo(record, scopeId, { unowned = false } = {}) {
+  if (!record) return false;
+  return record.owner ? record.owner.scopeId === scopeId : unowned;
+}
+
+/**
+ * A record as returned to clients, without its owner.
+ *
+ * @param {Object} record File or batch record.
+ * @returns {Object} OpenAI-shaped object.
+ */
+export function publicRecord(record) {
+  const { owner, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Generate an id in OpenAI's style.
+ *
+ * @param {string} prefix e.g. `batch`, `file`, `batch_req`.
+ * @returns {string} Prefixed random id.
+ */
+export function batchId(prefix) {
+  return `${prefix}${prefix === 'file' ? '-' : '_'}${randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * A new batch object in the OpenAI shape.
+ *
+ * @param {{endpoint:string, inputFileId:string, metadata?:Object, nowSeconds:number,
+ *   owner?:Object}} input Creation fields.
+ * @returns {Object} Batch in status `validating`.
+ */
+export function createBatchObject({ endpoint, inputFileId, metadata = null, nowSeconds, owner = null }) {
+  return {
+    id: batchId('batch'),
+    object: 'batch',
+    endpoint,
+    errors: null,
+    input_file_id: inputFileId,
+    completion_window: BATCH_COMPLETION_WINDOW,
+    status: 'validating',
+    output_file_id: null,
+    error_file_id: null,
+    created_at: nowSeconds,
+    in_progress_at: null,
+    expires_at: nowSeconds + COMPLETION_WINDOW_MS / 1000,
+    finalizing_at: null,
+    completed_at: null,
+    failed_at: null,
+    expired_at: null,
+    cancelling_at: null,
+    cancelled_at: null,
+    request_counts: { total: 0, completed: 0, failed: 0 },
+    metadata,
+    owner,
+  };
+}
+
+/**
+ * One line of a batch output or error file.
+ *
+ * @param {string} customId The request's custom_id.
+ * @param {{status?:number, requestId?:string, body?:unknown, error?:{code:string, message:string}}} result
+ *   The response, or an error when none arrived.
+ * @returns {string} JSON line without the trailing newline.
+ */
+export function batchResultLine(customId, { status, requestId, body, error }) {
+  return JSON.stringify({
+    id: batchId('batch_req'),
+    custom_id: customId,
+    response: error ? null : { status_code: status, request_id: requestId || null, body },
+    error: error || null,
+  });
+}
+
+/**
+ * Batch files and batches on disk. Files live in `files/` as content plus a
+ * JSON record; each batch is a JSON record in `batches/` with its output and
+ * error lines appended beside it while it runs.
+ */
+export class BatchStore {
+  /**
+   * @param {{directory:string}} options Root directory, created on demand.
+   */
+  constructor({ directory }) {
+    if (!directory) throw new TypeError('batch store directory is required');
+    this.filesDir = join(directory, 'files');
+    this.batchesDir = join(directory, 'batches');
+    this.files = new Map(); // id -> file object
+    this.batches = new Map(); // id -> batch object
+  }
+
+  /**
+   * Read every file and batch record.
+   *
+   * @returns {{files:number, batches:number}} Counts loaded.
+   */
+  load() {
+    for (const [dir, map] of [[this.filesDir, this.files], [this.batchesDir, this.batches]]) {
+      if (!existsSync(dir)) continue;
+      for (const name of readdirSync(dir).filter(n => n.endsWith('.json'))) {
+        try {
+          const record = JSON.parse(readFileSync(join(dir, name), 'utf8'));
+          if (record?.id) map.set(record.id, record);
+        } catch {
+          // A torn record from a crash mid-write; the temp-file rename makes this rare.
+        }
+      }
+    }
+    return { files: this.files.size, batches: this.batches.size };
+  }
+
+  writeRecord(dir, record) {
+    mkdirSync(dir, { recursive: true });
+    const path = join(dir, `${record.id}.json`);
+    writeFileSync(`${path}.tmp`, `${JSON.stringify(record)}\n`, { mode: 0o600 });
+    renameSync(`${path}.tmp`, path);
+  }
+
+  /**
+   * Store an uploaded or generated file.
+   *
+   * @param {{filename:string, purpose:string, data:(Buffer|string), nowSeconds:number,
+   *   owner?:Object}} input File fields.
+   * @returns {Object} File record.
+   */
+  createFile({ filename, purpose, data, nowSeconds, owner = null }) {
+    const file = { id: batchId('file'), object: 'file', bytes: Buffer.byteLength(data), created_at: nowSeconds, filename, purpose, owner };
+    mkdirSync(this.filesDir, { recursive: true });
+    writeFileSync(join(this.filesDir, `${file.id}.jsonl`), data, { mode: 0o600 });
+    this.writeRecord(this.filesDir, file);
+    this.files.set(file.id, file);
+    return file;
+  }
+
+  /**
+   * Adopt a batch's accumulated result lines as a file.
+   *
+   * @param {string} batchIdValue Batch id.
+   * @param {'output'|'error'} kind Which results.
+   * @param {number} nowSeconds Creation time.
+   * @param {Object|null} [owner] The batch's owner, who also owns the file.
+   * @returns {Object|null} File record, or null when there were no lines.
+   */
+  adoptResults(batchIdValue, kind, nowSeconds, owner = null) {
+    const source = this.resultsPath(batchIdValue, kind);
+    if (!existsSync(source) || statSync(source).size === 0) return null;
+    const file = { id: batchId('file'), object: 'file', bytes: statSync(source).size, created_at: nowSeconds, filename: `${batchIdValue}_${kind}.jsonl`, purpose: 'batch_output', owner };
+    mkdirSync(this.filesDir, { recursive: true });
+    renameSync(source, join(this.filesDir, `${file.id}.jsonl`));
+    this.writeRecord(this.filesDir, file);
+    this.files.set(file.id, file);
+    return file;
+  }
+
+  /**
+   * @param {string} id File id.
+   * @returns {Object|null} File object.
+   */
+  getFile(id) {
+    return this.files.get(id) || null;
+  }
+
+  /**
+   * @param {string} [purpose] Only files with this purpose.
+   * @returns {Object[]} File objects, newest first.
+   */
+  listFiles(purpose) {
+    return [...this.files.values()].filter(f => !purpose || f.purpose === purpose).sort((a, b) => b.created_at - a.created_at);
+  }
+
+  /**
+   * @param {string} id File id.
+   * @returns {Buffer} File content.
+   */
+  fileContent(id) {
+    return readFileSync(join(this.filesDir, `${id}.jsonl`));
+  }
+
+  /**
+   * @param {string} id File id.
+   * @returns {boolean} True when the file existed.
+   */
+  deleteFile(id) {
+    if (!this.files.delete(id)) return false;
+    rmSync(join(this.filesDir, `${id}.jsonl`), { force: true });
+    rmSync(join(this.filesDir, `${id}.json`), { force: true });
+    return true;
+  }
+
+  /**
+   * Persist a batch after any change.
+   *
+   * @param {Object} batch Batch object.
+   */
+  saveBatch(batch) {
+    this.batches.set(batch.id, batch);
+    this.writeRecord(this.batchesDir, batch);
+  }
+
+  /**
+   * @param {string} id Batch id.
+   * @returns {Object|null} Batch object.
+   */
+  getBatch(id) {
+    return this.batches.get(id) || null;
+  }
+
+  /**
+   * @returns {Object[]} Batches, newest first.
+   */
+  listBatches() {
+    return [...this.batches.values()].sort((a, b) => b.created_at - a.created_at || (a.id < b.id ? 1 : -1));
+  }
+
+  resultsPath(batchIdValue, kind) {
+    return join(this.batchesDir, `${batchIdValue}.${kind}.jsonl`);
+  }
+
+  /**
+   * Record one finished request.
+   *
+   * @param {string} batchIdValue Batch id.
+   * @param {'output'|'error'} kind Output for 2xx responses, error otherwise.
+   * @param {string} line Result line from batchResultLine.
+   */
+  appendResult(batchIdValue, kind, line) {
+    mkdirSync(this.batchesDir, { recursive: true });
+    appendFileSync(this.resultsPath(batchIdValue, kind), `${line}\n`, { mode: 0o600 });
+  }
+
+  /**
+   * Requests that already have a result, for resuming after a restart. The
+   * counts come from the result files, so they stay right even when the
+   * manager stopped between appending a line and saving the batch.
+   *
+   * @param {string} batchIdValue Batch id.
+   * @returns {{ids:Set<string>, completed:number, failed:number}} Finished
+   *   custom_ids and how many landed in the output and error files.
+   */
+  finishedResults(batchIdValue) {
+    const ids = new Set();
+    const counts = { output: 0, error: 0 };
+    for (const kind of ['output', 'error']) {
+      const path = this.resultsPath(batchIdValue, kind);
+      if (!existsSync(path)) continue;
+      for (const raw of readFileSync(path, 'utf8').split('\n')) {
+        try {
+          if (!raw.trim()) continue;
+          ids.add(JSON.parse(raw).custom_id);
+          counts[kind] += 1;
+        } catch {
+          // A line cut short by a crash; that request runs again.
+        }
+      }
+    }
+    return { ids, completed: counts.output, failed: counts.error };
+  }
+}
@@ -0,0 +1,146 @@
+// Llama Manager — Batch API tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies schedule validation and window gating (including overnight
+// windows), input file validation, retry classification, and that the store
+// survives a reload with finished requests remembered for resumption, and
+// that files and batches stay visible to their owner only.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  BatchStore,
+  batchGate,
+  batchResultLine,
+  batchWindowOpen,
+  createBatchObject,
+  isRetryableStatus,
+  multipartTextField,
+  normalizeBatchSettings,
+  parseBatchInput,
+  publicRecord,
+  visibleTo,
+} from './batch-api.js';
+
+const at = (hours, minutes) => new Date(2026, 0, 5, hours, minutes);
+
+test('batch settings validate and fill defaults', () => {
+  assert.deepEqual(normalizeBatchSettings({}), { windows: [], requireCool: false, concurrency: 1, maxAttempts: 3 });
+  assert.deepEqual(
+    normalizeBatchSettings({ windows: [{ start: ' 22:00', end: '06:30' }], requireCool: true, concurrency: '2' }).windows,
+    [{ start: '22:00', end: '06:30' }],
+  );
+  assert.throws(() => normalizeBatchSettings({ windows: [{ start: '25:00', end: '01:00' }] }), /HH:MM/);
+  assert.throws(() => normalizeBatchSettings({ windows: [{ start: '01:00', end: '01:00' }] }), /same time/);
+  assert.throws(() => normalizeBatchSettings({ concurrency: 0 }), /concurrency/);
+  assert.throws(() => normalizeBatchSettings({ requireCool: 'yes' }), /requireCool/);
+  assert.throws(() => normalizeBatchSettings({ window: [] }), /unknown batch setting/);
+});
+
+test('windows gate dispatch, including overnight spans and thermal state', () => {
+  assert.equal(batchWindowOpen([], at(12, 0)), true);
+  const night = [{ start: '22:00', end: '06:00' }];
+  assert.equal(batchWindowOpen(night, at(23, 30)), true);
+  assert.equal(batchWindowOpen(night, at(5, 59)), true);
+  assert.equal(batchWindowOpen(night, at(6, 0)), false);
+  assert.equal(batchWindowOpen([{ start: '01:00', end: '03:00' }], at(2, 0)), true);
+
+  const settings = normalizeBatchSettings({ windows: night, requireCool: true });
+  assert.deepEqual(batchGate(settings, { date: at(12, 0), thermalState: 'normal' }), { open: false, reason: 'outside_window' });
+  assert.deepEqual(batchGate(settings, { date: at(23, 0), thermalState: 'throttled' }), { open: false, reason: 'thermal' });
+  assert.deepEqual(batchGate(settings, { date: at(23, 0), thermalState: 'normal' }), { open: true, reason: null });
+});
+
+test('input files are checked line by line', () => {
+  const line = (id, extra = {}) => JSON.stringify({ custom_id: id, method: 'POST', url: '/v1/chat/completions', body: { model: 'm', messages: [] }, ...extra });
+  const { requests, errors } = parseBatchInput([
+    line('a'),
+    '',
+    line('a'),
+    'not json',
+    line('b', { url: '/v1/embeddings' }),
+    line('c', { method: 'GET' }),
+    line('d', { body: { messages: [] } }),
+    line('e'),
+  ].join('\n'), '/v1/chat/completions');
+  assert.deepEqual(requests.map(r => r.custom_id), ['a', 'e']);
+  assert.deepEqual(errors.map(e => [e.code, e.line]), [
+    ['duplicate_custom_id', 3],
+    ['invalid_json_line', 4],
+    ['invalid_url', 5],
+    ['invalid_method', 6],
+    ['missing_required_parameter', 7],
+  ]);
+  assert.equal(parseBatchInput('\n', '/v1/embeddings').errors[0].code, 'empty_file');
+  assert.equal(isRetryableStatus(503), true);
+  assert.equal(isRetryableStatus(0), true);
+  assert.equal(isRetryableStatus(400), false);
+  const upload = Buffer.from('--b\r\nContent-Disposition: form-data; name="purpose"\r\n\r\nbatch\r\n--b\r\nContent-Disposition: form-data; name="file"; filename="a.jsonl"\r\n\r\n{}\r\n--b--\r\n');
+  assert.equal(multipartTextField(upload, 'multipart/form-data; boundary=b', 'purpose'), 'batch');
+  assert.equal(multipartTextField(upload, 'multipart/form-data; boundary=b', 'file'), null);
+});
+
+test('store persists files, batches and finished requests across reloads', () => {
+  const directory = mkdtempSync(join(tmpdir(), 'llama-batches-'));
+  try {
+    const store = new BatchStore({ directory });
+    const file = store.createFile({ filename: 'in.jsonl', purpose: 'batch', data: '{"x":1}\n', nowSeconds: 100 });
+    const batch = createBatchObject({ endpoint: '/v1/embeddings', inputFileId: file.id, nowSeconds: 100 });
+    assert.match(batch.id, /^batch_/);
+    assert.equal(batch.expires_at, 100 + 86400);
+    batch.status = 'in_progress';
+    store.saveBatch(batch);
+    store.appendResult(batch.id, 'output', batchResultLine('a', { status: 200, body: { ok: true } }));
+    store.appendResult(batch.id, 'error', batchResultLine('b', { error: { code: 'x', message: 'y' } }));
+
+    const reloaded = new BatchStore({ directory });
+    assert.deepEqual(reloaded.load(), { files: 1, batches: 1 });
+    assert.equal(reloaded.getBatch(batch.id).status, 'in_progress');
+    const finished = reloaded.finishedResults(batch.id);
+    assert.deepEqual([...finished.ids].sort(), ['a', 'b']);
+    assert.deepEqual([finished.completed, finished.failed], [1, 1]);
+    assert.equal(reloaded.fileContent(file.id).toString(), '{"x":1}\n');
+
+    const output = reloaded.adoptResults(batch.id, 'output', 200);
+    assert.equal(output.purpose, 'batch_output');
+    assert.equal(JSON.parse(reloaded.fileContent(output.id).toString()).response.body.ok, true);
+    assert.equal(reloaded.adoptResults(batch.id, 'output', 200), null);
+    assert.equal(reloaded.deleteFile(file.id), true);
+    assert.equal(reloaded.getFile(file.id), null);
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('files and batches are visible to their owner only, and results inherit the owner', () => {
+  const directory = mkdtempSync(join(tmpdir(), 'llama-batches-'));
+  try {
+    const owner = { scopeId: 's1', client: { id: 'key:a', label: 'a', source: 'api_key' }, usageClient: { id: 'key:a', label: 'a', source: 'api_key' } };
+    const store = new BatchStore({ directory });
+    const file = store.createFile({ filename: 'in.jsonl', purpose: 'batch', data: '{"x":1}\n', nowSeconds: 100, owner });
+    const batch = createBatchObject({ endpoint: '/v1/embeddings', inputFileId: file.id, nowSeconds: 100, owner });
+    assert.equal(visibleTo(file, 's1'), true);
+    assert.equal(visibleTo(batch, 's2'), false);
+    assert.equal(visibleTo(batch, 's2', { unowned: true }), false);
+    assert.equal('owner' in publicRecord(batch), false);
+    assert.equal(publicRecord(file).id, file.id);
+
+    const legacy = { id: 'file_old' };
+    assert.equal(visibleTo(legacy, 's1'), false);
+    assert.equal(visibleTo(legacy, 's1', { unowned: true }), true);
+
+    store.saveBatch(batch);
+    store.appendResult(batch.id, 'output', batchResultLine('a', { status: 200, body: {} }));
+    const output = store.adoptResults(batch.id, 'output', 200, batch.owner);
+    assert.deepEqual(new BatchStore({ directory }).load(), { files: 2, batches: 1 });
+    assert.equal(visibleTo(output, 's1'), true);
+    assert.equal(visibleTo(output, 's2'), false);
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,434 @@
+// Llama Manager — per-client rate limits and token quotas.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Several agents share one box, and a single runaway script can fill the local
+// PriorityRequestQueue for everyone. Before a request reaches queue admission
+// this module identifies the calling client (its manager API key, or an
+// X-Client-Id header), applies that client's requests/minute, tokens/day and
+// max-concurrent limits, and produces OpenAI-shaped 429 details and
+// x-ratelimit-* headers. Usage counters persist across manager restarts.
+
+import {
+  chmodSync,
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from 'node:fs';
+import { dirname } from 'node:path';
+
+import { normalizeRequestPath } from './api-keys.js';
+
+/** Usage file schema version. */
+export const CLIENT_USAGE_VERSION = 1;
+
+/** Limit fields accepted in `config.clientLimits.default` and per-client entries. */
+export const CLIENT_LIMIT_FIELDS = Object.freeze(['requestsPerMinute', 'tokensPerDay', 'maxConcurrent']);
+
+/** Most X-Client-Id clients tracked at once; the least recently seen idle ones are evicted. */
+export const MAX_TRACKED_CLIENT_IDS = 1000;
+
+/** X-Client-Id clients unseen for this long are forgotten. */
+export const CLIENT_ID_IDLE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const MINUTE_MS = 60_000;
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9._:@-]{1,64}$/;
+
+// Generation endpoints that consume queue capacity and tokens.
+const QUOTA_ENDPOINT = /^\/(api\/)?v1\/(chat\/completions|completions|responses|messages|embeddings|rerank|reranking|audio\/transcriptions)$/;
+
+/**
+ * Whether a request is subject to client quotas.
+ *
+ * @param {string} method HTTP method.
+ * @param {string} path Request path; matched in its normalized form, since
+ *   Express also routes `/V1/chat/completions/` to the handler.
+ * @returns {boolean} True for POSTs to generation endpoints.
+ */
+export function isQuotaEndpoint(method, path) {
+  return String(method).toUpperCase() === 'POST' && QUOTA_ENDPOINT.test(normalizeRequestPath(path));
+}
+
+/**
+ * Identify the client a request is accounted to. A manager API key always
+ * wins so a key holder cannot bill another client by sending X-Client-Id.
+ *
+ * @param {{apiKey?:{id:string,label:string}|null, headers?:Record<string, unknown>,
+ *   trustClientId?:boolean}} input Authenticated key (if any), request headers,
+ *   and whether a free-form X-Client-Id may name the client. Callers turn that
+ *   off while API-key auth is enabled, so keyless callers are anonymous.
+ * @returns {{id:string,label:string,source:'api_key'|'client_id'}|null} Client
+ *   identity, or null for anonymous callers.
+ */
+export function resolveClientIdentity({ apiKey = null, headers = {}, trustClientId = true } = {}) {
+  if (apiKey?.id) return { id: apiKey.id, label: apiKey.label || apiKey.id, source: 'api_key' };
+  if (!trustClientId) return null;
+  const clientId = String(headers['x-client-id'] || '').trim();
+  if (clientId && CLIENT_ID_PATTERN.test(clientId)) {
+    return { id: `client:${clientId}`, label: clientId, source: 'client_id' };
+  }
+  return null;
+}
+
+/**
+ * Validate one limits object. Each field is a positive integer, or null/0 for
+ * unlimited.
+ *
+ * @param {unknown} limits Candidate limits.
+ * @returns {{requestsPerMinute:number|null,tokensPerDay:number|null,maxConcurrent:number|null}}
+ *   Normalized limits.
+ * @throws {TypeError} If the value is not an object or a field is invalid.
+ */
+export function normalizeClientLimits(limits = {}) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    throw new TypeError('client limits must be an object');
+  }
+  const unknown = Object.keys(limits).filter(field => !CLIENT_LIMIT_FIELDS.includes(field));
+  if (unknown.length > 0) throw new TypeError(`unknown limit field(s): ${unknown.join(', ')}`);
+  const normalized = {};
+  for (const field of CLIENT_LIMIT_FIELDS) {
+    const value = limits[field];
+    if (value == null || value === 0) {
+      normalized[field] = null;
+    } else if (Number.isInteger(value) && value > 0) {
+      normalized[field] = value;
+    } else {
+      throw new TypeError(`${field} must be a positive integer, 0, or null`);
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Resolve the effective limits for one client: its own entry in
+ * `config.clientLimits.clients` (keyed by API key id or `client:<X-Client-Id>`),
+ * else `config.clientLimits.default`. Anonymous callers use
+ * `config.clientLimits.anonymous` and are unlimited when it is absent.
+ *
+ * @param {Record<string, unknown>} config Manager configuration.
+ * @param {string|null} clientId Identity id from resolveClientIdentity().
+ * @returns {{requestsPerMinute:number|null,tokensPerDay:number|null,maxConcurrent:number|null}}
+ *   Effective limits; malformed entries are treated as unlimited.
+ */
+export function resolveClientLimits(config = {}, clientId = null) {
+  const section = config?.clientLimits || {};
+  const raw = clientId
+    ? (section.clients?.[clientId] ?? section.default)
+    : section.anonymous;
+  try {
+    return normalizeClientLimits(raw || {});
+  } catch {
+    return normalizeClientLimits({});
+  }
+}
+
+/**
+ * UTC day key used for the daily token window.
+ *
+ * @param {number} now Epoch milliseconds.
+ * @returns {string} `YYYY-MM-DD`.
+ */
+export function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function msUntilNextUtcDay(now) {
+  const next = new Date(now);
+  next.setUTCHours(24, 0, 0, 0);
+  return next.getTime() - now;
+}
+
+/**
+ * Format a reset interval the way OpenAI's x-ratelimit-reset-* headers do.
+ *
+ * @param {number} ms Milliseconds until the window resets.
+ * @returns {string} e.g. `250ms`, `12s`, `6m0s`, `3h20m5s`.
+ */
+export function formatResetDuration(ms) {
+  const value = Math.max(0, Math.ceil(ms));
+  if (value < 1000) return `${value}ms`;
+  const total = Math.ceil(value / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  if (h > 0) return `${h}h${m}m${s}s`;
+  if (m > 0) return `${m}m${s}s`;
+  return `${s}s`;
+}
+
+function emptyUsage(now) {
+  return {
+    label: null,
+    source: null,
+    minute: [],
+    day: utcDay(now),
+    dayRequests: 0,
+    dayTokens: 0,
+    totalRequests: 0,
+    totalTokens: 0,
+    rejected: 0,
+    inFlight: 0,
+    lastSeenAt: null,
+  };
+}
+
+/**
+ * Decide whether one more request from a client may proceed.
+ *
+ * @param {Object} params
+ * @param {{requestsPerMinute:number|null,tokensPerDay:number|null,maxConcurrent:number|null}} params.limits
+ *   Effective client limits.
+ * @param {{minute:number[],day:string,dayTokens:number,inFlight:number}} params.usage Current usage.
+ * @param {number} params.now Epoch milliseconds.
+ * @returns {{action:'accept'|'reject', reason:'within-limits'|'max_concurrent'|'requests_per_minute'|'tokens_per_day',
+ *   retryAfterMs:number}} Decision; retryAfterMs is 0 when accepted.
+ */
+export function clientQuotaDecision({ limits, usage, now }) {
+  const recent = (usage?.minute || []).filter(ts => now - ts < MINUTE_MS);
+  const dayTokens = usage?.day === utcDay(now) ? (usage?.dayTokens || 0) : 0;
+  if (limits.maxConcurrent && (usage?.inFlight || 0) >= limits.maxConcurrent) {
+    return { action: 'reject', reason: 'max_concurrent', retryAfterMs: 1000 };
+  }
+  if (limits.requestsPerMinute && recent.length >= limits.requestsPerMinute) {
+    const oldest = recent[recent.length - limits.requestsPerMinute];
+    return { action: 'reject', reason: 'requests_per_minute', retryAfterMs: Math.max(1, oldest + MINUTE_MS - now) };
+  }
+  if (limits.tokensPerDay && dayTokens >= limits.tokensPerDay) {
+    return { action: 'reject', reason: 'tokens_per_day', retryAfterMs: msUntilNextUtcDay(now) };
+  }
+  return { action: 'accept', reason: 'within-limits', retryAfterMs: 0 };
+}
+
+/**
+ * Build OpenAI-style x-ratelimit-* headers for the limits a client has.
+ *
+ * @param {Object} params Same inputs as clientQuotaDecision().
+ * @returns {Record<string, string>} Header map (empty when unlimited).
+ */
+export function rateLimitHeaders({ limits, usage, now }) {
+  const headers = {};
+  if (limits.requestsPerMinute) {
+    const recent = (usage?.minute || []).filter(ts => now - ts < MINUTE_MS);
+    const resetMs = recent.length > 0 ? recent[0] + MINUTE_MS - now : 0;
+    headers['x-ratelimit-limit-requests'] = String(limits.requestsPerMinute);
+    headers['x-ratelimit-remaining-requests'] = String(Math.max(0, limits.requestsPerMinute - recent.length));
+    headers['x-ratelimit-reset-requests'] = formatResetDuration(resetMs);
+  }
+  if (limits.tokensPerDay) {
+    const dayTokens = usage?.day === utcDay(now) ? (usage?.dayTokens || 0) : 0;
+    headers['x-ratelimit-limit-tokens'] = String(limits.tokensPerDay);
+    headers['x-ratelimit-remaining-tokens'] = String(Math.max(0, limits.tokensPerDay - dayTokens));
+    headers['x-ratelimit-reset-tokens'] = formatResetDuration(msUntilNextUtcDay(now));
+  }
+  return headers;
+}
+
+/**
+ * OpenAI-compatible 429 error body for a rejected decision.
+ *
+ * @param {{reason:string}} decision Rejection from clientQuotaDecision().
+ * @param {{label:string}} identity Client identity.
+ * @param {{requestsPerMinute:number|null,tokensPerDay:number|null,maxConcurrent:number|null}} limits
+ *   Effective limits.
+ * @returns {{error:{message:string,type:string,param:null,code:string}}} Response body.
+ */
+export function rateLimitErrorBody(decision, identity, limits) {
+  const who = identity?.label || 'anonymous';
+  const messages = {
+    max_concurrent: `Client '${who}' already has ${limits.maxConcurrent} request(s) in flight (limit ${limits.maxConcurrent}).`,
+    requests_per_minute: `Rate limit reached for client '${who}': ${limits.requestsPerMinute} requests per minute.`,
+    tokens_per_day: `Daily token quota exhausted for client '${who}': ${limits.tokensPerDay} tokens per day.`,
+  };
+  return {
+    error: {
+      message: messages[decision.reason] || `Rate limit reached for client '${who}'.`,
+      type: decision.reason === 'tokens_per_day' ? 'tokens' : 'requests',
+      param: null,
+      code: 'rate_limit_exceeded',
+    },
+  };
+}
+
+/**
+ * Durable per-client usage counters.
+ */
+export class ClientUsageTracker {
+  /**
+   * Create a tracker backed by one JSON file.
+   *
+   * @param {Object} options Tracker options.
+   * @param {string} options.path Absolute usage file path.
+   * @param {() => number} [options.now] Clock returning epoch milliseconds.
+   * @param {number} [options.maxClientIds] Cap on tracked X-Client-Id clients.
+   * @param {number} [options.idleMs] Age after which an unseen X-Client-Id client is forgotten.
+   */
+  constructor({ path, now = () => Date.now(), maxClientIds = MAX_TRACKED_CLIENT_IDS, idleMs = CLIENT_ID_IDLE_MS } = {}) {
+    if (!path) throw new TypeError('client usage path is required');
+    this.path = path;
+    this.tempPath = `${path}.tmp`;
+    this.now = now;
+    this.maxClientIds = maxClientIds;
+    this.idleMs = idleMs;
+    this.clients = new Map();
+    this.dirty = false;
+  }
+
+  /**
+   * Load counters from disk; corrupt files fail closed to empty counters.
+   * In-flight counts never survive a restart.
+   *
+   * @returns {{loaded:number}} Number of clients loaded.
+   */
+  load() {
+    this.clients.clear();
+    if (existsSync(this.path)) {
+      try {
+        const parsed = JSON.parse(readFileSync(this.path, 'utf8'));
+        if (parsed?.version === CLIENT_USAGE_VERSION && parsed.clients && typeof parsed.clients === 'object') {
+          for (const [id, usage] of Object.entries(parsed.clients)) {
+            this.clients.set(id, { ...emptyUsage(this.now()), ...usage, minute: Array.isArray(usage?.minute) ? usage.minute : [], inFlight: 0 });
+          }
+        }
+      } catch { /* corrupt usage files fail closed */ }
+    }
+    this.dirty = false;
+    this.evict();
+    return { loaded: this.clients.size };
+  }
+
+  /**
+   * Forget X-Client-Id clients that are idle past `idleMs`, then the least
+   * recently seen ones beyond `maxClientIds`. The header is free-form, so a
+   * caller rotating it must not grow memory or the usage file without bound.
+   * API-key and anonymous entries are bounded already and never evicted, nor
+   * is a client with requests in flight.
+   *
+   * @returns {number} Clients evicted.
+   */
+  evict() {
+    const now = this.now();
+    const candidates = [...this.clients]
+      .filter(([, usage]) => usage.source === 'client_id' && !usage.inFlight)
+      .sort(([, a], [, b]) => (a.lastSeenAt || 0) - (b.lastSeenAt || 0));
+    const tracked = [...this.clients.values()].filter(usage => usage.source === 'client_id').length;
+    let evicted = 0;
+    for (const [id, usage] of candidates) {
+      if (now - (usage.lastSeenAt || 0) < this.idleMs && tracked - evicted <= this.maxClientIds) break;
+      this.clients.delete(id);
+      evicted++;
+    }
+    if (evicted) this.dirty = true;
+    return evicted;
+  }
+
+  /** Atomically persist counters when they changed since the last write. */
+  persist() {
+    this.evict();
+    if (!this.dirty) return;
+    mkdirSync(dirname(this.path), { recursive: true });
+    const clients = {};
+    for (const [id, usage] of this.clients) {
+      const { inFlight, ...rest } = usage;
+      clients[id] = rest;
+    }
+    writeFileSync(this.tempPath, `${JSON.stringify({ version: CLIENT_USAGE_VERSION, clients }, null, 2)}\n`, { mode: 0o600 });
+    renameSync(this.tempPath, this.path);
+    try { chmodSync(this.path, 0o600); } catch { /* best effort */ }
+    this.dirty = false;
+  }
+
+  /**
+   * Current usage for one client with expired windows rolled forward.
+   *
+   * @param {string} id Client id.
+   * @returns {Object} Mutable usage record (created on first use).
+   */
+  usage(id) {
+    const now = this.now();
+    let usage = this.clients.get(id);
+    if (!usage) {
+      usage = emptyUsage(now);
+      this.clients.set(id, usage);
+    }
+    usage.minute = usage.minute.filter(ts => now - ts < MINUTE_MS);
+    const day = utcDay(now);
+    if (usage.day !== day) {
+      usage.day = day;
+      usage.dayRequests = 0;
+      usage.dayTokens = 0;
+      this.dirty = true;
+    }
+    return usage;
+  }
+
+  /**
+   * Evaluate and, when accepted, admit one request for a client.
+   *
+   * @param {{id:string,label:string,source:string}} identity Client identity.
+   * @param {{requestsPerMinute:number|null,tokensPerDay:number|null,maxConcurrent:number|null}} limits
+   *   Effective limits.
+   * @returns {{action:'accept'|'reject',reason:string,retryAfterMs:number,headers:Record<string,string>}}
+   *   Decision plus rate-limit headers computed after admission.
+   */
+  admit(identity, limits) {
+    const now = this.now();
+    const known = this.clients.has(identity.id);
+    const usage = this.usage(identity.id);
+    usage.label = identity.label;
+    usage.source = identity.source;
+    usage.lastSeenAt = now;
+    if (!known) this.evict();
+    const decision = clientQuotaDecision({ limits, usage, now });
+    if (decision.action === 'accept') {
+      usage.minute.push(now);
+      usage.dayRequests++;
+      usage.totalRequests++;
+      usage.inFlight++;
+    } else {
+      usage.rejected++;
+    }
+    this.dirty = true;
+    return { ...decision, headers: rateLimitHeaders({ limits, usage, now }) };
+  }
+
+  /**
+   * Mark one admitted request from a client finished.
+   *
+   * @param {string} id Client id.
+   */
+  release(id) {
+    const usage = this.clients.get(id);
+    if (usage && usage.inFlight > 0) usage.inFlight--;
+  }
+
+  /**
+   * Charge prompt + completion tokens to a client's daily and lifetime totals.
+   *
+   * @param {string} id Client id.
+   * @param {number} tokens Tokens consumed.
+   */
+  recordTokens(id, tokens) {
+    const value = Math.max(0, Math.round(Number(tokens) || 0));
+    if (!id || value === 0) return;
+    const usage = this.usage(id);
+    usage.dayTokens += value;
+    usage.totalTokens += value;
+    this.dirty = true;
+  }
+
+  /**
+   * Usage snapshots for operator display.
+   *
+   * @returns {Array<Object>} One entry per known client, most recently seen first.
+   */
+  list() {
+    return [...this.clients.keys()]
+      .map(id => {
+        const { minute, ...usage } = this.usage(id);
+        return { id, ...usage, requestsLastMinute: minute.length };
+      })
+      .sort((a, b) => (b.lastSeenAt || 0) - (a.lastSeenAt || 0));
+  }
+}
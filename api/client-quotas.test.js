@@ -0,0 +1,171 @@
+// Llama Manager — per-client quota and rate-limit tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies client identification, limit resolution, the three limit kinds,
+// OpenAI-style headers and 429 bodies, usage persistence across restart, and
+// the bound on tracked X-Client-Id clients.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  ClientUsageTracker,
+  clientQuotaDecision,
+  formatResetDuration,
+  isQuotaEndpoint,
+  normalizeClientLimits,
+  rateLimitErrorBody,
+  rateLimitHeaders,
+  resolveClientIdentity,
+  resolveClientLimits,
+} from './client-quotas.js';
+
+const NOON = Date.UTC(2026, 9, 19, 12, 0, 0);
+const UNLIMITED = { requestsPerMinute: null, tokensPerDay: null, maxConcurrent: null };
+
+function withTracker(fn) {
+  const directory = mkdtempSync(join(tmpdir(), 'llama-client-usage-'));
+  try {
+    return fn(join(directory, 'client-usage.json'));
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+test('API keys take precedence over X-Client-Id when identifying clients', () => {
+  assert.deepEqual(
+    resolveClientIdentity({ apiKey: { id: 'key_a', label: 'ci' }, headers: { 'x-client-id': 'spoof' } }),
+    { id: 'key_a', label: 'ci', source: 'api_key' },
+  );
+  assert.deepEqual(
+    resolveClientIdentity({ headers: { 'x-client-id': 'agent-7' } }),
+    { id: 'client:agent-7', label: 'agent-7', source: 'client_id' },
+  );
+  assert.equal(resolveClientIdentity({ headers: { 'x-client-id': 'has spaces' } }), null);
+  assert.equal(resolveClientIdentity({}), null);
+  assert.equal(resolveClientIdentity({ headers: { 'x-client-id': 'agent-7' }, trustClientId: false }), null);
+});
+
+test('limits resolve per client, then default, and anonymous stays unlimited by default', () => {
+  const config = {
+    clientLimits: {
+      default: { requestsPerMinute: 60 },
+      clients: { 'client:batch': { tokensPerDay: 1000, maxConcurrent: 1 } },
+    },
+  };
+  assert.deepEqual(resolveClientLimits(config, 'client:batch'), { requestsPerMinute: null, tokensPerDay: 1000, maxConcurrent: 1 });
+  assert.equal(resolveClientLimits(config, 'key_x').requestsPerMinute, 60);
+  assert.deepEqual(resolveClientLimits(config, null), UNLIMITED);
+  assert.throws(() => normalizeClientLimits({ requestsPerMinute: -1 }), TypeError);
+  assert.throws(() => normalizeClientLimits({ burst: 3 }), /unknown limit/);
+});
+
+test('each limit kind rejects with a retry interval', () => {
+  const limits = { requestsPerMinute: 2, tokensPerDay: 100, maxConcurrent: 1 };
+  const base = { minute: [], day: '2026-10-19', dayTokens: 0, inFlight: 0 };
+  assert.equal(clientQuotaDecision({ limits, usage: base, now: NOON }).action, 'accept');
+  assert.equal(clientQuotaDecision({ limits, usage: { ...base, inFlight: 1 }, now: NOON }).reason, 'max_concurrent');
+
+  const rpm = clientQuotaDecision({ limits, usage: { ...base, minute: [NOON - 50_000, NOON - 10_000] }, now: NOON });
+  assert.equal(rpm.reason, 'requests_per_minute');
+  assert.equal(rpm.retryAfterMs, 10_000);
+
+  const tokens = clientQuotaDecision({ limits, usage: { ...base, dayTokens: 100 }, now: NOON });
+  assert.equal(tokens.reason, 'tokens_per_day');
+  assert.equal(tokens.retryAfterMs, 12 * 3600_000);
+  assert.equal(clientQuotaDecision({ limits, usage: { ...base, day: '2026-10-18', dayTokens: 500 }, now: NOON }).action, 'accept');
+});
+
+test('rate-limit headers and error bodies follow the OpenAI shape', () => {
+  const limits = { requestsPerMinute: 10, tokensPerDay: 1000, maxConcurrent: null };
+  const headers = rateLimitHeaders({ limits, usage: { minute: [NOON - 30_000], day: '2026-10-19', dayTokens: 250 }, now: NOON });
+  assert.deepEqual(headers, {
+    'x-ratelimit-limit-requests': '10',
+    'x-ratelimit-remaining-requests': '9',
+    'x-ratelimit-reset-requests': '30s',
+    'x-ratelimit-limit-tokens': '1000',
+    'x-ratelimit-remaining-tokens': '750',
+    'x-ratelimit-reset-tokens': '12h0m0s',
+  });
+  assert.deepEqual(rateLimitHeaders({ limits: UNLIMITED, usage: {}, now: NOON }), {});
+  assert.equal(formatResetDuration(250), '250ms');
+  assert.equal(formatResetDuration(360_000), '6m0s');
+
+  const body = rateLimitErrorBody({ reason: 'tokens_per_day' }, { label: 'batch' }, limits);
+  assert.equal(body.error.code, 'rate_limit_exceeded');
+  assert.equal(body.error.type, 'tokens');
+});
+
+test('only generation POSTs are subject to quotas', () => {
+  assert.equal(isQuotaEndpoint('POST', '/v1/chat/completions'), true);
+  assert.equal(isQuotaEndpoint('POST', '/api/v1/responses'), true);
+  assert.equal(isQuotaEndpoint('GET', '/v1/models'), false);
+  assert.equal(isQuotaEndpoint('POST', '/api/v1/context/prepare'), false);
+  assert.equal(isQuotaEndpoint('POST', '/v1/chat/completions/'), true);
+  assert.equal(isQuotaEndpoint('POST', '/V1/Chat/Completions'), true);
+  assert.equal(isQuotaEndpoint('POST', '/API/v1/messages'), true);
+});
+
+test('tracker admits, releases, charges tokens and survives restart', () => withTracker((path) => {
+  let clock = NOON;
+  const identity = { id: 'client:batch', label: 'batch', source: 'client_id' };
+  const limits = { requestsPerMinute: null, tokensPerDay: 100, maxConcurrent: 1 };
+  const tracker = new ClientUsageTracker({ path, now: () => clock });
+  tracker.load();
+
+  const first = tracker.admit(identity, limits);
+  assert.equal(first.action, 'accept');
+  assert.equal(first.headers['x-ratelimit-remaining-tokens'], '100');
+  assert.equal(tracker.admit(identity, limits).reason, 'max_concurrent');
+  tracker.recordTokens(identity.id, 120);
+  tracker.release(identity.id);
+  assert.equal(tracker.admit(identity, limits).reason, 'tokens_per_day');
+  tracker.persist();
+
+  clock = NOON + 1_000;
+  const restarted = new ClientUsageTracker({ path, now: () => clock });
+  restarted.load();
+  const [usage] = restarted.list();
+  assert.equal(usage.id, 'client:batch');
+  assert.equal(usage.dayTokens, 120);
+  assert.equal(usage.totalRequests, 1);
+  assert.equal(usage.rejected, 2);
+  assert.equal(usage.inFlight, 0);
+
+  clock = NOON + 13 * 3600_000;
+  assert.equal(restarted.admit(identity, limits).action, 'accept');
+  assert.equal(restarted.list()[0].dayTokens, 0);
+  assert.equal(restarted.list()[0].totalTokens, 120);
+}));
+
+test('corrupt usage files fail closed to empty counters', () => withTracker((path) => {
+  writeFileSync(path, 'not json');
+  const tracker = new ClientUsageTracker({ path });
+  assert.deepEqual(tracker.load(), { loaded: 0 });
+}));
+
+test('rotating X-Client-Id values cannot grow the tracker without bound', () => withTracker((path) => {
+  let clock = NOON;
+  const tracker = new ClientUsageTracker({ path, now: () => clock, maxClientIds: 3, idleMs: 3600_000 });
+  tracker.admit({ id: 'key_a', label: 'ci', source: 'api_key' }, UNLIMITED);
+  const busy = { id: 'client:busy', label: 'busy', source: 'client_id' };
+  tracker.admit(busy, UNLIMITED);
+  for (let i = 0; i < 10; i++) {
+    clock += 1000;
+    tracker.admit({ id: `client:rot-${i}`, label: `rot-${i}`, source: 'client_id' }, UNLIMITED);
+    tracker.release(`client:rot-${i}`);
+  }
+  const ids = () => tracker.list().map(usage => usage.id).sort();
+  assert.deepEqual(ids(), ['client:busy', 'client:rot-8', 'client:rot-9', 'key_a']);
+
+  clock += 2 * 3600_000;
+  tracker.persist();
+  assert.deepEqual(ids(), ['client:busy', 'key_a']);
+  // In-flight counts do not survive a restart, so the busy client is idle on reload.
+  const reloaded = new ClientUsageTracker({ path, now: () => clock, idleMs: 3600_000 });
+  assert.deepEqual(reloaded.load(), { loaded: 1 });
+}));
@@ -473,15 +473,21 @@ export class SlotAffinityRegistry {
 }
 
 /**
- * Derive an opaque cache isolation scope from the caller's authorization
- * context. Anonymous callers deliberately share one local trusted scope; an
- * authenticated reverse proxy or client can isolate callers by supplying a
- * stable Authorization value. The credential itself is never returned.
+ * Derive an opaque cache isolation scope from the caller's identity. A
+ * manager-issued API key is the first-class identity: every request made with
+ * that key shares one scope regardless of how it was presented. Otherwise the
+ * Authorization value is used, and anonymous callers deliberately share one
+ * local trusted scope. The credential itself is never returned.
  *
  * @param {Record<string, unknown>} [headers] Request headers.
- * @returns {{id:string,source:'authorization'|'anonymous'}} Opaque scope data.
+ * @param {{id:string}|null} [principal] Authenticated API key record.
+ * @returns {{id:string,source:'api_key'|'authorization'|'anonymous'}} Opaque scope data.
  */
-export function deriveCacheScope(headers = {}) {
+export function deriveCacheScope(headers = {}, principal = null) {
+  if (principal?.id) {
+    const digest = createHash('sha256').update(`llama-manager:api-key:${principal.id}`).digest('hex').slice(0, 24);
+    return { id: `scope_${digest}`, source: 'api_key' };
+  }
   const authorization = String(headers.authorization || headers.Authorization || '').trim();
   const source = authorization ? 'authorization' : 'anonymous';
   const material = authorization || 'llama-manager:anonymous-local-scope';
@@ -31,6 +31,17 @@ test('deriveCacheScope isolates authorization contexts without exposing credenti
   assert.equal(first.id.includes('tenant-a-secret'), false);
 });
 
+test('deriveCacheScope keys authenticated callers by API key identity', () => {
+  const viaBearer = deriveCacheScope({ authorization: 'Bearer lmk_raw' }, { id: 'key_a' });
+  const viaHeader = deriveCacheScope({ 'x-api-key': 'lmk_raw' }, { id: 'key_a' });
+  const other = deriveCacheScope({ authorization: 'Bearer lmk_raw' }, { id: 'key_b' });
+
+  assert.equal(viaBearer.id, viaHeader.id);
+  assert.notEqual(viaBearer.id, other.id);
+  assert.equal(viaBearer.source, 'api_key');
+  assert.notEqual(viaBearer.id, deriveCacheScope({ authorization: 'Bearer lmk_raw' }).id);
+});
+
 test('slot affinity keeps a stable lineage and invalidates displaced reverse ownership', () => {
   const registry = new SlotAffinityRegistry({ maxLineages: 8 });
   const first = registry.assign({ model: 'gemma', lineageKey: 'lineage_a', slotCount: 2 });
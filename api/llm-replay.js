@@ -0,0 +1,190 @@
+// Llama Manager — LLM log replay.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Rebuilds an inference request from a persisted LLM log entry so it can be
+// re-submitted through the manager's own /v1 handlers, optionally against a
+// different model, backend, or sampling parameters, and reduces both the
+// original entry and the replayed response to one comparable summary shape
+// (response text, token counts, duration, timing evidence).
+
+/** Log endpoints whose captured requestBody can be replayed. */
+export const REPLAYABLE_ENDPOINTS = Object.freeze(['chat/completions', 'completions', 'responses', 'messages']);
+
+/** Body fields a replay may override besides model. */
+export const SAMPLING_OVERRIDE_FIELDS = Object.freeze([
+  'temperature', 'top_p', 'top_k', 'min_p', 'seed',
+  'max_tokens', 'max_completion_tokens', 'max_output_tokens',
+  'presence_penalty', 'frequency_penalty', 'repeat_penalty',
+  'stop', 'reasoning_effort',
+]);
+
+// Placeholders that the log pipeline writes in place of captured text: the
+// redaction marker (redaction.js) and inline media compaction (log-store.js).
+const REDACTION_MARKER = /\[REDACTED:[^\]]+\]/;
+const OMITTED_MEDIA = /^\[inline [^\]]* omitted, \d+ chars\]$/;
+
+function someString(value, predicate) {
+  if (typeof value === 'string') return predicate(value);
+  if (Array.isArray(value)) return value.some(item => someString(item, predicate));
+  if (value && typeof value === 'object') return Object.values(value).some(item => someString(item, predicate));
+  return false;
+}
+
+function replayError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Validate replay overrides from the HTTP body.
+ *
+ * @param {Record<string, unknown>} [input] `{ model?, backend?, sampling? }`.
+ * @returns {{model:(string|null), backend:(string|null), sampling:Record<string, unknown>}} Overrides.
+ * @throws {TypeError} On unknown fields or wrongly typed values.
+ */
+export function normalizeReplayOverrides(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new TypeError('replay overrides must be an object');
+  }
+  const text = (value, name) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') throw new TypeError(`${name} must be a string`);
+    return value.trim() || null;
+  };
+  const sampling = input.sampling ?? {};
+  if (!sampling || typeof sampling !== 'object' || Array.isArray(sampling)) {
+    throw new TypeError('sampling must be an object');
+  }
+  for (const [field, value] of Object.entries(sampling)) {
+    if (!SAMPLING_OVERRIDE_FIELDS.includes(field)) throw new TypeError(`unsupported sampling override '${field}'`);
+    if (field === 'stop' || field === 'reasoning_effort') continue;
+    if (value !== null && !Number.isFinite(value)) throw new TypeError(`${field} must be a number or null`);
+  }
+  return { model: text(input.model, 'model'), backend: text(input.backend, 'backend'), sampling: { ...sampling } };
+}
+
+/**
+ * Build the request to re-submit for a logged entry. The replay is always
+ * non-streaming so the caller gets one comparable JSON body. A `backend`
+ * override of `local` pins the request to this host (routing=local_only);
+ * any other id becomes the explicit `backendId/model` prefix. A sampling
+ * override of null removes the field from the captured body. A body that is
+ * not what the client sent — never captured, redacted, or with inline media
+ * omitted — is refused rather than replayed as if it were faithful.
+ *
+ * @param {Record<string, any>} entry Persisted LLM log entry.
+ * @param {ReturnType<typeof normalizeReplayOverrides>} overrides Overrides.
+ * @returns {{endpoint:string, body:Record<string, unknown>}} Replay request.
+ * @throws {Error} statusCode 409 when the entry cannot be replayed.
+ */
+export function buildReplayRequest(entry, overrides) {
+  if (!REPLAYABLE_ENDPOINTS.includes(entry.endpoint)) {
+    throw replayError(`${entry.endpoint || 'unknown'} requests cannot be replayed`, 409, 'REPLAY_UNSUPPORTED_ENDPOINT');
+  }
+  if (entry.bodyCaptured === false) {
+    throw replayError('body capture was off for this client, so the request cannot be replayed', 409, 'REPLAY_BODY_NOT_CAPTURED');
+  }
+  if (!entry.requestBody || typeof entry.requestBody !== 'object') {
+    throw replayError('this log entry has no captured request body', 409, 'REPLAY_NO_REQUEST_BODY');
+  }
+  if (entry.redactions && someString(entry.requestBody, text => REDACTION_MARKER.test(text))) {
+    throw replayError('the captured request body was redacted, so a replay would not send the original prompt', 409, 'REPLAY_BODY_REDACTED');
+  }
+  if (someString(entry.requestBody, text => OMITTED_MEDIA.test(text))) {
+    throw replayError('inline media was omitted from the captured request body, so a replay would not send the original input', 409, 'REPLAY_BODY_TRUNCATED');
+  }
+  const body = { ...entry.requestBody, stream: false };
+  delete body.stream_options;
+  for (const [field, value] of Object.entries(overrides.sampling)) {
+    if (value === null) delete body[field];
+    else body[field] = value;
+  }
+
+  let model = overrides.model || body.model || entry.model || 'default';
+  // Drop the original explicit backend prefix when steering somewhere else.
+  if (overrides.backend && entry.backend && entry.backend !== 'local' && model.startsWith(`${entry.backend}/`)) {
+    model = model.slice(entry.backend.length + 1);
+  }
+  if (overrides.backend === 'local') {
+    body.routing = 'local_only';
+  } else if (overrides.backend) {
+    delete body.routing;
+    if (!model.startsWith(`${overrides.backend}/`)) model = `${overrides.backend}/${model}`;
+  }
+  body.model = model;
+  return { endpoint: entry.endpoint, body };
+}
+
+function responseText(endpoint, data) {
+  if (endpoint === 'chat/completions') {
+    const message = data.choices?.[0]?.message || {};
+    return message.content || message.reasoning_content || message.reasoning || null;
+  }
+  if (endpoint === 'completions') return data.choices?.[0]?.text ?? null;
+  if (endpoint === 'messages') {
+    const text = (data.content || []).filter(part => part?.type === 'text').map(part => part.text).join('');
+    return text || null;
+  }
+  if (typeof data.output_text === 'string') return data.output_text;
+  const text = (data.output || [])
+    .flatMap(item => item?.content || [])
+    .filter(part => part?.type === 'output_text' || part?.type === 'text')
+    .map(part => part.text)
+    .join('');
+  return text || null;
+}
+
+/**
+ * Summary of the original logged request, for side-by-side comparison.
+ *
+ * @param {Record<string, any>} entry Persisted LLM log entry.
+ * @returns {object} Comparable summary.
+ */
+export function summarizeLoggedRun(entry) {
+  return {
+    id: entry.id,
+    timestamp: entry.timestamp,
+    model: entry.model || null,
+    backend: entry.backend || 'local',
+    status: entry.status ?? null,
+    durationMs: entry.duration ?? null,
+    promptTokens: entry.promptTokens ?? null,
+    completionTokens: entry.completionTokens ?? null,
+    tokensPerSecond: entry.tokensPerSecond ?? null,
+    response: entry.response ?? null,
+    error: entry.error || null,
+    timingEvidence: entry.timingEvidence || null,
+  };
+}
+
+/**
+ * Summary of a replayed response in the same shape as summarizeLoggedRun().
+ *
+ * @param {string} endpoint Replayed endpoint.
+ * @param {{status:number, data:unknown, text?:string, durationMs:number}} result
+ *   HTTP status, parsed JSON body (or raw text when not JSON), and wall time.
+ * @returns {object} Comparable summary.
+ */
+export function summarizeReplayRun(endpoint, { status, data, text, durationMs }) {
+  const body = data && typeof data === 'object' ? data : {};
+  const meta = body._llama_manager || {};
+  const usage = body.usage || {};
+  const completionTokens = usage.completion_tokens ?? usage.output_tokens ?? null;
+  const ok = status >= 200 && status < 300;
+  return {
+    timestamp: new Date().toISOString(),
+    model: body.model || meta.resolvedModel || null,
+    backend: meta.backend || null,
+    status,
+    durationMs: meta.duration ?? durationMs,
+    promptTokens: usage.prompt_tokens ?? usage.input_tokens ?? null,
+    completionTokens,
+    tokensPerSecond: meta.tokensPerSecond ?? null,
+    response: ok ? responseText(endpoint, body) : null,
+    error: ok ? null : (body.error?.message || (typeof body.error === 'string' ? body.error : null) || text || `HTTP ${status}`),
+    timingEvidence: meta.timingEvidence || null,
+  };
+}
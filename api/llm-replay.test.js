@@ -0,0 +1,110 @@
+// Llama Manager — LLM log replay tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies override validation, replay body construction for model, backend
+// and sampling overrides, and the comparable summaries for each endpoint shape.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildReplayRequest,
+  normalizeReplayOverrides,
+  summarizeLoggedRun,
+  summarizeReplayRun,
+} from './llm-replay.js';
+
+const chatEntry = {
+  id: 1792416607527.269,
+  timestamp: '2026-10-19T13:30:07.527Z',
+  endpoint: 'chat/completions',
+  model: 'qwen',
+  backend: 'gpu-box',
+  status: 200,
+  duration: 900,
+  promptTokens: 12,
+  completionTokens: 30,
+  response: 'original answer',
+  requestBody: { model: 'gpu-box/qwen', stream: true, stream_options: { include_usage: true }, temperature: 0.2, seed: 7, messages: [{ role: 'user', content: 'hi' }] },
+};
+
+test('overrides validate field names and value types', () => {
+  assert.deepEqual(normalizeReplayOverrides({}), { model: null, backend: null, sampling: {} });
+  assert.deepEqual(normalizeReplayOverrides({ model: ' gemma ', sampling: { temperature: 0.9, stop: ['\n'] } }).model, 'gemma');
+  assert.throws(() => normalizeReplayOverrides({ sampling: { messages: [] } }), /unsupported sampling override/);
+  assert.throws(() => normalizeReplayOverrides({ sampling: { temperature: 'hot' } }), TypeError);
+  assert.throws(() => normalizeReplayOverrides({ model: 3 }), /model must be a string/);
+  assert.throws(() => normalizeReplayOverrides([]), TypeError);
+});
+
+test('replays are non-streaming and apply model, backend and sampling overrides', () => {
+  const same = buildReplayRequest(chatEntry, normalizeReplayOverrides({}));
+  assert.equal(same.endpoint, 'chat/completions');
+  assert.equal(same.body.stream, false);
+  assert.equal(same.body.stream_options, undefined);
+  assert.equal(same.body.model, 'gpu-box/qwen');
+
+  const local = buildReplayRequest(chatEntry, normalizeReplayOverrides({ backend: 'local', sampling: { temperature: 1, seed: null } }));
+  assert.equal(local.body.model, 'qwen');
+  assert.equal(local.body.routing, 'local_only');
+  assert.equal(local.body.temperature, 1);
+  assert.ok(!('seed' in local.body));
+  assert.equal(chatEntry.requestBody.temperature, 0.2, 'the logged body is not mutated');
+
+  const moved = buildReplayRequest({ ...chatEntry, backend: 'local', requestBody: { model: 'qwen', routing: 'local_only' } }, normalizeReplayOverrides({ model: 'gemma', backend: 'cloud' }));
+  assert.equal(moved.body.model, 'cloud/gemma');
+  assert.equal(moved.body.routing, undefined);
+});
+
+test('entries without a captured body or on other endpoints are rejected with 409', () => {
+  const none = normalizeReplayOverrides({});
+  assert.throws(() => buildReplayRequest({ ...chatEntry, requestBody: undefined }, none), error => error.statusCode === 409 && error.code === 'REPLAY_NO_REQUEST_BODY');
+  assert.throws(() => buildReplayRequest({ ...chatEntry, endpoint: 'embeddings' }, none), error => error.statusCode === 409);
+});
+
+test('redacted, uncaptured or media-compacted bodies are refused instead of replayed', () => {
+  const none = normalizeReplayOverrides({});
+  const withMessage = content => ({ ...chatEntry.requestBody, messages: [{ role: 'user', content }] });
+  const refused = (entry, code) => assert.throws(() => buildReplayRequest(entry, none), error => error.statusCode === 409 && error.code === code);
+  refused({ ...chatEntry, bodyCaptured: false, requestBody: null }, 'REPLAY_BODY_NOT_CAPTURED');
+  refused({ ...chatEntry, redactions: { email: 1 }, requestBody: withMessage('mail [REDACTED:email] now') }, 'REPLAY_BODY_REDACTED');
+  refused({ ...chatEntry, requestBody: withMessage([{ type: 'image_url', image_url: { url: '[inline image/png omitted, 90000 chars]' } }]) }, 'REPLAY_BODY_TRUNCATED');
+  // Redactions confined to the response leave the request replayable.
+  assert.equal(buildReplayRequest({ ...chatEntry, redactions: { email: 1 } }, none).endpoint, 'chat/completions');
+});
+
+test('original and replayed runs reduce to the same comparable shape', () => {
+  const original = summarizeLoggedRun(chatEntry);
+  assert.equal(original.backend, 'gpu-box');
+  assert.equal(original.response, 'original answer');
+  assert.equal(original.durationMs, 900);
+
+  const evidence = { complete: true, manager_observed: {} };
+  const chat = summarizeReplayRun('chat/completions', {
+    status: 200,
+    durationMs: 1500,
+    data: {
+      model: 'qwen',
+      choices: [{ message: { content: 'new answer' } }],
+      usage: { prompt_tokens: 12, completion_tokens: 8 },
+      _llama_manager: { duration: 1400, tokensPerSecond: 5.7, backend: 'local', timingEvidence: evidence },
+    },
+  });
+  assert.deepEqual(Object.keys(chat).sort(), Object.keys(original).filter(key => key !== 'id').sort());
+  assert.equal(chat.response, 'new answer');
+  assert.equal(chat.durationMs, 1400);
+  assert.equal(chat.completionTokens, 8);
+  assert.equal(chat.timingEvidence, evidence);
+
+  const responses = summarizeReplayRun('responses', { status: 200, durationMs: 10, data: { output: [{ type: 'message', content: [{ type: 'output_text', text: 'hello' }] }], usage: { input_tokens: 3, output_tokens: 1 } } });
+  assert.equal(responses.response, 'hello');
+  assert.equal(responses.promptTokens, 3);
+  const messages = summarizeReplayRun('messages', { status: 200, durationMs: 10, data: { content: [{ type: 'text', text: 'claude-style' }] } });
+  assert.equal(messages.response, 'claude-style');
+
+  const failed = summarizeReplayRun('chat/completions', { status: 503, durationMs: 5, data: { error: { message: 'model loading' } } });
+  assert.equal(failed.error, 'model loading');
+  assert.equal(failed.response, null);
+  assert.equal(summarizeReplayRun('completions', { status: 502, durationMs: 5, data: null, text: 'Bad Gateway' }).error, 'Bad Gateway');
+});
@@ -0,0 +1,428 @@
+// Llama Manager — persistent, searchable LLM and request log store.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// The dashboard's LLM and HTTP request logs used to live only in small
+// in-memory ring buffers, so last night's traffic was gone by morning. A
+// LogStore appends each entry as one JSON line to segment files
+// (`<prefix>-<startMs>.jsonl`) under the runtime data dir, rolling by size and
+// at least daily, prunes whole segments by age and total size, and answers
+// newest-first paged queries with full-text search and
+// model/backend/status/client/endpoint/time filters.
+// Segments are immutable once rolled, and their start time is in the name, so
+// time-bounded queries skip files without opening them. Base64 media inlined
+// in prompts is replaced by a short placeholder before it reaches disk.
+
+import {
+  appendFileSync,
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  statSync,
+  unlinkSync,
+} from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/** Retention defaults, shared by every store (config.logRetention). */
+export const LOG_RETENTION_DEFAULTS = Object.freeze({
+  maxAgeDays: 14,
+  maxSizeMb: 1024,
+  segmentSizeMb: 16,
+});
+
+/** Page size bounds for query(). */
+export const LOG_QUERY_DEFAULT_LIMIT = 50;
+export const LOG_QUERY_MAX_LIMIT = 500;
+
+/** Inline data: URLs at least this long are replaced before persisting. */
+const MAX_INLINE_DATA_URL = 4096;
+const DATA_URL_PATTERN = /^data:([^;,]*)[;,]/;
+const MB = 1024 * 1024;
+const DAY_MS = 86_400_000;
+
+/**
+ * Normalize the persisted retention block.
+ *
+ * @param {Record<string, unknown>} [input] Partial settings.
+ * @returns {{maxAgeDays:number, maxSizeMb:number, segmentSizeMb:number}} Settings.
+ * @throws {TypeError} When a value is not a positive number.
+ */
+export function normalizeLogRetention(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new TypeError('log retention must be an object');
+  }
+  const settings = { ...LOG_RETENTION_DEFAULTS };
+  for (const [field, value] of Object.entries(input)) {
+    if (!(field in LOG_RETENTION_DEFAULTS)) throw new TypeError(`unknown retention field '${field}'`);
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) throw new TypeError(`${field} must be a positive number`);
+    settings[field] = number;
+  }
+  if (settings.segmentSizeMb > settings.maxSizeMb) settings.segmentSizeMb = settings.maxSizeMb;
+  return settings;
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(String(value));
+  if (!Number.isFinite(ms)) throw new TypeError(`${name} must be an ISO timestamp or epoch milliseconds`);
+  return ms;
+}
+
+/**
+ * Encode a paging position (segment name and exclusive line bound).
+ *
+ * @param {{segment:string, line:(number|null)}} position Where the next page starts.
+ * @returns {string} Opaque cursor.
+ */
+export function encodeLogCursor({ segment, line }) {
+  return Buffer.from(JSON.stringify({ s: segment, l: line })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeLogCursor().
+ *
+ * @param {string} cursor Opaque cursor.
+ * @returns {{segment:string, line:(number|null)}} Paging position.
+ * @throws {TypeError} When the cursor is malformed.
+ */
+export function decodeLogCursor(cursor) {
+  try {
+    const { s, l } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof s !== 'string' || (l !== null && !Number.isInteger(l))) throw new Error('shape');
+    return { segment: s, line: l };
+  } catch {
+    throw new TypeError('invalid cursor');
+  }
+}
+
+/**
+ * Turn HTTP query parameters into validated store filters. `endpoint` is an
+ * exact match, or an exclusion when prefixed with `-` (e.g. `-embeddings`).
+ *
+ * @param {Record<string, string|undefined>} [query] Express req.query.
+ * @returns {{terms:string[], model:(string|null), backend:(string|null),
+ *   status:(string|null), client:(string|null), endpoint:(string|null),
+ *   since:(number|null), until:(number|null), limit:number,
+ *   cursor:({segment:string, line:(number|null)}|null)}} Filters.
+ * @throws {TypeError} On malformed status, time, limit or cursor values.
+ */
+export function parseLogQuery(query = {}) {
+  const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  const status = text(query.status);
+  if (status && !/^(ok|error|[1-5]xx|\d{3})$/i.test(status)) {
+    throw new TypeError('status must be ok, error, a class like 5xx, or a status code');
+  }
+  const limit = query.limit === undefined || query.limit === '' ? LOG_QUERY_DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) throw new TypeError('limit must be a positive integer');
+  return {
+    terms: (text(query.q) || '').toLowerCase().split(/\s+/).filter(Boolean),
+    model: text(query.model),
+    backend: text(query.backend),
+    status: status ? status.toLowerCase() : null,
+    client: text(query.client),
+    endpoint: text(query.endpoint),
+    since: parseTime(query.since, 'since'),
+    until: parseTime(query.until, 'until'),
+    limit: Math.min(limit, LOG_QUERY_MAX_LIMIT),
+    cursor: text(query.cursor) ? decodeLogCursor(query.cursor) : null,
+  };
+}
+
+/**
+ * Every human-readable string in an entry (prompts, responses, errors, paths,
+ * model names), lower-cased for full-text matching. Object keys are excluded
+ * so searching "model" does not match every entry.
+ *
+ * @param {Record<string, unknown>} entry Log entry.
+ * @returns {string} Newline-joined searchable text.
+ */
+export function searchableText(entry) {
+  const parts = [];
+  const visit = (value) => {
+    if (typeof value === 'string') parts.push(value);
+    else if (Array.isArray(value)) value.forEach(visit);
+    else if (value && typeof value === 'object') Object.values(value).forEach(visit);
+  };
+  visit(entry);
+  return parts.join('\n').toLowerCase();
+}
+
+function statusMatches(entry, filter) {
+  const code = Number(entry.status) || 0;
+  const failed = code >= 400 || !!entry.error;
+  if (filter === 'ok') return !failed;
+  if (filter === 'error') return failed;
+  if (filter.endsWith('xx')) return Math.floor(code / 100) === Number(filter[0]);
+  return code === Number(filter);
+}
+
+/**
+ * Whether one entry satisfies parsed filters.
+ *
+ * @param {Record<string, any>} entry Log entry.
+ * @param {ReturnType<typeof parseLogQuery>} filters Parsed filters.
+ * @returns {boolean} True on match.
+ */
+export function matchesLogQuery(entry, filters) {
+  if (filters.model && entry.model !== filters.model) return false;
+  if (filters.backend && (entry.backend || 'local') !== filters.backend) return false;
+  if (filters.client && entry.client !== filters.client && entry.clientId !== filters.client) return false;
+  if (filters.endpoint) {
+    const excluded = filters.endpoint.startsWith('-');
+    if ((entry.endpoint === filters.endpoint.slice(excluded ? 1 : 0)) === excluded) return false;
+  }
+  if (filters.status && !statusMatches(entry, filters.status)) return false;
+  if (filters.since !== null || filters.until !== null) {
+    const at = Date.parse(entry.timestamp);
+    if (filters.since !== null && !(at >= filters.since)) return false;
+    if (filters.until !== null && !(at <= filters.until)) return false;
+  }
+  if (filters.terms.length > 0) {
+    const text = searchableText(entry);
+    if (!filters.terms.every(term => text.includes(term))) return false;
+  }
+  return true;
+}
+
+/**
+ * Copy an entry with large inline data: URLs (base64 images and audio)
+ * replaced by a placeholder naming the media type and size.
+ *
+ * @param {unknown} value Entry or nested value.
+ * @returns {unknown} Compacted copy (strings and primitives unchanged).
+ */
+export function compactLogEntry(value) {
+  if (typeof value === 'string') {
+    if (value.length < MAX_INLINE_DATA_URL) return value;
+    const match = DATA_URL_PATTERN.exec(value);
+    return match ? `[inline ${match[1] || 'data'} omitted, ${value.length} chars]` : value;
+  }
+  if (Array.isArray(value)) return value.map(compactLogEntry);
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [key, inner] of Object.entries(value)) copy[key] = compactLogEntry(inner);
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * One append-only log kind (e.g. `llm` or `requests`) stored as segments.
+ */
+export class LogStore {
+  /**
+   * @param {object} options
+   * @param {string} options.directory Segment directory (created 0700).
+   * @param {string} options.prefix Segment file prefix.
+   * @param {() => Record<string, unknown>|undefined} [options.getRetention]
+   *   Current retention settings; read on every roll so config edits apply live.
+   * @param {() => number} [options.now] Clock.
+   */
+  constructor({ directory, prefix, getRetention = () => ({}), now = Date.now }) {
+    this.directory = directory;
+    this.prefix = prefix;
+    this.getRetention = getRetention;
+    this.now = now;
+    this.segments = [];
+  }
+
+  #retention() {
+    try {
+      return normalizeLogRetention(this.getRetention() || {});
+    } catch {
+      return { ...LOG_RETENTION_DEFAULTS };
+    }
+  }
+
+  // Longest span one segment may cover. Rolling on age as well as size keeps
+  // a quiet store's entries in segments that maxAgeDays can actually expire.
+  #segmentSpanMs(maxAgeDays) {
+    return Math.min(DAY_MS, maxAgeDays * DAY_MS);
+  }
+
+  #segmentStart(name) {
+    return Number(name.slice(this.prefix.length + 1, -'.jsonl'.length));
+  }
+
+  /**
+   * Discover existing segments. Call once before appending.
+   *
+   * @returns {{segments:number, bytes:number}} What was found.
+   */
+  load() {
+    mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+    const pattern = new RegExp(`^${this.prefix}-\\d+\\.jsonl$`);
+    this.segments = readdirSync(this.directory)
+      .filter(name => pattern.test(name))
+      .map(name => ({ name, start: this.#segmentStart(name), bytes: statSync(join(this.directory, name)).size }))
+      .sort((a, b) => a.start - b.start);
+    return { segments: this.segments.length, bytes: this.segments.reduce((sum, s) => sum + s.bytes, 0) };
+  }
+
+  #roll() {
+    let start = this.now();
+    const last = this.segments[this.segments.length - 1];
+    if (last && start <= last.start) start = last.start + 1;
+    const segment = { name: `${this.prefix}-${String(start).padStart(15, '0')}.jsonl`, start, bytes: 0 };
+    this.segments.push(segment);
+    this.enforceRetention();
+    return segment;
+  }
+
+  /**
+   * Append one entry, rolling to a new segment when the active one is full or
+   * older than a day (or maxAgeDays, when shorter).
+   *
+   * @param {Record<string, unknown>} entry Log entry with `timestamp`.
+   */
+  append(entry) {
+    const line = `${JSON.stringify(compactLogEntry(entry))}\n`;
+    const { segmentSizeMb, maxAgeDays } = this.#retention();
+    let active = this.segments[this.segments.length - 1];
+    if (!active || active.bytes >= segmentSizeMb * MB
+      || this.now() - active.start >= this.#segmentSpanMs(maxAgeDays)) active = this.#roll();
+    if (!existsSync(this.directory)) mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+    appendFileSync(join(this.directory, active.name), line, { mode: 0o600 });
+    active.bytes += Buffer.byteLength(line);
+  }
+
+  /**
+   * Delete whole segments older than maxAgeDays (judged by the next segment's
+   * start) and the oldest segments while the total exceeds maxSizeMb. The
+   * active segment is only deleted once it has expired too: it stops taking
+   * entries one segment span after its start, so every line in it is older.
+   *
+   * @returns {string[]} Names of deleted segments.
+   */
+  enforceRetention() {
+    const { maxAgeDays, maxSizeMb } = this.#retention();
+    const cutoff = this.now() - maxAgeDays * 86_400_000;
+    let total = this.segments.reduce((sum, s) => sum + s.bytes, 0);
+    const deleted = [];
+    while (this.segments.length > 1) {
+      const [oldest, next] = this.segments;
+      if (next.start >= cutoff && total <= maxSizeMb * MB) break;
+      try { unlinkSync(join(this.directory, oldest.name)); } catch { /* already gone */ }
+      this.segments.shift();
+      total -= oldest.bytes;
+      deleted.push(oldest.name);
+    }
+    const [active] = this.segments;
+    if (this.segments.length === 1 && active.start + this.#segmentSpanMs(maxAgeDays) <= cutoff) {
+      try { unlinkSync(join(this.directory, active.name)); } catch { /* already gone */ }
+      this.segments = [];
+      deleted.push(active.name);
+    }
+    return deleted;
+  }
+
+  /**
+   * Newest-first page of matching entries, returned in chronological order.
+   *
+   * @param {ReturnType<typeof parseLogQuery>} filters Parsed filters.
+   * @returns {Promise<{logs:Array<Record<string, unknown>>, nextCursor:(string|null)}>}
+   *   The page and a cursor for the next older page, or null at the end.
+   */
+  async query(filters) {
+    const logs = [];
+    const candidates = [...this.segments].reverse();
+    let index = 0;
+    let startLine = null;
+    if (filters.cursor) {
+      index = candidates.findIndex(s => s.name <= filters.cursor.segment);
+      if (index === -1) return { logs: [], nextCursor: null };
+      if (candidates[index].name === filters.cursor.segment) startLine = filters.cursor.line;
+    }
+    // Raw-line prefilter: every search term and exact-match value must appear
+    // in the serialized line before it is worth parsing. Backend is left out
+    // because an absent backend matches 'local'.
+    const needles = [
+      ...filters.terms.filter(term => !/["\\]/.test(term)), // escaped in JSON
+      ...[filters.model, filters.endpoint?.startsWith('-') ? null : filters.endpoint].filter(Boolean).map(v => JSON.stringify(v).toLowerCase()),
+    ];
+
+    for (; index < candidates.length; index += 1) {
+      const segment = candidates[index];
+      const newer = candidates[index - 1];
+      if (filters.until !== null && segment.start > filters.until) { startLine = null; continue; }
+      if (filters.since !== null && newer && newer.start < filters.since) break;
+      let lines;
+      try {
+        lines = (await readFile(join(this.directory, segment.name), 'utf8')).split('\n');
+      } catch {
+        startLine = null;
+        continue; // pruned while paging
+      }
+      if (lines[lines.length - 1] === '') lines.pop();
+      for (let line = Math.min(startLine ?? lines.length, lines.length) - 1; line >= 0; line -= 1) {
+        const raw = lines[line];
+        if (needles.length > 0) {
+          const lower = raw.toLowerCase();
+          if (!needles.every(needle => lower.includes(needle))) continue;
+        }
+        let entry;
+        try { entry = JSON.parse(raw); } catch { continue; }
+        if (!matchesLogQuery(entry, filters)) continue;
+        logs.push(entry);
+        if (logs.length === filters.limit) {
+          const more = line > 0 || index < candidates.length - 1;
+          return {
+            logs: logs.reverse(),
+            nextCursor: more ? encodeLogCursor(line > 0 ? { segment: segment.name, line } : { segment: candidates[index + 1].name, line: null }) : null,
+          };
+        }
+      }
+      startLine = null;
+    }
+    return { logs: logs.reverse(), nextCursor: null };
+  }
+
+  /**
+   * Newest entry whose id matches, for actions on a single log row.
+   *
+   * @param {string|number} id Entry id as shown in query results.
+   * @returns {Promise<Record<string, unknown>|null>} The entry, or null.
+   */
+  async findById(id) {
+    const needle = String(id);
+    for (const segment of [...this.segments].reverse()) {
+      let lines;
+      try {
+        lines = (await readFile(join(this.directory, segment.name), 'utf8')).split('\n');
+      } catch {
+        continue;
+      }
+      for (let line = lines.length - 1; line >= 0; line -= 1) {
+        if (!lines[line].includes(needle)) continue;
+        try {
+          const entry = JSON.parse(lines[line]);
+          if (String(entry.id) === String(id)) return entry;
+        } catch { /* torn write */ }
+      }
+    }
+    return null;
+  }
+
+  /** Delete every segment. */
+  clear() {
+    for (const segment of this.segments) {
+      try { unlinkSync(join(this.directory, segment.name)); } catch { /* already gone */ }
+    }
+    this.segments = [];
+  }
+
+  /**
+   * Disk footprint for the settings API.
+   *
+   * @returns {{segments:number, bytes:number, oldestSegmentAt:(string|null)}} Stats.
+   */
+  stats() {
+    return {
+      segments: this.segments.length,
+      bytes: this.segments.reduce((sum, s) => sum + s.bytes, 0),
+      oldestSegmentAt: this.segments.length ? new Date(this.segments[0].start).toISOString() : null,
+    };
+  }
+}
@@ -0,0 +1,153 @@
+// Llama Manager — persistent log store tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies query parsing, full-text and field filters, segment rolling and
+// retention, newest-first cursor paging across segments, and media compaction.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync, statSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  LogStore,
+  compactLogEntry,
+  decodeLogCursor,
+  encodeLogCursor,
+  matchesLogQuery,
+  normalizeLogRetention,
+  parseLogQuery,
+} from './log-store.js';
+
+function withStore(options, fn) {
+  const directory = mkdtempSync(join(tmpdir(), 'lm-logs-'));
+  let clock = Date.parse('2026-01-01T00:00:00Z');
+  const store = new LogStore({ directory, prefix: 'llm', now: () => clock, ...options });
+  store.load();
+  const advance = (ms) => { clock += ms; return clock; };
+  return Promise.resolve(fn(store, { directory, advance, now: () => clock }))
+    .finally(() => rmSync(directory, { recursive: true, force: true }));
+}
+
+function entry(i, extra = {}) {
+  return {
+    id: i,
+    timestamp: new Date(Date.parse('2026-01-01T00:00:00Z') + i * 1000).toISOString(),
+    model: i % 2 ? 'qwen' : 'gemma',
+    backend: 'local',
+    status: 200,
+    messages: [{ role: 'user', content: `question number ${i}` }],
+    response: `answer ${i}`,
+    ...extra,
+  };
+}
+
+test('query parameters validate and normalize', () => {
+  const filters = parseLogQuery({ q: ' Hello  World ', status: '5XX', since: '2026-01-01T00:00:00Z', until: '1767225600000', limit: '9999' });
+  assert.deepEqual(filters.terms, ['hello', 'world']);
+  assert.equal(filters.status, '5xx');
+  assert.equal(filters.since, filters.until);
+  assert.equal(filters.limit, 500);
+  assert.throws(() => parseLogQuery({ status: 'broken' }), TypeError);
+  assert.throws(() => parseLogQuery({ since: 'yesterday' }), /since/);
+  assert.throws(() => parseLogQuery({ limit: '0' }), /limit/);
+  assert.throws(() => parseLogQuery({ cursor: 'nope' }), /cursor/);
+  assert.deepEqual(decodeLogCursor(encodeLogCursor({ segment: 'llm-1.jsonl', line: 4 })), { segment: 'llm-1.jsonl', line: 4 });
+  assert.throws(() => normalizeLogRetention({ maxAgeDays: -1 }), TypeError);
+  assert.throws(() => normalizeLogRetention({ bogus: 1 }), /unknown/);
+  assert.equal(normalizeLogRetention({ maxSizeMb: 4 }).segmentSizeMb, 4);
+});
+
+test('filters match text, status classes, clients and time ranges', () => {
+  const failed = entry(1, { status: 502, error: 'upstream reset', client: 'ci-bot', clientId: 'key_1' });
+  assert.ok(matchesLogQuery(failed, parseLogQuery({ q: 'QUESTION reset' })));
+  assert.ok(!matchesLogQuery(failed, parseLogQuery({ q: 'model' })), 'object keys are not searchable');
+  assert.ok(matchesLogQuery(failed, parseLogQuery({ status: 'error' })));
+  assert.ok(matchesLogQuery(failed, parseLogQuery({ status: '5xx' })));
+  assert.ok(!matchesLogQuery(failed, parseLogQuery({ status: 'ok' })));
+  assert.ok(matchesLogQuery(failed, parseLogQuery({ client: 'key_1' })));
+  assert.ok(!matchesLogQuery(failed, parseLogQuery({ client: 'someone-else' })));
+  assert.ok(matchesLogQuery(entry(1, { endpoint: 'chat/completions' }), parseLogQuery({ endpoint: '-embeddings' })));
+  assert.ok(!matchesLogQuery(entry(1, { endpoint: 'embeddings' }), parseLogQuery({ endpoint: '-embeddings' })));
+  assert.ok(matchesLogQuery(entry(0, { backend: undefined }), parseLogQuery({ backend: 'local' })));
+  assert.ok(!matchesLogQuery(failed, parseLogQuery({ since: '2026-01-01T00:00:02Z' })));
+});
+
+test('pages walk newest-first across segments and stay chronological within a page', () => withStore({
+  getRetention: () => ({ segmentSizeMb: 0.0005 }),
+}, async (store, { advance }) => {
+  for (let i = 0; i < 12; i += 1) {
+    advance(1000);
+    store.append(entry(i));
+  }
+  assert.ok(store.stats().segments > 2, 'small segments roll');
+
+  const seen = [];
+  let cursor;
+  do {
+    const page = await store.query(parseLogQuery({ limit: '5', cursor }));
+    assert.deepEqual(page.logs.map(e => e.id), [...page.logs.map(e => e.id)].sort((a, b) => a - b));
+    seen.unshift(...page.logs.map(e => e.id));
+    cursor = page.nextCursor ?? undefined;
+  } while (cursor);
+  assert.deepEqual(seen, [...Array(12).keys()]);
+
+  const qwen = await store.query(parseLogQuery({ model: 'qwen', q: 'answer 11' }));
+  assert.deepEqual(qwen.logs.map(e => e.id), [11]);
+  assert.equal(qwen.nextCursor, null);
+}));
+
+test('retention drops whole segments by age and size, the active one once it expires', () => withStore({
+  getRetention: () => ({ maxAgeDays: 1, maxSizeMb: 0.002, segmentSizeMb: 0.0005 }),
+}, async (store, { directory, advance }) => {
+  for (let i = 0; i < 20; i += 1) store.append(entry(i));
+  assert.ok(store.stats().bytes <= 0.002 * 1024 * 1024 + 1024);
+  advance(3 * 86_400_000);
+  store.enforceRetention();
+  assert.deepEqual(readdirSync(directory), []);
+  store.append(entry(99, { response: 'x'.repeat(600) }));
+  store.append(entry(100));
+  assert.equal(store.stats().segments, 2);
+  const { logs } = await store.query(parseLogQuery({ q: 'answer 100' }));
+  assert.deepEqual(logs.map(e => e.id), [100]);
+  for (const file of readdirSync(directory)) assert.equal(statSync(join(directory, file)).mode & 0o777, 0o600);
+}));
+
+test('a quiet store rolls daily so old entries in it still expire', () => withStore({
+  getRetention: () => ({ maxAgeDays: 2 }),
+}, async (store, { directory, advance }) => {
+  store.append(entry(1));
+  advance(86_400_000 / 2);
+  store.append(entry(2));
+  assert.equal(store.stats().segments, 1);
+  advance(86_400_000);
+  store.append(entry(3));
+  assert.equal(store.stats().segments, 2);
+  const [first, second] = readdirSync(directory).sort();
+  advance(2 * 86_400_000 + 1000);
+  assert.deepEqual(store.enforceRetention(), [first]);
+  advance(86_400_000);
+  assert.deepEqual(store.enforceRetention(), [second]);
+  assert.equal(store.stats().segments, 0);
+  store.append(entry(4));
+  const { logs } = await store.query(parseLogQuery({}));
+  assert.deepEqual(logs.map(e => e.id), [4]);
+}));
+
+test('segments reload from disk, clear wipes them, and inline media is compacted', () => withStore({}, async (store, { directory }) => {
+  const image = `data:image/png;base64,${'A'.repeat(5000)}`;
+  store.append(entry(1, { messages: [{ role: 'user', content: [{ type: 'image_url', image_url: { url: image } }] }] }));
+  const reopened = new LogStore({ directory, prefix: 'llm' });
+  assert.equal(reopened.load().segments, 1);
+  const [stored] = (await reopened.query(parseLogQuery({}))).logs;
+  assert.equal(stored.messages[0].content[0].image_url.url, '[inline image/png omitted, 5022 chars]');
+  assert.equal(compactLogEntry('data:x;base64,short'), 'data:x;base64,short');
+  reopened.append(entry(12.5));
+  assert.equal((await reopened.findById('12.5')).response, 'answer 12.5');
+  assert.equal(await reopened.findById('2.5'), null);
+  reopened.clear();
+  assert.deepEqual(readdirSync(directory), []);
+  assert.deepEqual((await reopened.query(parseLogQuery({}))).logs, []);
+}));
@@ -0,0 +1,236 @@
+// Llama Manager — Prometheus text exposition for GET /metrics.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Everything the dashboard graphs lives in the stats WebSocket and
+// data/requests.jsonl, neither of which an external Prometheus can scrape.
+// This module is the pure half of the /metrics endpoint: api/server.js gathers
+// a plain snapshot of queue, GPU, model, restart-governor, circuit-breaker,
+// slot-cache and ds4 state, and buildManagerMetrics() turns it into metric
+// families that renderMetrics() serializes in the text format (version 0.0.4).
+// Per-request tok/s and TTFT are kept as in-process Histograms that reset on
+// restart, exactly like any other Prometheus counter.
+
+/** Content-Type Prometheus expects for the text exposition format. */
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/** Generation throughput buckets, in tokens per second. */
+export const TOKENS_PER_SECOND_BUCKETS = [1, 2, 5, 10, 15, 20, 30, 40, 50, 75, 100, 150, 200];
+
+/** Time-to-first-token buckets, in seconds. */
+export const TTFT_SECONDS_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+
+/** Every reason restartDecision() can return, exported as a state set. */
+export const RESTART_GOVERNOR_STATES = ['ok', 'debounce', 'circuit-open', 'wedged-hold', 'sustained-thrash'];
+
+/** Every state a remote backend circuit breaker can be in (BackendHealth.state()). */
+export const CIRCUIT_BREAKER_STATES = ['closed', 'open', 'half_open'];
+
+/** Every status the ds4 supervisor's health() probe can report. */
+export const DS4_STATES = ['stopped', 'ok', 'error', 'unavailable'];
+
+const PREFIX = 'llama_manager_';
+
+/**
+ * Escape a label value per the exposition format (backslash, quote, newline).
+ *
+ * @param {unknown} value Raw label value.
+ * @returns {string} Escaped value, without surrounding quotes.
+ */
+export function escapeLabelValue(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels = {}) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+/**
+ * Serialize metric families in the Prometheus text format. Samples whose value
+ * is not a number (e.g. a GPU reading that was unavailable) are dropped, and a
+ * family left without samples is omitted entirely.
+ *
+ * @param {Array<{name:string, help:string, type:string,
+ *   samples:Array<{name?:string, labels?:Record<string,string>, value:number}>}>} families
+ * @returns {string} Exposition text ending in a newline.
+ */
+export function renderMetrics(families) {
+  const lines = [];
+  for (const family of families) {
+    const samples = family.samples.filter(sample => typeof sample.value === 'number');
+    if (samples.length === 0) continue;
+    lines.push(`# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    for (const sample of samples) {
+      lines.push(`${sample.name || family.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    }
+  }
+  return lines.length ? `${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Cumulative histogram keyed by label set, rendered as _bucket/_sum/_count.
+ */
+export class Histogram {
+  /**
+   * @param {object} options
+   * @param {number[]} options.buckets Ascending upper bounds (+Inf is implicit).
+   */
+  constructor({ buckets }) {
+    if (!Array.isArray(buckets) || buckets.some((b, i) => !Number.isFinite(b) || (i > 0 && b <= buckets[i - 1]))) {
+      throw new TypeError('histogram buckets must be ascending finite numbers');
+    }
+    this.buckets = [...buckets];
+    this.series = new Map();
+  }
+
+  /**
+   * Record one observation.
+   *
+   * @param {Record<string,string>} labels Series labels (e.g. model, backend).
+   * @param {number} value Observed value; non-finite values are ignored.
+   */
+  observe(labels, value) {
+    if (!Number.isFinite(value)) return;
+    const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: { ...labels }, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => { if (value <= bound) series.counts[i] += 1; });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Samples for a histogram family named `name`.
+   *
+   * @param {string} name Family name; suffixes are appended per sample.
+   * @returns {Array<{name:string, labels:Record<string,string>, value:number}>}
+   */
+  samples(name) {
+    const out = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        out.push({ name: `${name}_bucket`, labels: { ...labels, le: String(bound) }, value: counts[i] });
+      });
+      out.push({ name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count });
+      out.push({ name: `${name}_sum`, labels, value: Math.round(sum * 1000) / 1000 });
+      out.push({ name: `${name}_count`, labels, value: count });
+    }
+    return out;
+  }
+}
+
+function gauge(name, help, samples) {
+  return { name: PREFIX + name, help, type: 'gauge', samples };
+}
+
+function counter(name, help, samples) {
+  return { name: PREFIX + name, help, type: 'counter', samples };
+}
+
+function stateSet(states, current, labelName) {
+  return states.map(state => ({ labels: { [labelName]: state }, value: state === current ? 1 : 0 }));
+}
+
+/**
+ * Build the manager's metric families from a plain state snapshot. Missing
+ * sections (no GPU, ds4 not the active engine) simply produce no samples.
+ *
+ * @param {object} snapshot
+ * @param {{active:number, pending:number, concurrency:number, byPriority:Record<string,number>}} snapshot.queue
+ * @param {{tokensPerSecond:Histogram, ttftSeconds:Histogram}} snapshot.histograms
+ * @param {{temperature?:number, power?:number, usage?:number,
+ *   vram?:{total:number, used:number}, gtt?:{total:number, used:number}}|null} [snapshot.gpu]
+ * @param {Array<{id:string, sizeBytes?:number|null}>} [snapshot.loadedModels]
+ * @param {{state:string, attempts:number, retryAfterMs:number, inProgress:boolean,
+ *   failedRestarts:number, execWedged:number}} snapshot.restart
+ * @param {Array<{backend:string, open:boolean, state:string, failures:number}>} [snapshot.circuitBreakers]
+ * @param {{affinityHits:number, assignments:number, entries:number,
+ *   restoreHits:number, restoreMisses:number, durableEntries:number}} snapshot.slotCache
+ * @param {string} snapshot.engine Active engine id.
+ * @param {{status:string, model:(string|null)}|null} [snapshot.ds4]
+ * @returns {Array<object>} Families for renderMetrics().
+ */
+export function buildManagerMetrics(snapshot) {
+  const {
+    queue, histograms, gpu = null, loadedModels = [], restart, circuitBreakers = [],
+    slotCache, engine, ds4 = null,
+  } = snapshot;
+  const families = [
+    gauge('queue_depth', 'Requests waiting in the local queue, by priority class.',
+      Object.entries(queue.byPriority).map(([priority, value]) => ({ labels: { priority }, value }))),
+    gauge('queue_active', 'Local requests currently holding a queue slot.', [{ value: queue.active }]),
+    gauge('queue_concurrency', 'Configured local queue concurrency.', [{ value: queue.concurrency }]),
+    {
+      name: `${PREFIX}request_tokens_per_second`, type: 'histogram',
+      help: 'Generation throughput of completed requests, in tokens per second.',
+      samples: histograms.tokensPerSecond.samples(`${PREFIX}request_tokens_per_second`),
+    },
+    {
+      name: `${PREFIX}request_ttft_seconds`, type: 'histogram',
+      help: 'Time to first token of completed local requests, in seconds.',
+      samples: histograms.ttftSeconds.samples(`${PREFIX}request_ttft_seconds`),
+    },
+  ];
+
+  if (gpu) {
+    families.push(
+      gauge('gpu_temperature_celsius', 'GPU edge temperature.', [{ value: gpu.temperature }]),
+      gauge('gpu_power_watts', 'GPU package power draw.', [{ value: gpu.power }]),
+      gauge('gpu_busy_percent', 'GPU utilization as reported to the dashboard.', [{ value: gpu.usage }]),
+      gauge('gpu_vram_used_bytes', 'Dedicated VRAM in use.', [{ value: gpu.vram?.used }]),
+      gauge('gpu_vram_total_bytes', 'Dedicated VRAM capacity.', [{ value: gpu.vram?.total }]),
+      gauge('gpu_gtt_used_bytes', 'GTT (GPU-mapped system memory) in use.', [{ value: gpu.gtt?.used }]),
+      gauge('gpu_gtt_total_bytes', 'GTT (GPU-mapped system memory) capacity.', [{ value: gpu.gtt?.total }]),
+    );
+  }
+
+  families.push(
+    gauge('model_loaded', 'Models currently resident in the local router (1 per model).',
+      loadedModels.map(model => ({ labels: { model: model.id }, value: 1 }))),
+    gauge('model_resident_bytes', 'On-disk size of each resident model.',
+      loadedModels.filter(model => Number.isFinite(model.sizeBytes))
+        .map(model => ({ labels: { model: model.id }, value: model.sizeBytes }))),
+    gauge('restart_governor_state', 'Restart governor verdict for a restart requested now (state set).',
+      stateSet(RESTART_GOVERNOR_STATES, restart.state, 'state')),
+    gauge('restart_governor_retry_after_seconds', 'Seconds until the governor would allow a local restart.',
+      [{ value: Math.ceil(restart.retryAfterMs / 1000) }]),
+    gauge('restart_governor_recent_restarts', 'Governed local restarts still inside the governor history.',
+      [{ value: restart.attempts }]),
+    gauge('restart_in_progress', 'Whether a local llama-server restart is running.', [{ value: restart.inProgress ? 1 : 0 }]),
+    gauge('restart_failed_consecutive', 'Consecutive governed restarts that never became ready.', [{ value: restart.failedRestarts }]),
+    gauge('container_exec_wedged', 'Consecutive container exec timeouts (wedged signal).', [{ value: restart.execWedged }]),
+    gauge('backend_circuit_open', 'Whether a remote backend circuit breaker is open.',
+      circuitBreakers.map(cb => ({ labels: { backend: cb.backend }, value: cb.open ? 1 : 0 }))),
+    gauge('backend_circuit_state', 'Remote backend circuit breaker state, including half-open trials (state set).',
+      circuitBreakers.flatMap(cb => stateSet(CIRCUIT_BREAKER_STATES, cb.state, 'state')
+        .map(sample => ({ labels: { backend: cb.backend, ...sample.labels }, value: sample.value })))),
+    gauge('backend_consecutive_failures', 'Consecutive failures recorded by a remote backend circuit breaker.',
+      circuitBreakers.map(cb => ({ labels: { backend: cb.backend }, value: cb.failures }))),
+    counter('slot_affinity_hits_total', 'Requests routed to the llama.cpp slot already holding their prefix.',
+      [{ value: slotCache.affinityHits }]),
+    counter('slot_affinity_misses_total', 'Requests that needed a fresh slot assignment.', [{ value: slotCache.assignments }]),
+    gauge('slot_affinity_entries', 'Conversation lineages tracked by the slot affinity registry.', [{ value: slotCache.entries }]),
+    counter('slot_cache_restore_hits_total', 'Durable slot dumps restored into a cold slot.', [{ value: slotCache.restoreHits }]),
+    counter('slot_cache_restore_misses_total', 'Durable slot restores that found no usable dump.', [{ value: slotCache.restoreMisses }]),
+    gauge('slot_cache_entries', 'Durable slot dumps on disk.', [{ value: slotCache.durableEntries }]),
+    gauge('engine_active', 'Active local inference engine (1 for the active engine).', [{ labels: { engine }, value: 1 }]),
+  );
+
+  if (ds4) {
+    families.push(gauge('ds4_state', 'ds4 supervisor health (state set).', stateSet(DS4_STATES, ds4.status, 'state')));
+  }
+  return families;
+}
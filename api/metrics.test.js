@@ -0,0 +1,79 @@
+// Llama Manager — Prometheus exposition tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies the text format (escaping, HELP/TYPE, dropped samples), cumulative
+// histogram buckets, and the manager snapshot → metric family mapping.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  Histogram,
+  buildManagerMetrics,
+  escapeLabelValue,
+  renderMetrics,
+} from './metrics.js';
+
+function snapshot(overrides = {}) {
+  return {
+    queue: { active: 1, pending: 2, concurrency: 1, byPriority: { realtime: 0, interactive: 2, background: 0 } },
+    histograms: { tokensPerSecond: new Histogram({ buckets: [10, 50] }), ttftSeconds: new Histogram({ buckets: [1] }) },
+    gpu: { temperature: 61, power: 88.5, usage: 40, vram: { total: 512, used: 256 }, gtt: { total: 1024, used: 300 } },
+    loadedModels: [{ id: 'gemma-4', sizeBytes: 4096 }, { id: 'qwen', sizeBytes: null }],
+    restart: { state: 'circuit-open', attempts: 4, retryAfterMs: 1500, inProgress: false, failedRestarts: 0, execWedged: 0 },
+    circuitBreakers: [{ backend: 'gpu-box', open: true, state: 'open', failures: 3 }, { backend: 'cloud', open: false, state: 'half_open', failures: 3 }],
+    slotCache: { affinityHits: 7, assignments: 3, entries: 5, restoreHits: 1, restoreMisses: 2, durableEntries: 4 },
+    engine: 'llama',
+    ds4: null,
+    ...overrides,
+  };
+}
+
+test('label values are escaped and non-numeric samples are dropped', () => {
+  assert.equal(escapeLabelValue('a"b\\c\nd'), 'a\\"b\\\\c\\nd');
+  const text = renderMetrics([
+    { name: 'x_total', help: 'Things.', type: 'counter', samples: [{ labels: { model: 'm"1' }, value: 3 }] },
+    { name: 'missing', help: 'Never rendered.', type: 'gauge', samples: [{ value: undefined }] },
+  ]);
+  assert.equal(text, '# HELP x_total Things.\n# TYPE x_total counter\nx_total{model="m\\"1"} 3\n');
+});
+
+test('histograms render cumulative buckets, sum and count per label set', () => {
+  const histogram = new Histogram({ buckets: [10, 50] });
+  histogram.observe({ model: 'a' }, 5);
+  histogram.observe({ model: 'a' }, 20);
+  histogram.observe({ model: 'a' }, 80);
+  histogram.observe({ model: 'a' }, Number.NaN);
+  const values = Object.fromEntries(histogram.samples('tps').map(s => [`${s.name}${s.labels.le ? `@${s.labels.le}` : ''}`, s.value]));
+  assert.deepEqual(values, { 'tps_bucket@10': 1, 'tps_bucket@50': 2, 'tps_bucket@+Inf': 3, tps_sum: 105, tps_count: 3 });
+  assert.throws(() => new Histogram({ buckets: [5, 1] }), TypeError);
+});
+
+test('the manager snapshot maps onto queue, GPU, model, governor and cache families', () => {
+  const text = renderMetrics(buildManagerMetrics(snapshot()));
+  assert.match(text, /^llama_manager_queue_depth\{priority="interactive"\} 2$/m);
+  assert.match(text, /^llama_manager_gpu_gtt_used_bytes 300$/m);
+  assert.match(text, /^llama_manager_model_loaded\{model="qwen"\} 1$/m);
+  assert.doesNotMatch(text, /model_resident_bytes\{model="qwen"\}/);
+  assert.match(text, /^llama_manager_restart_governor_state\{state="circuit-open"\} 1$/m);
+  assert.match(text, /^llama_manager_restart_governor_state\{state="ok"\} 0$/m);
+  assert.match(text, /^llama_manager_restart_governor_retry_after_seconds 2$/m);
+  assert.match(text, /^llama_manager_backend_circuit_open\{backend="gpu-box"\} 1$/m);
+  assert.match(text, /^llama_manager_backend_circuit_state\{backend="cloud",state="half_open"\} 1$/m);
+  assert.match(text, /^llama_manager_backend_circuit_state\{backend="cloud",state="open"\} 0$/m);
+  assert.match(text, /^llama_manager_backend_circuit_state\{backend="gpu-box",state="open"\} 1$/m);
+  assert.match(text, /^llama_manager_slot_affinity_hits_total 7$/m);
+  assert.match(text, /^# TYPE llama_manager_slot_cache_restore_misses_total counter$/m);
+  // Histograms with no observations yet expose nothing rather than empty series.
+  assert.doesNotMatch(text, /request_tokens_per_second/);
+  assert.doesNotMatch(text, /ds4_state/);
+});
+
+test('absent GPU data is omitted and ds4 state is exposed as a state set', () => {
+  const text = renderMetrics(buildManagerMetrics(snapshot({ gpu: null, engine: 'ds4', ds4: { status: 'unavailable', model: null } })));
+  assert.doesNotMatch(text, /gpu_/);
+  assert.match(text, /^llama_manager_engine_active\{engine="ds4"\} 1$/m);
+  assert.match(text, /^llama_manager_ds4_state\{state="unavailable"\} 1$/m);
+  assert.match(text, /^llama_manager_ds4_state\{state="ok"\} 0$/m);
+});
@@ -28,9 +28,11 @@ export const BIG_ALIAS = 'default-big';
 export const SMALL_ALIAS = 'default-small';
 
 /**
- * @typedef {{host: string, model: string}} AliasTarget
- *   host  — 'local' or a backend id.
- *   model — an exact model name, or a glob using `*` (any run) and `?` (one char).
+ * @typedef {{host: string, model: string, weight?: number}} AliasTarget
+ *   host   — 'local' or a backend id.
+ *   model  — an exact model name, or a glob using `*` (any run) and `?` (one char).
+ *   weight — optional traffic share; a group where any target carries one is a
+ *            weighted split (see `api/alias-canary.js`) instead of an ordered list.
  *
  * @typedef {{targets: AliasTarget[]}} AliasGroup
  *
@@ -255,6 +257,11 @@ export function partitionByWarmth(candidates, inventory) {
  * a target that is not an object or lacks a non-empty string `host`/`model`; and two
  * targets sharing the same host + model.
  *
+ * A group where any target carries a `weight` is a weighted split: every target then
+ * gets a weight (omitted counts as 0), and the group is rejected when a weight is not a
+ * non-negative number, when the weights sum to 0, or when a target names a glob — a
+ * share must land on one concrete model.
+ *
  * Accepted with warnings: a name colliding with a preset id or a known local model (the
  * alias shadows the real model, since alias resolution runs first), and a target naming a
  * host that is neither 'local' nor a configured backend id.
@@ -269,7 +276,8 @@ export function partitionByWarmth(candidates, inventory) {
  * @param {*} targets the proposed target list
  * @param {Array<string|object>} [localModels] known local model names, bare or scanned records
  * @returns {{ok: true, value: AliasGroup, warnings: string[]}|{ok: false, error: string}}
- *   on success `value.targets` are trimmed and normalized to `{host, model}` only.
+ *   on success `value.targets` are trimmed and normalized to `{host, model}`, plus
+ *   `weight` on every target of a weighted split.
  */
 export function validateAlias(config, name, targets, localModels = []) {
   if (typeof name !== 'string') return { ok: false, error: 'alias name must be a string' };
@@ -282,6 +290,7 @@ export function validateAlias(config, name, targets, localModels = []) {
     return { ok: false, error: `alias '${alias}' must have at least one target` };
   }
 
+  const weighted = targets.some(t => t && typeof t === 'object' && t.weight !== undefined && t.weight !== null);
   const normalized = [];
   const seen = new Set();
   for (const target of targets) {
@@ -295,7 +304,21 @@ export function validateAlias(config, name, targets, localModels = []) {
     const key = `${host}\u0000${model}`;
     if (seen.has(key)) return { ok: false, error: `duplicate target '${host}' / '${model}'` };
     seen.add(key);
-    normalized.push({ host, model });
+    if (!weighted) {
+      normalized.push({ host, model });
+      continue;
+    }
+    const weight = target.weight ?? 0;
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      return { ok: false, error: `target '${host}' / '${model}' weight must be a non-negative number` };
+    }
+    if (WILDCARD_PATTERN.test(model)) {
+      return { ok: false, error: `weighted target '${host}' / '${model}' must name an exact model, not a glob` };
+    }
+    normalized.push({ host, model, weight });
+  }
+  if (weighted && !normalized.some(t => t.weight > 0)) {
+    return { ok: false, error: `alias '${alias}' weights must not all be 0` };
   }
 
   const warnings = [];
@@ -465,7 +465,7 @@ test('validateAlias: a clean alias is accepted with no warnings', () => {
 
 test('validateAlias: normalized targets are trimmed and stripped of extra keys', () => {
   const r = validateAlias(CONFIG, 'my-alias', [
-    { host: '  local  ', model: '  Qwen_Qwen3-8B-GGUF  ', weight: 3, note: 'drop me' },
+    { host: '  local  ', model: '  Qwen_Qwen3-8B-GGUF  ', priority: 3, note: 'drop me' },
     { host: 'borethrax-ollama', model: 'gemma4:*', enabled: true },
   ]);
   assert.equal(r.ok, true);
@@ -477,6 +477,29 @@ test('validateAlias: normalized targets are trimmed and stripped of extra keys',
   });
 });
 
+test('validateAlias: a weighted split gives every target a weight', () => {
+  const r = validateAlias(CONFIG, 'my-alias', [
+    { host: 'local', model: 'Qwen_Qwen3-8B-GGUF', weight: 90 },
+    { host: 'borethrax-ollama', model: 'gemma4:12b', weight: 10 },
+    { host: 'local', model: 'Qwen_Qwen3-32B-GGUF' },
+  ]);
+  assert.equal(r.ok, true);
+  assert.deepEqual(r.value.targets.map(t => t.weight), [90, 10, 0]);
+});
+
+test('validateAlias: rejects bad weights, all-zero splits and weighted globs', () => {
+  assertRejected(validateAlias(CONFIG, 'my-alias', [{ host: 'local', model: 'x', weight: -1 }]));
+  assertRejected(validateAlias(CONFIG, 'my-alias', [{ host: 'local', model: 'x', weight: '50' }]));
+  assertRejected(validateAlias(CONFIG, 'my-alias', [
+    { host: 'local', model: 'x', weight: 0 },
+    { host: 'local', model: 'y' },
+  ]));
+  assertRejected(validateAlias(CONFIG, 'my-alias', [
+    { host: 'local', model: 'x', weight: 50 },
+    { host: 'borethrax-ollama', model: 'gemma4:*', weight: 50 },
+  ]));
+});
+
 // ── aliasListEntries ─────────────────────────────────────────────────────────
 
 test('aliasListEntries: one row per alias with targets, in config key order', () => {
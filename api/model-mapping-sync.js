@@ -0,0 +1,173 @@
+// Llama Manager — model-mapping discovery: match remote model ids to local names.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Remote hosts name the same weights differently: `qwen3:32b` on Ollama,
+// `Qwen/Qwen3-32B` on vLLM, `Qwen3-32B-Q4_K_M.gguf` on disk here. This module
+// reduces ids to a canonical name (no org prefix, quant suffix, `.gguf` or
+// shard suffix; Ollama `:tag` folded in) and proposes the additions that make
+// a remote model routable: a `modelMapping` entry on the backend for a local
+// model, alias or canonical name, and a target on an existing alias group that
+// already serves the same model. Suggestions only add; nothing existing is
+// changed, so applying them on a schedule (a backend's `autoSyncModels`) is safe.
+
+import { RESERVED_ALIAS_NAMES, expandGlob } from './model-aliases.js';
+
+/** Trailing id tokens that name a quantization or packaging, not a model. */
+const QUANT_TOKEN = /^(?:ud|i?q\d(?:_[a-z0-9]+)*|f16|f32|bf16|fp16|fp8|mxfp4|nvfp4|int[48]|w[48]a\d+|\d+bit|awq|gptq|gguf|exl2|mlx)$/;
+
+/** Split-file suffix of a sharded GGUF. */
+const SHARD_SUFFIX = /-\d{5}-of-\d{5}$/;
+
+function dropQuantTokens(tokens) {
+  const kept = [...tokens];
+  while (kept.length > 1 && QUANT_TOKEN.test(kept[kept.length - 1])) kept.pop();
+  return kept;
+}
+
+/**
+ * Canonical form of a model id, for display and as a mapping name.
+ *
+ * @param {string} id Model id, e.g. `Qwen/Qwen3-32B-GGUF`, `qwen3:32b-q8_0` or
+ *   `models/Qwen3-32B-Q4_K_M.gguf`.
+ * @returns {string} Lower-case name, e.g. `qwen3-32b`; empty for unusable ids.
+ */
+export function canonicalModelName(id) {
+  if (typeof id !== 'string') return '';
+  let name = id.trim().toLowerCase().replace(/\.gguf$/, '').replace(SHARD_SUFFIX, '');
+  name = name.split('/').filter(Boolean).pop() || '';
+  const colon = name.indexOf(':');
+  if (colon >= 0) {
+    const tag = name.slice(colon + 1);
+    name = name.slice(0, colon);
+    const tagTokens = tag === 'latest' ? [] : dropQuantTokens(['', ...tag.split('-')]).slice(1);
+    if (tagTokens.length) name = `${name}-${tagTokens.join('-')}`;
+  }
+  return dropQuantTokens(name.split('-').filter(Boolean)).join('-').replace(/[_\s]+/g, '-');
+}
+
+/**
+ * Key two ids are matched on: the canonical name without hyphens, so
+ * `llama-3.1-8b` and `llama3.1:8b` compare equal.
+ *
+ * @param {string} id Model id.
+ * @returns {string} Match key; empty for unusable ids.
+ */
+export function modelMatchKey(id) {
+  return canonicalModelName(id).replace(/-/g, '');
+}
+
+// Whether an alias group's targets carry weights (a canary split).
+function hasWeights(targets) {
+  return targets.some(t => t?.weight !== undefined && t?.weight !== null);
+}
+
+// Remote model a mapping already sends `name` to: exact key, then globs other
+// than the `*` catch-all (which an exact entry is meant to refine).
+function mappedRemote(mapping, name) {
+  if (!mapping || typeof mapping !== 'object') return null;
+  if (Object.hasOwn(mapping, name)) return mapping[name] || null;
+  for (const [pattern, target] of Object.entries(mapping)) {
+    if (pattern !== '*' && /[*?]/.test(pattern) && target && expandGlob(pattern, [name]).length) return target;
+  }
+  return null;
+}
+
+/**
+ * @typedef {{id:string, kind:'mapping', backendId:string, model:string, remoteModel:string,
+ *   source:('local'|'alias'|'canonical')}} MappingSuggestion
+ *   Add `modelMapping[model] = remoteModel` on the backend. `source` says what
+ *   `model` is: a local model, an alias name, or the remote id's canonical name.
+ * @typedef {{id:string, kind:'alias-target', backendId:string, alias:string, remoteModel:string}} AliasTargetSuggestion
+ *   Append `{host: backendId, model: remoteModel}` to an unweighted alias group.
+ */
+
+/**
+ * Propose mapping and alias additions for one backend's model list.
+ *
+ * @param {{backend:{id:string, type?:string, modelMapping?:Object<string,string>},
+ *   remoteModels:string[], localModels?:string[],
+ *   aliases?:Object<string, {targets:Array<{host:string, model:string, weight?:number}>}>}} input
+ *   The backend, its current model list, local model ids and `config.aliases`.
+ * @returns {Array<MappingSuggestion|AliasTargetSuggestion>} Suggestions in a stable order;
+ *   empty for peer managers, which serve models under their own names.
+ */
+export function suggestModelMappings({ backend, remoteModels, localModels = [], aliases = {} }) {
+  if (backend.type === 'peer') return [];
+  const mapping = backend.modelMapping || {};
+  // One remote id per key; the shortest is the untagged default (qwen3:32b over qwen3:32b-q8_0).
+  const remoteByKey = new Map();
+  for (const id of [...new Set(remoteModels)].sort((a, b) => a.length - b.length || a.localeCompare(b))) {
+    const key = modelMatchKey(id);
+    if (key && !remoteByKey.has(key)) remoteByKey.set(key, id);
+  }
+  const alreadyRouted = new Set(Object.values(mapping).filter(Boolean));
+  const suggestions = [];
+  const named = new Set();
+  const suggestMapping = (model, remoteModel, source) => {
+    if (named.has(model) || mappedRemote(mapping, model)) return;
+    named.add(model);
+    suggestions.push({ id: `mapping:${model}`, kind: 'mapping', backendId: backend.id, model, remoteModel, source });
+  };
+
+  for (const model of [...new Set(localModels)].sort()) {
+    const remoteModel = remoteByKey.get(modelMatchKey(model));
+    if (remoteModel) suggestMapping(model, remoteModel, 'local');
+  }
+  for (const [alias, group] of Object.entries(aliases).sort(([a], [b]) => a.localeCompare(b))) {
+    const remoteModel = remoteByKey.get(modelMatchKey(alias));
+    if (remoteModel) suggestMapping(alias, remoteModel, 'alias');
+    const targets = Array.isArray(group?.targets) ? group.targets : [];
+    if (hasWeights(targets)) continue;
+    const added = new Set();
+    for (const target of targets) {
+      if (typeof target?.model !== 'string' || /[*?]/.test(target.model)) continue;
+      const match = remoteByKey.get(modelMatchKey(target.model));
+      if (!match || added.has(match) || targets.some(t => t.host === backend.id && t.model === match)) continue;
+      added.add(match);
+      suggestions.push({ id: `alias:${alias}:${match}`, kind: 'alias-target', backendId: backend.id, alias, remoteModel: match });
+    }
+  }
+  const suggested = new Set(suggestions.map(s => s.remoteModel));
+  for (const remoteModel of remoteByKey.values()) {
+    if (suggested.has(remoteModel) || alreadyRouted.has(remoteModel)) continue;
+    const canonical = canonicalModelName(remoteModel);
+    if (RESERVED_ALIAS_NAMES.includes(canonical)) continue;
+    suggestMapping(canonical, remoteModel, 'canonical');
+  }
+  return suggestions;
+}
+
+/**
+ * Apply suggestions to a backend's mapping and the alias table without
+ * overwriting anything already there. Alias targets are never added to a
+ * weighted group, even when the suggestion predates its weights.
+ *
+ * @param {{modelMapping?:Object<string,string>}} backend Backend the suggestions are for.
+ * @param {Object<string, {targets:Array}>} aliases Current `config.aliases`.
+ * @param {Array<MappingSuggestion|AliasTargetSuggestion>} suggestions Suggestions to apply.
+ * @returns {{modelMapping:Object<string,string>, aliases:Object<string, {targets:Array}>,
+ *   applied:Array<MappingSuggestion|AliasTargetSuggestion>}} New mapping and alias
+ *   table, and the suggestions that changed something.
+ */
+export function applyModelSuggestions(backend, aliases, suggestions) {
+  const modelMapping = { ...(backend.modelMapping || {}) };
+  const nextAliases = { ...aliases };
+  const applied = [];
+  for (const suggestion of suggestions) {
+    if (suggestion.kind === 'mapping') {
+      if (mappedRemote(modelMapping, suggestion.model)) continue;
+      modelMapping[suggestion.model] = suggestion.remoteModel;
+      applied.push(suggestion);
+    } else if (suggestion.kind === 'alias-target') {
+      const group = nextAliases[suggestion.alias];
+      const targets = Array.isArray(group?.targets) ? group.targets : null;
+      // A weighted group is a canary split; a new target would need a weight
+      // someone chose, so auto-sync never adds one there.
+      if (!targets || hasWeights(targets) || targets.some(t => t.host === suggestion.backendId && t.model === suggestion.remoteModel)) continue;
+      nextAliases[suggestion.alias] = { ...group, targets: [...targets, { host: suggestion.backendId, model: suggestion.remoteModel }] };
+      applied.push(suggestion);
+    }
+  }
+  return { modelMapping, aliases: nextAliases, applied };
+}
@@ -0,0 +1,84 @@
+// Llama Manager — model-mapping discovery tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies canonical names across Ollama, Hugging Face and GGUF spellings,
+// the suggestions proposed for local models, aliases and unmatched remote
+// models, and that applying suggestions never overwrites existing entries or
+// grows a weighted canary group.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  applyModelSuggestions,
+  canonicalModelName,
+  modelMatchKey,
+  suggestModelMappings,
+} from './model-mapping-sync.js';
+
+test('ids normalize across quant suffixes, org prefixes and Ollama tags', () => {
+  for (const id of ['Qwen3-32B-Q4_K_M.gguf', 'qwen3:32b', 'qwen3:32b-q8_0', 'hf.co/unsloth/Qwen3-32B-GGUF:Q4_K_M', 'Qwen/Qwen3-32B']) {
+    assert.equal(canonicalModelName(id), 'qwen3-32b', id);
+  }
+  assert.equal(canonicalModelName('llama3.1:8b-instruct-q4_K_M'), 'llama3.1-8b-instruct');
+  assert.equal(canonicalModelName('qwen3:latest'), 'qwen3');
+  assert.equal(canonicalModelName('models/GLM-4.5-Air-UD-Q4_K_XL-00001-of-00002.gguf'), 'glm-4.5-air');
+  assert.equal(canonicalModelName('gpt-oss-20b-mxfp4'), 'gpt-oss-20b');
+  assert.equal(canonicalModelName('q4_0'), 'q4-0');
+  assert.equal(canonicalModelName(42), '');
+  assert.equal(modelMatchKey('Meta-Llama-3.1-8B-Instruct'), modelMatchKey('meta-llama3.1:8b-instruct'));
+});
+
+test('local models and aliases are mapped to the matching remote id', () => {
+  const backend = { id: 'ollama', type: 'remote', modelMapping: { 'phi-4': 'phi4:14b' } };
+  const suggestions = suggestModelMappings({
+    backend,
+    remoteModels: ['qwen3:32b-q8_0', 'qwen3:32b', 'phi4:14b', 'gemma3:27b'],
+    localModels: ['Qwen3-32B-Q4_K_M', 'phi-4'],
+    aliases: {
+      'gemma3-27b': { targets: [{ host: 'local', model: 'gemma-3-27b-it' }] },
+      coder: { targets: [{ host: 'local', model: 'Qwen3-32B-Q4_K_M' }] },
+      split: { targets: [{ host: 'local', model: 'Qwen3-32B-Q4_K_M', weight: 90 }, { host: 'b', model: 'x', weight: 10 }] },
+    },
+  });
+  assert.deepEqual(suggestions, [
+    { id: 'mapping:Qwen3-32B-Q4_K_M', kind: 'mapping', backendId: 'ollama', model: 'Qwen3-32B-Q4_K_M', remoteModel: 'qwen3:32b', source: 'local' },
+    { id: 'alias:coder:qwen3:32b', kind: 'alias-target', backendId: 'ollama', alias: 'coder', remoteModel: 'qwen3:32b' },
+    { id: 'mapping:gemma3-27b', kind: 'mapping', backendId: 'ollama', model: 'gemma3-27b', remoteModel: 'gemma3:27b', source: 'alias' },
+  ]);
+});
+
+test('unmatched remote models get their canonical name; routed ones and peers are skipped', () => {
+  const backend = { id: 'box', modelMapping: { 'old-*': 'mistral:7b' } };
+  const suggestions = suggestModelMappings({ backend, remoteModels: ['llama3.2:3b', 'mistral:7b', 'auto'] });
+  assert.deepEqual(suggestions.map(s => [s.model, s.remoteModel, s.source]), [['llama3.2-3b', 'llama3.2:3b', 'canonical']]);
+  assert.deepEqual(suggestModelMappings({ backend: { id: 'p', type: 'peer' }, remoteModels: ['llama3.2:3b'] }), []);
+  const globbed = suggestModelMappings({ backend: { id: 'b', modelMapping: { 'llama*': 'other' } }, remoteModels: ['llama3.2:3b'] });
+  assert.deepEqual(globbed, []);
+});
+
+test('applying adds mappings and alias targets without overwriting', () => {
+  const backend = { id: 'ollama', modelMapping: { keep: 'a' } };
+  const aliases = { coder: { targets: [{ host: 'local', model: 'm' }] } };
+  const result = applyModelSuggestions(backend, aliases, [
+    { kind: 'mapping', backendId: 'ollama', model: 'new', remoteModel: 'new:1b' },
+    { kind: 'mapping', backendId: 'ollama', model: 'keep', remoteModel: 'b' },
+    { kind: 'alias-target', backendId: 'ollama', alias: 'coder', remoteModel: 'm:7b' },
+    { kind: 'alias-target', backendId: 'ollama', alias: 'gone', remoteModel: 'm:7b' },
+  ]);
+  assert.deepEqual(result.modelMapping, { keep: 'a', new: 'new:1b' });
+  assert.deepEqual(result.aliases.coder.targets, [{ host: 'local', model: 'm' }, { host: 'ollama', model: 'm:7b' }]);
+  assert.equal(result.applied.length, 2);
+  assert.deepEqual(aliases.coder.targets, [{ host: 'local', model: 'm' }]);
+  assert.deepEqual(backend.modelMapping, { keep: 'a' });
+});
+
+test('alias targets are never appended to a weighted group', () => {
+  const aliases = { coder: { targets: [{ host: 'local', model: 'm', weight: 90 }, { host: 'cloud', model: 'm2', weight: 10 }] } };
+  const result = applyModelSuggestions({ id: 'ollama' }, aliases, [
+    { kind: 'alias-target', backendId: 'ollama', alias: 'coder', remoteModel: 'm:7b' },
+  ]);
+  assert.deepEqual(result.aliases.coder, aliases.coder);
+  assert.deepEqual(result.applied, []);
+});
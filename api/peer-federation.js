@@ -0,0 +1,230 @@
+// Llama Manager — manager-to-manager peering: peer state, freshness and discovery.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// A backend with `type: 'peer'` is another Llama Manager. Requests go to its
+// OpenAI-compatible `/v1` like any backend, but the manager also polls the
+// peer's `GET /api/peer/state` — loaded models, queue depth, thermal pause and
+// memory headroom — so routing can prefer a peer that already has the model
+// warm and skip one that is cooling down. Each state also lists the peer's own
+// peers, which is how managers discover the rest of the fleet. This module
+// holds the pure parts: backend type validation, the state document served and
+// parsed, the directory of last-seen states, and discovery.
+
+/** Backend types: a plain upstream, or another Llama Manager. */
+export const BACKEND_TYPES = Object.freeze(['remote', 'peer']);
+
+/** Version of the `/api/peer/state` document. */
+export const PEER_STATE_VERSION = 1;
+
+/**
+ * Header carried by requests one manager forwards to a peer, holding the
+ * sender's instance id. A manager never forwards such a request to another
+ * peer, so two managers cannot bounce a request between them.
+ */
+export const PEER_HOP_HEADER = 'x-llama-manager-peer-hop';
+
+/**
+ * Validate a backend `type` field; missing means `remote`.
+ *
+ * @param {unknown} value Submitted type.
+ * @param {string} [protocol] Backend protocol; a peer speaks OpenAI.
+ * @returns {string} One of BACKEND_TYPES.
+ * @throws {TypeError} On an unknown type, or a peer with a non-OpenAI protocol.
+ */
+export function normalizeBackendType(value, protocol = 'openai') {
+  if (value === undefined || value === null || value === '') return 'remote';
+  if (!BACKEND_TYPES.includes(value)) throw new TypeError(`type must be one of ${BACKEND_TYPES.join(', ')}`);
+  if (value === 'peer' && protocol !== 'openai') throw new TypeError('a peer manager speaks the openai protocol');
+  return value;
+}
+
+/**
+ * URL of a peer's state document. Peers are configured by their OpenAI base
+ * (`http://box:3001/v1` or `/api/v1`), as requests are sent there.
+ *
+ * @param {string} backendUrl Configured peer URL.
+ * @returns {string} e.g. `http://box:3001/api/peer/state`.
+ */
+export function peerStateUrl(backendUrl) {
+  const root = String(backendUrl).replace(/\/+$/, '').replace(/(\/api)?\/v1$/, '');
+  return `${root}/api/peer/state`;
+}
+
+function stringList(value) {
+  return Array.isArray(value) ? [...new Set(value.filter(v => typeof v === 'string' && v))] : [];
+}
+
+function count(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : 0;
+}
+
+/**
+ * Shape this manager's state document.
+ *
+ * @param {Object} input Live figures.
+ * @param {string} input.instanceId Random id of this manager process.
+ * @param {string} input.name Display name (hostname).
+ * @param {string} input.engine Active engine, `llama` or `ds4`.
+ * @param {string[]} input.loadedModels Models resident right now.
+ * @param {string[]} input.models Models this manager can serve locally.
+ * @param {{active:number, pending:number, concurrency:number}} input.queue Local request queue.
+ * @param {boolean} input.thermalPaused Whether dispatch is paused for temperature.
+ * @param {{totalBytes:number, availableBytes:number}} input.memory System memory.
+ * @param {Array<{instanceId:(string|null), name:string, url:string}>} input.peers Configured peers.
+ * @param {number} input.now Current time in ms.
+ * @returns {Object} The `/api/peer/state` body.
+ */
+export function buildPeerState({ instanceId, name, engine, loadedModels, models, queue, thermalPaused, memory, peers, now }) {
+  return {
+    version: PEER_STATE_VERSION,
+    instanceId,
+    name,
+    engine,
+    loadedModels: stringList(loadedModels),
+    models: stringList(models),
+    queue: { active: count(queue?.active), pending: count(queue?.pending), concurrency: count(queue?.concurrency) },
+    thermalPaused: thermalPaused === true,
+    memory: { totalBytes: count(memory?.totalBytes), availableBytes: count(memory?.availableBytes) },
+    peers: (peers || []).map(p => ({ instanceId: p.instanceId ?? null, name: p.name, url: p.url })),
+    at: now,
+  };
+}
+
+/**
+ * Validate a state document fetched from a peer. Unknown fields are dropped
+ * and missing figures read as zero, so a newer peer stays usable.
+ *
+ * @param {unknown} data Parsed response body.
+ * @returns {Object} Normalized state, as {@link buildPeerState} shapes it.
+ * @throws {TypeError} When the body is not a peer state document.
+ */
+export function parsePeerState(data) {
+  if (!data || typeof data !== 'object' || typeof data.instanceId !== 'string' || !data.instanceId) {
+    throw new TypeError('not a Llama Manager peer state document');
+  }
+  const peers = Array.isArray(data.peers)
+    ? data.peers.filter(p => p && typeof p.url === 'string' && p.url).map(p => ({
+      instanceId: typeof p.instanceId === 'string' ? p.instanceId : null,
+      name: typeof p.name === 'string' ? p.name : p.url,
+      url: p.url,
+    }))
+    : [];
+  return {
+    ...buildPeerState({
+      instanceId: data.instanceId,
+      name: typeof data.name === 'string' ? data.name : data.instanceId,
+      engine: typeof data.engine === 'string' ? data.engine : null,
+      loadedModels: data.loadedModels,
+      models: data.models,
+      queue: data.queue,
+      thermalPaused: data.thermalPaused,
+      memory: data.memory,
+      peers,
+      now: Number(data.at) || null,
+    }),
+    version: Number(data.version) || PEER_STATE_VERSION,
+  };
+}
+
+/**
+ * Last-seen state per peer backend. A state older than `staleMs` is kept for
+ * display but no longer steers routing.
+ */
+export class PeerDirectory {
+  /**
+   * @param {{staleMs?: number}} [options] Age after which a state is stale.
+   */
+  constructor({ staleMs = 30_000 } = {}) {
+    this.staleMs = staleMs;
+    this.peers = new Map(); // backend id -> { state, seenAt, error, errorAt }
+  }
+
+  /**
+   * Store a fetched state.
+   *
+   * @param {string} id Backend id.
+   * @param {Object} state Parsed state.
+   * @param {number} [now] Current time in ms.
+   */
+  record(id, state, now = Date.now()) {
+    this.peers.set(id, { state, seenAt: now, error: null, errorAt: null });
+  }
+
+  /**
+   * Note a failed poll; the last good state is kept until it goes stale.
+   *
+   * @param {string} id Backend id.
+   * @param {string} error What went wrong.
+   * @param {number} [now] Current time in ms.
+   */
+  fail(id, error, now = Date.now()) {
+    const entry = this.peers.get(id) || { state: null, seenAt: null };
+    this.peers.set(id, { ...entry, error, errorAt: now });
+  }
+
+  /** Forget a deleted backend. */
+  forget(id) {
+    this.peers.delete(id);
+  }
+
+  /**
+   * What is known about a peer.
+   *
+   * @param {string} id Backend id.
+   * @param {number} [now] Current time in ms.
+   * @returns {{state:(Object|null), seenAt:(number|null), stale:boolean, error:(string|null), errorAt:(number|null)}}
+   *   Last state and its freshness; `stale` is true when none is recent enough to route on.
+   */
+  view(id, now = Date.now()) {
+    const entry = this.peers.get(id);
+    if (!entry) return { state: null, seenAt: null, stale: true, error: null, errorAt: null };
+    return {
+      state: entry.state,
+      seenAt: entry.seenAt,
+      stale: !entry.seenAt || now - entry.seenAt > this.staleMs,
+      error: entry.error,
+      errorAt: entry.errorAt,
+    };
+  }
+
+  /**
+   * The peer's fresh state, or null when it is unknown or stale.
+   *
+   * @param {string} id Backend id.
+   * @param {number} [now] Current time in ms.
+   * @returns {Object|null} State to route on.
+   */
+  fresh(id, now = Date.now()) {
+    const view = this.view(id, now);
+    return view.stale ? null : view.state;
+  }
+}
+
+/**
+ * Peers reported by the fleet that this manager is not peered with yet.
+ *
+ * @param {Object} input Fleet view.
+ * @param {string} input.selfId This manager's instance id.
+ * @param {Array<{url:string, instanceId:(string|null)}>} input.configured Configured backends
+ *   with the instance id last seen for each peer.
+ * @param {Array<{name:string, state:(Object|null)}>} input.reports Each peer's name and state.
+ * @returns {Array<{instanceId:(string|null), name:string, url:string, via:string}>} Unknown peers,
+ *   one per instance (or URL when the instance is unknown), with the peer that reported it.
+ */
+export function discoverPeers({ selfId, configured, reports }) {
+  const trim = url => String(url).replace(/\/+$/, '');
+  const knownIds = new Set([selfId, ...configured.map(c => c.instanceId).filter(Boolean)]);
+  const knownUrls = new Set(configured.map(c => trim(c.url)));
+  const found = new Map();
+  for (const { name, state } of reports) {
+    for (const peer of state?.peers || []) {
+      if (peer.instanceId && knownIds.has(peer.instanceId)) continue;
+      if (knownUrls.has(trim(peer.url))) continue;
+      const key = peer.instanceId || trim(peer.url);
+      if (!found.has(key)) found.set(key, { instanceId: peer.instanceId, name: peer.name, url: trim(peer.url), via: name });
+    }
+  }
+  return [...found.values()];
+}
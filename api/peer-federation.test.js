@@ -0,0 +1,86 @@
+// Llama Manager — peer federation tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies backend type validation, the peer state URL and document, state
+// freshness, and discovery of unpeered managers.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  PeerDirectory,
+  buildPeerState,
+  discoverPeers,
+  normalizeBackendType,
+  parsePeerState,
+  peerStateUrl,
+} from './peer-federation.js';
+
+test('backend types default to remote and peers speak openai', () => {
+  assert.equal(normalizeBackendType(undefined), 'remote');
+  assert.equal(normalizeBackendType('peer'), 'peer');
+  assert.throws(() => normalizeBackendType('cluster'), /type must be one of/);
+  assert.throws(() => normalizeBackendType('peer', 'anthropic'), /openai protocol/);
+});
+
+test('the state URL sits beside the peer OpenAI base', () => {
+  assert.equal(peerStateUrl('http://box:3001/v1'), 'http://box:3001/api/peer/state');
+  assert.equal(peerStateUrl('http://box:3001/api/v1/'), 'http://box:3001/api/peer/state');
+  assert.equal(peerStateUrl('https://fleet.example/box2'), 'https://fleet.example/box2/api/peer/state');
+});
+
+test('state documents round-trip and tolerate missing figures', () => {
+  const state = buildPeerState({
+    instanceId: 'a1',
+    name: 'box-a',
+    engine: 'llama',
+    loadedModels: ['qwen3-32b', 'qwen3-32b'],
+    models: ['qwen3-32b', 'gemma-3-12b'],
+    queue: { active: 1, pending: 3, concurrency: 1 },
+    thermalPaused: false,
+    memory: { totalBytes: 128e9, availableBytes: 40e9 },
+    peers: [{ instanceId: 'b2', name: 'box-b', url: 'http://box-b:3001/v1' }],
+    now: 1000,
+  });
+  assert.deepEqual(state.loadedModels, ['qwen3-32b']);
+  assert.deepEqual(parsePeerState(JSON.parse(JSON.stringify(state))), state);
+
+  const sparse = parsePeerState({ instanceId: 'c3', extra: true, peers: [{ url: 'http://x/v1' }, { name: 'no url' }] });
+  assert.deepEqual(sparse.queue, { active: 0, pending: 0, concurrency: 0 });
+  assert.deepEqual(sparse.peers, [{ instanceId: null, name: 'http://x/v1', url: 'http://x/v1' }]);
+  assert.equal('extra' in sparse, false);
+  assert.throws(() => parsePeerState({ data: [] }), /not a Llama Manager/);
+});
+
+test('the directory keeps the last state and marks it stale', () => {
+  const peers = new PeerDirectory({ staleMs: 30_000 });
+  assert.equal(peers.view('box-a', 0).stale, true);
+  peers.record('box-a', { instanceId: 'a1' }, 1000);
+  assert.deepEqual(peers.fresh('box-a', 20_000), { instanceId: 'a1' });
+  peers.fail('box-a', 'HTTP 502', 25_000);
+  assert.deepEqual(peers.view('box-a', 25_000), { state: { instanceId: 'a1' }, seenAt: 1000, stale: false, error: 'HTTP 502', errorAt: 25_000 });
+  assert.equal(peers.fresh('box-a', 40_000), null);
+  peers.forget('box-a');
+  assert.equal(peers.view('box-a').state, null);
+});
+
+test('discovery lists managers known to peers but not configured here', () => {
+  const reports = [
+    { name: 'box-b', state: { peers: [
+      { instanceId: 'self', name: 'box-a', url: 'http://box-a:3001/v1' },
+      { instanceId: 'c3', name: 'box-c', url: 'http://box-c:3001/v1/' },
+      { instanceId: null, name: 'box-d', url: 'http://box-d:3001/v1' },
+    ] } },
+    { name: 'box-c', state: { peers: [
+      { instanceId: 'b2', name: 'box-b', url: 'http://box-b:3001/v1' },
+      { instanceId: 'c3', name: 'box-c', url: 'http://box-c:3001/v1' },
+    ] } },
+    { name: 'box-e', state: null },
+  ];
+  assert.deepEqual(discoverPeers({
+    selfId: 'self',
+    configured: [{ url: 'http://box-b:3001/v1', instanceId: 'b2' }, { url: 'http://box-d:3001/v1/', instanceId: null }],
+    reports,
+  }), [{ instanceId: 'c3', name: 'box-c', url: 'http://box-c:3001/v1', via: 'box-b' }]);
+});
@@ -0,0 +1,208 @@
+// Llama Manager — sensitive-data redaction for logs and captured bodies.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// LLM logs, request logs, the server log buffer and the dashboard's live
+// active-request feed all carry prompt and response text verbatim. With
+// config.redaction enabled, every string headed for one of those sinks passes
+// through a redactor built here: built-in detectors (emails, phone numbers,
+// API-key-like tokens, payment card numbers, JWTs) plus operator regex rules,
+// each match replaced by `[REDACTED:<name>]`. Clients listed in
+// `noBodyCapture` go further: their prompts, messages, responses and request
+// bodies are never captured at all, only metadata (model, tokens, timing).
+
+/** Fields of an LLM log entry that hold captured request / response content. */
+export const CAPTURED_BODY_FIELDS = Object.freeze(['messages', 'prompt', 'response', 'requestBody', 'input', 'reasoning']);
+
+/** Free-text fields of request log entries (query strings and upstream errors). */
+export const REQUEST_LOG_TEXT_FIELDS = Object.freeze(['path', 'error', 'retryErrors']);
+
+const ISO_DATE = /^\d{4}[-.]\d{2}[-.]\d{2}$/;
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Built-in detectors. `accept` filters regex matches that are only
+ * plausibly sensitive (card numbers must pass Luhn, phone numbers must not be
+ * dates and must have a sane digit count).
+ */
+export const REDACTION_DETECTORS = Object.freeze({
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+  },
+  jwt: {
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+  },
+  api_key: {
+    // OpenAI / Anthropic style sk-, this manager's lmk_, Hugging Face, GitHub,
+    // Slack, AWS access key ids, Google API keys, and bearer credentials.
+    pattern: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{16,}|lmk_[A-Za-z0-9_-]{16,}|hf_[A-Za-z0-9]{20,}|gh[pousr]_[A-Za-z0-9]{20,}|xox[abprs]-[A-Za-z0-9-]{10,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35})\b|(?<=\bBearer\s+)[A-Za-z0-9._~+/-]{16,}=*/g,
+  },
+  credit_card: {
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    accept: match => luhnValid(match.replace(/\D/g, '')),
+  },
+  phone: {
+    // +CC international numbers, or North American (NNN) NNN-NNNN forms.
+    pattern: /(?:\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}|(?<![\d-])\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4})\b/g,
+    accept: match => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 7 && digits <= 15 && !ISO_DATE.test(match.trim());
+    },
+  },
+});
+
+/** Defaults for config.redaction. */
+export const REDACTION_DEFAULTS = Object.freeze({
+  enabled: false,
+  detectors: Object.freeze(Object.fromEntries(Object.keys(REDACTION_DETECTORS).map(name => [name, true]))),
+  rules: Object.freeze([]),
+  noBodyCapture: Object.freeze([]),
+});
+
+const RULE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+/**
+ * Validate config.redaction.
+ *
+ * @param {Record<string, any>} [input] Submitted settings.
+ * @returns {{enabled:boolean, detectors:Record<string, boolean>,
+ *   rules:Array<{name:string, pattern:string, flags:string}>, noBodyCapture:string[]}} Settings.
+ * @throws {TypeError} On unknown detectors, bad rule names or invalid regexes.
+ */
+export function normalizeRedactionSettings(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new TypeError('redaction settings must be an object');
+  const detectors = { ...REDACTION_DEFAULTS.detectors };
+  for (const [name, on] of Object.entries(input.detectors ?? {})) {
+    if (!(name in REDACTION_DETECTORS)) throw new TypeError(`unknown detector '${name}'`);
+    detectors[name] = on !== false;
+  }
+  const rules = (input.rules ?? []).map((rule, index) => {
+    if (!rule || typeof rule !== 'object') throw new TypeError(`rules[${index}] must be an object`);
+    if (typeof rule.name !== 'string' || !RULE_NAME_PATTERN.test(rule.name)) {
+      throw new TypeError(`rules[${index}].name must be 1-40 letters, digits, '-' or '_'`);
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern) throw new TypeError(`rules[${index}].pattern must be a non-empty string`);
+    const flags = rule.flags ?? '';
+    if (typeof flags !== 'string' || !/^[imsu]*$/.test(flags)) throw new TypeError(`rules[${index}].flags may only contain i, m, s, u`);
+    try {
+      new RegExp(rule.pattern, `g${flags}`);
+    } catch (error) {
+      throw new TypeError(`rules[${index}].pattern is not a valid regex: ${error.message}`);
+    }
+    if (new RegExp(rule.pattern, flags).test('')) throw new TypeError(`rules[${index}].pattern must not match the empty string`);
+    return { name: rule.name, pattern: rule.pattern, flags };
+  });
+  const noBodyCapture = input.noBodyCapture ?? [];
+  if (!Array.isArray(noBodyCapture) || noBodyCapture.some(id => typeof id !== 'string' || !id.trim())) {
+    throw new TypeError('noBodyCapture must be an array of client ids or labels');
+  }
+  return {
+    enabled: input.enabled === true,
+    detectors,
+    rules,
+    noBodyCapture: [...new Set(noBodyCapture.map(id => id.trim()))],
+  };
+}
+
+/**
+ * Compile settings into a redactor. When redaction is disabled the redactor
+ * returns its input unchanged.
+ *
+ * @param {ReturnType<typeof normalizeRedactionSettings>} settings Settings.
+ * @returns {{enabled:boolean, redactText:(text:string, counts?:Record<string, number>) => string,
+ *   redactValue:(value:unknown, counts?:Record<string, number>) => unknown,
+ *   redactFields:(entry:Record<string, any>, fields:readonly string[]) => Record<string, any>,
+ *   capturesBodyFor:(client:({id?:string, label?:string}|null|undefined)) => boolean}} Redactor.
+ */
+// A base64 data URI such as data:image/png;base64,… or data:audio/wav;rate=16000;base64,…
+const MEDIA_DATA_URI = /^data:[\w.+-]+\/[\w.+-]+(?:;[\w.+-]+=[\w.+-]+)*;base64,/;
+
+export function createRedactor(settings) {
+  const matchers = [];
+  if (settings.enabled) {
+    for (const [name, detector] of Object.entries(REDACTION_DETECTORS)) {
+      if (settings.detectors[name]) matchers.push({ name, pattern: new RegExp(detector.pattern.source, detector.pattern.flags), accept: detector.accept });
+    }
+    for (const rule of settings.rules) {
+      matchers.push({ name: rule.name, pattern: new RegExp(rule.pattern, `g${rule.flags}`) });
+    }
+  }
+  const noCapture = new Set(settings.noBodyCapture);
+
+  const redactText = (text, counts) => {
+    if (!matchers.length || typeof text !== 'string' || !text) return text;
+    // Inline media is opaque base64; scanning it only produces false positives.
+    // Only a real media URI is skipped, not any prompt that starts with "data:".
+    if (MEDIA_DATA_URI.test(text)) return text;
+    let result = text;
+    for (const { name, pattern, accept } of matchers) {
+      pattern.lastIndex = 0;
+      result = result.replace(pattern, (match) => {
+        if (accept && !accept(match)) return match;
+        if (counts) counts[name] = (counts[name] || 0) + 1;
+        return `[REDACTED:${name}]`;
+      });
+    }
+    return result;
+  };
+
+  const redactValue = (value, counts) => {
+    if (!matchers.length) return value;
+    if (typeof value === 'string') return redactText(value, counts);
+    if (Array.isArray(value)) return value.map(item => redactValue(item, counts));
+    if (value && typeof value === 'object') {
+      const copy = {};
+      for (const [key, inner] of Object.entries(value)) copy[key] = redactValue(inner, counts);
+      return copy;
+    }
+    return value;
+  };
+
+  // Only the named fields are scanned so ids, models and timestamps are never
+  // mangled; per-detector hit counts land on the copy as `redactions`.
+  const redactFields = (entry, fields) => {
+    if (!matchers.length) return entry;
+    const counts = {};
+    const copy = { ...entry };
+    for (const field of fields) {
+      if (copy[field] != null) copy[field] = redactValue(copy[field], counts);
+    }
+    if (Object.keys(counts).length) copy.redactions = counts;
+    return copy;
+  };
+
+  return {
+    enabled: matchers.length > 0,
+    redactText,
+    redactValue,
+    redactFields,
+    capturesBodyFor: client => !client || !(noCapture.has(client.id) || noCapture.has(client.label)),
+  };
+}
+
+/**
+ * Copy of an LLM log entry without captured content, for clients that opted
+ * out of body capture. Metadata (model, tokens, timing, status) is kept.
+ *
+ * @param {Record<string, any>} entry LLM log entry.
+ * @returns {Record<string, any>} Entry with body fields nulled and `bodyCaptured: false`.
+ */
+export function stripCapturedBodies(entry) {
+  const copy = { ...entry, bodyCaptured: false };
+  for (const field of CAPTURED_BODY_FIELDS) {
+    if (field in copy) copy[field] = null;
+  }
+  return copy;
+}
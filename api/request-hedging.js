@@ -0,0 +1,245 @@
+// Llama Manager — request hedging: eligibility, hedge delay and hedge budget.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// A hedged request runs locally as usual, but if no token has streamed after
+// a delay taken from the observed local time to first token (p90 by default),
+// the same request is also sent to the fastest remote backend. Whichever
+// streams a token first serves the client and the other is cancelled. Only
+// streamed chat completions at realtime priority are hedged, and only when the
+// request asks for it (`hedge: true` or X-Llama-Hedge) or its alias is listed
+// in `config.backends.hedging.aliases`. A budget caps hedges at a percentage
+// of eligible requests, so hedging cannot double the remote load.
+
+import { expandGlob } from './model-aliases.js';
+import { percentile } from './backend-health.js';
+
+/** Settings used when config.backends.hedging has never been saved. */
+export const HEDGE_DEFAULTS = Object.freeze({
+  enabled: false,
+  percentile: 90,
+  minDelayMs: 250,
+  maxDelayMs: 10_000,
+  fallbackDelayMs: 2000,
+  budgetPercent: 10,
+  aliases: Object.freeze([]),
+});
+
+/** Window over which the hedge budget is counted. */
+export const HEDGE_BUDGET_WINDOW_MS = 10 * 60_000;
+
+function wholeNumber(value, name, min, max) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw new TypeError(`${name} must be a whole number between ${min} and ${max}`);
+  return n;
+}
+
+/**
+ * Validate hedging settings (config.backends.hedging).
+ *
+ * @param {Object} [input] Settings; omitted fields take defaults.
+ * @returns {{enabled:boolean, percentile:number, minDelayMs:number, maxDelayMs:number,
+ *   fallbackDelayMs:number, budgetPercent:number, aliases:string[]}} Normalized settings.
+ * @throws {TypeError} On out-of-range values, bad aliases or unknown fields.
+ */
+export function normalizeHedgeSettings(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new TypeError('hedging settings must be an object');
+  const unknown = Object.keys(input).filter(key => !(key in HEDGE_DEFAULTS));
+  if (unknown.length) throw new TypeError(`unknown hedging field(s): ${unknown.join(', ')}`);
+  const merged = { ...HEDGE_DEFAULTS, ...input };
+  if (typeof merged.enabled !== 'boolean') throw new TypeError('enabled must be a boolean');
+  const settings = {
+    enabled: merged.enabled,
+    percentile: wholeNumber(merged.percentile, 'percentile', 50, 99),
+    minDelayMs: wholeNumber(merged.minDelayMs, 'minDelayMs', 0, 600_000),
+    maxDelayMs: wholeNumber(merged.maxDelayMs, 'maxDelayMs', 0, 600_000),
+    fallbackDelayMs: wholeNumber(merged.fallbackDelayMs, 'fallbackDelayMs', 0, 600_000),
+    budgetPercent: wholeNumber(merged.budgetPercent, 'budgetPercent', 0, 100),
+    aliases: [],
+  };
+  if (settings.minDelayMs > settings.maxDelayMs) throw new TypeError('minDelayMs must not exceed maxDelayMs');
+  if (!Array.isArray(merged.aliases)) throw new TypeError('aliases must be a list of model or alias names');
+  for (const alias of merged.aliases) {
+    if (typeof alias !== 'string' || !alias.trim()) throw new TypeError('aliases must be non-empty names');
+    if (!settings.aliases.includes(alias.trim())) settings.aliases.push(alias.trim());
+  }
+  return settings;
+}
+
+/**
+ * Parse a request's hedge opt-in from the `hedge` body field or the
+ * X-Llama-Hedge header.
+ *
+ * @param {unknown} value Boolean, or `true`/`false`/`1`/`0`/`on`/`off`.
+ * @returns {boolean|null} True to opt in, false to opt out of an alias
+ *   opt-in, null when unset.
+ * @throws {TypeError} On anything else.
+ */
+export function normalizeHedgeRequest(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'on'].includes(text)) return true;
+  if (['false', '0', 'off'].includes(text)) return false;
+  throw new TypeError('hedge must be true or false');
+}
+
+/**
+ * Whether a request is hedged: hedging is enabled, the request is realtime,
+ * and it opted in itself or through its alias, without opting out.
+ *
+ * @param {ReturnType<typeof normalizeHedgeSettings>} settings Hedging settings.
+ * @param {{priority:string, requested:(boolean|null), names:string[]}} request
+ *   Priority class, the request's own opt-in, and its alias and resolved model.
+ * @returns {boolean} True when the request should be hedged.
+ */
+export function hedgeApplies(settings, { priority, requested, names }) {
+  if (!settings.enabled || priority !== 'realtime' || requested === false) return false;
+  if (requested === true) return true;
+  return names.filter(Boolean).some(name => settings.aliases.includes(name)
+    || settings.aliases.some(pattern => /[*?]/.test(pattern) && expandGlob(pattern, [name]).length > 0));
+}
+
+/**
+ * Delay before the hedge fires: the observed local TTFT percentile, or the
+ * fallback before enough samples exist, clamped to the configured bounds.
+ *
+ * @param {number|null} observedMs Local TTFT at the configured percentile.
+ * @param {ReturnType<typeof normalizeHedgeSettings>} settings Hedging settings.
+ * @returns {number} Milliseconds.
+ */
+export function hedgeDelayMs(observedMs, settings) {
+  const base = Number.isFinite(observedMs) ? observedMs : settings.fallbackDelayMs;
+  return Math.round(Math.min(settings.maxDelayMs, Math.max(settings.minDelayMs, base)));
+}
+
+/**
+ * Whether a streamed chat delta carries output (text or a tool call), as
+ * opposed to the opening role-only chunk.
+ *
+ * @param {Object|undefined} delta `choices[0].delta` of a chunk.
+ * @returns {boolean} True once the stream has produced output.
+ */
+export function deltaHasOutput(delta) {
+  if (!delta || typeof delta !== 'object') return false;
+  return Object.entries(delta).some(([key, value]) => key !== 'role' && value !== null && value !== undefined && value !== ''
+    && !(Array.isArray(value) && value.length === 0));
+}
+
+/**
+ * Recent local time-to-first-token samples, per model.
+ */
+export class TtftSamples {
+  /**
+   * @param {{window?:number, minSamples?:number}} [options] Samples kept per
+   *   model, and how many a percentile needs.
+   */
+  constructor({ window = 200, minSamples = 10 } = {}) {
+    this.window = window;
+    this.minSamples = minSamples;
+    this.models = new Map(); // model -> [ms]
+    this.all = [];
+  }
+
+  /**
+   * Record one observed TTFT.
+   *
+   * @param {string} model Model served.
+   * @param {number} ms Request start to first token.
+   */
+  record(model, ms) {
+    if (!Number.isFinite(ms) || ms < 0) return;
+    let list = this.models.get(model);
+    if (!list) {
+      list = [];
+      this.models.set(model, list);
+    }
+    for (const target of [list, this.all]) {
+      target.push(ms);
+      if (target.length > this.window) target.shift();
+    }
+  }
+
+  /**
+   * TTFT percentile for a model, falling back to all models while the model
+   * has too few samples.
+   *
+   * @param {string} model Requested model.
+   * @param {number} p Percentile, 0-100.
+   * @returns {number|null} Milliseconds, or null without enough samples.
+   */
+  percentile(model, p) {
+    const own = this.models.get(model) || [];
+    if (own.length >= this.minSamples) return percentile(own, p);
+    return this.all.length >= this.minSamples ? percentile(this.all, p) : null;
+  }
+}
+
+/**
+ * Hedge budget and outcomes. A hedge may fire while hedges stay within
+ * `budgetPercent` of the hedge-eligible requests seen in the window.
+ */
+export class HedgeLedger {
+  /**
+   * @param {{windowMs?:number}} [options] Budget window.
+   */
+  constructor({ windowMs = HEDGE_BUDGET_WINDOW_MS } = {}) {
+    this.windowMs = windowMs;
+    this.eligible = []; // timestamps
+    this.fired = []; // timestamps
+    this.outcomes = { localWon: 0, remoteWon: 0, failed: 0, overBudget: 0, noBackend: 0 };
+  }
+
+  prune(now) {
+    const cutoff = now - this.windowMs;
+    while (this.eligible.length && this.eligible[0] <= cutoff) this.eligible.shift();
+    while (this.fired.length && this.fired[0] <= cutoff) this.fired.shift();
+  }
+
+  /**
+   * Count a hedge-eligible request.
+   *
+   * @param {number} [now] Current time in ms.
+   */
+  noteEligible(now = Date.now()) {
+    this.prune(now);
+    this.eligible.push(now);
+  }
+
+  /**
+   * Spend budget on a hedge if the budget allows it.
+   *
+   * @param {number} budgetPercent Allowed hedges per 100 eligible requests.
+   * @param {number} [now] Current time in ms.
+   * @returns {boolean} True when the hedge may fire; it is then counted.
+   */
+  tryFire(budgetPercent, now = Date.now()) {
+    this.prune(now);
+    if ((this.fired.length + 1) * 100 > budgetPercent * this.eligible.length) {
+      this.outcomes.overBudget++;
+      return false;
+    }
+    this.fired.push(now);
+    return true;
+  }
+
+  /**
+   * Count how a race, or an attempt to start one, ended.
+   *
+   * @param {'localWon'|'remoteWon'|'failed'|'noBackend'} outcome Outcome.
+   */
+  record(outcome) {
+    this.outcomes[outcome]++;
+  }
+
+  /**
+   * Budget use in the window and outcomes since start.
+   *
+   * @param {number} [now] Current time in ms.
+   * @returns {{windowMs:number, eligible:number, hedged:number, outcomes:Object}} Snapshot.
+   */
+  snapshot(now = Date.now()) {
+    this.prune(now);
+    return { windowMs: this.windowMs, eligible: this.eligible.length, hedged: this.fired.length, outcomes: { ...this.outcomes } };
+  }
+}
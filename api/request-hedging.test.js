@@ -0,0 +1,89 @@
+// Llama Manager — request hedging tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies settings validation, per-request and per-alias opt-in, the hedge
+// delay, output detection, TTFT percentiles and the hedge budget.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  HEDGE_DEFAULTS,
+  HedgeLedger,
+  TtftSamples,
+  deltaHasOutput,
+  hedgeApplies,
+  hedgeDelayMs,
+  normalizeHedgeRequest,
+  normalizeHedgeSettings,
+} from './request-hedging.js';
+
+test('settings take defaults and reject bad values', () => {
+  assert.deepEqual(normalizeHedgeSettings({}), { ...HEDGE_DEFAULTS, aliases: [] });
+  assert.deepEqual(normalizeHedgeSettings({ enabled: true, aliases: [' fast ', 'fast', 'qwen*'] }).aliases, ['fast', 'qwen*']);
+  assert.throws(() => normalizeHedgeSettings({ percentile: 100 }), /percentile/);
+  assert.throws(() => normalizeHedgeSettings({ minDelayMs: 5000, maxDelayMs: 1000 }), /minDelayMs/);
+  assert.throws(() => normalizeHedgeSettings({ budgetPercent: 150 }), /budgetPercent/);
+  assert.throws(() => normalizeHedgeSettings({ aliases: [''] }), /aliases/);
+  assert.throws(() => normalizeHedgeSettings({ enabled: 'yes' }), /enabled/);
+  assert.throws(() => normalizeHedgeSettings({ delay: 1 }), /unknown hedging field/);
+});
+
+test('requests opt in themselves or through an alias, realtime only', () => {
+  assert.equal(normalizeHedgeRequest(undefined), null);
+  assert.equal(normalizeHedgeRequest('on'), true);
+  assert.equal(normalizeHedgeRequest('0'), false);
+  assert.throws(() => normalizeHedgeRequest('maybe'), /hedge/);
+
+  const settings = normalizeHedgeSettings({ enabled: true, aliases: ['chat-fast', 'qwen3-*'] });
+  assert.equal(hedgeApplies(settings, { priority: 'realtime', requested: true, names: ['other'] }), true);
+  assert.equal(hedgeApplies(settings, { priority: 'realtime', requested: null, names: ['chat-fast', 'm1'] }), true);
+  assert.equal(hedgeApplies(settings, { priority: 'realtime', requested: null, names: ['qwen3-32b'] }), true);
+  assert.equal(hedgeApplies(settings, { priority: 'realtime', requested: false, names: ['chat-fast'] }), false);
+  assert.equal(hedgeApplies(settings, { priority: 'interactive', requested: true, names: [] }), false);
+  assert.equal(hedgeApplies(settings, { priority: 'realtime', requested: null, names: ['gemma'] }), false);
+  assert.equal(hedgeApplies({ ...settings, enabled: false }, { priority: 'realtime', requested: true, names: [] }), false);
+});
+
+test('the delay follows observed TTFT within bounds', () => {
+  const settings = normalizeHedgeSettings({ minDelayMs: 300, maxDelayMs: 4000, fallbackDelayMs: 1500 });
+  assert.equal(hedgeDelayMs(null, settings), 1500);
+  assert.equal(hedgeDelayMs(900.4, settings), 900);
+  assert.equal(hedgeDelayMs(50, settings), 300);
+  assert.equal(hedgeDelayMs(60_000, settings), 4000);
+
+  const samples = new TtftSamples({ minSamples: 3 });
+  samples.record('a', 100);
+  samples.record('a', 200);
+  assert.equal(samples.percentile('a', 90), null);
+  samples.record('b', 1000);
+  assert.equal(samples.percentile('a', 50), 200);
+  samples.record('a', 300);
+  samples.record('a', -1);
+  assert.equal(samples.percentile('a', 90), 300);
+});
+
+test('only deltas with content or tool calls count as output', () => {
+  assert.equal(deltaHasOutput({ role: 'assistant' }), false);
+  assert.equal(deltaHasOutput({ role: 'assistant', content: '' }), false);
+  assert.equal(deltaHasOutput({ content: 'Hi' }), true);
+  assert.equal(deltaHasOutput({ tool_calls: [{ index: 0 }] }), true);
+  assert.equal(deltaHasOutput({ reasoning_content: 'thinking' }), true);
+  assert.equal(deltaHasOutput(undefined), false);
+});
+
+test('the budget caps hedges as a share of eligible requests', () => {
+  const ledger = new HedgeLedger({ windowMs: 1000 });
+  for (let i = 0; i < 10; i++) ledger.noteEligible(100);
+  assert.equal(ledger.tryFire(20, 100), true);
+  assert.equal(ledger.tryFire(20, 100), true);
+  assert.equal(ledger.tryFire(20, 100), false);
+  assert.equal(ledger.tryFire(0, 100), false);
+  ledger.record('remoteWon');
+  assert.deepEqual(ledger.snapshot(500), {
+    windowMs: 1000, eligible: 10, hedged: 2,
+    outcomes: { localWon: 0, remoteWon: 1, failed: 0, overBudget: 2, noBackend: 0 },
+  });
+  assert.deepEqual(ledger.snapshot(1200), { ...ledger.snapshot(1200), eligible: 0, hedged: 0 });
+});
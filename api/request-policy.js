@@ -6,7 +6,9 @@
 // requests and removes them, along with unsafe raw slot fields, before an
 // inference body is sent to llama.cpp, DS4, or remote backends.
 
-import { normalizeRequestPriority } from './request-queue.js';
+import { normalizeRequestDeadline, normalizeRequestPriority } from './request-queue.js';
+import { normalizeTtftTarget } from './slo-routing.js';
+import { normalizeHedgeRequest } from './request-hedging.js';
 
 const ROUTING_MODES = new Set(['auto', 'local_only']);
 const MANAGER_FIELDS = new Set([
@@ -19,6 +21,9 @@ const MANAGER_FIELDS = new Set([
   'request_priority',
   'priority_class',
   'routing',
+  'max_ttft_ms',
+  'hedge',
+  'deadline_ms',
 ]);
 
 /** Read a case-insensitive request header from a plain object or Fetch Headers. */
@@ -35,9 +40,14 @@ function headerValue(headers, name) {
  * Parse manager request extensions with headers taking precedence over body fields.
  * @param {Record<string, unknown>} body Caller body.
  * @param {object} headers Caller headers.
- * @returns {{priority:'realtime'|'interactive'|'background',routing:'auto'|'local_only',localOnly:boolean}} Policy.
+ * @param {number} [now] Arrival time that relative deadlines count from.
+ * @returns {{priority:'realtime'|'interactive'|'background',routing:'auto'|'local_only',localOnly:boolean,maxTtftMs:(number|null),hedge:(boolean|null),deadlineAt:(number|null)}} Policy;
+ *   maxTtftMs is the request's time-to-first-token target for the `slo` offload policy;
+ *   hedge is the request's own hedging opt-in (true) or opt-out (false), null when unset;
+ *   deadlineAt is when the caller stops waiting (epoch ms, from `X-Request-Deadline` or
+ *   `deadline_ms`), after which queued work is dropped and running work aborted.
  */
-export function managerRequestPolicy(body = {}, headers = {}) {
+export function managerRequestPolicy(body = {}, headers = {}, now = Date.now()) {
   const priority = normalizeRequestPriority(
     headerValue(headers, 'x-llama-priority') ?? body.request_priority ?? body.priority_class,
   );
@@ -46,7 +56,13 @@ export function managerRequestPolicy(body = {}, headers = {}) {
   if (!ROUTING_MODES.has(routing)) {
     throw new TypeError('routing must be auto or local_only');
   }
-  return { priority, routing, localOnly: routing === 'local_only' };
+  const maxTtftMs = normalizeTtftTarget(headerValue(headers, 'x-llama-max-ttft-ms') ?? body.max_ttft_ms);
+  const hedge = normalizeHedgeRequest(headerValue(headers, 'x-llama-hedge') ?? body.hedge);
+  const rawDeadline = headerValue(headers, 'x-request-deadline');
+  const deadlineAt = rawDeadline != null
+    ? normalizeRequestDeadline(rawDeadline, now, 'X-Request-Deadline')
+    : normalizeRequestDeadline(body.deadline_ms, now, 'deadline_ms');
+  return { priority, routing, localOnly: routing === 'local_only', maxTtftMs, hedge, deadlineAt };
 }
 
 /**
@@ -12,7 +12,7 @@ import { managerRequestPolicy, stripManagerRequestFields } from './request-polic
 test('reads priority and local-only routing from body extensions', () => {
   assert.deepEqual(
     managerRequestPolicy({ request_priority: 'realtime', routing: 'local_only' }),
-    { priority: 'realtime', routing: 'local_only', localOnly: true },
+    { priority: 'realtime', routing: 'local_only', localOnly: true, maxTtftMs: null, hedge: null, deadlineAt: null },
   );
 });
 
@@ -22,14 +22,35 @@ test('headers override body values and invalid values fail clearly', () => {
       { request_priority: 'background', routing: 'auto' },
       { 'x-llama-priority': 'interactive', 'x-llama-routing': 'local_only' },
     ),
-    { priority: 'interactive', routing: 'local_only', localOnly: true },
+    { priority: 'interactive', routing: 'local_only', localOnly: true, maxTtftMs: null, hedge: null, deadlineAt: null },
   );
   assert.throws(() => managerRequestPolicy({ routing: 'cloud_if_busy' }), /routing/);
 });
 
+test('reads a TTFT target for SLO routing, header first', () => {
+  assert.equal(managerRequestPolicy({ max_ttft_ms: 1500 }).maxTtftMs, 1500);
+  assert.equal(managerRequestPolicy({ max_ttft_ms: 1500 }, { 'x-llama-max-ttft-ms': '800' }).maxTtftMs, 800);
+  assert.throws(() => managerRequestPolicy({ max_ttft_ms: -5 }), /max_ttft_ms/);
+});
+
+test('reads the hedging opt-in, header first', () => {
+  assert.equal(managerRequestPolicy({}).hedge, null);
+  assert.equal(managerRequestPolicy({ hedge: true }).hedge, true);
+  assert.equal(managerRequestPolicy({ hedge: true }, { 'x-llama-hedge': 'off' }).hedge, false);
+  assert.throws(() => managerRequestPolicy({ hedge: 'sometimes' }), /hedge/);
+});
+
+test('reads a deadline from the header or deadline_ms, header first', () => {
+  const now = 1_000_000;
+  assert.equal(managerRequestPolicy({ deadline_ms: 60000 }, {}, now).deadlineAt, now + 60000);
+  assert.equal(managerRequestPolicy({ deadline_ms: 60000 }, { 'x-request-deadline': '5000' }, now).deadlineAt, now + 5000);
+  assert.throws(() => managerRequestPolicy({ deadline_ms: 'later' }, {}, now), /deadline_ms/);
+  assert.throws(() => managerRequestPolicy({}, { 'X-Request-Deadline': '-1' }, now), /X-Request-Deadline/);
+});
+
 test('removes manager-only controls and untrusted raw slot ids upstream', () => {
   assert.deepEqual(stripManagerRequestFields({
     model: 'model-a', messages: [], id_slot: 3, cache_prompt: false,
-    request_priority: 'realtime', routing: 'local_only', prepared_context_id: 'ctx_1',
+    request_priority: 'realtime', routing: 'local_only', prepared_context_id: 'ctx_1', max_ttft_ms: 900, hedge: true, deadline_ms: 30000,
   }), { model: 'model-a', messages: [] });
 });
@@ -5,6 +5,11 @@
 // This module serializes work against constrained inference lanes while letting
 // realtime requests skip queued lower-priority work, cooperatively preempting
 // background work, bounding background admission, and preventing starvation.
+// Within a class, clients (API key or X-Client-Id) share the lane by weighted
+// start-time fair queuing, so one client's burst interleaves with other
+// clients' requests instead of running ahead of them. Items may carry a
+// deadline; a pending item still waiting when it passes is dropped with a 504
+// DEADLINE_EXCEEDED error instead of running for a caller that has given up.
 
 /** Supported request priority classes, ordered from highest to lowest. */
 export const REQUEST_PRIORITIES = Object.freeze(['realtime', 'interactive', 'background']);
@@ -23,6 +28,81 @@ export function normalizeRequestPriority(value) {
   return value.toLowerCase();
 }
 
+/** Fairness key for requests without a client identity. */
+export const ANONYMOUS_QUEUE_CLIENT = 'anonymous';
+
+/** Dispatches remembered for the per-client share shown on the Queue page. */
+export const SHARE_WINDOW = 100;
+
+/** Longest accepted request deadline, measured from arrival. */
+export const MAX_REQUEST_DEADLINE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a caller-supplied request deadline.
+ * @param {unknown} value Milliseconds from `now` (number or digit string), or an
+ *   absolute ISO 8601 timestamp; nullish values mean no deadline.
+ * @param {number} [now] Arrival time in epoch milliseconds.
+ * @param {string} [name] Field name used in error messages.
+ * @returns {number|null} Absolute deadline in epoch milliseconds.
+ * @throws {TypeError} When the value is malformed, already past, or further out
+ *   than {@link MAX_REQUEST_DEADLINE_MS}.
+ */
+export function normalizeRequestDeadline(value, now = Date.now(), name = 'deadline') {
+  if (value == null || value === '') return null;
+  let deadlineAt;
+  if (typeof value === 'number' || (typeof value === 'string' && /^\s*\d+\s*$/.test(value))) {
+    const ms = Number(value);
+    if (!Number.isInteger(ms) || ms < 1) throw new TypeError(`${name} must be a positive whole number of milliseconds`);
+    deadlineAt = now + ms;
+  } else if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value.trim())) {
+    deadlineAt = Date.parse(value.trim());
+    if (!Number.isFinite(deadlineAt)) throw new TypeError(`${name} is not a valid timestamp`);
+    if (deadlineAt <= now) throw new TypeError(`${name} has already passed`);
+  } else {
+    throw new TypeError(`${name} must be milliseconds from now or an ISO 8601 timestamp`);
+  }
+  if (deadlineAt - now > MAX_REQUEST_DEADLINE_MS) {
+    throw new TypeError(`${name} may be at most ${MAX_REQUEST_DEADLINE_MS} ms away`);
+  }
+  return deadlineAt;
+}
+
+/**
+ * Build the error for a request whose deadline has passed or cannot be met.
+ * @param {string} message Human-readable reason.
+ * @param {'DEADLINE_EXCEEDED'|'DEADLINE_UNREACHABLE'} [code] Error code.
+ * @returns {Error} Error with `code` and a 504 `statusCode`.
+ */
+export function deadlineError(message, code = 'DEADLINE_EXCEEDED') {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 504;
+  return error;
+}
+
+/**
+ * Validate per-client queue weights (`config.queueWeights`).
+ *
+ * @param {unknown} weights Map of client id (API key id, `client:<X-Client-Id>`
+ *   or `anonymous`) to weight.
+ * @returns {Record<string, number>} Weights between 0.1 and 100.
+ * @throws {TypeError} When the value is not an object or a weight is out of range.
+ */
+export function normalizeQueueWeights(weights = {}) {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    throw new TypeError('queue weights must be an object keyed by client id');
+  }
+  const normalized = {};
+  for (const [clientId, value] of Object.entries(weights)) {
+    const weight = Number(value);
+    if (!clientId.trim() || !Number.isFinite(weight) || weight < 0.1 || weight > 100) {
+      throw new TypeError(`weight for ${clientId || '(empty id)'} must be between 0.1 and 100`);
+    }
+    normalized[clientId.trim()] = weight;
+  }
+  return normalized;
+}
+
 /**
  * Queue work for a bounded-concurrency inference backend.
  *
@@ -33,9 +113,11 @@ export function normalizeRequestPriority(value) {
 export class PriorityRequestQueue {
   /**
    * @param {number} concurrency Maximum simultaneously active items.
-   * @param {{maxBackgroundQueued?:number,maxHighPriorityBurst?:number}} options Queue policy.
+   * @param {{maxBackgroundQueued?:number,maxHighPriorityBurst?:number,
+   *   weightFor?:(clientId:string)=>number}} options Queue policy; `weightFor`
+   *   returns a client's fair-share weight (default 1 for everyone).
    */
-  constructor(concurrency = 1, { maxBackgroundQueued = 8, maxHighPriorityBurst = 8 } = {}) {
+  constructor(concurrency = 1, { maxBackgroundQueued = 8, maxHighPriorityBurst = 8, weightFor = () => 1 } = {}) {
     this.concurrency = Math.max(1, concurrency);
     this.maxBackgroundQueued = Math.max(0, maxBackgroundQueued);
     this.maxHighPriorityBurst = Math.max(1, maxHighPriorityBurst);
@@ -45,6 +127,12 @@ export class PriorityRequestQueue {
     this._nextId = 1;
     this._highPriorityBurst = 0;
     this.activeItems = new Map();
+    this.weightFor = weightFor;
+    // Start-time fair queuing state per class: the virtual time (start tag of
+    // the last dispatched item) and each client's last finish tag.
+    this._virtualTime = Object.fromEntries(REQUEST_PRIORITIES.map(p => [p, 0]));
+    this._finishTags = Object.fromEntries(REQUEST_PRIORITIES.map(p => [p, new Map()]));
+    this._recentClients = [];
   }
 
   /** Change concurrency and immediately drain eligible queued work. */
@@ -55,14 +143,20 @@ export class PriorityRequestQueue {
 
   /**
    * Acquire capacity for an item.
-   * @param {object} meta Metadata exposed in queue telemetry.
+   * @param {object} meta Metadata exposed in queue telemetry; `deadlineAt`
+   *   (epoch ms) drops the item if it is still pending at that time, and
+   *   `uncapped` keeps a background item out of the maxBackgroundQueued count
+   *   (for callers that bound their own background work).
    * @returns {Promise<number>} Queue item identifier used for release/cancel.
    */
   async acquire(meta = {}) {
     const priority = normalizeRequestPriority(meta.priority);
+    if (meta.deadlineAt != null && meta.deadlineAt <= Date.now()) {
+      throw deadlineError('request deadline passed before it was queued');
+    }
     if (priority === 'background') {
-      const pendingBackground = this.queue.filter(item => item.priority === 'background').length;
-      if (pendingBackground >= this.maxBackgroundQueued) {
+      const pendingBackground = this.queue.filter(item => item.priority === 'background' && !item.uncapped).length;
+      if (!meta.uncapped && pendingBackground >= this.maxBackgroundQueued) {
         const error = new Error(`background queue limit ${this.maxBackgroundQueued} reached`);
         error.code = 'BACKGROUND_QUEUE_FULL';
         error.statusCode = 429;
@@ -71,19 +165,31 @@ export class PriorityRequestQueue {
     }
 
     const id = this._nextId++;
-    const item = { id, ...meta, priority, enqueuedAt: Date.now(), status: 'active' };
+    const client = meta.client || ANONYMOUS_QUEUE_CLIENT;
+    const item = { id, ...meta, priority, client, enqueuedAt: Date.now(), status: 'active' };
     if (this.running < this.concurrency) {
+      this._recordDispatch(item);
       this._activate(item);
       return id;
     }
 
     this.queuedCount++;
     item.status = 'pending';
+    this._tag(item);
     const pending = new Promise((resolve, reject) => {
       item._resolve = resolve;
       item._reject = reject;
       this.queue.push(item);
     });
+    if (item.deadlineAt != null) {
+      item._deadlineTimer = setTimeout(() => {
+        const index = this.queue.indexOf(item);
+        if (index < 0) return;
+        this.queue.splice(index, 1);
+        item._reject(deadlineError(`request deadline passed after ${Date.now() - item.enqueuedAt} ms in the queue`));
+      }, item.deadlineAt - Date.now());
+      item._deadlineTimer.unref?.();
+    }
     if (priority === 'realtime') this._requestBackgroundPreemption();
     return pending;
   }
@@ -91,7 +197,10 @@ export class PriorityRequestQueue {
   /** Reject and remove all pending items. */
   flush() {
     const count = this.queue.length;
-    for (const entry of this.queue) entry._reject(new Error('Queue flushed'));
+    for (const entry of this.queue) {
+      clearTimeout(entry._deadlineTimer);
+      entry._reject(new Error('Queue flushed'));
+    }
     this.queue = [];
     return count;
   }
@@ -101,6 +210,7 @@ export class PriorityRequestQueue {
     const index = this.queue.findIndex(item => item.id === id);
     if (index < 0) return false;
     const [entry] = this.queue.splice(index, 1);
+    clearTimeout(entry._deadlineTimer);
     entry._reject(new Error('Request cancelled'));
     return true;
   }
@@ -119,6 +229,32 @@ export class PriorityRequestQueue {
   /** Number of active items. */
   get active() { return this.running; }
 
+  /**
+   * Per-client view of the lane: queued and running requests, weight, the
+   * share of recent dispatches, and the share its weight entitles it to among
+   * the clients currently waiting or running.
+   *
+   * @returns {Array<{client:string, weight:number, pending:number, active:number,
+   *   recentShare:number, fairShare:number}>} Clients with work or recent dispatches.
+   */
+  clientShares() {
+    const clients = new Map();
+    const entry = (client) => {
+      if (!clients.has(client)) clients.set(client, { client, weight: this._weight(client), pending: 0, active: 0, recent: 0 });
+      return clients.get(client);
+    };
+    for (const item of this.queue) entry(item.client).pending++;
+    for (const item of this.activeItems.values()) entry(item.client).active++;
+    for (const client of this._recentClients) entry(client).recent++;
+    const busy = [...clients.values()].filter(c => c.pending || c.active);
+    const busyWeight = busy.reduce((sum, c) => sum + c.weight, 0);
+    return [...clients.values()].map(({ recent, ...c }) => ({
+      ...c,
+      recentShare: this._recentClients.length ? recent / this._recentClients.length : 0,
+      fairShare: (c.pending || c.active) && busyWeight ? c.weight / busyWeight : 0,
+    }));
+  }
+
   /** Return redacted queue state for operational displays. */
   getItems() {
     const publicItem = item => ({
@@ -126,8 +262,10 @@ export class PriorityRequestQueue {
       model: item.model || 'unknown',
       endpoint: item.endpoint || '',
       priority: item.priority,
+      client: item.client,
       enqueuedAt: item.enqueuedAt,
       startedAt: item.startedAt || null,
+      deadlineAt: item.deadlineAt ?? null,
       status: item.status,
       elapsed: Date.now() - (item.startedAt || item.enqueuedAt),
       preemptRequested: !!item._preemptRequested,
@@ -137,6 +275,7 @@ export class PriorityRequestQueue {
 
   /** Activate a queued item and resolve its acquisition promise. */
   _activate(item) {
+    clearTimeout(item._deadlineTimer);
     this.running++;
     item.status = 'active';
     item.startedAt = Date.now();
@@ -144,6 +283,43 @@ export class PriorityRequestQueue {
     item._resolve?.(item.id);
   }
 
+  _weight(client) {
+    const weight = Number(this.weightFor(client));
+    return Number.isFinite(weight) && weight > 0 ? weight : 1;
+  }
+
+  /** Give a queued item its start tag within its class. */
+  _tag(item) {
+    const finishTags = this._finishTags[item.priority];
+    item.startTag = Math.max(this._virtualTime[item.priority], finishTags.get(item.client) ?? 0);
+    finishTags.set(item.client, item.startTag + 1 / this._weight(item.client));
+  }
+
+  /** Advance virtual time and remember who was served. */
+  _recordDispatch(item) {
+    this._recentClients.push(item.client);
+    if (this._recentClients.length > SHARE_WINDOW) this._recentClients.shift();
+    if (item.startTag === undefined) return;
+    const priority = item.priority;
+    this._virtualTime[priority] = Math.max(this._virtualTime[priority], item.startTag);
+    // Clients whose last finish tag is behind virtual time have nothing left to
+    // catch up on; forgetting them keeps the map to clients with queued work.
+    for (const [client, finish] of this._finishTags[priority]) {
+      if (finish <= this._virtualTime[priority]) this._finishTags[priority].delete(client);
+    }
+  }
+
+  /** Index of the queued item of a class with the smallest start tag, or -1. */
+  _fairIndex(priority) {
+    let best = -1;
+    for (let i = 0; i < this.queue.length; i++) {
+      const item = this.queue[i];
+      if (item.priority !== priority) continue;
+      if (best < 0 || item.startTag < this.queue[best].startTag) best = i;
+    }
+    return best;
+  }
+
   /** Ask every running background item to abort once. */
   _requestBackgroundPreemption() {
     for (const item of this.activeItems.values()) {
@@ -153,22 +329,22 @@ export class PriorityRequestQueue {
     }
   }
 
-  /** Pick the next item, enforcing priority ordering and bounded starvation. */
+  /** Pick the next item, enforcing priority ordering, bounded starvation and client fairness. */
   _nextIndex() {
     // Realtime is a hard latency class: queued background work must never use
     // the starvation budget to jump ahead of it. Background fairness applies
     // only once no realtime request is waiting.
-    const realtimeIndex = this.queue.findIndex(item => item.priority === 'realtime');
+    const realtimeIndex = this._fairIndex('realtime');
     if (realtimeIndex >= 0) {
       this._highPriorityBurst++;
       return realtimeIndex;
     }
-    const backgroundIndex = this.queue.findIndex(item => item.priority === 'background');
+    const backgroundIndex = this._fairIndex('background');
     if (backgroundIndex >= 0 && this._highPriorityBurst >= this.maxHighPriorityBurst) {
       this._highPriorityBurst = 0;
       return backgroundIndex;
     }
-    const interactiveIndex = this.queue.findIndex(item => item.priority === 'interactive');
+    const interactiveIndex = this._fairIndex('interactive');
     if (interactiveIndex >= 0) {
       this._highPriorityBurst++;
       return interactiveIndex;
@@ -183,6 +359,7 @@ export class PriorityRequestQueue {
       const index = this._nextIndex();
       if (index < 0) return;
       const [item] = this.queue.splice(index, 1);
+      this._recordDispatch(item);
       this._activate(item);
     }
   }
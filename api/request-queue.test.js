@@ -2,12 +2,19 @@
 // Copyright (c) Llama Manager project. Use of this file is governed by the
 // LICENSE file in the repository root.
 //
-// These tests verify realtime ordering, background admission bounds, cooperative
-// preemption, and starvation prevention for the shared local inference lane.
+// These tests verify realtime ordering, background admission bounds (and the
+// uncapped items exempt from them), cooperative preemption, starvation
+// prevention, and weighted per-client fairness for the shared local inference
+// lane.
 
 import assert from 'node:assert/strict';
 import test from 'node:test';
-import { PriorityRequestQueue, normalizeRequestPriority } from './request-queue.js';
+import {
+  PriorityRequestQueue,
+  normalizeQueueWeights,
+  normalizeRequestDeadline,
+  normalizeRequestPriority,
+} from './request-queue.js';
 
 test('normalizes supported priorities and defaults to interactive', () => {
   assert.equal(normalizeRequestPriority('realtime'), 'realtime');
@@ -64,6 +71,17 @@ test('bounds queued background work without affecting interactive admission', as
   queue.release(await firstBackground);
 });
 
+test('uncapped background work neither counts toward nor is refused by the background bound', async () => {
+  const queue = new PriorityRequestQueue(1, { maxBackgroundQueued: 1 });
+  const active = await queue.acquire({ priority: 'interactive' });
+  const shadows = [queue.acquire({ priority: 'background', uncapped: true }), queue.acquire({ priority: 'background', uncapped: true })];
+  const batch = queue.acquire({ priority: 'background' });
+  await assert.rejects(queue.acquire({ priority: 'background' }), error => error.code === 'BACKGROUND_QUEUE_FULL');
+
+  queue.release(active);
+  for (const pending of [...shadows, batch]) queue.release(await pending);
+});
+
 test('background fairness never lets background bypass queued realtime work', async () => {
   const queue = new PriorityRequestQueue(1, { maxHighPriorityBurst: 2 });
   const active = await queue.acquire();
@@ -97,3 +115,92 @@ test('serves background after a bounded burst of interactive requests', async ()
   queue.release(await interactiveThree);
   assert.deepEqual(order, ['interactive-1', 'interactive-2', 'background', 'interactive-3']);
 });
+
+// Queue `clients` (in order) behind one running item, then release whatever
+// holds the lane until all have run, returning the order clients were served.
+async function serveOrder(queue, clients, priority = 'interactive') {
+  let current = await queue.acquire({ priority });
+  const order = [];
+  const served = [];
+  for (const client of clients) {
+    queue.acquire({ priority, client }).then(id => { order.push(client); served.push(id); });
+  }
+  while (order.length < clients.length) {
+    queue.release(current);
+    const count = served.length;
+    while (served.length === count) await Promise.resolve();
+    current = served.at(-1);
+  }
+  queue.release(current);
+  return order;
+}
+
+test('a burst from one client interleaves with other clients in the same class', async () => {
+  const queue = new PriorityRequestQueue(1);
+  const order = await serveOrder(queue, ['a', 'a', 'a', 'a', 'b', 'c']);
+  assert.deepEqual(order, ['a', 'b', 'c', 'a', 'a', 'a']);
+});
+
+test('weights give clients proportional shares and realtime still goes first', async () => {
+  const weights = { heavy: 3 };
+  const queue = new PriorityRequestQueue(1, { weightFor: client => weights[client] ?? 1 });
+  const order = await serveOrder(queue, ['light', 'light', 'light', 'heavy', 'heavy', 'heavy']);
+  assert.deepEqual(order, ['light', 'heavy', 'heavy', 'heavy', 'light', 'light']);
+
+  const mixed = new PriorityRequestQueue(1);
+  const active = await mixed.acquire();
+  const served = [];
+  const interactive = mixed.acquire({ client: 'a' }).then(id => { served.push('interactive'); return id; });
+  const realtime = mixed.acquire({ priority: 'realtime', client: 'b' }).then(id => { served.push('realtime'); return id; });
+  mixed.release(active);
+  mixed.release(await realtime);
+  mixed.release(await interactive);
+  assert.deepEqual(served, ['realtime', 'interactive']);
+});
+
+test('client shares report queued work, weights and recent dispatches', async () => {
+  const queue = new PriorityRequestQueue(1, { weightFor: client => (client === 'a' ? 2 : 1) });
+  const first = await queue.acquire({ client: 'a' });
+  const queued = queue.acquire({ client: 'b' });
+  const shares = Object.fromEntries(queue.clientShares().map(share => [share.client, share]));
+  assert.deepEqual(shares.a, { client: 'a', weight: 2, pending: 0, active: 1, recentShare: 1, fairShare: 2 / 3 });
+  assert.deepEqual(shares.b, { client: 'b', weight: 1, pending: 1, active: 0, recentShare: 0, fairShare: 1 / 3 });
+  queue.release(first);
+  queue.release(await queued);
+  assert.equal(queue.clientShares().find(share => share.client === 'b').recentShare, 0.5);
+
+  assert.deepEqual(normalizeQueueWeights({ 'client:eval': '4' }), { 'client:eval': 4 });
+  assert.throws(() => normalizeQueueWeights({ a: 0 }), /between 0.1 and 100/);
+  assert.throws(() => normalizeQueueWeights([]), /object keyed by client id/);
+});
+
+test('deadlines parse as relative milliseconds or ISO timestamps', () => {
+  const now = Date.parse('2026-01-05T12:00:00Z');
+  assert.equal(normalizeRequestDeadline(undefined, now), null);
+  assert.equal(normalizeRequestDeadline('60000', now), now + 60000);
+  assert.equal(normalizeRequestDeadline(1500, now), now + 1500);
+  assert.equal(normalizeRequestDeadline('2026-01-05T12:01:00Z', now), now + 60000);
+  assert.throws(() => normalizeRequestDeadline('2026-01-05T11:59:00Z', now), /already passed/);
+  assert.throws(() => normalizeRequestDeadline(0, now), /positive whole number/);
+  assert.throws(() => normalizeRequestDeadline('soon', now), /ISO 8601/);
+  assert.throws(() => normalizeRequestDeadline(2 * 24 * 60 * 60 * 1000, now), /at most/);
+});
+
+test('pending items are dropped with a 504 when their deadline passes', async () => {
+  const queue = new PriorityRequestQueue(1);
+  const active = await queue.acquire({ deadlineAt: Date.now() + 5 });
+  const expiring = queue.acquire({ deadlineAt: Date.now() + 20 });
+  const patient = queue.acquire({ deadlineAt: Date.now() + 60000 });
+  const dropped = assert.rejects(expiring, error => error.code === 'DEADLINE_EXCEEDED' && error.statusCode === 504);
+  // The deadline timer is unref'd, so hold the event loop open past it.
+  await new Promise(resolve => setTimeout(resolve, 40));
+  await dropped;
+  assert.equal(queue.pending, 1);
+  await assert.rejects(queue.acquire({ deadlineAt: Date.now() - 1 }), { code: 'DEADLINE_EXCEEDED' });
+
+  // Active items are not the queue's to abort; the owner enforces their deadline.
+  assert.equal(queue.activeItems.has(active), true);
+  queue.release(active);
+  queue.release(await patient);
+  assert.equal(queue.running, 0);
+});
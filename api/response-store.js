@@ -0,0 +1,373 @@
+// Llama Manager — stored responses for the OpenAI Responses API.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// llama.cpp's /v1/responses is stateless: it neither keeps responses nor
+// understands `previous_response_id`. The manager keeps each stored response
+// with the input items that produced it, so follow-up calls can be expanded
+// into the full conversation before they are proxied, and clients can fetch,
+// list the input of, and delete what they stored. Records are isolated by
+// cache scope (see deriveCacheScope() in context-cache.js), expire after a
+// TTL, and are capped in number, oldest evicted first (config.responses).
+// Every response in a chain shares a chain id, which the server uses as the
+// conversation cache key so the chain keeps its slot and KV prefix. Response
+// ids come from the upstream, so they are checked before they name a file,
+// and records are keyed by scope and id so one scope never replaces another's.
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, rmSync, writeFileSync } from 'node:fs';
+import { randomBytes } from 'node:crypto';
+import { join } from 'node:path';
+
+/** How long a stored response is kept, matching OpenAI's 30-day retention. */
+export const RESPONSE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/** Most responses kept at once; the oldest are evicted beyond it. */
+export const MAX_STORED_RESPONSES = 10_000;
+
+/** Defaults for config.responses. */
+export const RESPONSE_STORE_DEFAULTS = Object.freeze({ ttlDays: RESPONSE_TTL_MS / 86_400_000, maxRecords: MAX_STORED_RESPONSES });
+
+/** Longest chain expanded into history; a guard against runaway or cyclic records. */
+export const MAX_CHAIN_LENGTH = 1000;
+
+// Item types that are replayed as history. Reasoning items are dropped: they
+// are optional on input and llama.cpp does not accept them back.
+const HISTORY_ITEM_TYPES = new Set(['message', 'function_call', 'function_call_output']);
+
+// Response and scope ids that may name a record file.
+const RECORD_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const recordKey = (scopeId, id) => `${scopeId}/${id}`;
+const recordFile = record => `${record.scopeId}.${record.id}.json`;
+
+const itemId = prefix => `${prefix}_${randomBytes(12).toString('hex')}`;
+
+/** @returns {string} A new chain id. */
+export function newChainId() {
+  return itemId('chain');
+}
+
+/**
+ * Normalize a Responses API `input` into a list of items with ids, the shape
+ * returned by `GET /v1/responses/{id}/input_items`.
+ *
+ * @param {string|Object[]} input Request input.
+ * @returns {Object[]} Items; the input is not modified.
+ * @throws {TypeError} When input is neither a string nor an array of objects.
+ */
+export function responseInputItems(input) {
+  if (typeof input === 'string') {
+    return [{ id: itemId('msg'), type: 'message', role: 'user', content: [{ type: 'input_text', text: input }] }];
+  }
+  if (!Array.isArray(input)) throw new TypeError('input must be a string or an array of input items');
+  return input.map((item) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw new TypeError('input items must be objects');
+    }
+    const type = item.type ?? (item.role ? 'message' : null);
+    if (!type) throw new TypeError('input items need a type or a role');
+    const out = { id: item.id ?? itemId(type === 'message' ? 'msg' : 'item'), ...item, type };
+    if (type === 'message' && typeof item.content === 'string') {
+      out.content = [{ type: item.role === 'assistant' ? 'output_text' : 'input_text', text: item.content }];
+    }
+    return out;
+  });
+}
+
+/**
+ * Strip stored items down to what an upstream accepts as input: history item
+ * types only, without the ids and statuses the manager or upstream assigned.
+ *
+ * @param {Object[]} items Stored input or output items.
+ * @returns {Object[]} Items to send upstream.
+ */
+export function upstreamItems(items) {
+  return items
+    .filter(item => HISTORY_ITEM_TYPES.has(item?.type))
+    .map(({ id, status, ...item }) => item);
+}
+
+/**
+ * Normalize the persisted config.responses block.
+ *
+ * @param {Record<string, unknown>} [input] Partial settings.
+ * @returns {{ttlDays:number, maxRecords:number}} Settings.
+ * @throws {TypeError} When a field is unknown, ttlDays is not a positive
+ *   number or maxRecords is not a positive whole number.
+ */
+export function normalizeResponseStoreSettings(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new TypeError('response store settings must be an object');
+  }
+  const settings = { ...RESPONSE_STORE_DEFAULTS };
+  for (const [field, value] of Object.entries(input)) {
+    if (!(field in RESPONSE_STORE_DEFAULTS)) throw new TypeError(`unknown response store field '${field}'`);
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) throw new TypeError(`${field} must be a positive number`);
+    if (field === 'maxRecords' && !Number.isInteger(number)) throw new TypeError('maxRecords must be a whole number');
+    settings[field] = number;
+  }
+  return settings;
+}
+
+/**
+ * Persistent store of responses, one JSON record per response. Records stay in
+ * memory in creation order, so the oldest is always first to go.
+ */
+export class ResponseStore {
+  /**
+   * @param {{directory:string, ttlMs?:number, maxRecords?:number}} options
+   *   Record directory, created on demand, retention and record cap.
+   */
+  constructor({ directory, ttlMs = RESPONSE_TTL_MS, maxRecords = MAX_STORED_RESPONSES }) {
+    if (!directory) throw new TypeError('response store directory is required');
+    this.directory = directory;
+    this.ttlMs = ttlMs;
+    this.maxRecords = maxRecords;
+    this.records = new Map(); // "scope/response id" -> record, oldest first
+  }
+
+  /**
+   * Change retention and the cap. A shorter TTL also applies to records
+   * already stored; a longer one only to new records.
+   *
+   * @param {{ttlMs?:number, maxRecords?:number}} settings New values.
+   * @param {number} [now] Current time in ms.
+   * @returns {number} Records removed by the change.
+   */
+  configure({ ttlMs = this.ttlMs, maxRecords = this.maxRecords }, now = Date.now()) {
+    this.ttlMs = ttlMs;
+    this.maxRecords = maxRecords;
+    return this.sweep(now);
+  }
+
+  /**
+   * Read every unexpired record, keeping the newest when there are more than
+   * the cap.
+   *
+   * @param {number} [now] Current time in ms.
+   * @returns {number} Records loaded.
+   */
+  load(now = Date.now()) {
+    if (!existsSync(this.directory)) return 0;
+    const loaded = [];
+    for (const name of readdirSync(this.directory).filter(n => n.endsWith('.json'))) {
+      try {
+        const record = JSON.parse(readFileSync(join(this.directory, name), 'utf8'));
+        if (!RECORD_ID_PATTERN.test(record?.id) || !RECORD_ID_PATTERN.test(record?.scopeId)) continue;
+        // Records saved before files were named by scope move to their new name.
+        if (name !== recordFile(record)) renameSync(join(this.directory, name), join(this.directory, recordFile(record)));
+        loaded.push(record);
+      } catch {
+        // A torn record from a crash mid-write; the temp-file rename makes this rare.
+      }
+    }
+    loaded.sort((a, b) => a.createdAt - b.createdAt);
+    for (const record of loaded) this.records.set(recordKey(record.scopeId, record.id), record);
+    this.sweep(now);
+    return this.records.size;
+  }
+
+  /**
+   * Store a response.
+   *
+   * @param {{response:Object, inputItems:Object[], scopeId:string, chainId:string,
+   *   previousResponseId:(string|null)}} input The response object as returned to
+   *   the client and the input items of this turn only.
+   * @param {number} [now] Current time in ms.
+   * @returns {Object} The stored record.
+   * @throws {TypeError} When the response or scope id is missing or has
+   *   characters other than letters, digits, `_` and `-`.
+   */
+  save({ response, inputItems, scopeId, chainId, previousResponseId = null }, now = Date.now()) {
+    if (!response?.id) throw new TypeError('response id is required');
+    if (!RECORD_ID_PATTERN.test(response.id)) throw new TypeError(`response id '${response.id}' may only contain letters, digits, _ and -`);
+    if (!RECORD_ID_PATTERN.test(scopeId)) throw new TypeError('scope id is required');
+    const record = {
+      id: response.id,
+      scopeId,
+      chainId,
+      previousResponseId,
+      createdAt: now,
+      expiresAt: now + this.ttlMs,
+      inputItems,
+      response,
+    };
+    mkdirSync(this.directory, { recursive: true });
+    const path = join(this.directory, recordFile(record));
+    writeFileSync(`${path}.tmp`, `${JSON.stringify(record)}\n`, { mode: 0o600 });
+    renameSync(`${path}.tmp`, path);
+    const key = recordKey(scopeId, record.id);
+    this.records.delete(key);
+    this.records.set(key, record);
+    this.evict();
+    return record;
+  }
+
+  /**
+   * Remove the oldest records beyond the cap.
+   *
+   * @returns {number} Records removed.
+   */
+  evict() {
+    let removed = 0;
+    for (const record of this.records.values()) {
+      if (this.records.size <= this.maxRecords) break;
+      this.remove(record);
+      removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * Look up a record visible to a scope.
+   *
+   * @param {string} id Response id.
+   * @param {string} scopeId Caller's cache scope.
+   * @param {number} [now] Current time in ms.
+   * @returns {Object|null} The record, or null when absent, expired or owned by
+   *   another scope.
+   */
+  get(id, scopeId, now = Date.now()) {
+    const record = this.records.get(recordKey(scopeId, id));
+    if (!record || this.#expired(record, now)) return null;
+    return record;
+  }
+
+  /**
+   * Delete a record visible to a scope.
+   *
+   * @param {string} id Response id.
+   * @param {string} scopeId Caller's cache scope.
+   * @returns {boolean} Whether a record was deleted.
+   */
+  delete(id, scopeId) {
+    const record = this.get(id, scopeId);
+    if (!record) return false;
+    this.remove(record);
+    return true;
+  }
+
+  remove(record) {
+    this.records.delete(recordKey(record.scopeId, record.id));
+    rmSync(join(this.directory, recordFile(record)), { force: true });
+  }
+
+  /**
+   * Drop expired records and any beyond the cap.
+   *
+   * @param {number} [now] Current time in ms.
+   * @returns {number} Records removed.
+   */
+  sweep(now = Date.now()) {
+    let removed = 0;
+    for (const record of [...this.records.values()]) {
+      if (!this.#expired(record, now)) continue;
+      this.remove(record);
+      removed++;
+    }
+    return removed + this.evict();
+  }
+
+  #expired(record, now) {
+    return Math.min(record.expiresAt, record.createdAt + this.ttlMs) <= now;
+  }
+
+  /**
+   * Expand a `previous_response_id` into the conversation so far: each
+   * response's input items followed by its output, oldest first. The walk
+   * stops at an ancestor that was deleted or has expired.
+   *
+   * @param {string} id The previous response id.
+   * @param {string} scopeId Caller's cache scope.
+   * @param {number} [now] Current time in ms.
+   * @returns {{chainId:string, items:Object[]}|null} History, or null when the
+   *   previous response itself is not visible.
+   */
+  chain(id, scopeId, now = Date.now()) {
+    const head = this.get(id, scopeId, now);
+    if (!head) return null;
+    const turns = [];
+    const seen = new Set();
+    for (let record = head; record && !seen.has(record.id) && turns.length < MAX_CHAIN_LENGTH;) {
+      seen.add(record.id);
+      turns.unshift([...record.inputItems, ...(record.response.output || [])]);
+      record = record.previousResponseId ? this.get(record.previousResponseId, scopeId, now) : null;
+    }
+    return { chainId: head.chainId, items: turns.flat() };
+  }
+}
+
+/**
+ * Page through a record's input items the way OpenAI lists them.
+ *
+ * @param {Object} record Stored record.
+ * @param {{limit?:*, order?:*, after?:*}} [query] Query parameters.
+ * @returns {{object:'list', data:Object[], first_id:(string|null),
+ *   last_id:(string|null), has_more:boolean}} List object.
+ * @throws {TypeError} On an invalid limit or order.
+ */
+export function inputItemsPage(record, { limit = 20, order = 'desc', after } = {}) {
+  const size = Number(limit);
+  if (!Number.isInteger(size) || size < 1 || size > 100) throw new TypeError('limit must be a whole number between 1 and 100');
+  if (order !== 'asc' && order !== 'desc') throw new TypeError("order must be 'asc' or 'desc'");
+  let items = order === 'asc' ? record.inputItems : [...record.inputItems].reverse();
+  if (after) {
+    const index = items.findIndex(item => item.id === after);
+    items = index < 0 ? [] : items.slice(index + 1);
+  }
+  const data = items.slice(0, size);
+  return {
+    object: 'list',
+    data,
+    first_id: data[0]?.id ?? null,
+    last_id: data.at(-1)?.id ?? null,
+    has_more: items.length > size,
+  };
+}
+
+/**
+ * Line-buffered observer for a streamed Responses API reply. Events that
+ * carry the response object are rewritten to report the client's
+ * `previous_response_id` and `store` (the upstream saw neither), and the final
+ * response object is captured for storage.
+ *
+ * @param {{previousResponseId:(string|null), store:boolean}} fields Values to report.
+ * @returns {{push:(text:string)=>string, end:()=>string, readonly response:(Object|null)}}
+ *   Feed decoded SSE text; complete lines come back.
+ */
+export function createResponseStreamRecorder({ previousResponseId, store }) {
+  let pending = '';
+  let response = null;
+
+  const rewrite = (line) => {
+    const match = /^data:\s?(.*)$/.exec(line);
+    if (!match) return line;
+    let data;
+    try {
+      data = JSON.parse(match[1]);
+    } catch {
+      return line;
+    }
+    if (!data?.response || typeof data.response !== 'object') return line;
+    data.response.previous_response_id = previousResponseId;
+    data.response.store = store;
+    if (['response.completed', 'response.incomplete', 'response.failed'].includes(data.type)) response = data.response;
+    return `data: ${JSON.stringify(data)}`;
+  };
+
+  return {
+    push(text) {
+      pending += text;
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      return lines.length ? `${lines.map(rewrite).join('\n')}\n` : '';
+    },
+    end() {
+      const rest = pending ? rewrite(pending) : '';
+      pending = '';
+      return rest;
+    },
+    get response() { return response; },
+  };
+}
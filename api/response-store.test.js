@@ -0,0 +1,180 @@
+// Llama Manager — stored response tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies input normalization, that a chain expands into history oldest
+// first and only within its scope, that upstream ids cannot escape the store
+// directory or collide across scopes, TTL expiry across reloads, the record cap
+// and settings, input item paging, and the rewriting of streamed response
+// events.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  RESPONSE_STORE_DEFAULTS,
+  ResponseStore,
+  createResponseStreamRecorder,
+  inputItemsPage,
+  normalizeResponseStoreSettings,
+  responseInputItems,
+  upstreamItems,
+} from './response-store.js';
+
+const reply = (id, text) => ({
+  id,
+  object: 'response',
+  output: [
+    { id: `rs_${id}`, type: 'reasoning', summary: [] },
+    { id: `msg_${id}`, type: 'message', role: 'assistant', status: 'completed', content: [{ type: 'output_text', text }] },
+  ],
+});
+
+const withStore = (fn) => {
+  const directory = mkdtempSync(join(tmpdir(), 'llama-responses-'));
+  try {
+    fn(directory);
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+};
+
+test('input normalizes into items with ids', () => {
+  const [item] = responseInputItems('Hi');
+  assert.match(item.id, /^msg_/);
+  assert.deepEqual({ ...item, id: null }, { id: null, type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Hi' }] });
+  const items = responseInputItems([
+    { role: 'assistant', content: 'Earlier' },
+    { type: 'function_call_output', call_id: 'c1', output: '42', id: 'given' },
+  ]);
+  assert.deepEqual(items[0].content, [{ type: 'output_text', text: 'Earlier' }]);
+  assert.equal(items[1].id, 'given');
+  assert.throws(() => responseInputItems(7), /input must be a string/);
+  assert.throws(() => responseInputItems([{ content: 'x' }]), /type or a role/);
+  assert.deepEqual(upstreamItems([...items, ...reply('r', 'x').output]).map(item => item.type), ['message', 'function_call_output', 'message']);
+  assert.ok(upstreamItems(items).every(item => !('id' in item)));
+});
+
+test('a chain expands into history oldest first, within its scope only', () => {
+  withStore((directory) => {
+    const store = new ResponseStore({ directory });
+    const first = responseInputItems('One');
+    store.save({ response: reply('resp_1', 'A'), inputItems: first, scopeId: 's1', chainId: 'chain_x' });
+    store.save({ response: reply('resp_2', 'B'), inputItems: responseInputItems('Two'), scopeId: 's1', chainId: 'chain_x', previousResponseId: 'resp_1' });
+
+    const chain = store.chain('resp_2', 's1');
+    assert.equal(chain.chainId, 'chain_x');
+    const texts = upstreamItems(chain.items).map(item => item.content[0].text);
+    assert.deepEqual(texts, ['One', 'A', 'Two', 'B']);
+    assert.equal(store.chain('resp_2', 's2'), null);
+    assert.equal(store.get('resp_1', 's2'), null);
+    assert.equal(store.delete('resp_1', 's2'), false);
+
+    assert.equal(store.delete('resp_1', 's1'), true);
+    assert.deepEqual(upstreamItems(store.chain('resp_2', 's1').items).map(item => item.content[0].text), ['Two', 'B']);
+  });
+});
+
+test('unsafe upstream ids are refused and equal ids in two scopes stay apart', () => {
+  withStore((directory) => {
+    const store = new ResponseStore({ directory });
+    for (const id of ['../escape', 'a/b', 'resp.1', '']) {
+      assert.throws(() => store.save({ response: reply(id, 'x'), inputItems: [], scopeId: 's1', chainId: 'c' }), TypeError);
+    }
+    assert.equal(existsSync(join(directory, '..', 'escape.json')), false);
+
+    store.save({ response: reply('resp_1', 'mine'), inputItems: [], scopeId: 's1', chainId: 'c1' });
+    store.save({ response: reply('resp_1', 'theirs'), inputItems: [], scopeId: 's2', chainId: 'c2' });
+    assert.equal(store.get('resp_1', 's1').response.output[1].content[0].text, 'mine');
+    assert.equal(store.get('resp_1', 's2').chainId, 'c2');
+    assert.equal(store.delete('resp_1', 's2'), true);
+    assert.equal(new ResponseStore({ directory }).load(), 1);
+    assert.ok(store.get('resp_1', 's1'));
+  });
+});
+
+test('records saved under the old file names are moved on load', () => {
+  withStore((directory) => {
+    const record = { id: 'resp_old', scopeId: 's1', chainId: 'c', previousResponseId: null, createdAt: 1000, expiresAt: 10_000, inputItems: [], response: reply('resp_old', 'A') };
+    writeFileSync(join(directory, 'resp_old.json'), JSON.stringify(record));
+    writeFileSync(join(directory, 'bad.json'), JSON.stringify({ ...record, id: '../x' }));
+    const store = new ResponseStore({ directory });
+    assert.equal(store.load(2000), 1);
+    assert.ok(readdirSync(directory).includes('s1.resp_old.json'));
+    assert.ok(store.get('resp_old', 's1', 2000));
+  });
+});
+
+test('records survive a reload until their TTL passes', () => {
+  withStore((directory) => {
+    const store = new ResponseStore({ directory, ttlMs: 1000 });
+    store.save({ response: reply('resp_1', 'A'), inputItems: [], scopeId: 's', chainId: 'c' }, 5000);
+    assert.equal(new ResponseStore({ directory, ttlMs: 1000 }).load(5500), 1);
+    assert.equal(store.get('resp_1', 's', 6000), null);
+    assert.equal(store.sweep(6000), 1);
+    assert.equal(new ResponseStore({ directory }).load(5500), 0);
+  });
+});
+
+test('the oldest records are evicted beyond the cap, on save and on reload', () => {
+  withStore((directory) => {
+    const store = new ResponseStore({ directory, maxRecords: 2 });
+    for (const [index, id] of ['resp_1', 'resp_2', 'resp_3'].entries()) {
+      store.save({ response: reply(id, id), inputItems: [], scopeId: 's', chainId: 'c' }, 1000 + index);
+    }
+    assert.deepEqual([...store.records.values()].map(record => record.id), ['resp_2', 'resp_3']);
+    assert.equal(store.get('resp_1', 's', 2000), null);
+
+    const reloaded = new ResponseStore({ directory, maxRecords: 1 });
+    assert.equal(reloaded.load(2000), 1);
+    assert.ok(reloaded.get('resp_3', 's', 2000));
+    assert.equal(new ResponseStore({ directory }).load(2000), 1);
+  });
+});
+
+test('settings validate, and a shorter TTL applies to stored records', () => {
+  assert.deepEqual(normalizeResponseStoreSettings(), RESPONSE_STORE_DEFAULTS);
+  assert.deepEqual(normalizeResponseStoreSettings({ ttlDays: '7' }), { ...RESPONSE_STORE_DEFAULTS, ttlDays: 7 });
+  assert.throws(() => normalizeResponseStoreSettings({ ttlDays: 0 }), /ttlDays must be a positive/);
+  assert.throws(() => normalizeResponseStoreSettings({ maxRecords: 1.5 }), /whole number/);
+  assert.throws(() => normalizeResponseStoreSettings({ size: 1 }), /unknown response store field/);
+  withStore((directory) => {
+    const store = new ResponseStore({ directory, ttlMs: 10_000 });
+    store.save({ response: reply('resp_1', 'A'), inputItems: [], scopeId: 's', chainId: 'c' }, 1000);
+    store.save({ response: reply('resp_2', 'B'), inputItems: [], scopeId: 's', chainId: 'c' }, 5000);
+    assert.equal(store.configure({ ttlMs: 3000 }, 5500), 1);
+    assert.ok(store.get('resp_2', 's', 5500));
+    store.configure({ ttlMs: 60_000 }, 5500);
+    assert.equal(store.get('resp_2', 's', 20_000), null);
+  });
+});
+
+test('input items page like the OpenAI list endpoint', () => {
+  const record = { inputItems: ['a', 'b', 'c'].map(id => ({ id })) };
+  assert.deepEqual(inputItemsPage(record, { limit: '2' }), { object: 'list', data: [{ id: 'c' }, { id: 'b' }], first_id: 'c', last_id: 'b', has_more: true });
+  assert.deepEqual(inputItemsPage(record, { order: 'asc', after: 'a' }).data, [{ id: 'b' }, { id: 'c' }]);
+  assert.equal(inputItemsPage(record, { after: 'missing' }).first_id, null);
+  assert.throws(() => inputItemsPage(record, { limit: 0 }), /limit/);
+  assert.throws(() => inputItemsPage(record, { order: 'up' }), /order/);
+});
+
+test('streamed events report the client fields and the final response is captured', () => {
+  const recorder = createResponseStreamRecorder({ previousResponseId: 'resp_1', store: true });
+  const event = (type, extra) => `event: ${type}\ndata: ${JSON.stringify({ type, ...extra })}\n\n`;
+  const text = event('response.created', { response: { id: 'resp_2', store: false } })
+    + event('response.output_text.delta', { delta: 'Hi' })
+    + event('response.completed', { response: { id: 'resp_2', output: [], store: false } });
+  let sent = recorder.push(text.slice(0, 70));
+  sent += recorder.push(text.slice(70)) + recorder.end();
+
+  const events = sent.split('\n').filter(line => line.startsWith('data: ')).map(line => JSON.parse(line.slice(6)));
+  assert.deepEqual(events.map(e => e.type), ['response.created', 'response.output_text.delta', 'response.completed']);
+  assert.equal(events[0].response.previous_response_id, 'resp_1');
+  assert.equal(events[0].response.store, true);
+  assert.equal(events[1].delta, 'Hi');
+  assert.equal(recorder.response.id, 'resp_2');
+  assert.equal(recorder.response.previous_response_id, 'resp_1');
+});
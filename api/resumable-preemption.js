@@ -0,0 +1,168 @@
+// Llama Manager — resumable preemption for background generations.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Realtime arrivals preempt active background work by aborting it. For a long
+// streamed background generation that throws away every token produced so
+// far. With resumable preemption the manager keeps a checkpoint of the output
+// already sent to the client, gives the lane to the realtime request, and
+// later continues the generation with the partial output as an assistant
+// prefill. The continuation stream is rewritten to carry the first stream's
+// id, so the client sees one uninterrupted response, and its usage is
+// corrected for the output carried over from before the preemption.
+
+/** Default settings (`config.resumablePreemption`). */
+export const RESUMABLE_PREEMPTION_DEFAULTS = Object.freeze({ enabled: false, maxResumes: 3, saveSlot: false });
+
+const SETTINGS_FIELDS = Object.keys(RESUMABLE_PREEMPTION_DEFAULTS);
+
+/**
+ * Validate resumable preemption settings.
+ *
+ * @param {Object} [input] Settings; omitted fields take defaults.
+ * @returns {{enabled:boolean, maxResumes:number, saveSlot:boolean}} Normalized settings.
+ * @throws {TypeError} On unknown fields or invalid values.
+ */
+export function normalizeResumablePreemption(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new TypeError('resumable preemption settings must be an object');
+  }
+  const unknown = Object.keys(input).filter(key => !SETTINGS_FIELDS.includes(key));
+  if (unknown.length) throw new TypeError(`unknown resumable preemption setting(s): ${unknown.join(', ')}`);
+  const settings = { ...RESUMABLE_PREEMPTION_DEFAULTS, ...input };
+  for (const key of ['enabled', 'saveSlot']) {
+    if (typeof settings[key] !== 'boolean') throw new TypeError(`${key} must be a boolean`);
+  }
+  const maxResumes = Number(settings.maxResumes);
+  if (!Number.isInteger(maxResumes) || maxResumes < 1 || maxResumes > 20) {
+    throw new TypeError('maxResumes must be a whole number between 1 and 20');
+  }
+  return { enabled: settings.enabled, maxResumes, saveSlot: settings.saveSlot };
+}
+
+/**
+ * Build the request that continues a checkpointed generation: the original
+ * messages plus the partial output as a trailing assistant message, which
+ * llama.cpp treats as a prefill to continue. Token limits shrink by the
+ * output already produced.
+ *
+ * @param {Object} body Chat completion body of the first attempt.
+ * @param {{content:string, reasoning:string, outputTokens:number}} checkpoint Output so
+ *   far, across every attempt.
+ * @returns {Object} Continuation body; the input is not modified.
+ */
+export function continuationRequest(body, checkpoint) {
+  const out = { ...body };
+  const prefill = { role: 'assistant', content: checkpoint.content };
+  if (checkpoint.reasoning) prefill.reasoning_content = checkpoint.reasoning;
+  out.messages = [...(Array.isArray(body.messages) ? body.messages : []), prefill];
+  for (const field of ['max_tokens', 'max_completion_tokens']) {
+    if (typeof body[field] === 'number') out[field] = Math.max(1, body[field] - checkpoint.outputTokens);
+  }
+  return out;
+}
+
+/**
+ * Token counts for a resumed stream. The upstream reports on the last
+ * continuation only: its output leaves out what was generated before the
+ * preemption, and its prompt includes that output again as the prefill.
+ *
+ * @param {{carried:number}} checkpoint Output tokens produced before the last resume.
+ * @param {{promptTokens?:number, completionTokens?:number}} counts The
+ *   continuation's counts.
+ * @returns {{promptTokens:number, completionTokens:number}} Counts for the whole response.
+ */
+export function resumedTokenCounts({ carried }, { promptTokens = 0, completionTokens = 0 }) {
+  return {
+    promptTokens: Math.max(0, (promptTokens || 0) - carried),
+    completionTokens: (completionTokens || 0) + carried,
+  };
+}
+
+/**
+ * Line-buffered observer for a streamed chat completion that records the
+ * output sent to the client and, after {@link resume}, rewrites continuation
+ * chunks so they read as the same response.
+ *
+ * @returns {{push:(text:string)=>string, end:()=>string, resume:()=>void,
+ *   readonly content:string, readonly reasoning:string,
+ *   readonly outputTokens:number, readonly carried:number, readonly resumes:number}} Feed decoded SSE
+ *   text; only complete lines come back, so a line cut off by the abort is
+ *   never half-sent.
+ */
+export function createStreamCheckpoint() {
+  let pending = '';
+  let id = null;
+  let created = null;
+  let content = '';
+  let reasoning = '';
+  let outputTokens = 0;
+  let carried = 0;
+  let resumes = 0;
+
+  const rewrite = (line) => {
+    const match = /^data:\s?(.*)$/.exec(line);
+    if (!match || match[1].trim() === '[DONE]') return line;
+    let data;
+    try {
+      data = JSON.parse(match[1]);
+    } catch {
+      return line;
+    }
+    if (id === null && data.id != null) ({ id, created } = data);
+    const delta = data.choices?.[0]?.delta;
+    if (resumes > 0) {
+      // The continuation opens with its own role-only chunk; the client already has one.
+      const roleOnly = delta?.role && !data.choices[0].finish_reason
+        && Object.keys(delta).every(key => key === 'role' || (key === 'content' && !delta.content));
+      if (roleOnly) return null;
+      data.id = id;
+      if (created != null) data.created = created;
+      if (data.usage?.completion_tokens != null) {
+        const counts = resumedTokenCounts({ carried }, {
+          promptTokens: data.usage.prompt_tokens,
+          completionTokens: data.usage.completion_tokens,
+        });
+        data.usage = { ...data.usage, completion_tokens: counts.completionTokens };
+        // The prefill moves from prompt to completion, so the total only grows
+        // when there is no prompt count to take it from.
+        if (data.usage.prompt_tokens != null) data.usage.prompt_tokens = counts.promptTokens;
+        else if (data.usage.total_tokens != null) data.usage.total_tokens += carried;
+      }
+    }
+    if (delta) {
+      const text = delta.content || '';
+      const thought = delta.reasoning_content || delta.reasoning || '';
+      content += text;
+      reasoning += thought;
+      if (text || thought) outputTokens++;
+    }
+    return resumes > 0 ? `data: ${JSON.stringify(data)}` : line;
+  };
+  const emit = lines => lines.map(rewrite).filter(line => line !== null);
+
+  return {
+    push(text) {
+      pending += text;
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      const out = emit(lines);
+      return out.length ? `${out.join('\n')}\n` : '';
+    },
+    end() {
+      const rest = pending ? emit([pending]).join('\n') : '';
+      pending = '';
+      return rest;
+    },
+    resume() {
+      pending = '';
+      carried = outputTokens;
+      resumes++;
+    },
+    get content() { return content; },
+    get reasoning() { return reasoning; },
+    get outputTokens() { return outputTokens; },
+    get carried() { return carried; },
+    get resumes() { return resumes; },
+  };
+}
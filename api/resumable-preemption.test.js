@@ -0,0 +1,84 @@
+// Llama Manager — resumable preemption tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies settings validation, the continuation request built from a
+// checkpoint, that a preempted stream and its continuation are stitched
+// into one response without a cut-off line or a second opening chunk, and
+// that its token counts cover the output from before the preemption.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  continuationRequest,
+  createStreamCheckpoint,
+  normalizeResumablePreemption,
+  resumedTokenCounts,
+} from './resumable-preemption.js';
+
+const chunk = (id, delta, extra = {}) => `data: ${JSON.stringify({ id, created: id === 'first' ? 1 : 2, choices: [{ index: 0, delta, finish_reason: null }], ...extra })}\n\n`;
+
+test('settings validate and fill defaults', () => {
+  assert.deepEqual(normalizeResumablePreemption({}), { enabled: false, maxResumes: 3, saveSlot: false });
+  assert.deepEqual(normalizeResumablePreemption({ enabled: true, maxResumes: '5' }), { enabled: true, maxResumes: 5, saveSlot: false });
+  assert.throws(() => normalizeResumablePreemption({ enabled: 'yes' }), /enabled must be a boolean/);
+  assert.throws(() => normalizeResumablePreemption({ maxResumes: 0 }), /maxResumes/);
+  assert.throws(() => normalizeResumablePreemption({ resume: true }), /unknown resumable preemption setting/);
+  assert.throws(() => normalizeResumablePreemption([]), /must be an object/);
+});
+
+test('the continuation prefills the partial output and shrinks the token limit', () => {
+  const body = { model: 'm', stream: true, max_tokens: 100, messages: [{ role: 'user', content: 'Write a story' }] };
+  const next = continuationRequest(body, { content: 'Once upon', reasoning: 'plan', outputTokens: 30 });
+  assert.deepEqual(next.messages, [
+    { role: 'user', content: 'Write a story' },
+    { role: 'assistant', content: 'Once upon', reasoning_content: 'plan' },
+  ]);
+  assert.equal(next.max_tokens, 70);
+  assert.equal(body.messages.length, 1);
+  assert.equal(continuationRequest({ messages: [], max_completion_tokens: 10 }, { content: '', reasoning: '', outputTokens: 40 }).max_completion_tokens, 1);
+});
+
+test('a preempted stream and its continuation read as one response', () => {
+  const checkpoint = createStreamCheckpoint();
+  let sent = checkpoint.push(chunk('first', { role: 'assistant', content: '' }) + chunk('first', { content: 'Once' }));
+  sent += checkpoint.push(chunk('first', { content: ' upon' }) + 'data: {"id":"first","choi');
+  assert.equal(checkpoint.content, 'Once upon');
+  assert.equal(checkpoint.outputTokens, 2);
+  assert.ok(!sent.includes('"choi\n'), 'a line cut off by the abort is held back');
+
+  checkpoint.resume();
+  sent += checkpoint.push(chunk('second', { role: 'assistant', content: '' }) + chunk('second', { content: ' a time' }));
+  sent += checkpoint.push(`data: ${JSON.stringify({ id: 'second', choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], usage: { prompt_tokens: 9, completion_tokens: 1, total_tokens: 10 } })}\n\ndata: [DONE]`);
+  sent += checkpoint.end();
+
+  const events = sent.split('\n').filter(line => line.startsWith('data: {')).map(line => JSON.parse(line.slice(6)));
+  assert.deepEqual(events.map(event => event.id), ['first', 'first', 'first', 'first', 'first']);
+  assert.equal(events.filter(event => event.choices[0]?.delta?.role).length, 1);
+  assert.equal(events.map(event => event.choices[0].delta.content || '').join(''), 'Once upon a time');
+  assert.deepEqual(events.at(-1).usage, { prompt_tokens: 7, completion_tokens: 3, total_tokens: 10 });
+  assert.equal(events.at(-1).created, 1);
+  assert.ok(sent.endsWith('data: [DONE]'));
+  assert.equal(checkpoint.resumes, 1);
+});
+
+test('a resumed stream is accounted for the output on both sides of the preemption', () => {
+  const checkpoint = createStreamCheckpoint();
+  checkpoint.push(chunk('first', { role: 'assistant', content: '' }));
+  for (const word of ['One', ' two', ' three', ' four']) checkpoint.push(chunk('first', { content: word }));
+  checkpoint.resume();
+
+  // llama.cpp reports the continuation alone: two new tokens, and a prompt of
+  // the 20 original tokens plus the 4 re-sent as the assistant prefill.
+  const timings = { prompt_n: 24, predicted_n: 2 };
+  checkpoint.push(chunk('second', { content: ' five' }) + chunk('second', { content: ' six' }, { timings }));
+  assert.deepEqual(
+    resumedTokenCounts(checkpoint, { promptTokens: timings.prompt_n, completionTokens: timings.predicted_n }),
+    { promptTokens: 20, completionTokens: 6 },
+  );
+  assert.deepEqual(resumedTokenCounts({ carried: 5 }, { promptTokens: 3 }), { promptTokens: 0, completionTokens: 5 });
+
+  const sent = checkpoint.push(`data: ${JSON.stringify({ id: 'second', choices: [], usage: { completion_tokens: 2 } })}\n`);
+  assert.deepEqual(JSON.parse(sent.slice(6)).usage, { completion_tokens: 6 });
+});
@@ -17,9 +17,10 @@ import { fileURLToPath } from 'url';
 import { dirname, join, basename } from 'path';
 import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
-import { cpus, totalmem, freemem, loadavg } from 'os';
+import { cpus, totalmem, freemem, loadavg, hostname } from 'os';
 import { EventEmitter } from 'events';
-import { createHash } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash, randomBytes } from 'crypto';
 import pty from 'node-pty';
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
@@ -54,7 +55,7 @@ import { shouldDeferMemRestart, shouldRestartForResidentLeak } from './mem-watch
 import { slotCacheFilename, shouldRestoreSlot } from './slot-cache.js';
 import { protectResidentDecision, DEFAULT_PROTECT_MIN_BYTES } from './protect-resident.js';
 import { aggregateRequestStats } from './request-stats.js';
-import { createMediaRouter } from './media.js';
+import { createMediaRouter, parseMultipartFile } from './media.js';
 import { createAudioTranscriptionHandler } from './audio-transcriptions.js';
 import { renderLlmsFullReference, renderLlmsIndex } from './api-spec.js';
 import { expandMessages } from './multimodal-expand.js';
@@ -96,7 +97,7 @@ import {
   createRequestTimingRecorder,
   tokenizerRevision,
 } from './timing-evidence.js';
-import { PriorityRequestQueue } from './request-queue.js';
+import { PriorityRequestQueue, deadlineError, normalizeQueueWeights } from './request-queue.js';
 import { managerRequestPolicy, stripManagerRequestFields } from './request-policy.js';
 import {
   ENGINE_TYPES, presetEngine, isDs4Preset, resolveDs4Config,
@@ -124,6 +125,156 @@ import {
 } from './distribution-policy.js';
 import { beginLlamaUpdate, createLlamaSourceUpdateSpec } from './llama-update-controller.js';
 import { applyConfigDefaults } from './config-defaults.js';
+import {
+  ApiKeyStore, API_KEY_SCOPES, extractApiKey, isLoopbackAddress,
+  requiredScope, resolveAuthSettings, scopeSatisfies
+} from './api-keys.js';
+import {
+  ClientUsageTracker, isQuotaEndpoint, rateLimitErrorBody,
+  resolveClientIdentity, resolveClientLimits, normalizeClientLimits
+} from './client-quotas.js';
+import { UsageLedger, normalizeUsageQuery, usageReportToCsv, userAgentClient } from './usage-ledger.js';
+import {
+  Histogram,
+  METRICS_CONTENT_TYPE,
+  TOKENS_PER_SECOND_BUCKETS,
+  TTFT_SECONDS_BUCKETS,
+  buildManagerMetrics,
+  renderMetrics,
+} from './metrics.js';
+import {
+  OtlpHttpExporter,
+  SPAN_KIND,
+  SPAN_STATUS,
+  Tracer,
+  normalizeTracingSettings,
+  resolveTracingSettings,
+  timingEvidenceAttributes,
+  withSpan,
+} from './tracing.js';
+import { LogStore, normalizeLogRetention, parseLogQuery } from './log-store.js';
+import {
+  buildReplayRequest,
+  normalizeReplayOverrides,
+  summarizeLoggedRun,
+  summarizeReplayRun,
+} from './llm-replay.js';
+import {
+  ALERT_SIGNALS,
+  AlertEngine,
+  createWebhookDelivery,
+  normalizeAlertSettings,
+  publicAlertSettings,
+} from './alerts.js';
+import {
+  AUDIT_RETENTION_DEFAULTS, buildAuditEntry, isAuditedRequest, normalizeAuditRetention, raiseAuditRetention,
+} from './audit-log.js';
+import {
+  CAPTURED_BODY_FIELDS,
+  REDACTION_DETECTORS,
+  REQUEST_LOG_TEXT_FIELDS,
+  createRedactor,
+  normalizeRedactionSettings,
+  stripCapturedBodies,
+} from './redaction.js';
+import {
+  BackendHealth,
+  normalizeBackendProbeOverride,
+  normalizeHealthProbeSettings,
+  resolveProbeSettings,
+  runHealthProbe,
+} from './backend-health.js';
+import {
+  modelsUrl,
+  normalizeBackendProtocol,
+  parseModelList,
+  protocolHeaders,
+  protocolSupportsEndpoint,
+  translateChatRequest,
+  translateChatResponse,
+} from './backend-protocols.js';
+import {
+  BackendSpend,
+  evaluateBudget,
+  normalizeBackendBudget,
+  normalizeGlobalBudget,
+} from './backend-budgets.js';
+import {
+  SloAccuracy,
+  chooseSloCandidate,
+  normalizeSloSettings,
+  predictLocalTtft,
+  sloTargetFor,
+} from './slo-routing.js';
+import {
+  HedgeLedger,
+  TtftSamples,
+  deltaHasOutput,
+  hedgeApplies,
+  hedgeDelayMs,
+  normalizeHedgeSettings,
+} from './request-hedging.js';
+import {
+  SHADOW_ENDPOINTS,
+  ShadowSummary,
+  compareOutputs,
+  completionOutput,
+  normalizeShadowRule,
+  sampleShadow,
+  shadowRequestBody,
+} from './shadow-traffic.js';
+import { validateAlias } from './model-aliases.js';
+import {
+  SPLIT_ENDPOINTS,
+  SplitStats,
+  isWeightedGroup,
+  lineagePoint,
+  pickWeightedTarget,
+  splitTargetKey,
+} from './alias-canary.js';
+import {
+  PEER_HOP_HEADER,
+  PeerDirectory,
+  buildPeerState,
+  discoverPeers,
+  normalizeBackendType,
+  parsePeerState,
+  peerStateUrl,
+} from './peer-federation.js';
+import { applyModelSuggestions, modelMatchKey, suggestModelMappings } from './model-mapping-sync.js';
+import { applyRequestTransforms, applyResponseTransforms, normalizeBackendTransforms } from './backend-transforms.js';
+import {
+  BATCH_COMPLETION_WINDOW,
+  BATCH_ENDPOINTS,
+  BATCH_FILE_MAX_BYTES,
+  BatchStore,
+  OPEN_BATCH_STATUSES,
+  batchGate,
+  batchResultLine,
+  createBatchObject,
+  isRetryableStatus,
+  multipartTextField,
+  normalizeBatchSettings,
+  parseBatchInput,
+  publicRecord,
+  visibleTo,
+} from './batch-api.js';
+import {
+  RESUMABLE_PREEMPTION_DEFAULTS,
+  continuationRequest,
+  createStreamCheckpoint,
+  normalizeResumablePreemption,
+  resumedTokenCounts,
+} from './resumable-preemption.js';
+import {
+  ResponseStore,
+  normalizeResponseStoreSettings,
+  createResponseStreamRecorder,
+  inputItemsPage,
+  newChainId,
+  responseInputItems,
+  upstreamItems,
+} from './response-store.js';
 dotenv.config({ path: join(PROJECT_ROOT, '.env') });
 
 const RUNTIME_PATHS = resolveRuntimePaths(process.env, {
@@ -263,6 +414,227 @@ app.use((req, res, next) => {
   next();
 });
 
+// Client API key authentication. A presented manager-issued key resolves to
+// req.apiKey (the cache identity) even while enforcement is off; with
+// apiAuth.enabled every scoped /api and /v1 route requires a key holding the
+// route's scope. The manager's own loopback sub-requests carry a per-process
+// internal token, and other loopback callers pass while apiAuth.trustLoopback
+// is set.
+const apiKeyStore = new ApiKeyStore({ path: join(dirname(RUNTIME_PATHS.configPath), 'api-keys.json') });
+apiKeyStore.load();
+const INTERNAL_AUTH_TOKEN = randomBytes(32).toString('hex');
+
+// Administrative audit trail (see audit-log.js). Registered ahead of the
+// key check so denied attempts are recorded too; the actor is read when the
+// response finishes, after authentication has resolved req.apiKey.
+app.use((req, res, next) => {
+  if (!isAuditedRequest(req.method, requiredScope(req.method, req.path))) return next();
+  const start = Date.now();
+  const configBefore = JSON.parse(JSON.stringify(config));
+  let errorMessage = null;
+  const origJson = res.json;
+  res.json = function(body) {
+    if (res.statusCode >= 400) {
+      const error = body?.error;
+      errorMessage = typeof error === 'string' ? error : error?.message || null;
+    }
+    return origJson.call(this, body);
+  };
+  res.on('finish', () => {
+    const client = requestClientIdentity(req);
+    persistLog(auditLogStore, buildAuditEntry({
+      method: req.method,
+      path: req.originalUrl || req.path,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+      params: req.params,
+      body: currentRedactor().redactValue(req.body),
+      actor: {
+        keyId: req.apiKey?.id || null,
+        keyLabel: req.apiKey?.label || null,
+        client: client?.label || null,
+        ip: req.ip || req.socket?.remoteAddress || null,
+        userAgent: req.headers['user-agent'] || null,
+        internal: req.internal === true,
+      },
+      status: res.statusCode,
+      error: errorMessage,
+      durationMs: Date.now() - start,
+      configBefore,
+      configAfter: config,
+    }));
+  });
+  next();
+});
+
+app.use((req, res, next) => {
+  const scope = requiredScope(req.method, req.path);
+  if (!scope) return next();
+  const presented = extractApiKey(req.headers);
+  req.apiKey = apiKeyStore.authenticate(presented);
+  req.internal = req.headers['x-llama-manager-internal'] === INTERNAL_AUTH_TOKEN;
+  const settings = resolveAuthSettings(config);
+  if (!settings.enabled) return next();
+  if (!req.apiKey) {
+    if (req.internal) return next();
+    if (!presented && settings.trustLoopback && isLoopbackAddress(req.socket?.remoteAddress)) return next();
+    return res.status(401).json({
+      error: {
+        message: presented ? 'Invalid or revoked API key' : 'An API key is required (Authorization: Bearer lmk_...)',
+        type: 'authentication_error',
+        code: 'invalid_api_key',
+      },
+    });
+  }
+  if (!scopeSatisfies(req.apiKey.scopes, scope)) {
+    return res.status(403).json({
+      error: {
+        message: `API key '${req.apiKey.label}' lacks the '${scope}' scope`,
+        type: 'permission_error',
+        code: 'insufficient_scope',
+      },
+    });
+  }
+  next();
+});
+
+// Per-client rate limits and token quotas. Generation requests are admitted
+// against the caller's limits before routing or local queue admission; the
+// client identity then rides an async request context so token accounting in
+// addLlmLog() can charge the right client without threading req everywhere.
+// The manager's own sub-requests are neither limited nor double-charged.
+const requestContext = new AsyncLocalStorage();
+const clientUsage = new ClientUsageTracker({ path: join(RUNTIME_PATHS.dataDir, 'client-usage.json') });
+clientUsage.load();
+const ANONYMOUS_CLIENT = { id: 'anonymous', label: 'anonymous', source: 'anonymous' };
+// X-Client-Id is free-form and unauthenticated; once API keys are enforced only
+// the key identifies a client, so the header cannot pick whose limits apply.
+function requestClientIdentity(req) {
+  return resolveClientIdentity({ apiKey: req.apiKey, headers: req.headers, trustClientId: !resolveAuthSettings(config).enabled });
+}
+// Chargeback ledger (see usage-ledger.js). Keyless callers are billed by
+// User-Agent product rather than lumped into one anonymous row.
+const usageLedger = new UsageLedger({ path: join(RUNTIME_PATHS.dataDir, 'usage-ledger.json') });
+usageLedger.load();
+// Running remote spend per backend for budget cutoffs (see backend-budgets.js).
+const backendSpend = new BackendSpend({ path: join(RUNTIME_PATHS.dataDir, 'backend-spend.json') });
+backendSpend.load();
+
+// OpenTelemetry tracing (see tracing.js). Every generation request, including
+// rate-limited ones, opens a SERVER span that continues any incoming W3C
+// traceparent; phase helpers (resolveBackend, acquireLocalSlot,
+// ensureModelServed, maybeRestoreSlot, the upstream fetches) open children via
+// withSpan() on the request context. The exporter is rebuilt whenever
+// config.tracing changes, and is null while tracing is disabled.
+let tracer = null;
+let traceExporter = null;
+
+/** Build (or tear down) the tracer from config.tracing and OTEL_* env. */
+function configureTracing() {
+  const settings = resolveTracingSettings(config, process.env);
+  traceExporter?.shutdown().catch(() => {});
+  traceExporter = null;
+  tracer = null;
+  if (settings.enabled) {
+    traceExporter = new OtlpHttpExporter({
+      endpoint: settings.endpoint,
+      serviceName: settings.serviceName,
+      headers: settings.headers,
+      maxQueueSize: settings.maxQueueSize,
+      maxBatchSize: settings.maxBatchSize,
+    });
+    traceExporter.start(settings.flushIntervalMs);
+    tracer = new Tracer({ exporter: traceExporter, sampleRatio: settings.sampleRatio });
+  }
+  return settings;
+}
+
+app.use((req, res, next) => {
+  if (!tracer || !isQuotaEndpoint(req.method, req.path)) return next();
+  const span = tracer.startRequestSpan(`${req.method} ${req.path}`, {
+    traceparent: req.headers.traceparent,
+    attributes: {
+      'http.request.method': req.method,
+      'url.path': req.path,
+      'llm.request.model': typeof req.body?.model === 'string' ? req.body.model : null,
+      'llm.request.stream': req.body?.stream === true,
+      'llama_manager.internal': req.internal === true,
+    },
+  });
+  // Spans still open when the response ends (the upstream stream) end with it.
+  const trace = { root: span, stream: null };
+  const finish = (aborted) => {
+    if (span.ended) return;
+    trace.stream?.end();
+    span.setAttributes({
+      'http.response.status_code': res.statusCode,
+      'llama_manager.backend': req._backend || 'local',
+      'llama_manager.retries': req._retryInfo?.retries || 0,
+    });
+    if (aborted) span.setAttribute('llama_manager.client_disconnect', true);
+    if (res.statusCode >= 500) span.status = { code: SPAN_STATUS.ERROR, message: `HTTP ${res.statusCode}` };
+    span.end();
+  };
+  res.on('finish', () => finish(false));
+  res.on('close', () => finish(!res.writableFinished));
+  requestContext.run({ ...requestContext.getStore(), span, trace }, next);
+});
+
+// A request a peer manager forwarded here is never forwarded on to another
+// peer (see backendModelFor), so two managers cannot bounce it between them.
+app.use((req, res, next) => {
+  const store = requestContext.getStore();
+  if (store && req.headers[PEER_HOP_HEADER]) store.peerHop = true;
+  next();
+});
+
+// The manager's own sub-requests are exempt, except batch lines: they carry
+// the batch owner (see runBatchRequest) and are limited and charged as that
+// client. The header is only believed on an authenticated internal request.
+const ON_BEHALF_OF_HEADER = 'x-llama-manager-on-behalf-of';
+
+function internalOnBehalfOf(req) {
+  if (!req.internal || !req.headers[ON_BEHALF_OF_HEADER]) return null;
+  try {
+    const { client, usageClient } = JSON.parse(decodeURIComponent(String(req.headers[ON_BEHALF_OF_HEADER])));
+    if (!client?.id) return null;
+    return { client, usageClient: usageClient?.id ? usageClient : client };
+  } catch {
+    return null;
+  }
+}
+
+app.use((req, res, next) => {
+  if (!isQuotaEndpoint(req.method, req.path)) return next();
+  const onBehalfOf = internalOnBehalfOf(req);
+  if (req.internal && !onBehalfOf) return next();
+  const client = onBehalfOf?.client || requestClientIdentity(req) || ANONYMOUS_CLIENT;
+  const limits = resolveClientLimits(config, client.id === ANONYMOUS_CLIENT.id ? null : client.id);
+  const decision = clientUsage.admit(client, limits);
+  for (const [name, value] of Object.entries(decision.headers)) res.setHeader(name, value);
+  if (decision.action === 'reject') {
+    res.setHeader('Retry-After', String(Math.max(1, Math.ceil(decision.retryAfterMs / 1000))));
+    addLog('manager', `Rate limited client '${client.label}' on ${req.path}: ${decision.reason}`);
+    return res.status(429).json(rateLimitErrorBody(decision, client, limits));
+  }
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    clientUsage.release(client.id);
+  };
+  res.on('finish', release);
+  res.on('close', release);
+  requestContext.getStore()?.span?.setAttribute('llama_manager.client', client.label);
+  const usageClient = onBehalfOf?.usageClient
+    || (client === ANONYMOUS_CLIENT ? (userAgentClient(req.headers['user-agent']) || client) : client);
+  requestContext.run({ ...requestContext.getStore(), client, usageClient }, next);
+});
+setInterval(() => {
+  try { clientUsage.persist(); } catch (e) { console.error('[quotas] failed to persist client usage', e); }
+  try { usageLedger.persist(); } catch (e) { console.error('[usage] failed to persist usage ledger', e); }
+  try { backendSpend.persist(); } catch (e) { console.error('[budget] failed to persist backend spend', e); }
+}, 30_000).unref();
+
 // Serve static files from the UI build
 const UI_BUILD_PATH = join(PROJECT_ROOT, 'ui', 'dist');
 if (existsSync(UI_BUILD_PATH)) {
@@ -280,8 +652,30 @@ const API_PORT = process.env.API_PORT || 3001;
 const LLAMA_PORT = process.env.LLAMA_PORT || 8080;
 const EMBED_PORT = process.env.EMBED_PORT || 5252;
 const LLAMA_UI_URL = process.env.LLAMA_UI_URL || null; // Optional override for llama.cpp UI URL
+const INTERNAL_BASE_URL = `http://127.0.0.1:${API_PORT}`;
+
+/**
+ * fetch() for the manager's own sub-requests. Requests addressed to this
+ * process carry the internal auth token; any other URL is fetched unchanged so
+ * the token never leaves the process.
+ */
+function internalFetch(url, init = {}) {
+  if (!String(url).startsWith(`${INTERNAL_BASE_URL}/`)) return fetch(url, init);
+  const span = requestContext.getStore()?.span;
+  return fetch(url, {
+    ...init,
+    headers: {
+      ...init.headers,
+      'x-llama-manager-internal': INTERNAL_AUTH_TOKEN,
+      // Sub-requests (auto-router probes, transcription) join the caller's trace.
+      ...(span ? { traceparent: span.traceparent() } : {}),
+    },
+  });
+}
+
 const handleAudioTranscription = createAudioTranscriptionHandler({
   resolveModelCapabilities,
+  fetchImpl: internalFetch,
   chatCompletionsUrl: `http://127.0.0.1:${API_PORT}/api/v1/chat/completions`,
 });
 app.post('/api/v1/audio/transcriptions', handleAudioTranscription);
@@ -328,7 +722,9 @@ let activeLocalModel = null; // model currently being processed/loaded on local
 let loadedModelsSnapshot = [];
 let idleShutdown = false;   // true when server was stopped due to idle timeout
 
-const llamaQueue = new PriorityRequestQueue(1); // default: 1 concurrent request
+// Clients share each priority class by weight (config.queueWeights, keyed like
+// clientLimits; unlisted clients weigh 1).
+const llamaQueue = new PriorityRequestQueue(1, { weightFor: clientId => config?.queueWeights?.[clientId] ?? 1 }); // default: 1 concurrent request
 
 // Timestamp of the most recent LOCAL request completion (slot release). Used by the
 // queue-admission policy to tell a deep-but-DRAINING queue (completions still happening)
@@ -395,13 +791,13 @@ async function probeSlotCount(model) {
 }
 
 /** Resolve and assign a scope-safe, stable conversation lineage. */
-function lookupOrAssignSlot(model, body, headers) {
+function lookupOrAssignSlot(model, body, headers, principal = null) {
   const identity = deriveConversationCacheIdentity({
     explicitKey: body?.conversation_cache_key ?? body?.prompt_cache_key,
     messages: body?.messages,
   });
   if (!identity) return null;
-  const scope = deriveCacheScope(headers);
+  const scope = deriveCacheScope(headers, principal);
   const lineageKey = conversationLineageKey({
     scopeId: scope.id,
     resolvedModel: model,
@@ -434,6 +830,8 @@ const slotCacheRegistry = new DurableSlotCacheRegistry({
   maxCount: SLOT_CACHE_DEFAULTS.maxCount,
 });
 try { slotCacheRegistry.load(); } catch { /* corrupt or inaccessible storage fails cold */ }
+// Durable restore outcomes since process start, exported on /metrics.
+const slotRestoreStats = { hits: 0, misses: 0 };
 const modelCompatibilityCache = new Map();
 const preparedContexts = new PreparedContextStore({
   ttlMs: 15 * 60_000,
@@ -498,6 +896,14 @@ async function modelServingRevisions(model) {
  * @param {{slotId:number,key:string}|null} slotAssignment - From lookupOrAssignSlot.
  */
 async function maybeRestoreSlot(model, slotAssignment) {
+  return withSpan(requestContext, 'slot_restore', { 'llm.request.model': model, 'llama_manager.slot_id': slotAssignment?.slotId }, async (span) => {
+    const restored = await _maybeRestoreSlotInner(model, slotAssignment);
+    span?.setAttribute('llama_manager.slot_restored', restored);
+    return restored;
+  });
+}
+
+async function _maybeRestoreSlotInner(model, slotAssignment) {
   if (!slotCacheCfg().enabled) return false;
   if (!slotAssignment || slotAssignment.slotId == null || !slotAssignment.key) return false;
   const rec = slotCacheRegistry.find({
@@ -506,7 +912,10 @@ async function maybeRestoreSlot(model, slotAssignment) {
     lineageKey: slotAssignment.lineageKey,
     compatibilityHash: slotAssignment.compatibilityHash,
   });
-  if (!rec) return false;
+  if (!rec) {
+    slotRestoreStats.misses += 1;
+    return false;
+  }
   try {
     // Probe the assigned slot's current state to decide cold-vs-warm.
     const slots = await fetchModelSlotsWhenReady({
@@ -526,10 +935,12 @@ async function maybeRestoreSlot(model, slotAssignment) {
       waitForReady: readyModel => waitForModelReady(readyModel, { label: 'slot-cache' }),
     });
     if (restored) {
+      slotRestoreStats.hits += 1;
       console.log(`[slot-cache] RESTORE model=${model} slot=${slotAssignment.slotId} file=${rec.filename} n_restored=${restored.n_restored ?? '?'}`);
       return true;
     }
     // Restore failed (missing/stale dump, ctx mismatch). Drop the dangling record.
+    slotRestoreStats.misses += 1;
     console.warn(`[slot-cache] restore failed slot=${slotAssignment.slotId} file=${rec.filename}`);
     slotCacheRegistry.invalidate({
       scopeId: slotAssignment.scopeId,
@@ -592,6 +1003,60 @@ async function scheduleSlotSave(model, slotAssignment) {
   finally { if (queueId != null) llamaQueue.release(queueId); }
 }
 
+// === Resumable preemption ===========================================================
+// A streamed background chat completion preempted by realtime work is paused
+// rather than failed: the output sent so far is kept, the lane is handed over,
+// and once it frees the generation continues with that output as an assistant
+// prefill (see resumable-preemption.js). With saveSlot the preempted slot is
+// also dumped first, so the continuation restores it instead of re-prefilling
+// prompt plus partial output after the realtime request reused the slot.
+const resumableStats = { checkpoints: 0, resumes: 0, slotSaves: 0, failed: 0 };
+
+/** Resolve resumable preemption settings (config.resumablePreemption over defaults). */
+function resumablePreemptionCfg() {
+  return { ...RESUMABLE_PREEMPTION_DEFAULTS, ...(config?.resumablePreemption || {}) };
+}
+
+/** Dump a preempted request's slot; returns the dump filename, or null when nothing was saved. */
+async function checkpointSlot(model, slotId, requestId) {
+  const filename = `preempt-${requestId}-${Date.now()}.bin`;
+  try {
+    const r = await fetch(`http://localhost:${LLAMA_PORT}/slots/${slotId}?action=save`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filename, model }),
+      signal: AbortSignal.timeout(60000)
+    });
+    if (!r.ok) return null;
+    const j = await r.json().catch(() => ({}));
+    if (!(j.n_saved > 0)) return null;
+    resumableStats.slotSaves++;
+    return filename;
+  } catch {
+    return null;
+  }
+}
+
+/** Delete a checkpoint dump that will not be restored. */
+function discardCheckpointSlot(filename) {
+  try { unlinkSync(join(SLOT_SAVE_DIR, filename)); } catch { /* already gone */ }
+}
+
+/** Restore a checkpoint dump into the slot, then delete it. Best effort. */
+async function restoreCheckpointSlot(model, slotId, filename) {
+  try {
+    await restoreModelSlotWhenReady({
+      baseUrl: `http://localhost:${LLAMA_PORT}`,
+      model,
+      slotId,
+      filename,
+      signal: AbortSignal.timeout(MODEL_LOAD_WAIT_MS),
+      waitForReady: readyModel => waitForModelReady(readyModel, { label: 'slot-cache' }),
+    });
+  } catch { /* a cold continuation re-prefills */ }
+  discardCheckpointSlot(filename);
+}
+
 // === Pre-tokenization queue =========================================================
 // Tokenizing happens on CPU; while a request waits in the local queue for the
 // GPU to be free, we can spend that CPU time tokenizing its prompt. Results
@@ -632,6 +1097,11 @@ const backendQueues = new Map();  // backend.id -> RequestQueue
 const backendStats = new Map();   // backend.id -> { totalRequests, successRequests, errorRequests, ... }
 let offloadCounter = 0; // rolling counter for percentage-based offloading
 const contextRoutingStats = { offloadSuppressedLocalOnly: 0, localOnlyRejected: 0 };
+const sloAccuracy = new SloAccuracy(); // `slo` policy decisions and TTFT prediction error per host
+const shadowSummary = new ShadowSummary(); // mirrored pairs and skips per shadow rule since start
+const splitStats = new SplitStats(); // weighted alias split assignments and outcomes per target since start
+const peerDirectory = new PeerDirectory(); // last /api/peer/state seen from each peer manager
+const PEER_INSTANCE_ID = randomBytes(8).toString('hex'); // identifies this process to its peers
 
 function initBackendQueues() {
   backendQueues.clear();
@@ -650,7 +1120,8 @@ function initBackendQueues() {
         totalDurationMs: 0,
         avgTokPerSec: 0,
         lastUsed: null,
-        recentLatencies: []
+        recentLatencies: [],
+        hedges: { fired: 0, won: 0, lost: 0 }
       });
     }
   }
@@ -748,28 +1219,46 @@ function estimateInputTokens(body) {
   return Math.ceil(chars / TEXT_CHARS_PER_TOKEN_ESTIMATE) + multimodalTokens;
 }
 
-// Estimate how long a request will take locally based on recent performance
-function estimateLocalProcessingMs(inputTokens) {
+// Estimate local prompt processing time and queue wait based on recent performance
+function estimateLocalTimings(inputTokens) {
   // Get recent local prompt processing speed
   const recentLocal = tokenStats.recentRequests.filter(r => r.promptTokens > 10 && r.duration > 100);
-  if (recentLocal.length < 3) return 0; // not enough data to estimate
+  if (recentLocal.length < 3) return { promptMs: 0, queueWaitMs: 0 }; // not enough data to estimate
 
   // Average prompt tokens per second from recent requests
   const promptSpeeds = recentLocal.slice(-10).map(r => r.promptTokens / (r.duration / 1000));
   const avgPromptTps = promptSpeeds.reduce((a, b) => a + b, 0) / promptSpeeds.length;
-  if (avgPromptTps <= 0) return 0;
+  if (avgPromptTps <= 0) return { promptMs: 0, queueWaitMs: 0 };
 
-  // Estimated prompt processing time + queue wait
   const promptMs = (inputTokens / avgPromptTps) * 1000;
   const queueWaitMs = llamaQueue.pending > 0
     ? llamaQueue.pending * (recentLocal.slice(-5).reduce((s, r) => s + r.duration, 0) / Math.min(5, recentLocal.length))
     : 0;
+  return { promptMs, queueWaitMs };
+}
 
+// Estimate how long a request will take locally (prompt processing + queue wait)
+function estimateLocalProcessingMs(inputTokens) {
+  const { promptMs, queueWaitMs } = estimateLocalTimings(inputTokens);
   return promptMs + queueWaitMs;
 }
 
-// Resolve which backend should handle a request
-function resolveBackend(requestedModel, endpoint, body, { localOnly = false } = {}) {
+// Resolve which backend should handle a request (traced as `resolve_backend`).
+function resolveBackend(requestedModel, endpoint, body, options) {
+  return withSpan(requestContext, 'resolve_backend', { 'llm.request.model': requestedModel, 'llama_manager.endpoint': endpoint }, (span) => {
+    const routing = _resolveBackendInner(requestedModel, endpoint, body, options);
+    span?.setAttributes({
+      'llama_manager.routing': routing.remote ? 'remote' : 'local',
+      'llama_manager.backend': routing.backend?.id || 'local',
+      'llama_manager.offload_suppressed': routing.offloadSuppressed,
+      'llama_manager.slo.target_ms': routing.slo?.targetMs,
+      'llama_manager.slo.predicted_ttft_ms': routing.slo?.predictedMs ?? undefined,
+    });
+    return routing;
+  });
+}
+
+function _resolveBackendInner(requestedModel, endpoint, body, { localOnly = false, maxTtftMs = null, alias = null } = {}) {
   const backends = config.backends || {};
   if (!backends.enabled || !backends.directory?.length) {
     return { remote: false };
@@ -785,6 +1274,11 @@ function resolveBackend(requestedModel, endpoint, body, { localOnly = false } =
         contextRoutingStats.offloadSuppressedLocalOnly++;
         return { remote: false, localOnly: true, offloadSuppressed: true, suppressionReason: 'explicit_remote_backend' };
       }
+      const budget = backendBudgetStatus(explicitBackend);
+      if (budget.blocking) {
+        console.log(`[routing] ${explicitBackend.name} is over its ${budget.blocking.scope} ${budget.blocking.period} budget — rejecting "${requestedModel}"`);
+        return { remote: false, budgetExceeded: { backend: explicitBackend, limit: budget.blocking } };
+      }
       const remoteModel = requestedModel.substring(slashIdx + 1);
       return buildRemoteRouting(explicitBackend, remoteModel, endpoint);
     }
@@ -799,6 +1293,12 @@ function resolveBackend(requestedModel, endpoint, body, { localOnly = false } =
     return { remote: false };
   }
 
+  if (policy === 'slo' && !localOnly && endpoint !== 'embeddings') {
+    const sloRouting = resolveSloRouting(requestedModel, endpoint, body, { maxTtftMs, alias });
+    if (sloRouting) return sloRouting;
+    // No TTFT target applies to this request: route it like `overflow`.
+  }
+
   // Try a remote BEFORE taking the local slot when either the operator
   // configured prefer-remote (preferLocal=false) OR the local APU is thermally
   // throttled. preferLocal=false means "spread offloadable work to remote
@@ -812,13 +1312,17 @@ function resolveBackend(requestedModel, endpoint, body, { localOnly = false } =
   // Whether some enabled/tested/non-tripped/under-capacity remote backend can serve the
   // requested model. Computed once here and reused by both the try-remote-first path and the
   // protect-resident gate below (which both need it).
+  // An over-budget backend still counts here when budget.onExceeded is
+  // 'reject', so work that belongs remote is refused below instead of
+  // quietly landing on the local lane.
+  const budgetAction = globalBudgetSettings().onExceeded;
   const viableRemoteEndpointKey = endpoint.replace(/\//g, '/');
   const hasViableRemote = backends.directory.some(b => {
     if (!b.enabled || !b.tested) return false;
     if (isBackendCircuitOpen(b.id)) return false;
-    if (b.supportedEndpoints && !b.supportedEndpoints.includes(viableRemoteEndpointKey)) return false;
-    if (!b.modelMapping) return false;
-    if (!resolveModelMapping(b.modelMapping, requestedModel)) return false;
+    if (budgetAction === 'local' && isBackendOverBudget(b)) return false;
+    if (!backendServesEndpoint(b, viableRemoteEndpointKey)) return false;
+    if (!backendModelFor(b, requestedModel)) return false;
     const queue = backendQueues.get(b.id);
     if (queue && queue.active >= queue.concurrency) return false;
     return true;
@@ -829,7 +1333,7 @@ function resolveBackend(requestedModel, endpoint, body, { localOnly = false } =
   }
 
   if (!shouldOffload) {
-    if (policy === 'overflow') {
+    if (policy === 'overflow' || policy === 'slo') {
       // Offload when local queue is at capacity (active requests >= concurrency limit).
       // This triggers offload for the current request that would otherwise have to wait.
       shouldOffload = llamaQueue.active >= llamaQueue.concurrency;
@@ -904,6 +1408,23 @@ function resolveBackend(requestedModel, endpoint, body, { localOnly = false } =
     }
   }
 
+  // Warm-peer offload: the model is not resident here but a peer manager with
+  // spare capacity reports it loaded, so send the request there instead of
+  // paying for a local cold load.
+  if (!shouldOffload && backends.preferWarmPeers !== false && !loadedModelsSnapshot.some(m => m.id === requestedModel)) {
+    const warmPeer = backends.directory.find(b => {
+      if (!b.enabled || !b.tested || isBackendCircuitOpen(b.id) || isBackendOverBudget(b)) return false;
+      if (!backendServesEndpoint(b, viableRemoteEndpointKey)) return false;
+      if (!peerHasWarm(b, backendModelFor(b, requestedModel))) return false;
+      const queue = backendQueues.get(b.id);
+      return !(queue && queue.active >= queue.concurrency);
+    });
+    if (warmPeer) {
+      shouldOffload = true;
+      console.log(`[routing] Warm-peer offload: "${requestedModel}" is loaded on peer ${warmPeer.name}, not here`);
+    }
+  }
+
   // Protect-resident gate (anti-thrash for the big model). If a large model (e.g. the 65GB
   // gpt-oss-120b) is resident locally and the local slots are full, loading a DIFFERENT model
   // would evict it -> slow reload + amdgpu suspend-wedge risk. When a remote can serve this
@@ -940,14 +1461,19 @@ function resolveBackend(requestedModel, endpoint, body, { localOnly = false } =
 
   // Pick best backend (must be enabled, tested, have capacity, and have a model mapping)
   const endpointKey = endpoint.replace(/\//g, '/');
+  let budgetBlocked = null;
   const candidates = backends.directory.filter(b => {
     if (!b.enabled) return false;
     if (!b.tested) return false; // Must pass a connectivity test before use
     if (isBackendCircuitOpen(b.id)) return false; // Skip backends with tripped circuit breaker
-    if (b.supportedEndpoints && !b.supportedEndpoints.includes(endpointKey)) return false;
-    // Check model mapping (exact match, glob patterns, or * catch-all)
-    if (!b.modelMapping) return false;
-    if (!resolveModelMapping(b.modelMapping, requestedModel)) return false;
+    if (!backendServesEndpoint(b, endpointKey)) return false;
+    // Check model mapping (exact match, glob patterns, or * catch-all), or what a peer serves
+    if (!backendModelFor(b, requestedModel)) return false;
+    const budget = backendBudgetStatus(b);
+    if (budget.blocking) {
+      budgetBlocked ??= { backend: b, limit: budget.blocking };
+      return false;
+    }
     // Backpressure: skip backends whose queue is at capacity so we don't pile
     // work onto an overloaded endpoint. If ALL backends are full, we fall through
     // to local processing rather than making things worse.
@@ -960,14 +1486,25 @@ function resolveBackend(requestedModel, endpoint, body, { localOnly = false } =
   });
 
   if (candidates.length === 0) {
+    if (budgetBlocked && budgetAction === 'reject') {
+      console.log(`[routing] Budget cutoff: every backend for "${requestedModel}" is over budget — rejecting`);
+      return { remote: false, budgetExceeded: budgetBlocked };
+    }
     return { remote: false };
   }
 
-  // Sort by: priority (lower = better), then token speed (higher = better),
+  // Sort by: peers with the model already loaded first (unless preferWarmPeers
+  // is off), then priority (lower = better), then token speed (higher = better),
   // then sharedResourceWeight (lower = better), then lowest active queue count.
   // Token speed uses the exponential moving average from completed requests,
   // so faster backends are preferred over slower ones at the same priority level.
+  const warm = new Set(backends.preferWarmPeers === false ? [] : candidates
+    .filter(b => peerHasWarm(b, backendModelFor(b, requestedModel)))
+    .map(b => b.id));
   candidates.sort((a, b) => {
+    const warmA = warm.has(a.id) ? 0 : 1;
+    const warmB = warm.has(b.id) ? 0 : 1;
+    if (warmA !== warmB) return warmA - warmB;
     const pa = a.priority ?? 50;
     const pb = b.priority ?? 50;
     if (pa !== pb) return pa - pb;
@@ -987,21 +1524,122 @@ function resolveBackend(requestedModel, endpoint, body, { localOnly = false } =
   const chosenQueue = backendQueues.get(chosen.id);
   const chosenStats = backendStats.get(chosen.id);
   console.log(`[routing] Selected backend: ${chosen.name} (${chosenQueue?.active || 0}/${chosenQueue?.concurrency || '?'} active, ${Math.round(chosenStats?.avgTokPerSec || 0)} tok/s, priority=${chosen.priority ?? 50})`);
-  const remoteModel = resolveModelMapping(chosen.modelMapping, requestedModel);
+  const remoteModel = backendModelFor(chosen, requestedModel);
   return buildRemoteRouting(chosen, remoteModel, endpoint);
 }
 
+// `slo` offload policy (see slo-routing.js). Predicts TTFT locally and on each
+// viable remote and takes the cheapest host expected to meet the target. The
+// prediction rides on the request context so endActiveRequest can compare it
+// with the observed first token. Returns null when no target applies.
+const SLO_EXPECTED_OUTPUT_TOKENS = 256; // for pricing remotes when the request sets no max_tokens
+const SLO_MODEL_SIZE_TTL_MS = 5 * 60_000;
+const sloModelSizes = new Map(); // model -> { bytes, at }
+
+function sloSettings() {
+  try {
+    return normalizeSloSettings(config.backends?.slo || {});
+  } catch {
+    return normalizeSloSettings();
+  }
+}
+
+// On-disk size for the cold-load estimate; resolveModelSizeBytes() scans the
+// models directory, so cache it off the hot path.
+function sloModelSizeBytes(model) {
+  const resident = loadedModelsSnapshot.find(m => m.id === model);
+  if (resident?.sizeBytes) return resident.sizeBytes;
+  const cached = sloModelSizes.get(model);
+  if (cached && Date.now() - cached.at < SLO_MODEL_SIZE_TTL_MS) return cached.bytes;
+  const bytes = resolveModelSizeBytes(model);
+  sloModelSizes.set(model, { bytes, at: Date.now() });
+  return bytes;
+}
+
+// Observed TTFT for the mapped model, then the backend overall; total latency
+// (an upper bound) stands in until streamed traffic has produced TTFT samples.
+function predictRemoteTtftMs(backend, remoteModel) {
+  const latency = backendHealth.latency(backend.id);
+  const model = latency.models.find(m => m.model === remoteModel);
+  return model?.ttftP50Ms ?? latency.ttftP50Ms ?? model?.p50Ms ?? latency.p50Ms ?? null;
+}
+
+function resolveSloRouting(requestedModel, endpoint, body, { maxTtftMs, alias }) {
+  const settings = sloSettings();
+  const targetMs = sloTargetFor(settings, [alias, requestedModel], maxTtftMs);
+  if (!targetMs) return null;
+
+  const inputTokens = estimateInputTokens(body);
+  const local = {
+    host: 'local',
+    costUsd: 0,
+    ...predictLocalTtft({
+      ...estimateLocalTimings(inputTokens),
+      resident: loadedModelsSnapshot.some(m => m.id === requestedModel),
+      modelBytes: sloModelSizeBytes(requestedModel),
+      coldLoadMsPerGiB: settings.coldLoadMsPerGiB,
+    }),
+  };
+  const outputTokens = Number(body?.max_tokens ?? body?.max_completion_tokens ?? body?.max_output_tokens) || SLO_EXPECTED_OUTPUT_TOKENS;
+  const remotes = config.backends.directory.flatMap(b => {
+    if (!b.enabled || !b.tested) return [];
+    if (isBackendCircuitOpen(b.id) || isBackendOverBudget(b)) return [];
+    if (!backendServesEndpoint(b, endpoint)) return [];
+    const remoteModel = backendModelFor(b, requestedModel);
+    if (!remoteModel) return [];
+    const queue = backendQueues.get(b.id);
+    if (queue && queue.active >= queue.concurrency) return [];
+    return [{ host: b.id, backend: b, remoteModel, ttftMs: predictRemoteTtftMs(b, remoteModel), costUsd: calculateBackendCost(b, inputTokens, outputTokens) }];
+  });
+
+  const { choice, met } = chooseSloCandidate(targetMs, [local, ...remotes]);
+  sloAccuracy.recordDecision(choice, met);
+  const slo = { host: choice.host, targetMs, predictedMs: choice.ttftMs, met, at: Date.now() };
+  const store = requestContext.getStore();
+  if (store) store.slo = slo;
+  const predicted = choice.ttftMs === null ? 'no TTFT data' : `predicted TTFT ${choice.ttftMs}ms`;
+  console.log(`[routing] SLO ${targetMs}ms for "${requestedModel}": ${choice.host} (${predicted}${met ? '' : ', no host expected to meet it'}; local ${local.ttftMs}ms = queue ${local.queueWaitMs} + prompt ${local.promptMs} + load ${local.loadMs})`);
+  if (choice.host === 'local') return { remote: false, slo };
+  return { ...buildRemoteRouting(choice.backend, choice.remoteModel, endpoint), slo };
+}
+
+// Whether a backend can take an endpoint: its own supportedEndpoints list, and
+// non-OpenAI protocols only translate chat/completions.
+function backendServesEndpoint(backend, endpoint) {
+  if (backend.supportedEndpoints && !backend.supportedEndpoints.includes(endpoint)) return false;
+  return protocolSupportsEndpoint(backend.protocol, endpoint);
+}
+
+// Auth headers in the backend protocol's style, plus configured extra headers
+function backendHeaders(backend) {
+  const apiKey = backend.apiKeyEnvVar ? process.env[backend.apiKeyEnvVar] : null;
+  const headers = protocolHeaders(backend.protocol, apiKey, backend.extraHeaders);
+  if (backend.type === 'peer') headers[PEER_HOP_HEADER] = PEER_INSTANCE_ID;
+  return headers;
+}
+
+// The model a backend would serve `requestedModel` as, or null when it cannot
+// take it: its model mapping, or for a peer manager the requested model itself
+// when the peer reports it can serve it. A peer is skipped while it reports a
+// thermal pause, and for requests another peer forwarded here.
+function backendModelFor(backend, requestedModel) {
+  const mapped = resolveModelMapping(backend.modelMapping, requestedModel);
+  if (backend.type !== 'peer') return mapped || null;
+  if (requestContext.getStore()?.peerHop) return null;
+  const state = peerDirectory.fresh(backend.id);
+  if (state?.thermalPaused) return null;
+  if (mapped) return mapped;
+  return state && (state.models.includes(requestedModel) || state.loadedModels.includes(requestedModel)) ? requestedModel : null;
+}
+
+// Whether a peer manager reports `model` loaded right now.
+function peerHasWarm(backend, model) {
+  return backend.type === 'peer' && !!model && !!peerDirectory.fresh(backend.id)?.loadedModels.includes(model);
+}
+
 function buildRemoteRouting(backend, remoteModel, endpoint) {
   const baseUrl = backend.url.replace(/\/+$/, '');
-  const apiKey = backend.apiKeyEnvVar ? process.env[backend.apiKeyEnvVar] : null;
-  const headers = { 'Content-Type': 'application/json' };
-  if (apiKey) {
-    headers['Authorization'] = `Bearer ${apiKey}`;
-  }
-  // Forward extra headers if configured
-  if (backend.extraHeaders) {
-    Object.assign(headers, backend.extraHeaders);
-  }
+  const headers = backendHeaders(backend);
   return {
     remote: true,
     backend,
@@ -1021,9 +1659,9 @@ function findFastestAvailableBackend(requestedModel, endpoint) {
   const candidates = backends.directory.filter(b => {
     if (!b.enabled || !b.tested) return false;
     if (isBackendCircuitOpen(b.id)) return false;
-    if (b.supportedEndpoints && !b.supportedEndpoints.includes(endpointKey)) return false;
-    if (!b.modelMapping) return false;
-    if (!resolveModelMapping(b.modelMapping, requestedModel)) return false;
+    if (isBackendOverBudget(b)) return false;
+    if (!backendServesEndpoint(b, endpointKey)) return false;
+    if (!backendModelFor(b, requestedModel)) return false;
     const queue = backendQueues.get(b.id);
     if (queue && queue.active >= queue.concurrency) return false;
     return true;
@@ -1064,7 +1702,7 @@ function setupBackfillRace(req, res, { requestedModel, endpoint, proxyBody, isSt
       return;
     }
 
-    const remoteModel = resolveModelMapping(chosen.modelMapping, requestedModel);
+    const remoteModel = backendModelFor(chosen, requestedModel);
     const routing = buildRemoteRouting(chosen, remoteModel, endpoint);
     const remoteBody = { ...proxyBody, model: remoteModel };
     const elapsed = Date.now() - startTime;
@@ -1204,22 +1842,270 @@ function setupBackfillRace(req, res, { requestedModel, endpoint, proxyBody, isSt
   return timer;
 }
 
+// Request hedging (see request-hedging.js). A hedged local request is also
+// sent to the fastest remote once it has waited the hedge delay without
+// output; the first side to stream output claims the response and the other
+// is cancelled. The local handler checks the returned race handle before it
+// writes, so a hedge can take over while the request is still queued.
+const localTtft = new TtftSamples(); // local request start -> first token, per model
+const hedgeLedger = new HedgeLedger(); // hedge budget window and race outcomes since start
+
+function hedgeSettings() {
+  try {
+    return normalizeHedgeSettings(config.backends?.hedging || {});
+  } catch {
+    return normalizeHedgeSettings();
+  }
+}
+
+function noteBackendHedge(backendId, outcome) {
+  const stats = backendStats.get(backendId);
+  if (stats) stats.hedges[outcome]++;
+}
+
+// Rewrite the model field of complete SSE lines and collect their output.
+function rewriteHedgeLines(text, requestedModel) {
+  let output = false;
+  const texts = [];
+  let usage = null;
+  const lines = text.split('\n').map(line => {
+    if (!line.startsWith('data: ') || line.trim() === 'data: [DONE]') return line;
+    try {
+      const data = JSON.parse(line.slice(6));
+      const delta = data.choices?.[0]?.delta;
+      if (deltaHasOutput(delta)) output = true;
+      const chunkText = delta?.content || delta?.reasoning_content || delta?.reasoning || '';
+      if (chunkText) texts.push(chunkText);
+      if (data.usage) usage = data.usage;
+      if (!data.model || data.model === requestedModel) return line;
+      data.model = requestedModel;
+      return 'data: ' + JSON.stringify(data);
+    } catch {
+      return line;
+    }
+  });
+  return { text: lines.join('\n'), output, texts, usage };
+}
+
+// Arm the hedge for a streamed local chat completion. Returns null when the
+// request is not hedged, otherwise a handle: won() is true once the hedge owns
+// the response, and claimLocal() must succeed before the local side writes output.
+function armHedge(req, res, { requestedModel, proxyBody, startTime, activeReqId, policy, names }) {
+  const settings = hedgeSettings();
+  if (!hedgeApplies(settings, { priority: policy.priority, requested: policy.hedge, names })) return null;
+  const entry = activeRequests.get(activeReqId);
+  if (!entry) return null;
+  hedgeLedger.noteEligible();
+
+  const race = { winner: null, controller: new AbortController() };
+  const claim = (side) => {
+    if (race.winner) return race.winner === side;
+    race.winner = side;
+    return true;
+  };
+  // Ended without serving: a loss if local output won, otherwise a failure
+  // (unless the client went away first).
+  const settleUnserved = (chosen) => {
+    if (race.winner === 'local') {
+      noteBackendHedge(chosen.id, 'lost');
+      hedgeLedger.record('localWon');
+    } else if (!res.destroyed) {
+      hedgeLedger.record('failed');
+    }
+  };
+  // The hedge serves the response: cancel the local side wherever it is, in
+  // the queue or upstream, and let kill/watchdog/disconnect abort the hedge.
+  const takeOver = (chosen) => {
+    const primary = entry.abortController;
+    entry.abortController = race.controller;
+    entry.backend = chosen.id;
+    const queued = llamaQueue.queue.find(item => item.activeReqId === activeReqId);
+    if (queued) llamaQueue.cancel(queued.id);
+    try { primary?.abort('hedge_won'); } catch { /* best effort */ }
+    noteBackendHedge(chosen.id, 'won');
+    hedgeLedger.record('remoteWon');
+    if (!res.headersSent) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.flushHeaders();
+    }
+  };
+
+  const fire = async () => {
+    if (race.winner || res.writableEnded) return;
+    const chosen = findFastestAvailableBackend(requestedModel, 'chat/completions');
+    if (!chosen) {
+      hedgeLedger.record('noBackend');
+      return;
+    }
+    if (!hedgeLedger.tryFire(settings.budgetPercent)) return;
+    noteBackendHedge(chosen.id, 'fired');
+    const remoteModel = backendModelFor(chosen, requestedModel);
+    const routing = buildRemoteRouting(chosen, remoteModel, 'chat/completions');
+    console.log(`[hedge] Request ${activeReqId} has no output after ${Date.now() - startTime}ms, hedging on ${chosen.name}`);
+
+    let completionTokens = 0, promptTokens = 0, responseText = '';
+    let reader = null;
+    try {
+      const { response } = await fetchRemoteBackend(chosen, routing.targetUrl, {
+        method: 'POST',
+        headers: { ...routing.headers },
+        body: JSON.stringify({ ...proxyBody, model: remoteModel, stream: true })
+      }, { label: 'hedge', model: remoteModel, externalSignal: race.controller.signal });
+      if (!response.ok) {
+        console.log(`[hedge] ${chosen.name} returned ${response.status}, local request continues`);
+        try { await response.body?.cancel(); } catch { /* ignore */ }
+        settleUnserved(chosen);
+        return;
+      }
+
+      // Hold the opening role-only chunks until output decides the race; pass
+      // only complete lines through so keepalive comments never split one.
+      reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let carry = '';
+      let held = '';
+      while (true) {
+        const { done, value } = await reader.read();
+        let lines = '';
+        if (done) {
+          lines = carry + decoder.decode();
+        } else {
+          carry += decoder.decode(value, { stream: true });
+          const cut = carry.lastIndexOf('\n');
+          if (cut >= 0) {
+            lines = carry.slice(0, cut + 1);
+            carry = carry.slice(cut + 1);
+          }
+        }
+        const part = rewriteHedgeLines(lines, requestedModel);
+        if (race.winner !== 'hedge') {
+          held += part.text;
+          if (!part.output && !done) continue;
+          if (!claim('hedge')) {
+            try { await reader.cancel(); } catch { /* ignore */ }
+            settleUnserved(chosen);
+            return;
+          }
+          console.log(`[hedge] ${chosen.name} won request ${activeReqId} after ${Date.now() - startTime}ms`);
+          addLog('backends', `Hedge won: ${chosen.name} beat local for ${requestedModel} after ${Date.now() - startTime}ms`);
+          takeOver(chosen);
+          if (held && !res.writableEnded) res.write(held);
+          held = '';
+        } else if (part.text && !res.writableEnded) {
+          res.write(part.text);
+        }
+        for (const text of part.texts) {
+          completionTokens++;
+          responseText += text;
+          updateActiveRequest(activeReqId, text);
+        }
+        if (part.usage) {
+          promptTokens = part.usage.prompt_tokens || promptTokens;
+          completionTokens = part.usage.completion_tokens || completionTokens;
+        }
+        if (done) break;
+      }
+      res.end();
+
+      const duration = Date.now() - startTime;
+      const tokensPerSecond = duration > 0 ? (completionTokens / (duration / 1000)) : 0;
+      recordTokenStats({
+        promptTokens, completionTokens, tokensPerSecond, model: requestedModel, duration, backend: chosen.name,
+        priority: policy.priority, routingOutcome: 'hedged',
+      });
+      updateBackendTokenStats(chosen.id, promptTokens, completionTokens, duration, chosen);
+      addLlmLog({
+        endpoint: 'chat/completions', model: requestedModel, stream: true, status: 200, duration, promptTokens, completionTokens,
+        tokensPerSecond: Math.round(tokensPerSecond * 10) / 10,
+        messages: req.body.messages || null, prompt: null, response: responseText, error: null,
+        backend: chosen.id, requestBody: req.body, hedge: true
+      });
+      endActiveRequest(activeReqId, { status: 'complete', tokens: completionTokens, responseText });
+    } catch (err) {
+      if (race.winner !== 'hedge') {
+        if (race.winner !== 'local') console.log(`[hedge] Failed on ${chosen.name}: ${err.message}`);
+        settleUnserved(chosen);
+        return;
+      }
+      console.error(`[hedge] Stream error from ${chosen.name}:`, err.message);
+      addLlmLog({
+        endpoint: 'chat/completions', model: requestedModel, stream: true, status: 500, duration: Date.now() - startTime,
+        promptTokens, completionTokens, tokensPerSecond: 0,
+        messages: req.body.messages || null, prompt: null, response: responseText || null, error: `Stream error: ${err.message}`,
+        backend: chosen.id, requestBody: req.body, hedge: true
+      });
+      // A cancelled race controller means the client left or the request was
+      // killed; only an upstream fault counts against the backend.
+      if (!race.controller.signal.aborted) recordBackendFailure(chosen.id, chosen.name);
+      if (!res.writableEnded) {
+        try {
+          res.write(`data: ${JSON.stringify({ error: { message: `Stream error: ${err.message}`, type: 'stream_aborted', code: 500 } })}\n\n`);
+          res.write('data: [DONE]\n\n');
+        } catch { /* ignore */ }
+        res.end();
+      }
+      endActiveRequest(activeReqId, { status: 'error' });
+    }
+  };
+
+  // The delay counts from request start, so queue wait is part of it.
+  const delayMs = hedgeDelayMs(localTtft.percentile(requestedModel, settings.percentile), settings);
+  const timer = setTimeout(() => { fire().catch(() => {}); }, Math.max(0, delayMs - (Date.now() - startTime)));
+  res.on('close', () => {
+    clearTimeout(timer);
+    if (race.winner !== 'hedge') race.controller.abort();
+  });
+
+  return {
+    won: () => race.winner === 'hedge',
+    claimLocal: () => {
+      clearTimeout(timer);
+      if (!claim('local')) return false;
+      race.controller.abort();
+      return true;
+    },
+  };
+}
+
 // Fetch from a remote backend with retry and per-backend queue
-// Circuit breaker state per backend
-const backendCircuitBreakers = new Map(); // backend.id -> { failures, lastFailure, trippedAt }
+// Circuit breaker, probe and latency state per backend (see backend-health.js).
+// Half-open admits a single trial request; routing skips the backend while
+// the trial is in flight.
 const CIRCUIT_BREAKER_THRESHOLD = 3;     // consecutive failures to trip
-const CIRCUIT_BREAKER_RESET_MS = 60000;  // try again after 60s
+const CIRCUIT_BREAKER_RESET_MS = 60000;  // go half-open after 60s
+const backendHealth = new BackendHealth({ threshold: CIRCUIT_BREAKER_THRESHOLD, resetMs: CIRCUIT_BREAKER_RESET_MS });
 
 function isBackendCircuitOpen(backendId) {
-  const cb = backendCircuitBreakers.get(backendId);
-  if (!cb || !cb.trippedAt) return false;
-  // Allow retry after reset period (half-open)
-  if (Date.now() - cb.trippedAt > CIRCUIT_BREAKER_RESET_MS) return false;
-  return true;
+  return !backendHealth.admits(backendId);
 }
 
-function recordBackendSuccess(backendId) {
-  backendCircuitBreakers.set(backendId, { failures: 0, lastFailure: 0, trippedAt: null });
+function recordBackendSuccess(backendId, backendName = backendId) {
+  if (backendHealth.recordSuccess(backendId) === 'closed') {
+    console.log(`[circuit-breaker] Backend ${backendName} recovered — circuit closed`);
+    addLog('backends', `Circuit breaker closed for ${backendName} — trial request succeeded`);
+  }
+}
+
+// Record TTFT (first body chunk of a streamed response) and total latency
+// (body fully read) for the backend + model. Cancelled bodies add no sample.
+function trackBackendLatency(backend, model, response, startTime) {
+  if (!response.body) return response;
+  const contentType = response.headers.get('content-type') || '';
+  const streamed = contentType.includes('text/event-stream') || contentType.includes('ndjson');
+  let ttftMs = null;
+  const body = response.body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      if (streamed && ttftMs === null) ttftMs = Date.now() - startTime;
+      controller.enqueue(chunk);
+    },
+    flush() {
+      backendHealth.recordLatency(backend.id, model, { latencyMs: Date.now() - startTime, ttftMs });
+    },
+  }));
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
 }
 
 // ---------------------------------------------------------------------------
@@ -1273,25 +2159,131 @@ function enrichLlamaManagerMeta(meta, opts = {}) {
 }
 
 function recordBackendFailure(backendId, backendName) {
-  const cb = backendCircuitBreakers.get(backendId) || { failures: 0, lastFailure: 0, trippedAt: null };
-  cb.failures++;
-  cb.lastFailure = Date.now();
-  if (cb.failures >= CIRCUIT_BREAKER_THRESHOLD && !cb.trippedAt) {
-    cb.trippedAt = Date.now();
-    console.log(`[circuit-breaker] Backend ${backendName} tripped after ${cb.failures} consecutive failures — pausing for ${CIRCUIT_BREAKER_RESET_MS / 1000}s`);
-    addLog('backends', `Circuit breaker tripped for ${backendName} — ${cb.failures} consecutive failures, pausing ${CIRCUIT_BREAKER_RESET_MS / 1000}s`);
+  const transition = backendHealth.recordFailure(backendId);
+  if (transition === 'tripped') {
+    console.log(`[circuit-breaker] Backend ${backendName} tripped after ${CIRCUIT_BREAKER_THRESHOLD} consecutive failures — pausing for ${CIRCUIT_BREAKER_RESET_MS / 1000}s`);
+    addLog('backends', `Circuit breaker tripped for ${backendName} — ${CIRCUIT_BREAKER_THRESHOLD} consecutive failures, pausing ${CIRCUIT_BREAKER_RESET_MS / 1000}s`);
+  } else if (transition === 'reopened') {
+    console.log(`[circuit-breaker] Backend ${backendName} failed its trial request — pausing for ${CIRCUIT_BREAKER_RESET_MS / 1000}s`);
+    addLog('backends', `Circuit breaker re-opened for ${backendName} — trial request failed, pausing ${CIRCUIT_BREAKER_RESET_MS / 1000}s`);
+  }
+}
+
+// Spend budgets (see backend-budgets.js). Once a backend's own or the global
+// daily / monthly budget is spent, routing skips the backend until the period
+// resets; explicit `backendId/model` requests get a 402. Warnings and cutoffs
+// are logged once per limit and period.
+const budgetNotices = new Map(); // notice key -> resetsAt
+
+// A hand-edited invalid block falls back to no limits rather than breaking routing.
+function globalBudgetSettings() {
+  try {
+    return normalizeGlobalBudget(config.backends?.budget || {});
+  } catch {
+    return normalizeGlobalBudget();
+  }
+}
+
+function backendBudgetStatus(backend) {
+  let backendBudget = null;
+  try {
+    backendBudget = normalizeBackendBudget(backend.budget);
+  } catch { /* validated on save; ignore hand edits */ }
+  return evaluateBudget(backendSpend, { backendId: backend.id, backendBudget, globalBudget: globalBudgetSettings() });
+}
+
+function isBackendOverBudget(backend) {
+  return backendBudgetStatus(backend).state === 'exceeded';
+}
+
+// Highest percent used of any configured limit, for the alert gauge
+function backendBudgetPercent() {
+  const globalLimits = evaluateBudget(backendSpend, { backendId: null, globalBudget: globalBudgetSettings() }).limits;
+  const backendLimits = (config.backends?.directory || []).flatMap(b => backendBudgetStatus(b).limits.filter(l => l.scope === 'backend'));
+  const percents = [...globalLimits, ...backendLimits].map(l => l.percent);
+  return percents.length ? Math.max(...percents) : null;
+}
+
+function recordBackendSpend(backend, usd) {
+  if (!(usd > 0)) return;
+  backendSpend.record(backend.id, usd);
+  const now = Date.now();
+  for (const [key, resetsAt] of budgetNotices) {
+    if (resetsAt <= now) budgetNotices.delete(key);
+  }
+  for (const limit of backendBudgetStatus(backend).limits) {
+    if (limit.state === 'ok') continue;
+    const key = [limit.scope === 'global' ? '*' : backend.id, limit.period, limit.state].join(':');
+    if (budgetNotices.has(key)) continue;
+    budgetNotices.set(key, limit.resetsAt);
+    const owner = limit.scope === 'global' ? 'Global' : backend.name;
+    const period = limit.period === 'day' ? 'daily' : 'monthly';
+    const spent = `$${limit.spentUsd.toFixed(4)} of $${limit.limitUsd} (${limit.percent}%)`;
+    if (limit.state === 'exceeded') {
+      const cutoff = limit.scope === 'global' ? 'all remote backends' : backend.name;
+      console.log(`[budget] ${owner} ${period} budget exhausted: ${spent}`);
+      addLog('backends', `${owner} ${period} budget exhausted — ${spent}; routing skips ${cutoff} until ${new Date(limit.resetsAt).toISOString()}`);
+    } else {
+      addLog('backends', `${owner} ${period} budget warning — ${spent}`);
+    }
   }
-  backendCircuitBreakers.set(backendId, cb);
 }
 
-async function fetchRemoteBackend(backend, url, options, { label = 'remote', model, externalSignal } = {}) {
+// 402 for a request pinned to a backend whose budget is spent
+function sendBudgetExceeded(res, { backend, limit }) {
+  const owner = limit.scope === 'global' ? 'the global' : `backend ${backend.id}'s`;
+  res.set('Retry-After', String(Math.max(1, Math.ceil((limit.resetsAt - Date.now()) / 1000))));
+  return res.status(402).json({
+    error: {
+      message: `Remote spend budget exhausted: ${owner} ${limit.period === 'day' ? 'daily' : 'monthly'} limit of $${limit.limitUsd} is used up ($${limit.spentUsd.toFixed(4)} spent); resets at ${new Date(limit.resetsAt).toISOString()}`,
+      type: 'budget_exceeded',
+      code: 'BUDGET_EXCEEDED',
+    },
+    _llama_manager: { routing: 'rejected', backend: backend.id, budget: limit },
+  });
+}
+
+async function fetchRemoteBackend(backend, url, options, meta = {}) {
+  return traceUpstream(url, options, { 'llama_manager.backend': backend.id, 'llm.request.model': meta.model },
+    traced => _fetchRemoteBackendInner(backend, url, traced, meta));
+}
+
+async function _fetchRemoteBackendInner(backend, url, options, { label = 'remote', model, externalSignal } = {}) {
   const queue = backendQueues.get(backend.id);
   if (!queue) {
     throw new Error(`No queue for backend ${backend.id}`);
   }
 
-  // Check circuit breaker before queuing
-  if (isBackendCircuitOpen(backend.id)) {
+  // The backend's own request quirks (see backend-transforms.js), applied in
+  // the OpenAI shape so they compose with protocol translation.
+  if (backend.transforms?.request && typeof options.body === 'string') {
+    let body = null;
+    try { body = JSON.parse(options.body); } catch { /* not JSON — sent as is */ }
+    if (body) options = { ...options, body: JSON.stringify(applyRequestTransforms(body, backend.transforms)) };
+  }
+
+  // Anthropic / Gemini / Ollama upstreams: translate the chat completion here
+  // so callers keep sending and reading OpenAI shapes (see backend-protocols.js).
+  const protocol = backend.protocol || 'openai';
+  let upstreamUrl = url;
+  let upstreamOptions = options;
+  let clientStreams = false;
+  if (protocol !== 'openai') {
+    const baseUrl = backend.url.replace(/\/+$/, '');
+    if (url !== `${baseUrl}/chat/completions`) {
+      throw new Error(`Backend ${backend.name} speaks ${protocol} and only serves chat/completions`);
+    }
+    const body = JSON.parse(options.body);
+    clientStreams = body.stream === true;
+    const native = translateChatRequest(protocol, { baseUrl, body });
+    upstreamUrl = native.url;
+    upstreamOptions = { ...options, body: JSON.stringify(native.body) };
+  }
+
+  // Check circuit breaker before queuing; a half-open backend lets exactly
+  // one request through as the trial.
+  const admission = backendHealth.beginRequest(backend.id);
+  if (!admission.admitted) {
     throw new Error(`Backend ${backend.name} circuit breaker is open (consecutive failures)`);
   }
 
@@ -1327,9 +2319,9 @@ async function fetchRemoteBackend(backend, url, options, { label = 'remote', mod
           externalSignal.addEventListener('abort', externalAbortHandler, { once: true });
         }
       }
-      const fetchOptions = { ...options, signal: controller.signal };
+      const fetchOptions = { ...upstreamOptions, signal: controller.signal };
       try {
-        const response = await fetch(url, fetchOptions);
+        let response = await fetch(upstreamUrl, fetchOptions);
         clearTimeout(timeout);
         // Keep externalAbortHandler active — caller's signal may still need
         // to tear down a stalled body stream after headers arrive. We remove
@@ -1344,6 +2336,10 @@ async function fetchRemoteBackend(backend, url, options, { label = 'remote', mod
           }
           throw new Error('External signal aborted (client cancelled)');
         }
+        if (protocol !== 'openai') {
+          response = await translateChatResponse(protocol, response, { model, stream: clientStreams });
+        }
+        response = await applyResponseTransforms(response, backend.transforms);
 
         const duration = Date.now() - startTime;
         if (stats) {
@@ -1351,7 +2347,7 @@ async function fetchRemoteBackend(backend, url, options, { label = 'remote', mod
           stats.lastUsed = Date.now();
           if (response.ok) {
             stats.successRequests++;
-            recordBackendSuccess(backend.id);
+            recordBackendSuccess(backend.id, backend.name);
           } else {
             stats.errorRequests++;
             recordBackendFailure(backend.id, backend.name);
@@ -1361,7 +2357,7 @@ async function fetchRemoteBackend(backend, url, options, { label = 'remote', mod
           if (stats.recentLatencies.length > 20) stats.recentLatencies.shift();
         }
 
-        return { response, retries: attempt, backend };
+        return { response: response.ok ? trackBackendLatency(backend, model, response, startTime) : response, retries: attempt, backend };
       } catch (err) {
         clearTimeout(timeout);
         if (externalAbortHandler && externalSignal) {
@@ -1372,6 +2368,7 @@ async function fetchRemoteBackend(backend, url, options, { label = 'remote', mod
         // not a backend failure. Don't retry, don't count toward the
         // consecutive-failures counter that would trip the circuit breaker.
         if (externalSignal?.aborted) {
+          if (admission.trial) backendHealth.abandonTrial(backend.id);
           throw err;
         }
         // If the breaker tripped while we were retrying, stop early — no
@@ -1409,6 +2406,8 @@ function calculateBackendCost(backend, promptTokens, completionTokens) {
 
 // Update backend stats after a completed request with token info
 function updateBackendTokenStats(backendId, promptTokens, completionTokens, duration, backend) {
+  const cost = backend ? calculateBackendCost(backend, promptTokens, completionTokens) : 0;
+  if (backend) recordBackendSpend(backend, cost);
   const stats = backendStats.get(backendId);
   if (!stats) return;
   stats.totalPromptTokens += promptTokens;
@@ -1418,10 +2417,7 @@ function updateBackendTokenStats(backendId, promptTokens, completionTokens, dura
     // Exponential moving average for tok/s
     stats.avgTokPerSec = stats.avgTokPerSec === 0 ? tps : stats.avgTokPerSec * 0.8 + tps * 0.2;
   }
-  if (backend) {
-    const cost = calculateBackendCost(backend, promptTokens, completionTokens);
-    stats.totalCostUsd += cost;
-  }
+  stats.totalCostUsd += cost;
   // Track in per-minute accumulator
   requestStatsAccum.offloaded++;
   requestStatsAccum.backendCounts[backendId] = (requestStatsAccum.backendCounts[backendId] || 0) + 1;
@@ -1498,6 +2494,10 @@ function recordCrashEvent({ exitCode, trigger, model }) {
   }
 
   console.log(`[crash] Recorded crash event: trigger=${trigger}, models=${event.activeModels.join(',') || 'none'}, mode=${currentMode}`);
+  notifyAlertEvent('crash', {
+    message: `llama-server crashed (exit ${exitCode ?? 'unknown'}, ${trigger}) with ${event.activeModels.join(', ') || 'no active requests'}`,
+    details: { exitCode, trigger, mode: event.mode, preset: event.preset, model: event.model, queuePending: event.queuePending },
+  });
   return event;
 }
 
@@ -1563,12 +2563,22 @@ function loadRequestSamples() {
 }
 loadRequestSamples();
 
+// Prometheus histograms fed by recordRequestSample(); they start empty on every
+// boot, like any other Prometheus counter, rather than replaying requests.jsonl.
+const requestMetrics = {
+  tokensPerSecond: new Histogram({ buckets: TOKENS_PER_SECOND_BUCKETS }),
+  ttftSeconds: new Histogram({ buckets: TTFT_SECONDS_BUCKETS }),
+};
+
 /**
  * Append one completed generation to the per-request store (memory + JSONL).
  *
  * @param {Object} sample - The compact record described above.
  */
 function recordRequestSample(sample) {
+  const series = { model: sample.m, backend: sample.b };
+  if (sample.tps > 0) requestMetrics.tokensPerSecond.observe(series, sample.tps);
+  if (sample.ttft != null) requestMetrics.ttftSeconds.observe(series, sample.ttft / 1000);
   requestSamples.push(sample);
   if (requestSamples.length > MAX_REQUEST_SAMPLES) requestSamples.shift();
   try {
@@ -1747,9 +2757,29 @@ function shouldFilterLog(line, customFilters = []) {
   });
 }
 
+// Sensitive-data redaction (config.redaction, see redaction.js) is applied at
+// each sink: the server log buffer, the request and LLM log stores with their
+// WebSocket broadcasts, audit bodies and the live active-request feed.
+let redactorCache = { source: undefined, redactor: null };
+function currentRedactor() {
+  if (redactorCache.source !== config.redaction || !redactorCache.redactor) {
+    let settings;
+    try {
+      settings = normalizeRedactionSettings(config.redaction || {});
+    } catch (error) {
+      // A hand-edited invalid rule drops the operator rules but keeps the
+      // built-in detectors rather than logging everything in the clear.
+      console.error(`[redaction] Invalid config.redaction, ignoring custom rules: ${error.message}`);
+      settings = normalizeRedactionSettings({ enabled: config.redaction?.enabled === true });
+    }
+    redactorCache = { source: config.redaction, redactor: createRedactor(settings) };
+  }
+  return redactorCache.redactor;
+}
+
 function addLog(source, message) {
   const timestamp = new Date().toISOString();
-  const lines = message.toString().split('\n').filter(l => l.trim());
+  const lines = currentRedactor().redactText(message.toString()).split('\n').filter(l => l.trim());
 
   for (const line of lines) {
     // Skip noisy polling log entries
@@ -1792,16 +2822,48 @@ function broadcastLog(logEntry) {
   }
 }
 
-// Request log buffer (circular buffer for HTTP request logs)
-const MAX_REQUEST_LOG_ENTRIES = 200;
-let requestLogBuffer = [];
+// Request and LLM logs persist to segmented JSONL stores under the data dir so
+// they survive restarts and can be searched and paged from the Logs page.
+// Retention is read from config.logRetention on every segment roll.
+const LOG_STORE_DIR = join(RUNTIME_PATHS.dataDir, 'logs');
+const requestLogStore = new LogStore({ directory: join(LOG_STORE_DIR, 'requests'), prefix: 'requests', getRetention: () => config.logRetention });
+const llmLogStore = new LogStore({ directory: join(LOG_STORE_DIR, 'llm'), prefix: 'llm', getRetention: () => config.logRetention });
+// The audit log is append-only through the API: it can be searched but not
+// cleared, and only its own retention (config.auditRetention, which the API
+// can raise but not lower) ever removes whole segments.
+const auditLogStore = new LogStore({ directory: join(LOG_STORE_DIR, 'audit'), prefix: 'audit', getRetention: () => auditRetention() });
+// Paired primary / shadow outputs from shadow traffic (see shadow-traffic.js).
+const shadowLogStore = new LogStore({ directory: join(LOG_STORE_DIR, 'shadow'), prefix: 'shadow', getRetention: () => config.logRetention });
+// Fired and resolved alerts (see the Alerts section).
+const alertHistoryStore = new LogStore({ directory: join(LOG_STORE_DIR, 'alerts'), prefix: 'alerts', getRetention: () => config.logRetention });
+for (const store of [requestLogStore, llmLogStore, auditLogStore, shadowLogStore, alertHistoryStore]) {
+  try {
+    store.load();
+  } catch (error) {
+    console.error(`[logs] Failed to open ${store.directory}: ${error.message}`);
+  }
+}
+setInterval(() => {
+  for (const store of [requestLogStore, llmLogStore, auditLogStore, shadowLogStore, alertHistoryStore]) store.enforceRetention();
+}, 60 * 60 * 1000).unref();
+
+function persistLog(store, entry) {
+  try {
+    store.append(entry);
+  } catch (error) {
+    console.error(`[logs] Failed to persist to ${store.directory}: ${error.message}`);
+  }
+}
 
 function addRequestLog(entry) {
   if (!config.requestLogging) return;
-  requestLogBuffer.push(entry);
-  if (requestLogBuffer.length > MAX_REQUEST_LOG_ENTRIES) {
-    requestLogBuffer.shift();
+  const client = requestContext.getStore()?.client;
+  if (client) {
+    entry.client = client.label;
+    entry.clientId = client.id;
   }
+  entry = currentRedactor().redactFields(entry, REQUEST_LOG_TEXT_FIELDS);
+  persistLog(requestLogStore, entry);
   broadcastRequestLog(entry);
 }
 
@@ -1814,20 +2876,55 @@ function broadcastRequestLog(entry) {
   }
 }
 
-// LLM conversation log buffer (stores full conversation context)
-const MAX_LLM_LOG_ENTRIES = 50;
-let llmLogBuffer = [];
-
 function addLlmLog(entry) {
   entry.id = Date.now() + Math.random();
   entry.timestamp = new Date().toISOString();
-  llmLogBuffer.push(entry);
-  if (llmLogBuffer.length > MAX_LLM_LOG_ENTRIES) {
-    llmLogBuffer.shift();
-  }
+  const context = requestContext.getStore();
+  const client = context?.client;
+  if (context?.aliasSplit && context.aliasSplit.endpoint === entry.endpoint) {
+    const split = context.aliasSplit;
+    context.aliasSplit = null;
+    splitStats.record(split.alias, split, { ok: !entry.error && entry.status < 400, latencyMs: entry.duration });
+  }
+  if (context?.shadow && context.shadow.endpoint === entry.endpoint) {
+    const shadow = context.shadow;
+    context.shadow = null;
+    mirrorShadow(shadow, entry, client);
+  }
+  if (client) {
+    entry.client = client.label;
+    entry.clientId = client.id;
+    clientUsage.recordTokens(client.id, (entry.promptTokens || 0) + (entry.completionTokens || 0));
+  }
+  recordLlmUsage(context?.usageClient || client || ANONYMOUS_CLIENT, entry, context?.resolvedModel);
+  const redactor = currentRedactor();
+  if (!redactor.capturesBodyFor(client)) entry = stripCapturedBodies(entry);
+  entry = redactor.redactFields(entry, [...CAPTURED_BODY_FIELDS, 'error']);
+  persistLog(llmLogStore, entry);
   broadcastLlmLog(entry);
 }
 
+// Charge one logged inference to the usage ledger. Remote spend uses the same
+// per-backend pricing as updateBackendTokenStats(); local GPU time is charged
+// separately when the request releases its slot (endActiveRequest). The model
+// charged is the alias-resolved name, not whatever the upstream echoed back.
+function recordLlmUsage(usageClient, entry, resolvedModel = entry.model) {
+  const backendId = entry.backend || 'local';
+  const backend = backendId === 'local' ? null : config.backends?.directory?.find(b => b.id === backendId);
+  const promptTokens = entry.promptTokens || 0;
+  const completionTokens = entry.completionTokens || 0;
+  usageLedger.record({
+    client: usageClient,
+    model: resolvedModel,
+    backend: backendId,
+    requests: 1,
+    errors: entry.error || entry.status >= 400 ? 1 : 0,
+    promptTokens,
+    completionTokens,
+    costUsd: backend ? calculateBackendCost(backend, promptTokens, completionTokens) : 0,
+  });
+}
+
 function broadcastLlmLog(entry) {
   const message = JSON.stringify({ type: 'llmLog', data: entry });
   for (const client of connectedClients) {
@@ -1870,7 +2967,7 @@ function startActiveRequest({ model, endpoint, messages, prompt, backend, priori
   }
   const abortController = new AbortController();
   // Store full context for debugging (messages array or prompt)
-  const fullContext = messages && Array.isArray(messages) ? messages : (prompt ? [{ role: 'user', content: prompt }] : []);
+  let fullContext = messages && Array.isArray(messages) ? messages : (prompt ? [{ role: 'user', content: prompt }] : []);
   const now = Date.now();
   // lastActivityAt is updated on every token (updateActiveRequest); the stall watchdog
   // aborts entries where (now - lastActivityAt) exceeds config.localStallMs.
@@ -1880,15 +2977,29 @@ function startActiveRequest({ model, endpoint, messages, prompt, backend, priori
   // actual upstream work.
   // upstreamProbe captures the latest llama.cpp /slots state for this request —
   // proof-of-life during long prompt processing (no tokens yet but slot busy).
-  const entry = { id, model, endpoint, userMessage, fullContext, responseText: '', startTime: now, lastActivityAt: now, slotAcquiredAt: null, upstreamProbe: null, status: 'processing', tokens: 0, backend: backend || 'local', priority, routing, abortController };
+  const clientIdentity = requestContext.getStore()?.client;
+  const usageClient = requestContext.getStore()?.usageClient || clientIdentity || ANONYMOUS_CLIENT;
+  const client = clientIdentity?.label || null;
+  // Prompt text is redacted once here; response text is raw while streaming
+  // and redacted on the way out (visibleResponseText).
+  const redactor = currentRedactor();
+  const captureBody = redactor.capturesBodyFor(clientIdentity);
+  if (captureBody) {
+    userMessage = redactor.redactText(userMessage);
+    fullContext = redactor.redactValue(fullContext);
+  } else {
+    userMessage = '';
+    fullContext = [];
+  }
+  const entry = { id, model, endpoint, userMessage, fullContext, captureBody, usageClient, responseText: '', startTime: now, lastActivityAt: now, slotAcquiredAt: null, upstreamProbe: null, status: 'processing', tokens: 0, firstTokenAt: null, backend: backend || 'local', priority, routing, client, abortController, slo: requestContext.getStore()?.slo || null };
   activeRequests.set(id, entry);
   // Track which model is actively being processed on the local backend
   // This is used by the offload logic to detect model-switch conflicts while a model is still loading
   if ((backend || 'local') === 'local') {
     activeLocalModel = model;
   }
-  // Broadcast without non-serializable fields (abortController)
-  const { abortController: _ac, ...broadcastData } = entry;
+  // Broadcast without non-serializable / internal fields
+  const { abortController: _ac, usageClient: _uc, ...broadcastData } = entry;
   broadcastActiveRequest('start', broadcastData);
   return id;
 }
@@ -1899,19 +3010,29 @@ function getActiveRequestSignal(id) {
   return entry?.abortController?.signal;
 }
 
+// Response text as it may leave the process: redacted, or withheld entirely
+// for clients that opted out of body capture.
+function visibleResponseText(entry) {
+  if (entry.captureBody === false) return '';
+  return currentRedactor().redactText(entry.responseText);
+}
+
 function updateActiveRequest(id, text) {
   const entry = activeRequests.get(id);
   if (!entry) return;
   entry.responseText += text;
   entry.tokens++;
+  if (entry.firstTokenAt === null) entry.firstTokenAt = Date.now();
   // Reset stall watchdog clock on each token — the request is making progress.
   entry.lastActivityAt = Date.now();
-  // Emit for SSE watchers on every token
-  activeRequestEvents.emit(`update:${id}`, { id, responseText: entry.responseText, tokens: entry.tokens, duration: Date.now() - entry.startTime });
-  // Throttle WebSocket broadcasts: every 5 tokens to avoid flooding
-  if (entry.tokens % 5 === 0 || text.includes('\n')) {
-    broadcastActiveRequest('update', { id, responseText: entry.responseText, tokens: entry.tokens, duration: Date.now() - entry.startTime });
-  }
+  // SSE watchers get every token; WebSocket broadcasts are throttled to every
+  // 5 tokens to avoid flooding. Skip building the (redacted) text when neither fires.
+  const watched = activeRequestEvents.listenerCount(`update:${id}`) > 0;
+  const broadcast = entry.tokens % 5 === 0 || text.includes('\n');
+  if (!watched && !broadcast) return;
+  const update = { id, responseText: visibleResponseText(entry), tokens: entry.tokens, duration: Date.now() - entry.startTime };
+  if (watched) activeRequestEvents.emit(`update:${id}`, update);
+  if (broadcast) broadcastActiveRequest('update', update);
 }
 
 function endActiveRequest(id, { status = 'complete', tokens = 0, responseText } = {}) {
@@ -1921,13 +3042,26 @@ function endActiveRequest(id, { status = 'complete', tokens = 0, responseText }
   if (tokens) entry.tokens = tokens;
   if (responseText !== undefined) entry.responseText = responseText;
   entry.duration = Date.now() - entry.startTime;
+  // SLO prediction error, for requests whose first token was observed
+  if (entry.slo?.predictedMs != null && entry.firstTokenAt && status === 'complete') {
+    sloAccuracy.record(entry.slo.host, { predictedMs: entry.slo.predictedMs, actualMs: entry.firstTokenAt - entry.slo.at, targetMs: entry.slo.targetMs });
+  }
+  // Local TTFT, queue wait included, sets the hedge delay
+  if (entry.backend === 'local' && entry.firstTokenAt && status === 'complete') {
+    localTtft.record(entry.model, entry.firstTokenAt - entry.startTime);
+  }
+  // GPU-seconds for chargeback: how long the request held a local lane slot.
+  if (entry.backend === 'local' && entry.slotAcquiredAt) {
+    usageLedger.record({ client: entry.usageClient, model: entry.model, backend: 'local', gpuMs: Date.now() - entry.slotAcquiredAt });
+  }
   // Track last used model
   if (entry.model && status === 'complete') {
     lastUsedModel = entry.model;
     lastUsedModelTime = Date.now();
   }
-  broadcastActiveRequest('end', { id, status, tokens: entry.tokens, duration: entry.duration, responseText: entry.responseText });
-  activeRequestEvents.emit(`end:${id}`, { id, status, tokens: entry.tokens, duration: entry.duration, responseText: entry.responseText });
+  const finalText = visibleResponseText(entry);
+  broadcastActiveRequest('end', { id, status, tokens: entry.tokens, duration: entry.duration, responseText: finalText });
+  activeRequestEvents.emit(`end:${id}`, { id, status, tokens: entry.tokens, duration: entry.duration, responseText: finalText });
   activeRequestEvents.removeAllListeners(`update:${id}`);
   activeRequestEvents.removeAllListeners(`end:${id}`);
   activeRequests.delete(id);
@@ -2140,6 +3274,8 @@ if (!config.ds4) {
   try { saveConfig(config); } catch { /* best-effort seed */ }
 }
 
+configureTracing();
+
 // ── Resource guard (memory fit + thermal governor) ───────────────────────────
 // Added after the gpt-oss-120b incident (system RAM 99.9%, APU 98-99C, crash
 // loop). Runtime protections: thermal throttle/unload, bounded queue, earlier
@@ -2725,7 +3861,7 @@ async function getSystemStats() {
     ),
     backends: config.backends?.enabled ? Object.fromEntries(
       [...backendStats.entries()].map(([id, s]) => {
-        const cb = backendCircuitBreakers.get(id);
+        const health = backendHealth.snapshot(id);
         return [id, {
           active: backendQueues.get(id)?.active || 0,
           pending: backendQueues.get(id)?.pending || 0,
@@ -2734,7 +3870,10 @@ async function getSystemStats() {
           totalRequests: s.totalRequests,
           errors: s.errorRequests,
           circuitOpen: isBackendCircuitOpen(id),
-          consecutiveFailures: cb?.failures || 0
+          circuitState: health.circuit,
+          consecutiveFailures: health.failures,
+          latencyP50Ms: health.latency.p50Ms,
+          latencyP95Ms: health.latency.p95Ms,
         }];
       })
     ) : null
@@ -3041,7 +4180,19 @@ async function getGpuStats({ maxAgeMs = GPU_STATS_CACHE_MS } = {}) {
 }
 
 // WebSocket connection handling
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
+  // Browsers cannot set headers on WebSocket upgrades, so the dashboard passes
+  // its key as ?api_key=. The stream carries logs, so it needs the read scope.
+  const auth = resolveAuthSettings(config);
+  if (auth.enabled) {
+    const presented = new URL(req.url, 'http://localhost').searchParams.get('api_key') || extractApiKey(req.headers);
+    const key = apiKeyStore.authenticate(presented);
+    const trusted = !presented && auth.trustLoopback && isLoopbackAddress(req.socket?.remoteAddress);
+    if (!trusted && !scopeSatisfies(key?.scopes, 'read')) {
+      ws.close(1008, 'API key with read scope required');
+      return;
+    }
+  }
   console.log('[ws] Client connected');
   connectedClients.add(ws);
   startStatsBroadcast();
@@ -3313,6 +4464,7 @@ app.get('/api/settings', (req, res) => {
         offloadThresholdWaitMs: config.backends?.offloadThresholdWaitMs ?? 5000,
         offloadPercentage: config.backends?.offloadPercentage || 0,
         preferLocal: config.backends?.preferLocal !== false,
+        preferWarmPeers: config.backends?.preferWarmPeers !== false,
         directory: (config.backends?.directory || []).map(b => ({
           ...b,
           apiKeyConfigured: !!(b.apiKeyEnvVar && process.env[b.apiKeyEnvVar])
@@ -3460,6 +4612,93 @@ app.post('/api/settings', (req, res) => {
   });
 });
 
+// ========== Client API Keys ==========
+
+// List keys (digests are never returned) plus enforcement settings
+app.get('/api/auth/keys', (req, res) => {
+  res.json({
+    keys: apiKeyStore.list(),
+    scopes: API_KEY_SCOPES,
+    settings: resolveAuthSettings(config),
+    caller: req.apiKey ? { id: req.apiKey.id, label: req.apiKey.label } : null,
+  });
+});
+
+// Mint a key. The raw key is only ever returned in this response.
+app.post('/api/auth/keys', (req, res) => {
+  try {
+    const { key, record } = apiKeyStore.create({ label: req.body?.label, scopes: req.body?.scopes });
+    addLog('manager', `API key created: ${record.label} (${record.id}) scopes=${record.scopes.join(',')}`);
+    res.status(201).json({ key, record });
+  } catch (error) {
+    if (error instanceof TypeError) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Relabel or re-scope a key
+app.patch('/api/auth/keys/:id', (req, res) => {
+  try {
+    const record = apiKeyStore.update(req.params.id, { label: req.body?.label, scopes: req.body?.scopes });
+    if (!record) return res.status(404).json({ error: `API key '${req.params.id}' not found` });
+    addLog('manager', `API key updated: ${record.label} (${record.id}) scopes=${record.scopes.join(',')}`);
+    res.json({ record });
+  } catch (error) {
+    if (error instanceof TypeError) return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a key. Revoked keys remain listed so their last use stays visible.
+app.delete('/api/auth/keys/:id', (req, res) => {
+  const record = apiKeyStore.revoke(req.params.id);
+  if (!record) return res.status(404).json({ error: `API key '${req.params.id}' not found` });
+  addLog('manager', `API key revoked: ${record.label} (${record.id})`);
+  res.json({ record });
+});
+
+// Enable/disable enforcement. Enabling requires an active admin key so the
+// operator cannot lock every remote client out of the management API.
+app.put('/api/auth/settings', (req, res) => {
+  const { enabled, trustLoopback } = req.body || {};
+  const next = { ...resolveAuthSettings(config) };
+  if (enabled !== undefined) next.enabled = Boolean(enabled);
+  if (trustLoopback !== undefined) next.trustLoopback = Boolean(trustLoopback);
+  if (next.enabled && !apiKeyStore.hasActiveAdmin()) {
+    return res.status(409).json({ error: 'Create an admin-scoped API key before enabling enforcement' });
+  }
+  config.apiAuth = next;
+  saveConfig(config);
+  addLog('manager', `API key enforcement ${next.enabled ? 'enabled' : 'disabled'} (trustLoopback=${next.trustLoopback})`);
+  res.json({ success: true, settings: next });
+});
+
+// ========== Tracing ==========
+
+// Collector headers often carry credentials, so only their names are returned.
+function publicTracingSettings() {
+  const { headers, ...settings } = resolveTracingSettings(config, process.env);
+  return { ...settings, headerNames: Object.keys(headers), exporter: traceExporter ? { ...traceExporter.stats, queued: traceExporter.queue.length } : null };
+}
+
+app.get('/api/tracing/settings', (req, res) => {
+  res.json(publicTracingSettings());
+});
+
+app.put('/api/tracing/settings', (req, res) => {
+  let next;
+  try {
+    next = normalizeTracingSettings({ ...(config.tracing || {}), ...(req.body || {}) });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  config.tracing = next;
+  saveConfig(config);
+  configureTracing();
+  addLog('manager', `OTLP tracing ${next.enabled ? `enabled → ${next.endpoint}` : 'disabled'}`);
+  res.json({ success: true, settings: publicTracingSettings() });
+});
+
 // ========== Remote Backend Management ==========
 
 // List all backends with status
@@ -3473,7 +4712,8 @@ app.get('/api/backends', (req, res) => {
       pending: backendQueues.get(b.id)?.pending || 0,
       concurrency: b.maxConcurrentRequests || 5
     },
-    stats: backendStats.get(b.id) || null
+    stats: backendStats.get(b.id) || null,
+    spend: backendSpendView(b)
   }));
   res.json({ backends: result, routing: {
     enabled: config.backends?.enabled || false,
@@ -3481,7 +4721,8 @@ app.get('/api/backends', (req, res) => {
     offloadThresholdQueueDepth: config.backends?.offloadThresholdQueueDepth ?? 2,
     offloadThresholdWaitMs: config.backends?.offloadThresholdWaitMs ?? 5000,
     offloadPercentage: config.backends?.offloadPercentage || 0,
-    preferLocal: config.backends?.preferLocal !== false
+    preferLocal: config.backends?.preferLocal !== false,
+    preferWarmPeers: config.backends?.preferWarmPeers !== false
   }});
 });
 
@@ -3492,16 +4733,27 @@ app.post('/api/backends', (req, res) => {
   if (!name || !url) {
     return res.status(400).json({ error: 'name and url are required' });
   }
+  let protocol;
+  let type;
+  try {
+    protocol = normalizeBackendProtocol(req.body.protocol);
+    type = normalizeBackendType(req.body.type, protocol);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
   const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '') + '-' + Date.now().toString(36);
   const backend = {
     id,
     name,
     url: url.replace(/\/+$/, ''),
+    type,
+    protocol,
     enabled: enabled !== false,
     priority: Math.max(1, Math.min(100, parseInt(priority) || 10)),
     apiKeyEnvVar: apiKeyEnvVar || '',
-    modelMapping: modelMapping || { '*': '' },
+    // A peer serves what it reports in /api/peer/state; a mapping only renames.
+    modelMapping: modelMapping || (type === 'peer' ? {} : { '*': '' }),
     supportedEndpoints: supportedEndpoints || ['chat/completions', 'completions', 'embeddings'],
     costs: {
       inputTokenCostPer1M: parseFloat(costs?.inputTokenCostPer1M) || 0,
@@ -3513,6 +4765,17 @@ app.post('/api/backends', (req, res) => {
     timeoutMs: Math.max(5000, Math.min(600000, parseInt(timeoutMs) || 120000))
   };
   if (extraHeaders) backend.extraHeaders = extraHeaders;
+  if (req.body.autoSyncModels === true) backend.autoSyncModels = true;
+  try {
+    const healthProbe = normalizeBackendProbeOverride(req.body.healthProbe ?? null);
+    if (healthProbe) backend.healthProbe = healthProbe;
+    const budget = normalizeBackendBudget(req.body.budget ?? null);
+    if (budget) backend.budget = budget;
+    const transforms = normalizeBackendTransforms(req.body.transforms ?? null);
+    if (transforms) backend.transforms = transforms;
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
   if (!config.backends) {
     config.backends = { enabled: false, offloadPolicy: 'overflow', offloadThresholdQueueDepth: 2, offloadThresholdWaitMs: 5000, offloadPercentage: 0, preferLocal: true, directory: [] };
@@ -3536,10 +4799,29 @@ app.put('/api/backends/:id', (req, res) => {
 
   const existing = config.backends.directory[idx];
   const updates = req.body;
+  let healthProbe;
+  let protocol;
+  let type;
+  let budget;
+  let transforms;
+  try {
+    if (updates.healthProbe !== undefined) healthProbe = normalizeBackendProbeOverride(updates.healthProbe);
+    if (updates.protocol !== undefined) protocol = normalizeBackendProtocol(updates.protocol);
+    if (updates.type !== undefined || protocol !== undefined) {
+      type = normalizeBackendType(updates.type !== undefined ? updates.type : existing.type, protocol ?? existing.protocol ?? 'openai');
+    }
+    if (updates.budget !== undefined) budget = normalizeBackendBudget(updates.budget);
+    if (updates.transforms !== undefined) transforms = normalizeBackendTransforms(updates.transforms);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
   // Merge updates into existing backend
   if (updates.name !== undefined) existing.name = updates.name;
   if (updates.url !== undefined) existing.url = updates.url.replace(/\/+$/, '');
+  if (protocol !== undefined) existing.protocol = protocol;
+  if (type !== undefined) existing.type = type;
+  if (type === 'remote') peerDirectory.forget(existing.id);
   if (updates.enabled !== undefined) existing.enabled = Boolean(updates.enabled);
   if (updates.priority !== undefined) existing.priority = Math.max(1, Math.min(100, parseInt(updates.priority) || 10));
   if (updates.apiKeyEnvVar !== undefined) existing.apiKeyEnvVar = updates.apiKeyEnvVar;
@@ -3556,6 +4838,13 @@ app.put('/api/backends/:id', (req, res) => {
   if (updates.maxConcurrentRequests !== undefined) existing.maxConcurrentRequests = Math.max(1, Math.min(100, parseInt(updates.maxConcurrentRequests) || 5));
   if (updates.timeoutMs !== undefined) existing.timeoutMs = Math.max(5000, Math.min(600000, parseInt(updates.timeoutMs) || 120000));
   if (updates.extraHeaders !== undefined) existing.extraHeaders = updates.extraHeaders;
+  if (updates.autoSyncModels !== undefined) existing.autoSyncModels = Boolean(updates.autoSyncModels);
+  if (healthProbe) existing.healthProbe = healthProbe;
+  else if (healthProbe === null) delete existing.healthProbe;
+  if (budget) existing.budget = budget;
+  else if (budget === null) delete existing.budget;
+  if (transforms) existing.transforms = transforms;
+  else if (transforms === null) delete existing.transforms;
 
   config.backends.directory[idx] = existing;
   saveConfig(config);
@@ -3574,10 +4863,21 @@ app.delete('/api/backends/:id', (req, res) => {
     return res.status(404).json({ error: 'Backend not found' });
   }
   const removed = config.backends.directory.splice(idx, 1)[0];
+  // Shadow rules aimed at the backend go with it.
+  const orphanedShadows = Object.keys(shadowRules()).filter(name => shadowRules()[name]?.host === removed.id);
+  if (orphanedShadows.length) {
+    config.shadows = Object.fromEntries(Object.entries(shadowRules()).filter(([name]) => !orphanedShadows.includes(name)));
+    for (const name of orphanedShadows) shadowSummary.forget(name);
+  }
   saveConfig(config);
   backendQueues.delete(removed.id);
   backendStats.delete(removed.id);
-  addLog('backends', `Removed backend: ${removed.name} (${removed.id})`);
+  backendHealth.forget(removed.id);
+  backendProbeStartedAt.delete(removed.id);
+  sloAccuracy.forget(removed.id);
+  peerDirectory.forget(removed.id);
+  modelSyncStatus.delete(removed.id);
+  addLog('backends', `Removed backend: ${removed.name} (${removed.id})${orphanedShadows.length ? `; dropped shadow traffic for ${orphanedShadows.join(', ')}` : ''}`);
   res.json({ success: true, removed });
 });
 
@@ -3589,22 +4889,15 @@ app.get('/api/backends/:id/models', async (req, res) => {
     return res.status(404).json({ error: 'Backend not found' });
   }
 
-  const apiKey = backend.apiKeyEnvVar ? process.env[backend.apiKeyEnvVar] : null;
-  const headers = {};
-  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
-  if (backend.extraHeaders) Object.assign(headers, backend.extraHeaders);
-  const baseUrl = backend.url.replace(/\/+$/, '');
-
   try {
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), 10000);
-    const response = await fetch(`${baseUrl}/models`, { headers, signal: controller.signal });
+    const response = await fetch(modelsUrl(backend.protocol, backend.url), { headers: backendHeaders(backend), signal: controller.signal });
     clearTimeout(timeout);
     if (!response.ok) {
       return res.json({ models: [], error: `Backend returned ${response.status}` });
     }
-    const data = await response.json();
-    const models = (data.data || data.models || []).map(m => typeof m === 'string' ? m : m.id || m.name || '').filter(Boolean);
+    const models = parseModelList(backend.protocol, await response.json());
     res.json({ models });
   } catch (err) {
     res.json({ models: [], error: err.message });
@@ -3620,19 +4913,15 @@ app.get('/api/backends/:id/models', async (req, res) => {
 // Works for both saved and unsaved backends:
 //   - body.url present  → probe that URL directly (new-backend form)
 //   - else              → look up backend by params.id (saved backend)
-// Body may also include { apiKeyEnvVar, extraHeaders } overrides.
-async function probeBackendModels({ url, apiKeyEnvVar, extraHeaders }) {
+// Body may also include { apiKeyEnvVar, extraHeaders, protocol } overrides.
+async function probeBackendModels({ url, apiKeyEnvVar, extraHeaders, protocol }) {
   const apiKey = apiKeyEnvVar ? process.env[apiKeyEnvVar] : null;
-  const baseUrl = String(url || '').replace(/\/+$/, '');
   const startTime = Date.now();
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), 10000);
   try {
-    const r = await fetch(`${baseUrl}/models`, {
-      headers: {
-        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
-        ...(extraHeaders || {})
-      },
+    const r = await fetch(modelsUrl(protocol, url), {
+      headers: protocolHeaders(protocol, apiKey, extraHeaders),
       signal: controller.signal
     });
     clearTimeout(timeout);
@@ -3642,11 +4931,7 @@ async function probeBackendModels({ url, apiKeyEnvVar, extraHeaders }) {
       return { success: false, status: r.status, latencyMs, remoteModels: [],
         error: `Backend returned HTTP ${r.status}: ${body.slice(0, 200)}` };
     }
-    const data = await r.json();
-    const remoteModels = (data.data || data.models || [])
-      .map(m => (typeof m === 'string' ? m : m.id || m.name || ''))
-      .filter(Boolean)
-      .sort();
+    const remoteModels = parseModelList(protocol, await r.json()).sort();
     return { success: true, status: r.status, latencyMs, remoteModels };
   } catch (err) {
     clearTimeout(timeout);
@@ -3663,7 +4948,8 @@ app.post('/api/backends/:id/refresh-models', async (req, res) => {
   res.json(await probeBackendModels({
     url,
     apiKeyEnvVar: req.body?.apiKeyEnvVar ?? backend?.apiKeyEnvVar,
-    extraHeaders: req.body?.extraHeaders ?? backend?.extraHeaders
+    extraHeaders: req.body?.extraHeaders ?? backend?.extraHeaders,
+    protocol: req.body?.protocol ?? backend?.protocol
   }));
 });
 
@@ -3673,17 +4959,68 @@ app.post('/api/backends/refresh-models', async (req, res) => {
   res.json(await probeBackendModels(req.body));
 });
 
+// Dry run of a backend's transforms: the body a sample chat request would be
+// sent with, after the manager's own injections, the model mapping and the
+// transforms, plus the native request for non-OpenAI protocols. Nothing is
+// sent. Body fields (transforms, protocol, url, modelMapping) override the
+// saved backend so the editor can preview unsaved changes.
+const TRANSFORM_PREVIEW_SAMPLE = {
+  model: 'default-big',
+  messages: [
+    { role: 'user', content: 'Hello' },
+    { role: 'assistant', content: '<think>Greet back.</think>Hi! How can I help?', reasoning_content: 'Greet back.' },
+    { role: 'user', content: 'Summarize our chat.' },
+  ],
+  max_tokens: 8192,
+  reasoning_effort: 'high',
+  stream: true,
+};
+
+function previewBackendTransforms(req, res, backend) {
+  let transforms;
+  let protocol;
+  try {
+    transforms = req.body?.transforms !== undefined ? normalizeBackendTransforms(req.body.transforms) : backend?.transforms || null;
+    protocol = normalizeBackendProtocol(req.body?.protocol ?? backend?.protocol);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const sample = req.body?.request;
+  const request = sample && typeof sample === 'object' && !Array.isArray(sample) ? sample : TRANSFORM_PREVIEW_SAMPLE;
+  const prepared = injectModelSamplingDefaults(injectReasoningEffort(stripManagerRequestFields(request)));
+  const mapping = req.body?.modelMapping ?? backend?.modelMapping;
+  const remoteModel = resolveModelMapping(mapping, prepared.model) || prepared.model;
+  const outbound = applyRequestTransforms({ ...prepared, model: remoteModel }, transforms);
+  const preview = { transforms, request, outbound };
+  if (protocol !== 'openai') {
+    try {
+      preview.upstream = translateChatRequest(protocol, { baseUrl: (req.body?.url || backend?.url || '').replace(/\/+$/, ''), body: outbound });
+    } catch (error) {
+      preview.upstreamError = error.message;
+    }
+  }
+  res.json(preview);
+}
+
+app.post('/api/backends/:id/transforms/preview', (req, res) => {
+  const backend = config.backends?.directory?.find(b => b.id === req.params.id);
+  if (!backend) return res.status(404).json({ error: 'Backend not found' });
+  previewBackendTransforms(req, res, backend);
+});
+
+// Unsaved backend — transforms and protocol come from the body.
+app.post('/api/backends/transforms/preview', (req, res) => {
+  previewBackendTransforms(req, res, null);
+});
+
 app.post('/api/backends/:id/test', async (req, res) => {
   const backend = config.backends?.directory?.find(b => b.id === req.params.id);
   if (!backend) {
     return res.status(404).json({ error: 'Backend not found' });
   }
 
-  const apiKey = backend.apiKeyEnvVar ? process.env[backend.apiKeyEnvVar] : null;
-  const headers = { 'Content-Type': 'application/json' };
-  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
-  if (backend.extraHeaders) Object.assign(headers, backend.extraHeaders);
-
+  const headers = backendHeaders(backend);
+  const protocol = backend.protocol || 'openai';
   const baseUrl = backend.url.replace(/\/+$/, '');
   const startTime = Date.now();
 
@@ -3693,14 +5030,13 @@ app.post('/api/backends/:id/test', async (req, res) => {
     const modelsTimeout = setTimeout(() => modelsController.abort(), 10000);
     let remoteModels = [];
     try {
-      const modelsRes = await fetch(`${baseUrl}/models`, {
-        headers: { ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}), ...(backend.extraHeaders || {}) },
+      const modelsRes = await fetch(modelsUrl(protocol, baseUrl), {
+        headers,
         signal: modelsController.signal
       });
       clearTimeout(modelsTimeout);
       if (modelsRes.ok) {
-        const modelsData = await modelsRes.json();
-        remoteModels = (modelsData.data || modelsData.models || []).map(m => typeof m === 'string' ? m : m.id || m.name || '').filter(Boolean);
+        remoteModels = parseModelList(protocol, await modelsRes.json());
       }
     } catch {
       clearTimeout(modelsTimeout);
@@ -3727,21 +5063,21 @@ app.post('/api/backends/:id/test', async (req, res) => {
       });
     }
 
-    // Step 3: Send a test chat completion
+    // Step 3: Send a test chat completion (in the backend's own protocol)
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), 15000);
-    const response = await fetch(`${baseUrl}/chat/completions`, {
+    const testRequest = translateChatRequest(protocol, {
+      baseUrl,
+      body: { model: testModel, messages: [{ role: 'user', content: 'Hello' }], max_tokens: 5, stream: false }
+    });
+    let response = await fetch(testRequest.url, {
       method: 'POST',
       headers,
-      body: JSON.stringify({
-        model: testModel,
-        messages: [{ role: 'user', content: 'Hello' }],
-        max_tokens: 5,
-        stream: false
-      }),
+      body: JSON.stringify(testRequest.body),
       signal: controller.signal
     });
     clearTimeout(timeout);
+    if (protocol !== 'openai') response = await translateChatResponse(protocol, response, { model: testModel, stream: false });
 
     const duration = Date.now() - startTime;
     const body = await response.text();
@@ -3829,47 +5165,572 @@ app.get('/api/backends/stats', (req, res) => {
 // Get/set routing policy
 app.get('/api/backends/routing', (req, res) => {
   res.json({
-    enabled: config.backends?.enabled || false,
-    offloadPolicy: config.backends?.offloadPolicy || 'overflow',
-    offloadThresholdQueueDepth: config.backends?.offloadThresholdQueueDepth ?? 2,
-    offloadThresholdWaitMs: config.backends?.offloadThresholdWaitMs ?? 5000,
-    offloadPercentage: config.backends?.offloadPercentage || 0,
-    preferLocal: config.backends?.preferLocal !== false
+    enabled: config.backends?.enabled || false,
+    offloadPolicy: config.backends?.offloadPolicy || 'overflow',
+    offloadThresholdQueueDepth: config.backends?.offloadThresholdQueueDepth ?? 2,
+    offloadThresholdWaitMs: config.backends?.offloadThresholdWaitMs ?? 5000,
+    offloadPercentage: config.backends?.offloadPercentage || 0,
+    preferLocal: config.backends?.preferLocal !== false,
+    preferWarmPeers: config.backends?.preferWarmPeers !== false
+  });
+});
+
+app.post('/api/backends/routing', (req, res) => {
+  if (!config.backends) {
+    config.backends = { enabled: false, offloadPolicy: 'overflow', offloadThresholdQueueDepth: 2, offloadThresholdWaitMs: 5000, offloadPercentage: 0, preferLocal: true, directory: [] };
+  }
+
+  const { enabled, offloadPolicy, offloadThresholdQueueDepth, offloadThresholdWaitMs, offloadPercentage, preferLocal, preferWarmPeers } = req.body;
+
+  if (enabled !== undefined) config.backends.enabled = Boolean(enabled);
+  if (offloadPolicy !== undefined) {
+    const validPolicies = ['overflow', 'threshold', 'percentage', 'manual', 'slo'];
+    if (!validPolicies.includes(offloadPolicy)) {
+      return res.status(400).json({ error: `Invalid policy. Must be one of: ${validPolicies.join(', ')}` });
+    }
+    config.backends.offloadPolicy = offloadPolicy;
+  }
+  if (offloadThresholdQueueDepth !== undefined) {
+    const v = parseInt(offloadThresholdQueueDepth);
+    if (v >= 0 && v <= 100) config.backends.offloadThresholdQueueDepth = v;
+  }
+  if (offloadThresholdWaitMs !== undefined) {
+    const v = parseInt(offloadThresholdWaitMs);
+    if (v >= 0 && v <= 300000) config.backends.offloadThresholdWaitMs = v;
+  }
+  if (offloadPercentage !== undefined) {
+    const v = parseInt(offloadPercentage);
+    if (v >= 0 && v <= 100) config.backends.offloadPercentage = v;
+  }
+  if (preferLocal !== undefined) config.backends.preferLocal = Boolean(preferLocal);
+  if (preferWarmPeers !== undefined) config.backends.preferWarmPeers = Boolean(preferWarmPeers);
+
+  saveConfig(config);
+  addLog('backends', `Routing policy updated: ${JSON.stringify(req.body)}`);
+  res.json({ success: true, routing: config.backends });
+});
+
+// ========== Remote Backend Health ==========
+
+// Background prober: every tick, probe each enabled backend whose interval
+// has elapsed. Probes bypass the backend queue so a saturated backend is not
+// mistaken for a dead one, and a failing probe counts toward the circuit
+// breaker like a failed request. A passing probe moves an open circuit to
+// half-open and re-marks a backend whose manual test had failed as tested.
+const HEALTH_PROBE_TICK_MS = 5000;
+const backendProbesInFlight = new Set();
+const backendProbeStartedAt = new Map(); // backend.id -> ms of the last scheduled probe
+
+// A hand-edited invalid block falls back to the defaults rather than
+// stopping the prober.
+function healthProbeSettings() {
+  try {
+    return normalizeHealthProbeSettings(config.backends?.healthProbe || {});
+  } catch {
+    return normalizeHealthProbeSettings();
+  }
+}
+
+function backendProbeSettings(backend) {
+  return resolveProbeSettings(config.backends?.healthProbe, backend);
+}
+
+async function probeBackend(backend, settings = backendProbeSettings(backend)) {
+  const mappedModel = Object.values(backend.modelMapping || {}).find(v => v && v !== '*') || null;
+  backendProbesInFlight.add(backend.id);
+  try {
+    const result = await runHealthProbe({
+      baseUrl: backend.url,
+      protocol: backend.protocol,
+      headers: backendHeaders(backend),
+      mode: settings.mode,
+      model: mappedModel,
+      timeoutMs: settings.timeoutMs,
+    });
+    const { models, ...probe } = result;
+    const transition = backendHealth.recordProbe(backend.id, probe);
+    if (transition === 'tripped' || transition === 'reopened') {
+      addLog('backends', `Circuit breaker ${transition === 'tripped' ? 'tripped' : 're-opened'} for ${backend.name} — health probe failed: ${probe.error}`);
+    } else if (transition === 'half_open') {
+      addLog('backends', `Health probe reached ${backend.name} — circuit half-open, next request is the trial`);
+    }
+    if (probe.ok && backend.tested === false) {
+      backend.tested = true;
+      backend.lastTestTime = Date.now();
+      saveConfig(config);
+      addLog('backends', `Backend ${backend.name} passed a health probe — marked as tested`);
+    }
+    return { ...probe, circuit: backendHealth.state(backend.id) };
+  } finally {
+    backendProbesInFlight.delete(backend.id);
+  }
+}
+
+setInterval(() => {
+  if (!config?.backends?.enabled) return;
+  const now = Date.now();
+  for (const backend of config.backends.directory || []) {
+    const settings = backendProbeSettings(backend);
+    if (!settings.enabled || backendProbesInFlight.has(backend.id)) continue;
+    // Half a tick of slack so a 5s interval is not pushed to every other tick by timer jitter.
+    if (now - (backendProbeStartedAt.get(backend.id) || 0) < settings.intervalSeconds * 1000 - HEALTH_PROBE_TICK_MS / 2) continue;
+    backendProbeStartedAt.set(backend.id, now);
+    probeBackend(backend, settings).catch(err => console.error(`[health] Probe of ${backend.name} failed: ${err.message}`));
+  }
+}, HEALTH_PROBE_TICK_MS).unref();
+
+function backendHealthView(backend) {
+  return {
+    id: backend.id,
+    name: backend.name,
+    enabled: backend.enabled !== false,
+    tested: backend.tested ?? null,
+    probe: backendProbeSettings(backend),
+    ...backendHealth.snapshot(backend.id),
+  };
+}
+
+// Circuit state, last probe and rolling latency / TTFT per backend and model
+app.get('/api/backends/health', (req, res) => {
+  res.json({
+    settings: healthProbeSettings(),
+    backends: (config.backends?.directory || []).map(backendHealthView),
+  });
+});
+
+app.get('/api/backends/health/settings', (req, res) => {
+  res.json(healthProbeSettings());
+});
+
+app.put('/api/backends/health/settings', (req, res) => {
+  let next;
+  try {
+    next = normalizeHealthProbeSettings({ ...(config.backends?.healthProbe || {}), ...(req.body || {}) });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!config.backends) {
+    config.backends = { enabled: false, offloadPolicy: 'overflow', offloadThresholdQueueDepth: 2, offloadThresholdWaitMs: 5000, offloadPercentage: 0, preferLocal: true, directory: [] };
+  }
+  config.backends.healthProbe = next;
+  saveConfig(config);
+  addLog('backends', `Health probing ${next.enabled ? `every ${next.intervalSeconds}s (${next.mode})` : 'disabled'}`);
+  res.json({ success: true, settings: next });
+});
+
+// Probe one backend now, regardless of its schedule
+app.post('/api/backends/:id/probe', async (req, res) => {
+  const backend = config.backends?.directory?.find(b => b.id === req.params.id);
+  if (!backend) {
+    return res.status(404).json({ error: 'Backend not found' });
+  }
+  const probe = await probeBackend(backend);
+  res.json({ probe, backend: backendHealthView(backend) });
+});
+
+// ========== Latency-SLO Routing ==========
+
+// Decisions and TTFT prediction accuracy per host for the `slo` offload policy
+app.get('/api/backends/slo', (req, res) => {
+  res.json({
+    active: config.backends?.offloadPolicy === 'slo',
+    settings: sloSettings(),
+    ...sloAccuracy.snapshot(),
+  });
+});
+
+app.get('/api/backends/slo/settings', (req, res) => {
+  res.json(sloSettings());
+});
+
+app.put('/api/backends/slo/settings', (req, res) => {
+  let next;
+  try {
+    next = normalizeSloSettings({ ...(config.backends?.slo || {}), ...(req.body || {}) });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!config.backends) {
+    config.backends = { enabled: false, offloadPolicy: 'overflow', offloadThresholdQueueDepth: 2, offloadThresholdWaitMs: 5000, offloadPercentage: 0, preferLocal: true, directory: [] };
+  }
+  config.backends.slo = next;
+  saveConfig(config);
+  const targets = Object.entries(next.targets).map(([name, ms]) => `${name}=${ms}ms`).join(', ');
+  addLog('backends', `SLO routing: default target ${next.defaultMaxTtftMs ? `${next.defaultMaxTtftMs}ms` : 'none'}${targets ? `, ${targets}` : ''}, cold load ${next.coldLoadMsPerGiB}ms/GiB`);
+  res.json({ success: true, settings: next });
+});
+
+// ========== Request Hedging ==========
+
+app.get('/api/backends/hedging', (req, res) => {
+  const settings = hedgeSettings();
+  res.json({
+    settings,
+    ...hedgeLedger.snapshot(),
+    backends: (config.backends?.directory || []).map(b => ({ id: b.id, name: b.name, ...(backendStats.get(b.id)?.hedges || { fired: 0, won: 0, lost: 0 }) })),
+  });
+});
+
+app.get('/api/backends/hedging/settings', (req, res) => {
+  res.json(hedgeSettings());
+});
+
+app.put('/api/backends/hedging/settings', (req, res) => {
+  let next;
+  try {
+    next = normalizeHedgeSettings({ ...(config.backends?.hedging || {}), ...(req.body || {}) });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!config.backends) {
+    config.backends = { enabled: false, offloadPolicy: 'overflow', offloadThresholdQueueDepth: 2, offloadThresholdWaitMs: 5000, offloadPercentage: 0, preferLocal: true, directory: [] };
+  }
+  config.backends.hedging = next;
+  saveConfig(config);
+  addLog('backends', `Request hedging ${next.enabled ? 'enabled' : 'disabled'}: p${next.percentile} local TTFT within ${next.minDelayMs}-${next.maxDelayMs}ms, budget ${next.budgetPercent}%${next.aliases.length ? `, aliases ${next.aliases.join(', ')}` : ''}`);
+  res.json({ success: true, settings: next });
+});
+
+// ========== Remote Backend Budgets ==========
+
+function backendSpendView(backend) {
+  return {
+    todayUsd: backendSpend.spent(backend.id, 'day'),
+    monthUsd: backendSpend.spent(backend.id, 'month'),
+    ...backendBudgetStatus(backend),
+  };
+}
+
+// Running spend against the global and per-backend daily / monthly limits
+app.get('/api/backends/budget', (req, res) => {
+  const settings = globalBudgetSettings();
+  res.json({
+    settings,
+    global: {
+      todayUsd: backendSpend.spent(null, 'day'),
+      monthUsd: backendSpend.spent(null, 'month'),
+      ...evaluateBudget(backendSpend, { backendId: null, globalBudget: settings }),
+    },
+    backends: (config.backends?.directory || []).map(b => ({ id: b.id, name: b.name, budget: b.budget || null, ...backendSpendView(b) })),
+  });
+});
+
+app.get('/api/backends/budget/settings', (req, res) => {
+  res.json(globalBudgetSettings());
+});
+
+app.put('/api/backends/budget/settings', (req, res) => {
+  let next;
+  try {
+    next = normalizeGlobalBudget({ ...(config.backends?.budget || {}), ...(req.body || {}) });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!config.backends) {
+    config.backends = { enabled: false, offloadPolicy: 'overflow', offloadThresholdQueueDepth: 2, offloadThresholdWaitMs: 5000, offloadPercentage: 0, preferLocal: true, directory: [] };
+  }
+  config.backends.budget = next;
+  saveConfig(config);
+  const limit = usd => (usd === null ? 'unlimited' : `$${usd}`);
+  addLog('backends', `Global remote budget: ${limit(next.dailyUsd)}/day, ${limit(next.monthlyUsd)}/month, warn at ${next.warnPercent}%, ${next.onExceeded === 'reject' ? 'reject' : 'fall back to local'} when exhausted`);
+  res.json({ success: true, settings: next });
+});
+
+// ========== Shadow Traffic ==========
+
+// Shadow rules with their running comparison summary
+app.get('/api/shadows', (req, res) => {
+  const summary = shadowSummary.snapshot();
+  res.json({
+    shadows: Object.entries(shadowRules()).map(([name, rule]) => ({ name, ...rule, summary: summary[name] || null })),
+    inFlight: shadowsInFlight,
+  });
+});
+
+// Stored primary / shadow pairs; same filters and paging as /api/llm-logs
+// (model is the rule name, backend the shadow host).
+app.get('/api/shadows/records', (req, res) => queryLogStore(shadowLogStore, req, res));
+
+app.delete('/api/shadows/records', (req, res) => {
+  shadowLogStore.clear();
+  res.json({ success: true });
+});
+
+app.put('/api/shadows/:name(*)', (req, res) => {
+  const name = req.params.name.trim();
+  if (!name) return res.status(400).json({ error: 'shadow name is required' });
+  let rule;
+  try {
+    rule = normalizeShadowRule({ ...(shadowRules()[name] || {}), ...(req.body || {}) }, (config.backends?.directory || []).map(b => b.id));
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  config.shadows = { ...shadowRules(), [name]: rule };
+  saveConfig(config);
+  addLog('backends', `Shadow traffic: ${rule.enabled ? `mirroring ${rule.percent}%` : 'paused'} of "${name}" to ${rule.host}/${rule.model}`);
+  res.json({ success: true, name, shadow: rule });
+});
+
+app.delete('/api/shadows/:name(*)', (req, res) => {
+  const name = req.params.name;
+  if (!Object.hasOwn(shadowRules(), name)) return res.status(404).json({ error: `No shadow rule for "${name}"` });
+  config.shadows = { ...shadowRules() };
+  delete config.shadows[name];
+  saveConfig(config);
+  shadowSummary.forget(name);
+  addLog('backends', `Shadow traffic for "${name}" removed`);
+  res.json({ success: true });
+});
+
+// ========== Alias Groups ==========
+
+// Alias groups from config.aliases; targets of a weighted split carry their
+// share of the group's weight and the split's running stats since start.
+app.get('/api/aliases', (req, res) => {
+  res.json({
+    aliases: Object.entries(aliasGroups()).map(([name, group]) => {
+      const targets = Array.isArray(group?.targets) ? group.targets : [];
+      const weighted = isWeightedGroup(group);
+      const total = targets.reduce((sum, t) => sum + (t.weight || 0), 0);
+      const stats = splitStats.snapshot(name);
+      return {
+        name,
+        weighted,
+        targets: targets.map(t => ({
+          ...t,
+          share: weighted && total ? Math.round(((t.weight || 0) / total) * 1000) / 1000 : null,
+          stats: stats[splitTargetKey(t.host, t.model)] || null,
+        })),
+      };
+    }),
   });
 });
 
-app.post('/api/backends/routing', (req, res) => {
-  if (!config.backends) {
-    config.backends = { enabled: false, offloadPolicy: 'overflow', offloadThresholdQueueDepth: 2, offloadThresholdWaitMs: 5000, offloadPercentage: 0, preferLocal: true, directory: [] };
-  }
+// Create or replace an alias group. Promoting or rolling back a split is a
+// PUT of the same targets with new weights; stats carry over.
+app.put('/api/aliases/:name(*)', (req, res) => {
+  const result = validateAlias(config, req.params.name, req.body?.targets, scanLocalModels());
+  if (!result.ok) return res.status(400).json({ error: result.error });
+  const name = req.params.name.trim();
+  config.aliases = { ...aliasGroups(), [name]: result.value };
+  saveConfig(config);
+  const targets = result.value.targets.map(t => `${t.host}/${t.model}${t.weight !== undefined ? ` (${t.weight})` : ''}`);
+  addLog('backends', `Alias "${name}" → ${targets.join(', ')}`);
+  res.json({ success: true, name, alias: result.value, warnings: result.warnings });
+});
+
+app.delete('/api/aliases/:name(*)', (req, res) => {
+  const name = req.params.name;
+  if (!Object.hasOwn(aliasGroups(), name)) return res.status(404).json({ error: `No alias "${name}"` });
+  config.aliases = { ...aliasGroups() };
+  delete config.aliases[name];
+  saveConfig(config);
+  splitStats.forget(name);
+  addLog('backends', `Alias "${name}" removed`);
+  res.json({ success: true });
+});
 
-  const { enabled, offloadPolicy, offloadThresholdQueueDepth, offloadThresholdWaitMs, offloadPercentage, preferLocal } = req.body;
+// ========== Model-Mapping Discovery ==========
 
-  if (enabled !== undefined) config.backends.enabled = Boolean(enabled);
-  if (offloadPolicy !== undefined) {
-    const validPolicies = ['overflow', 'threshold', 'percentage', 'manual'];
-    if (!validPolicies.includes(offloadPolicy)) {
-      return res.status(400).json({ error: `Invalid policy. Must be one of: ${validPolicies.join(', ')}` });
-    }
-    config.backends.offloadPolicy = offloadPolicy;
+// Remote model lists matched against local models and aliases (see
+// model-mapping-sync.js). Backends with autoSyncModels apply the suggestions
+// on a timer, so a model pulled on a remote box becomes routable under its
+// canonical name without a visit to Settings.
+const MODEL_SYNC_INTERVAL_MS = 5 * 60_000;
+const modelSyncStatus = new Map(); // backendId -> {at, remoteModels, applied, error}
+const modelSyncsInFlight = new Set();
+
+// Local model names as clients request them: the router's ids first, then
+// downloaded files, one per match key.
+function localModelNames() {
+  const byKey = new Map();
+  for (const name of [...loadedModelsSnapshot.map(m => m.id), ...scanLocalModels().map(m => m.name)]) {
+    const key = modelMatchKey(name);
+    if (key && !byKey.has(key)) byKey.set(key, name);
   }
-  if (offloadThresholdQueueDepth !== undefined) {
-    const v = parseInt(offloadThresholdQueueDepth);
-    if (v >= 0 && v <= 100) config.backends.offloadThresholdQueueDepth = v;
+  return [...byKey.values()];
+}
+
+async function backendModelSuggestions(backend) {
+  const probe = await probeBackendModels(backend);
+  if (!probe.success) return { error: probe.error, remoteModels: [], suggestions: [] };
+  const suggestions = suggestModelMappings({
+    backend,
+    remoteModels: probe.remoteModels,
+    localModels: localModelNames(),
+    aliases: aliasGroups(),
+  });
+  return { remoteModels: probe.remoteModels, suggestions };
+}
+
+// Apply suggestions to the live config; returns the ones that changed something.
+function applyBackendSuggestions(backend, suggestions) {
+  const result = applyModelSuggestions(backend, aliasGroups(), suggestions);
+  if (!result.applied.length) return [];
+  backend.modelMapping = result.modelMapping;
+  config.aliases = result.aliases;
+  saveConfig(config);
+  const described = result.applied.map(s => s.kind === 'mapping' ? `${s.model} → ${s.remoteModel}` : `${s.alias} += ${s.remoteModel}`);
+  addLog('backends', `Model mapping for ${backend.name}: ${described.join(', ')}`);
+  return result.applied;
+}
+
+app.get('/api/backends/:id/model-suggestions', async (req, res) => {
+  const backend = config.backends?.directory?.find(b => b.id === req.params.id);
+  if (!backend) return res.status(404).json({ error: 'Backend not found' });
+  const { error, remoteModels, suggestions } = await backendModelSuggestions(backend);
+  if (error) return res.status(502).json({ error });
+  res.json({
+    backendId: backend.id,
+    autoSyncModels: backend.autoSyncModels === true,
+    lastSync: modelSyncStatus.get(backend.id) || null,
+    remoteModels,
+    suggestions,
+  });
+});
+
+// Apply suggestions by id (all current suggestions when `ids` is omitted).
+// Suggestions are recomputed against the live model list, so a stale id is
+// skipped rather than applied.
+app.post('/api/backends/:id/model-suggestions/apply', async (req, res) => {
+  const backend = config.backends?.directory?.find(b => b.id === req.params.id);
+  if (!backend) return res.status(404).json({ error: 'Backend not found' });
+  const ids = req.body?.ids;
+  if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+    return res.status(400).json({ error: 'ids must be a list of suggestion ids' });
+  }
+  const { error, suggestions } = await backendModelSuggestions(backend);
+  if (error) return res.status(502).json({ error });
+  const chosen = ids === undefined ? suggestions : suggestions.filter(s => ids.includes(s.id));
+  const applied = applyBackendSuggestions(backend, chosen);
+  res.json({ success: true, applied, modelMapping: backend.modelMapping });
+});
+
+async function syncBackendModels(backend) {
+  modelSyncsInFlight.add(backend.id);
+  try {
+    const { error, remoteModels, suggestions } = await backendModelSuggestions(backend);
+    // The backend may have been removed or had auto-sync turned off meanwhile.
+    if (!config.backends?.directory?.includes(backend) || backend.autoSyncModels !== true) return;
+    const applied = error ? [] : applyBackendSuggestions(backend, suggestions);
+    modelSyncStatus.set(backend.id, { at: Date.now(), remoteModels: remoteModels.length, applied, error: error || null });
+  } finally {
+    modelSyncsInFlight.delete(backend.id);
   }
-  if (offloadThresholdWaitMs !== undefined) {
-    const v = parseInt(offloadThresholdWaitMs);
-    if (v >= 0 && v <= 300000) config.backends.offloadThresholdWaitMs = v;
+}
+
+setInterval(() => {
+  if (!config?.backends?.enabled) return;
+  for (const backend of config.backends.directory || []) {
+    if (backend.autoSyncModels !== true || backend.enabled === false || modelSyncsInFlight.has(backend.id)) continue;
+    syncBackendModels(backend);
   }
-  if (offloadPercentage !== undefined) {
-    const v = parseInt(offloadPercentage);
-    if (v >= 0 && v <= 100) config.backends.offloadPercentage = v;
+}, MODEL_SYNC_INTERVAL_MS).unref();
+
+// ========== Peer Managers ==========
+
+// Backends with type 'peer' are other Llama Managers (see peer-federation.js).
+// Each is polled for its /api/peer/state so routing can prefer a peer that has
+// the requested model loaded and skip one that is thermally paused; this
+// manager serves its own state on the same route.
+const PEER_STATE_INTERVAL_MS = 10_000;
+const PEER_STATE_TIMEOUT_MS = 5000;
+const PEER_MODELS_TTL_MS = 30_000;
+const peerPollsInFlight = new Set();
+let peerServableModels = { models: [], at: 0 };
+
+function peerBackends() {
+  return (config.backends?.directory || []).filter(b => b.type === 'peer');
+}
+
+async function pollPeerState(backend) {
+  peerPollsInFlight.add(backend.id);
+  try {
+    const response = await fetch(peerStateUrl(backend.url), {
+      headers: backendHeaders(backend),
+      signal: AbortSignal.timeout(PEER_STATE_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    peerDirectory.record(backend.id, parsePeerState(await response.json()));
+  } catch (err) {
+    peerDirectory.fail(backend.id, err.name === 'TimeoutError' ? 'timed out' : err.message);
+  } finally {
+    peerPollsInFlight.delete(backend.id);
   }
-  if (preferLocal !== undefined) config.backends.preferLocal = Boolean(preferLocal);
+}
 
-  saveConfig(config);
-  addLog('backends', `Routing policy updated: ${JSON.stringify(req.body)}`);
-  res.json({ success: true, routing: config.backends });
+setInterval(() => {
+  if (!config?.backends?.enabled) return;
+  for (const backend of peerBackends()) {
+    if (backend.enabled === false || peerPollsInFlight.has(backend.id)) continue;
+    pollPeerState(backend);
+  }
+}, PEER_STATE_INTERVAL_MS).unref();
+
+// What this manager can serve locally: the ds4 model while ds4 is active,
+// otherwise the downloaded models; plus the configured default aliases. The
+// disk scan is cached because peers poll this route.
+function localServableModels() {
+  if (Date.now() - peerServableModels.at < PEER_MODELS_TTL_MS) return peerServableModels.models;
+  const ds4List = ds4ModelsList(config, { currentEngine, currentPreset, created: 0 });
+  const models = [
+    ...(ds4List ? ds4List.map(m => m.id) : scanLocalModels().map(m => m.name)),
+    ...defaultModelListEntries(config, 0).map(m => m.id),
+  ];
+  peerServableModels = { models, at: Date.now() };
+  return models;
+}
+
+function selfPeerState() {
+  return buildPeerState({
+    instanceId: PEER_INSTANCE_ID,
+    name: hostname(),
+    engine: currentEngine,
+    loadedModels: loadedModelsSnapshot.map(m => m.id),
+    models: localServableModels(),
+    queue: { active: llamaQueue.active, pending: llamaQueue.pending, concurrency: llamaQueue.concurrency },
+    thermalPaused: guardDispatchPaused,
+    memory: { totalBytes: totalmem(), availableBytes: memAvailableBytes() || freemem() },
+    peers: peerBackends().map(b => ({
+      instanceId: peerDirectory.view(b.id).state?.instanceId ?? null,
+      name: b.name,
+      url: b.url,
+    })),
+    now: Date.now(),
+  });
+}
+
+// Served to other managers that have this one configured as a peer
+app.get('/api/peer/state', (req, res) => {
+  res.json(selfPeerState());
+});
+
+// Fleet view: this manager, each configured peer with its last state, and
+// managers the peers know about that are not configured here
+app.get('/api/peers', (req, res) => {
+  const now = Date.now();
+  const peers = peerBackends().map(b => ({
+    id: b.id,
+    name: b.name,
+    url: b.url,
+    enabled: b.enabled !== false,
+    tested: b.tested ?? null,
+    circuit: backendHealth.state(b.id),
+    queue: backendQueues.get(b.id) ? { active: backendQueues.get(b.id).active, pending: backendQueues.get(b.id).pending } : null,
+    ...peerDirectory.view(b.id, now),
+  }));
+  res.json({
+    self: selfPeerState(),
+    peers,
+    discovered: discoverPeers({
+      selfId: PEER_INSTANCE_ID,
+      configured: (config.backends?.directory || []).map(b => ({
+        url: b.url,
+        instanceId: peerDirectory.view(b.id, now).state?.instanceId ?? null,
+      })),
+      reports: peers.map(p => ({ name: p.name, state: p.state })),
+    }),
+  });
 });
 
 // Get server status
@@ -3959,6 +5820,70 @@ app.get('/health', async (req, res) => {
   });
 });
 
+// Prometheus scrape target. Everything here is read from in-memory state or the
+// cached GPU reading, so a 15s scrape interval never adds rocm-smi load.
+app.get('/metrics', async (req, res) => {
+  let gpu = null;
+  try { gpu = await getGpuStats(); } catch { /* no GPU reading this scrape */ }
+  let ds4 = null;
+  if (currentEngine === ENGINE_TYPES.DS4) {
+    try { ds4 = await getDs4Health(); } catch { ds4 = { status: 'unavailable', model: null }; }
+  }
+  // Ask the governor what it would say to a restart right now, without
+  // recording one: its verdict is the breaker state operators care about.
+  const wedged = containerExecWedged >= CONTAINER_EXEC_WEDGED_LIMIT
+    || consecutiveFailedRestarts >= FAILED_RESTART_LIMIT;
+  const governor = restartDecision({
+    history: llamaRestartHistory,
+    now: Date.now(),
+    wedged,
+    ...RESTART_DEFAULTS,
+    ...(config.guard?.restart || {}),
+  });
+  const { entries, affinityHits, assignments } = slotAffinity.stats();
+
+  const families = buildManagerMetrics({
+    queue: {
+      active: llamaQueue.active,
+      pending: llamaQueue.pending,
+      concurrency: llamaQueue.concurrency,
+      // Waiting requests only; the ones holding a slot are queue_active.
+      byPriority: llamaQueue.queue.reduce((counts, item) => {
+        counts[item.priority] = (counts[item.priority] || 0) + 1;
+        return counts;
+      }, { realtime: 0, interactive: 0, background: 0 }),
+    },
+    histograms: requestMetrics,
+    gpu,
+    loadedModels: loadedModelsSnapshot,
+    restart: {
+      state: governor.reason,
+      attempts: llamaRestartHistory.length,
+      retryAfterMs: governor.retryAfterMs,
+      inProgress: restartInProgress,
+      failedRestarts: consecutiveFailedRestarts,
+      execWedged: containerExecWedged,
+    },
+    circuitBreakers: backendHealth.ids().map(backend => ({
+      backend,
+      open: isBackendCircuitOpen(backend),
+      state: backendHealth.state(backend),
+      failures: backendHealth.snapshot(backend).failures,
+    })),
+    slotCache: {
+      affinityHits,
+      assignments,
+      entries,
+      restoreHits: slotRestoreStats.hits,
+      restoreMisses: slotRestoreStats.misses,
+      durableEntries: slotCacheRegistry.list().length,
+    },
+    engine: currentEngine,
+    ds4,
+  });
+  res.type(METRICS_CONTENT_TYPE).send(renderMetrics(families));
+});
+
 // Local GPU health check — surfaces the Strix Halo /dev/kfd EINVAL state
 // so the dashboard can alarm on it and operators can correlate sub-1
 // tok/s requests with a broken local accelerator. Returns:
@@ -4081,10 +6006,11 @@ app.get('/api/queue', (req, res) => {
       activeRequestId: ar.id,
       backend: backendId,
       backendName,
+      client: ar.client || null,
       offloaded: isOffloaded
     };
     if (detail) {
-      result.responseText = ar.responseText || '';
+      result.responseText = visibleResponseText(ar);
       result.startTime = ar.startTime;
       result.fullContext = ar.fullContext || [];
     }
@@ -4158,10 +6084,14 @@ app.get('/api/queue', (req, res) => {
     if (item.activeReqId != null) positionByActiveReqId.set(item.activeReqId, idx);
     positionByQueueItemId.set(item.id, idx);
   });
-  // Annotate pendingFromActive with their queue position (1-based for display).
+  // Annotate pendingFromActive with their queue position (1-based for display)
+  // and the caller's deadline, after which the queue drops them.
   for (const p of pendingFromActive) {
     const idx = positionByActiveReqId.get(p.activeRequestId);
-    if (idx != null) p.queuePosition = idx + 1;
+    if (idx != null) {
+      p.queuePosition = idx + 1;
+      p.deadlineAt = llamaQueue.queue[idx].deadlineAt ?? null;
+    }
     p.queueLength = llamaQueue.queue.length;
   }
   const seenActiveReqIds = new Set(pendingFromActive.map(p => p.activeRequestId));
@@ -4187,7 +6117,8 @@ app.get('/api/queue', (req, res) => {
         backendName: 'local (queued)',
         offloaded: false,
         queuePosition: (positionByQueueItemId.get(item.id) ?? 0) + 1,
-        queueLength: llamaQueue.queue.length
+        queueLength: llamaQueue.queue.length,
+        deadlineAt: item.deadlineAt ?? null
       }))
   ];
   // Sort pending items by queue position so the display order matches FIFO order.
@@ -4223,6 +6154,72 @@ app.get('/api/queue', (req, res) => {
   });
 });
 
+// Per-client usage counters, effective limits and local-lane share
+app.get('/api/queue/clients', (req, res) => {
+  const shares = new Map(llamaQueue.clientShares().map(share => [share.client, share]));
+  const clients = clientUsage.list().map(usage => ({
+    ...usage,
+    limits: resolveClientLimits(config, usage.id === 'anonymous' ? null : usage.id),
+    weight: config.queueWeights?.[usage.id] ?? 1,
+    queue: shares.get(usage.id) || null,
+  }));
+  res.json({ clients, config: config.clientLimits || {}, weights: config.queueWeights || {} });
+});
+
+// Replace the per-client fair-share weights ({ <clientId>: weight })
+app.put('/api/queue/clients/weights', (req, res) => {
+  let next;
+  try {
+    next = normalizeQueueWeights(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  config.queueWeights = next;
+  saveConfig(config);
+  addLog('manager', `Queue weights updated: ${JSON.stringify(next)}`);
+  res.json({ success: true, weights: next });
+});
+
+// Resumable preemption settings and counters since start
+app.get('/api/queue/preemption', (req, res) => {
+  res.json({ settings: resumablePreemptionCfg(), stats: resumableStats });
+});
+
+// Replace the resumable preemption settings ({ enabled, maxResumes, saveSlot })
+app.put('/api/queue/preemption', (req, res) => {
+  let next;
+  try {
+    next = normalizeResumablePreemption(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  config.resumablePreemption = next;
+  saveConfig(config);
+  addLog('manager', `Resumable preemption updated: ${JSON.stringify(next)}`);
+  res.json({ success: true, settings: next, stats: resumableStats });
+});
+
+// Replace the client limit configuration ({ default, anonymous, clients })
+app.put('/api/queue/clients/limits', (req, res) => {
+  const { default: defaults, anonymous, clients } = req.body || {};
+  const next = {};
+  try {
+    if (defaults != null) next.default = normalizeClientLimits(defaults);
+    if (anonymous != null) next.anonymous = normalizeClientLimits(anonymous);
+    if (clients != null) {
+      if (typeof clients !== 'object' || Array.isArray(clients)) throw new TypeError('clients must be an object keyed by client id');
+      next.clients = {};
+      for (const [id, limits] of Object.entries(clients)) next.clients[id] = normalizeClientLimits(limits);
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  config.clientLimits = next;
+  saveConfig(config);
+  addLog('manager', `Client limits updated: ${JSON.stringify(next)}`);
+  res.json({ success: true, clientLimits: next });
+});
+
 // Cancel a specific pending queue item
 app.delete('/api/queue/:id', (req, res) => {
   const id = parseInt(req.params.id);
@@ -4270,8 +6267,8 @@ app.get('/api/queue/watch/:id', (req, res) => {
   res.setHeader('X-Accel-Buffering', 'no'); // disable nginx buffering
 
   // Send initial state with full context
-  const { abortController: _ac, ...safeEntry } = entry;
-  res.write(`data: ${JSON.stringify({ event: 'init', ...safeEntry })}\n\n`);
+  const { abortController: _ac, usageClient: _uc, ...safeEntry } = entry;
+  res.write(`data: ${JSON.stringify({ event: 'init', ...safeEntry, responseText: visibleResponseText(entry) })}\n\n`);
 
   // Stream updates
   const onUpdate = (data) => {
@@ -4871,6 +6868,11 @@ async function ensureDs4ForModel(rawModel, resolvedModel) {
 }
 
 async function ensureModelServed(modelName) {
+  return withSpan(requestContext, 'ensure_model_served', { 'llm.request.model': modelName },
+    () => _ensureModelServedInner(modelName));
+}
+
+async function _ensureModelServedInner(modelName) {
   // While the ds4 engine owns the box, do NOT run any llama mode-switch/restart:
   // starting llama-server alongside ds4 would OOM (ds4's 81GB model + a llama
   // model can't coexist in 124GB RAM). ds4 chat requests are served upstream in
@@ -5271,6 +7273,7 @@ function ds4UpdaterExec(cmd, { timeoutMs = 120_000 } = {}) {
 function ds4UpdaterAlert(msg, meta) {
   console.error(`[ds4-update][ALERT] ${msg}`, meta || '');
   addLog('system', `⚠️ ds4 auto-update: ${msg}`);
+  notifyAlertEvent('ds4.update_failed', { message: msg, details: meta || null });
 }
 
 let ds4Updater = null;
@@ -6457,15 +8460,37 @@ function extractQuantization(filename) {
 }
 
 // Update config
+// Alert channel URLs are secrets like the HF token; a masked block posted back
+// keeps the stored URLs (see normalizeAlertSettings).
+function publicConfig() {
+  const result = redactConfig(config);
+  if (config.alerts) result.alerts = publicAlertSettings(alertSettings());
+  return result;
+}
+
 app.post('/api/config', (req, res) => {
-  const updates = req.body;
+  const updates = { ...req.body };
+  if (updates.alerts) {
+    try {
+      updates.alerts = normalizeAlertSettings(updates.alerts, alertSettings());
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+  if (updates.redaction) {
+    try {
+      updates.redaction = normalizeRedactionSettings(updates.redaction);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
   config = { ...config, ...updates };
   saveConfig(config);
-  res.json({ success: true, config: redactConfig(config) });
+  res.json({ success: true, config: publicConfig() });
 });
 
 app.get('/api/config', (req, res) => {
-  res.json(redactConfig(config));
+  res.json(publicConfig());
 });
 
 // Get system stats (REST endpoint for initial load)
@@ -6621,32 +8646,309 @@ app.delete('/api/logs/filters', (req, res) => {
   res.json({ success: true, filters: config.logFilters });
 });
 
+// Search and page a persisted log store. Pages run newest-first; pass the
+// returned nextCursor back to load the next older page.
+async function queryLogStore(store, req, res) {
+  let filters;
+  try {
+    filters = parseLogQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.json(await store.query(filters));
+}
+
 // Get request logs
-app.get('/api/request-logs', (req, res) => {
-  const limit = parseInt(req.query.limit) || 50;
-  const logs = requestLogBuffer.slice(-limit);
-  res.json({ logs });
-});
+app.get('/api/request-logs', (req, res) => queryLogStore(requestLogStore, req, res));
 
 // Clear request logs
 app.delete('/api/request-logs', (req, res) => {
-  requestLogBuffer = [];
+  requestLogStore.clear();
   res.json({ success: true });
 });
 
 // Get LLM conversation logs
-app.get('/api/llm-logs', (req, res) => {
-  const limit = parseInt(req.query.limit) || 50;
-  const logs = llmLogBuffer.slice(-limit);
-  res.json({ logs });
-});
+app.get('/api/llm-logs', (req, res) => queryLogStore(llmLogStore, req, res));
 
 // Clear LLM conversation logs
 app.delete('/api/llm-logs', (req, res) => {
-  llmLogBuffer = [];
+  llmLogStore.clear();
   res.json({ success: true });
 });
 
+// Replay a logged request through the manager's own /v1 handler, optionally
+// with a different model, backend or sampling parameters. The replay is
+// logged like any other request; the response pairs both runs for comparison.
+app.post('/api/llm-logs/:id/replay', async (req, res) => {
+  let overrides;
+  try {
+    overrides = normalizeReplayOverrides(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const entry = await llmLogStore.findById(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Log entry not found' });
+  let replay;
+  try {
+    replay = buildReplayRequest(entry, overrides);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ error: error.message, code: error.code });
+  }
+
+  // Abandon the upstream generation if the dashboard goes away.
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) controller.abort(); });
+  const startedAt = Date.now();
+  try {
+    const upstream = await internalFetch(`${INTERNAL_BASE_URL}/v1/${replay.endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(replay.body),
+      signal: controller.signal,
+    });
+    const text = await upstream.text();
+    let data = null;
+    try { data = JSON.parse(text); } catch { /* non-JSON error body */ }
+    res.json({
+      endpoint: replay.endpoint,
+      requestBody: replay.body,
+      original: summarizeLoggedRun(entry),
+      replay: summarizeReplayRun(replay.endpoint, { status: upstream.status, data, text, durationMs: Date.now() - startedAt }),
+    });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    res.status(502).json({ error: `Replay failed: ${error.message}` });
+  }
+});
+
+function logRetentionStatus() {
+  return {
+    settings: normalizeLogRetention(config.logRetention || {}),
+    stores: { requests: requestLogStore.stats(), llm: llmLogStore.stats(), shadow: shadowLogStore.stats(), alerts: alertHistoryStore.stats() },
+  };
+}
+
+// Search the administrative audit log (who changed what, and the result)
+app.get('/api/audit', (req, res) => queryLogStore(auditLogStore, req, res));
+
+// A hand-edited invalid block falls back to the audit defaults, never to general log retention.
+function auditRetention() {
+  try {
+    return normalizeAuditRetention(config.auditRetention || {});
+  } catch {
+    return { ...AUDIT_RETENTION_DEFAULTS };
+  }
+}
+
+// Get audit log retention and on-disk usage
+app.get('/api/audit/retention', (req, res) => {
+  res.json({ settings: auditRetention(), store: auditLogStore.stats() });
+});
+
+// Raise audit log retention; lowering it is refused (edit config.json instead)
+app.put('/api/audit/retention', (req, res) => {
+  let next;
+  try {
+    next = raiseAuditRetention(auditRetention(), req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  config.auditRetention = next;
+  saveConfig(config);
+  auditLogStore.enforceRetention();
+  res.json({ success: true, settings: next, store: auditLogStore.stats() });
+});
+
+// Get log retention settings and on-disk usage
+app.get('/api/logs/retention', (req, res) => {
+  res.json(logRetentionStatus());
+});
+
+// Update log retention; applied immediately to every log store
+app.put('/api/logs/retention', (req, res) => {
+  let next;
+  try {
+    next = normalizeLogRetention({ ...(config.logRetention || {}), ...(req.body || {}) });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  config.logRetention = next;
+  saveConfig(config);
+  requestLogStore.enforceRetention();
+  llmLogStore.enforceRetention();
+  shadowLogStore.enforceRetention();
+  alertHistoryStore.enforceRetention();
+  res.json({ success: true, ...logRetentionStatus() });
+});
+
+// ========== Redaction ==========
+
+function redactionStatus() {
+  let settings;
+  try {
+    settings = normalizeRedactionSettings(config.redaction || {});
+  } catch (error) {
+    settings = { ...normalizeRedactionSettings({ enabled: config.redaction?.enabled === true }), error: error.message };
+  }
+  return { ...settings, availableDetectors: Object.keys(REDACTION_DETECTORS) };
+}
+
+// Get redaction settings and the built-in detector names
+app.get('/api/redaction/settings', (req, res) => {
+  res.json(redactionStatus());
+});
+
+// Update redaction settings; takes effect for the next logged line or request
+app.put('/api/redaction/settings', (req, res) => {
+  let next;
+  try {
+    next = normalizeRedactionSettings({ ...(config.redaction || {}), ...(req.body || {}) });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  config.redaction = next;
+  saveConfig(config);
+  addLog('manager', `Redaction ${next.enabled ? 'enabled' : 'disabled'}: ${next.rules.length} custom rules, ${next.noBodyCapture.length} clients without body capture`);
+  res.json({ success: true, ...redactionStatus() });
+});
+
+// Dry-run redaction over sample text, with unsaved settings when body.settings is given
+app.post('/api/redaction/preview', (req, res) => {
+  const text = req.body?.text;
+  if (typeof text !== 'string') return res.status(400).json({ error: 'text must be a string' });
+  let redactor;
+  try {
+    redactor = req.body.settings
+      ? createRedactor(normalizeRedactionSettings({ ...req.body.settings, enabled: true }))
+      : currentRedactor();
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const counts = {};
+  res.json({ text: redactor.redactText(text, counts), redactions: counts });
+});
+
+// ========== Alerts ==========
+
+// Rules over thermal, memory, queue and backend telemetry plus crash / ds4
+// update events. Alert history (alertHistoryStore) persists beside the request
+// and LLM logs and shares their retention settings.
+
+// config.alerts is validated on PUT; a hand-edited invalid block falls back
+// to the default rules rather than silencing everything.
+let alertSettingsCache = { source: undefined, settings: null };
+function alertSettings() {
+  if (alertSettingsCache.source !== config.alerts || !alertSettingsCache.settings) {
+    let settings;
+    try {
+      settings = normalizeAlertSettings(config.alerts || {});
+    } catch (error) {
+      console.error(`[alerts] Invalid config.alerts, using defaults: ${error.message}`);
+      settings = normalizeAlertSettings({});
+    }
+    alertSettingsCache = { source: config.alerts, settings };
+  }
+  return alertSettingsCache.settings;
+}
+
+const alertEngine = new AlertEngine({
+  getSettings: alertSettings,
+  deliver: createWebhookDelivery(fetch),
+  hostLabel: hostname(),
+  record: (alert) => {
+    persistLog(alertHistoryStore, alert);
+    const failed = alert.deliveries.filter(delivery => !delivery.ok);
+    addLog('system', `[alert] ${alert.status === 'resolved' ? 'resolved' : alert.severity}: ${alert.ruleName} — ${alert.message}${failed.length ? ` (delivery failed: ${failed.map(d => `${d.channel} ${d.error}`).join(', ')})` : ''}`);
+    const message = JSON.stringify({ type: 'alert', data: alert });
+    for (const client of connectedClients) {
+      if (client.readyState === client.OPEN) client.send(message);
+    }
+  },
+});
+
+function notifyAlertEvent(signal, event) {
+  alertEngine.recordEvent(signal, event).catch(error => console.error(`[alerts] ${signal}: ${error.message}`));
+}
+
+/** Current gauge values for alert rules; null where telemetry is dark or stale. */
+function alertSamples() {
+  const now = Date.now();
+  const thermalFresh = guardLast.at > 0 && now - guardLast.at < 60_000;
+  const memBytes = memAvailableBytes();
+  const gc = guardCfg();
+  const msSinceLastCompletion = now - lastLocalCompletionAt;
+  const admission = queueAdmissionDecision({
+    pending: llamaQueue.pending,
+    active: llamaQueue.active,
+    hasViableRemote: false,
+    maxQueueDepth: gc.maxQueueDepth,
+    hardMax: gc.maxQueueHardCeiling,
+    msSinceLastCompletion,
+    stallMs: gc.queueStallMs,
+  });
+  return {
+    'thermal.max_temp_c': thermalFresh && guardLast.maxTempC > 0 ? guardLast.maxTempC : null,
+    'thermal.gpu_temp_c': thermalFresh && guardLast.gpuC > 0 ? guardLast.gpuC : null,
+    'thermal.state': thermalFresh ? guardLast.state : null,
+    'memory.available_gib': memBytes > 0 ? memBytes / 1024 ** 3 : null,
+    'queue.pending': llamaQueue.pending,
+    'queue.stalled': admission.reason === 'stalled' ? 1 : 0,
+    'queue.ms_since_completion': llamaQueue.active > 0 ? msSinceLastCompletion : 0,
+    'backend.circuits_open': backendHealth.ids().filter(id => backendHealth.state(id) === 'open').length,
+    'backend.budget_percent': backendBudgetPercent(),
+  };
+}
+
+// Re-armed each round so evaluationSeconds changes apply without a restart.
+function scheduleAlertEvaluation() {
+  setTimeout(async () => {
+    try {
+      await alertEngine.evaluate(alertSamples());
+    } catch (error) {
+      console.error(`[alerts] Evaluation failed: ${error.message}`);
+    }
+    scheduleAlertEvaluation();
+  }, alertSettings().evaluationSeconds * 1000).unref();
+}
+scheduleAlertEvaluation();
+
+// Get alert rules, channels (URLs reduced to origins) and the signal catalog
+app.get('/api/alerts/settings', (req, res) => {
+  res.json({ ...publicAlertSettings(alertSettings()), signals: ALERT_SIGNALS });
+});
+
+// Replace alert settings; omitted channel url/headers keep their stored values
+app.put('/api/alerts/settings', (req, res) => {
+  let next;
+  try {
+    next = normalizeAlertSettings(req.body || {}, alertSettings());
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  config.alerts = next;
+  saveConfig(config);
+  addLog('manager', `Alert settings updated: ${next.rules.length} rules, ${next.channels.length} channels${next.enabled ? '' : ' (disabled)'}`);
+  res.json({ success: true, settings: { ...publicAlertSettings(next), signals: ALERT_SIGNALS } });
+});
+
+// Firing / pending state per rule and current gauge samples
+app.get('/api/alerts/status', (req, res) => {
+  res.json({ rules: alertEngine.status(), samples: alertSamples() });
+});
+
+// Search alert history (same filters and cursor paging as the log stores)
+app.get('/api/alerts/history', (req, res) => queryLogStore(alertHistoryStore, req, res));
+
+// Send a test alert to one channel (body.channel) or to every channel
+app.post('/api/alerts/test', async (req, res) => {
+  try {
+    const alert = await alertEngine.test(req.body?.channel || null);
+    res.json({ success: alert.deliveries.every(delivery => delivery.ok), alert });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
 // Helper to get container info for a process
 async function getContainerInfo(pid) {
   return new Promise((resolve) => {
@@ -7080,6 +9382,25 @@ app.get('/api/analytics/crashes', (req, res) => {
   });
 });
 
+// Per-client / per-model usage for chargeback: tokens, GPU-seconds on the
+// local lane, remote spend and error rate by day, month or whole range.
+// ?format=csv downloads the same rows as a spreadsheet.
+app.get('/api/analytics/usage', (req, res) => {
+  let query;
+  try {
+    query = normalizeUsageQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const report = usageLedger.report(query);
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="usage-${query.from}-${query.to}.csv"`);
+    return res.send(usageReportToCsv(report));
+  }
+  res.json(report);
+});
+
 // OpenAI-compatible models endpoint - returns models from llama.cpp that can be loaded
 /**
  * List locally available, active, aliased, DS4, and embedding models.
@@ -7463,7 +9784,7 @@ async function schedulePreparedPrefill(leaseId, scopeId) {
 app.post('/api/v1/context/prepare', async (req, res) => {
   const requestedModel = req.body?.model || 'default';
   const resolvedModel = resolveDefaultModel(requestedModel, config);
-  const scope = deriveCacheScope(req.headers);
+  const scope = deriveCacheScope(req.headers, req.apiKey);
   const mode = req.body?.mode || 'count';
   const timing = createRequestTimingRecorder({
     profile: mode === 'prefill' ? TIMING_EVIDENCE_PROFILES.PREFILL : TIMING_EVIDENCE_PROFILES.COUNT,
@@ -7707,7 +10028,7 @@ app.post('/api/v1/context/prepare', async (req, res) => {
 
 /** Delete all prepared and persisted cache state owned by the caller scope. */
 app.delete('/api/v1/context/cache', async (req, res) => {
-  const scope = deriveCacheScope(req.headers);
+  const scope = deriveCacheScope(req.headers, req.apiKey);
   const resolvedModel = req.body?.model ? resolveDefaultModel(req.body.model, config) : undefined;
   const ownedSlots = slotAffinity.listScope(scope.id, resolvedModel);
   let deletedPrepared = 0;
@@ -7731,13 +10052,13 @@ app.delete('/api/v1/context/cache', async (req, res) => {
 
 /** Return scope-safe prepared lease status without revealing existence cross-scope. */
 app.get('/api/v1/context/:id', (req, res) => {
-  const lease = preparedContexts.get(req.params.id, deriveCacheScope(req.headers).id);
+  const lease = preparedContexts.get(req.params.id, deriveCacheScope(req.headers, req.apiKey).id);
   return lease ? res.json(lease) : res.status(404).json({ error: { message: 'prepared context not found', code: 'CONTEXT_NOT_FOUND' } });
 });
 
 /** Invalidate one owned prepared lease and any attributable durable dump. */
 app.delete('/api/v1/context/:id', async (req, res) => {
-  const scope = deriveCacheScope(req.headers);
+  const scope = deriveCacheScope(req.headers, req.apiKey);
   const internal = preparedContexts.getInternal(req.params.id, scope.id);
   if (!internal) return res.status(404).json({ error: { message: 'prepared context not found', code: 'CONTEXT_NOT_FOUND' } });
   if (internal.lineageKey) {
@@ -7864,10 +10185,20 @@ async function waitForModelReady(model, { maxWait = MODEL_LOAD_WAIT_MS, pollInte
 
 // Acquire a llamaQueue slot tied to the response lifecycle. The slot is held until
 // the HTTP response closes or finishes — covering the full body stream so concurrency=1
-// actually serializes GPU work. Returns { release, queueWait }. Safe to call once per
+// actually serializes GPU work. Returns { release, queueWait, track }. Safe to call once per
 // proxy handler invocation; subsequent fetchWithRetry calls within the same handler
-// share the held slot.
-async function acquireLocalSlot(req, res, {
+// share the held slot. Handlers without an active-request entry pass their own
+// `abortController` for the deadline to fire, and hand their upstream fetch and
+// stream to track() so a deadline frees the lane only once llama.cpp has stopped.
+async function acquireLocalSlot(req, res, options = {}) {
+  return withSpan(requestContext, 'queue_wait', { 'llama_manager.priority': options.priority || 'interactive' }, async (span) => {
+    const slot = await _acquireLocalSlotInner(req, res, options);
+    span?.setAttributes({ 'llama_manager.queue_wait_ms': slot.queueWait, 'llama_manager.slot_id': slot.slotId });
+    return slot;
+  });
+}
+
+async function _acquireLocalSlotInner(req, res, {
   model,
   endpoint,
   activeReqId,
@@ -7875,9 +10206,27 @@ async function acquireLocalSlot(req, res, {
   priority = 'interactive',
   onPreempt,
   beforeRelease,
+  deadlineAt = null,
+  abortController = null,
 } = {}) {
   const queueStart = Date.now();
 
+  // Deadline admission: a caller that will have given up before the lane could
+  // finish its request is turned away now rather than left to burn GPU time for
+  // nobody. The prediction is 0 until enough local requests have been timed.
+  if (deadlineAt != null) {
+    const predictedMs = estimateLocalProcessingMs(estimateInputTokens(req?.body));
+    const remainingMs = deadlineAt - queueStart;
+    if (predictedMs > remainingMs) {
+      const e = deadlineError(
+        `Predicted local wait ${Math.round(predictedMs)}ms (${llamaQueue.pending} queued) exceeds the request deadline in ${Math.max(0, remainingMs)}ms.`,
+        'DEADLINE_UNREACHABLE',
+      );
+      sendDeadlineError(res, e);
+      throw e;
+    }
+  }
+
   // Guard: smart queue admission. We must NOT fail requests just because the queue is busy.
   // A deep-but-draining queue is allowed to grow (requests wait); we only reject as a LAST
   // RESORT when the model is genuinely STALLED (deep AND no local completion within stallMs)
@@ -7937,7 +10286,11 @@ async function acquireLocalSlot(req, res, {
 
   let slotId;
   try {
-    slotId = await llamaQueue.acquire({ model: model || endpoint, endpoint, activeReqId, priority, onPreempt });
+    const client = requestContext.getStore()?.client?.id;
+    slotId = await llamaQueue.acquire({ model: model || endpoint, endpoint, activeReqId, priority, onPreempt, client, deadlineAt });
+  } catch (err) {
+    if (err.code === 'DEADLINE_EXCEEDED') sendDeadlineError(res, err);
+    throw err;
   } finally {
     if (waitTimer) clearInterval(waitTimer);
   }
@@ -7959,9 +10312,18 @@ async function acquireLocalSlot(req, res, {
   }
   let released = false;
   let releasePending = false;
+  let deadlineTimer = null;
+  const upstream = new Set(); // tracked upstream work still running
+  const track = (promise) => {
+    upstream.add(promise);
+    const settle = () => upstream.delete(promise);
+    promise.then(settle, settle);
+    return promise;
+  };
   const release = () => {
     if (released) return;
     released = true;
+    clearTimeout(deadlineTimer);
     // Record the completion so the queue-admission stall detector can tell a draining
     // queue (completions happening) from a wedged model (nothing completing).
     lastLocalCompletionAt = Date.now();
@@ -7989,7 +10351,76 @@ async function acquireLocalSlot(req, res, {
       release();
     }
   }
-  return { slotId, release, queueWait };
+  // Running past the deadline: abort the upstream work the same way a kill from
+  // the Queue page does, and answer the caller with the deadline error. The
+  // lane stays held until the aborted fetch has settled, so the next request
+  // is not dispatched onto a llama.cpp that is still generating this one.
+  if (deadlineAt != null && !released) {
+    deadlineTimer = setTimeout(() => {
+      if (released || releasePending) return;
+      releasePending = true;
+      const e = deadlineError(`Request deadline passed after ${Date.now() - queueStart}ms; generation aborted.`);
+      const entry = activeReqId != null ? activeRequests.get(activeReqId) : null;
+      if (entry) {
+        try { entry.abortController?.abort('deadline_exceeded'); } catch { /* best effort */ }
+        endActiveRequest(activeReqId, { status: 'deadline_exceeded' });
+      }
+      try { abortController?.abort('deadline_exceeded'); } catch { /* best effort */ }
+      console.log(`[${endpoint}] ${e.message}`);
+      addLog('system', `[${endpoint}] ${e.message}`);
+      sendDeadlineError(res, e);
+      Promise.allSettled([...upstream]).then(release);
+    }, Math.max(0, deadlineAt - Date.now()));
+    deadlineTimer.unref?.();
+  }
+  return { slotId, release, queueWait, track };
+}
+
+// Answer a request whose deadline passed (or cannot be met) with an OpenAI-style
+// 504 and end it. Sent here, not by each handler, so every local-lane endpoint
+// reports deadlines alike; the handlers' own error paths then find the response
+// ended and stand down. Mid-stream responses get an SSE error event instead.
+function sendDeadlineError(res, err) {
+  if (!res || res.writableEnded) return;
+  const error = {
+    message: err.message,
+    type: 'deadline_exceeded',
+    code: err.code === 'DEADLINE_UNREACHABLE' ? 'deadline_unreachable' : 'deadline_exceeded',
+  };
+  try {
+    if (!res.headersSent) {
+      res.status(504).json({ error });
+      return;
+    }
+    const sse = String(res.getHeader('content-type') || '').includes('text/event-stream');
+    res.write(sse ? `data: ${JSON.stringify({ error })}\n\ndata: [DONE]\n\n` : JSON.stringify({ error }));
+    res.end();
+  } catch { /* the client may already be gone */ }
+}
+
+/**
+ * Trace one upstream call: an `upstream_fetch` CLIENT span covers the request up
+ * to response headers and stamps its traceparent on the outgoing request, then
+ * an `upstream_stream` span stays open until our own response ends. Untraced
+ * requests call straight through.
+ * @param {string} url - Upstream URL (the query string is not recorded).
+ * @param {Object} options - fetch() options.
+ * @param {Object} attributes - Span attributes (backend, model).
+ * @param {(options: Object) => Promise<{response: Response}>} fetcher - Performs the call.
+ */
+async function traceUpstream(url, options, attributes, fetcher) {
+  const store = requestContext.getStore();
+  if (!store?.span) return fetcher(options);
+  // A retried upstream call supersedes the previous attempt's stream span.
+  store.trace?.stream?.end();
+  const result = await withSpan(requestContext, 'upstream_fetch', { 'url.full': String(url).split('?')[0], ...attributes }, async (span) => {
+    span.kind = SPAN_KIND.CLIENT;
+    const outcome = await fetcher({ ...options, headers: { ...options.headers, traceparent: span.traceparent() } });
+    span.setAttributes({ 'http.response.status_code': outcome.response?.status, 'llama_manager.retries': outcome.retries });
+    return outcome;
+  });
+  if (store.trace) store.trace.stream = store.trace.root.startChild('upstream_stream', attributes);
+  return result;
 }
 
 // Retry fetch with backoff for transient connection failures (e.g. model switching in router mode)
@@ -8009,7 +10440,8 @@ async function fetchWithRetry(url, options, { retries = 5, baseDelay = 1000, lab
     await restartLlamaServer({ governed: false });
   }
 
-  const result = await _fetchWithRetryInner(url, options, { retries, baseDelay, label, model, signal });
+  const result = await traceUpstream(url, options, { 'llama_manager.backend': 'local', 'llm.request.model': model },
+    traced => _fetchWithRetryInner(url, traced, { retries, baseDelay, label, model, signal }));
   // queueWait is filled in by acquireLocalSlot when applicable; default to 0 here
   result.queueWait = result.queueWait || 0;
   return result;
@@ -8448,11 +10880,272 @@ function finalizeChatTiming(recorder, {
     source: timings ? 'llama_cpp_timings' : 'openai_usage',
   });
   recorder.setCacheSignals({ cacheHitKind, reloaded });
+  let evidence;
   try {
-    return recorder.build();
+    evidence = recorder.build();
   } catch {
     return null;
   }
+  requestContext.getStore()?.trace?.root.setAttributes(timingEvidenceAttributes(evidence));
+  return evidence;
+}
+
+/**
+ * Resolve default-big/default-small for a generation request, traced as the
+ * request's `alias_resolution` span. When `split` is given and the name is a
+ * weighted alias group, the split's pick wins (see pickAliasSplit()).
+ * @param {string} rawModel - Caller-supplied model or alias.
+ * @param {{req: import('express').Request, endpoint: string, localOnly?: boolean}|null} [split] - Request to place in a weighted split.
+ * @returns {string} The concrete model name, or `backendId/model` for a remote split target.
+ */
+function resolveRequestModel(rawModel, split = null) {
+  return withSpan(requestContext, 'alias_resolution', { 'llm.request.model': rawModel }, (span) => {
+    const target = split ? pickAliasSplit(rawModel, split) : null;
+    const resolved = target ? splitModelName(target) : resolveDefaultModel(rawModel, config);
+    span?.setAttribute('llm.resolved_model', resolved);
+    const store = requestContext.getStore();
+    if (store) store.resolvedModel = resolved;
+    if (target) span?.setAttribute('llama_manager.alias.split_target', splitTargetKey(target.host, target.model));
+    return resolved;
+  });
+}
+
+// ========== Weighted Alias Splits ==========
+// A config.aliases group whose targets carry weights splits the chat and
+// text-completion traffic for that name between them (see alias-canary.js).
+// Each conversation is placed by its lineage key — the key slot affinity
+// uses, derived against the alias name — so all of its turns reach the same
+// target; requests with no conversation identity are placed at random. A
+// remote target is addressed as `backendId/model`, the explicit prefix
+// resolveBackend() already honours, so the split overrides offload policy;
+// a local target is served as a direct request for that model. Targets that
+// are unavailable (circuit open, over budget, remote under local_only) drop
+// out of the pick. Unweighted groups are not routed here.
+
+function aliasGroups() {
+  return config.aliases && typeof config.aliases === 'object' ? config.aliases : {};
+}
+
+function splitModelName(target) {
+  return target.host === 'local' ? target.model : `${target.host}/${target.model}`;
+}
+
+function splitTargetAvailable(target, localOnly) {
+  if (target.host === 'local') return true;
+  if (localOnly || !config.backends?.enabled) return false;
+  const backend = (config.backends.directory || []).find(b => b.id === target.host);
+  return !!backend && backend.enabled && backend.tested
+    && !isBackendCircuitOpen(backend.id) && !isBackendOverBudget(backend);
+}
+
+function splitLineagePoint(alias, req) {
+  try {
+    const identity = deriveConversationCacheIdentity({
+      explicitKey: req.body?.conversation_cache_key ?? req.body?.prompt_cache_key,
+      messages: req.body?.messages,
+    });
+    if (identity) {
+      const scope = deriveCacheScope(req.headers, req.apiKey);
+      return lineagePoint(conversationLineageKey({ scopeId: scope.id, resolvedModel: alias, conversationCacheKey: identity.key }));
+    }
+  } catch { /* invalid cache key: place the request at random */ }
+  return Math.random();
+}
+
+/**
+ * Place a request for a weighted alias on one of its targets, count the
+ * assignment, and park the target on the request context so addLlmLog() can
+ * record how it went.
+ * @param {string} alias - Requested name.
+ * @param {{req: import('express').Request, endpoint: string, localOnly?: boolean}} split - The request.
+ * @returns {{host: string, model: string, weight: number}|null} The chosen target, or null when the
+ *   name is not a weighted alias or none of its targets is available.
+ */
+function pickAliasSplit(alias, { req, endpoint, localOnly = false }) {
+  if (!SPLIT_ENDPOINTS.includes(endpoint)) return null;
+  const groups = aliasGroups();
+  const group = Object.hasOwn(groups, alias) ? groups[alias] : null;
+  if (!isWeightedGroup(group)) return null;
+  const pick = pickWeightedTarget(group.targets, splitLineagePoint(alias, req), t => splitTargetAvailable(t, localOnly));
+  if (!pick) return null;
+  splitStats.assign(alias, pick.target);
+  const context = requestContext.getStore();
+  if (context) context.aliasSplit = { alias, endpoint, host: pick.target.host, model: pick.target.model };
+  return pick.target;
+}
+
+// ========== Shadow Traffic ==========
+// config.shadows mirrors a sampled share of requests for a model or alias name
+// to a candidate target (see shadow-traffic.js). armShadow() samples the
+// request and parks the mirrored body on the request context; addLlmLog()
+// hands it to mirrorShadow() once the primary has been answered, so the
+// shadow never delays or alters the client's response. Mirrors run outside
+// the request context: they are not charged to the client or logged as LLM
+// traffic, only stored as pairs in shadowLogStore. Remote spend still counts
+// toward budgets.
+const SHADOW_MAX_IN_FLIGHT = 4;
+const SHADOW_TIMEOUT_MS = 120_000;
+let shadowsInFlight = 0;
+
+function shadowRules() {
+  return config.shadows && typeof config.shadows === 'object' ? config.shadows : {};
+}
+
+function armShadow(rawModel, requestedModel, endpoint, body, { localOnly }) {
+  if (!SHADOW_ENDPOINTS.includes(endpoint)) return;
+  const rules = shadowRules();
+  const name = [rawModel, requestedModel].find(n => n && Object.hasOwn(rules, n));
+  if (!name) return;
+  let rule;
+  try {
+    rule = normalizeShadowRule(rules[name], (config.backends?.directory || []).map(b => b.id));
+  } catch {
+    return; // a hand-edited invalid rule simply does not mirror
+  }
+  if (!sampleShadow(rule)) return;
+  if (localOnly && rule.host !== 'local') {
+    shadowSummary.skip(name, 'local_only');
+    return;
+  }
+  const store = requestContext.getStore();
+  if (store) store.shadow = { name, rule, endpoint, body: shadowRequestBody(stripManagerRequestFields(body), rule.model) };
+}
+
+function mirrorShadow(shadow, entry, client) {
+  const primary = {
+    host: entry.backend || 'local',
+    model: entry.model,
+    status: entry.status,
+    latencyMs: entry.duration || 0,
+    promptTokens: entry.promptTokens || 0,
+    completionTokens: entry.completionTokens || 0,
+    response: entry.response ?? null,
+  };
+  if (entry.error || primary.status >= 400) {
+    shadowSummary.skip(shadow.name, 'primary_failed');
+    return;
+  }
+  if (shadowsInFlight >= SHADOW_MAX_IN_FLIGHT) {
+    shadowSummary.skip(shadow.name, 'saturated');
+    return;
+  }
+  shadowsInFlight++;
+  requestContext.exit(() => runShadow(shadow))
+    .then(result => {
+      if (result.skipped) {
+        shadowSummary.skip(shadow.name, result.skipped);
+        return;
+      }
+      storeShadowPair(shadow, primary, result, client);
+    })
+    .catch(error => console.error(`[shadow] ${shadow.name}: ${error.message}`))
+    .finally(() => { shadowsInFlight--; });
+}
+
+// Send the mirror to the shadow target. Remote targets go through the normal
+// backend path (circuit breaker, queue, protocol translation) but are skipped
+// rather than queued when the backend is unhealthy, over budget or full.
+// Local targets run at background priority, so queued user work goes first and
+// realtime work preempts them, and only against a model that is already
+// resident: a shadow never loads a model and so never evicts one.
+async function runShadow({ rule, endpoint, body }) {
+  if (rule.host === 'local') return runLocalShadow(rule.model, endpoint, body);
+  const backend = config.backends?.directory?.find(b => b.id === rule.host);
+  if (!backend?.enabled || !backend.tested) return { skipped: 'backend_unavailable' };
+  if (isBackendCircuitOpen(backend.id)) return { skipped: 'circuit_open' };
+  if (isBackendOverBudget(backend)) return { skipped: 'over_budget' };
+  if (!backendServesEndpoint(backend, endpoint)) return { skipped: 'unsupported_endpoint' };
+  const queue = backendQueues.get(backend.id);
+  if (queue && queue.active >= queue.concurrency) return { skipped: 'backend_busy' };
+  const routing = buildRemoteRouting(backend, rule.model, endpoint);
+  const startedAt = Date.now();
+  try {
+    const { response } = await fetchRemoteBackend(backend, routing.targetUrl, {
+      method: 'POST',
+      headers: { ...routing.headers },
+      body: JSON.stringify(body),
+    }, { label: 'shadow', model: rule.model });
+    const result = await shadowResult(response, startedAt);
+    if (!result.error) recordBackendSpend(backend, calculateBackendCost(backend, result.promptTokens, result.completionTokens));
+    return result;
+  } catch (error) {
+    return { status: 502, latencyMs: Date.now() - startedAt, promptTokens: 0, completionTokens: 0, response: null, error: error.message };
+  }
+}
+
+async function runLocalShadow(model, endpoint, body) {
+  if (currentEngine === ENGINE_TYPES.DS4) return { skipped: 'engine_busy' };
+  if (guardDispatchPaused) return { skipped: 'thermal' };
+  if (!loadedModelsSnapshot.some(m => m.id === model)) return { skipped: 'not_resident' };
+  const controller = new AbortController();
+  let queueId = null;
+  try {
+    queueId = await llamaQueue.acquire({
+      model,
+      endpoint: `shadow/${endpoint}`,
+      priority: 'background',
+      // SHADOW_MAX_IN_FLIGHT bounds shadows; they must not use up the
+      // background slots batch and other background callers are promised.
+      uncapped: true,
+      onPreempt: reason => controller.abort(reason),
+    });
+  } catch {
+    return { skipped: 'local_busy' };
+  }
+  try {
+    // Residency may have changed while queued; re-check against the router.
+    if (!(await isLocalModelResident(model))) return { skipped: 'not_resident' };
+    const startedAt = Date.now();
+    try {
+      const response = await fetch(`http://localhost:${LLAMA_PORT}/v1/${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.any([controller.signal, AbortSignal.timeout(SHADOW_TIMEOUT_MS)]),
+      });
+      return await shadowResult(response, startedAt);
+    } catch (error) {
+      if (controller.signal.aborted) return { skipped: 'preempted' };
+      return { status: 502, latencyMs: Date.now() - startedAt, promptTokens: 0, completionTokens: 0, response: null, error: error.message };
+    }
+  } finally {
+    llamaQueue.release(queueId);
+  }
+}
+
+async function shadowResult(response, startedAt) {
+  if (!response.ok) {
+    const error = await response.text().catch(() => '');
+    return { status: response.status, latencyMs: Date.now() - startedAt, promptTokens: 0, completionTokens: 0, response: null, error: error.slice(0, 500) || `HTTP ${response.status}` };
+  }
+  const output = completionOutput(await response.json());
+  return { status: response.status, latencyMs: Date.now() - startedAt, promptTokens: output.promptTokens, completionTokens: output.completionTokens, response: output.text, error: null };
+}
+
+// Store one pair. Prompts and outputs follow the same capture and redaction
+// rules as the LLM log; without body capture only the figures are kept.
+function storeShadowPair({ name, rule, endpoint, body }, primary, result, client) {
+  const comparison = compareOutputs(primary.response, result.response);
+  const shadow = { host: rule.host, model: rule.model, ...result };
+  shadowSummary.record(name, { primary, shadow, comparison });
+  const redactor = currentRedactor();
+  const capture = redactor.capturesBodyFor(client);
+  const text = value => (capture && typeof value === 'string' ? redactor.redactText(value) : null);
+  persistLog(shadowLogStore, {
+    id: Date.now() + Math.random(),
+    timestamp: new Date().toISOString(),
+    model: name,
+    endpoint,
+    backend: rule.host,
+    status: result.status,
+    error: result.error ? redactor.redactText(result.error) : null,
+    ...(client ? { client: client.label, clientId: client.id } : {}),
+    messages: capture && body.messages ? redactor.redactValue(body.messages) : null,
+    prompt: capture && body.prompt !== undefined ? redactor.redactValue(body.prompt) : null,
+    primary: { ...primary, response: text(primary.response) },
+    shadow: { ...shadow, response: text(shadow.response), error: shadow.error ? redactor.redactText(shadow.error) : null },
+    comparison,
+  });
 }
 
 // OpenAI-compatible chat completions (streaming and non-streaming)
@@ -8490,12 +11183,12 @@ async function handleChatCompletions(req, res) {
     const choice = await routeAutoModel(req.body, {
       config,
       listModels: async () => {
-        const r = await fetch(`http://127.0.0.1:${API_PORT}/api/v1/models`);
+        const r = await internalFetch(`${INTERNAL_BASE_URL}/api/v1/models`);
         if (!r.ok) throw new Error(`model catalog returned ${r.status}`);
         return r.json();
       },
       complete: async (model, messages, { signal, ...opts }) => {
-        const r = await fetch(`http://127.0.0.1:${API_PORT}/api/v1/chat/completions`, {
+        const r = await internalFetch(`${INTERNAL_BASE_URL}/api/v1/chat/completions`, {
           method: 'POST', headers: { 'Content-Type': 'application/json' }, signal, body: JSON.stringify({ model, messages, ...opts }),
         });
         if (!r.ok) throw new Error(`router completion returned ${r.status}`);
@@ -8507,10 +11200,11 @@ async function handleChatCompletions(req, res) {
 
   // Resolve default-big/default-small aliases to the configured real target before
   // routing, and forward the resolved name to the backend so the alias never reaches
-  // llama.cpp as an unknown model name. rawModel keeps the pre-resolution name so the
-  // engine seam can tell an alias request from a direct model request.
+  // llama.cpp as an unknown model name; a weighted alias resolves to its split target.
+  // rawModel keeps the pre-resolution name so the engine seam can tell an alias request
+  // from a direct model request.
   const rawModel = req.body.model || 'default';
-  const requestedModel = resolveDefaultModel(rawModel, config);
+  const requestedModel = resolveRequestModel(rawModel, { req, endpoint: 'chat/completions', localOnly: requestPolicy.localOnly });
   if (req.body.model && req.body.model !== requestedModel) req.body.model = requestedModel;
 
   console.log(`[chat/completions] Request for model: ${requestedModel}`);
@@ -8533,7 +11227,8 @@ async function handleChatCompletions(req, res) {
 
   const mediaExpansion = await expandMessages(req.body.messages, {
     model: req.body.model || 'default',
-    baseUrl: `http://127.0.0.1:${API_PORT}`,
+    baseUrl: INTERNAL_BASE_URL,
+    fetchImpl: internalFetch,
   });
   if (mediaExpansion.messages !== req.body.messages) {
     req.body.messages = mediaExpansion.messages;
@@ -8550,6 +11245,7 @@ async function handleChatCompletions(req, res) {
 
   // Inject reasoning_effort if configured (shallow copy preserves req.body for logs)
   const proxyBody = injectModelSamplingDefaults(injectReasoningEffort(stripManagerRequestFields(req.body)));
+  armShadow(rawModel, requestedModel, 'chat/completions', req.body, requestPolicy);
 
   // ── ds4 engine active (EXCLUSIVE mode) ───────────────────────────────────────
   // ds4 owns the box: a request for the ds4 model is served locally on ds4-server
@@ -8587,12 +11283,12 @@ async function handleChatCompletions(req, res) {
     }
     // Force remote (never local): build routing from the fastest viable backend.
     const backend = findFastestAvailableBackend(requestedModel, 'chat/completions');
-    const remoteModel = resolveModelMapping(backend.modelMapping, requestedModel);
+    const remoteModel = backendModelFor(backend, requestedModel);
     routing = buildRemoteRouting(backend, remoteModel, 'chat/completions');
     console.log(`[chat/completions] ds4 exclusive: offloading non-ds4 model '${requestedModel}' to ${backend.name} (${remoteModel})`);
   } else {
     // Resolve backend routing (local vs remote) the normal way.
-    routing = resolveBackend(requestedModel, 'chat/completions', req.body, { localOnly: requestPolicy.localOnly });
+    routing = resolveBackend(requestedModel, 'chat/completions', req.body, { localOnly: requestPolicy.localOnly, maxTtftMs: requestPolicy.maxTtftMs, alias: rawModel });
   }
   if (routing.suppressionReason === 'explicit_remote_backend') {
     contextRoutingStats.localOnlyRejected++;
@@ -8605,6 +11301,7 @@ async function handleChatCompletions(req, res) {
       _llama_manager: { routing: 'local_only', routing_outcome: 'rejected', offload_suppressed: true },
     });
   }
+  if (routing.budgetExceeded) return sendBudgetExceeded(res, routing.budgetExceeded);
 
   // Prefix-cache routing (local only): pin same-conversation requests to the
   // same llama.cpp slot so its per-slot KV cache auto-matches the prefix and
@@ -8627,7 +11324,7 @@ async function handleChatCompletions(req, res) {
     try {
       const preparedId = req.body?.prepared_context_id;
       if (preparedId) {
-        const scope = deriveCacheScope(req.headers);
+        const scope = deriveCacheScope(req.headers, req.apiKey);
         const prepared = preparedContexts.getInternal(preparedId, scope.id);
         const requestHash = contextPrefixRequestHash(req.body, requestedModel);
         const currentCompatibility = await modelCompatibilityHash(requestedModel);
@@ -8655,7 +11352,7 @@ async function handleChatCompletions(req, res) {
           });
         }
       }
-      if (!slotAssignment) slotAssignment = lookupOrAssignSlot(requestedModel, req.body, req.headers);
+      if (!slotAssignment) slotAssignment = lookupOrAssignSlot(requestedModel, req.body, req.headers, req.apiKey);
     } catch (error) {
       return res.status(400).json({ error: { message: error.message, type: 'invalid_request_error', code: 'invalid_conversation_cache_key' } });
     }
@@ -8733,11 +11430,16 @@ async function handleChatCompletions(req, res) {
   };
   res.on('finish', () => cleanupActive(res.statusCode >= 400 ? 'error' : 'complete'));
   res.on('close', () => cleanupActive('client_disconnect'));
+  // Request hedging: a streamed realtime request that opted in also races the
+  // fastest remote once it has gone the hedge delay without local output.
+  const hedge = isStreaming && !routing.remote && !requestPolicy.localOnly
+    ? armHedge(req, res, { requestedModel, proxyBody, startTime, activeReqId, policy: requestPolicy, names: [rawModel, requestedModel] })
+    : null;
   // Enqueue persistence before the queue-release finish listener runs. The
   // snapshot waits at background priority, so already-queued user work goes
   // first and a newly arriving realtime request aborts an active save.
   res.on('finish', () => {
-    if (!routing.remote && res.statusCode < 400 && slotAssignment?.slotId != null) {
+    if (!routing.remote && !hedge?.won() && res.statusCode < 400 && slotAssignment?.slotId != null) {
       scheduleSlotSave(requestedModel, slotAssignment).catch(() => {});
     }
   });
@@ -8986,7 +11688,9 @@ async function handleChatCompletions(req, res) {
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Transfer-Encoding', 'chunked');
     res.setHeader('X-Accel-Buffering', 'no'); // disable nginx buffering
-    res.flushHeaders();
+    // A caller with a deadline set its own timeout; holding the headers until the
+    // first heartbeat lets a deadline rejection still arrive as an HTTP 504.
+    if (requestPolicy.deadlineAt == null) res.flushHeaders();
     // Disable Nagle's algorithm so the 1-byte heartbeat goes on the wire
     // immediately instead of waiting up to 200ms for more bytes.
     try { req.socket?.setNoDelay?.(true); } catch {}
@@ -9012,23 +11716,32 @@ async function handleChatCompletions(req, res) {
   // cancel, client disconnect) — without this catch the rejection propagates up
   // as an unhandled promise rejection and crashes the Node process.
   let initialQueueWait = 0;
+  let localSlot = null;
+  const onBackgroundPreempt = requestPolicy.priority === 'background' ? () => {
+    const active = activeRequests.get(activeReqId);
+    if (active) {
+      active.preemptedByRealtime = true;
+      try { active.abortController?.abort('realtime_request'); } catch { /* best effort */ }
+    }
+  } : null;
   try {
     const slot = await acquireLocalSlot(req, res, {
       model: requestedModel, endpoint: 'chat/completions', activeReqId,
       priority: requestPolicy.priority,
-      onPreempt: requestPolicy.priority === 'background' ? () => {
-        const active = activeRequests.get(activeReqId);
-        if (active) {
-          active.preemptedByRealtime = true;
-          try { active.abortController?.abort('realtime_request'); } catch { /* best effort */ }
-        }
-      } : null,
+      deadlineAt: requestPolicy.deadlineAt,
+      onPreempt: onBackgroundPreempt,
       onWait: isStreaming ? ({ position, pending, waitedMs }) => {
         flushSseHeaders();
         const pos = position != null ? position + 1 : '?';
         res.write(`: queued position=${pos}/${pending} waited=${Math.round(waitedMs / 1000)}s\n\n`);
       } : null
     });
+    localSlot = slot;
+    // A hedge that took over while we waited owns the response; free the lane.
+    if (hedge?.won()) {
+      slot.release();
+      return;
+    }
     initialQueueWait = slot.queueWait;
     chatTiming.mark('admitted');
     if (isStreaming && !res.writableEnded) {
@@ -9036,6 +11749,8 @@ async function handleChatCompletions(req, res) {
       res.write(`: manager queue-wait-ms=${initialQueueWait} priority=${requestPolicy.priority}\n\n`);
     }
   } catch (err) {
+    // The hedge cancelled our queue position and is serving the response.
+    if (hedge?.won()) return;
     // Acquire was rejected (flush / cancel / reroute / client disconnect).
     // If the reroute scanner cancelled us because a remote backend opened up,
     // signal that to the client via 503 + Retry-After: 0 so it retries
@@ -9043,7 +11758,7 @@ async function handleChatCompletions(req, res) {
     const entry = activeRequests.get(activeReqId);
     const wasReroute = !!entry?._rerouteHint;
     if (activeRequests.has(activeReqId)) {
-      endActiveRequest(activeReqId, { status: 'cancelled' });
+      endActiveRequest(activeReqId, { status: err.statusCode === 504 ? 'deadline_exceeded' : 'cancelled' });
     }
     const reason = wasReroute
       ? `Rerouted: a remote backend now has capacity for ${requestedModel}. Retry.`
@@ -9129,7 +11844,8 @@ async function handleChatCompletions(req, res) {
 
   // Start backfill race timer — if this request stalls (no tokens after backfillStallMs),
   // race it against the fastest available remote backend. Whoever responds first wins.
-  const backfillTimer = requestPolicy.localOnly ? null : setupBackfillRace(req, res, {
+  // A hedged request already races a remote, so it skips backfill.
+  const backfillTimer = requestPolicy.localOnly || hedge ? null : setupBackfillRace(req, res, {
     requestedModel, endpoint: 'chat/completions', proxyBody, isStreaming, startTime, activeReqId
   });
 
@@ -9195,12 +11911,20 @@ async function handleChatCompletions(req, res) {
       diskRestored = await maybeRestoreSlot(requestedModel, slotAssignment);
       if (diskRestored && !res.headersSent) res.setHeader('x-llama-manager-cache', 'disk_restore');
     }
+    if (hedge?.won()) {
+      localSlot.release();
+      return;
+    }
     let response = await doFetch(proxyBody);
     let activeBody = proxyBody;
 
-    // If backfill won while we were fetching, bail out
-    if (bodyCommitted) {
+    // If backfill or the hedge won while we were fetching, bail out
+    if (bodyCommitted || hedge?.won()) {
       if (backfillTimer) clearTimeout(backfillTimer);
+      if (hedge?.won()) {
+        try { await response.body?.cancel(); } catch { /* ignore */ }
+        localSlot.release();
+      }
       return;
     }
     // Primary got a response — cancel backfill timer
@@ -9300,7 +12024,7 @@ async function handleChatCompletions(req, res) {
       // its `lastChunkAt` clock — each chunk we read below updates it
       // so we only emit `: processing` comments during silent gaps.
 
-      const reader = response.body.getReader();
+      let reader = response.body.getReader();
       const decoder = new TextDecoder();
       let completionTokens = 0;
       let promptTokens = 0;
@@ -9308,11 +12032,73 @@ async function handleChatCompletions(req, res) {
       let responseText = '';
       let serverTimings = null;
       let firstContentMarked = false;
+      // Hedged requests hold the opening role-only chunks until local output
+      // claims the response; if the hedge claimed it first, stop reading.
+      let localClaimed = !hedge;
+      let heldOutput = '';
+      // A background stream keeps a checkpoint of what the client has been
+      // sent, so a realtime preemption pauses it instead of failing it.
+      const checkpoint = requestPolicy.priority === 'background' && resumablePreemptionCfg().enabled
+        ? createStreamCheckpoint()
+        : null;
+
+      // Hand the lane to the realtime request, queue again, and continue from
+      // the checkpoint. Returns the continuation's reader, or null to fail the
+      // stream as before (not preempted, out of resumes, or the retry failed).
+      const resumeAfterPreemption = async () => {
+        const settings = resumablePreemptionCfg();
+        const entry = activeRequests.get(activeReqId);
+        if (!entry?.preemptedByRealtime || res.writableEnded || checkpoint.resumes >= settings.maxResumes) return null;
+        entry.preemptedByRealtime = false;
+        entry.abortController = new AbortController();
+        resumableStats.checkpoints++;
+        const slotFile = settings.saveSlot && slotAssignment?.slotId != null
+          ? await checkpointSlot(requestedModel, slotAssignment.slotId, activeReqId)
+          : null;
+        localSlot.release();
+        const note = `Background request ${activeReqId} preempted after ${checkpoint.outputTokens} tokens; resuming when the lane frees`;
+        console.log(`[chat/completions] ${note}`);
+        addLog('chat', note);
+        res.write(`: preempted after ${checkpoint.outputTokens} tokens; resuming\n\n`);
+        try {
+          localSlot = await acquireLocalSlot(req, res, {
+            model: requestedModel, endpoint: 'chat/completions', activeReqId,
+            priority: 'background', deadlineAt: requestPolicy.deadlineAt, onPreempt: onBackgroundPreempt,
+          });
+          totalQueueWait += localSlot.queueWait;
+          if (slotFile) await restoreCheckpointSlot(requestedModel, slotAssignment.slotId, slotFile);
+          const next = await doFetch(continuationRequest(activeBody, checkpoint));
+          if (!next.ok) throw new Error(`continuation failed with HTTP ${next.status}: ${await next.text()}`);
+          checkpoint.resume();
+          resumableStats.resumes++;
+          return next.body.getReader();
+        } catch (err) {
+          // A dump that was never restored would otherwise stay in SLOT_SAVE_DIR.
+          if (slotFile) discardCheckpointSlot(slotFile);
+          resumableStats.failed++;
+          console.warn(`[chat/completions] Could not resume request ${activeReqId}: ${err.message}`);
+          return null;
+        }
+      };
 
       const processStream = async () => {
         try {
           while (true) {
-            const { done, value } = await reader.read();
+            let read;
+            try {
+              read = await reader.read();
+            } catch (err) {
+              const next = checkpoint ? await resumeAfterPreemption() : null;
+              if (!next) throw err;
+              reader = next;
+              // From here the upstream counts the continuation only; the
+              // checkpoint's carried output is added back when recording.
+              completionTokens = 0;
+              promptTokens = 0;
+              serverTimings = null;
+              continue;
+            }
+            const { done, value } = read;
             if (done) break;
             lastChunkAt = Date.now();
 
@@ -9329,6 +12115,10 @@ async function handleChatCompletions(req, res) {
                 try {
                   const data = JSON.parse(line.slice(6));
                   const delta = data.choices?.[0]?.delta;
+                  if (!localClaimed && deltaHasOutput(delta)) {
+                    localClaimed = hedge.claimLocal();
+                    if (!localClaimed) break;
+                  }
                   if (delta) {
                     // Extract any field that carries model output. Qwen 3.6's
                     // thinking-mode streaming uses fields beyond OpenAI's
@@ -9381,8 +12171,31 @@ async function handleChatCompletions(req, res) {
             if (needsRewrite) {
               outputChunk = rewrittenLines.join('\n');
             }
+            if (!localClaimed) {
+              if (hedge.won()) {
+                try { await reader.cancel(); } catch { /* ignore */ }
+                localSlot.release();
+                return;
+              }
+              heldOutput += outputChunk;
+              continue;
+            }
+            if (heldOutput) {
+              outputChunk = heldOutput + outputChunk;
+              heldOutput = '';
+            }
+            if (checkpoint) outputChunk = checkpoint.push(outputChunk);
             res.write(outputChunk);
           }
+          if (checkpoint) res.write(checkpoint.end());
+          // A reply without output is still local unless the hedge took over.
+          if (!localClaimed) {
+            if (!hedge.claimLocal()) {
+              localSlot.release();
+              return;
+            }
+            if (heldOutput) res.write(heldOutput);
+          }
           if (streamingKeepaliveTicker) {
             clearInterval(streamingKeepaliveTicker);
             streamingKeepaliveTicker = null;
@@ -9401,6 +12214,7 @@ async function handleChatCompletions(req, res) {
             promptTokens = serverTimings.prompt_n || promptTokens;
             completionTokens = serverTimings.predicted_n || completionTokens;
           }
+          if (checkpoint?.resumes) ({ promptTokens, completionTokens } = resumedTokenCounts(checkpoint, { promptTokens, completionTokens }));
           recordTokenStats({
             promptTokens,
             completionTokens,
@@ -9435,6 +12249,11 @@ async function handleChatCompletions(req, res) {
           });
           endActiveRequest(activeReqId, { status: 'complete', tokens: completionTokens, responseText });
         } catch (e) {
+          // Aborted because the hedge won; it owns the response now.
+          if (hedge?.won()) {
+            localSlot.release();
+            return;
+          }
           if (streamingKeepaliveTicker) {
             clearInterval(streamingKeepaliveTicker);
             streamingKeepaliveTicker = null;
@@ -9570,6 +12389,11 @@ async function handleChatCompletions(req, res) {
     }
   } catch (error) {
     if (backfillTimer) clearTimeout(backfillTimer);
+    // The hedge won and aborted the local fetch; it owns the response.
+    if (hedge?.won()) {
+      localSlot?.release();
+      return;
+    }
     if (nonStreamingHeartbeatTicker) {
       clearInterval(nonStreamingHeartbeatTicker);
       nonStreamingHeartbeatTicker = null;
@@ -9630,11 +12454,12 @@ async function handleCompletions(req, res) {
   try { requestPolicy = managerRequestPolicy(req.body, req.headers); }
   catch (error) { return res.status(400).json({ error: { message: error.message, code: 'invalid_manager_policy' } }); }
   req.body = stripManagerRequestFields(req.body);
-  // Resolve default-big/default-small aliases and forward the resolved name downstream.
+  // Resolve default-big/default-small and weighted aliases, and forward the resolved name downstream.
   const rawModel = req.body.model || 'unknown';
-  const requestedModel = resolveDefaultModel(rawModel, config);
+  const requestedModel = resolveRequestModel(rawModel, { req, endpoint: 'completions', localOnly: requestPolicy.localOnly });
   if (req.body.model && req.body.model !== requestedModel) req.body.model = requestedModel;
   const isStreaming = req.body.stream === true;
+  armShadow(rawModel, requestedModel, 'completions', req.body, requestPolicy);
 
   // Activate/deactivate exclusive ds4 to follow the default-model target (see chat handler).
   const ds4Activation = await ensureDs4ForModel(rawModel, requestedModel);
@@ -9668,16 +12493,17 @@ async function handleCompletions(req, res) {
       return res.status(503).json(ds4Exclusive503Body(requestedModel, ds4Name));
     }
     const backend = findFastestAvailableBackend(requestedModel, 'completions');
-    routing = buildRemoteRouting(backend, resolveModelMapping(backend.modelMapping, requestedModel), 'completions');
+    routing = buildRemoteRouting(backend, backendModelFor(backend, requestedModel), 'completions');
     console.log(`[completions] ds4 exclusive: offloading non-ds4 model '${requestedModel}' to ${backend.name}`);
   } else {
     // Route to remote backend if applicable
-    routing = resolveBackend(requestedModel, 'completions', req.body, { localOnly: requestPolicy.localOnly });
+    routing = resolveBackend(requestedModel, 'completions', req.body, { localOnly: requestPolicy.localOnly, maxTtftMs: requestPolicy.maxTtftMs, alias: rawModel });
   }
   if (routing.suppressionReason === 'explicit_remote_backend') {
     contextRoutingStats.localOnlyRejected++;
     return res.status(409).json({ error: { message: 'local_only conflicts with an explicit remote backend prefix', code: 'LOCAL_ONLY_REMOTE_CONFLICT' } });
   }
+  if (routing.budgetExceeded) return sendBudgetExceeded(res, routing.budgetExceeded);
   if (routing.remote) {
     req._backend = routing.backend.id;
     const remoteBody = { ...req.body, model: routing.targetModel };
@@ -9732,9 +12558,12 @@ async function handleCompletions(req, res) {
 
   // Hold a local queue slot for the lifetime of the response (released on res close/finish)
   let completionsQueueWait = 0;
+  const upstreamAbort = new AbortController();
+  let slot;
   try {
-    const slot = await acquireLocalSlot(req, res, {
-      model: requestedModel, endpoint: 'completions', activeReqId: null, priority: requestPolicy.priority
+    slot = await acquireLocalSlot(req, res, {
+      model: requestedModel, endpoint: 'completions', activeReqId: null, priority: requestPolicy.priority,
+      deadlineAt: requestPolicy.deadlineAt, abortController: upstreamAbort,
     });
     completionsQueueWait = slot.queueWait;
   } catch (err) {
@@ -9745,11 +12574,11 @@ async function handleCompletions(req, res) {
 
   try {
     await ensureModelServed(requestedModel);
-    const { response, retries: fetchRetries, retryErrors: fetchRetryErrors, restarted: fetchRestarted } = await fetchWithRetry(`http://localhost:${LLAMA_PORT}/v1/completions`, {
+    const { response, retries: fetchRetries, retryErrors: fetchRetryErrors, restarted: fetchRestarted } = await slot.track(fetchWithRetry(`http://localhost:${LLAMA_PORT}/v1/completions`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(req.body)
-    }, { label: 'completions', model: req.body.model });
+    }, { label: 'completions', model: req.body.model, signal: upstreamAbort.signal }));
     req._retryInfo = { retries: fetchRetries, retryErrors: fetchRetryErrors, restarted: fetchRestarted };
     const retryFields = { retries: fetchRetries, retryErrors: fetchRetryErrors, requestBody: req.body };
 
@@ -9826,7 +12655,7 @@ async function handleCompletions(req, res) {
         }
       };
 
-      processStream();
+      slot.track(processStream());
     } else {
       const data = await response.json();
       const wallDuration = Date.now() - startTime;
@@ -9872,7 +12701,8 @@ async function handleCompletions(req, res) {
       response: null, error: error.message, requestBody: req.body,
       retries: error.retries || 0, retryErrors: error.retryErrors || []
     });
-    res.status(502).json({ error: 'Failed to reach llama server', details: error.message });
+    // A deadline abort has already been answered by sendDeadlineError().
+    if (!res.headersSent) res.status(502).json({ error: 'Failed to reach llama server', details: error.message });
   }
 }
 app.post('/api/v1/completions', handleCompletions);
@@ -9893,7 +12723,7 @@ async function handleEmbeddings(req, res) {
   catch (error) { return res.status(400).json({ error: { message: error.message, code: 'invalid_manager_policy' } }); }
   req.body = stripManagerRequestFields(req.body);
   // Resolve default-big/default-small aliases and forward the resolved name downstream.
-  const requestedModel = resolveDefaultModel(req.body.model || 'default', config);
+  const requestedModel = resolveRequestModel(req.body.model || 'default');
   if (req.body.model && req.body.model !== requestedModel) req.body.model = requestedModel;
 
   // Route to a remote backend if configured (e.g. an Ollama host).
@@ -9902,6 +12732,7 @@ async function handleEmbeddings(req, res) {
     contextRoutingStats.localOnlyRejected++;
     return res.status(409).json({ error: { message: 'local_only conflicts with an explicit remote backend prefix', code: 'LOCAL_ONLY_REMOTE_CONFLICT' } });
   }
+  if (routing.budgetExceeded) return sendBudgetExceeded(res, routing.budgetExceeded);
   if (routing.remote) {
     req._backend = routing.backend.id;
     const remoteBody = { ...req.body, model: routing.targetModel };
@@ -10030,9 +12861,55 @@ async function handleModel(req, res) {
 app.get('/api/v1/models/:model', handleModel);
 app.get('/v1/models/:model', handleModel);
 
+// ============================================
+// Stored responses
+// ============================================
+// The Responses API is stateful: with `store` (the default) a response can be
+// fetched later and continued with `previous_response_id`. Upstreams are
+// treated as stateless — the manager keeps each response with its input
+// items, scoped like the context cache, and expands a follow-up into the whole
+// conversation before proxying it. A chain's responses share a chain id that
+// is used as the conversation cache key, so every turn lands on the slot that
+// already holds the conversation's KV prefix.
+const RESPONSE_SWEEP_MS = 60 * 60 * 1000;
+
+// config.responses: how long responses are kept and how many at most.
+function responseStoreSettings() {
+  try {
+    return normalizeResponseStoreSettings(config.responses || {});
+  } catch {
+    return normalizeResponseStoreSettings();
+  }
+}
+
+const responseStoreLimits = ({ ttlDays, maxRecords }) => ({ ttlMs: ttlDays * 86_400_000, maxRecords });
+const responseStore = new ResponseStore({
+  directory: join(RUNTIME_PATHS.dataDir, 'responses'),
+  ...responseStoreLimits(responseStoreSettings()),
+});
+
+try {
+  const loaded = responseStore.load();
+  if (loaded) console.log(`[responses] Loaded ${loaded} stored response(s)`);
+} catch (error) {
+  console.error('[responses] Failed to load response store:', error.message);
+}
+setInterval(() => responseStore.sweep(), RESPONSE_SWEEP_MS).unref();
+
+// Store a finished response for its turn ({store, inputItems, scopeId, chainId, previousResponseId}).
+function storeResponseTurn(turn, response) {
+  if (!turn.store || !response?.id) return;
+  try {
+    responseStore.save({ ...turn, response });
+  } catch (error) {
+    console.error(`[responses] Failed to store ${response.id}:`, error.message);
+  }
+}
+
 // OpenAI Responses API (proxied to llama.cpp)
 /**
- * Proxy an OpenAI Responses API request to the selected backend.
+ * Proxy an OpenAI Responses API request to the selected backend, expanding
+ * `previous_response_id` from the response store and storing the result.
  * @param {import('express').Request} req Express request.
  * @param {import('express').Response} res Express response.
  * @returns {Promise<void>} Resolves after streaming begins or the response is sent.
@@ -10048,15 +12925,29 @@ async function handleResponses(req, res) {
 
   console.log(`[responses] Request for model: ${requestedModel}`);
 
-  // Inject reasoning_effort if configured
-  const proxyBody = injectModelSamplingDefaults(injectReasoningEffort(req.body));
+  const previousResponseId = req.body.previous_response_id ?? null;
+  const scopeId = deriveCacheScope(req.headers, req.apiKey).id;
+  let inputItems;
+  try { inputItems = responseInputItems(req.body.input ?? []); }
+  catch (error) { return res.status(400).json({ error: { message: error.message, type: 'invalid_request_error', param: 'input', code: 'invalid_value' } }); }
+  const chain = previousResponseId ? responseStore.chain(previousResponseId, scopeId) : null;
+  if (previousResponseId && !chain) {
+    return res.status(400).json({ error: { message: `Previous response with id '${previousResponseId}' not found.`, type: 'invalid_request_error', param: 'previous_response_id', code: 'previous_response_not_found' } });
+  }
+  const turn = { store: req.body.store !== false, inputItems, scopeId, chainId: chain?.chainId ?? newChainId(), previousResponseId };
+
+  // Inject reasoning_effort if configured; the upstream gets the whole conversation and keeps nothing
+  const proxyBody = { ...injectModelSamplingDefaults(injectReasoningEffort(req.body)), store: false };
+  delete proxyBody.previous_response_id;
+  if (chain) proxyBody.input = upstreamItems([...chain.items, ...inputItems]);
 
   // Route to remote backend if applicable
-  const routing = resolveBackend(requestedModel, 'responses', req.body, { localOnly: requestPolicy.localOnly });
+  const routing = resolveBackend(requestedModel, 'responses', req.body, { localOnly: requestPolicy.localOnly, maxTtftMs: requestPolicy.maxTtftMs });
   if (routing.suppressionReason === 'explicit_remote_backend') {
     contextRoutingStats.localOnlyRejected++;
     return res.status(409).json({ error: { message: 'local_only conflicts with an explicit remote backend prefix', code: 'LOCAL_ONLY_REMOTE_CONFLICT' } });
   }
+  if (routing.budgetExceeded) return sendBudgetExceeded(res, routing.budgetExceeded);
   if (routing.remote) {
     req._backend = routing.backend.id;
     const remoteBody = { ...proxyBody, model: routing.targetModel };
@@ -10075,11 +12966,13 @@ async function handleResponses(req, res) {
         res.setHeader('Connection', 'keep-alive');
         const reader = response.body.getReader();
         const decoder = new TextDecoder();
+        const recorder = createResponseStreamRecorder({ previousResponseId, store: turn.store });
         let completionTokens = 0, promptTokens = 0, model = routing.targetModel, responseText = '';
         const processStream = async () => {
           try {
-            while (true) { const { done, value } = await reader.read(); if (done) break; const chunk = decoder.decode(value); res.write(chunk); const lines = chunk.split('\n'); for (const line of lines) { if (line.startsWith('data: ') && line !== 'data: [DONE]') { try { const data = JSON.parse(line.slice(6)); if (data.type === 'response.output_text.delta' && data.delta) responseText += data.delta; if (data.usage) { promptTokens = data.usage.input_tokens || data.usage.prompt_tokens || promptTokens; completionTokens = data.usage.output_tokens || data.usage.completion_tokens || completionTokens; } if (data.model) model = data.model; } catch { /* skip */ } } } }
-            res.end();
+            while (true) { const { done, value } = await reader.read(); if (done) break; const chunk = decoder.decode(value); res.write(recorder.push(chunk)); const lines = chunk.split('\n'); for (const line of lines) { if (line.startsWith('data: ') && line !== 'data: [DONE]') { try { const data = JSON.parse(line.slice(6)); if (data.type === 'response.output_text.delta' && data.delta) responseText += data.delta; if (data.usage) { promptTokens = data.usage.input_tokens || data.usage.prompt_tokens || promptTokens; completionTokens = data.usage.output_tokens || data.usage.completion_tokens || completionTokens; } if (data.model) model = data.model; } catch { /* skip */ } } } }
+            res.end(recorder.end());
+            storeResponseTurn(turn, recorder.response);
             const duration = Date.now() - startTime;
             const tokensPerSecond = duration > 0 ? (completionTokens / (duration / 1000)) : 0;
             recordTokenStats({ promptTokens, completionTokens, tokensPerSecond, model, duration, backend: backend.name });
@@ -10098,6 +12991,8 @@ async function handleResponses(req, res) {
         recordTokenStats({ promptTokens, completionTokens, tokensPerSecond, model: data.model || routing.targetModel, duration, backend: backend.name });
         updateBackendTokenStats(backend.id, promptTokens, completionTokens, duration, backend);
         addLlmLog({ endpoint: 'responses', model: data.model || routing.targetModel, stream: false, status: 200, duration, promptTokens, completionTokens, tokensPerSecond: Math.round(tokensPerSecond * 10) / 10, messages: null, prompt: null, response: null, error: null, backend: backend.id, requestBody: req.body });
+        Object.assign(data, { previous_response_id: previousResponseId, store: turn.store });
+        storeResponseTurn(turn, data);
         data._llama_manager = enrichLlamaManagerMeta(
           { duration, tokensPerSecond: Math.round(tokensPerSecond * 10) / 10, backend: backend.id },
           { completionTokens }
@@ -10111,13 +13006,29 @@ async function handleResponses(req, res) {
     return;
   }
 
+  // Pin the chain to one slot lineage so each turn reuses the cached prefix
+  if (await modelHasSlotOperations(requestedModel)) {
+    const slotAssignment = lookupOrAssignSlot(requestedModel, { conversation_cache_key: turn.chainId }, req.headers, req.apiKey);
+    if (slotAssignment?.slotId != null) {
+      proxyBody.id_slot = slotAssignment.slotId;
+      proxyBody.cache_prompt = true;
+      if (slotAssignment.hit) {
+        console.log(`[prefix-cache] HIT model=${requestedModel} slot=${slotAssignment.slotId} key=${slotAssignment.key}`);
+      }
+    }
+    if (!_slotCountProbed) probeSlotCount(requestedModel).catch(() => {});
+  }
+
   let totalRetries = 0;
   let allRetryErrors = [];
   let anyRestarted = false;
   // Hold a local queue slot for the lifetime of the response (released on res close/finish)
+  const upstreamAbort = new AbortController();
+  let slot;
   try {
-    await acquireLocalSlot(req, res, {
-      model: requestedModel, endpoint: 'responses', activeReqId: null, priority: requestPolicy.priority
+    slot = await acquireLocalSlot(req, res, {
+      model: requestedModel, endpoint: 'responses', activeReqId: null, priority: requestPolicy.priority,
+      deadlineAt: requestPolicy.deadlineAt, abortController: upstreamAbort,
     });
   } catch (err) {
     if (!res.headersSent) return res.status(503).json({ error: 'Request cancelled while queued', details: err.message });
@@ -10126,11 +13037,11 @@ async function handleResponses(req, res) {
   }
   try {
     await ensureModelServed(requestedModel);
-    let result = await fetchWithRetry(`http://localhost:${LLAMA_PORT}/v1/responses`, {
+    let result = await slot.track(fetchWithRetry(`http://localhost:${LLAMA_PORT}/v1/responses`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(proxyBody)
-    }, { label: 'responses', model: proxyBody.model });
+    }, { label: 'responses', model: proxyBody.model, signal: upstreamAbort.signal }));
     let response = result.response;
     totalRetries = result.retries;
     allRetryErrors = [...result.retryErrors];
@@ -10145,11 +13056,11 @@ async function handleResponses(req, res) {
         console.log(`[responses] Model load failure for ${requestedModel}, attempting to free memory`);
         const unloaded = await unloadOtherModels(requestedModel);
         if (unloaded) {
-          result = await fetchWithRetry(`http://localhost:${LLAMA_PORT}/v1/responses`, {
+          result = await slot.track(fetchWithRetry(`http://localhost:${LLAMA_PORT}/v1/responses`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(proxyBody)
-          }, { label: 'responses', model: proxyBody.model });
+          }, { label: 'responses', model: proxyBody.model, signal: upstreamAbort.signal }));
           response = result.response;
           totalRetries += result.retries;
           allRetryErrors.push(...result.retryErrors);
@@ -10183,6 +13094,7 @@ async function handleResponses(req, res) {
       let promptTokens = 0;
       let model = requestedModel;
       let responseText = '';
+      const recorder = createResponseStreamRecorder({ previousResponseId, store: turn.store });
 
       const processStream = async () => {
         try {
@@ -10191,7 +13103,7 @@ async function handleResponses(req, res) {
             if (done) break;
 
             const chunk = decoder.decode(value);
-            res.write(chunk);
+            res.write(recorder.push(chunk));
 
             // Parse SSE data to count tokens
             const lines = chunk.split('\n');
@@ -10215,7 +13127,8 @@ async function handleResponses(req, res) {
               }
             }
           }
-          res.end();
+          res.end(recorder.end());
+          storeResponseTurn(turn, recorder.response);
 
           const duration = Date.now() - startTime;
           const tokensPerSecond = duration > 0 ? (completionTokens / (duration / 1000)) : 0;
@@ -10233,7 +13146,7 @@ async function handleResponses(req, res) {
         }
       };
 
-      processStream();
+      slot.track(processStream());
     } else {
       const data = await response.json();
       const duration = Date.now() - startTime;
@@ -10269,6 +13182,9 @@ async function handleResponses(req, res) {
         prompt: null, response: respText, error: null, ...retryFields()
       });
 
+      Object.assign(data, { previous_response_id: previousResponseId, store: turn.store });
+      storeResponseTurn(turn, data);
+
       data._llama_manager = enrichLlamaManagerMeta(
         {
           duration,
@@ -10289,12 +13205,67 @@ async function handleResponses(req, res) {
       prompt: null, response: null, error: error.message, requestBody: req.body,
       retries: error.retries || totalRetries, retryErrors: error.retryErrors || allRetryErrors
     });
-    res.status(502).json({ error: 'Failed to reach llama server', details: error.message });
+    // A deadline abort has already been answered by sendDeadlineError().
+    if (!res.headersSent) res.status(502).json({ error: 'Failed to reach llama server', details: error.message });
   }
 }
 app.post('/api/v1/responses', handleResponses);
 app.post('/v1/responses', handleResponses);
 
+// Get stored response retention and how many are kept
+app.get('/api/responses/settings', (req, res) => {
+  res.json({ settings: responseStoreSettings(), stored: responseStore.records.size });
+});
+
+// Update stored response retention; applied to stored responses immediately
+app.put('/api/responses/settings', (req, res) => {
+  let next;
+  try {
+    next = normalizeResponseStoreSettings({ ...(config.responses || {}), ...(req.body || {}) });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  config.responses = next;
+  saveConfig(config);
+  const removed = responseStore.configure(responseStoreLimits(next));
+  addLog('responses', `Stored response settings updated: ${JSON.stringify(next)} (${removed} removed)`);
+  res.json({ success: true, settings: next, stored: responseStore.records.size, removed });
+});
+
+function responseNotFound(res, id) {
+  return res.status(404).json({ error: { message: `No response found with id '${id}'.`, type: 'invalid_request_error', param: 'response_id', code: 'response_not_found' } });
+}
+
+// Retrieve a stored response.
+function handleResponseGet(req, res) {
+  const record = responseStore.get(req.params.id, deriveCacheScope(req.headers, req.apiKey).id);
+  if (!record) return responseNotFound(res, req.params.id);
+  res.json(record.response);
+}
+
+// Delete a stored response; later turns of its chain keep the history before it.
+function handleResponseDelete(req, res) {
+  if (!responseStore.delete(req.params.id, deriveCacheScope(req.headers, req.apiKey).id)) return responseNotFound(res, req.params.id);
+  res.json({ id: req.params.id, object: 'response', deleted: true });
+}
+
+// List the input items of a stored response ({limit, order, after}).
+function handleResponseInputItems(req, res) {
+  const record = responseStore.get(req.params.id, deriveCacheScope(req.headers, req.apiKey).id);
+  if (!record) return responseNotFound(res, req.params.id);
+  try {
+    res.json(inputItemsPage(record, req.query));
+  } catch (error) {
+    res.status(400).json({ error: { message: error.message, type: 'invalid_request_error', code: 'invalid_value' } });
+  }
+}
+
+for (const prefix of ['/api/v1', '/v1']) {
+  app.get(`${prefix}/responses/:id`, handleResponseGet);
+  app.delete(`${prefix}/responses/:id`, handleResponseDelete);
+  app.get(`${prefix}/responses/:id/input_items`, handleResponseInputItems);
+}
+
 // Anthropic Messages API compatibility (proxied to llama.cpp)
 /**
  * Proxy an Anthropic-compatible Messages request to the selected backend.
@@ -10317,11 +13288,12 @@ async function handleMessages(req, res) {
   const proxyBody = injectModelSamplingDefaults(injectReasoningEffort(req.body));
 
   // Route to remote backend if applicable
-  const routing = resolveBackend(requestedModel, 'messages', req.body, { localOnly: requestPolicy.localOnly });
+  const routing = resolveBackend(requestedModel, 'messages', req.body, { localOnly: requestPolicy.localOnly, maxTtftMs: requestPolicy.maxTtftMs });
   if (routing.suppressionReason === 'explicit_remote_backend') {
     contextRoutingStats.localOnlyRejected++;
     return res.status(409).json({ error: { message: 'local_only conflicts with an explicit remote backend prefix', code: 'LOCAL_ONLY_REMOTE_CONFLICT' } });
   }
+  if (routing.budgetExceeded) return sendBudgetExceeded(res, routing.budgetExceeded);
   if (routing.remote) {
     req._backend = routing.backend.id;
     const remoteBody = { ...proxyBody, model: routing.targetModel };
@@ -10380,9 +13352,12 @@ async function handleMessages(req, res) {
   let allRetryErrors = [];
   let anyRestarted = false;
   // Hold a local queue slot for the lifetime of the response (released on res close/finish)
+  const upstreamAbort = new AbortController();
+  let slot;
   try {
-    await acquireLocalSlot(req, res, {
-      model: requestedModel, endpoint: 'messages', activeReqId: null, priority: requestPolicy.priority
+    slot = await acquireLocalSlot(req, res, {
+      model: requestedModel, endpoint: 'messages', activeReqId: null, priority: requestPolicy.priority,
+      deadlineAt: requestPolicy.deadlineAt, abortController: upstreamAbort,
     });
   } catch (err) {
     if (!res.headersSent) return res.status(503).json({ error: 'Request cancelled while queued', details: err.message });
@@ -10391,11 +13366,11 @@ async function handleMessages(req, res) {
   }
   try {
     await ensureModelServed(requestedModel);
-    let result = await fetchWithRetry(`http://localhost:${LLAMA_PORT}/v1/messages`, {
+    let result = await slot.track(fetchWithRetry(`http://localhost:${LLAMA_PORT}/v1/messages`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(proxyBody)
-    }, { label: 'messages', model: proxyBody.model });
+    }, { label: 'messages', model: proxyBody.model, signal: upstreamAbort.signal }));
     let response = result.response;
     totalRetries = result.retries;
     allRetryErrors = [...result.retryErrors];
@@ -10410,11 +13385,11 @@ async function handleMessages(req, res) {
         console.log(`[messages] Model load failure for ${requestedModel}, attempting to free memory`);
         const unloaded = await unloadOtherModels(requestedModel);
         if (unloaded) {
-          result = await fetchWithRetry(`http://localhost:${LLAMA_PORT}/v1/messages`, {
+          result = await slot.track(fetchWithRetry(`http://localhost:${LLAMA_PORT}/v1/messages`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(proxyBody)
-          }, { label: 'messages', model: proxyBody.model });
+          }, { label: 'messages', model: proxyBody.model, signal: upstreamAbort.signal }));
           response = result.response;
           totalRetries += result.retries;
           allRetryErrors.push(...result.retryErrors);
@@ -10500,7 +13475,7 @@ async function handleMessages(req, res) {
         }
       };
 
-      processStream();
+      slot.track(processStream());
     } else {
       const data = await response.json();
       const duration = Date.now() - startTime;
@@ -10546,7 +13521,8 @@ async function handleMessages(req, res) {
       response: null, error: error.message, requestBody: req.body,
       retries: error.retries || totalRetries, retryErrors: error.retryErrors || allRetryErrors
     });
-    res.status(502).json({ error: 'Failed to reach llama server', details: error.message });
+    // A deadline abort has already been answered by sendDeadlineError().
+    if (!res.headersSent) res.status(502).json({ error: 'Failed to reach llama server', details: error.message });
   }
 }
 app.post('/api/v1/messages', handleMessages);
@@ -10639,6 +13615,354 @@ async function handleReranking(req, res) {
 app.post('/api/v1/reranking', handleReranking);
 app.post('/v1/reranking', handleReranking);
 
+// ========== Batch API ==========
+
+// OpenAI-compatible /v1/files and /v1/batches (see batch-api.js). Batch lines
+// are sent to the manager's own endpoints at background priority on the local
+// lane, so they wait in the PriorityRequestQueue behind interactive work and
+// can be preempted by it; a preempted or failed attempt is retried up to
+// maxAttempts. Dispatch only happens while the schedule in config.batches is
+// open, and results are written as they arrive so a restart resumes where the
+// batch left off.
+const BATCH_TICK_MS = 5_000;
+const batchStore = new BatchStore({ directory: join(RUNTIME_PATHS.dataDir, 'batches') });
+const batchRuns = new Map(); // batchId -> {pending, inFlight: Map(custom_id -> AbortController), attempts, retryAt}
+let batchesInFlight = 0;
+
+try {
+  const loaded = batchStore.load();
+  if (loaded.batches) console.log(`[batches] Loaded ${loaded.batches} batch(es) and ${loaded.files} file(s)`);
+} catch (error) {
+  console.error('[batches] Failed to load batch store:', error.message);
+}
+
+function batchSettings() {
+  try {
+    return normalizeBatchSettings(config.batches || {});
+  } catch {
+    return normalizeBatchSettings();
+  }
+}
+
+function currentBatchGate(settings = batchSettings()) {
+  return { ...batchGate(settings, { date: new Date(), thermalState: guardThermalState }), thermalState: guardThermalState };
+}
+
+function openAiError(res, status, message, code) {
+  return res.status(status).json({ error: { message, type: 'invalid_request_error', ...(code ? { code } : {}) } });
+}
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// Who is calling, as recorded on the files and batches they create. The client
+// identities are what batch lines are later limited and charged as.
+function batchCaller(req) {
+  const client = requestClientIdentity(req);
+  return {
+    scopeId: deriveCacheScope(req.headers, req.apiKey).id,
+    client: client || ANONYMOUS_CLIENT,
+    usageClient: client || userAgentClient(req.headers['user-agent']) || ANONYMOUS_CLIENT,
+  };
+}
+
+// A file or batch visible to this caller, or null. Records from before owners
+// were kept stay reachable by admins only (anyone while auth is off).
+function ownedRecord(req, record) {
+  const unowned = !resolveAuthSettings(config).enabled || scopeSatisfies(req.apiKey?.scopes, 'admin');
+  return visibleTo(record, deriveCacheScope(req.headers, req.apiKey).id, { unowned }) ? record : null;
+}
+
+// Load a batch's remaining requests, skipping those with a result on disk.
+function batchRun(batch) {
+  let run = batchRuns.get(batch.id);
+  if (run) return run;
+  if (!batchStore.getFile(batch.input_file_id)) throw new Error(`input file ${batch.input_file_id} no longer exists`);
+  const { requests } = parseBatchInput(batchStore.fileContent(batch.input_file_id).toString('utf8'), batch.endpoint);
+  const finished = batchStore.finishedResults(batch.id);
+  batch.request_counts = { total: requests.length, completed: finished.completed, failed: finished.failed };
+  run = { pending: requests.filter(r => !finished.ids.has(r.custom_id)), inFlight: new Map(), attempts: new Map(), retryAt: new Map() };
+  batchRuns.set(batch.id, run);
+  return run;
+}
+
+function finishBatch(batch, status) {
+  const at = nowSeconds();
+  if (batch.status !== 'finalizing' && status === 'completed') batch.finalizing_at = at;
+  const output = batchStore.adoptResults(batch.id, 'output', at, batch.owner);
+  const errors = batchStore.adoptResults(batch.id, 'error', at, batch.owner);
+  if (output) batch.output_file_id = output.id;
+  if (errors) batch.error_file_id = errors.id;
+  batch.status = status;
+  batch[`${status}_at`] = at;
+  batchStore.saveBatch(batch);
+  batchRuns.delete(batch.id);
+  const { completed, failed, total } = batch.request_counts;
+  addLog('batches', `Batch ${batch.id} ${status}: ${completed} completed, ${failed} failed of ${total}`);
+}
+
+function recordBatchResult(batch, customId, result) {
+  const ok = !result.error && result.status >= 200 && result.status < 300;
+  batchStore.appendResult(batch.id, ok ? 'output' : 'error', batchResultLine(customId, result));
+  batch.request_counts[ok ? 'completed' : 'failed'] += 1;
+  batchStore.saveBatch(batch);
+}
+
+async function runBatchRequest(batch, run, request, settings) {
+  const controller = new AbortController();
+  run.inFlight.set(request.custom_id, controller);
+  batchesInFlight += 1;
+  let result;
+  let retryAfterMs = null;
+  const headers = { 'Content-Type': 'application/json', 'X-Llama-Priority': 'background', 'X-Llama-Routing': 'local_only' };
+  if (batch.owner) {
+    headers[ON_BEHALF_OF_HEADER] = encodeURIComponent(JSON.stringify({ client: batch.owner.client, usageClient: batch.owner.usageClient }));
+  }
+  try {
+    const upstream = await internalFetch(`${INTERNAL_BASE_URL}${batch.endpoint}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ ...request.body, stream: false }),
+      signal: controller.signal,
+    });
+    const text = await upstream.text();
+    let body = text;
+    try { body = JSON.parse(text); } catch { /* non-JSON error body */ }
+    result = { status: upstream.status, requestId: upstream.headers.get('x-request-id'), body };
+    if (upstream.status === 429 && body?.error?.code === 'rate_limit_exceeded') {
+      retryAfterMs = Math.max(1, Number(upstream.headers.get('retry-after')) || 1) * 1000;
+    }
+  } catch (error) {
+    result = controller.signal.aborted ? null : { status: 0, error: { code: 'request_failed', message: error.message } };
+  } finally {
+    run.inFlight.delete(request.custom_id);
+    batchesInFlight -= 1;
+  }
+
+  // Cancelled or expired underneath us: put it back for the expiry sweep.
+  if (!result) {
+    run.pending.unshift(request);
+  } else if (retryAfterMs != null) {
+    // The owner is over its own limits: wait them out without spending an
+    // attempt. The completion window still bounds how long that can take.
+    run.retryAt.set(request.custom_id, Date.now() + retryAfterMs);
+    run.pending.push(request);
+  } else if (isRetryableStatus(result.status) && (run.attempts.get(request.custom_id) || 1) < settings.maxAttempts) {
+    const attempt = (run.attempts.get(request.custom_id) || 1) + 1;
+    run.attempts.set(request.custom_id, attempt);
+    run.retryAt.set(request.custom_id, Date.now() + BATCH_TICK_MS * attempt);
+    run.pending.push(request);
+  } else {
+    recordBatchResult(batch, request.custom_id, result);
+  }
+  setImmediate(batchTick);
+}
+
+// Advance every open batch, oldest first: finish what is done, expire what
+// ran out of time, and fill free concurrency slots while the gate is open.
+function batchTick() {
+  const settings = batchSettings();
+  const gate = currentBatchGate(settings);
+  const now = nowSeconds();
+  for (const batch of batchStore.listBatches().reverse()) {
+    if (!OPEN_BATCH_STATUSES.includes(batch.status)) continue;
+    let run;
+    try {
+      run = batchRun(batch);
+    } catch (error) {
+      batch.errors = { object: 'list', data: [{ code: 'input_unavailable', message: error.message, line: null }] };
+      finishBatch(batch, 'failed');
+      continue;
+    }
+    if (batch.status === 'cancelling') {
+      for (const controller of run.inFlight.values()) controller.abort();
+      if (!run.inFlight.size) finishBatch(batch, 'cancelled');
+      continue;
+    }
+    if (batch.status === 'in_progress' && now >= batch.expires_at) {
+      for (const controller of run.inFlight.values()) controller.abort();
+      if (run.inFlight.size) continue;
+      for (const request of run.pending.splice(0)) {
+        recordBatchResult(batch, request.custom_id, { error: { code: 'batch_expired', message: 'This request could not be executed before the completion window expired.' } });
+      }
+      finishBatch(batch, 'expired');
+      continue;
+    }
+    if (!run.pending.length && !run.inFlight.size) {
+      if (batch.status !== 'finalizing') {
+        batch.status = 'finalizing';
+        batch.finalizing_at = now;
+        batchStore.saveBatch(batch);
+      }
+      finishBatch(batch, 'completed');
+      continue;
+    }
+    while (gate.open && batch.status === 'in_progress' && batchesInFlight < settings.concurrency) {
+      const next = run.pending.findIndex(r => !(run.retryAt.get(r.custom_id) > Date.now()));
+      if (next === -1) break;
+      runBatchRequest(batch, run, run.pending.splice(next, 1)[0], settings);
+    }
+  }
+}
+
+setInterval(batchTick, BATCH_TICK_MS).unref();
+
+// Upload a file (multipart: `file` plus `purpose`). Only batch input is accepted.
+async function handleFileUpload(req, res) {
+  let body;
+  let file;
+  try {
+    body = await readBatchUpload(req);
+    file = parseMultipartFile(body, req.headers['content-type'], BATCH_FILE_MAX_BYTES);
+  } catch (error) {
+    return openAiError(res, error.status || 400, error.body?.error || error.message);
+  }
+  const purpose = multipartTextField(body, req.headers['content-type'], 'purpose');
+  if (purpose !== 'batch') return openAiError(res, 400, 'purpose must be "batch"', 'invalid_purpose');
+  const record = batchStore.createFile({ filename: file.filename, purpose, data: file.data, nowSeconds: nowSeconds(), owner: batchCaller(req) });
+  res.json(publicRecord(record));
+}
+
+async function readBatchUpload(req) {
+  const maxBytes = BATCH_FILE_MAX_BYTES + 64 * 1024;
+  const declared = Number(req.headers['content-length']);
+  if (Number.isFinite(declared) && declared > maxBytes) throw Object.assign(new Error(`File exceeds ${BATCH_FILE_MAX_BYTES} byte limit`), { status: 413 });
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) throw Object.assign(new Error(`File exceeds ${BATCH_FILE_MAX_BYTES} byte limit`), { status: 413 });
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks, size);
+}
+
+function handleFileList(req, res) {
+  const data = batchStore.listFiles(req.query.purpose).filter(file => ownedRecord(req, file)).map(publicRecord);
+  res.json({ object: 'list', data, has_more: false });
+}
+
+function handleFileGet(req, res) {
+  const file = ownedRecord(req, batchStore.getFile(req.params.id));
+  if (!file) return openAiError(res, 404, `No such file: ${req.params.id}`);
+  res.json(publicRecord(file));
+}
+
+function handleFileContent(req, res) {
+  const file = ownedRecord(req, batchStore.getFile(req.params.id));
+  if (!file) return openAiError(res, 404, `No such file: ${req.params.id}`);
+  res.type('application/jsonl').send(batchStore.fileContent(file.id));
+}
+
+function handleFileDelete(req, res) {
+  const id = req.params.id;
+  if (!ownedRecord(req, batchStore.getFile(id))) return openAiError(res, 404, `No such file: ${id}`);
+  const inUse = batchStore.listBatches().find(b => b.input_file_id === id && OPEN_BATCH_STATUSES.includes(b.status));
+  if (inUse) return openAiError(res, 409, `File is the input of ${inUse.status} batch ${inUse.id}`);
+  batchStore.deleteFile(id);
+  res.json({ id, object: 'file', deleted: true });
+}
+
+// Create a batch. The input file is validated up front; a file with bad lines
+// produces a failed batch listing them, as OpenAI does.
+function handleBatchCreate(req, res) {
+  const { input_file_id: inputFileId, endpoint, completion_window: window, metadata } = req.body || {};
+  if (!BATCH_ENDPOINTS.includes(endpoint)) return openAiError(res, 400, `endpoint must be one of ${BATCH_ENDPOINTS.join(', ')}`, 'invalid_endpoint');
+  if (window !== BATCH_COMPLETION_WINDOW) return openAiError(res, 400, `completion_window must be "${BATCH_COMPLETION_WINDOW}"`, 'invalid_completion_window');
+  if (metadata != null && (typeof metadata !== 'object' || Array.isArray(metadata))) return openAiError(res, 400, 'metadata must be an object');
+  const file = ownedRecord(req, batchStore.getFile(inputFileId));
+  if (!file) return openAiError(res, 404, `No such file: ${inputFileId}`);
+  if (file.purpose !== 'batch') return openAiError(res, 400, 'input_file_id must reference a file uploaded with purpose "batch"');
+
+  const batch = createBatchObject({ endpoint, inputFileId, metadata: metadata ?? null, nowSeconds: nowSeconds(), owner: batchCaller(req) });
+  const { requests, errors } = parseBatchInput(batchStore.fileContent(file.id).toString('utf8'), endpoint);
+  if (errors.length) {
+    batch.status = 'failed';
+    batch.failed_at = batch.created_at;
+    batch.errors = { object: 'list', data: errors.map(e => ({ ...e, param: null, line: e.line || null })) };
+  } else {
+    batch.status = 'in_progress';
+    batch.in_progress_at = batch.created_at;
+    batch.request_counts.total = requests.length;
+  }
+  batchStore.saveBatch(batch);
+  addLog('batches', `Batch ${batch.id} created for ${endpoint}: ${errors.length ? `failed validation (${errors.length} error(s))` : `${requests.length} request(s)`}`);
+  if (!errors.length) setImmediate(batchTick);
+  res.json(publicRecord(batch));
+}
+
+function handleBatchList(req, res) {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  let batches = batchStore.listBatches().filter(batch => ownedRecord(req, batch));
+  if (req.query.after) {
+    const index = batches.findIndex(b => b.id === req.query.after);
+    batches = index === -1 ? [] : batches.slice(index + 1);
+  }
+  const data = batches.slice(0, limit).map(publicRecord);
+  res.json({ object: 'list', data, first_id: data[0]?.id ?? null, last_id: data.at(-1)?.id ?? null, has_more: batches.length > limit });
+}
+
+function handleBatchGet(req, res) {
+  const batch = ownedRecord(req, batchStore.getBatch(req.params.id));
+  if (!batch) return openAiError(res, 404, `No such batch: ${req.params.id}`);
+  res.json(publicRecord(batch));
+}
+
+// Cancel a batch. Requests in flight are aborted; results already written
+// stay in the output and error files.
+function handleBatchCancel(req, res) {
+  const batch = ownedRecord(req, batchStore.getBatch(req.params.id));
+  if (!batch) return openAiError(res, 404, `No such batch: ${req.params.id}`);
+  if (!['validating', 'in_progress'].includes(batch.status)) {
+    return openAiError(res, 409, `Cannot cancel a batch that is ${batch.status}`);
+  }
+  batch.status = 'cancelling';
+  batch.cancelling_at = nowSeconds();
+  batchStore.saveBatch(batch);
+  addLog('batches', `Batch ${batch.id} cancelling`);
+  batchTick();
+  res.json(publicRecord(batchStore.getBatch(batch.id)));
+}
+
+for (const prefix of ['/api/v1', '/v1']) {
+  app.post(`${prefix}/files`, handleFileUpload);
+  app.get(`${prefix}/files`, handleFileList);
+  app.get(`${prefix}/files/:id`, handleFileGet);
+  app.get(`${prefix}/files/:id/content`, handleFileContent);
+  app.delete(`${prefix}/files/:id`, handleFileDelete);
+  app.post(`${prefix}/batches`, handleBatchCreate);
+  app.get(`${prefix}/batches`, handleBatchList);
+  app.get(`${prefix}/batches/:id`, handleBatchGet);
+  app.post(`${prefix}/batches/:id/cancel`, handleBatchCancel);
+}
+
+// Batches with progress and the current schedule, for the Queue page.
+app.get('/api/batches', (req, res) => {
+  const settings = batchSettings();
+  res.json({
+    settings,
+    gate: currentBatchGate(settings),
+    batches: batchStore.listBatches().slice(0, 50).map(batch => ({
+      ...batch,
+      in_flight: batchRuns.get(batch.id)?.inFlight.size || 0,
+    })),
+  });
+});
+
+// Replace the batch schedule ({windows, requireCool, concurrency, maxAttempts}).
+app.put('/api/batches/settings', (req, res) => {
+  let next;
+  try {
+    next = normalizeBatchSettings(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  config.batches = next;
+  saveConfig(config);
+  addLog('batches', `Batch schedule updated: ${JSON.stringify(next)}`);
+  setImmediate(batchTick);
+  res.json({ success: true, settings: next, gate: currentBatchGate(next) });
+});
+
 // Catch-all for SPA routing
 app.get('*', (req, res) => {
   if (existsSync(join(UI_BUILD_PATH, 'index.html'))) {
@@ -10660,7 +13984,7 @@ httpServer.listen(API_PORT, '0.0.0.0', () => {
   if (config.autoStart) {
     console.log('Auto-starting llama server...');
     setTimeout(() => {
-      fetch(`http://localhost:${API_PORT}/api/server/start`, {
+      internalFetch(`${INTERNAL_BASE_URL}/api/server/start`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' }
       }).catch(err => console.error('Auto-start failed:', err));
@@ -10828,8 +14152,9 @@ setInterval(() => {
     const viable = dir.find(b => {
       if (!b.enabled || !b.tested) return false;
       if (isBackendCircuitOpen(b.id)) return false;
-      if (!b.modelMapping) return false;
-      if (!resolveModelMapping(b.modelMapping, model)) return false;
+      if (isBackendOverBudget(b)) return false;
+      if (entry.endpoint && !backendServesEndpoint(b, entry.endpoint)) return false;
+      if (!backendModelFor(b, model)) return false;
       const q = backendQueues.get(b.id);
       return !q || q.active < q.concurrency;
     });
@@ -11215,7 +14540,10 @@ function shutdownWithTimeout(signal) {
     process.exit(1);
   }, 10000);
   forceExit.unref();
-  Promise.allSettled([stopLlamaServer(), stopEmbedServer(), stopDs4Server()]).finally(() => process.exit(0));
+  try { clientUsage.persist(); } catch { /* best effort */ }
+  try { usageLedger.persist(); } catch { /* best effort */ }
+  try { backendSpend.persist(); } catch { /* best effort */ }
+  Promise.allSettled([stopLlamaServer(), stopEmbedServer(), stopDs4Server(), traceExporter?.shutdown()]).finally(() => process.exit(0));
 }
 
 process.on('SIGTERM', () => shutdownWithTimeout('SIGTERM'));
@@ -0,0 +1,225 @@
+// Llama Manager — shadow traffic: sampled mirroring of requests to a candidate target.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Before retargeting an alias such as `default-big`, an operator can mirror a
+// sampled share of its real traffic to a shadow target — a local model or a
+// backend model, written as an alias-group target (`{host, model}`, see
+// model-aliases.js). Rules live in `config.shadows`, keyed by the name clients
+// request. The mirror is sent once the primary response has finished, its
+// output never reaches the client, and the pair (outputs, latency, token usage
+// and a similarity score) is stored for side-by-side comparison. This module
+// holds the pure parts: rule validation, sampling, the mirrored body, output
+// extraction, comparison and the running per-rule summary.
+
+/** Endpoints whose traffic can be mirrored (OpenAI text generation). */
+export const SHADOW_ENDPOINTS = Object.freeze(['chat/completions', 'completions']);
+
+/** Rule used for omitted fields. */
+export const SHADOW_RULE_DEFAULTS = Object.freeze({ enabled: true, host: null, model: null, percent: 10 });
+
+/** Body fields that would change how (not what) the shadow answers; dropped from the mirror. */
+const STREAM_FIELDS = Object.freeze(['stream', 'stream_options']);
+
+function cleanString(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Validate one shadow rule.
+ *
+ * @param {Object} input Rule: `host` ('local' or a backend id), `model`, `percent` (0-100), `enabled`.
+ * @param {string[]} [backendIds] Configured backend ids; a remote host must be one of them.
+ * @returns {{enabled:boolean, host:string, model:string, percent:number}} Normalized rule.
+ * @throws {TypeError} On a missing host or model, an unknown backend, or an out-of-range percent.
+ */
+export function normalizeShadowRule(input, backendIds = []) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new TypeError('shadow rule must be an object');
+  const unknown = Object.keys(input).filter(key => !(key in SHADOW_RULE_DEFAULTS));
+  if (unknown.length) throw new TypeError(`unknown shadow field(s): ${unknown.join(', ')}`);
+  const host = cleanString(input.host);
+  if (!host) throw new TypeError('shadow host must be "local" or a backend id');
+  if (host !== 'local' && !backendIds.includes(host)) throw new TypeError(`shadow host '${host}' is not a configured backend`);
+  const model = cleanString(input.model);
+  if (!model) throw new TypeError('shadow model is required');
+  if (/[*?]/.test(model)) throw new TypeError('shadow model must be an exact name, not a glob');
+  const percent = Number(input.percent ?? SHADOW_RULE_DEFAULTS.percent);
+  if (!Number.isFinite(percent) || percent < 0 || percent > 100) throw new TypeError('percent must be between 0 and 100');
+  return { enabled: input.enabled !== false, host, model, percent };
+}
+
+/**
+ * Whether this request is sampled for mirroring.
+ *
+ * @param {{enabled:boolean, percent:number}|null|undefined} rule Normalized rule.
+ * @param {() => number} [random] Source of [0, 1) values.
+ * @returns {boolean} True when the request should be mirrored.
+ */
+export function sampleShadow(rule, random = Math.random) {
+  if (!rule?.enabled || !(rule.percent > 0)) return false;
+  return random() * 100 < rule.percent;
+}
+
+/**
+ * The mirrored request: the primary's OpenAI body aimed at the shadow model
+ * and made non-streaming, so the whole answer arrives as one JSON body.
+ *
+ * @param {Object} body Primary request body, after manager fields are stripped.
+ * @param {string} model Shadow model.
+ * @returns {Object} Body to send to the shadow target.
+ */
+export function shadowRequestBody(body, model) {
+  const mirrored = { ...body, model };
+  for (const field of STREAM_FIELDS) delete mirrored[field];
+  return mirrored;
+}
+
+/**
+ * Text and token usage from a non-streaming OpenAI chat or text completion.
+ *
+ * @param {Object} data Parsed response body.
+ * @returns {{text:(string|null), promptTokens:number, completionTokens:number}} Output and usage.
+ */
+export function completionOutput(data) {
+  const choice = data?.choices?.[0];
+  const text = choice?.message?.content ?? choice?.text ?? null;
+  return {
+    text: typeof text === 'string' ? text : null,
+    promptTokens: data?.usage?.prompt_tokens || 0,
+    completionTokens: data?.usage?.completion_tokens || 0,
+  };
+}
+
+function words(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || [];
+}
+
+/**
+ * Compare primary and shadow outputs. Similarity is the Dice coefficient over
+ * the two word multisets: 1 for the same words in any order, 0 for no overlap.
+ * It is cheap enough for every pair and order-insensitive on purpose; the
+ * comparison view shows the ordered word diff.
+ *
+ * @param {string|null} primary Primary output.
+ * @param {string|null} shadow Shadow output.
+ * @returns {{identical:boolean, similarity:(number|null), lengthRatio:(number|null)}}
+ *   Exact match, similarity rounded to 3 places, and shadow-to-primary character
+ *   ratio; null scores when either output is missing.
+ */
+export function compareOutputs(primary, shadow) {
+  if (typeof primary !== 'string' || typeof shadow !== 'string') {
+    return { identical: false, similarity: null, lengthRatio: null };
+  }
+  const counts = new Map();
+  const a = words(primary);
+  const b = words(shadow);
+  for (const word of a) counts.set(word, (counts.get(word) || 0) + 1);
+  let shared = 0;
+  for (const word of b) {
+    const left = counts.get(word);
+    if (left) {
+      shared++;
+      counts.set(word, left - 1);
+    }
+  }
+  const similarity = a.length + b.length ? (2 * shared) / (a.length + b.length) : 1;
+  return {
+    identical: primary.trim() === shadow.trim(),
+    similarity: Math.round(similarity * 1000) / 1000,
+    lengthRatio: primary.length ? Math.round((shadow.length / primary.length) * 100) / 100 : null,
+  };
+}
+
+/**
+ * Running totals per rule since start: pairs stored, mirrors skipped by reason,
+ * shadow failures, and mean latency, completion tokens and similarity for each side.
+ */
+export class ShadowSummary {
+  constructor() {
+    this.rules = new Map(); // name -> totals
+  }
+
+  #totals(name) {
+    let totals = this.rules.get(name);
+    if (!totals) {
+      totals = {
+        pairs: 0,
+        errors: 0,
+        skipped: {},
+        primaryMs: 0,
+        shadowMs: 0,
+        primaryTokens: 0,
+        shadowTokens: 0,
+        similaritySum: 0,
+        similarityCount: 0,
+        identical: 0,
+      };
+      this.rules.set(name, totals);
+    }
+    return totals;
+  }
+
+  /**
+   * Count a mirror that was not sent.
+   *
+   * @param {string} name Rule name.
+   * @param {string} reason Why it was skipped.
+   */
+  skip(name, reason) {
+    const totals = this.#totals(name);
+    totals.skipped[reason] = (totals.skipped[reason] || 0) + 1;
+  }
+
+  /**
+   * Add a stored pair.
+   *
+   * @param {string} name Rule name.
+   * @param {{primary:Object, shadow:Object, comparison:Object}} record Stored pair.
+   */
+  record(name, { primary, shadow, comparison }) {
+    const totals = this.#totals(name);
+    if (shadow.error) {
+      totals.errors++;
+      return;
+    }
+    totals.pairs++;
+    totals.primaryMs += primary.latencyMs;
+    totals.shadowMs += shadow.latencyMs;
+    totals.primaryTokens += primary.completionTokens;
+    totals.shadowTokens += shadow.completionTokens;
+    if (comparison.similarity !== null) {
+      totals.similaritySum += comparison.similarity;
+      totals.similarityCount++;
+    }
+    if (comparison.identical) totals.identical++;
+  }
+
+  /** Forget a deleted rule. */
+  forget(name) {
+    this.rules.delete(name);
+  }
+
+  /**
+   * Per-rule means.
+   *
+   * @returns {Object<string, {pairs:number, errors:number, skipped:Object<string, number>, identical:number,
+   *   meanSimilarity:(number|null), primary:{meanLatencyMs:(number|null), meanCompletionTokens:(number|null)},
+   *   shadow:{meanLatencyMs:(number|null), meanCompletionTokens:(number|null)}}>} Summary by rule name.
+   */
+  snapshot() {
+    const mean = (sum, count) => (count ? Math.round(sum / count) : null);
+    const out = {};
+    for (const [name, t] of this.rules) {
+      out[name] = {
+        pairs: t.pairs,
+        errors: t.errors,
+        skipped: { ...t.skipped },
+        identical: t.identical,
+        meanSimilarity: t.similarityCount ? Math.round((t.similaritySum / t.similarityCount) * 1000) / 1000 : null,
+        primary: { meanLatencyMs: mean(t.primaryMs, t.pairs), meanCompletionTokens: mean(t.primaryTokens, t.pairs) },
+        shadow: { meanLatencyMs: mean(t.shadowMs, t.pairs), meanCompletionTokens: mean(t.shadowTokens, t.pairs) },
+      };
+    }
+    return out;
+  }
+}
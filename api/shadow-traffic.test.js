@@ -0,0 +1,88 @@
+// Llama Manager — shadow traffic tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies rule validation, sampling, the mirrored request body, output
+// extraction, output comparison and the per-rule summary.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  ShadowSummary,
+  compareOutputs,
+  completionOutput,
+  normalizeShadowRule,
+  sampleShadow,
+  shadowRequestBody,
+} from './shadow-traffic.js';
+
+test('rules validate hosts, models and percent', () => {
+  assert.deepEqual(normalizeShadowRule({ host: 'local', model: 'qwen3-32b' }),
+    { enabled: true, host: 'local', model: 'qwen3-32b', percent: 10 });
+  assert.deepEqual(normalizeShadowRule({ host: 'gpu-box', model: 'm', percent: '25', enabled: false }, ['gpu-box']),
+    { enabled: false, host: 'gpu-box', model: 'm', percent: 25 });
+  assert.throws(() => normalizeShadowRule({ host: 'gpu-box', model: 'm' }), /not a configured backend/);
+  assert.throws(() => normalizeShadowRule({ host: 'local' }), /model is required/);
+  assert.throws(() => normalizeShadowRule({ host: 'local', model: 'qwen*' }), /exact name/);
+  assert.throws(() => normalizeShadowRule({ host: 'local', model: 'm', percent: 101 }), /between 0 and 100/);
+  assert.throws(() => normalizeShadowRule({ host: 'local', model: 'm', weight: 1 }), /unknown/);
+});
+
+test('sampling honours percent and the enabled flag', () => {
+  const rule = normalizeShadowRule({ host: 'local', model: 'm', percent: 25 });
+  assert.equal(sampleShadow(rule, () => 0.2), true);
+  assert.equal(sampleShadow(rule, () => 0.25), false);
+  assert.equal(sampleShadow({ ...rule, enabled: false }, () => 0), false);
+  assert.equal(sampleShadow({ ...rule, percent: 0 }, () => 0), false);
+  assert.equal(sampleShadow(null), false);
+});
+
+test('the mirror targets the shadow model without streaming', () => {
+  const body = { model: 'default-big', stream: true, stream_options: { include_usage: true }, messages: [{ role: 'user', content: 'hi' }], temperature: 0 };
+  assert.deepEqual(shadowRequestBody(body, 'qwen3-32b'), { model: 'qwen3-32b', messages: body.messages, temperature: 0 });
+  assert.equal(body.stream, true);
+
+  assert.deepEqual(completionOutput({ choices: [{ message: { content: 'hello' } }], usage: { prompt_tokens: 4, completion_tokens: 1 } }),
+    { text: 'hello', promptTokens: 4, completionTokens: 1 });
+  assert.deepEqual(completionOutput({ choices: [{ text: 'done' }] }), { text: 'done', promptTokens: 0, completionTokens: 0 });
+  assert.equal(completionOutput({}).text, null);
+});
+
+test('outputs compare by word overlap', () => {
+  assert.deepEqual(compareOutputs('The answer is 42.', 'The answer is 42.\n'), { identical: true, similarity: 1, lengthRatio: 1.06 });
+  assert.deepEqual(compareOutputs('is 42 the answer', 'The answer is 42'), { identical: false, similarity: 1, lengthRatio: 1 });
+  assert.equal(compareOutputs('red green blue', 'red yellow').similarity, 0.4);
+  assert.equal(compareOutputs('alpha', 'beta').similarity, 0);
+  assert.deepEqual(compareOutputs('text', null), { identical: false, similarity: null, lengthRatio: null });
+});
+
+test('the summary averages stored pairs and counts skips and failures', () => {
+  const summary = new ShadowSummary();
+  summary.record('default-big', {
+    primary: { latencyMs: 1000, completionTokens: 100 },
+    shadow: { latencyMs: 2000, completionTokens: 80 },
+    comparison: { identical: false, similarity: 0.5 },
+  });
+  summary.record('default-big', {
+    primary: { latencyMs: 3000, completionTokens: 100 },
+    shadow: { latencyMs: 1000, completionTokens: 120 },
+    comparison: { identical: true, similarity: 1 },
+  });
+  summary.record('default-big', { primary: {}, shadow: { error: 'HTTP 500' }, comparison: {} });
+  summary.skip('default-big', 'not_resident');
+  summary.skip('default-big', 'not_resident');
+  assert.deepEqual(summary.snapshot(), {
+    'default-big': {
+      pairs: 2,
+      errors: 1,
+      skipped: { not_resident: 2 },
+      identical: 1,
+      meanSimilarity: 0.75,
+      primary: { meanLatencyMs: 2000, meanCompletionTokens: 100 },
+      shadow: { meanLatencyMs: 1500, meanCompletionTokens: 100 },
+    },
+  });
+  summary.forget('default-big');
+  assert.deepEqual(summary.snapshot(), {});
+});
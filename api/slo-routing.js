@@ -0,0 +1,210 @@
+// Llama Manager — latency-SLO routing: TTFT prediction, candidate choice, accuracy.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// The `slo` offload policy routes on a time-to-first-token target instead of
+// queue shape. A request declares the target with `max_ttft_ms` (or the
+// X-Llama-Max-TTFT-Ms header); otherwise `config.backends.slo.targets` maps a
+// model or alias name (exact or `*`/`?` glob) to one, with `defaultMaxTtftMs`
+// as the catch-all. Local TTFT is predicted from queue wait, prompt
+// processing speed and, when the model is not resident, a cold-load cost
+// proportional to its size; each remote's TTFT comes from its observed
+// latency. The cheapest candidate predicted to meet the target wins, and the
+// gap between predicted and observed TTFT is kept per host for tuning.
+
+import { expandGlob } from './model-aliases.js';
+import { percentile } from './backend-health.js';
+
+/** Settings used when config.backends.slo has never been saved. */
+export const SLO_DEFAULTS = Object.freeze({ defaultMaxTtftMs: null, coldLoadMsPerGiB: 1500, targets: {} });
+
+/** Largest accepted TTFT target. */
+export const MAX_TTFT_LIMIT_MS = 600_000;
+
+const GIB = 1024 ** 3;
+
+/**
+ * Validate a TTFT target.
+ *
+ * @param {unknown} value Milliseconds, numeric string, or null / '' for none.
+ * @param {string} [name] Field name for the error message.
+ * @returns {number|null} Whole milliseconds, or null when unset.
+ * @throws {TypeError} Unless a whole number between 1 and {@link MAX_TTFT_LIMIT_MS}.
+ */
+export function normalizeTtftTarget(value, name = 'max_ttft_ms') {
+  if (value === null || value === undefined || value === '') return null;
+  const ms = Number(value);
+  if (!Number.isInteger(ms) || ms < 1 || ms > MAX_TTFT_LIMIT_MS) {
+    throw new TypeError(`${name} must be a whole number of milliseconds between 1 and ${MAX_TTFT_LIMIT_MS}`);
+  }
+  return ms;
+}
+
+/**
+ * Validate SLO routing settings (config.backends.slo).
+ *
+ * @param {Object} [input] Settings; omitted fields take defaults.
+ * @returns {{defaultMaxTtftMs:(number|null), coldLoadMsPerGiB:number, targets:Object<string, number>}}
+ *   Normalized settings.
+ * @throws {TypeError} On invalid targets, load rate or unknown fields.
+ */
+export function normalizeSloSettings(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new TypeError('slo settings must be an object');
+  const unknown = Object.keys(input).filter(key => !(key in SLO_DEFAULTS));
+  if (unknown.length) throw new TypeError(`unknown slo field(s): ${unknown.join(', ')}`);
+  const coldLoadMsPerGiB = input.coldLoadMsPerGiB ?? SLO_DEFAULTS.coldLoadMsPerGiB;
+  if (!Number.isFinite(Number(coldLoadMsPerGiB)) || Number(coldLoadMsPerGiB) < 0 || Number(coldLoadMsPerGiB) > 60_000) {
+    throw new TypeError('coldLoadMsPerGiB must be between 0 and 60000');
+  }
+  const rawTargets = input.targets ?? {};
+  if (!rawTargets || typeof rawTargets !== 'object' || Array.isArray(rawTargets)) {
+    throw new TypeError('targets must map model or alias names to milliseconds');
+  }
+  const targets = {};
+  for (const [pattern, ms] of Object.entries(rawTargets)) {
+    const name = pattern.trim();
+    if (!name) throw new TypeError('target names must not be empty');
+    targets[name] = normalizeTtftTarget(ms, `targets["${name}"]`);
+    if (targets[name] === null) delete targets[name];
+  }
+  return {
+    defaultMaxTtftMs: normalizeTtftTarget(input.defaultMaxTtftMs, 'defaultMaxTtftMs'),
+    coldLoadMsPerGiB: Number(coldLoadMsPerGiB),
+    targets,
+  };
+}
+
+/**
+ * The TTFT target for a request: the request's own, else the first configured
+ * target matching one of the names (exact matches before globs), else the default.
+ *
+ * @param {ReturnType<typeof normalizeSloSettings>} settings SLO settings.
+ * @param {string[]} names Requested alias and resolved model, most specific last.
+ * @param {number|null} [requested] The request's max_ttft_ms.
+ * @returns {number|null} Target milliseconds, or null when none applies.
+ */
+export function sloTargetFor(settings, names, requested = null) {
+  if (requested) return requested;
+  const patterns = Object.keys(settings.targets || {});
+  for (const name of names.filter(Boolean)) {
+    if (patterns.includes(name)) return settings.targets[name];
+  }
+  for (const name of names.filter(Boolean)) {
+    const glob = patterns.find(pattern => /[*?]/.test(pattern) && expandGlob(pattern, [name]).length > 0);
+    if (glob) return settings.targets[glob];
+  }
+  return settings.defaultMaxTtftMs ?? null;
+}
+
+/**
+ * Predict local TTFT.
+ *
+ * @param {Object} inputs Prediction inputs.
+ * @param {number} inputs.queueWaitMs Expected wait for a local slot.
+ * @param {number} inputs.promptMs Expected prompt processing time.
+ * @param {boolean} inputs.resident Whether the model is loaded.
+ * @param {number} [inputs.modelBytes] Model size on disk, for the cold-load cost.
+ * @param {number} inputs.coldLoadMsPerGiB Load rate.
+ * @returns {{ttftMs:number, queueWaitMs:number, promptMs:number, loadMs:number}} Prediction and its parts.
+ */
+export function predictLocalTtft({ queueWaitMs, promptMs, resident, modelBytes = 0, coldLoadMsPerGiB }) {
+  const loadMs = resident ? 0 : Math.round((modelBytes / GIB) * coldLoadMsPerGiB);
+  const parts = { queueWaitMs: Math.round(queueWaitMs || 0), promptMs: Math.round(promptMs || 0), loadMs };
+  return { ttftMs: parts.queueWaitMs + parts.promptMs + parts.loadMs, ...parts };
+}
+
+/**
+ * Pick the cheapest candidate predicted to meet the target; ties go to the
+ * faster prediction, then the candidate listed first. When none is predicted
+ * to meet it, the fastest prediction wins. Candidates without a prediction
+ * (a remote with no latency samples yet) are only chosen when nothing else is
+ * predicted at all.
+ *
+ * @param {number} targetMs TTFT target.
+ * @param {Array<{host:string, ttftMs:(number|null), costUsd:number}>} candidates Local and remote candidates.
+ * @returns {{choice:Object, met:boolean}|null} The choice, or null without candidates.
+ */
+export function chooseSloCandidate(targetMs, candidates) {
+  if (!candidates.length) return null;
+  const predicted = candidates.filter(c => Number.isFinite(c.ttftMs));
+  const meeting = predicted.filter(c => c.ttftMs <= targetMs);
+  if (meeting.length) {
+    const choice = meeting.reduce((best, c) => (c.costUsd < best.costUsd || (c.costUsd === best.costUsd && c.ttftMs < best.ttftMs) ? c : best));
+    return { choice, met: true };
+  }
+  if (predicted.length) {
+    return { choice: predicted.reduce((best, c) => (c.ttftMs < best.ttftMs ? c : best)), met: false };
+  }
+  return { choice: candidates[0], met: false };
+}
+
+/**
+ * Rolling prediction accuracy per host.
+ */
+export class SloAccuracy {
+  /**
+   * @param {Object} [options] Tracker options.
+   * @param {number} [options.window] Samples kept per host (default 200).
+   */
+  constructor({ window = 200 } = {}) {
+    this.window = window;
+    this.samples = new Map(); // host -> [{ predictedMs, actualMs, targetMs }]
+    this.decisions = { local: 0, remote: 0, unattainable: 0 };
+  }
+
+  /**
+   * Count a routing decision.
+   *
+   * @param {{host:string}} choice Chosen candidate.
+   * @param {boolean} met Whether it was predicted to meet the target.
+   */
+  recordDecision(choice, met) {
+    this.decisions[choice.host === 'local' ? 'local' : 'remote']++;
+    if (!met) this.decisions.unattainable++;
+  }
+
+  /**
+   * Record the observed TTFT for a prediction.
+   *
+   * @param {string} host `local` or a backend id.
+   * @param {{predictedMs:number, actualMs:number, targetMs:number}} sample Prediction and outcome.
+   */
+  record(host, { predictedMs, actualMs, targetMs }) {
+    let list = this.samples.get(host);
+    if (!list) {
+      list = [];
+      this.samples.set(host, list);
+    }
+    list.push({ predictedMs, actualMs, targetMs });
+    if (list.length > this.window) list.shift();
+  }
+
+  /** Forget a deleted backend. */
+  forget(host) {
+    this.samples.delete(host);
+  }
+
+  /**
+   * Accuracy per host: signed bias (observed minus predicted; positive means
+   * the prediction was optimistic), mean and p95 absolute error, and the
+   * share of requests that met their target.
+   *
+   * @returns {{decisions:Object, hosts:Array<{host:string, samples:number, biasMs:number,
+   *   meanAbsErrorMs:number, p95AbsErrorMs:number, attainment:number}>}} Snapshot.
+   */
+  snapshot() {
+    const hosts = [...this.samples].map(([host, list]) => {
+      const errors = list.map(s => s.actualMs - s.predictedMs);
+      const absolute = errors.map(Math.abs);
+      return {
+        host,
+        samples: list.length,
+        biasMs: Math.round(errors.reduce((a, b) => a + b, 0) / list.length),
+        meanAbsErrorMs: Math.round(absolute.reduce((a, b) => a + b, 0) / list.length),
+        p95AbsErrorMs: Math.round(percentile(absolute, 95)),
+        attainment: Math.round((list.filter(s => s.actualMs <= s.targetMs).length / list.length) * 1000) / 1000,
+      };
+    });
+    return { decisions: { ...this.decisions }, hosts: hosts.sort((a, b) => a.host.localeCompare(b.host)) };
+  }
+}
@@ -0,0 +1,80 @@
+// Llama Manager — latency-SLO routing tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies settings validation, target lookup (request, exact, glob,
+// default), the local TTFT prediction with cold-load cost, cheapest-meeting
+// candidate choice and the prediction accuracy roll-up.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  SloAccuracy,
+  chooseSloCandidate,
+  normalizeSloSettings,
+  normalizeTtftTarget,
+  predictLocalTtft,
+  sloTargetFor,
+} from './slo-routing.js';
+
+test('settings and request targets validate', () => {
+  assert.deepEqual(normalizeSloSettings(), { defaultMaxTtftMs: null, coldLoadMsPerGiB: 1500, targets: {} });
+  assert.deepEqual(normalizeSloSettings({ defaultMaxTtftMs: '4000', targets: { 'default-big': 2000, 'qwen*': '' } }),
+    { defaultMaxTtftMs: 4000, coldLoadMsPerGiB: 1500, targets: { 'default-big': 2000 } });
+  assert.throws(() => normalizeSloSettings({ coldLoadMsPerGiB: -1 }), /coldLoadMsPerGiB/);
+  assert.throws(() => normalizeSloSettings({ targets: ['a'] }), /targets/);
+  assert.throws(() => normalizeSloSettings({ targets: { m: 0.5 } }), /targets\["m"\]/);
+  assert.throws(() => normalizeSloSettings({ p95: true }), /unknown/);
+  assert.equal(normalizeTtftTarget(undefined), null);
+  assert.throws(() => normalizeTtftTarget('fast'), /max_ttft_ms/);
+});
+
+test('targets come from the request, then exact names, then globs, then the default', () => {
+  const settings = normalizeSloSettings({ defaultMaxTtftMs: 5000, targets: { 'default-big': 2000, 'qwen*': 1500, 'qwen3-8b': 800 } });
+  assert.equal(sloTargetFor(settings, ['default-big', 'qwen3-8b'], 300), 300);
+  assert.equal(sloTargetFor(settings, ['default-big', 'qwen3-8b']), 2000);
+  assert.equal(sloTargetFor(settings, ['qwen3-8b']), 800);
+  assert.equal(sloTargetFor(settings, ['qwen3-32b']), 1500);
+  assert.equal(sloTargetFor(settings, ['llama']), 5000);
+  assert.equal(sloTargetFor(normalizeSloSettings(), ['llama']), null);
+});
+
+test('local prediction adds a size-proportional cold-load cost for non-resident models', () => {
+  const warm = predictLocalTtft({ queueWaitMs: 1200.4, promptMs: 300, resident: true, modelBytes: 8 * 1024 ** 3, coldLoadMsPerGiB: 1000 });
+  assert.deepEqual(warm, { ttftMs: 1500, queueWaitMs: 1200, promptMs: 300, loadMs: 0 });
+  const cold = predictLocalTtft({ queueWaitMs: 0, promptMs: 300, resident: false, modelBytes: 8 * 1024 ** 3, coldLoadMsPerGiB: 1000 });
+  assert.equal(cold.ttftMs, 8300);
+});
+
+test('the cheapest candidate meeting the target wins, else the fastest', () => {
+  const local = { host: 'local', ttftMs: 900, costUsd: 0 };
+  const cheap = { host: 'cheap', ttftMs: 600, costUsd: 0.001 };
+  const fast = { host: 'fast', ttftMs: 200, costUsd: 0.01 };
+  const unknown = { host: 'new', ttftMs: null, costUsd: 0 };
+  assert.deepEqual(chooseSloCandidate(1000, [local, cheap, fast]), { choice: local, met: true });
+  assert.deepEqual(chooseSloCandidate(700, [local, cheap, fast, unknown]), { choice: cheap, met: true });
+  assert.deepEqual(chooseSloCandidate(100, [local, cheap, fast]), { choice: fast, met: false });
+  assert.deepEqual(chooseSloCandidate(100, [unknown]), { choice: unknown, met: false });
+  assert.equal(chooseSloCandidate(100, []), null);
+});
+
+test('accuracy reports bias, absolute error and attainment per host', () => {
+  const accuracy = new SloAccuracy({ window: 3 });
+  accuracy.recordDecision({ host: 'local' }, true);
+  accuracy.recordDecision({ host: 'fast' }, false);
+  accuracy.record('local', { predictedMs: 1000, actualMs: 5000, targetMs: 2000 });
+  accuracy.record('local', { predictedMs: 1000, actualMs: 1200, targetMs: 2000 });
+  accuracy.record('local', { predictedMs: 1000, actualMs: 900, targetMs: 2000 });
+  accuracy.record('local', { predictedMs: 1000, actualMs: 1400, targetMs: 2000 });
+  accuracy.record('fast', { predictedMs: 200, actualMs: 100, targetMs: 150 });
+  assert.deepEqual(accuracy.snapshot(), {
+    decisions: { local: 1, remote: 1, unattainable: 1 },
+    hosts: [
+      { host: 'fast', samples: 1, biasMs: -100, meanAbsErrorMs: 100, p95AbsErrorMs: 100, attainment: 1 },
+      { host: 'local', samples: 3, biasMs: 167, meanAbsErrorMs: 233, p95AbsErrorMs: 400, attainment: 1 },
+    ],
+  });
+  accuracy.forget('fast');
+  assert.equal(accuracy.snapshot().hosts.length, 1);
+});
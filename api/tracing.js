@@ -0,0 +1,519 @@
+// Llama Manager — OpenTelemetry request tracing with OTLP/HTTP export.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// A deliberately small tracer, so the manager needs no OpenTelemetry SDK: each
+// inference request becomes a SERVER span, the routing, queueing, model-load,
+// slot-restore and upstream phases become child spans, and finished spans are
+// batched to a collector as OTLP/HTTP JSON (`POST <endpoint>`, normally
+// http://<collector>:4318/v1/traces). An incoming W3C `traceparent` header
+// makes the request a child of the caller's trace and carries its sampling
+// decision; unsampled requests still get ids, so propagation stays intact,
+// but nothing is exported. Active spans ride an AsyncLocalStorage store
+// (`{ span }`) so deeply nested helpers can open children without threading
+// a span argument through every call.
+
+import { randomBytes } from 'crypto';
+import { performance } from 'perf_hooks';
+
+/** Defaults for the `config.tracing` block. */
+export const TRACING_DEFAULTS = Object.freeze({
+  enabled: false,
+  endpoint: 'http://127.0.0.1:4318/v1/traces',
+  serviceName: 'llama-manager',
+  headers: Object.freeze({}),
+  sampleRatio: 1,
+  flushIntervalMs: 5000,
+  maxQueueSize: 2048,
+  maxBatchSize: 512,
+});
+
+/** OTLP span kinds used by the manager. */
+export const SPAN_KIND = Object.freeze({ INTERNAL: 1, SERVER: 2, CLIENT: 3 });
+
+/** OTLP status codes. */
+export const SPAN_STATUS = Object.freeze({ UNSET: 0, OK: 1, ERROR: 2 });
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+/**
+ * Parse a W3C Trace Context `traceparent` header.
+ *
+ * @param {string|undefined|null} value Header value.
+ * @returns {{traceId:string, parentSpanId:string, sampled:boolean}|null}
+ *   Parent context, or null when the header is absent or malformed.
+ */
+export function parseTraceparent(value) {
+  const match = TRACEPARENT_PATTERN.exec(String(value || '').trim().toLowerCase());
+  if (!match) return null;
+  const [, version, traceId, parentSpanId, flags, rest] = match;
+  if (version === 'ff' || (version === '00' && rest)) return null;
+  if (traceId === INVALID_TRACE_ID || parentSpanId === INVALID_SPAN_ID) return null;
+  return { traceId, parentSpanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+/**
+ * Format a `traceparent` header for a span.
+ *
+ * @param {{traceId:string, spanId:string, sampled:boolean}} span Span context.
+ * @returns {string} Version-00 header value.
+ */
+export function formatTraceparent({ traceId, spanId, sampled }) {
+  return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+/**
+ * Normalize a `config.tracing` block, rejecting unusable values.
+ *
+ * @param {Record<string, unknown>} [input] Partial settings.
+ * @returns {typeof TRACING_DEFAULTS} Complete settings.
+ * @throws {TypeError} When a field has the wrong type or range.
+ */
+export function normalizeTracingSettings(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new TypeError('tracing settings must be an object');
+  }
+  const settings = { ...TRACING_DEFAULTS, ...input };
+  const endpoint = String(settings.endpoint || '');
+  if (!/^https?:\/\/[^/]/i.test(endpoint)) throw new TypeError('tracing endpoint must be an http(s) URL');
+  const serviceName = String(settings.serviceName || '').trim();
+  if (!serviceName) throw new TypeError('tracing serviceName must be non-empty');
+  const headers = settings.headers ?? {};
+  if (typeof headers !== 'object' || Array.isArray(headers)
+    || Object.values(headers).some(v => typeof v !== 'string')) {
+    throw new TypeError('tracing headers must map header names to strings');
+  }
+  const sampleRatio = Number(settings.sampleRatio);
+  if (!(sampleRatio >= 0 && sampleRatio <= 1)) throw new TypeError('tracing sampleRatio must be between 0 and 1');
+  for (const field of ['flushIntervalMs', 'maxQueueSize', 'maxBatchSize']) {
+    if (!Number.isInteger(settings[field]) || settings[field] < 1) {
+      throw new TypeError(`tracing ${field} must be a positive integer`);
+    }
+  }
+  return {
+    enabled: settings.enabled === true,
+    endpoint,
+    serviceName,
+    headers: { ...headers },
+    sampleRatio,
+    flushIntervalMs: settings.flushIntervalMs,
+    maxQueueSize: settings.maxQueueSize,
+    maxBatchSize: settings.maxBatchSize,
+  };
+}
+
+/**
+ * Resolve effective tracing settings from config, falling back to the
+ * standard OTEL_EXPORTER_OTLP_* environment variables for the collector URL.
+ * Setting either variable enables tracing unless config disables it.
+ *
+ * @param {Record<string, unknown>} [config] Manager configuration.
+ * @param {Record<string, string|undefined>} [env] Process environment.
+ * @returns {typeof TRACING_DEFAULTS} Settings; invalid config falls back to defaults.
+ */
+export function resolveTracingSettings(config = {}, env = {}) {
+  const configured = config?.tracing || {};
+  const envEndpoint = env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT
+    || (env.OTEL_EXPORTER_OTLP_ENDPOINT ? `${env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/+$/, '')}/v1/traces` : null);
+  const merged = {
+    ...configured,
+    endpoint: configured.endpoint || envEndpoint || TRACING_DEFAULTS.endpoint,
+    serviceName: configured.serviceName || env.OTEL_SERVICE_NAME || TRACING_DEFAULTS.serviceName,
+    enabled: configured.enabled === true || (configured.enabled !== false && !!envEndpoint),
+  };
+  try {
+    return normalizeTracingSettings(merged);
+  } catch {
+    return { ...TRACING_DEFAULTS, headers: {} };
+  }
+}
+
+/**
+ * Current wall-clock time in Unix nanoseconds, with sub-millisecond precision
+ * from the monotonic clock.
+ *
+ * @returns {bigint} Nanoseconds since the Unix epoch.
+ */
+export function wallClockNanos() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+}
+
+function randomId(bytes) {
+  let id;
+  do { id = randomBytes(bytes).toString('hex'); } while (/^0+$/.test(id));
+  return id;
+}
+
+/**
+ * One timed operation within a trace.
+ */
+export class Span {
+  /**
+   * @param {object} options
+   * @param {Tracer} options.tracer Owning tracer (receives the span on end).
+   * @param {string} options.name Operation name.
+   * @param {string} options.traceId 32-hex trace id.
+   * @param {string|null} options.parentSpanId 16-hex parent id, or null for a root.
+   * @param {boolean} options.sampled Whether the span is exported.
+   * @param {number} [options.kind] SPAN_KIND value.
+   * @param {Record<string, unknown>} [options.attributes] Initial attributes.
+   */
+  constructor({ tracer, name, traceId, parentSpanId, sampled, kind = SPAN_KIND.INTERNAL, attributes = {} }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = randomId(8);
+    this.parentSpanId = parentSpanId;
+    this.sampled = sampled;
+    this.kind = kind;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: SPAN_STATUS.UNSET };
+    this.startTimeUnixNano = tracer.clock();
+    this.endTimeUnixNano = null;
+    this.setAttributes(attributes);
+  }
+
+  /** Whether end() has been called. */
+  get ended() {
+    return this.endTimeUnixNano !== null;
+  }
+
+  /**
+   * Set one attribute; null and undefined values are ignored.
+   *
+   * @param {string} key Attribute key.
+   * @param {string|number|boolean|null|undefined} value Attribute value.
+   * @returns {Span} This span.
+   */
+  setAttribute(key, value) {
+    if (value !== null && value !== undefined) this.attributes[key] = value;
+    return this;
+  }
+
+  /**
+   * Set several attributes at once.
+   *
+   * @param {Record<string, unknown>} attributes Attributes to merge.
+   * @returns {Span} This span.
+   */
+  setAttributes(attributes = {}) {
+    for (const [key, value] of Object.entries(attributes)) this.setAttribute(key, value);
+    return this;
+  }
+
+  /**
+   * Record a timestamped event.
+   *
+   * @param {string} name Event name.
+   * @param {Record<string, unknown>} [attributes] Event attributes.
+   * @returns {Span} This span.
+   */
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, timeUnixNano: this.tracer.clock(), attributes });
+    return this;
+  }
+
+  /**
+   * Mark the span failed and attach the error as an `exception` event.
+   *
+   * @param {unknown} error Thrown value.
+   * @returns {Span} This span.
+   */
+  recordError(error) {
+    const message = error instanceof Error ? error.message : String(error);
+    this.status = { code: SPAN_STATUS.ERROR, message };
+    return this.addEvent('exception', {
+      'exception.type': error?.name || 'Error',
+      'exception.message': message,
+    });
+  }
+
+  /**
+   * Start a child span in the same trace.
+   *
+   * @param {string} name Operation name.
+   * @param {Record<string, unknown>} [attributes] Initial attributes.
+   * @param {number} [kind] SPAN_KIND value.
+   * @returns {Span} The child span.
+   */
+  startChild(name, attributes = {}, kind = SPAN_KIND.INTERNAL) {
+    return new Span({
+      tracer: this.tracer, name, traceId: this.traceId, parentSpanId: this.spanId,
+      sampled: this.sampled, kind, attributes,
+    });
+  }
+
+  /** The `traceparent` header that makes downstream work a child of this span. */
+  traceparent() {
+    return formatTraceparent(this);
+  }
+
+  /** End the span (idempotent) and hand it to the tracer for export. */
+  end() {
+    if (this.ended) return;
+    this.endTimeUnixNano = this.tracer.clock();
+    this.tracer.onEnd(this);
+  }
+}
+
+/**
+ * Creates request root spans and routes finished sampled spans to an exporter.
+ */
+export class Tracer {
+  /**
+   * @param {object} [options]
+   * @param {{export(span: Span): void}|null} [options.exporter] Span sink.
+   * @param {number} [options.sampleRatio] Share of new traces to sample.
+   * @param {() => number} [options.random] Random source in [0, 1).
+   * @param {() => bigint} [options.clock] Unix-nanosecond clock.
+   */
+  constructor({ exporter = null, sampleRatio = 1, random = Math.random, clock = wallClockNanos } = {}) {
+    this.exporter = exporter;
+    this.sampleRatio = sampleRatio;
+    this.random = random;
+    this.clock = clock;
+  }
+
+  /**
+   * Start the SERVER span for an incoming request, continuing the caller's
+   * trace when a valid `traceparent` is supplied.
+   *
+   * @param {string} name Span name, e.g. `POST /v1/chat/completions`.
+   * @param {object} [options]
+   * @param {string} [options.traceparent] Incoming header value.
+   * @param {Record<string, unknown>} [options.attributes] Initial attributes.
+   * @returns {Span} The root span for this process.
+   */
+  startRequestSpan(name, { traceparent, attributes = {} } = {}) {
+    const parent = parseTraceparent(traceparent);
+    return new Span({
+      tracer: this,
+      name,
+      traceId: parent?.traceId || randomId(16),
+      parentSpanId: parent?.parentSpanId || null,
+      sampled: parent ? parent.sampled : this.random() < this.sampleRatio,
+      kind: SPAN_KIND.SERVER,
+      attributes,
+    });
+  }
+
+  /** @param {Span} span Finished span. */
+  onEnd(span) {
+    if (span.sampled && this.exporter) this.exporter.export(span);
+  }
+}
+
+/**
+ * Run `fn` inside a child span of the store's active span, making the child
+ * the active span for everything `fn` awaits. Synchronous and promise-returning
+ * functions are both supported; a throw or rejection marks the span failed.
+ * Without an active span `fn` runs untraced and receives null.
+ *
+ * @template T
+ * @param {import('async_hooks').AsyncLocalStorage<{span?: Span}>} storage Request context.
+ * @param {string} name Child span name.
+ * @param {Record<string, unknown>} attributes Initial attributes.
+ * @param {(span: Span|null) => T} fn Work to trace.
+ * @returns {T} Whatever `fn` returns.
+ */
+export function withSpan(storage, name, attributes, fn) {
+  const store = storage.getStore();
+  if (!store?.span) return fn(null);
+  const span = store.span.startChild(name, attributes);
+  let result;
+  try {
+    result = storage.run({ ...store, span }, () => fn(span));
+  } catch (error) {
+    span.recordError(error);
+    span.end();
+    throw error;
+  }
+  if (result && typeof result.then === 'function') {
+    return result.then(
+      (value) => { span.end(); return value; },
+      (error) => { span.recordError(error); span.end(); throw error; },
+    );
+  }
+  span.end();
+  return result;
+}
+
+/**
+ * Span attributes summarizing a timing-evidence record: every measured
+ * manager and engine dimension becomes a millisecond attribute.
+ *
+ * @param {Record<string, any>|null} evidence Record from TimingEvidenceRecorder#build().
+ * @returns {Record<string, number|string|boolean>} Attributes (empty for null).
+ */
+export function timingEvidenceAttributes(evidence) {
+  if (!evidence) return {};
+  const attributes = {
+    'llama_manager.timing.complete': evidence.complete === true,
+    'llama_manager.cache.classification': evidence.cache?.classification,
+  };
+  for (const [source, dimensions] of [['manager', evidence.manager_observed], ['engine', evidence.engine_reported]]) {
+    for (const [dimension, value] of Object.entries(dimensions || {})) {
+      if (value?.supported) attributes[`llama_manager.timing.${source}.${dimension}_ms`] = value.ms;
+    }
+  }
+  return attributes;
+}
+
+function otlpValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  return { stringValue: String(value) };
+}
+
+function otlpAttributes(attributes) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: otlpValue(value) }));
+}
+
+/**
+ * Encode finished spans as an OTLP/HTTP JSON ExportTraceServiceRequest.
+ *
+ * @param {Span[]} spans Finished spans.
+ * @param {object} resource
+ * @param {string} resource.serviceName `service.name` resource attribute.
+ * @param {string} [resource.serviceVersion] `service.version` resource attribute.
+ * @returns {object} Request body for `POST /v1/traces`.
+ */
+export function toOtlpRequest(spans, { serviceName, serviceVersion } = {}) {
+  return {
+    resourceSpans: [{
+      resource: {
+        attributes: otlpAttributes({
+          'service.name': serviceName || TRACING_DEFAULTS.serviceName,
+          ...(serviceVersion ? { 'service.version': serviceVersion } : {}),
+        }),
+      },
+      scopeSpans: [{
+        scope: { name: 'llama-manager' },
+        spans: spans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+          name: span.name,
+          kind: span.kind,
+          startTimeUnixNano: String(span.startTimeUnixNano),
+          endTimeUnixNano: String(span.endTimeUnixNano),
+          attributes: otlpAttributes(span.attributes),
+          events: span.events.map(event => ({
+            name: event.name,
+            timeUnixNano: String(event.timeUnixNano),
+            attributes: otlpAttributes(event.attributes),
+          })),
+          status: span.status,
+        })),
+      }],
+    }],
+  };
+}
+
+/**
+ * Batches finished spans and POSTs them to an OTLP/HTTP collector. The queue is
+ * bounded: when the collector is down, the newest spans are dropped rather
+ * than growing memory, and export failures never reach request handling.
+ */
+export class OtlpHttpExporter {
+  /**
+   * @param {object} options
+   * @param {string} options.endpoint Collector traces URL.
+   * @param {string} options.serviceName `service.name` resource attribute.
+   * @param {string} [options.serviceVersion] `service.version` resource attribute.
+   * @param {Record<string, string>} [options.headers] Extra request headers.
+   * @param {number} [options.maxQueueSize] Spans held before dropping.
+   * @param {number} [options.maxBatchSize] Spans per POST.
+   * @param {typeof fetch} [options.fetchImpl] fetch implementation.
+   * @param {number} [options.timeoutMs] Per-POST timeout.
+   */
+  constructor({
+    endpoint, serviceName, serviceVersion, headers = {},
+    maxQueueSize = TRACING_DEFAULTS.maxQueueSize, maxBatchSize = TRACING_DEFAULTS.maxBatchSize,
+    fetchImpl = fetch, timeoutMs = 10_000,
+  }) {
+    this.endpoint = endpoint;
+    this.resource = { serviceName, serviceVersion };
+    this.headers = headers;
+    this.maxQueueSize = maxQueueSize;
+    this.maxBatchSize = maxBatchSize;
+    this.fetchImpl = fetchImpl;
+    this.timeoutMs = timeoutMs;
+    this.queue = [];
+    this.flushing = null;
+    this.timer = null;
+    this.stats = { exported: 0, dropped: 0, failed: 0, lastError: null };
+  }
+
+  /** @param {Span} span Finished sampled span. */
+  export(span) {
+    if (this.queue.length >= this.maxQueueSize) {
+      this.stats.dropped += 1;
+      return;
+    }
+    this.queue.push(span);
+    if (this.queue.length >= this.maxBatchSize) this.flush().catch(() => {});
+  }
+
+  /**
+   * Send every queued span. Concurrent callers share the in-flight flush.
+   *
+   * @returns {Promise<void>} Resolves once the queue has been drained.
+   */
+  flush() {
+    if (this.flushing) return this.flushing;
+    this.flushing = this.#drain().finally(() => { this.flushing = null; });
+    return this.flushing;
+  }
+
+  async #drain() {
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.maxBatchSize);
+      try {
+        const response = await this.fetchImpl(this.endpoint, {
+          method: 'POST',
+          headers: { ...this.headers, 'Content-Type': 'application/json' },
+          body: JSON.stringify(toOtlpRequest(batch, this.resource)),
+          signal: AbortSignal.timeout(this.timeoutMs),
+        });
+        if (!response.ok) throw new Error(`collector returned HTTP ${response.status}`);
+        this.stats.exported += batch.length;
+      } catch (error) {
+        this.stats.failed += batch.length;
+        this.stats.lastError = error.message;
+      }
+    }
+  }
+
+  /**
+   * Flush on an interval until shutdown() (the timer never holds the process open).
+   *
+   * @param {number} intervalMs Flush period.
+   */
+  start(intervalMs) {
+    this.stop();
+    this.timer = setInterval(() => { this.flush().catch(() => {}); }, intervalMs);
+    this.timer.unref?.();
+  }
+
+  /** Stop the flush timer without draining. */
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Stop the timer and send whatever is still queued.
+   *
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    this.stop();
+    await this.flush();
+  }
+}
@@ -0,0 +1,177 @@
+// Llama Manager — request tracing and OTLP export tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies W3C traceparent handling, sampling, span nesting through the async
+// request context, settings resolution, and OTLP/HTTP JSON export against a
+// local stand-in collector.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createServer } from 'node:http';
+
+import {
+  OtlpHttpExporter,
+  SPAN_KIND,
+  SPAN_STATUS,
+  Tracer,
+  formatTraceparent,
+  normalizeTracingSettings,
+  parseTraceparent,
+  resolveTracingSettings,
+  timingEvidenceAttributes,
+  toOtlpRequest,
+  withSpan,
+} from './tracing.js';
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+
+function collectingTracer(options = {}) {
+  const exported = [];
+  let tick = 1_000n;
+  const tracer = new Tracer({ exporter: { export: span => exported.push(span) }, clock: () => (tick += 1_000n), ...options });
+  return { tracer, exported };
+}
+
+async function withCollector(handler, fn) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      handler(res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}/v1/traces`, requests);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('traceparent headers parse, validate and round-trip', () => {
+  assert.deepEqual(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01`), { traceId: TRACE_ID, parentSpanId: PARENT_ID, sampled: true });
+  assert.equal(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-00`).sampled, false);
+  assert.equal(parseTraceparent(`ff-${TRACE_ID}-${PARENT_ID}-01`), null);
+  assert.equal(parseTraceparent(`00-${'0'.repeat(32)}-${PARENT_ID}-01`), null);
+  assert.equal(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01-extra`), null);
+  assert.equal(parseTraceparent('garbage'), null);
+  assert.equal(formatTraceparent({ traceId: TRACE_ID, spanId: PARENT_ID, sampled: false }), `00-${TRACE_ID}-${PARENT_ID}-00`);
+});
+
+test('request spans continue the caller trace and honor its sampling flag', () => {
+  const { tracer, exported } = collectingTracer({ random: () => 0.99, sampleRatio: 0.5 });
+  const continued = tracer.startRequestSpan('POST /v1/chat/completions', { traceparent: `00-${TRACE_ID}-${PARENT_ID}-01` });
+  assert.equal(continued.traceId, TRACE_ID);
+  assert.equal(continued.parentSpanId, PARENT_ID);
+  assert.equal(continued.kind, SPAN_KIND.SERVER);
+  assert.match(continued.traceparent(), new RegExp(`^00-${TRACE_ID}-[0-9a-f]{16}-01$`));
+  continued.end();
+  continued.end();
+
+  const unsampled = tracer.startRequestSpan('POST /v1/completions', { traceparent: `00-${TRACE_ID}-${PARENT_ID}-00` });
+  unsampled.end();
+  const fresh = tracer.startRequestSpan('POST /v1/embeddings');
+  assert.equal(fresh.parentSpanId, null);
+  assert.equal(fresh.sampled, false);
+  fresh.end();
+  assert.deepEqual(exported.map(span => span.name), ['POST /v1/chat/completions']);
+});
+
+test('withSpan nests children through awaits and records failures', async () => {
+  const { tracer, exported } = collectingTracer();
+  const storage = new AsyncLocalStorage();
+  const root = tracer.startRequestSpan('POST /v1/chat/completions');
+
+  assert.equal(withSpan(storage, 'untraced', {}, span => span), null);
+  await storage.run({ span: root }, async () => {
+    const routing = withSpan(storage, 'resolve_backend', { 'llm.model': 'qwen' }, () => ({ remote: false }));
+    assert.deepEqual(routing, { remote: false });
+    await withSpan(storage, 'queue_wait', {}, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      await withSpan(storage, 'ensure_model_served', {}, async () => {});
+    });
+    await assert.rejects(withSpan(storage, 'upstream_fetch', {}, async () => { throw new Error('ECONNREFUSED'); }), /ECONNREFUSED/);
+  });
+  root.end();
+
+  const byName = Object.fromEntries(exported.map(span => [span.name, span]));
+  assert.equal(byName.resolve_backend.parentSpanId, root.spanId);
+  assert.equal(byName.resolve_backend.attributes['llm.model'], 'qwen');
+  assert.equal(byName.ensure_model_served.parentSpanId, byName.queue_wait.spanId);
+  assert.equal(byName.upstream_fetch.status.code, SPAN_STATUS.ERROR);
+  assert.equal(byName.upstream_fetch.events[0].name, 'exception');
+  assert.ok(exported.every(span => span.traceId === root.traceId));
+});
+
+test('settings validate and fall back to the standard OTEL environment', () => {
+  assert.throws(() => normalizeTracingSettings({ endpoint: 'collector:4318' }), TypeError);
+  assert.throws(() => normalizeTracingSettings({ sampleRatio: 2 }), /sampleRatio/);
+  assert.throws(() => normalizeTracingSettings({ headers: { authorization: 1 } }), /headers/);
+  assert.equal(resolveTracingSettings({}, {}).enabled, false);
+
+  const fromEnv = resolveTracingSettings({}, { OTEL_EXPORTER_OTLP_ENDPOINT: 'http://otel:4318/', OTEL_SERVICE_NAME: 'box-1' });
+  assert.equal(fromEnv.enabled, true);
+  assert.equal(fromEnv.endpoint, 'http://otel:4318/v1/traces');
+  assert.equal(fromEnv.serviceName, 'box-1');
+  assert.equal(resolveTracingSettings({ tracing: { enabled: false } }, { OTEL_EXPORTER_OTLP_TRACES_ENDPOINT: 'http://otel:4318/v1/traces' }).enabled, false);
+});
+
+test('timing evidence becomes millisecond span attributes', () => {
+  assert.deepEqual(timingEvidenceAttributes({
+    complete: false,
+    cache: { classification: 'warm_prefix' },
+    manager_observed: { queue_wait: { supported: true, ms: 12.5 }, prefill: { supported: false, reason: 'x' } },
+    engine_reported: { prefill: { supported: true, ms: 40 } },
+  }), {
+    'llama_manager.timing.complete': false,
+    'llama_manager.cache.classification': 'warm_prefix',
+    'llama_manager.timing.manager.queue_wait_ms': 12.5,
+    'llama_manager.timing.engine.prefill_ms': 40,
+  });
+  assert.deepEqual(timingEvidenceAttributes(null), {});
+});
+
+test('the exporter posts OTLP JSON to a stand-in collector', () => withCollector(res => res.end('{}'), async (endpoint, requests) => {
+  const exporter = new OtlpHttpExporter({ endpoint, serviceName: 'llama-manager', headers: { 'x-honeycomb-team': 'abc' } });
+  const tracer = new Tracer({ exporter });
+  const root = tracer.startRequestSpan('POST /v1/chat/completions', { attributes: { 'http.request.method': 'POST' } });
+  const child = root.startChild('upstream_fetch', { 'llama_manager.attempt': 1, 'llama_manager.ratio': 0.5 }, SPAN_KIND.CLIENT);
+  child.end();
+  root.setAttribute('http.response.status_code', 200).end();
+  await exporter.flush();
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].url, '/v1/traces');
+  assert.equal(requests[0].headers['x-honeycomb-team'], 'abc');
+  const [resourceSpans] = requests[0].body.resourceSpans;
+  assert.deepEqual(resourceSpans.resource.attributes, [{ key: 'service.name', value: { stringValue: 'llama-manager' } }]);
+  const [upstream, server] = resourceSpans.scopeSpans[0].spans;
+  assert.equal(upstream.parentSpanId, server.spanId);
+  assert.equal(upstream.kind, SPAN_KIND.CLIENT);
+  assert.deepEqual(upstream.attributes, [
+    { key: 'llama_manager.attempt', value: { intValue: '1' } },
+    { key: 'llama_manager.ratio', value: { doubleValue: 0.5 } },
+  ]);
+  assert.equal(server.parentSpanId, undefined);
+  assert.ok(BigInt(server.endTimeUnixNano) >= BigInt(server.startTimeUnixNano));
+  assert.equal(exporter.stats.exported, 2);
+}));
+
+test('collector failures and a full queue never throw into request handling', () => withCollector((res) => {
+  res.statusCode = 503;
+  res.end();
+}, async (endpoint) => {
+  const exporter = new OtlpHttpExporter({ endpoint, serviceName: 'llama-manager', maxQueueSize: 2, maxBatchSize: 10 });
+  const tracer = new Tracer({ exporter });
+  for (let i = 0; i < 3; i += 1) tracer.startRequestSpan(`request ${i}`).end();
+  await exporter.flush();
+  assert.equal(exporter.stats.dropped, 1);
+  assert.equal(exporter.stats.failed, 2);
+  assert.match(exporter.stats.lastError, /503/);
+  assert.equal(toOtlpRequest([], { serviceName: 'x' }).resourceSpans[0].scopeSpans[0].spans.length, 0);
+}));
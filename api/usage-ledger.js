@@ -0,0 +1,339 @@
+// Llama Manager — per-client usage accounting and chargeback reports.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Backend stats (updateBackendTokenStats / calculateBackendCost) answer "what
+// did each backend cost"; this ledger answers "who used it". Every logged
+// inference is charged to a client (manager API key, X-Client-Id, or the
+// caller's User-Agent product as a fallback), a model and a backend in UTC day
+// buckets: requests, errors, prompt / completion tokens, remote spend, and
+// GPU-seconds — the time a request held a slot on the local lane. Reports roll
+// the buckets up by day, month or the whole range, grouped by client and/or
+// model, as JSON or CSV. The ledger persists to one JSON file like the client
+// quota counters. X-Client-Id, User-Agent and model names are caller supplied,
+// so each day keeps a bounded number of distinct ones and folds the rest into
+// an `other` bucket, as the quota tracker caps the client ids it remembers.
+
+import {
+  chmodSync,
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from 'node:fs';
+import { dirname } from 'node:path';
+
+import { MAX_TRACKED_CLIENT_IDS, utcDay } from './client-quotas.js';
+
+/** Ledger file schema version. */
+export const USAGE_LEDGER_VERSION = 1;
+
+/** Report periods. */
+export const USAGE_PERIODS = Object.freeze(['day', 'month', 'total']);
+
+/** Dimensions a report can be grouped by. */
+export const USAGE_GROUP_FIELDS = Object.freeze(['client', 'model', 'backend']);
+
+/** Counters kept per (day, client, model, backend) bucket. */
+export const USAGE_COUNTERS = Object.freeze(['requests', 'errors', 'promptTokens', 'completionTokens', 'gpuMs', 'costUsd']);
+
+/** Distinct X-Client-Id / User-Agent clients kept per day before folding into `other`. */
+export const MAX_LEDGER_CLIENTS_PER_DAY = MAX_TRACKED_CLIENT_IDS;
+
+/** Distinct models kept per day before folding into `other`. */
+export const MAX_LEDGER_MODELS_PER_DAY = 200;
+
+/** Bucket that overflow clients and models are charged to. */
+export const OTHER_BUCKET = 'other';
+
+// Identities that are bounded already: manager API keys and the anonymous caller.
+const UNCAPPED_CLIENT_SOURCES = new Set(['api_key', 'anonymous']);
+
+const DAY_MS = 86_400_000;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const KEY_SEPARATOR = '\t';
+
+/**
+ * Accounting identity for callers without an API key or X-Client-Id: the
+ * first product token of their User-Agent (`python-requests/2.31` →
+ * `python-requests`), so all versions of a tool bill together.
+ *
+ * @param {string|undefined} userAgent User-Agent header.
+ * @returns {{id:string,label:string,source:'user_agent'}|null} Identity, or null when absent.
+ */
+export function userAgentClient(userAgent) {
+  const product = String(userAgent || '').trim().split(/[\s/]/)[0].replace(/[^A-Za-z0-9._-]/g, '').slice(0, 64);
+  if (!product) return null;
+  return { id: `ua:${product}`, label: product, source: 'user_agent' };
+}
+
+/**
+ * Validate report query parameters.
+ *
+ * @param {Record<string, unknown>} [query] Request query (`from`, `to`, `period`, `groupBy`, `client`, `model`).
+ * @param {number} [now] Epoch milliseconds, for the default 30-day range.
+ * @returns {{from:string, to:string, period:string, groupBy:string[], client:(string|null), model:(string|null)}}
+ *   Normalized query; `from` / `to` are inclusive UTC days.
+ * @throws {TypeError} On malformed days, unknown periods or group fields.
+ */
+export function normalizeUsageQuery(query = {}, now = Date.now()) {
+  const to = query.to ? String(query.to) : utcDay(now);
+  const from = query.from ? String(query.from) : utcDay(Date.parse(`${to}T00:00:00Z`) - 29 * DAY_MS);
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (!DAY_PATTERN.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+      throw new TypeError(`${name} must be a YYYY-MM-DD day`);
+    }
+  }
+  if (from > to) throw new TypeError('from must not be after to');
+  const period = query.period ? String(query.period) : 'day';
+  if (!USAGE_PERIODS.includes(period)) throw new TypeError(`period must be one of ${USAGE_PERIODS.join(', ')}`);
+  const groupBy = String(query.groupBy ?? 'client,model').split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = groupBy.filter(field => !USAGE_GROUP_FIELDS.includes(field));
+  if (unknown.length) throw new TypeError(`unknown groupBy field(s): ${unknown.join(', ')}`);
+  return {
+    from,
+    to,
+    period,
+    groupBy: [...new Set(groupBy)],
+    client: query.client ? String(query.client) : null,
+    model: query.model ? String(query.model) : null,
+  };
+}
+
+function emptyCounters() {
+  return Object.fromEntries(USAGE_COUNTERS.map(counter => [counter, 0]));
+}
+
+function addCounters(target, source) {
+  for (const counter of USAGE_COUNTERS) target[counter] += Number(source[counter]) || 0;
+}
+
+function finishRow(row) {
+  const { gpuMs, ...rest } = row;
+  return {
+    ...rest,
+    totalTokens: row.promptTokens + row.completionTokens,
+    gpuSeconds: Math.round(gpuMs / 100) / 10,
+    costUsd: Math.round(row.costUsd * 1e6) / 1e6,
+    errorRate: row.requests > 0 ? Math.round((row.errors / row.requests) * 1e4) / 1e4 : 0,
+  };
+}
+
+/**
+ * Durable usage buckets per UTC day, client, model and backend.
+ */
+export class UsageLedger {
+  /**
+   * Create a ledger backed by one JSON file.
+   *
+   * @param {Object} options Ledger options.
+   * @param {string} options.path Absolute ledger file path.
+   * @param {number} [options.retentionDays] Days of buckets kept (default 400, enough for a year-over-year month).
+   * @param {number} [options.maxClientsPerDay] Distinct capped clients per day.
+   * @param {number} [options.maxModelsPerDay] Distinct models per day.
+   * @param {() => number} [options.now] Clock returning epoch milliseconds.
+   */
+  constructor({
+    path,
+    retentionDays = 400,
+    maxClientsPerDay = MAX_LEDGER_CLIENTS_PER_DAY,
+    maxModelsPerDay = MAX_LEDGER_MODELS_PER_DAY,
+    now = () => Date.now(),
+  } = {}) {
+    if (!path) throw new TypeError('usage ledger path is required');
+    this.path = path;
+    this.tempPath = `${path}.tmp`;
+    this.retentionDays = retentionDays;
+    this.maxClientsPerDay = maxClientsPerDay;
+    this.maxModelsPerDay = maxModelsPerDay;
+    this.now = now;
+    this.days = new Map(); // day -> Map(key -> bucket)
+    this.seen = new Map(); // day -> {clients:Set, models:Set} counted against the caps
+    this.dirty = false;
+  }
+
+  /**
+   * Load buckets from disk; a corrupt file starts an empty ledger.
+   *
+   * @returns {{days:number}} Number of days loaded.
+   */
+  load() {
+    this.days.clear();
+    this.seen.clear();
+    if (existsSync(this.path)) {
+      try {
+        const parsed = JSON.parse(readFileSync(this.path, 'utf8'));
+        if (parsed?.version === USAGE_LEDGER_VERSION && parsed.days && typeof parsed.days === 'object') {
+          for (const [day, buckets] of Object.entries(parsed.days)) {
+            if (!DAY_PATTERN.test(day) || !Array.isArray(buckets)) continue;
+            const map = new Map();
+            for (const bucket of buckets) {
+              const entry = { clientId: bucket.clientId, client: bucket.client, clientSource: bucket.clientSource, model: bucket.model, backend: bucket.backend, ...emptyCounters() };
+              addCounters(entry, bucket);
+              map.set([entry.clientId, entry.model, entry.backend].join(KEY_SEPARATOR), entry);
+              this.#count(day, entry);
+            }
+            this.days.set(day, map);
+          }
+        }
+      } catch { /* corrupt ledger files start empty */ }
+    }
+    this.prune();
+    this.dirty = false;
+    return { days: this.days.size };
+  }
+
+  /** Atomically persist the ledger when it changed since the last write. */
+  persist() {
+    if (!this.dirty) return;
+    mkdirSync(dirname(this.path), { recursive: true });
+    const days = {};
+    for (const [day, buckets] of [...this.days].sort(([a], [b]) => a.localeCompare(b))) days[day] = [...buckets.values()];
+    writeFileSync(this.tempPath, `${JSON.stringify({ version: USAGE_LEDGER_VERSION, days })}\n`, { mode: 0o600 });
+    renameSync(this.tempPath, this.path);
+    try { chmodSync(this.path, 0o600); } catch { /* best effort */ }
+    this.dirty = false;
+  }
+
+  /** Drop day buckets older than the retention window. */
+  prune() {
+    const cutoff = utcDay(this.now() - this.retentionDays * DAY_MS);
+    for (const day of this.days.keys()) {
+      if (day < cutoff) {
+        this.days.delete(day);
+        this.seen.delete(day);
+        this.dirty = true;
+      }
+    }
+  }
+
+  #seenOn(day) {
+    let seen = this.seen.get(day);
+    if (!seen) {
+      seen = { clients: new Set(), models: new Set() };
+      this.seen.set(day, seen);
+    }
+    return seen;
+  }
+
+  #count(day, bucket) {
+    const seen = this.#seenOn(day);
+    if (bucket.clientId !== OTHER_BUCKET && !UNCAPPED_CLIENT_SOURCES.has(bucket.clientSource)) seen.clients.add(bucket.clientId);
+    if (bucket.model !== OTHER_BUCKET) seen.models.add(bucket.model);
+  }
+
+  /**
+   * Add usage to the bucket for today (or `at`).
+   *
+   * @param {Object} usage Usage increment.
+   * @param {{id:string,label:string,source?:string}} usage.client Accounting
+   *   identity. Past the day's cap, new X-Client-Id and User-Agent clients are
+   *   charged to `other`.
+   * @param {string} [usage.model] Resolved model; past the day's cap, new
+   *   models are charged to `other`.
+   * @param {string} [usage.backend] Backend id (`local` for this host).
+   * @param {number} [usage.requests] Requests served.
+   * @param {number} [usage.errors] Failed requests.
+   * @param {number} [usage.promptTokens] Prompt tokens.
+   * @param {number} [usage.completionTokens] Completion tokens.
+   * @param {number} [usage.gpuMs] Local-lane slot time in milliseconds.
+   * @param {number} [usage.costUsd] Remote spend.
+   * @param {number} [usage.at] Epoch milliseconds (defaults to now).
+   */
+  record({ client, model, backend, at, ...counters }) {
+    const day = utcDay(at ?? this.now());
+    let buckets = this.days.get(day);
+    if (!buckets) {
+      buckets = new Map();
+      this.days.set(day, buckets);
+      this.prune();
+    }
+    const seen = this.#seenOn(day);
+    let clientId = client?.id || 'anonymous';
+    let label = client?.label || clientId;
+    let clientSource = client?.source || (client ? undefined : 'anonymous');
+    if (!UNCAPPED_CLIENT_SOURCES.has(clientSource) && !seen.clients.has(clientId) && seen.clients.size >= this.maxClientsPerDay) {
+      clientId = OTHER_BUCKET;
+      label = OTHER_BUCKET;
+      clientSource = undefined;
+    }
+    let modelName = model || 'unknown';
+    if (!seen.models.has(modelName) && seen.models.size >= this.maxModelsPerDay) modelName = OTHER_BUCKET;
+    const key = [clientId, modelName, backend || 'local'].join(KEY_SEPARATOR);
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { clientId, client: label, clientSource, model: modelName, backend: backend || 'local', ...emptyCounters() };
+      buckets.set(key, bucket);
+      this.#count(day, bucket);
+    }
+    if (clientId !== OTHER_BUCKET && client?.label) bucket.client = client.label;
+    addCounters(bucket, counters);
+    this.dirty = true;
+  }
+
+  /**
+   * Roll buckets up into a report.
+   *
+   * @param {ReturnType<typeof normalizeUsageQuery>} query Normalized query.
+   * @returns {{from:string, to:string, period:string, groupBy:string[], rows:Array<Object>, totals:Object}}
+   *   Rows sorted by period then total tokens (descending). `client` filters
+   *   match the client id or label; `model` matches the model exactly.
+   */
+  report({ from, to, period, groupBy, client = null, model = null }) {
+    const rows = new Map();
+    const totals = emptyCounters();
+    for (const [day, buckets] of this.days) {
+      if (day < from || day > to) continue;
+      const periodKey = period === 'day' ? day : period === 'month' ? day.slice(0, 7) : `${from}..${to}`;
+      for (const bucket of buckets.values()) {
+        if (client && bucket.clientId !== client && bucket.client !== client) continue;
+        if (model && bucket.model !== model) continue;
+        const key = [periodKey, ...groupBy.map(field => (field === 'client' ? bucket.clientId : bucket[field]))].join(KEY_SEPARATOR);
+        let row = rows.get(key);
+        if (!row) {
+          row = { period: periodKey };
+          if (groupBy.includes('client')) {
+            row.clientId = bucket.clientId;
+            row.client = bucket.client;
+          }
+          if (groupBy.includes('model')) row.model = bucket.model;
+          if (groupBy.includes('backend')) row.backend = bucket.backend;
+          Object.assign(row, emptyCounters());
+          rows.set(key, row);
+        }
+        addCounters(row, bucket);
+        addCounters(totals, bucket);
+      }
+    }
+    const sorted = [...rows.values()]
+      .map(finishRow)
+      .sort((a, b) => a.period.localeCompare(b.period) || b.totalTokens - a.totalTokens);
+    return { from, to, period, groupBy, rows: sorted, totals: finishRow(totals) };
+  }
+}
+
+const CSV_COLUMNS = ['period', 'clientId', 'client', 'model', 'backend', 'requests', 'errors', 'errorRate', 'promptTokens', 'completionTokens', 'totalTokens', 'gpuSeconds', 'costUsd'];
+
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a report as CSV, one row per report row; grouping columns that
+ * were not requested are omitted.
+ *
+ * @param {ReturnType<UsageLedger['report']>} report Report.
+ * @returns {string} CSV text with a header line.
+ */
+export function usageReportToCsv(report) {
+  const columns = CSV_COLUMNS.filter(column => {
+    if (column === 'clientId' || column === 'client') return report.groupBy.includes('client');
+    if (column === 'model' || column === 'backend') return report.groupBy.includes(column);
+    return true;
+  });
+  const lines = [columns.join(',')];
+  for (const row of report.rows) lines.push(columns.map(column => csvCell(row[column])).join(','));
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,139 @@
+// Llama Manager — usage ledger tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies User-Agent fallback identities, query validation, day / month /
+// total roll-ups with grouping and filters, persistence with retention, the
+// per-day caps that fold overflow clients and models into `other`, and CSV
+// rendering.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  UsageLedger,
+  normalizeUsageQuery,
+  usageReportToCsv,
+  userAgentClient,
+} from './usage-ledger.js';
+
+const DAY = 86_400_000;
+const T0 = Date.parse('2026-09-30T12:00:00Z');
+const alice = { id: 'key_a', label: 'alice-laptop' };
+const ci = { id: 'client:ci', label: 'ci' };
+
+function seeded(path = '/unused/usage.json') {
+  const ledger = new UsageLedger({ path, now: () => T0 + 2 * DAY });
+  ledger.record({ client: alice, model: 'qwen', backend: 'local', requests: 1, promptTokens: 100, completionTokens: 50, gpuMs: 2500, at: T0 });
+  ledger.record({ client: alice, model: 'qwen', backend: 'local', requests: 1, errors: 1, at: T0 });
+  ledger.record({ client: alice, model: 'gpt-4o', backend: 'openai', requests: 1, promptTokens: 1000, completionTokens: 200, costUsd: 0.0045, at: T0 + DAY });
+  ledger.record({ client: ci, model: 'qwen', backend: 'local', requests: 3, promptTokens: 30, completionTokens: 30, gpuMs: 900, at: T0 + 2 * DAY });
+  return ledger;
+}
+
+test('user agents bill by product name; query defaults and validation', () => {
+  assert.deepEqual(userAgentClient('python-requests/2.31.0'), { id: 'ua:python-requests', label: 'python-requests', source: 'user_agent' });
+  assert.equal(userAgentClient('curl/8.5.0').label, 'curl');
+  assert.equal(userAgentClient(''), null);
+
+  const query = normalizeUsageQuery({}, T0);
+  assert.deepEqual(query, { from: '2026-09-01', to: '2026-09-30', period: 'day', groupBy: ['client', 'model'], client: null, model: null });
+  assert.throws(() => normalizeUsageQuery({ from: '2026-9-1' }), /YYYY-MM-DD/);
+  assert.throws(() => normalizeUsageQuery({ from: '2026-10-02', to: '2026-10-01' }), /after/);
+  assert.throws(() => normalizeUsageQuery({ period: 'week' }), /period/);
+  assert.throws(() => normalizeUsageQuery({ groupBy: 'client,host' }), /host/);
+});
+
+test('reports roll buckets up by period and group with derived metrics', () => {
+  const ledger = seeded();
+  const daily = ledger.report(normalizeUsageQuery({ from: '2026-09-30', to: '2026-10-02' }));
+  assert.deepEqual(daily.rows.map(row => [row.period, row.client, row.model, row.totalTokens]), [
+    ['2026-09-30', 'alice-laptop', 'qwen', 150],
+    ['2026-10-01', 'alice-laptop', 'gpt-4o', 1200],
+    ['2026-10-02', 'ci', 'qwen', 60],
+  ]);
+  assert.equal(daily.rows[0].errorRate, 0.5);
+  assert.equal(daily.rows[0].gpuSeconds, 2.5);
+  assert.equal(daily.totals.requests, 6);
+  assert.equal(daily.totals.costUsd, 0.0045);
+
+  const monthly = ledger.report(normalizeUsageQuery({ from: '2026-09-01', to: '2026-10-31', period: 'month', groupBy: 'client' }));
+  assert.deepEqual(monthly.rows.map(row => [row.period, row.clientId, row.requests]), [
+    ['2026-09', 'key_a', 2],
+    ['2026-10', 'key_a', 1],
+    ['2026-10', 'client:ci', 3],
+  ]);
+  assert.equal(monthly.rows[0].model, undefined);
+
+  const byModel = ledger.report(normalizeUsageQuery({ from: '2026-09-01', to: '2026-10-31', period: 'total', groupBy: 'model', client: 'alice-laptop' }));
+  assert.deepEqual(byModel.rows.map(row => [row.model, row.requests, row.costUsd]), [['gpt-4o', 1, 0.0045], ['qwen', 2, 0]]);
+});
+
+test('ledger persists across loads and prunes days beyond retention', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'usage-ledger-'));
+  try {
+    const path = join(dir, 'usage-ledger.json');
+    const ledger = seeded(path);
+    ledger.persist();
+    const reloaded = new UsageLedger({ path, now: () => T0 + 2 * DAY });
+    assert.deepEqual(reloaded.load(), { days: 3 });
+    const query = normalizeUsageQuery({ from: '2026-09-01', to: '2026-10-31', period: 'total', groupBy: '' });
+    assert.deepEqual(reloaded.report(query).totals, ledger.report(query).totals);
+
+    const short = new UsageLedger({ path, retentionDays: 1, now: () => T0 + 2 * DAY });
+    assert.deepEqual(short.load(), { days: 2 });
+
+    writeFileSync(path, 'not json');
+    assert.deepEqual(new UsageLedger({ path }).load(), { days: 0 });
+    assert.match(readFileSync(path, 'utf8'), /not json/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('distinct clients and models past the daily cap are charged to other', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'usage-ledger-'));
+  try {
+    const options = { path: join(dir, 'usage-ledger.json'), maxClientsPerDay: 2, maxModelsPerDay: 2, now: () => T0 };
+    const ledger = new UsageLedger(options);
+    for (const name of ['a', 'b', 'c', 'd']) {
+      ledger.record({ client: { id: `client:${name}`, label: name, source: 'client_id' }, model: `m-${name}`, requests: 1 });
+    }
+    ledger.record({ client: { id: 'key_a', label: 'alice-laptop', source: 'api_key' }, model: 'm-a', requests: 1 });
+    ledger.record({ client: { id: 'client:a', label: 'a', source: 'client_id' }, model: 'm-b', requests: 1 });
+    const query = normalizeUsageQuery({ from: '2026-09-30', to: '2026-09-30', groupBy: 'client,model' }, T0);
+    const rows = rows => rows.map(row => `${row.clientId} ${row.model} ${row.requests}`);
+    const expected = ['client:a m-a 1', 'client:b m-b 1', 'other other 2', 'key_a m-a 1', 'client:a m-b 1'];
+    assert.deepEqual(rows(ledger.report(query).rows).sort(), [...expected].sort());
+
+    // The caps survive a reload: a new client is still folded, a known one is not.
+    ledger.persist();
+    const reloaded = new UsageLedger(options);
+    reloaded.load();
+    reloaded.record({ client: { id: 'client:e', label: 'e', source: 'client_id' }, model: 'm-e', requests: 1 });
+    reloaded.record({ client: { id: 'client:b', label: 'b', source: 'client_id' }, model: 'm-a', requests: 1 });
+    const after = rows(reloaded.report(query).rows);
+    assert.ok(after.includes('other other 3'));
+    assert.ok(after.includes('client:b m-a 1'));
+
+    // Each day has its own allowance.
+    reloaded.record({ client: { id: 'client:e', label: 'e', source: 'client_id' }, model: 'm-e', requests: 1, at: T0 + DAY });
+    const nextDay = normalizeUsageQuery({ from: '2026-10-01', to: '2026-10-01', groupBy: 'client,model' }, T0 + DAY);
+    assert.deepEqual(rows(reloaded.report(nextDay).rows), ['client:e m-e 1']);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('CSV export includes only the requested grouping columns and escapes cells', () => {
+  const ledger = seeded();
+  ledger.record({ client: { id: 'client:x', label: 'team "blue", west' }, model: 'qwen', requests: 1, at: T0 });
+  const csv = usageReportToCsv(ledger.report(normalizeUsageQuery({ from: '2026-09-30', to: '2026-09-30', groupBy: 'client' })));
+  const [header, ...rows] = csv.trim().split('\n');
+  assert.equal(header, 'period,clientId,client,requests,errors,errorRate,promptTokens,completionTokens,totalTokens,gpuSeconds,costUsd');
+  assert.equal(rows[0], '2026-09-30,key_a,alice-laptop,2,1,0.5,100,50,150,2.5,0');
+  assert.equal(rows[1], '2026-09-30,client:x,"team ""blue"", west",1,0,0,0,0,0,0,0');
+});
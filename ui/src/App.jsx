@@ -13,6 +13,7 @@ import { Sidebar } from './components/Sidebar.jsx';
 import { StatsHeader } from './components/StatsHeader.jsx';
 import { QueryPanel } from './components/QueryPanel.jsx';
 import Dashboard from './pages/Dashboard.jsx';
+import FleetPage from './pages/Fleet.jsx';
 import ChatPage from './pages/Chat.jsx';
 import PresetsPage from './pages/Presets.jsx';
 import ModelsPage from './pages/Models.jsx';
@@ -20,6 +21,7 @@ import DownloadPage from './pages/Download.jsx';
 import LogsPage from './pages/Logs.jsx';
 import QueuePage from './pages/Queue.jsx';
 import ProcessesPage from './pages/Processes.jsx';
+import AlertsPage from './pages/Alerts.jsx';
 import SettingsPage from './pages/Settings.jsx';
 import DocsPage from './pages/Docs.jsx';
 import ApiDocsPage from './pages/ApiDocs.jsx';
@@ -57,6 +59,7 @@ function AppLayout() {
         <StatsHeader stats={stats} />
         <Routes>
           <Route path="/" element={<Dashboard stats={stats} activeRequest={activeRequest} />} />
+          <Route path="/fleet" element={<FleetPage />} />
           <Route path="/chat" element={<ChatPage stats={stats} />} />
           <Route path="/presets" element={<PresetsPage stats={stats} />} />
           <Route path="/models" element={<ModelsPage stats={stats} />} />
@@ -65,6 +68,7 @@ function AppLayout() {
           <Route path="/logs/:tab" element={<LogsPage logs={logs} clearLogs={clearLogs} requestLogs={requestLogs} clearRequestLogs={clearRequestLogs} llmLogs={llmLogs} clearLlmLogs={clearLlmLogs} />} />
           <Route path="/queue" element={<QueuePage stats={stats} activeRequestsMap={activeRequestsMap} />} />
           <Route path="/processes" element={<ProcessesPage />} />
+          <Route path="/alerts" element={<AlertsPage />} />
           <Route path="/settings" element={<SettingsPage />} />
           <Route path="/docs" element={<DocsPage />} />
           <Route path="/api-docs" element={<ApiDocsPage />} />
@@ -0,0 +1,64 @@
+// Llama Manager weighted alias split utilities.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Promote and roll back a canary in a weighted alias group, and format the
+// per-target stats from GET /api/aliases for the Model Mapping tab.
+
+/**
+ * Weights that send all of the group's traffic to one target.
+ *
+ * @param {Array<{weight:number}>} targets Targets in authored order.
+ * @param {number} index Target to promote.
+ * @returns {number[]} New weights, one per target.
+ */
+export function promoteWeights(targets, index) {
+  return targets.map((_, i) => (i === index ? 100 : 0));
+}
+
+/**
+ * Weights that take one target out of the split. Its weight is handed to the
+ * other weighted targets in proportion to theirs, or to the first other
+ * target when none of them has any, so the group total is unchanged.
+ *
+ * @param {Array<{weight:number}>} targets Targets in authored order.
+ * @param {number} index Target to roll back.
+ * @returns {number[]|null} New weights, or null when there is no other target to take its share.
+ */
+export function rollbackWeights(targets, index) {
+  if (targets.length < 2) return null;
+  const freed = targets[index].weight || 0;
+  const others = targets.reduce((sum, t, i) => (i === index ? sum : sum + (t.weight || 0)), 0);
+  const fallback = index === 0 ? 1 : 0;
+  return targets.map((t, i) => {
+    if (i === index) return 0;
+    const weight = t.weight || 0;
+    if (others > 0) return Math.round((weight + (freed * weight) / others) * 100) / 100;
+    return i === fallback ? freed : weight;
+  });
+}
+
+/**
+ * A target's share of the group as a percentage label.
+ *
+ * @param {number|null|undefined} share 0-1 share from the server.
+ * @returns {string} e.g. `90%`, or `—` outside a weighted split.
+ */
+export function shareLabel(share) {
+  return typeof share === 'number' ? `${Math.round(share * 1000) / 10}%` : '—';
+}
+
+/**
+ * A target's outcomes as one line.
+ *
+ * @param {{assigned:number, errors:number, successRate:(number|null), meanLatencyMs:(number|null)}|null} stats
+ *   Per-target stats from the server.
+ * @returns {string} e.g. `120 requests · 99.2% ok · 1840ms`, or `—` before any traffic.
+ */
+export function splitStatsLabel(stats) {
+  if (!stats?.assigned) return '—';
+  const parts = [`${stats.assigned} request${stats.assigned === 1 ? '' : 's'}`];
+  if (stats.successRate !== null) parts.push(`${Math.round(stats.successRate * 1000) / 10}% ok`);
+  if (stats.meanLatencyMs !== null) parts.push(`${stats.meanLatencyMs}ms`);
+  return parts.join(' · ');
+}
@@ -0,0 +1,27 @@
+// Llama Manager — weighted alias split utility tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies promote and rollback weights and the per-target labels.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { promoteWeights, rollbackWeights, shareLabel, splitStatsLabel } from './alias-split.js';
+
+test('promote sends everything to one target and rollback hands its share back', () => {
+  const split = [{ weight: 90 }, { weight: 10 }];
+  assert.deepEqual(promoteWeights(split, 1), [0, 100]);
+  assert.deepEqual(rollbackWeights(split, 1), [100, 0]);
+  assert.deepEqual(rollbackWeights([{ weight: 60 }, { weight: 10 }, { weight: 30 }], 1), [66.67, 0, 33.33]);
+  assert.deepEqual(rollbackWeights([{ weight: 100 }, { weight: 0 }, { weight: 0 }], 0), [0, 100, 0]);
+  assert.equal(rollbackWeights([{ weight: 100 }], 0), null);
+});
+
+test('labels format shares and outcomes', () => {
+  assert.equal(shareLabel(0.9), '90%');
+  assert.equal(shareLabel(0.333), '33.3%');
+  assert.equal(shareLabel(null), '—');
+  assert.equal(splitStatsLabel({ assigned: 120, errors: 1, successRate: 0.992, meanLatencyMs: 1840 }), '120 requests · 99.2% ok · 1840ms');
+  assert.equal(splitStatsLabel({ assigned: 1, errors: 0, successRate: null, meanLatencyMs: null }), '1 request');
+  assert.equal(splitStatsLabel(null), '—');
+});
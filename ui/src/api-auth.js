@@ -0,0 +1,100 @@
+// Llama Manager — browser-side client API key attachment.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// When the manager enforces client API keys, the dashboard authenticates with
+// a key the operator pastes into Settings. The key lives in localStorage and is
+// attached to same-origin /api and /v1 requests and the /ws stream only, so it
+// is never sent to third-party URLs the UI happens to fetch.
+
+export const API_KEY_STORAGE_KEY = 'llamaManagerApiKey';
+
+/**
+ * Read the dashboard's stored API key.
+ *
+ * @param {Storage|undefined} [storage] Key/value store (defaults to localStorage).
+ * @returns {string} The stored key, or '' when none is set.
+ */
+export function getStoredApiKey(storage = globalThis.localStorage) {
+  try {
+    return storage?.getItem(API_KEY_STORAGE_KEY) || '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Store or clear the dashboard's API key.
+ *
+ * @param {string} key Raw key; blank clears it.
+ * @param {Storage|undefined} [storage] Key/value store (defaults to localStorage).
+ */
+export function setStoredApiKey(key, storage = globalThis.localStorage) {
+  const value = String(key || '').trim();
+  if (value) storage?.setItem(API_KEY_STORAGE_KEY, value);
+  else storage?.removeItem(API_KEY_STORAGE_KEY);
+}
+
+/**
+ * Whether a request URL targets this manager's authenticated surface.
+ *
+ * @param {string} url Absolute or relative request URL.
+ * @param {string} origin Dashboard origin, e.g. `window.location.origin`.
+ * @returns {boolean} True for same-origin /api and /v1 paths.
+ */
+export function isManagerApiUrl(url, origin) {
+  let parsed;
+  try {
+    parsed = new URL(url, origin);
+  } catch {
+    return false;
+  }
+  if (parsed.origin !== origin) return false;
+  return parsed.pathname.startsWith('/api/') || parsed.pathname.startsWith('/v1/');
+}
+
+/**
+ * Return fetch init options carrying the API key for manager API requests.
+ * Requests that already set Authorization are left untouched.
+ *
+ * @param {string} url Request URL.
+ * @param {RequestInit} [init] Caller's fetch options.
+ * @param {{key:string, origin:string}} context Stored key and dashboard origin.
+ * @returns {RequestInit} The original or an augmented init object.
+ */
+export function withApiKey(url, init = {}, { key, origin }) {
+  if (!key || !isManagerApiUrl(url, origin)) return init;
+  const headers = new Headers(init.headers || {});
+  if (headers.has('Authorization')) return init;
+  headers.set('Authorization', `Bearer ${key}`);
+  return { ...init, headers };
+}
+
+/**
+ * Append the stored key to the stats/log WebSocket URL, since browsers cannot
+ * set headers on WebSocket upgrades.
+ *
+ * @param {string} wsUrl WebSocket URL.
+ * @param {string} key Stored key ('' leaves the URL unchanged).
+ * @returns {string} URL with an `api_key` query parameter when a key is set.
+ */
+export function withWebSocketApiKey(wsUrl, key) {
+  if (!key) return wsUrl;
+  const url = new URL(wsUrl);
+  url.searchParams.set('api_key', key);
+  return url.toString();
+}
+
+/**
+ * Wrap `window.fetch` so every manager API request carries the stored key.
+ *
+ * @param {Window} win Browser window whose fetch is wrapped in place.
+ */
+export function installApiKeyFetch(win) {
+  const nativeFetch = win.fetch.bind(win);
+  win.fetch = (input, init) => {
+    // Request objects carry their own headers, which an init object would replace.
+    if (typeof input !== 'string' && !(input instanceof URL)) return nativeFetch(input, init);
+    return nativeFetch(input, withApiKey(String(input), init, { key: getStoredApiKey(win.localStorage), origin: win.location.origin }));
+  };
+}
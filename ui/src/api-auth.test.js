@@ -0,0 +1,60 @@
+// Llama Manager — dashboard API key attachment tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies the stored key reaches only same-origin manager API requests and the
+// stats WebSocket, and never overrides an explicit Authorization header.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getStoredApiKey,
+  isManagerApiUrl,
+  setStoredApiKey,
+  withApiKey,
+  withWebSocketApiKey,
+} from './api-auth.js';
+
+const origin = 'http://manager.local:5250';
+
+function memoryStorage() {
+  const values = new Map();
+  return {
+    getItem: key => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, value),
+    removeItem: key => values.delete(key),
+  };
+}
+
+test('the key is attached only to same-origin manager API paths', () => {
+  assert.equal(isManagerApiUrl('/api/stats', origin), true);
+  assert.equal(isManagerApiUrl('/v1/models', origin), true);
+  assert.equal(isManagerApiUrl('/assets/app.js', origin), false);
+  assert.equal(isManagerApiUrl('https://huggingface.co/api/models', origin), false);
+
+  const init = withApiKey('/api/stats', { method: 'GET' }, { key: 'lmk_abc', origin });
+  assert.equal(init.headers.get('Authorization'), 'Bearer lmk_abc');
+  assert.equal(init.method, 'GET');
+  const external = { method: 'GET' };
+  assert.equal(withApiKey('https://example.com/api/x', external, { key: 'lmk_abc', origin }), external);
+});
+
+test('explicit authorization and a missing key leave requests unchanged', () => {
+  const explicit = { headers: { Authorization: 'Bearer other' } };
+  assert.equal(withApiKey('/api/stats', explicit, { key: 'lmk_abc', origin }), explicit);
+  const plain = {};
+  assert.equal(withApiKey('/api/stats', plain, { key: '', origin }), plain);
+});
+
+test('websocket URLs carry the key as a query parameter', () => {
+  assert.equal(withWebSocketApiKey('ws://manager.local:5250/ws', 'lmk_abc'), 'ws://manager.local:5250/ws?api_key=lmk_abc');
+  assert.equal(withWebSocketApiKey('ws://manager.local:5250/ws', ''), 'ws://manager.local:5250/ws');
+});
+
+test('stored keys are trimmed and blank values clear storage', () => {
+  const storage = memoryStorage();
+  setStoredApiKey('  lmk_abc ', storage);
+  assert.equal(getStoredApiKey(storage), 'lmk_abc');
+  setStoredApiKey('', storage);
+  assert.equal(getStoredApiKey(storage), '');
+});
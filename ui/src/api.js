@@ -6,6 +6,7 @@
 // formatting and clipboard helpers shared by UI pages and components.
 
 import { useState, useEffect, useCallback, useRef } from 'react';
+import { getStoredApiKey, withWebSocketApiKey } from './api-auth.js';
 
 const API_BASE = '/api';
 
@@ -115,7 +116,7 @@ function useWebSocket() {
 
   const connect = useCallback(() => {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${protocol}//${window.location.host}/ws`;
+    const wsUrl = withWebSocketApiKey(`${protocol}//${window.location.host}/ws`, getStoredApiKey());
 
     try {
       wsRef.current = new WebSocket(wsUrl);
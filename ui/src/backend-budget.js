@@ -0,0 +1,56 @@
+// Llama Manager backend budget utilities.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Formats GET /api/backends/budget entries for the Remote Hosts panel: the
+// budget badge on a backend card and the spend-versus-limit figures.
+
+const BUDGET_BADGES = {
+  warning: { bg: 'var(--warning-bg, #3a2a1a)', color: 'var(--warning, #fbbf24)', text: 'Budget warning' },
+  exceeded: { bg: 'var(--error-bg, #3a1a1a)', color: 'var(--error, #f87171)', text: 'Over budget' },
+};
+
+/**
+ * Badge for a budget state; backends within budget get none.
+ *
+ * @param {string|undefined} state ok | warning | exceeded.
+ * @returns {{bg:string, color:string, text:string}|null} Badge colours and label.
+ */
+export function budgetBadge(state) {
+  return BUDGET_BADGES[state] || null;
+}
+
+/**
+ * USD with cents, or four decimals below a dollar so small spend is visible.
+ *
+ * @param {number|null|undefined} usd Amount.
+ * @returns {string} e.g. `$12.50`, `$0.0042`.
+ */
+export function formatUsd(usd) {
+  const value = Number(usd) || 0;
+  return `$${value >= 1 || value === 0 ? value.toFixed(2) : value.toFixed(4)}`;
+}
+
+/**
+ * Spend for one period against its limit, if one applies.
+ *
+ * @param {number} spentUsd Spend so far this period.
+ * @param {{limitUsd:number, percent:number}|undefined} limit Configured limit.
+ * @returns {string} e.g. `$3.20 / $5.00 (64%)`, or just the spend when unlimited.
+ */
+export function spendLabel(spentUsd, limit) {
+  if (!limit) return formatUsd(spentUsd);
+  return `${formatUsd(spentUsd)} / ${formatUsd(limit.limitUsd)} (${limit.percent}%)`;
+}
+
+/**
+ * The limit for a scope and period from an evaluated budget.
+ *
+ * @param {{limits?:Array<{scope:string, period:string}>}|null|undefined} status Budget status.
+ * @param {'backend'|'global'} scope Limit scope.
+ * @param {'day'|'month'} period Limit period.
+ * @returns {Object|undefined} The matching limit.
+ */
+export function findLimit(status, scope, period) {
+  return status?.limits?.find(limit => limit.scope === scope && limit.period === period);
+}
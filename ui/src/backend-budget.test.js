@@ -0,0 +1,30 @@
+// Llama Manager — backend budget utility tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies budget badges, USD formatting and the spend-versus-limit labels
+// shown on backend cards.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { budgetBadge, findLimit, formatUsd, spendLabel } from './backend-budget.js';
+
+test('only warning and exceeded budgets get a badge', () => {
+  assert.equal(budgetBadge('ok'), null);
+  assert.equal(budgetBadge(undefined), null);
+  assert.equal(budgetBadge('warning').text, 'Budget warning');
+  assert.equal(budgetBadge('exceeded').text, 'Over budget');
+});
+
+test('spend reads against its limit when one is set', () => {
+  assert.equal(formatUsd(0), '$0.00');
+  assert.equal(formatUsd(0.00421), '$0.0042');
+  assert.equal(formatUsd(12.5), '$12.50');
+  assert.equal(spendLabel(0.5, undefined), '$0.5000');
+  assert.equal(spendLabel(3.2, { limitUsd: 5, percent: 64 }), '$3.20 / $5.00 (64%)');
+
+  const status = { limits: [{ scope: 'global', period: 'month', limitUsd: 100 }, { scope: 'backend', period: 'day', limitUsd: 5 }] };
+  assert.equal(findLimit(status, 'backend', 'day').limitUsd, 5);
+  assert.equal(findLimit(status, 'backend', 'month'), undefined);
+  assert.equal(findLimit(null, 'global', 'day'), undefined);
+});
@@ -0,0 +1,59 @@
+// Llama Manager backend health utilities.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Formats GET /api/backends/health entries for the Remote Hosts backend
+// cards: the circuit badge, the last probe and rolling latency figures.
+
+const CIRCUIT_BADGES = {
+  open: { bg: 'var(--error-bg, #3a1a1a)', color: 'var(--error, #f87171)', text: 'Circuit open' },
+  half_open: { bg: 'var(--warning-bg, #3a2a1a)', color: 'var(--warning, #fbbf24)', text: 'Half-open' },
+};
+
+/**
+ * Badge for a circuit state; closed circuits get none.
+ *
+ * @param {string|undefined} state closed | open | half_open.
+ * @returns {{bg:string, color:string, text:string}|null} Badge colours and label.
+ */
+export function circuitBadge(state) {
+  return CIRCUIT_BADGES[state] || null;
+}
+
+/**
+ * Milliseconds as `850ms` or `2.4s`; `-` without a value.
+ *
+ * @param {number|null|undefined} ms Duration.
+ * @returns {string} Compact duration.
+ */
+export function formatMs(ms) {
+  if (ms == null) return '-';
+  return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * One-line latency summary.
+ *
+ * @param {{p50Ms?:number, p95Ms?:number, ttftP50Ms?:number}|null|undefined} summary Latency summary.
+ * @returns {string} e.g. `p50 850ms · p95 2.4s · TTFT 310ms`, or `no samples`.
+ */
+export function latencyLabel(summary) {
+  if (!summary?.samples) return 'no samples';
+  const parts = [`p50 ${formatMs(summary.p50Ms)}`, `p95 ${formatMs(summary.p95Ms)}`];
+  if (summary.ttftP50Ms != null) parts.push(`TTFT ${formatMs(summary.ttftP50Ms)}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Last probe as shown on a backend card.
+ *
+ * @param {{ok:boolean, latencyMs:number, error?:string, at:number}|null|undefined} probe Last probe.
+ * @param {number} [now] Epoch milliseconds.
+ * @returns {string} e.g. `ok in 120ms, 12s ago`, `failed: timed out, 3m ago`, or `never`.
+ */
+export function probeLabel(probe, now = Date.now()) {
+  if (!probe) return 'never';
+  const seconds = Math.max(0, Math.round((now - probe.at) / 1000));
+  const ago = seconds < 60 ? `${seconds}s ago` : seconds < 3600 ? `${Math.round(seconds / 60)}m ago` : `${Math.round(seconds / 3600)}h ago`;
+  return probe.ok ? `ok in ${formatMs(probe.latencyMs)}, ${ago}` : `failed: ${probe.error || 'unknown error'}, ${ago}`;
+}
@@ -0,0 +1,33 @@
+// Llama Manager — backend health utility tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies circuit badges, duration formatting and the latency / probe labels
+// shown on backend cards.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { circuitBadge, formatMs, latencyLabel, probeLabel } from './backend-health.js';
+
+test('only non-closed circuits get a badge', () => {
+  assert.equal(circuitBadge('closed'), null);
+  assert.equal(circuitBadge(undefined), null);
+  assert.equal(circuitBadge('open').text, 'Circuit open');
+  assert.equal(circuitBadge('half_open').text, 'Half-open');
+});
+
+test('latency summaries read as p50 / p95 / TTFT', () => {
+  assert.equal(formatMs(null), '-');
+  assert.equal(formatMs(849.6), '850ms');
+  assert.equal(formatMs(2400), '2.4s');
+  assert.equal(latencyLabel({ samples: 0 }), 'no samples');
+  assert.equal(latencyLabel({ samples: 4, p50Ms: 850, p95Ms: 2400, ttftP50Ms: 310 }), 'p50 850ms · p95 2.4s · TTFT 310ms');
+  assert.equal(latencyLabel({ samples: 1, p50Ms: 40, p95Ms: 40, ttftP50Ms: null }), 'p50 40ms · p95 40ms');
+});
+
+test('probe label shows outcome and age', () => {
+  const now = 1_000_000;
+  assert.equal(probeLabel(null, now), 'never');
+  assert.equal(probeLabel({ ok: true, latencyMs: 120, at: now - 12_000 }, now), 'ok in 120ms, 12s ago');
+  assert.equal(probeLabel({ ok: false, error: 'timed out after 10000ms', at: now - 180_000 }, now), 'failed: timed out after 10000ms, 3m ago');
+});
@@ -0,0 +1,59 @@
+// Llama Manager backend transform utilities.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Converts a backend's `transforms` entry to and from the text fields of the
+// backend editor: dropped fields as a list, renames as `from=to` lines and
+// defaults as a JSON object.
+
+/**
+ * Editor fields for a backend's transforms.
+ *
+ * @param {{request?:Object, response?:Object}|null|undefined} transforms Saved transforms.
+ * @returns {{drop:string, rename:string, defaults:string, maxTokens:string,
+ *   stripThinking:boolean, stripReasoning:boolean}} Form values.
+ */
+export function transformsToForm(transforms) {
+  const request = transforms?.request || {};
+  return {
+    drop: (request.drop || []).join(', '),
+    rename: Object.entries(request.rename || {}).map(([from, to]) => `${from}=${to}`).join('\n'),
+    defaults: request.defaults ? JSON.stringify(request.defaults, null, 2) : '',
+    maxTokens: request.maxTokens ? String(request.maxTokens) : '',
+    stripThinking: request.stripThinking === true,
+    stripReasoning: transforms?.response?.stripReasoning === true,
+  };
+}
+
+/**
+ * Backend `transforms` from the editor fields. The server validates field
+ * names; this only parses the text.
+ *
+ * @param {ReturnType<typeof transformsToForm>} form Form values.
+ * @returns {{request?:Object, response?:Object}|null} Transforms, or null when nothing is set.
+ * @throws {Error} On a rename line without `=` or defaults that are not a JSON object.
+ */
+export function formToTransforms(form) {
+  const request = {};
+  const drop = String(form.drop || '').split(/[\n,]/).map(s => s.trim()).filter(Boolean);
+  if (drop.length) request.drop = [...new Set(drop)];
+  const rename = {};
+  for (const line of String(form.rename || '').split('\n').map(s => s.trim()).filter(Boolean)) {
+    const [from, to, extra] = line.split(/\s*(?:=|→|->)\s*/);
+    if (!from || !to || extra !== undefined) throw new Error(`Rename "${line}" must look like from=to`);
+    rename[from] = to;
+  }
+  if (Object.keys(rename).length) request.rename = rename;
+  if (String(form.defaults || '').trim()) {
+    let defaults;
+    try { defaults = JSON.parse(form.defaults); } catch { defaults = null; }
+    if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) throw new Error('Defaults must be a JSON object');
+    if (Object.keys(defaults).length) request.defaults = defaults;
+  }
+  if (String(form.maxTokens || '').trim()) request.maxTokens = Number(form.maxTokens);
+  if (form.stripThinking) request.stripThinking = true;
+  const transforms = {};
+  if (Object.keys(request).length) transforms.request = request;
+  if (form.stripReasoning) transforms.response = { stripReasoning: true };
+  return Object.keys(transforms).length ? transforms : null;
+}
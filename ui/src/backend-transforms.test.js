@@ -0,0 +1,28 @@
+// Llama Manager — backend transform utility tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies the editor fields round-trip and reject malformed text.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { formToTransforms, transformsToForm } from './backend-transforms.js';
+
+test('transforms round-trip through the editor fields', () => {
+  const transforms = {
+    request: { drop: ['reasoning_effort', 'top_k'], rename: { max_tokens: 'max_completion_tokens' }, defaults: { temperature: 0.2 }, maxTokens: 4096, stripThinking: true },
+    response: { stripReasoning: true },
+  };
+  const form = transformsToForm(transforms);
+  assert.equal(form.drop, 'reasoning_effort, top_k');
+  assert.equal(form.rename, 'max_tokens=max_completion_tokens');
+  assert.deepEqual(formToTransforms(form), transforms);
+  assert.equal(formToTransforms(transformsToForm(null)), null);
+});
+
+test('rename accepts arrows and malformed text is rejected', () => {
+  assert.deepEqual(formToTransforms({ rename: 'a -> b\n c → d ' }), { request: { rename: { a: 'b', c: 'd' } } });
+  assert.throws(() => formToTransforms({ rename: 'max_tokens' }), /from=to/);
+  assert.throws(() => formToTransforms({ defaults: '[1]' }), /JSON object/);
+  assert.throws(() => formToTransforms({ defaults: '{bad' }), /JSON object/);
+});
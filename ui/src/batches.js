@@ -0,0 +1,61 @@
+// Llama Manager batch utilities.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Progress, schedule state and window editing for the Batches panel on the
+// Queue page (GET /api/batches, PUT /api/batches/settings).
+
+const GATE_REASONS = {
+  outside_window: 'outside the batch windows',
+  thermal: 'waiting for the GPU to cool',
+};
+
+/**
+ * How far a batch has got.
+ *
+ * @param {{request_counts:{total:number, completed:number, failed:number}}} batch Batch object.
+ * @returns {{done:number, total:number, percent:number}} Finished requests
+ *   (completed or failed), the total and a whole percentage.
+ */
+export function batchProgress(batch) {
+  const { total = 0, completed = 0, failed = 0 } = batch.request_counts || {};
+  const done = completed + failed;
+  return { done, total, percent: total ? Math.floor((done / total) * 100) : 0 };
+}
+
+/**
+ * Whether batch work is dispatching, and why not.
+ *
+ * @param {{open:boolean, reason:(string|null)}|null} gate From GET /api/batches.
+ * @returns {string} e.g. `Running` or `Paused: outside the batch windows`.
+ */
+export function batchGateLabel(gate) {
+  if (!gate) return '';
+  if (gate.open) return 'Running';
+  return `Paused: ${GATE_REASONS[gate.reason] || gate.reason}`;
+}
+
+/**
+ * Windows as editable text.
+ *
+ * @param {Array<{start:string, end:string}>} windows Schedule windows.
+ * @returns {string} e.g. `22:00-06:00, 12:00-13:00`; empty for always open.
+ */
+export function windowsToText(windows) {
+  return (windows || []).map(w => `${w.start}-${w.end}`).join(', ');
+}
+
+/**
+ * Parse the windows field. The server validates the times themselves.
+ *
+ * @param {string} text Comma-separated `HH:MM-HH:MM` ranges.
+ * @returns {Array<{start:string, end:string}>} Windows in the settings shape.
+ * @throws {Error} When a range is not written as start-end.
+ */
+export function textToWindows(text) {
+  return String(text || '').split(',').map(s => s.trim()).filter(Boolean).map((range) => {
+    const [start, end, extra] = range.split('-').map(s => s.trim());
+    if (!start || !end || extra !== undefined) throw new Error(`"${range}" is not a start-end range`);
+    return { start, end };
+  });
+}
@@ -0,0 +1,28 @@
+// Llama Manager — batch utility tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies batch progress, the schedule state label and window editing.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { batchGateLabel, batchProgress, textToWindows, windowsToText } from './batches.js';
+
+test('progress counts failed requests as finished', () => {
+  assert.deepEqual(batchProgress({ request_counts: { total: 3, completed: 1, failed: 1 } }), { done: 2, total: 3, percent: 66 });
+  assert.deepEqual(batchProgress({ request_counts: { total: 0, completed: 0, failed: 0 } }), { done: 0, total: 0, percent: 0 });
+});
+
+test('the gate label explains a pause', () => {
+  assert.equal(batchGateLabel({ open: true, reason: null }), 'Running');
+  assert.equal(batchGateLabel({ open: false, reason: 'thermal' }), 'Paused: waiting for the GPU to cool');
+  assert.equal(batchGateLabel(null), '');
+});
+
+test('windows round-trip through the text field', () => {
+  const windows = [{ start: '22:00', end: '06:00' }, { start: '12:00', end: '13:00' }];
+  assert.equal(windowsToText(windows), '22:00-06:00, 12:00-13:00');
+  assert.deepEqual(textToWindows(' 22:00 - 06:00 ,12:00-13:00, '), windows);
+  assert.deepEqual(textToWindows(''), []);
+  assert.throws(() => textToWindows('22:00'), /start-end/);
+});
@@ -0,0 +1,101 @@
+// Llama Manager — audit log table.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Lists administrative audit entries from GET /api/audit: who made each
+// change, the route, the result, and an expandable before/after diff of the
+// config paths it touched plus the (redacted) request body.
+
+import React, { useState } from 'react';
+
+function formatValue(value) {
+  if (value === undefined) return '—';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function actorTitle(actor) {
+  if (!actor) return '';
+  return [
+    actor.keyLabel && `key ${actor.keyLabel}${actor.keyId ? ` (${actor.keyId})` : ''}`,
+    actor.client && !actor.keyLabel && `client ${actor.client}`,
+    actor.internal && 'internal request',
+    actor.ip && `from ${actor.ip}`,
+    actor.userAgent,
+  ].filter(Boolean).join(' · ');
+}
+
+function AuditLogTable({ logs, formatTime, getStatusClass, header }) {
+  const [expanded, setExpanded] = useState(new Set());
+  const toggle = (id) => setExpanded(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  return (
+    <div className="request-logs-table audit-logs-table">
+      {header}
+      <table>
+        <thead>
+          <tr>
+            <th>Time</th>
+            <th>Who</th>
+            <th>Action</th>
+            <th>Status</th>
+            <th>Changes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {logs.map(log => {
+            const isExpanded = expanded.has(log.id);
+            const changeCount = log.changes.length + (log.changesTruncated || 0);
+            return (
+              <React.Fragment key={log.id}>
+                <tr className={`${getStatusClass(log.status)} clickable`} onClick={() => toggle(log.id)}>
+                  <td className="log-time">
+                    <span className="request-expand">{isExpanded ? '▼' : '▶'}</span>
+                    {formatTime(log.timestamp)}
+                  </td>
+                  <td className="audit-actor" title={actorTitle(log.actor)}>{log.client}</td>
+                  <td className="request-path" title={log.path}>{log.endpoint}</td>
+                  <td className={`request-status ${getStatusClass(log.status)}`}>{log.status}</td>
+                  <td className="audit-change-count">{changeCount ? `${changeCount} config ${changeCount === 1 ? 'change' : 'changes'}` : '-'}</td>
+                </tr>
+                {isExpanded && (
+                  <tr className="request-error-row">
+                    <td colSpan="5">
+                      <div className="audit-detail">
+                        <div className="audit-actor-detail">{actorTitle(log.actor) || 'unknown caller'} · {log.durationMs}ms</div>
+                        {log.error && <div className="request-error-content">{log.error}</div>}
+                        {log.changes.length > 0 && (
+                          <table className="audit-diff">
+                            <tbody>
+                              {log.changes.map(change => (
+                                <tr key={change.path}>
+                                  <td className="audit-diff-path">{change.path}</td>
+                                  <td className="audit-diff-before">{formatValue(change.before)}</td>
+                                  <td className="audit-diff-arrow">{'→'}</td>
+                                  <td className="audit-diff-after">{formatValue(change.after)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        )}
+                        {log.changesTruncated > 0 && <div className="hint">…and {log.changesTruncated} more</div>}
+                        {log.body && (
+                          <pre className="llm-log-request-body">{JSON.stringify(log.body, null, 2)}</pre>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export { AuditLogTable };
@@ -0,0 +1,132 @@
+// Llama Manager — per-client usage panel.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Dashboard chargeback view over GET /api/analytics/usage: tokens, local
+// GPU time, remote spend and error rate per client (optionally per model) for
+// a chosen range, with a CSV download of the same rows.
+
+import React, { useCallback, useState } from 'react';
+import { API_BASE } from '../api.js';
+import { useVisiblePolling } from '../hooks/useVisiblePolling.js';
+import { USAGE_RANGES, formatGpuTime, formatUsd, usageQuery } from '../usage-report.js';
+
+function ClientUsagePanel() {
+  const [range, setRange] = useState('30d');
+  const [byModel, setByModel] = useState(false);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const groupBy = byModel ? 'client,model' : 'client';
+
+  const fetchUsage = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/analytics/usage?${usageQuery({ range, groupBy })}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setReport(data);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [range, groupBy]);
+
+  useVisiblePolling(fetchUsage, 60000, { refreshKey: `${range}:${groupBy}` });
+
+  // Fetched rather than linked so the stored API key rides along.
+  const downloadCsv = async () => {
+    try {
+      const query = usageQuery({ range, groupBy, format: 'csv' });
+      const res = await fetch(`${API_BASE}/analytics/usage?${query}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `usage-${report?.from || range}-${report?.to || ''}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(`CSV export failed: ${err.message}`);
+    }
+  };
+
+  const rows = report?.rows || [];
+  const columns = byModel ? 8 : 7;
+
+  return (
+    <div className="model-breakdown-table-wrap">
+      <div className="request-stats-windows">
+        {USAGE_RANGES.map(r => (
+          <button
+            key={r.key}
+            type="button"
+            className={`request-stats-window${range === r.key ? ' active' : ''}`}
+            onClick={() => setRange(r.key)}
+          >
+            {r.label}
+          </button>
+        ))}
+        <button
+          type="button"
+          className={`request-stats-window${byModel ? ' active' : ''}`}
+          onClick={() => setByModel(v => !v)}
+        >
+          By model
+        </button>
+        <button type="button" className="request-stats-window" onClick={downloadCsv}>
+          Export CSV
+        </button>
+      </div>
+      {error && <div className="chart-empty">{error}</div>}
+      <table className="model-breakdown-table">
+        <thead>
+          <tr>
+            <th>Client</th>
+            {byModel && <th>Model</th>}
+            <th className="num">Requests</th>
+            <th className="num">Prompt</th>
+            <th className="num">Completion</th>
+            <th className="num">GPU Time</th>
+            <th className="num">Remote Spend</th>
+            <th className="num">Errors</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.length === 0 && (
+            <tr>
+              <td colSpan={columns} className="model-breakdown-none">
+                No usage recorded in this range
+              </td>
+            </tr>
+          )}
+          {rows.map(row => (
+            <tr key={`${row.clientId}:${row.model || ''}`}>
+              <td className="model-cell-name" title={row.clientId}>{row.client}</td>
+              {byModel && <td className="model-cell-name" title={row.model}>{row.model}</td>}
+              <td className="num">{row.requests.toLocaleString()}</td>
+              <td className="num">{row.promptTokens.toLocaleString()}</td>
+              <td className="num">{row.completionTokens.toLocaleString()}</td>
+              <td className="num">{formatGpuTime(row.gpuSeconds)}</td>
+              <td className="num">{formatUsd(row.costUsd)}</td>
+              <td className="num" style={row.errors ? { color: 'var(--error)' } : undefined}>
+                {row.errors.toLocaleString()}{row.requests > 0 && ` (${(row.errorRate * 100).toFixed(1)}%)`}
+              </td>
+            </tr>
+          ))}
+          {rows.length > 1 && report?.totals && (
+            <tr>
+              <td colSpan={byModel ? 2 : 1}><strong>Total</strong></td>
+              <td className="num">{report.totals.requests.toLocaleString()}</td>
+              <td className="num">{report.totals.promptTokens.toLocaleString()}</td>
+              <td className="num">{report.totals.completionTokens.toLocaleString()}</td>
+              <td className="num">{formatGpuTime(report.totals.gpuSeconds)}</td>
+              <td className="num">{formatUsd(report.totals.costUsd)}</td>
+              <td className="num">{report.totals.errors.toLocaleString()}</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export { ClientUsagePanel };
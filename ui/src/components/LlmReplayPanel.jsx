@@ -0,0 +1,143 @@
+// Llama Manager — LLM log replay panel.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Re-runs a logged request through POST /api/llm-logs/:id/replay with optional
+// model, backend, and sampling overrides, and shows the original and replayed
+// runs side by side with token counts and timing evidence.
+
+import React, { useState } from 'react';
+import { API_BASE } from '../api.js';
+
+// Supported manager/engine timing stages, as "stage: N ms" rows.
+function timingRows(evidence) {
+  if (!evidence) return [];
+  const rows = [];
+  for (const [source, label] of [['manager_observed', 'manager'], ['engine_reported', 'engine']]) {
+    for (const [stage, value] of Object.entries(evidence[source] || {})) {
+      if (value?.supported && Number.isFinite(value.ms)) rows.push({ key: `${label}.${stage}`, ms: value.ms });
+    }
+  }
+  return rows;
+}
+
+function ReplayRun({ title, run }) {
+  const failed = run.error || run.status >= 400;
+  const timing = timingRows(run.timingEvidence);
+  return (
+    <div className={`llm-replay-run ${failed ? 'error' : ''}`}>
+      <div className="llm-log-section-title">{title}</div>
+      <dl className="llm-replay-meta">
+        <dt>Model</dt><dd>{run.model || '-'}</dd>
+        <dt>Backend</dt><dd>{run.backend || '-'}</dd>
+        <dt>Status</dt><dd>{run.status ?? '-'}</dd>
+        <dt>Duration</dt><dd>{run.durationMs != null ? `${run.durationMs}ms` : '-'}</dd>
+        <dt>Tokens</dt><dd>{run.promptTokens ?? '?'} in / {run.completionTokens ?? '?'} out</dd>
+        <dt>Speed</dt><dd>{run.tokensPerSecond != null ? `${run.tokensPerSecond} tok/s` : '-'}</dd>
+      </dl>
+      {timing.length > 0 && (
+        <ul className="llm-replay-timing">
+          {timing.map(row => <li key={row.key}><span>{row.key}</span> {Math.round(row.ms)}ms</li>)}
+        </ul>
+      )}
+      {failed
+        ? <div className="llm-log-error-content">{run.error || `Status ${run.status}`}</div>
+        : <pre className="llm-log-request-body">{run.response || '(empty response)'}</pre>}
+    </div>
+  );
+}
+
+function LlmReplayPanel({ log, modelOptions, backendOptions }) {
+  const [open, setOpen] = useState(false);
+  const [model, setModel] = useState('');
+  const [backend, setBackend] = useState('');
+  const [temperature, setTemperature] = useState('');
+  const [maxTokens, setMaxTokens] = useState('');
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  if (!log.requestBody) return null;
+
+  const runReplay = async () => {
+    const sampling = {};
+    if (temperature !== '') sampling.temperature = Number(temperature);
+    if (maxTokens !== '') sampling[log.endpoint === 'responses' ? 'max_output_tokens' : 'max_tokens'] = Number(maxTokens);
+    setRunning(true);
+    setError(null);
+    try {
+      const res = await fetch(`${API_BASE}/llm-logs/${encodeURIComponent(log.id)}/replay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: model || undefined, backend: backend || undefined, sampling }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setResult(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="llm-replay">
+      <div className="llm-log-resubmit-row">
+        <button
+          className="btn-secondary glass-btn resubmit-btn"
+          onClick={(e) => { e.stopPropagation(); setOpen(!open); }}
+        >
+          {open ? 'Hide replay' : 'Replay…'}
+        </button>
+      </div>
+      {open && (
+        <div className="llm-replay-form" onClick={(e) => e.stopPropagation()}>
+          <input
+            className="glass-input"
+            list={`replay-models-${log.id}`}
+            placeholder={`Model (${log.model || 'original'})`}
+            value={model}
+            onChange={(e) => setModel(e.target.value)}
+          />
+          <datalist id={`replay-models-${log.id}`}>
+            {modelOptions.map(m => <option key={m} value={m} />)}
+          </datalist>
+          <select className="logs-filter-select glass-input" value={backend} onChange={(e) => setBackend(e.target.value)} title="Backend to replay on">
+            <option value="">Original routing</option>
+            {[...new Set(['local', ...backendOptions])].map(b => <option key={b} value={b}>{b}</option>)}
+          </select>
+          <input
+            className="glass-input"
+            type="number"
+            step="0.1"
+            min="0"
+            placeholder={`Temperature${log.requestBody.temperature != null ? ` (${log.requestBody.temperature})` : ''}`}
+            value={temperature}
+            onChange={(e) => setTemperature(e.target.value)}
+          />
+          <input
+            className="glass-input"
+            type="number"
+            min="1"
+            placeholder="Max tokens"
+            value={maxTokens}
+            onChange={(e) => setMaxTokens(e.target.value)}
+          />
+          <button className="btn-secondary glass-btn resubmit-btn" onClick={runReplay} disabled={running}>
+            {running ? 'Replaying...' : 'Run replay'}
+          </button>
+          {error && <span className="resubmit-status error">{error}</span>}
+        </div>
+      )}
+      {open && result && (
+        <div className="llm-replay-compare">
+          <ReplayRun title="Original" run={result.original} />
+          <ReplayRun title="Replay" run={result.replay} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export { LlmReplayPanel };
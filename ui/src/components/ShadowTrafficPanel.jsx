@@ -0,0 +1,237 @@
+// Llama Manager — shadow traffic comparison view.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Shadow tab of the Logs page: the shadow rules from GET /api/shadows with
+// their running summary (add, pause, remove), and the stored pairs from
+// GET /api/shadows/records, each expandable into primary and shadow outputs
+// side by side with a word diff.
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { API_BASE } from '../api.js';
+import { deltaLabel, diffWords, similarityLabel, skippedLabel } from '../shadow-diff.js';
+
+const EMPTY_RULE = { name: '', host: 'local', model: '', percent: 10 };
+
+function ShadowRules() {
+  const [rules, setRules] = useState([]);
+  const [backends, setBackends] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [error, setError] = useState(null);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/shadows`);
+      const data = await res.json();
+      setRules(data.shadows || []);
+    } catch { /* ignore */ }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+    fetch(`${API_BASE}/backends`).then(r => r.json()).then(d => setBackends(d.backends || [])).catch(() => {});
+    const timer = setInterval(fetchRules, 15000);
+    return () => clearInterval(timer);
+  }, [fetchRules]);
+
+  const saveRule = async (name, body) => {
+    try {
+      const res = await fetch(`${API_BASE}/shadows/${encodeURIComponent(name)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setError(null);
+      fetchRules();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const removeRule = async (name) => {
+    if (!confirm(`Stop shadowing "${name}"? Stored pairs are kept.`)) return;
+    try {
+      await fetch(`${API_BASE}/shadows/${encodeURIComponent(name)}`, { method: 'DELETE' });
+      fetchRules();
+    } catch { /* ignore */ }
+  };
+
+  const addRule = async () => {
+    if (!draft.name.trim()) return setError('Enter the model or alias name clients request');
+    const { name, ...rule } = draft;
+    if (await saveRule(name.trim(), { ...rule, percent: Number(rule.percent) })) setDraft(EMPTY_RULE);
+  };
+
+  const hostName = (host) => (host === 'local' ? 'Local' : backends.find(b => b.id === host)?.name || host);
+
+  return (
+    <div className="shadow-rules request-logs-table">
+      <table>
+        <thead>
+          <tr>
+            <th>Requests For</th>
+            <th>Shadow Target</th>
+            <th>Sample</th>
+            <th>Pairs</th>
+            <th>Similarity</th>
+            <th>Latency (shadow vs primary)</th>
+            <th>Output Tokens</th>
+            <th>Skipped / Failed</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {rules.length === 0 && (
+            <tr><td colSpan="9" className="hint">No shadow rules. Mirror a share of an alias's traffic to a candidate model before switching it.</td></tr>
+          )}
+          {rules.map(rule => {
+            const s = rule.summary;
+            return (
+              <tr key={rule.name}>
+                <td>{rule.name}</td>
+                <td>{hostName(rule.host)} / {rule.model}</td>
+                <td>
+                  <label title="Pause or resume mirroring">
+                    <input type="checkbox" checked={rule.enabled} onChange={(e) => saveRule(rule.name, { enabled: e.target.checked })} />
+                    {' '}{rule.percent}%
+                  </label>
+                </td>
+                <td>{s?.pairs ?? 0}{s?.identical ? ` (${s.identical} identical)` : ''}</td>
+                <td>{similarityLabel(s?.meanSimilarity)}</td>
+                <td>
+                  {s?.shadow.meanLatencyMs != null ? `${s.shadow.meanLatencyMs}ms vs ${s.primary.meanLatencyMs}ms (${deltaLabel(s.primary.meanLatencyMs, s.shadow.meanLatencyMs, 'ms')})` : '—'}
+                </td>
+                <td>{s?.shadow.meanCompletionTokens != null ? `${s.shadow.meanCompletionTokens} vs ${s.primary.meanCompletionTokens}` : '—'}</td>
+                <td title={skippedLabel(s?.skipped)}>
+                  {skippedLabel(s?.skipped) || '—'}{s?.errors ? ` · ${s.errors} failed` : ''}
+                </td>
+                <td><button className="btn-secondary glass-btn" onClick={() => removeRule(rule.name)}>Remove</button></td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="shadow-rule-form">
+        <input className="glass-input" placeholder="Alias or model, e.g. default-big" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+        <select className="glass-input" value={draft.host} onChange={(e) => setDraft({ ...draft, host: e.target.value })}>
+          <option value="local">Local</option>
+          {backends.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+        </select>
+        <input className="glass-input" placeholder="Shadow model" value={draft.model} onChange={(e) => setDraft({ ...draft, model: e.target.value })} />
+        <input className="glass-input" type="number" min={0} max={100} value={draft.percent} onChange={(e) => setDraft({ ...draft, percent: e.target.value })} style={{ width: '70px' }} title="Percent of requests mirrored" />
+        <button className="btn-primary glass-btn" onClick={addRule}>Add Shadow</button>
+        {error && <span className="request-error-content">{error}</span>}
+      </div>
+      <p className="hint">
+        Mirrors run after the client has its answer and are never returned to it. A local shadow only runs on an
+        already-loaded model at background priority, so it never loads or evicts a model.
+      </p>
+    </div>
+  );
+}
+
+function OutputDiff({ primary, shadow }) {
+  return (
+    <pre className="shadow-text">
+      {diffWords(primary, shadow).map((part, i) => (
+        <span key={i} className={part.type === 'same' ? undefined : `shadow-diff-${part.type}`}>{part.text}</span>
+      ))}
+    </pre>
+  );
+}
+
+function ShadowTrafficPanel({ records, formatTime, getStatusClass, header }) {
+  const [expanded, setExpanded] = useState(new Set());
+  const toggle = (id) => setExpanded(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  return (
+    <>
+      <ShadowRules />
+      <div className="request-logs-table">
+        {header}
+        {records.length === 0 ? (
+          <div className="logs-empty"><p>No shadow pairs stored yet</p></div>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Requests For</th>
+                <th>Primary</th>
+                <th>Shadow</th>
+                <th>Status</th>
+                <th>Similarity</th>
+                <th>Latency</th>
+                <th>Output Tokens</th>
+              </tr>
+            </thead>
+            <tbody>
+              {records.map(log => {
+                const isExpanded = expanded.has(log.id);
+                return (
+                  <React.Fragment key={log.id}>
+                    <tr className={`${getStatusClass(log.status)} clickable`} onClick={() => toggle(log.id)}>
+                      <td className="log-time">
+                        <span className="request-expand">{isExpanded ? '▼' : '▶'}</span>
+                        {formatTime(log.timestamp)}
+                      </td>
+                      <td>{log.model}</td>
+                      <td>{log.primary.host} / {log.primary.model}</td>
+                      <td>{log.shadow.host} / {log.shadow.model}</td>
+                      <td className={`request-status ${getStatusClass(log.status)}`}>{log.status}</td>
+                      <td>{log.comparison.identical ? 'identical' : similarityLabel(log.comparison.similarity)}</td>
+                      <td>{log.shadow.latencyMs}ms ({deltaLabel(log.primary.latencyMs, log.shadow.latencyMs, 'ms')})</td>
+                      <td>{log.shadow.completionTokens} ({deltaLabel(log.primary.completionTokens, log.shadow.completionTokens)})</td>
+                    </tr>
+                    {isExpanded && (
+                      <tr className="request-error-row">
+                        <td colSpan="8">
+                          <div className="audit-detail">
+                            {log.error && <div className="request-error-content">{log.error}</div>}
+                            {log.primary.response === null && log.shadow.response === null && !log.error ? (
+                              <div className="hint">Outputs were not captured for this client.</div>
+                            ) : (
+                              <>
+                                <div className="shadow-pair">
+                                  <div className="shadow-side">
+                                    <h5>Primary · {log.primary.latencyMs}ms · {log.primary.promptTokens}+{log.primary.completionTokens} tokens</h5>
+                                    <pre className="shadow-text">{log.primary.response ?? '—'}</pre>
+                                  </div>
+                                  <div className="shadow-side">
+                                    <h5>Shadow · {log.shadow.latencyMs}ms · {log.shadow.promptTokens}+{log.shadow.completionTokens} tokens</h5>
+                                    <pre className="shadow-text">{log.shadow.response ?? '—'}</pre>
+                                  </div>
+                                </div>
+                                <div className="shadow-side">
+                                  <h5>Diff (struck: primary only, highlighted: shadow only)</h5>
+                                  <OutputDiff primary={log.primary.response} shadow={log.shadow.response} />
+                                </div>
+                              </>
+                            )}
+                            {(log.messages || log.prompt) && (
+                              <pre className="llm-log-request-body">{JSON.stringify(log.messages || log.prompt, null, 2)}</pre>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </>
+  );
+}
+
+export { ShadowTrafficPanel };
@@ -9,12 +9,14 @@ import React from 'react';
 import { NavLink } from 'react-router-dom';
 import { useSiteThemeLogo } from '../theme/siteTheme.js';
 import {
+  AlertsIcon,
   ApiDocsIcon,
   ChatIcon,
   DashboardIcon,
   DocsIcon,
   DownloadIcon,
   ExternalLinkIcon,
+  FleetIcon,
   LlamaCppIcon,
   LogsIcon,
   ModelsIcon,
@@ -56,6 +58,10 @@ function Sidebar({ stats }) {
           <DashboardIcon className="nav-icon" />
           Dashboard
         </NavLink>
+        <NavLink to="/fleet" className={({ isActive }) => `nav-item ${isActive ? 'active' : ''}`}>
+          <FleetIcon className="nav-icon" />
+          Fleet
+        </NavLink>
         <NavLink to="/chat" className={({ isActive }) => `nav-item ${isActive ? 'active' : ''}`}>
           <ChatIcon className="nav-icon" />
           Chat
@@ -90,6 +96,10 @@ function Sidebar({ stats }) {
           <ProcessesIcon className="nav-icon" />
           Processes
         </NavLink>
+        <NavLink to="/alerts" className={({ isActive }) => `nav-item ${isActive ? 'active' : ''}`}>
+          <AlertsIcon className="nav-icon" />
+          Alerts
+        </NavLink>
 
         <div className="nav-divider" />
 
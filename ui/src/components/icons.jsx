@@ -40,6 +40,18 @@ export function DashboardIcon(props) {
   );
 }
 
+/** Fleet of linked servers icon. */
+export function FleetIcon(props) {
+  return (
+    <SvgIcon {...props}>
+      <rect width="8" height="6" x="8" y="2" rx="1" />
+      <rect width="8" height="6" x="2" y="16" rx="1" />
+      <rect width="8" height="6" x="14" y="16" rx="1" />
+      <path d="M12 8v4M6 16v-4h12v4" />
+    </SvgIcon>
+  );
+}
+
 /** Chat message icon. */
 export function ChatIcon(props) {
   return (
@@ -111,6 +123,16 @@ export function ProcessesIcon(props) {
   );
 }
 
+/** Alert bell icon. */
+export function AlertsIcon(props) {
+  return (
+    <SvgIcon {...props}>
+      <path d="M6 8a6 6 0 0 1 12 0c0 7 3 9 3 9H3s3-2 3-9" />
+      <path d="M10.3 21a1.94 1.94 0 0 0 3.4 0" />
+    </SvgIcon>
+  );
+}
+
 /** Documentation book icon. */
 export function DocsIcon(props) {
   return (
@@ -0,0 +1,72 @@
+// Llama Manager fleet utilities.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Formats GET /api/peers for the Fleet page: each manager's status badge,
+// queue, memory headroom and when its state was last seen.
+
+const STATUS_BADGES = {
+  online: { bg: 'var(--success-bg, #1a3a2a)', color: 'var(--success, #4ade80)', text: 'Online' },
+  thermal: { bg: 'var(--warning-bg, #3a2a1a)', color: 'var(--warning, #fbbf24)', text: 'Thermal pause' },
+  stale: { bg: 'var(--warning-bg, #3a2a1a)', color: 'var(--warning, #fbbf24)', text: 'Stale' },
+  unreachable: { bg: 'var(--error-bg, #3a1a1a)', color: 'var(--error, #f87171)', text: 'Unreachable' },
+  circuit: { bg: 'var(--error-bg, #3a1a1a)', color: 'var(--error, #f87171)', text: 'Circuit open' },
+  disabled: { bg: 'var(--bg-tertiary, #2a2a3a)', color: 'var(--text-secondary, #ccc)', text: 'Disabled' },
+};
+
+/**
+ * Status badge for a manager in the fleet. The first that applies wins:
+ * disabled, circuit open, no state yet, stale state, thermal pause, online.
+ *
+ * @param {{enabled?:boolean, circuit?:string, state:(Object|null), stale?:boolean}} peer
+ *   A peer from GET /api/peers, or `{ state: self }` for this manager.
+ * @returns {{bg:string, color:string, text:string}} Badge colours and label.
+ */
+export function peerStatusBadge(peer) {
+  if (peer.enabled === false) return STATUS_BADGES.disabled;
+  if (peer.circuit === 'open') return STATUS_BADGES.circuit;
+  if (!peer.state) return STATUS_BADGES.unreachable;
+  if (peer.stale) return STATUS_BADGES.stale;
+  if (peer.state.thermalPaused) return STATUS_BADGES.thermal;
+  return STATUS_BADGES.online;
+}
+
+/**
+ * Local queue of a manager.
+ *
+ * @param {{active:number, pending:number, concurrency:number}|null|undefined} queue Queue figures.
+ * @returns {string} e.g. `1/2 active · 3 pending`, or `-`.
+ */
+export function queueLabel(queue) {
+  if (!queue) return '-';
+  return `${queue.active}/${queue.concurrency} active · ${queue.pending} pending`;
+}
+
+function gib(bytes) {
+  return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+}
+
+/**
+ * Memory headroom of a manager.
+ *
+ * @param {{totalBytes:number, availableBytes:number}|null|undefined} memory System memory.
+ * @returns {string} e.g. `40.0 GB free of 128.0 GB (31%)`, or `-` when unknown.
+ */
+export function memoryLabel(memory) {
+  if (!memory?.totalBytes) return '-';
+  const pct = Math.round((memory.availableBytes / memory.totalBytes) * 100);
+  return `${gib(memory.availableBytes)} free of ${gib(memory.totalBytes)} (${pct}%)`;
+}
+
+/**
+ * When a peer's state was last fetched.
+ *
+ * @param {number|null|undefined} seenAt Epoch milliseconds.
+ * @param {number} [now] Epoch milliseconds.
+ * @returns {string} e.g. `8s ago`, `3m ago`, or `never`.
+ */
+export function lastSeenLabel(seenAt, now = Date.now()) {
+  if (!seenAt) return 'never';
+  const seconds = Math.max(0, Math.round((now - seenAt) / 1000));
+  return seconds < 60 ? `${seconds}s ago` : seconds < 3600 ? `${Math.round(seconds / 60)}m ago` : `${Math.round(seconds / 3600)}h ago`;
+}
@@ -0,0 +1,30 @@
+// Llama Manager — fleet utility tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies the fleet status precedence and the queue, memory and last-seen labels.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { lastSeenLabel, memoryLabel, peerStatusBadge, queueLabel } from './fleet.js';
+
+test('status follows reachability, freshness and thermal state', () => {
+  const state = { thermalPaused: false };
+  assert.equal(peerStatusBadge({ state }).text, 'Online');
+  assert.equal(peerStatusBadge({ state: { thermalPaused: true } }).text, 'Thermal pause');
+  assert.equal(peerStatusBadge({ state, stale: true }).text, 'Stale');
+  assert.equal(peerStatusBadge({ state: null, stale: true }).text, 'Unreachable');
+  assert.equal(peerStatusBadge({ state, circuit: 'open' }).text, 'Circuit open');
+  assert.equal(peerStatusBadge({ state, enabled: false, circuit: 'open' }).text, 'Disabled');
+});
+
+test('labels format queue, memory headroom and last seen', () => {
+  assert.equal(queueLabel({ active: 1, pending: 3, concurrency: 2 }), '1/2 active · 3 pending');
+  assert.equal(queueLabel(null), '-');
+  assert.equal(memoryLabel({ totalBytes: 128 * 1024 ** 3, availableBytes: 40 * 1024 ** 3 }), '40.0 GB free of 128.0 GB (31%)');
+  assert.equal(memoryLabel({ totalBytes: 0, availableBytes: 0 }), '-');
+  const now = 1_000_000;
+  assert.equal(lastSeenLabel(now - 8_000, now), '8s ago');
+  assert.equal(lastSeenLabel(now - 180_000, now), '3m ago');
+  assert.equal(lastSeenLabel(null, now), 'never');
+});
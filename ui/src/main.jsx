@@ -2,7 +2,8 @@
 // Use of this source code is governed by the LICENSE file in the repository root.
 //
 // Browser entry point for the dashboard. Loads the global style foundations,
-// initializes runtime site and color themes, and mounts the React application.
+// initializes runtime site and color themes, installs client API key
+// attachment, and mounts the React application.
 
 import React from 'react';
 import ReactDOM from 'react-dom/client';
@@ -10,6 +11,11 @@ import App from './App';
 import './index.css';
 import './theme/glass.css';
 import { initSiteTheme } from './theme/siteTheme.js';
+import { installApiKeyFetch } from './api-auth.js';
+
+// Attach the operator's stored client API key (if any) to every manager API
+// request before any page issues its first fetch.
+installApiKeyFetch(window);
 
 // Load & apply the persisted site theme before first paint (best-effort; never
 // throws — a missing themes manifest leaves the default appearance in place).
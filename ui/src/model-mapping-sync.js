@@ -0,0 +1,39 @@
+// Llama Manager model-mapping suggestion utilities.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Describes GET /api/backends/:id/model-suggestions entries and a backend's
+// last automatic sync for the Model Mapping panel.
+
+const SOURCE_LABELS = {
+  local: 'local model',
+  alias: 'alias',
+  canonical: 'canonical name',
+};
+
+/**
+ * One-line description of a suggestion.
+ *
+ * @param {{kind:string, model?:string, alias?:string, remoteModel:string, source?:string}} suggestion Suggestion.
+ * @returns {string} e.g. `qwen3-32b → qwen3:32b (canonical name)` or `coder + qwen3:32b (alias target)`.
+ */
+export function suggestionLabel(suggestion) {
+  if (suggestion.kind === 'alias-target') return `${suggestion.alias} + ${suggestion.remoteModel} (alias target)`;
+  return `${suggestion.model} → ${suggestion.remoteModel} (${SOURCE_LABELS[suggestion.source] || suggestion.source})`;
+}
+
+/**
+ * When the last automatic sync ran and what it did.
+ *
+ * @param {{at:number, remoteModels:number, applied:Array, error:(string|null)}|null} lastSync From the suggestions response.
+ * @param {number} [now] Current time in ms.
+ * @returns {string} e.g. `last sync 3 min ago: 12 remote models, 1 added`; empty before the first sync.
+ */
+export function lastSyncLabel(lastSync, now = Date.now()) {
+  if (!lastSync) return '';
+  const minutes = Math.max(0, Math.round((now - lastSync.at) / 60_000));
+  const ago = minutes === 0 ? 'just now' : `${minutes} min ago`;
+  if (lastSync.error) return `last sync ${ago} failed: ${lastSync.error}`;
+  const count = lastSync.remoteModels;
+  return `last sync ${ago}: ${count} remote model${count === 1 ? '' : 's'}, ${lastSync.applied.length} added`;
+}
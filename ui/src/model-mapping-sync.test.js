@@ -0,0 +1,24 @@
+// Llama Manager — model-mapping suggestion utility tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies suggestion descriptions and the last-sync summary.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { lastSyncLabel, suggestionLabel } from './model-mapping-sync.js';
+
+test('suggestions describe the mapping or alias target they add', () => {
+  assert.equal(
+    suggestionLabel({ kind: 'mapping', model: 'qwen3-32b', remoteModel: 'qwen3:32b', source: 'canonical' }),
+    'qwen3-32b → qwen3:32b (canonical name)',
+  );
+  assert.equal(suggestionLabel({ kind: 'alias-target', alias: 'coder', remoteModel: 'qwen3:32b' }), 'coder + qwen3:32b (alias target)');
+});
+
+test('the last sync shows its age and outcome', () => {
+  const now = 10 * 60_000;
+  assert.equal(lastSyncLabel(null, now), '');
+  assert.equal(lastSyncLabel({ at: now - 3 * 60_000, remoteModels: 12, applied: [{}], error: null }, now), 'last sync 3 min ago: 12 remote models, 1 added');
+  assert.equal(lastSyncLabel({ at: now, remoteModels: 0, applied: [], error: 'HTTP 502' }, now), 'last sync just now failed: HTTP 502');
+});
@@ -0,0 +1,364 @@
+// Llama Manager — alerts page.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Shows which alert rules are firing, edits rules and notification channels,
+// sends test alerts, and pages through persisted alert history.
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { API_BASE } from '../api.js';
+import { channelToRow, describeCondition, ruleToRow, rowToChannel, rowToRule } from './alerts-form.js';
+import '../styles/pages.css';
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+const CHANNEL_TYPES = ['webhook', 'slack', 'discord', 'ntfy'];
+
+const cell = { padding: '4px 6px' };
+const smallBtn = { padding: '2px 8px', fontSize: '0.85em' };
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : '-';
+}
+
+function formatSample(value) {
+  if (value == null) return '-';
+  return typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(1) : String(value);
+}
+
+function AlertsPage() {
+  const [signals, setSignals] = useState({});
+  const [enabled, setEnabled] = useState(true);
+  const [ruleRows, setRuleRows] = useState([]);
+  const [channelRows, setChannelRows] = useState([]);
+  const [status, setStatus] = useState({ rules: {}, samples: {} });
+  const [history, setHistory] = useState([]);
+  const [historyCursor, setHistoryCursor] = useState(null);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState(null);
+
+  const applySettings = (settings) => {
+    setSignals(settings.signals || {});
+    setEnabled(settings.enabled !== false);
+    setRuleRows((settings.rules || []).map(ruleToRow));
+    setChannelRows((settings.channels || []).map(channelToRow));
+  };
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/alerts/settings`);
+      applySettings(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch alert settings:', err);
+    }
+  }, []);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/alerts/status`);
+      setStatus(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch alert status:', err);
+    }
+  }, []);
+
+  const fetchHistory = useCallback(async (cursor = null) => {
+    setHistoryLoading(true);
+    try {
+      const params = new URLSearchParams({ limit: '50' });
+      if (cursor) params.set('cursor', cursor);
+      const res = await fetch(`${API_BASE}/alerts/history?${params}`);
+      const data = await res.json();
+      const page = [...(data.logs || [])].reverse();
+      setHistory(prev => (cursor ? [...prev, ...page] : page));
+      setHistoryCursor(data.nextCursor || null);
+    } catch (err) {
+      console.error('Failed to fetch alert history:', err);
+    }
+    setHistoryLoading(false);
+  }, []);
+
+  useEffect(() => {
+    fetchSettings();
+    fetchHistory();
+    fetchStatus();
+    const interval = setInterval(fetchStatus, 5000);
+    return () => clearInterval(interval);
+  }, [fetchSettings, fetchHistory, fetchStatus]);
+
+  const updateRule = (rowId, patch) => setRuleRows(rows => rows.map(r => (r.rowId === rowId ? { ...r, ...patch } : r)));
+  const updateChannel = (rowId, patch) => setChannelRows(rows => rows.map(r => (r.rowId === rowId ? { ...r, ...patch } : r)));
+
+  const addRule = () => setRuleRows(rows => [...rows, ruleToRow({ id: `rule-${rows.length + 1}`, signal: 'thermal.max_temp_c', op: '>=', threshold: 90, forSeconds: 30, cooldownSeconds: 900, severity: 'warning' })]);
+  const addChannel = () => setChannelRows(rows => [...rows, channelToRow({ id: `channel-${rows.length + 1}`, type: 'webhook', minSeverity: 'warning' })]);
+
+  const save = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const res = await fetch(`${API_BASE}/alerts/settings`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          enabled,
+          rules: ruleRows.map(row => rowToRule(row, signals)),
+          channels: channelRows.map(rowToChannel),
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      applySettings(data.settings);
+      setMessage({ type: 'success', text: 'Alert settings saved' });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+    setSaving(false);
+  };
+
+  const sendTest = async (channel) => {
+    setTesting(channel || 'all');
+    setMessage(null);
+    try {
+      const res = await fetch(`${API_BASE}/alerts/test`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(channel ? { channel } : {}),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      const deliveries = data.alert.deliveries;
+      const failed = deliveries.filter(d => !d.ok);
+      setMessage(deliveries.length === 0
+        ? { type: 'info', text: 'Test alert recorded; no channels are configured (save new channels first)' }
+        : failed.length
+          ? { type: 'error', text: `Delivery failed: ${failed.map(d => `${d.channel} (${d.error})`).join(', ')}` }
+          : { type: 'success', text: `Test alert delivered to ${deliveries.map(d => d.channel).join(', ')}` });
+      fetchHistory();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+    setTesting(null);
+  };
+
+  const signalNames = Object.keys(signals);
+
+  return (
+    <div className="page settings-page alerts-page">
+      <div className="page-header">
+        <h2>Alerts</h2>
+        <div className="header-actions">
+          <button className="btn-secondary glass-btn" onClick={() => sendTest(null)} disabled={!!testing}>
+            {testing === 'all' ? 'Sending...' : 'Send test alert'}
+          </button>
+          <button className="btn-primary glass-btn" onClick={save} disabled={saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+
+      {message && <div className={`settings-message ${message.type}`}>{message.text}</div>}
+
+      <div className="page-section glass-panel">
+        <h3>Rules</h3>
+        <div className="setting-item checkbox">
+          <label>
+            <input type="checkbox" checked={enabled} onChange={(e) => setEnabled(e.target.checked)} />
+            <span>Evaluate alert rules</span>
+          </label>
+          <span className="setting-hint">
+            Gauges are sampled every few seconds and fire once the condition has held for the hold time. Events fire on each occurrence.
+            Repeat firings inside the cooldown are suppressed. Leave channels empty to notify every channel.
+          </span>
+        </div>
+        <div className="model-map-table-wrap">
+          <table className="model-map-table" style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: 'var(--text-secondary)', fontSize: '0.8em' }}>
+                <th style={cell}>On</th>
+                <th style={cell}>Id</th>
+                <th style={cell}>Name</th>
+                <th style={cell}>Signal</th>
+                <th style={cell}>Condition</th>
+                <th style={cell}>Hold (s)</th>
+                <th style={cell}>Cooldown (s)</th>
+                <th style={cell}>Severity</th>
+                <th style={cell}>Channels</th>
+                <th style={cell}>State</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {ruleRows.length === 0 && (
+                <tr><td colSpan={11} style={{ ...cell, color: 'var(--text-muted)' }}>No rules — click “+ Add Rule”.</td></tr>
+              )}
+              {ruleRows.map(r => {
+                const gauge = signals[r.signal]?.kind === 'gauge';
+                const state = status.rules?.[r.id];
+                return (
+                  <tr key={r.rowId} style={r.enabled ? undefined : { opacity: 0.5 }}>
+                    <td style={cell}><input type="checkbox" checked={r.enabled} onChange={e => updateRule(r.rowId, { enabled: e.target.checked })} /></td>
+                    <td style={cell}><input className="glass-input" value={r.id} onChange={e => updateRule(r.rowId, { id: e.target.value })} style={{ width: '9em' }} /></td>
+                    <td style={cell}><input className="glass-input" value={r.name} placeholder={r.id} onChange={e => updateRule(r.rowId, { name: e.target.value })} style={{ width: '100%' }} /></td>
+                    <td style={cell}>
+                      <select className="glass-input" value={r.signal} onChange={e => updateRule(r.rowId, { signal: e.target.value })} title={signals[r.signal]?.description}>
+                        {signalNames.map(name => <option key={name} value={name}>{name}</option>)}
+                      </select>
+                    </td>
+                    <td style={{ ...cell, whiteSpace: 'nowrap' }}>
+                      {gauge ? (
+                        <>
+                          <select className="glass-input" value={r.op} onChange={e => updateRule(r.rowId, { op: e.target.value })}>
+                            {OPERATORS.map(op => <option key={op} value={op}>{op}</option>)}
+                          </select>
+                          {' '}
+                          <input className="glass-input" value={r.threshold} onChange={e => updateRule(r.rowId, { threshold: e.target.value })} style={{ width: '6em' }} />
+                          {signals[r.signal]?.unit && <span className="setting-hint"> {signals[r.signal].unit}</span>}
+                        </>
+                      ) : <span className="setting-hint">each event</span>}
+                    </td>
+                    <td style={cell}><input className="glass-input" type="number" min="0" value={r.forSeconds} disabled={!gauge} onChange={e => updateRule(r.rowId, { forSeconds: e.target.value })} style={{ width: '5em' }} /></td>
+                    <td style={cell}><input className="glass-input" type="number" min="0" value={r.cooldownSeconds} onChange={e => updateRule(r.rowId, { cooldownSeconds: e.target.value })} style={{ width: '6em' }} /></td>
+                    <td style={cell}>
+                      <select className="glass-input" value={r.severity} onChange={e => updateRule(r.rowId, { severity: e.target.value })}>
+                        {SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+                      </select>
+                    </td>
+                    <td style={cell}><input className="glass-input" value={r.channels} placeholder="all" onChange={e => updateRule(r.rowId, { channels: e.target.value })} style={{ width: '8em' }} /></td>
+                    <td style={{ ...cell, whiteSpace: 'nowrap' }} title={describeCondition(rowToRule(r, signals), signals)}>
+                      <span className={`alert-state ${state?.firing ? 'firing' : state?.pendingSince ? 'pending' : 'ok'}`}>
+                        {state?.firing ? 'firing' : state?.pendingSince ? 'pending' : 'ok'}
+                      </span>
+                      {gauge && <span className="setting-hint"> {formatSample(status.samples?.[r.signal])}</span>}
+                    </td>
+                    <td style={cell}>
+                      <button className="btn-secondary glass-btn" style={smallBtn} onClick={() => setRuleRows(rows => rows.filter(x => x.rowId !== r.rowId))} title="Remove rule">×</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        <button className="btn-secondary glass-btn" style={{ marginTop: 8 }} onClick={addRule}>+ Add Rule</button>
+      </div>
+
+      <div className="page-section glass-panel">
+        <h3>Channels</h3>
+        <span className="setting-hint">
+          Slack and Discord take an incoming-webhook URL; ntfy takes the server URL and a topic; generic webhooks receive the alert JSON with an email-style subject and text.
+          Webhook URLs are stored server-side and never shown again — leave the field empty to keep the saved one.
+        </span>
+        <div className="model-map-table-wrap">
+          <table className="model-map-table" style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: 'var(--text-secondary)', fontSize: '0.8em' }}>
+                <th style={cell}>On</th>
+                <th style={cell}>Id</th>
+                <th style={cell}>Name</th>
+                <th style={cell}>Type</th>
+                <th style={cell}>URL</th>
+                <th style={cell}>Topic</th>
+                <th style={cell}>Min severity</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {channelRows.length === 0 && (
+                <tr><td colSpan={8} style={{ ...cell, color: 'var(--text-muted)' }}>No channels — alerts are recorded in history only.</td></tr>
+              )}
+              {channelRows.map(c => (
+                <tr key={c.rowId} style={c.enabled ? undefined : { opacity: 0.5 }}>
+                  <td style={cell}><input type="checkbox" checked={c.enabled} onChange={e => updateChannel(c.rowId, { enabled: e.target.checked })} /></td>
+                  <td style={cell}><input className="glass-input" value={c.id} onChange={e => updateChannel(c.rowId, { id: e.target.value })} style={{ width: '8em' }} /></td>
+                  <td style={cell}><input className="glass-input" value={c.name} placeholder={c.id} onChange={e => updateChannel(c.rowId, { name: e.target.value })} style={{ width: '100%' }} /></td>
+                  <td style={cell}>
+                    <select className="glass-input" value={c.type} onChange={e => updateChannel(c.rowId, { type: e.target.value })}>
+                      {CHANNEL_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                    </select>
+                  </td>
+                  <td style={cell}>
+                    <input
+                      className="glass-input"
+                      type="password"
+                      autoComplete="off"
+                      value={c.url}
+                      placeholder={c.storedOrigin ? `${c.storedOrigin}/… (saved)` : 'https://…'}
+                      onChange={e => updateChannel(c.rowId, { url: e.target.value })}
+                      style={{ width: '100%' }}
+                    />
+                  </td>
+                  <td style={cell}><input className="glass-input" value={c.topic} disabled={c.type !== 'ntfy'} onChange={e => updateChannel(c.rowId, { topic: e.target.value })} style={{ width: '8em' }} /></td>
+                  <td style={cell}>
+                    <select className="glass-input" value={c.minSeverity} onChange={e => updateChannel(c.rowId, { minSeverity: e.target.value })}>
+                      {SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+                    </select>
+                  </td>
+                  <td style={{ ...cell, whiteSpace: 'nowrap' }}>
+                    <button className="btn-secondary glass-btn" style={smallBtn} onClick={() => sendTest(c.id)} disabled={!!testing || !c.storedOrigin} title={c.storedOrigin ? 'Send a test alert' : 'Save the channel first'}>
+                      {testing === c.id ? '…' : 'Test'}
+                    </button>
+                    {' '}
+                    <button className="btn-secondary glass-btn" style={smallBtn} onClick={() => setChannelRows(rows => rows.filter(x => x.rowId !== c.rowId))} title="Remove channel">×</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <button className="btn-secondary glass-btn" style={{ marginTop: 8 }} onClick={addChannel}>+ Add Channel</button>
+      </div>
+
+      <div className="page-section glass-panel">
+        <h3>History</h3>
+        <div className="model-map-table-wrap">
+          <table className="model-map-table" style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: 'var(--text-secondary)', fontSize: '0.8em' }}>
+                <th style={cell}>Time</th>
+                <th style={cell}>State</th>
+                <th style={cell}>Rule</th>
+                <th style={cell}>Message</th>
+                <th style={cell}>Delivered</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.length === 0 && (
+                <tr><td colSpan={5} style={{ ...cell, color: 'var(--text-muted)' }}>No alerts yet.</td></tr>
+              )}
+              {history.map(alert => (
+                <tr key={alert.id}>
+                  <td style={{ ...cell, whiteSpace: 'nowrap' }}>{formatTime(alert.timestamp)}</td>
+                  <td style={cell}>
+                    <span className={`alert-state ${alert.status === 'firing' ? alert.severity : alert.status}`}>
+                      {alert.status === 'firing' ? alert.severity : alert.status}
+                    </span>
+                  </td>
+                  <td style={cell} title={alert.signal}>{alert.ruleName}</td>
+                  <td style={cell}>{alert.message}</td>
+                  <td style={cell}>
+                    {alert.deliveries.length === 0
+                      ? <span className="setting-hint">history only</span>
+                      : alert.deliveries.map(d => (
+                        <span key={d.channel} className={`alert-delivery ${d.ok ? 'ok' : 'failed'}`} title={d.error || `HTTP ${d.status}`}>
+                          {d.ok ? '✓' : '✗'} {d.channel}
+                        </span>
+                      ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {historyCursor && (
+          <button className="btn-secondary glass-btn logs-load-older" onClick={() => fetchHistory(historyCursor)} disabled={historyLoading}>
+            {historyLoading ? 'Loading...' : 'Load older'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AlertsPage;
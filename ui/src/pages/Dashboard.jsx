@@ -13,6 +13,7 @@ import {
 import { API_BASE, formatBytes, formatUptime, formatModelName } from '../api.js';
 import { isLocalKioskHost, requestSystemLogin } from '../kiosk-control.js';
 import { useVisiblePolling } from '../hooks/useVisiblePolling.js';
+import { ClientUsagePanel } from '../components/ClientUsagePanel.jsx';
 import {
   StatCard,
   ProgressRing,
@@ -1635,6 +1636,14 @@ function Dashboard({ stats, activeRequest, kiosk = false }) {
           />
         </div>
 
+        <div className="chart-card-wide glass-panel model-breakdown-card">
+          <h4>
+            Usage by Client
+            <span className="chart-value">API key · X-Client-Id · User-Agent</span>
+          </h4>
+          <ClientUsagePanel />
+        </div>
+
         <h4 className="analytics-section-header">System Resources</h4>
         <div className="charts-grid-wide">
           {/* Power History */}
@@ -0,0 +1,189 @@
+// Llama Manager — fleet page.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Summarizes this manager and every peer manager configured as a backend:
+// status, engine, loaded models, queue, thermal state and memory headroom,
+// plus managers the peers know about that can be added with one click.
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { API_BASE } from '../api.js';
+import { lastSeenLabel, memoryLabel, peerStatusBadge, queueLabel } from '../fleet.js';
+import '../styles/pages.css';
+
+// One manager in the fleet grid
+function ManagerCard({ title, subtitle, peer, isSelf = false }) {
+  const state = peer.state;
+  const badge = peerStatusBadge(peer);
+  return (
+    <div className={`process-card ${isSelf ? 'main' : 'worker'}`}>
+      <div className="process-header">
+        <span className="process-pid">{title}</span>
+        {state?.engine && <span className="process-port">{state.engine}</span>}
+        <span className="process-badge" style={{ background: badge.bg, color: badge.color }}>{badge.text}</span>
+      </div>
+      {subtitle && <div className="fleet-subtitle">{subtitle}</div>}
+      {peer.error && !isSelf && <div className="fleet-error">Last poll failed: {peer.error}</div>}
+      <div className="process-stats">
+        <div className="process-stat">
+          <span className="stat-label">Queue</span>
+          <span className="stat-value">{queueLabel(state?.queue)}</span>
+        </div>
+        <div className="process-stat">
+          <span className="stat-label">Memory</span>
+          <span className="stat-value">{memoryLabel(state?.memory)}</span>
+        </div>
+        <div className="process-stat">
+          <span className="stat-label">Thermal</span>
+          <span className="stat-value">{state ? (state.thermalPaused ? 'paused' : 'ok') : '-'}</span>
+        </div>
+        {!isSelf && (
+          <div className="process-stat">
+            <span className="stat-label">Last seen</span>
+            <span className="stat-value">{lastSeenLabel(peer.seenAt)}</span>
+          </div>
+        )}
+      </div>
+      <div className="process-model">
+        <span className="model-label">Loaded:</span>
+        <span className="model-name" title={state?.loadedModels?.join(', ')}>
+          {state?.loadedModels?.length ? state.loadedModels.join(', ') : 'none'}
+        </span>
+      </div>
+      {state && (
+        <div className="fleet-subtitle">{state.models.length} model{state.models.length === 1 ? '' : 's'} servable</div>
+      )}
+    </div>
+  );
+}
+
+// Fleet Page
+function FleetPage() {
+  const [fleet, setFleet] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [adding, setAdding] = useState({});
+  const [error, setError] = useState(null);
+
+  const fetchFleet = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/peers`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setFleet(data);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    fetchFleet();
+    const interval = setInterval(fetchFleet, 5000);
+    return () => clearInterval(interval);
+  }, [fetchFleet]);
+
+  // Discovered managers are added as untested peers; test them from Settings
+  // before routing uses them.
+  const addPeer = async (peer) => {
+    setAdding(a => ({ ...a, [peer.url]: true }));
+    try {
+      const res = await fetch(`${API_BASE}/backends`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: peer.name, url: peer.url, type: 'peer' })
+      });
+      const data = await res.json();
+      if (!data.success) throw new Error(data.error || `HTTP ${res.status}`);
+      await fetchFleet();
+    } catch (err) {
+      setError(`Failed to add ${peer.name}: ${err.message}`);
+    }
+    setAdding(a => ({ ...a, [peer.url]: false }));
+  };
+
+  const peers = fleet?.peers || [];
+  const discovered = fleet?.discovered || [];
+  const online = peers.filter(p => peerStatusBadge(p).text === 'Online').length;
+
+  return (
+    <div className="page fleet-page">
+      <div className="page-header">
+        <h2>Fleet</h2>
+        <button className="btn-secondary glass-btn" onClick={fetchFleet}>
+          Refresh
+        </button>
+      </div>
+
+      {error && <div className="fleet-error">{error}</div>}
+
+      {loading ? (
+        <div className="empty-state">
+          <p>Loading fleet...</p>
+        </div>
+      ) : fleet && (
+        <>
+          <section className="page-section glass-panel">
+            <h3>Managers</h3>
+            <div className="processes-grid">
+              <ManagerCard title={`${fleet.self.name} (this manager)`} peer={{ state: fleet.self }} isSelf />
+              {peers.map(peer => (
+                <ManagerCard key={peer.id} title={peer.name} subtitle={peer.url} peer={peer} />
+              ))}
+            </div>
+            {peers.length === 0 && (
+              <p className="hint">
+                No peer managers configured. Add another Llama Manager in Settings → Remote Hosts with type
+                &quot;Llama Manager peer&quot; and its /v1 URL.
+              </p>
+            )}
+          </section>
+
+          {discovered.length > 0 && (
+            <section className="page-section glass-panel">
+              <h3>Discovered</h3>
+              <p className="hint">Managers your peers are peered with that this manager does not know yet.</p>
+              {discovered.map(peer => (
+                <div key={peer.instanceId || peer.url} className="fleet-discovered">
+                  <strong>{peer.name}</strong>
+                  <span className="fleet-subtitle">{peer.url} · via {peer.via}</span>
+                  <button
+                    className="btn-secondary glass-btn"
+                    onClick={() => addPeer(peer)}
+                    disabled={adding[peer.url]}
+                  >
+                    {adding[peer.url] ? '...' : 'Add'}
+                  </button>
+                </div>
+              ))}
+            </section>
+          )}
+
+          <section className="page-section glass-panel">
+            <h3>Summary</h3>
+            <div className="process-summary">
+              <div className="summary-item">
+                <span className="summary-label">Peers Online</span>
+                <span className="summary-value">{online}/{peers.length}</span>
+              </div>
+              <div className="summary-item">
+                <span className="summary-label">Models Loaded</span>
+                <span className="summary-value">
+                  {new Set([fleet.self, ...peers.map(p => p.state)].flatMap(s => s?.loadedModels || [])).size}
+                </span>
+              </div>
+              <div className="summary-item">
+                <span className="summary-label">Pending Requests</span>
+                <span className="summary-value">
+                  {[fleet.self, ...peers.map(p => p.state)].reduce((sum, s) => sum + (s?.queue?.pending || 0), 0)}
+                </span>
+              </div>
+            </div>
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default FleetPage;
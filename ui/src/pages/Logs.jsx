@@ -2,13 +2,18 @@
 // Copyright (c) Llama Manager project. Use of this file is governed by the
 // LICENSE file in the repository root.
 //
-// Displays manager, request, and LLM logs with filtering, detail inspection,
-// copying, and clearing controls in readable glass surfaces for both schemes.
+// Displays manager, request, LLM, and administrative audit logs with filtering,
+// detail inspection, copying, and clearing controls in readable glass surfaces
+// for both schemes.
 
 import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { API_BASE, copyTextToClipboard } from '../api.js';
 import { CodeBlock, parseMessageWithCodeBlocks } from '../components/CodeBlock.jsx';
+import { LlmReplayPanel } from '../components/LlmReplayPanel.jsx';
+import { AuditLogTable } from '../components/AuditLogTable.jsx';
+import { ShadowTrafficPanel } from '../components/ShadowTrafficPanel.jsx';
+import { buildLogQuery, endpointFilterForScope, matchesLiveLog } from './logs-query.js';
 import '../styles/pages.css';
 
 // Logs Page
@@ -25,11 +30,22 @@ function LogsPage({ logs, clearLogs, requestLogs, clearRequestLogs, llmLogs, cle
   // carry no conversation (no messages/prompt/response), so they read as "non-LLM"
   // noise — default to conversations only and let the user opt into embeddings/all.
   const [llmEndpointFilter, setLlmEndpointFilter] = useState('conversations');
+  // Status (ok/error), client, and time-range filters shared by the request and
+  // LLM tabs; all filtering runs server-side against the persisted log store.
+  const [statusFilter, setStatusFilter] = useState('');
+  const [clientFilter, setClientFilter] = useState('');
+  const [rangeFilter, setRangeFilter] = useState('');
+  // Debounce the free-text box so typing does not issue a search per keystroke.
+  const [searchText, setSearchText] = useState('');
+  useEffect(() => {
+    const timer = setTimeout(() => setSearchText(filter), 300);
+    return () => clearTimeout(timer);
+  }, [filter]);
   // Drive the active tab off the URL so /logs/llm, /logs/requests, /logs/server
-  // each survive page navigation + refresh. Falls back to 'server' if no segment.
+  // (and /logs/audit, /logs/shadow) each survive page navigation + refresh. Falls back to 'server'.
   const { tab: urlTab } = useParams();
   const navigate = useNavigate();
-  const VALID_TABS = ['server', 'requests', 'llm'];
+  const VALID_TABS = ['server', 'requests', 'llm', 'audit', 'shadow'];
   const activeTab = VALID_TABS.includes(urlTab) ? urlTab : 'server';
   const setActiveTab = (next) => {
     if (!VALID_TABS.includes(next)) next = 'server';
@@ -54,33 +70,43 @@ function LogsPage({ logs, clearLogs, requestLogs, clearRequestLogs, llmLogs, cle
     fetchFilters();
   }, []);
 
-  // Fetch historical request logs on first tab switch
+  // Persisted request logs: the newest page matching the current search, plus
+  // older pages appended via "Load older". Re-queried whenever the search changes.
   const [fetchedRequestLogs, setFetchedRequestLogs] = useState([]);
-  const [requestLogsLoaded, setRequestLogsLoaded] = useState(false);
+  const [requestLogsCursor, setRequestLogsCursor] = useState(null);
+  const [requestLogsLoading, setRequestLogsLoading] = useState(false);
+  const requestLogQuery = React.useMemo(
+    () => ({ q: searchText, status: statusFilter, client: clientFilter, range: rangeFilter }),
+    [searchText, statusFilter, clientFilter, rangeFilter]
+  );
+  const fetchRequestLogs = async (cursor = null) => {
+    setRequestLogsLoading(true);
+    try {
+      const res = await fetch(`${API_BASE}/request-logs?${buildLogQuery({ ...requestLogQuery, cursor, limit: 200 })}`);
+      const data = await res.json();
+      setFetchedRequestLogs(prev => (cursor ? [...(data.logs || []), ...prev] : data.logs || []));
+      setRequestLogsCursor(data.nextCursor || null);
+    } catch (err) {
+      console.error('Failed to fetch request logs:', err);
+    } finally {
+      setRequestLogsLoading(false);
+    }
+  };
   useEffect(() => {
-    if (activeTab !== 'requests' || requestLogsLoaded) return;
-    (async () => {
-      try {
-        const res = await fetch(`${API_BASE}/request-logs?limit=200`);
-        const data = await res.json();
-        if (data.logs?.length) setFetchedRequestLogs(data.logs);
-        setRequestLogsLoaded(true);
-      } catch (err) {
-        console.error('Failed to fetch request logs:', err);
-      }
-    })();
-  }, [activeTab, requestLogsLoaded]);
+    if (activeTab === 'requests') fetchRequestLogs();
+  }, [activeTab, requestLogQuery]);
 
-  // Merge fetched + WS request logs, deduplicated by id
+  // Merge fetched + matching WS request logs, deduplicated by id
   const allRequestLogs = React.useMemo(() => {
-    const wsIds = new Set(requestLogs.map(l => l.id));
-    const historical = fetchedRequestLogs.filter(l => !wsIds.has(l.id));
-    return [...historical, ...requestLogs].slice(-200);
-  }, [fetchedRequestLogs, requestLogs]);
+    const fetchedIds = new Set(fetchedRequestLogs.map(l => l.id));
+    const live = requestLogs.filter(l => !fetchedIds.has(l.id) && matchesLiveLog(l, requestLogQuery));
+    return [...fetchedRequestLogs, ...live];
+  }, [fetchedRequestLogs, requestLogs, requestLogQuery]);
 
   const handleClearRequestLogs = async () => {
     clearRequestLogs();
     setFetchedRequestLogs([]);
+    setRequestLogsCursor(null);
     try {
       await fetch(`${API_BASE}/request-logs`, { method: 'DELETE' });
     } catch (err) {
@@ -88,41 +114,111 @@ function LogsPage({ logs, clearLogs, requestLogs, clearRequestLogs, llmLogs, cle
     }
   };
 
-  // Fetch historical LLM logs on first tab switch
+  // Audit entries share the request tab's filters; the log is append-only, so
+  // there is no live feed and no Clear action.
+  const [fetchedAuditLogs, setFetchedAuditLogs] = useState([]);
+  const [auditLogsCursor, setAuditLogsCursor] = useState(null);
+  const [auditLogsLoading, setAuditLogsLoading] = useState(false);
+  const fetchAuditLogs = async (cursor = null) => {
+    setAuditLogsLoading(true);
+    try {
+      const res = await fetch(`${API_BASE}/audit?${buildLogQuery({ ...requestLogQuery, cursor, limit: 100 })}`);
+      const data = await res.json();
+      setFetchedAuditLogs(prev => (cursor ? [...(data.logs || []), ...prev] : data.logs || []));
+      setAuditLogsCursor(data.nextCursor || null);
+    } catch (err) {
+      console.error('Failed to fetch audit log:', err);
+    } finally {
+      setAuditLogsLoading(false);
+    }
+  };
+  useEffect(() => {
+    if (activeTab === 'audit') fetchAuditLogs();
+  }, [activeTab, requestLogQuery]);
+
+  // Shadow traffic pairs share the request tab's filters too; there is no live feed.
+  const [fetchedShadowLogs, setFetchedShadowLogs] = useState([]);
+  const [shadowLogsCursor, setShadowLogsCursor] = useState(null);
+  const [shadowLogsLoading, setShadowLogsLoading] = useState(false);
+  const fetchShadowLogs = async (cursor = null) => {
+    setShadowLogsLoading(true);
+    try {
+      const res = await fetch(`${API_BASE}/shadows/records?${buildLogQuery({ ...requestLogQuery, cursor, limit: 100 })}`);
+      const data = await res.json();
+      setFetchedShadowLogs(prev => (cursor ? [...(data.logs || []), ...prev] : data.logs || []));
+      setShadowLogsCursor(data.nextCursor || null);
+    } catch (err) {
+      console.error('Failed to fetch shadow pairs:', err);
+    } finally {
+      setShadowLogsLoading(false);
+    }
+  };
+  useEffect(() => {
+    if (activeTab === 'shadow') fetchShadowLogs();
+  }, [activeTab, requestLogQuery]);
+
+  const handleClearShadowLogs = async () => {
+    setFetchedShadowLogs([]);
+    setShadowLogsCursor(null);
+    try {
+      await fetch(`${API_BASE}/shadows/records`, { method: 'DELETE' });
+    } catch (err) {
+      console.error('Failed to clear shadow pairs:', err);
+    }
+  };
+
+  // Persisted LLM logs, paged and filtered the same way as request logs.
   const [fetchedLlmLogs, setFetchedLlmLogs] = useState([]);
-  const [llmLogsLoaded, setLlmLogsLoaded] = useState(false);
+  const [llmLogsCursor, setLlmLogsCursor] = useState(null);
+  const [llmLogsLoading, setLlmLogsLoading] = useState(false);
   const [expandedRequestLogs, setExpandedRequestLogs] = useState(new Set());
   const [expandedLlmLogs, setExpandedLlmLogs] = useState(new Set());
   const [expandedSystemMsgs, setExpandedSystemMsgs] = useState(new Set());
+  const llmLogQuery = React.useMemo(() => ({
+    q: searchText,
+    model: llmModelFilter,
+    backend: llmBackendFilter,
+    endpoint: endpointFilterForScope(llmEndpointFilter),
+    status: statusFilter,
+    client: clientFilter,
+    range: rangeFilter,
+  }), [searchText, llmModelFilter, llmBackendFilter, llmEndpointFilter, statusFilter, clientFilter, rangeFilter]);
+  const fetchLlmLogs = async (cursor = null) => {
+    setLlmLogsLoading(true);
+    try {
+      const res = await fetch(`${API_BASE}/llm-logs?${buildLogQuery({ ...llmLogQuery, cursor, limit: 50 })}`);
+      const data = await res.json();
+      setFetchedLlmLogs(prev => (cursor ? [...(data.logs || []), ...prev] : data.logs || []));
+      setLlmLogsCursor(data.nextCursor || null);
+    } catch (err) {
+      console.error('Failed to fetch LLM logs:', err);
+    } finally {
+      setLlmLogsLoading(false);
+    }
+  };
   useEffect(() => {
-    if (activeTab !== 'llm' || llmLogsLoaded) return;
-    (async () => {
-      try {
-        const res = await fetch(`${API_BASE}/llm-logs?limit=50`);
-        const data = await res.json();
-        if (data.logs?.length) setFetchedLlmLogs(data.logs);
-        setLlmLogsLoaded(true);
-      } catch (err) {
-        console.error('Failed to fetch LLM logs:', err);
-      }
-    })();
-  }, [activeTab, llmLogsLoaded]);
+    if (activeTab === 'llm') fetchLlmLogs();
+  }, [activeTab, llmLogQuery]);
 
-  const allLlmLogs = React.useMemo(() => {
+  const filteredLlmLogs = React.useMemo(() => {
     // Dedupe by id across BOTH sources and within each (the server can emit the same
     // entry twice — e.g. a backfill replays an id). A Map keyed by id keeps the first
     // seen position (chronological) while letting the live WS copy win on value, so the
     // list never renders duplicate React keys (which silently mis-render cards).
+    // Fetched pages are already filtered server-side; live entries are matched here.
     const byId = new Map();
     let autoKey = 0;
     for (const l of fetchedLlmLogs) byId.set(l.id ?? `h${autoKey++}`, l);
-    for (const l of llmLogs) byId.set(l.id ?? `w${autoKey++}`, l);
-    return [...byId.values()].slice(-50);
-  }, [fetchedLlmLogs, llmLogs]);
+    for (const l of llmLogs) {
+      if (byId.has(l.id) || matchesLiveLog(l, llmLogQuery)) byId.set(l.id ?? `w${autoKey++}`, l);
+    }
+    return [...byId.values()];
+  }, [fetchedLlmLogs, llmLogs, llmLogQuery]);
 
   const handleClearLlmLogs = async () => {
     clearLlmLogs();
     setFetchedLlmLogs([]);
+    setLlmLogsCursor(null);
     setExpandedLlmLogs(new Set());
     try {
       await fetch(`${API_BASE}/llm-logs`, { method: 'DELETE' });
@@ -147,7 +243,6 @@ function LogsPage({ logs, clearLogs, requestLogs, clearRequestLogs, llmLogs, cle
     });
   };
 
-  const [resubmitting, setResubmitting] = useState({});
   const [copiedField, setCopiedField] = useState(null);
 
   const handleCopyField = async (text, fieldId) => {
@@ -160,81 +255,29 @@ function LogsPage({ logs, clearLogs, requestLogs, clearRequestLogs, llmLogs, cle
     }
   };
 
-  const handleResubmit = async (log) => {
-    if (!log.requestBody) return;
-    setResubmitting(prev => ({ ...prev, [log.id]: 'loading' }));
-    try {
-      // Force non-streaming for resubmit so we get a clean response
-      const body = { ...log.requestBody, stream: false };
-      const res = await fetch(`${API_BASE}/v1/${log.endpoint}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
-      });
-      if (res.ok) {
-        setResubmitting(prev => ({ ...prev, [log.id]: 'success' }));
-      } else {
-        const errText = await res.text();
-        setResubmitting(prev => ({ ...prev, [log.id]: `error: ${res.status} - ${errText.slice(0, 200)}` }));
-      }
-    } catch (err) {
-      setResubmitting(prev => ({ ...prev, [log.id]: `error: ${err.message}` }));
-    }
-    // Clear status after 10 seconds
-    setTimeout(() => {
-      setResubmitting(prev => {
-        const next = { ...prev };
-        delete next[log.id];
-        return next;
-      });
-    }, 10000);
-  };
-
-  // Build unique value lists for the model/backend dropdowns from the current
-  // log set. Re-derived whenever the underlying logs change.
-  const llmModelOptions = React.useMemo(() => {
-    const set = new Set();
-    for (const l of allLlmLogs) if (l.model) set.add(l.model);
-    return [...set].sort();
-  }, [allLlmLogs]);
-  const llmBackendOptions = React.useMemo(() => {
-    const set = new Set();
-    for (const l of allLlmLogs) set.add(l.backend || 'local');
-    return [...set].sort();
-  }, [allLlmLogs]);
-
-  const filteredLlmLogs = React.useMemo(() => {
-    return allLlmLogs.filter(log => {
-      // Endpoint scope: embeddings carry no conversation, so hide them unless asked.
-      const isEmbedding = log.endpoint === 'embeddings';
-      if (llmEndpointFilter === 'conversations' && isEmbedding) return false;
-      if (llmEndpointFilter === 'embeddings' && !isEmbedding) return false;
-      // Model dropdown filter (exact match on dropdown value)
-      if (llmModelFilter && log.model !== llmModelFilter) return false;
-      // Backend dropdown filter
-      if (llmBackendFilter && (log.backend || 'local') !== llmBackendFilter) return false;
-      // Free-text filter searches model, response, messages, prompt
-      if (filter) {
-        const q = filter.toLowerCase();
-        const hit =
-          (log.model || '').toLowerCase().includes(q) ||
-          (log.response || '').toLowerCase().includes(q) ||
-          (log.messages || []).some(m =>
-            (typeof m.content === 'string' ? m.content : '').toLowerCase().includes(q)
-          ) ||
-          (log.prompt || '').toLowerCase().includes(q);
-        if (!hit) return false;
+  // Model/backend/client dropdown options accumulate from every log seen this
+  // session, so narrowing by one filter does not empty the other dropdowns.
+  const [seenLogValues, setSeenLogValues] = useState({ models: [], backends: [], clients: [] });
+  useEffect(() => {
+    setSeenLogValues(prev => {
+      const models = new Set(prev.models);
+      const backends = new Set(prev.backends);
+      const clients = new Set(prev.clients);
+      for (const l of [...fetchedLlmLogs, ...llmLogs, ...fetchedRequestLogs, ...requestLogs]) {
+        if (l.model) models.add(l.model);
+        backends.add(l.backend || 'local');
+        if (l.client) clients.add(l.client);
       }
-      return true;
+      for (const l of fetchedAuditLogs) clients.add(l.client);
+      if (models.size === prev.models.length && backends.size === prev.backends.length && clients.size === prev.clients.length) return prev;
+      return { models: [...models].sort(), backends: [...backends].sort(), clients: [...clients].sort() };
     });
-  }, [allLlmLogs, filter, llmModelFilter, llmBackendFilter, llmEndpointFilter]);
-
-  // Count embeddings currently hidden by the conversations-only default, so the
-  // endpoint dropdown can surface them instead of silently dropping entries.
-  const llmEmbeddingCount = React.useMemo(
-    () => allLlmLogs.reduce((n, l) => n + (l.endpoint === 'embeddings' ? 1 : 0), 0),
-    [allLlmLogs]
-  );
+  }, [fetchedLlmLogs, llmLogs, fetchedRequestLogs, requestLogs, fetchedAuditLogs]);
+  const llmModelOptions = seenLogValues.models;
+  const llmBackendOptions = seenLogValues.backends;
+  const clientOptions = seenLogValues.clients;
+  const hasSharedFilters = !!(statusFilter || clientFilter || rangeFilter);
+  const clearSharedFilters = () => { setStatusFilter(''); setClientFilter(''); setRangeFilter(''); };
 
   const fetchFilters = async () => {
     try {
@@ -312,13 +355,62 @@ function LogsPage({ logs, clearLogs, requestLogs, clearRequestLogs, llmLogs, cle
     return date.toLocaleTimeString('en-US', { hour12: false });
   };
 
-  const filteredRequestLogs = filter
-    ? allRequestLogs.filter(log =>
-        (log.path || '').toLowerCase().includes(filter.toLowerCase()) ||
-        (log.method || '').toLowerCase().includes(filter.toLowerCase()) ||
-        (log.model || '').toLowerCase().includes(filter.toLowerCase())
-      )
-    : allRequestLogs;
+  // Status / client / time-range selects shared by the request and LLM tabs.
+  const sharedFilterControls = (
+    <>
+      <select
+        className="logs-filter-select glass-input"
+        value={statusFilter}
+        onChange={(e) => setStatusFilter(e.target.value)}
+        title="Filter by outcome"
+      >
+        <option value="">Any status</option>
+        <option value="ok">Succeeded</option>
+        <option value="error">Failed</option>
+      </select>
+      {clientOptions.length > 0 && (
+        <select
+          className="logs-filter-select glass-input"
+          value={clientFilter}
+          onChange={(e) => setClientFilter(e.target.value)}
+          title="Filter by API client"
+        >
+          <option value="">All clients</option>
+          {clientOptions.map(c => (
+            <option key={c} value={c}>{c}</option>
+          ))}
+        </select>
+      )}
+      <select
+        className="logs-filter-select glass-input"
+        value={rangeFilter}
+        onChange={(e) => setRangeFilter(e.target.value)}
+        title="Filter by time range"
+      >
+        <option value="">All time</option>
+        <option value="1h">Last hour</option>
+        <option value="24h">Last 24 hours</option>
+        <option value="7d">Last 7 days</option>
+      </select>
+      {hasSharedFilters && (
+        <button
+          className="btn-secondary glass-btn"
+          onClick={clearSharedFilters}
+          title="Reset status/client/time filters"
+        >
+          Reset
+        </button>
+      )}
+    </>
+  );
+
+  const loadOlderButton = (cursor, loading, load) => cursor && (
+    <div className="logs-load-older">
+      <button className="btn-secondary glass-btn" onClick={() => load(cursor)} disabled={loading}>
+        {loading ? 'Loading…' : 'Load older'}
+      </button>
+    </div>
+  );
 
   const getStatusClass = (status) => {
     if (status >= 500) return 'status-5xx';
@@ -350,6 +442,18 @@ function LogsPage({ logs, clearLogs, requestLogs, clearRequestLogs, llmLogs, cle
           >
             LLM Log
           </button>
+          <button
+            className={`tab-btn glass-btn ${activeTab === 'audit' ? 'active' : ''}`}
+            onClick={() => setActiveTab('audit')}
+          >
+            Audit
+          </button>
+          <button
+            className={`tab-btn glass-btn ${activeTab === 'shadow' ? 'active' : ''}`}
+            onClick={() => setActiveTab('shadow')}
+          >
+            Shadow
+          </button>
         </div>
         <div className="logs-actions">
           <input
@@ -373,11 +477,24 @@ function LogsPage({ logs, clearLogs, requestLogs, clearRequestLogs, llmLogs, cle
               </button>
             </>
           ) : activeTab === 'requests' ? (
-            <button className="btn-secondary glass-btn" onClick={handleClearRequestLogs}>
-              Clear
-            </button>
+            <>
+              {sharedFilterControls}
+              <button className="btn-secondary glass-btn" onClick={handleClearRequestLogs}>
+                Clear
+              </button>
+            </>
+          ) : activeTab === 'audit' ? (
+            sharedFilterControls
+          ) : activeTab === 'shadow' ? (
+            <>
+              {sharedFilterControls}
+              <button className="btn-secondary glass-btn" onClick={handleClearShadowLogs}>
+                Clear
+              </button>
+            </>
           ) : (
             <>
+              {sharedFilterControls}
               <select
                 className="logs-filter-select glass-input"
                 value={llmEndpointFilter}
@@ -386,7 +503,7 @@ function LogsPage({ logs, clearLogs, requestLogs, clearRequestLogs, llmLogs, cle
               >
                 <option value="conversations">Conversations</option>
                 <option value="all">All requests</option>
-                <option value="embeddings">Embeddings{llmEmbeddingCount ? ` (${llmEmbeddingCount})` : ''}</option>
+                <option value="embeddings">Embeddings</option>
               </select>
               <select
                 className="logs-filter-select glass-input"
@@ -527,13 +644,20 @@ function LogsPage({ logs, clearLogs, requestLogs, clearRequestLogs, llmLogs, cle
           ref={logsContainerRef}
           onScroll={handleScroll}
         >
-          {filteredRequestLogs.length === 0 ? (
+          {allRequestLogs.length === 0 ? (
             <div className="logs-empty">
-              <p>No request logs yet</p>
-              <p className="hint">Enable request logging in Settings, then API requests will appear here</p>
+              {searchText || hasSharedFilters ? (
+                <p>No request logs match the current filters</p>
+              ) : (
+                <>
+                  <p>No request logs yet</p>
+                  <p className="hint">Enable request logging in Settings, then API requests will appear here</p>
+                </>
+              )}
             </div>
           ) : (
             <div className="request-logs-table">
+              {loadOlderButton(requestLogsCursor, requestLogsLoading, fetchRequestLogs)}
               <table>
                 <thead>
                   <tr>
@@ -547,7 +671,7 @@ function LogsPage({ logs, clearLogs, requestLogs, clearRequestLogs, llmLogs, cle
                   </tr>
                 </thead>
                 <tbody>
-                  {filteredRequestLogs.map((log, i) => {
+                  {allRequestLogs.map((log, i) => {
                     const hasError = log.error && log.status >= 400;
                     const hasRetries = log.retries > 0;
                     const isExpandable = hasError || hasRetries;
@@ -621,27 +745,56 @@ function LogsPage({ logs, clearLogs, requestLogs, clearRequestLogs, llmLogs, cle
             </div>
           )}
         </div>
+      ) : activeTab === 'audit' ? (
+        <div className="logs-container glass-panel">
+          {fetchedAuditLogs.length === 0 ? (
+            <div className="logs-empty">
+              {searchText || hasSharedFilters ? (
+                <p>No audit entries match the current filters</p>
+              ) : (
+                <>
+                  <p>No administrative actions recorded yet</p>
+                  <p className="hint">Model loads, preset, alias and routing edits, process kills, updates and settings writes appear here</p>
+                </>
+              )}
+            </div>
+          ) : (
+            <AuditLogTable
+              logs={fetchedAuditLogs}
+              formatTime={formatTime}
+              getStatusClass={getStatusClass}
+              header={loadOlderButton(auditLogsCursor, auditLogsLoading, fetchAuditLogs)}
+            />
+          )}
+        </div>
+      ) : activeTab === 'shadow' ? (
+        <div className="logs-container glass-panel">
+          <ShadowTrafficPanel
+            records={fetchedShadowLogs}
+            formatTime={formatTime}
+            getStatusClass={getStatusClass}
+            header={loadOlderButton(shadowLogsCursor, shadowLogsLoading, fetchShadowLogs)}
+          />
+        </div>
       ) : (
         <div className="logs-container glass-panel llm-logs-container">
           {filteredLlmLogs.length === 0 ? (
             <div className="logs-empty">
-              {llmEndpointFilter === 'conversations' && llmEmbeddingCount > 0 ? (
-                <>
-                  <p>No conversations to show</p>
-                  <p className="hint">
-                    {llmEmbeddingCount} embedding {llmEmbeddingCount === 1 ? 'request is' : 'requests are'} hidden.
-                    Switch the request-type filter to “Embeddings” or “All requests” to see them.
-                  </p>
-                </>
+              {searchText || hasSharedFilters || llmModelFilter || llmBackendFilter || llmEndpointFilter !== 'conversations' ? (
+                <p>No LLM logs match the current filters</p>
               ) : (
                 <>
                   <p>No LLM conversation logs yet</p>
-                  <p className="hint">Send a request via Chat or any API endpoint to see conversations here</p>
+                  <p className="hint">
+                    Send a request via Chat or any API endpoint to see conversations here.
+                    Embedding requests are hidden unless the request-type filter includes them.
+                  </p>
                 </>
               )}
             </div>
           ) : (
             <div className="llm-logs-list">
+              {loadOlderButton(llmLogsCursor, llmLogsLoading, fetchLlmLogs)}
               {filteredLlmLogs.map((log) => {
                 const isExpanded = expandedLlmLogs.has(log.id);
                 const isError = log.status >= 400 || !!log.error;
@@ -662,6 +815,10 @@ function LogsPage({ logs, clearLogs, requestLogs, clearRequestLogs, llmLogs, cle
                       {log.backend && log.backend !== 'local' && <span className="llm-log-badge backend">{log.backend}</span>}
                       {log.stream && <span className="llm-log-badge stream">stream</span>}
                       {log.retries > 0 && <span className="llm-log-badge retry">{log.retries} {log.retries === 1 ? 'retry' : 'retries'}</span>}
+                      {log.bodyCaptured === false && <span className="llm-log-badge redacted" title="This client opted out of body capture">no body</span>}
+                      {log.redactions && (
+                        <span className="llm-log-badge redacted" title={Object.entries(log.redactions).map(([name, n]) => `${name}: ${n}`).join(', ')}>redacted</span>
+                      )}
                       {isError && <span className="llm-log-badge error">{log.status || 'ERR'}</span>}
                     </div>
                     {isExpanded && (
@@ -725,7 +882,7 @@ function LogsPage({ logs, clearLogs, requestLogs, clearRequestLogs, llmLogs, cle
                           <div className="llm-log-response-content">
                             {log.response
                               ? parseMessageWithCodeBlocks(log.response)
-                              : <span className="llm-log-empty">{isError ? 'No response (request failed)' : 'No response captured'}</span>
+                              : <span className="llm-log-empty">{isError ? 'No response (request failed)' : log.bodyCaptured === false ? 'Body capture disabled for this client' : 'No response captured'}</span>
                             }
                           </div>
                         </div>
@@ -775,20 +932,7 @@ function LogsPage({ logs, clearLogs, requestLogs, clearRequestLogs, llmLogs, cle
                               >{copiedField === `body-${log.id}` ? 'Copied' : 'Copy'}</button>
                             </div>
                             <pre className="llm-log-request-body">{JSON.stringify(displayBody, null, 2)}</pre>
-                            <div className="llm-log-resubmit-row">
-                              <button
-                                className="btn-secondary glass-btn resubmit-btn"
-                                onClick={(e) => { e.stopPropagation(); handleResubmit(log); }}
-                                disabled={resubmitting[log.id] === 'loading'}
-                              >
-                                {resubmitting[log.id] === 'loading' ? 'Resubmitting...' : 'Resubmit Request'}
-                              </button>
-                              {resubmitting[log.id] && resubmitting[log.id] !== 'loading' && (
-                                <span className={`resubmit-status ${resubmitting[log.id] === 'success' ? 'success' : 'error'}`}>
-                                  {resubmitting[log.id] === 'success' ? 'Success - check LLM Log for new entry' : resubmitting[log.id]}
-                                </span>
-                              )}
-                            </div>
+                            <LlmReplayPanel log={log} modelOptions={llmModelOptions} backendOptions={llmBackendOptions} />
                           </div>
                           );
                         })()}
@@ -2,18 +2,256 @@
 // Copyright (c) Llama Manager project. Use of this file is governed by the
 // LICENSE file in the repository root.
 //
-// Displays active and pending requests and provides request cancellation and
-// queue management controls in responsive glass table panels.
+// Displays active and pending requests, per-client usage against rate limits
+// and token quotas with each client's fair share of the local lane, and Batch API jobs with their schedule, and provides
+// request cancellation and queue management controls in responsive glass
+// table panels.
 
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { API_BASE } from '../api.js';
 import { parseMessageWithCodeBlocks } from '../components/CodeBlock.jsx';
 import { StatCard } from '../components/util.jsx';
+import { batchGateLabel, batchProgress, textToWindows, windowsToText } from '../batches.js';
+import { shareLabel, withClientWeight } from '../queue-share.js';
 import '../styles/pages.css';
 
+// Batch API jobs (/v1/batches) with progress, plus the schedule that decides
+// when their background requests may run.
+function BatchesSection() {
+  const [data, setData] = useState(null);
+  const [form, setForm] = useState(null);
+  const [message, setMessage] = useState('');
+  const [busy, setBusy] = useState(null);
+
+  const fetchBatches = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/batches`);
+      if (res.ok) setData(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch batches:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBatches();
+    const interval = setInterval(fetchBatches, 5000);
+    return () => clearInterval(interval);
+  }, [fetchBatches]);
+
+  const editSchedule = () => {
+    const { windows, requireCool, concurrency, maxAttempts } = data.settings;
+    setForm({ windows: windowsToText(windows), requireCool, concurrency, maxAttempts });
+    setMessage('');
+  };
+
+  const saveSchedule = async () => {
+    setBusy('settings');
+    try {
+      const body = { ...form, windows: textToWindows(form.windows), concurrency: Number(form.concurrency), maxAttempts: Number(form.maxAttempts) };
+      const res = await fetch(`${API_BASE}/batches/settings`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const result = await res.json();
+      if (!res.ok) throw new Error(result.error || `HTTP ${res.status}`);
+      setForm(null);
+      setMessage('');
+      fetchBatches();
+    } catch (err) {
+      setMessage(err.message);
+    }
+    setBusy(null);
+  };
+
+  const cancelBatch = async (id) => {
+    setBusy(id);
+    try {
+      const res = await fetch(`${API_BASE}/v1/batches/${id}/cancel`, { method: 'POST' });
+      if (!res.ok) setMessage((await res.json()).error?.message || `HTTP ${res.status}`);
+      fetchBatches();
+    } catch (err) {
+      setMessage(err.message);
+    }
+    setBusy(null);
+  };
+
+  if (!data) return null;
+  const { settings, gate, batches } = data;
+  const formatTime = (seconds) => (seconds ? new Date(seconds * 1000).toLocaleString() : '-');
+
+  return (
+    <div className="queue-section glass-panel">
+      <h3>Batches</h3>
+      <div className="queue-batch-schedule">
+        <span className={gate.open ? '' : 'elapsed-warning'}>{batchGateLabel(gate)}</span>
+        <span className="queue-backend-tag">{settings.windows.length ? windowsToText(settings.windows) : 'any time'}</span>
+        {settings.requireCool && <span className="queue-backend-tag">GPU must be cool</span>}
+        <span className="queue-backend-tag">concurrency {settings.concurrency}</span>
+        {!form && <button className="btn-secondary btn-small glass-btn" onClick={editSchedule}>Edit schedule</button>}
+      </div>
+      {form && (
+        <div className="settings-grid queue-batch-form">
+          <div className="setting-item">
+            <label htmlFor="batchWindows">Windows</label>
+            <p className="setting-hint">Local times when batches may run, e.g. <code>22:00-06:00</code>. Empty means any time.</p>
+            <input id="batchWindows" className="glass-input" value={form.windows} placeholder="22:00-06:00" onChange={(e) => setForm({ ...form, windows: e.target.value })} />
+          </div>
+          <div className="setting-item">
+            <label htmlFor="batchConcurrency">Concurrency</label>
+            <p className="setting-hint">Batch requests in flight at once, across all batches.</p>
+            <input id="batchConcurrency" type="number" min="1" max="16" value={form.concurrency} onChange={(e) => setForm({ ...form, concurrency: e.target.value })} />
+          </div>
+          <div className="setting-item">
+            <label htmlFor="batchAttempts">Attempts</label>
+            <p className="setting-hint">Tries per request when it is preempted or the server errors.</p>
+            <input id="batchAttempts" type="number" min="1" max="10" value={form.maxAttempts} onChange={(e) => setForm({ ...form, maxAttempts: e.target.value })} />
+          </div>
+          <div className="setting-item checkbox">
+            <label>
+              <input type="checkbox" checked={form.requireCool} onChange={(e) => setForm({ ...form, requireCool: e.target.checked })} />
+              <span>Only while cool</span>
+            </label>
+            <p className="setting-hint">Pause batches whenever the thermal guard reports throttled or critical.</p>
+          </div>
+          <div className="header-actions">
+            <button className="btn-secondary glass-btn" onClick={() => { setForm(null); setMessage(''); }}>Cancel</button>
+            <button className="btn-primary glass-btn" onClick={saveSchedule} disabled={busy === 'settings'}>Save</button>
+          </div>
+        </div>
+      )}
+      {message && <p className="setting-hint elapsed-warning">{message}</p>}
+      {batches.length > 0 ? (
+        <div className="queue-table">
+          <div className="queue-table-header">
+            <span className="queue-col-id">Batch</span>
+            <span className="queue-col-endpoint">Endpoint</span>
+            <span className="queue-col-model">Status</span>
+            <span className="queue-col-message">Progress</span>
+            <span className="queue-col-elapsed">Created</span>
+            <span className="queue-col-actions">Actions</span>
+          </div>
+          {batches.map(batch => {
+            const progress = batchProgress(batch);
+            const cancellable = batch.status === 'validating' || batch.status === 'in_progress';
+            return (
+              <div key={batch.id} className="queue-table-row">
+                <span className="queue-col-id" title={batch.id}>{batch.id.slice(0, 14)}…</span>
+                <span className="queue-col-endpoint">{batch.endpoint}</span>
+                <span className="queue-col-model">
+                  <span className="queue-model-name">{batch.status}</span>
+                  {batch.in_flight > 0 && <span className="queue-backend-tag">{batch.in_flight} running</span>}
+                </span>
+                <span className="queue-col-message" title={`${batch.request_counts.completed} completed, ${batch.request_counts.failed} failed`}>
+                  <span className="queue-batch-progress">
+                    <span className="progress-bar"><span className="progress-fill" style={{ width: `${progress.percent}%` }} /></span>
+                    {progress.done} / {progress.total}
+                  </span>
+                </span>
+                <span className="queue-col-elapsed">{formatTime(batch.created_at)}</span>
+                <span className="queue-col-actions">
+                  {cancellable && (
+                    <button className="btn-danger-sm glass-btn" onClick={() => cancelBatch(batch.id)} disabled={busy === batch.id} title="Cancel this batch">
+                      {busy === batch.id ? '...' : 'Cancel'}
+                    </button>
+                  )}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <p className="setting-hint">No batches yet. Submit one with <code>POST /v1/batches</code>.</p>
+      )}
+    </div>
+  );
+}
+
+// Resumable preemption: whether a streamed background generation preempted by
+// realtime work pauses and continues later instead of failing.
+function PreemptionSection() {
+  const [data, setData] = useState(null);
+  const [maxResumes, setMaxResumes] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchPreemption = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/queue/preemption`);
+      if (res.ok) {
+        const next = await res.json();
+        setData(next);
+        setMaxResumes(String(next.settings.maxResumes));
+      }
+    } catch (err) {
+      console.error('Failed to fetch preemption settings:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPreemption();
+  }, [fetchPreemption]);
+
+  const save = async (changes) => {
+    try {
+      const res = await fetch(`${API_BASE}/queue/preemption`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...data.settings, ...changes }),
+      });
+      const result = await res.json();
+      if (!res.ok) throw new Error(result.error || `HTTP ${res.status}`);
+      setMessage('');
+    } catch (err) {
+      setMessage(err.message);
+    }
+    fetchPreemption();
+  };
+
+  if (!data) return null;
+  const { settings, stats } = data;
+
+  return (
+    <div className="queue-section glass-panel">
+      <h3>Background preemption</h3>
+      <div className="queue-preemption">
+        <label>
+          <input type="checkbox" checked={settings.enabled} onChange={(e) => save({ enabled: e.target.checked })} />
+          <span>Resume preempted streams</span>
+        </label>
+        <label>
+          <input type="checkbox" checked={settings.saveSlot} disabled={!settings.enabled} onChange={(e) => save({ saveSlot: e.target.checked })} />
+          <span>Save the slot first</span>
+        </label>
+        <label>
+          <span>Resumes per request</span>
+          <input
+            type="number"
+            min="1"
+            max="20"
+            className="glass-input queue-weight-input"
+            value={maxResumes}
+            disabled={!settings.enabled}
+            onChange={(e) => setMaxResumes(e.target.value)}
+            onBlur={() => { if (maxResumes !== String(settings.maxResumes)) save({ maxResumes: Number(maxResumes) }); }}
+          />
+        </label>
+        <span className="queue-backend-tag" title="Since the manager started">
+          {stats.resumes} resumed / {stats.checkpoints} preempted{stats.failed ? `, ${stats.failed} failed` : ''}
+        </span>
+      </div>
+      <p className="setting-hint">
+        A streamed background chat completion that realtime work preempts keeps the output it has sent, waits for the lane, and continues from there as one response.
+      </p>
+      {message && <p className="setting-hint elapsed-warning">{message}</p>}
+    </div>
+  );
+}
+
 // Queue Management Page
 function QueuePage({ stats, activeRequestsMap }) {
   const [queueData, setQueueData] = useState({ items: [], concurrency: 1, totalQueued: 0 });
+  const [clientUsage, setClientUsage] = useState([]);
+  const [queueWeights, setQueueWeights] = useState({});
   const [cancelling, setCancelling] = useState(new Set());
   const [expandedId, setExpandedId] = useState(null);
   const [expandedSysMsgs, setExpandedSysMsgs] = useState(new Set());
@@ -83,6 +321,38 @@ function QueuePage({ stats, activeRequestsMap }) {
     return () => clearInterval(interval);
   }, [fetchQueue]);
 
+  // Client quota counters change slowly; poll them less often than the queue.
+  const fetchClients = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/queue/clients`);
+      if (!res.ok) return;
+      const data = await res.json();
+      setClientUsage(data.clients || []);
+      setQueueWeights(data.weights || {});
+    } catch (err) {
+      console.error('Failed to fetch client usage:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchClients();
+    const interval = setInterval(fetchClients, 5000);
+    return () => clearInterval(interval);
+  }, [fetchClients]);
+
+  const saveWeight = async (clientId, value) => {
+    const next = withClientWeight(queueWeights, clientId, value);
+    try {
+      const res = await fetch(`${API_BASE}/queue/clients/weights`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(next),
+      });
+      if (!res.ok) console.error('Weight update failed:', (await res.json()).error);
+    } catch (err) { console.error('Failed to update weight:', err); }
+    fetchClients();
+  };
+
   const cancelItem = async (id) => {
     setCancelling(prev => new Set(prev).add(id));
     try {
@@ -290,6 +560,7 @@ function QueuePage({ stats, activeRequestsMap }) {
                       <span className="queue-model-name">{item.model.length > 25 ? item.model.slice(0, 22) + '...' : item.model}</span>
                       {item.offloaded && <span className="queue-backend-tag">{item.backendName}</span>}
                       {!item.offloaded && item.backend === 'local' && <span className="queue-backend-tag local">local</span>}
+                      {item.client && <span className="queue-backend-tag" title="Client">{item.client}</span>}
                     </span>
                     <span className="queue-col-endpoint">{item.endpoint}</span>
                     <span className="queue-col-message" title={live.userMessage}>{live.userMessage ? (live.userMessage.length > 60 ? live.userMessage.slice(0, 57) + '...' : live.userMessage) : '-'}</span>
@@ -382,6 +653,7 @@ function QueuePage({ stats, activeRequestsMap }) {
                   <span className="queue-col-model" title={item.model}>
                     <span className="queue-model-name">{item.model.length > 25 ? item.model.slice(0, 22) + '...' : item.model}</span>
                     {item.backendName && <span className="queue-backend-tag">{item.backendName}</span>}
+                    {item.client && <span className="queue-backend-tag" title="Client">{item.client}</span>}
                   </span>
                   <span className="queue-col-endpoint">{item.endpoint}</span>
                   <span className="queue-col-message" title={item.userMessage}>{item.userMessage ? (item.userMessage.length > 60 ? item.userMessage.slice(0, 57) + '...' : item.userMessage) : '-'}</span>
@@ -396,7 +668,14 @@ function QueuePage({ stats, activeRequestsMap }) {
                       </span>
                     ) : '-'}
                   </span>
-                  <span className={`queue-col-elapsed ${item.elapsed > 60000 ? 'elapsed-warning' : ''}`}>{formatElapsed(item.elapsed)}</span>
+                  <span className={`queue-col-elapsed ${item.elapsed > 60000 ? 'elapsed-warning' : ''}`}>
+                    {formatElapsed(item.elapsed)}
+                    {item.deadlineAt && (
+                      <div className="queue-position-tag" title={`Dropped with a 504 if still queued at ${new Date(item.deadlineAt).toLocaleTimeString()}`}>
+                        due {formatElapsed(Math.max(0, item.deadlineAt - Date.now()))}
+                      </div>
+                    )}
+                  </span>
                   <span className="queue-col-actions">
                     <button
                       className="btn-danger-sm glass-btn"
@@ -414,6 +693,62 @@ function QueuePage({ stats, activeRequestsMap }) {
         </div>
       )}
 
+      {clientUsage.length > 0 && (
+        <div className="queue-section glass-panel">
+          <h3>Clients</h3>
+          <div className="queue-table">
+            <div className="queue-table-header">
+              <span className="queue-col-model">Client</span>
+              <span className="queue-col-endpoint">In flight</span>
+              <span className="queue-col-endpoint">Req / min</span>
+              <span className="queue-col-message">Tokens today</span>
+              <span className="queue-col-tokens">Rejected</span>
+              <span className="queue-col-tokens">Weight</span>
+              <span className="queue-col-endpoint">Lane share</span>
+              <span className="queue-col-elapsed">Last seen</span>
+            </div>
+            {clientUsage.map(client => {
+              const { limits = {} } = client;
+              const ofLimit = (value, limit) => limit ? `${value.toLocaleString()} / ${limit.toLocaleString()}` : value.toLocaleString();
+              const tokensExhausted = limits.tokensPerDay && client.dayTokens >= limits.tokensPerDay;
+              return (
+                <div key={client.id} className="queue-table-row">
+                  <span className="queue-col-model" title={client.id}>
+                    <span className="queue-model-name">{client.label || client.id}</span>
+                    <span className="queue-backend-tag">{client.source}</span>
+                  </span>
+                  <span className="queue-col-endpoint">{ofLimit(client.inFlight, limits.maxConcurrent)}</span>
+                  <span className="queue-col-endpoint">{ofLimit(client.requestsLastMinute, limits.requestsPerMinute)}</span>
+                  <span className={`queue-col-message ${tokensExhausted ? 'elapsed-warning' : ''}`} title={`${client.totalTokens.toLocaleString()} tokens lifetime`}>
+                    {ofLimit(client.dayTokens, limits.tokensPerDay)}
+                  </span>
+                  <span className="queue-col-tokens">{client.rejected || '-'}</span>
+                  <span className="queue-col-tokens">
+                    <input
+                      key={`${client.id}-${client.weight}`}
+                      type="number"
+                      className="queue-weight-input"
+                      min="0.1"
+                      max="100"
+                      step="0.1"
+                      defaultValue={client.weight}
+                      title="Fair-share weight within each priority class"
+                      onBlur={(e) => { if (Number(e.target.value) !== client.weight) saveWeight(client.id, e.target.value); }}
+                    />
+                  </span>
+                  <span className="queue-col-endpoint" title="Share of the last 100 local dispatches (fair share while it has work queued)">{shareLabel(client.queue)}</span>
+                  <span className="queue-col-elapsed">{client.lastSeenAt ? formatElapsed(Date.now() - client.lastSeenAt) + ' ago' : '-'}</span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      <BatchesSection />
+
+      <PreemptionSection />
+
       {queueData.items.length === 0 && (
         <div className="queue-empty glass-panel">
           <span className="queue-empty-icon">&#x2705;</span>
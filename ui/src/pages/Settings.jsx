@@ -3,11 +3,19 @@
 // LICENSE file in the repository root.
 //
 // Provides appearance, general configuration, model mappings, remote backends,
-// and llama.cpp update controls in glass-aligned settings panels.
+// client API keys, and llama.cpp update controls in glass-aligned settings panels.
 
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { API_BASE } from '../api.js';
+import { getStoredApiKey, setStoredApiKey, withWebSocketApiKey } from '../api-auth.js';
 import { resolveLlamaUpdateView } from '../llama-update-policy.js';
+import { circuitBadge, latencyLabel, probeLabel } from '../backend-health.js';
+import { budgetBadge, findLimit, spendLabel } from '../backend-budget.js';
+import { formatSloTargets, parseSloTargets, sloAccuracyLabel } from '../slo-routing.js';
+import { hedgeSummaryLabel, parseHedgeAliases } from '../request-hedging.js';
+import { lastSyncLabel, suggestionLabel } from '../model-mapping-sync.js';
+import { formToTransforms, transformsToForm } from '../backend-transforms.js';
+import { promoteWeights, rollbackWeights, shareLabel, splitStatsLabel } from '../alias-split.js';
 import { DEFAULT_THEME_ID } from '../theme/manifest.js';
 import {
   getColorScheme,
@@ -168,7 +176,7 @@ function SettingsPage() {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [message, setMessage] = useState(null);
-  const [activeTab, setActiveTab] = useState('general'); // 'general' | 'hosts' | 'mapping'
+  const [activeTab, setActiveTab] = useState('general'); // 'general' | 'hosts' | 'mapping' | 'keys'
   // Real model ids for the default-big/default-small target dropdowns (the synthetic
   // alias entries are excluded so an alias can't be pointed at itself).
   const [modelOptions, setModelOptions] = useState([]);
@@ -276,6 +284,7 @@ function SettingsPage() {
         <button className={`tab-btn glass-btn ${activeTab === 'general' ? 'active' : ''}`} onClick={() => setActiveTab('general')}>General</button>
         <button className={`tab-btn glass-btn ${activeTab === 'hosts' ? 'active' : ''}`} onClick={() => setActiveTab('hosts')}>Remote Hosts</button>
         <button className={`tab-btn glass-btn ${activeTab === 'mapping' ? 'active' : ''}`} onClick={() => setActiveTab('mapping')}>Model Mapping</button>
+        <button className={`tab-btn glass-btn ${activeTab === 'keys' ? 'active' : ''}`} onClick={() => setActiveTab('keys')}>API Keys</button>
       </div>
 
       {activeTab === 'general' && (
@@ -592,6 +601,8 @@ function SettingsPage() {
         </div>
       </section>
 
+      <RedactionSection setMessage={setMessage} />
+
       <section className="page-section glass-panel">
         <h3>Dashboard</h3>
         <div className="settings-grid">
@@ -629,12 +640,205 @@ function SettingsPage() {
       )}
 
       {activeTab === 'mapping' && (
-        <ModelMappingSection setMessage={setMessage} />
+        <>
+          <ModelMappingSection setMessage={setMessage} />
+          <AliasSplitsSection setMessage={setMessage} />
+        </>
+      )}
+
+      {activeTab === 'keys' && (
+        <ApiKeysSection setMessage={setMessage} />
       )}
     </div>
   );
 }
 
+// Redaction Section — built-in detectors, operator regex rules and the clients
+// whose prompts/responses are never captured. Saved separately from the main
+// settings via PUT /api/redaction/settings; "Preview" dry-runs the unsaved form.
+function RedactionSection({ setMessage }) {
+  const [form, setForm] = React.useState(null);
+  const [available, setAvailable] = React.useState([]);
+  const [saving, setSaving] = React.useState(false);
+  const [sample, setSample] = React.useState('');
+  const [preview, setPreview] = React.useState(null);
+
+  const load = React.useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/redaction/settings`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setAvailable(data.availableDetectors || []);
+      setForm({
+        enabled: data.enabled,
+        detectors: data.detectors,
+        rules: data.rules.map(rule => ({ ...rule })),
+        noBodyCapture: data.noBodyCapture.join('\n'),
+      });
+    } catch (err) {
+      setMessage({ type: 'error', text: `Failed to load redaction settings: ${err.message}` });
+    }
+  }, [setMessage]);
+
+  React.useEffect(() => { load(); }, [load]);
+
+  if (!form) return null;
+
+  const toPayload = () => ({
+    enabled: form.enabled,
+    detectors: form.detectors,
+    rules: form.rules.filter(rule => rule.name.trim() || rule.pattern),
+    noBodyCapture: form.noBodyCapture.split(/[\n,]/).map(id => id.trim()).filter(Boolean),
+  });
+
+  const updateRule = (index, patch) => {
+    setForm(f => ({ ...f, rules: f.rules.map((rule, i) => i === index ? { ...rule, ...patch } : rule) }));
+  };
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const res = await fetch(`${API_BASE}/redaction/settings`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(toPayload()),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setMessage({ type: 'success', text: 'Redaction settings saved' });
+      await load();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runPreview = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/redaction/preview`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: sample, settings: toPayload() }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setPreview(data);
+    } catch (err) {
+      setPreview({ error: err.message });
+    }
+  };
+
+  return (
+    <section className="page-section glass-panel">
+      <h3>Sensitive Data Redaction</h3>
+      <div className="settings-grid">
+        <div className="setting-item checkbox">
+          <label>
+            <input
+              type="checkbox"
+              checked={form.enabled}
+              onChange={(e) => setForm(f => ({ ...f, enabled: e.target.checked }))}
+            />
+            <span>Redact Logs and Live Views</span>
+          </label>
+          <p className="setting-hint">
+            Matches are replaced with <code>[REDACTED:name]</code> before anything reaches the server log, request and LLM logs, the audit log or the dashboard's live request view. Entries logged earlier are not rewritten.
+          </p>
+        </div>
+        <div className="setting-item">
+          <label>Built-in Detectors</label>
+          <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', margin: '8px 0' }}>
+            {available.map(name => (
+              <label key={name} style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                <input
+                  type="checkbox"
+                  checked={form.detectors[name] !== false}
+                  onChange={(e) => setForm(f => ({ ...f, detectors: { ...f.detectors, [name]: e.target.checked } }))}
+                />
+                <code>{name}</code>
+              </label>
+            ))}
+          </div>
+        </div>
+        <div className="setting-item">
+          <label htmlFor="noBodyCapture">Never Capture Bodies For</label>
+          <p className="setting-hint">
+            Client ids or API key labels, one per line. Their prompts and responses are never logged or shown; only model, token counts and timing are kept.
+          </p>
+          <textarea
+            id="noBodyCapture"
+            className="glass-input"
+            rows={3}
+            value={form.noBodyCapture}
+            onChange={(e) => setForm(f => ({ ...f, noBodyCapture: e.target.value }))}
+          />
+        </div>
+      </div>
+
+      <div className="model-map-table-wrap">
+      <table className="model-map-table" style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ textAlign: 'left', color: 'var(--text-secondary)', fontSize: '0.8em' }}>
+            <th style={{ padding: '4px 6px' }}>Rule</th>
+            <th style={{ padding: '4px 6px' }}>Pattern (regex)</th>
+            <th style={{ padding: '4px 6px' }}>Flags</th>
+            <th style={{ padding: '4px 6px' }}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {form.rules.length === 0 && (
+            <tr><td colSpan={4} style={{ padding: '8px 6px', color: 'var(--text-muted)' }}>No custom rules.</td></tr>
+          )}
+          {form.rules.map((rule, index) => (
+            <tr key={index}>
+              <td style={{ padding: '4px 6px' }}>
+                <input className="glass-input" placeholder="employee_id" value={rule.name} onChange={(e) => updateRule(index, { name: e.target.value })} />
+              </td>
+              <td style={{ padding: '4px 6px' }}>
+                <input className="glass-input" placeholder="EMP-\d{6}" value={rule.pattern} onChange={(e) => updateRule(index, { pattern: e.target.value })} style={{ width: '100%', fontFamily: "'SF Mono', Monaco, 'Cascadia Code', monospace" }} />
+              </td>
+              <td style={{ padding: '4px 6px' }}>
+                <input className="glass-input" placeholder="i" value={rule.flags} onChange={(e) => updateRule(index, { flags: e.target.value })} style={{ width: '4em' }} />
+              </td>
+              <td style={{ padding: '4px 6px' }}>
+                <button className="btn-secondary glass-btn" style={{ padding: '2px 8px', fontSize: '0.85em' }} onClick={() => setForm(f => ({ ...f, rules: f.rules.filter((_, i) => i !== index) }))}>Remove</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', margin: '8px 0' }}>
+        <button className="btn-secondary glass-btn" onClick={() => setForm(f => ({ ...f, rules: [...f.rules, { name: '', pattern: '', flags: '' }] }))}>Add Rule</button>
+        <button className="btn-primary glass-btn" onClick={save} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Redaction'}
+        </button>
+      </div>
+
+      <div className="setting-item">
+        <label htmlFor="redactionSample">Preview</label>
+        <p className="setting-hint">Runs the form above (saved or not, with redaction on) over sample text.</p>
+        <textarea
+          id="redactionSample"
+          className="glass-input"
+          rows={3}
+          placeholder="Reach me at jane@example.com or +1 415 555 2671"
+          value={sample}
+          onChange={(e) => setSample(e.target.value)}
+        />
+        <button className="btn-secondary glass-btn" onClick={runPreview} disabled={!sample}>Preview</button>
+        {preview && (
+          preview.error
+            ? <div className="settings-message error">{preview.error}</div>
+            : <pre className="settings-preview">{preview.text}</pre>
+        )}
+      </div>
+    </section>
+  );
+}
+
 // Model Mapping Section — unified table mapping local model ids to a remote host's model.
 // Rows are flattened from every backend's modelMapping; saving rebuilds each
 // backend's mapping and PUTs it back. Local and remote fields are datalist
@@ -647,6 +851,8 @@ function ModelMappingSection({ setMessage }) {
   const [rows, setRows] = React.useState([]); // { rowId, backendId, localKey, remoteValue }
   const [saving, setSaving] = React.useState(false);
   const [refreshing, setRefreshing] = React.useState(false);
+  const [suggestions, setSuggestions] = React.useState(null); // backendId -> { suggestions, lastSync, error }
+  const [suggesting, setSuggesting] = React.useState(false);
   const rowIdRef = React.useRef(1);
   // Snapshot of each backend's mapping at load time, so save only rewrites the
   // hosts whose mapping actually changed — existing mappings are never clobbered.
@@ -704,6 +910,51 @@ function ModelMappingSection({ setMessage }) {
     setRefreshing(false);
   };
 
+  // Suggestions match each host's model list to local models and aliases;
+  // peer managers serve their own names and are skipped.
+  const suggest = async () => {
+    setSuggesting(true);
+    const next = {};
+    await Promise.all(backends.filter(b => b.type !== 'peer').map(async b => {
+      try {
+        const r = await fetch(`${API_BASE}/backends/${b.id}/model-suggestions`);
+        const d = await r.json();
+        next[b.id] = r.ok ? { suggestions: d.suggestions || [], lastSync: d.lastSync } : { suggestions: [], error: d.error || `HTTP ${r.status}` };
+      } catch (err) {
+        next[b.id] = { suggestions: [], error: err.message };
+      }
+    }));
+    setSuggestions(next);
+    setSuggesting(false);
+  };
+
+  const applySuggestions = async (backend, ids) => {
+    try {
+      const r = await fetch(`${API_BASE}/backends/${backend.id}/model-suggestions/apply`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ids })
+      });
+      const d = await r.json();
+      if (!r.ok) throw new Error(d.error || `HTTP ${r.status}`);
+      setMessage({ type: 'success', text: `Applied ${d.applied.length} suggestion${d.applied.length === 1 ? '' : 's'} for ${backend.name}` });
+      await loadAll();
+      suggest();
+    } catch (err) {
+      setMessage({ type: 'error', text: `Failed to apply suggestions for ${backend.name}: ${err.message}` });
+    }
+  };
+
+  const toggleAutoSync = async (backend, autoSyncModels) => {
+    try {
+      const r = await fetch(`${API_BASE}/backends/${backend.id}`, {
+        method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ autoSyncModels })
+      });
+      if (!(await r.json()).success) throw new Error(`HTTP ${r.status}`);
+      setBackends(bs => bs.map(b => b.id === backend.id ? { ...b, autoSyncModels } : b));
+    } catch (err) {
+      setMessage({ type: 'error', text: `Failed to update ${backend.name}: ${err.message}` });
+    }
+  };
+
   const updateRow = (rowId, patch) => setRows(rs => rs.map(r => r.rowId === rowId ? { ...r, ...patch } : r));
   const removeRow = (rowId) => setRows(rs => rs.filter(r => r.rowId !== rowId));
   const addRow = () => setRows(rs => [...rs, { rowId: rowIdRef.current++, backendId: backends[0]?.id || '', localKey: '', remoteValue: '' }]);
@@ -758,15 +1009,64 @@ function ModelMappingSection({ setMessage }) {
       ) : (
         <>
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px', gap: '8px' }}>
-            <button className="btn-secondary glass-btn" style={{ padding: '4px 12px', fontSize: '0.85em' }} onClick={refreshRemote} disabled={refreshing}>
-              {refreshing ? 'Refreshing…' : '↻ Refresh remote models'}
-            </button>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button className="btn-secondary glass-btn" style={{ padding: '4px 12px', fontSize: '0.85em' }} onClick={refreshRemote} disabled={refreshing}>
+                {refreshing ? 'Refreshing…' : '↻ Refresh remote models'}
+              </button>
+              <button className="btn-secondary glass-btn" style={{ padding: '4px 12px', fontSize: '0.85em' }} onClick={suggest} disabled={suggesting}>
+                {suggesting ? 'Matching…' : 'Suggest mappings'}
+              </button>
+            </div>
             <div style={{ display: 'flex', gap: '8px' }}>
               <button className="btn-secondary glass-btn" style={{ padding: '4px 12px', fontSize: '0.85em' }} onClick={addRow}>+ Add Mapping</button>
               <button className="btn-primary glass-btn" style={{ padding: '4px 12px', fontSize: '0.85em' }} onClick={save} disabled={saving}>{saving ? 'Saving…' : 'Save Mappings'}</button>
             </div>
           </div>
 
+          {suggestions && (
+            <div className="model-map-suggestions">
+              <p className="setting-hint">
+                Remote models matched to local models and aliases by name, ignoring org prefixes, quant suffixes and
+                Ollama tags. Applying only adds; existing mappings are kept. With auto-sync on, a host&apos;s
+                suggestions are applied every 5 minutes, so a newly pulled model becomes routable on its own.
+              </p>
+              {backends.filter(b => suggestions[b.id]).map(b => {
+                const entry = suggestions[b.id];
+                return (
+                  <div key={b.id} className="model-map-suggestion-host">
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+                      <strong>{b.name}</strong>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <label className="setting-hint" style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                          <input type="checkbox" checked={b.autoSyncModels === true} onChange={e => toggleAutoSync(b, e.target.checked)} />
+                          Auto-sync
+                        </label>
+                        {entry.suggestions.length > 1 && (
+                          <button className="btn-secondary glass-btn" style={{ padding: '2px 8px', fontSize: '0.85em' }} onClick={() => applySuggestions(b, entry.suggestions.map(s => s.id))}>Apply all</button>
+                        )}
+                      </div>
+                    </div>
+                    {entry.lastSync && <p className="setting-hint">{lastSyncLabel(entry.lastSync)}</p>}
+                    {entry.error ? (
+                      <p className="setting-hint">Could not list models: {entry.error}</p>
+                    ) : entry.suggestions.length === 0 ? (
+                      <p className="setting-hint">Nothing to suggest — every model on this host is already routable.</p>
+                    ) : (
+                      <ul>
+                        {entry.suggestions.map(s => (
+                          <li key={s.id}>
+                            <span>{suggestionLabel(s)}</span>
+                            <button className="btn-secondary glass-btn" style={{ padding: '2px 8px', fontSize: '0.85em' }} onClick={() => applySuggestions(b, [s.id])}>Apply</button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
           <datalist id="mapping-local-models">
             <option value="*" />
             {localModels.map(m => <option key={m} value={m} />)}
@@ -818,20 +1118,364 @@ function ModelMappingSection({ setMessage }) {
   );
 }
 
+// Alias Splits Section — the alias groups from config.aliases. A group whose
+// targets carry weights splits traffic between them; each target shows its
+// share and outcomes since start, and can be promoted (all traffic) or rolled
+// back (its share handed to the others) without clients changing the name
+// they request.
+function AliasSplitsSection({ setMessage }) {
+  const [aliases, setAliases] = React.useState([]);
+  const [drafts, setDrafts] = React.useState({}); // alias name -> edited weights
+
+  const fetchAliases = React.useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/aliases`);
+      setAliases((await res.json()).aliases || []);
+    } catch { /* ignore */ }
+  }, []);
+
+  React.useEffect(() => {
+    fetchAliases();
+    const timer = setInterval(fetchAliases, 15000);
+    return () => clearInterval(timer);
+  }, [fetchAliases]);
+
+  const saveWeights = async (alias, weights) => {
+    try {
+      const res = await fetch(`${API_BASE}/aliases/${encodeURIComponent(alias.name)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ targets: alias.targets.map((t, i) => ({ host: t.host, model: t.model, weight: Number(weights[i]) })) }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setDrafts(d => { const next = { ...d }; delete next[alias.name]; return next; });
+      setMessage({ type: 'success', text: `Weights for "${alias.name}" saved` });
+      fetchAliases();
+    } catch (err) {
+      setMessage({ type: 'error', text: `Failed to save "${alias.name}": ${err.message}` });
+    }
+  };
+
+  const confirmWeights = (alias, weights, question) => {
+    if (!weights) return;
+    const plan = alias.targets.map((t, i) => `${t.host}/${t.model}: ${weights[i]}`).join('\n');
+    if (confirm(`${question}\n\n${plan}`)) saveWeights(alias, weights);
+  };
+
+  return (
+    <section className="page-section glass-panel">
+      <h3>Alias Splits</h3>
+      <p className="setting-hint" style={{ marginBottom: '12px' }}>
+        Alias groups (<code>PUT /api/aliases/:name</code>). Give the targets weights to split chat and completion traffic
+        between them, e.g. 90/10 to canary a new model. Each conversation stays on the target it was first placed on while
+        the weights are unchanged, so its KV cache stays warm.
+      </p>
+      {aliases.length === 0 && <p className="setting-hint">No alias groups configured.</p>}
+      {aliases.map(alias => {
+        const weights = drafts[alias.name] || alias.targets.map(t => t.weight ?? 0);
+        const dirty = !!drafts[alias.name];
+        return (
+          <div key={alias.name} className="model-map-table-wrap" style={{ marginBottom: '16px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px', gap: '8px' }}>
+              <strong>{alias.name}</strong>
+              {alias.weighted ? (
+                <button className="btn-primary glass-btn" style={{ padding: '4px 12px', fontSize: '0.85em' }} onClick={() => saveWeights(alias, weights)} disabled={!dirty}>
+                  Save Weights
+                </button>
+              ) : (
+                <button className="btn-secondary glass-btn" style={{ padding: '4px 12px', fontSize: '0.85em' }} onClick={() => confirmWeights(alias, promoteWeights(alias.targets, 0), `Split "${alias.name}", starting with all traffic on its first target?`)} title="Start a split with all traffic on the first target">
+                  Split Traffic
+                </button>
+              )}
+            </div>
+            <table className="model-map-table" style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', color: 'var(--text-secondary)', fontSize: '0.8em' }}>
+                  <th style={{ padding: '4px 6px' }}>Target</th>
+                  {alias.weighted && <th style={{ padding: '4px 6px', width: '90px' }}>Weight</th>}
+                  {alias.weighted && <th style={{ padding: '4px 6px' }}>Share</th>}
+                  {alias.weighted && <th style={{ padding: '4px 6px' }}>Since start</th>}
+                  {alias.weighted && <th></th>}
+                </tr>
+              </thead>
+              <tbody>
+                {alias.targets.map((target, i) => (
+                  <tr key={`${target.host}/${target.model}`}>
+                    <td style={{ padding: '4px 6px' }}>{target.host === 'local' ? 'Local' : target.host} / {target.model}</td>
+                    {alias.weighted && (
+                      <>
+                        <td style={{ padding: '4px 6px' }}>
+                          <input
+                            className="glass-input" type="number" min={0} value={weights[i]} style={{ width: '80px' }}
+                            onChange={e => setDrafts(d => ({ ...d, [alias.name]: weights.map((w, j) => (j === i ? e.target.value : w)) }))}
+                          />
+                        </td>
+                        <td style={{ padding: '4px 6px' }}>{shareLabel(target.share)}</td>
+                        <td style={{ padding: '4px 6px' }}>
+                          {splitStatsLabel(target.stats)}{target.stats?.errors ? ` · ${target.stats.errors} failed` : ''}
+                        </td>
+                        <td style={{ padding: '4px 6px', whiteSpace: 'nowrap' }}>
+                          <button className="btn-secondary glass-btn" style={{ padding: '2px 8px', fontSize: '0.85em' }} onClick={() => confirmWeights(alias, promoteWeights(alias.targets, i), `Send all "${alias.name}" traffic to ${target.model}?`)} disabled={target.share === 1}>Promote</button>
+                          {' '}
+                          <button className="btn-secondary glass-btn" style={{ padding: '2px 8px', fontSize: '0.85em' }} onClick={() => confirmWeights(alias, rollbackWeights(alias.targets, i), `Take ${target.model} out of "${alias.name}"?`)} disabled={!target.weight || alias.targets.length < 2}>Roll Back</button>
+                        </td>
+                      </>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {!alias.weighted && <p className="setting-hint">Ordered group — not split.</p>}
+          </div>
+        );
+      })}
+    </section>
+  );
+}
+
+// Client API Keys Section — mint, label, re-scope and revoke manager-issued keys,
+// toggle enforcement, and set the key this browser uses. A freshly minted key is
+// shown once; the server only keeps its digest.
+function ApiKeysSection({ setMessage }) {
+  const [keys, setKeys] = React.useState([]);
+  const [scopes, setScopes] = React.useState([]);
+  const [authSettings, setAuthSettings] = React.useState({ enabled: false, trustLoopback: true });
+  const [loadError, setLoadError] = React.useState(null);
+  const [newLabel, setNewLabel] = React.useState('');
+  const [newScopes, setNewScopes] = React.useState(['inference']);
+  const [minted, setMinted] = React.useState(null);
+  const [browserKey, setBrowserKey] = React.useState(getStoredApiKey());
+
+  const load = React.useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/auth/keys`);
+      const data = await res.json();
+      if (!res.ok) {
+        setLoadError(data.error?.message || data.error || `HTTP ${res.status}`);
+        return;
+      }
+      setLoadError(null);
+      setKeys(data.keys || []);
+      setScopes(data.scopes || []);
+      setAuthSettings(data.settings || { enabled: false, trustLoopback: true });
+    } catch (err) {
+      setLoadError(err.message);
+    }
+  }, []);
+
+  React.useEffect(() => { load(); }, [load]);
+
+  const request = async (path, options, successText) => {
+    try {
+      const res = await fetch(`${API_BASE}${path}`, {
+        headers: { 'Content-Type': 'application/json' },
+        ...options,
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setMessage({ type: 'error', text: data.error?.message || data.error || `HTTP ${res.status}` });
+        return null;
+      }
+      if (successText) setMessage({ type: 'success', text: successText });
+      await load();
+      return data;
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+      return null;
+    }
+  };
+
+  const toggleNewScope = (scope) => {
+    setNewScopes(prev => prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope]);
+  };
+
+  const createKey = async () => {
+    const data = await request('/auth/keys', {
+      method: 'POST',
+      body: JSON.stringify({ label: newLabel, scopes: newScopes }),
+    }, 'API key created — copy it now, it will not be shown again');
+    if (data) {
+      setMinted(data);
+      setNewLabel('');
+    }
+  };
+
+  const renameKey = async (key) => {
+    const label = window.prompt('New label', key.label);
+    if (label == null || label.trim() === key.label) return;
+    await request(`/auth/keys/${key.id}`, { method: 'PATCH', body: JSON.stringify({ label }) }, 'API key renamed');
+  };
+
+  const revokeKey = async (key) => {
+    if (!window.confirm(`Revoke "${key.label}"? Clients using it will be rejected immediately.`)) return;
+    await request(`/auth/keys/${key.id}`, { method: 'DELETE' }, `Revoked "${key.label}"`);
+  };
+
+  const updateAuthSettings = async (patch) => {
+    await request('/auth/settings', { method: 'PUT', body: JSON.stringify(patch) }, 'Enforcement settings saved');
+  };
+
+  const saveBrowserKey = () => {
+    setStoredApiKey(browserKey);
+    setMessage({ type: 'success', text: browserKey.trim() ? 'This browser will authenticate with the saved key' : 'Browser key cleared' });
+    load();
+  };
+
+  const formatTime = (ms) => ms ? new Date(ms).toLocaleString() : 'never';
+
+  return (
+    <section className="page-section glass-panel">
+      <h3>API Keys</h3>
+      <div className="settings-grid">
+        <div className="setting-item">
+          <label htmlFor="browserApiKey">This Browser's Key</label>
+          <p className="setting-hint">
+            The dashboard sends this key with its own API requests. Required once enforcement is on and this browser is not on the manager host.
+          </p>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <input
+              type="password"
+              id="browserApiKey"
+              className="glass-input"
+              placeholder="lmk_..."
+              value={browserKey}
+              onChange={(e) => setBrowserKey(e.target.value)}
+              style={{ flex: 1 }}
+            />
+            <button className="btn-secondary glass-btn" onClick={saveBrowserKey}>Save</button>
+          </div>
+        </div>
+        <div className="setting-item checkbox">
+          <label>
+            <input
+              type="checkbox"
+              checked={authSettings.enabled}
+              disabled={!!loadError}
+              onChange={(e) => updateAuthSettings({ enabled: e.target.checked })}
+            />
+            <span>Require API Keys</span>
+          </label>
+          <p className="setting-hint">
+            Every <code>/api</code> and <code>/v1</code> route except health checks requires a key with the matching scope. Needs an admin key first.
+          </p>
+        </div>
+        <div className="setting-item checkbox">
+          <label>
+            <input
+              type="checkbox"
+              checked={authSettings.trustLoopback}
+              disabled={!!loadError}
+              onChange={(e) => updateAuthSettings({ trustLoopback: e.target.checked })}
+            />
+            <span>Trust Loopback Callers</span>
+          </label>
+          <p className="setting-hint">
+            Admit keyless requests from 127.0.0.1 / ::1. Turn off when a reverse proxy on this host forwards remote traffic.
+          </p>
+        </div>
+      </div>
+
+      {loadError ? (
+        <p className="setting-hint">Cannot list keys: {loadError}. Save an admin key for this browser above.</p>
+      ) : (
+        <>
+          <div className="settings-grid">
+            <div className="setting-item">
+              <label htmlFor="newKeyLabel">New Key</label>
+              <input
+                id="newKeyLabel"
+                className="glass-input"
+                placeholder="Label, e.g. opencode laptop"
+                value={newLabel}
+                onChange={(e) => setNewLabel(e.target.value)}
+              />
+              <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', margin: '8px 0' }}>
+                {scopes.map(scope => (
+                  <label key={scope} style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                    <input type="checkbox" checked={newScopes.includes(scope)} onChange={() => toggleNewScope(scope)} />
+                    <code>{scope}</code>
+                  </label>
+                ))}
+              </div>
+              <button className="btn-primary glass-btn" onClick={createKey} disabled={!newLabel.trim() || newScopes.length === 0}>
+                Create Key
+              </button>
+            </div>
+          </div>
+
+          {minted && (
+            <div className="settings-message success">
+              <strong>{minted.record.label}</strong>: <code>{minted.key}</code>
+              <p className="setting-hint">Copy this key now. Only its digest is stored.</p>
+              <button className="btn-secondary glass-btn" onClick={() => { setBrowserKey(minted.key); setMinted(null); }}>Use in this browser</button>
+              {' '}
+              <button className="btn-secondary glass-btn" onClick={() => setMinted(null)}>Dismiss</button>
+            </div>
+          )}
+
+          <div className="model-map-table-wrap">
+          <table className="model-map-table" style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: 'var(--text-secondary)', fontSize: '0.8em' }}>
+                <th style={{ padding: '4px 6px' }}>Label</th>
+                <th style={{ padding: '4px 6px' }}>Key</th>
+                <th style={{ padding: '4px 6px' }}>Scopes</th>
+                <th style={{ padding: '4px 6px' }}>Created</th>
+                <th style={{ padding: '4px 6px' }}>Last used</th>
+                <th style={{ padding: '4px 6px' }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {keys.length === 0 && (
+                <tr><td colSpan={6} style={{ padding: '8px 6px', color: 'var(--text-muted)' }}>No API keys yet.</td></tr>
+              )}
+              {keys.map(key => (
+                <tr key={key.id} style={key.revokedAt ? { opacity: 0.5 } : undefined}>
+                  <td style={{ padding: '4px 6px' }}>{key.label}{key.revokedAt && ' (revoked)'}</td>
+                  <td style={{ padding: '4px 6px' }}><code>{key.prefix}…</code></td>
+                  <td style={{ padding: '4px 6px' }}>{key.scopes.join(', ')}</td>
+                  <td style={{ padding: '4px 6px' }}>{formatTime(key.createdAt)}</td>
+                  <td style={{ padding: '4px 6px' }}>{formatTime(key.lastUsedAt)}</td>
+                  <td style={{ padding: '4px 6px', whiteSpace: 'nowrap' }}>
+                    {!key.revokedAt && (
+                      <>
+                        <button className="btn-secondary glass-btn" style={{ padding: '2px 8px', fontSize: '0.85em' }} onClick={() => renameKey(key)}>Rename</button>
+                        {' '}
+                        <button className="btn-secondary glass-btn" style={{ padding: '2px 8px', fontSize: '0.85em' }} onClick={() => revokeKey(key)}>Revoke</button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
 // Remote Backends Management Section
 function BackendsSection({ settings, updateSetting, setMessage }) {
   const [backends, setBackends] = useState([]);
   const [backendsStats, setBackendsStats] = useState({});
+  const [health, setHealth] = useState({ settings: null, backends: {} });
+  const [budget, setBudget] = useState({ settings: null, global: null, backends: {} });
+  const [slo, setSlo] = useState({ settings: null, decisions: null, hosts: [] });
+  const [hedging, setHedging] = useState({ settings: null, snapshot: null, backends: [] });
   const [showAddForm, setShowAddForm] = useState(false);
   const [editingId, setEditingId] = useState(null);
   const [testResults, setTestResults] = useState({});
   const [localModels, setLocalModels] = useState([]);
   const [remoteModels, setRemoteModels] = useState({}); // backendId -> string[]
   const [newBackend, setNewBackend] = useState({
-    name: '', url: '', apiKeyEnvVar: '', priority: 10,
+    name: '', url: '', type: 'remote', protocol: 'openai', apiKeyEnvVar: '', priority: 10,
     modelMapping: { '*': '' },
     supportedEndpoints: ['chat/completions', 'completions', 'embeddings'],
     costs: { inputTokenCostPer1M: 0, outputTokenCostPer1M: 0, currency: 'USD' },
+    budget: {},
     sharedResourceWeight: 0, maxConcurrentRequests: 5, timeoutMs: 120000
   });
 
@@ -853,6 +1497,38 @@ function BackendsSection({ settings, updateSetting, setMessage }) {
     } catch { /* ignore */ }
   }, []);
 
+  const fetchHealth = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/backends/health`);
+      const data = await res.json();
+      setHealth({ settings: data.settings, backends: Object.fromEntries((data.backends || []).map(b => [b.id, b])) });
+    } catch { /* ignore */ }
+  }, []);
+
+  const fetchBudget = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/backends/budget`);
+      const data = await res.json();
+      setBudget({ settings: data.settings, global: data.global, backends: Object.fromEntries((data.backends || []).map(b => [b.id, b])) });
+    } catch { /* ignore */ }
+  }, []);
+
+  const fetchSlo = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/backends/slo`);
+      const data = await res.json();
+      setSlo({ settings: data.settings, decisions: data.decisions, hosts: data.hosts || [] });
+    } catch { /* ignore */ }
+  }, []);
+
+  const fetchHedging = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/backends/hedging`);
+      const data = await res.json();
+      setHedging({ settings: data.settings, snapshot: data, backends: data.backends || [] });
+    } catch { /* ignore */ }
+  }, []);
+
   const fetchLocalModels = useCallback(async () => {
     try {
       const res = await fetch(`${API_BASE}/models`);
@@ -873,8 +1549,18 @@ function BackendsSection({ settings, updateSetting, setMessage }) {
   useEffect(() => {
     fetchBackends();
     fetchStats();
+    fetchHealth();
+    fetchBudget();
+    fetchSlo();
+    fetchHedging();
     fetchLocalModels();
-  }, [fetchBackends, fetchStats, fetchLocalModels]);
+  }, [fetchBackends, fetchStats, fetchHealth, fetchBudget, fetchSlo, fetchHedging, fetchLocalModels]);
+
+  // Probes run and spend accrues in the background; keep circuit, latency, budget, SLO and hedging figures current.
+  useEffect(() => {
+    const timer = setInterval(() => { fetchHealth(); fetchBudget(); fetchSlo(); fetchHedging(); }, 15000);
+    return () => clearInterval(timer);
+  }, [fetchHealth, fetchBudget, fetchSlo, fetchHedging]);
 
   // Fetch remote models for each backend
   useEffect(() => {
@@ -914,7 +1600,7 @@ function BackendsSection({ settings, updateSetting, setMessage }) {
         const backendId = data.backend.id;
         setMessage({ type: 'info', text: `Backend "${data.backend.name}" added. Running connectivity test...` });
         setShowAddForm(false);
-        setNewBackend({ name: '', url: '', apiKeyEnvVar: '', priority: 10, modelMapping: { '*': '' }, supportedEndpoints: ['chat/completions', 'completions', 'embeddings'], costs: { inputTokenCostPer1M: 0, outputTokenCostPer1M: 0, currency: 'USD' }, sharedResourceWeight: 0, maxConcurrentRequests: 5, timeoutMs: 120000 });
+        setNewBackend({ name: '', url: '', type: 'remote', protocol: 'openai', apiKeyEnvVar: '', priority: 10, modelMapping: { '*': '' }, supportedEndpoints: ['chat/completions', 'completions', 'embeddings'], costs: { inputTokenCostPer1M: 0, outputTokenCostPer1M: 0, currency: 'USD' }, budget: {}, sharedResourceWeight: 0, maxConcurrentRequests: 5, timeoutMs: 120000 });
         await fetchBackends();
 
         // Auto-test after adding
@@ -983,6 +1669,84 @@ function BackendsSection({ settings, updateSetting, setMessage }) {
     }
   };
 
+  const probeBackend = async (id) => {
+    setTestResults(prev => ({ ...prev, [id]: { testing: true } }));
+    try {
+      const res = await fetch(`${API_BASE}/backends/${id}/probe`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setHealth(prev => ({ ...prev, backends: { ...prev.backends, [id]: data.backend } }));
+      setTestResults(prev => ({ ...prev, [id]: {
+        success: data.probe.ok,
+        message: data.probe.ok ? `Health probe passed (${data.probe.mode})` : `Health probe failed: ${data.probe.error}`,
+        latencyMs: data.probe.latencyMs
+      } }));
+      fetchBackends(); // A passing probe may have re-marked the backend as tested
+    } catch (err) {
+      setTestResults(prev => ({ ...prev, [id]: { success: false, message: err.message } }));
+    }
+  };
+
+  const updateHealthProbe = async (key, value) => {
+    try {
+      const res = await fetch(`${API_BASE}/backends/health/settings`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ [key]: value })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setHealth(prev => ({ ...prev, settings: data.settings }));
+    } catch (err) {
+      setMessage({ type: 'error', text: `Failed to save health probing: ${err.message}` });
+    }
+  };
+
+  const updateBudget = async (key, value) => {
+    try {
+      const res = await fetch(`${API_BASE}/backends/budget/settings`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ [key]: value })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      fetchBudget();
+    } catch (err) {
+      setMessage({ type: 'error', text: `Failed to save budget: ${err.message}` });
+    }
+  };
+
+  const updateSlo = async (key, value) => {
+    try {
+      const res = await fetch(`${API_BASE}/backends/slo/settings`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ [key]: value })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setSlo(prev => ({ ...prev, settings: data.settings }));
+    } catch (err) {
+      setMessage({ type: 'error', text: `Failed to save SLO routing: ${err.message}` });
+    }
+  };
+
+  const updateHedging = async (key, value) => {
+    try {
+      const res = await fetch(`${API_BASE}/backends/hedging/settings`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ [key]: value })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setHedging(prev => ({ ...prev, settings: data.settings }));
+    } catch (err) {
+      setMessage({ type: 'error', text: `Failed to save hedging: ${err.message}` });
+    }
+  };
+
   const saveRoutingPolicy = async () => {
     try {
       const res = await fetch(`${API_BASE}/backends/routing`, {
@@ -994,7 +1758,8 @@ function BackendsSection({ settings, updateSetting, setMessage }) {
           offloadThresholdQueueDepth: backendsConfig.offloadThresholdQueueDepth,
           offloadThresholdWaitMs: backendsConfig.offloadThresholdWaitMs,
           offloadPercentage: backendsConfig.offloadPercentage,
-          preferLocal: backendsConfig.preferLocal
+          preferLocal: backendsConfig.preferLocal,
+          preferWarmPeers: backendsConfig.preferWarmPeers
         })
       });
       const data = await res.json();
@@ -1044,6 +1809,7 @@ function BackendsSection({ settings, updateSetting, setMessage }) {
                 <option value="threshold">Threshold - When queue depth/wait exceeds limits</option>
                 <option value="percentage">Percentage - Fixed % of requests go remote</option>
                 <option value="manual">Manual - Only via explicit backend prefix</option>
+                <option value="slo">SLO - Cheapest host expected to meet a TTFT target</option>
               </select>
             </div>
 
@@ -1092,6 +1858,82 @@ function BackendsSection({ settings, updateSetting, setMessage }) {
               </div>
             )}
 
+            {backendsConfig.offloadPolicy === 'slo' && slo.settings && (
+              <>
+                <div className="setting-item">
+                  <label htmlFor="sloDefaultTtft">Default TTFT Target (ms)</label>
+                  <p className="setting-hint">
+                    Applies when neither the request (max_ttft_ms or X-Llama-Max-TTFT-Ms) nor a per-model target sets one.
+                    Without a target, requests route as with Overflow.
+                  </p>
+                  <input
+                    type="number"
+                    id="sloDefaultTtft"
+                    className="glass-input"
+                    defaultValue={slo.settings.defaultMaxTtftMs ?? ''}
+                    key={`slo-default-${slo.settings.defaultMaxTtftMs}`}
+                    onBlur={(e) => {
+                      const v = e.target.value === '' ? null : parseInt(e.target.value);
+                      if (v !== slo.settings.defaultMaxTtftMs) updateSlo('defaultMaxTtftMs', v);
+                    }}
+                    min={1} step={100} placeholder="None"
+                  />
+                </div>
+                <div className="setting-item">
+                  <label htmlFor="sloColdLoad">Cold Load Cost (ms per GiB)</label>
+                  <p className="setting-hint">Added to the local prediction when the model is not loaded.</p>
+                  <input
+                    type="number"
+                    id="sloColdLoad"
+                    className="glass-input"
+                    defaultValue={slo.settings.coldLoadMsPerGiB}
+                    key={`slo-load-${slo.settings.coldLoadMsPerGiB}`}
+                    onBlur={(e) => {
+                      const v = parseInt(e.target.value);
+                      if (v !== slo.settings.coldLoadMsPerGiB) updateSlo('coldLoadMsPerGiB', v);
+                    }}
+                    min={0} max={60000} step={100}
+                  />
+                </div>
+                <div className="setting-item">
+                  <label htmlFor="sloTargets">Per-Model Targets</label>
+                  <p className="setting-hint">One name=ms per line; names are models or aliases and may use * and ? globs.</p>
+                  <textarea
+                    id="sloTargets"
+                    className="glass-input"
+                    rows={3}
+                    defaultValue={formatSloTargets(slo.settings.targets)}
+                    key={`slo-targets-${formatSloTargets(slo.settings.targets)}`}
+                    onBlur={(e) => {
+                      if (e.target.value === formatSloTargets(slo.settings.targets)) return;
+                      try {
+                        updateSlo('targets', parseSloTargets(e.target.value));
+                      } catch (err) {
+                        setMessage({ type: 'error', text: `Failed to save SLO routing: ${err.message}` });
+                      }
+                    }}
+                    placeholder="default-big=2000"
+                  />
+                </div>
+                {slo.decisions && (
+                  <div className="setting-item">
+                    <label>Prediction Accuracy</label>
+                    <p className="setting-hint">
+                      {slo.decisions.local} local · {slo.decisions.remote} remote · {slo.decisions.unattainable} with no host expected to meet the target.
+                      Positive bias means TTFT came in slower than predicted.
+                    </p>
+                    {slo.hosts.length === 0 ? (
+                      <span style={{ fontSize: '0.85em', color: 'var(--text-muted)' }}>No streamed requests measured yet.</span>
+                    ) : slo.hosts.map(row => (
+                      <div key={row.host} style={{ fontSize: '0.85em' }}>
+                        <strong>{row.host === 'local' ? 'Local' : (backends.find(b => b.id === row.host)?.name || row.host)}</strong>: {sloAccuracyLabel(row)}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+
             <div className="setting-item">
               <label>
                 <input
@@ -1107,12 +1949,226 @@ function BackendsSection({ settings, updateSetting, setMessage }) {
                 reserving the local slot for non-offloadable models. Useful when local is the slow node and remote backends should handle the bulk of work.
               </p>
             </div>
+
+            <div className="setting-item">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={backendsConfig.preferWarmPeers !== false}
+                  onChange={(e) => updateRouting('preferWarmPeers', e.target.checked)}
+                />
+                {' '}Prefer Warm Peers
+              </label>
+              <p className="setting-hint">
+                When enabled (default), a request for a model that is not loaded here goes to a peer manager that reports it loaded,
+                instead of cold-loading it locally. Peers with the model loaded are also tried first among remote backends.
+              </p>
+            </div>
+
+            {hedging.settings && (
+              <>
+                <div className="setting-item">
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={hedging.settings.enabled}
+                      onChange={(e) => updateHedging('enabled', e.target.checked)}
+                    />
+                    {' '}Request Hedging
+                  </label>
+                  <p className="setting-hint">
+                    A streamed realtime request that opts in (hedge: true or X-Llama-Hedge, or a listed alias) is also sent to the
+                    fastest remote once it has waited the local TTFT percentile without output. The first to stream wins; the other is cancelled.
+                  </p>
+                </div>
+                {hedging.settings.enabled && (
+                  <>
+                    <div className="setting-item">
+                      <label htmlFor="hedgePercentile">Hedge After Local TTFT Percentile</label>
+                      <p className="setting-hint">
+                        Clamped to {hedging.settings.minDelayMs}-{hedging.settings.maxDelayMs}ms; {hedging.settings.fallbackDelayMs}ms until enough local requests are measured.
+                      </p>
+                      <input
+                        type="number"
+                        id="hedgePercentile"
+                        className="glass-input"
+                        defaultValue={hedging.settings.percentile}
+                        key={`hedge-p-${hedging.settings.percentile}`}
+                        onBlur={(e) => {
+                          const v = parseInt(e.target.value);
+                          if (v !== hedging.settings.percentile) updateHedging('percentile', v);
+                        }}
+                        min={50} max={99}
+                      />
+                    </div>
+                    <div className="setting-item">
+                      <label htmlFor="hedgeBudget">Hedge Budget (%)</label>
+                      <p className="setting-hint">Most hedges per 100 eligible requests over the last 10 minutes.</p>
+                      <input
+                        type="number"
+                        id="hedgeBudget"
+                        className="glass-input"
+                        defaultValue={hedging.settings.budgetPercent}
+                        key={`hedge-budget-${hedging.settings.budgetPercent}`}
+                        onBlur={(e) => {
+                          const v = parseInt(e.target.value);
+                          if (v !== hedging.settings.budgetPercent) updateHedging('budgetPercent', v);
+                        }}
+                        min={0} max={100}
+                      />
+                    </div>
+                    <div className="setting-item">
+                      <label htmlFor="hedgeAliases">Hedged Aliases</label>
+                      <p className="setting-hint">Models or aliases hedged without a per-request opt-in, one per line; * and ? globs allowed.</p>
+                      <textarea
+                        id="hedgeAliases"
+                        className="glass-input"
+                        rows={3}
+                        defaultValue={hedging.settings.aliases.join('\n')}
+                        key={`hedge-aliases-${hedging.settings.aliases.join(',')}`}
+                        onBlur={(e) => {
+                          const aliases = parseHedgeAliases(e.target.value);
+                          if (aliases.join(',') !== hedging.settings.aliases.join(',')) updateHedging('aliases', aliases);
+                        }}
+                        placeholder="chat-fast"
+                      />
+                    </div>
+                    {hedging.snapshot && (
+                      <div className="setting-item">
+                        <label>Hedge Outcomes</label>
+                        <p className="setting-hint">{hedgeSummaryLabel(hedging.snapshot)}</p>
+                        {hedging.backends.filter(row => row.fired > 0).map(row => (
+                          <div key={row.id} style={{ fontSize: '0.85em' }}>
+                            <strong>{row.name}</strong>: {row.fired} fired · {row.won} won · {row.lost} lost
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </>
+                )}
+              </>
+            )}
           </div>
 
           <div style={{ marginTop: '4px', marginBottom: '16px' }}>
             <span style={{ fontSize: '0.8em', color: 'var(--text-muted)' }}>Routing settings save automatically.</span>
           </div>
 
+          {health.settings && (
+            <div className="settings-grid">
+              <div className="setting-item">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={health.settings.enabled}
+                    onChange={(e) => updateHealthProbe('enabled', e.target.checked)}
+                  />
+                  {' '}Background Health Probes
+                </label>
+                <p className="setting-hint">
+                  Probe each enabled backend on a schedule. Failed probes trip the circuit breaker before user traffic
+                  hits an outage; a passing probe lets one trial request through and re-marks a failed backend as tested.
+                </p>
+              </div>
+              <div className="setting-item">
+                <label htmlFor="healthProbeInterval">Probe Interval (seconds)</label>
+                <input
+                  type="number"
+                  id="healthProbeInterval"
+                  className="glass-input"
+                  defaultValue={health.settings.intervalSeconds}
+                  key={health.settings.intervalSeconds}
+                  onBlur={(e) => {
+                    const v = parseInt(e.target.value);
+                    if (v !== health.settings.intervalSeconds) updateHealthProbe('intervalSeconds', v);
+                  }}
+                  min={5} max={3600}
+                />
+              </div>
+              <div className="setting-item">
+                <label htmlFor="healthProbeMode">Probe Type</label>
+                <select
+                  id="healthProbeMode"
+                  className="glass-input"
+                  value={health.settings.mode}
+                  onChange={(e) => updateHealthProbe('mode', e.target.value)}
+                >
+                  <option value="models">List models (/v1/models)</option>
+                  <option value="completion">One-token completion</option>
+                </select>
+              </div>
+            </div>
+          )}
+
+          {budget.settings && (
+            <div className="settings-grid">
+              <div className="setting-item">
+                <label htmlFor="budgetDaily">Global Daily Budget (USD)</label>
+                <p className="setting-hint">
+                  Spend across all remote backends, priced from each backend's costs. Today: {spendLabel(budget.global?.todayUsd, findLimit(budget.global, 'global', 'day'))}.
+                </p>
+                <input
+                  type="number"
+                  id="budgetDaily"
+                  className="glass-input"
+                  defaultValue={budget.settings.dailyUsd ?? ''}
+                  key={`daily-${budget.settings.dailyUsd}`}
+                  onBlur={(e) => {
+                    const v = e.target.value === '' ? null : parseFloat(e.target.value);
+                    if (v !== budget.settings.dailyUsd) updateBudget('dailyUsd', v);
+                  }}
+                  min={0} step={0.01} placeholder="Unlimited"
+                />
+              </div>
+              <div className="setting-item">
+                <label htmlFor="budgetMonthly">Global Monthly Budget (USD)</label>
+                <p className="setting-hint">
+                  Resets on the 1st (UTC). This month: {spendLabel(budget.global?.monthUsd, findLimit(budget.global, 'global', 'month'))}.
+                </p>
+                <input
+                  type="number"
+                  id="budgetMonthly"
+                  className="glass-input"
+                  defaultValue={budget.settings.monthlyUsd ?? ''}
+                  key={`monthly-${budget.settings.monthlyUsd}`}
+                  onBlur={(e) => {
+                    const v = e.target.value === '' ? null : parseFloat(e.target.value);
+                    if (v !== budget.settings.monthlyUsd) updateBudget('monthlyUsd', v);
+                  }}
+                  min={0} step={0.01} placeholder="Unlimited"
+                />
+              </div>
+              <div className="setting-item">
+                <label htmlFor="budgetWarn">Warn At (% of budget)</label>
+                <input
+                  type="number"
+                  id="budgetWarn"
+                  className="glass-input"
+                  defaultValue={budget.settings.warnPercent}
+                  key={`warn-${budget.settings.warnPercent}`}
+                  onBlur={(e) => {
+                    const v = parseFloat(e.target.value);
+                    if (v !== budget.settings.warnPercent) updateBudget('warnPercent', v);
+                  }}
+                  min={1} max={100}
+                />
+              </div>
+              <div className="setting-item">
+                <label htmlFor="budgetOnExceeded">When A Budget Is Exhausted</label>
+                <p className="setting-hint">Requests naming a backend explicitly (backend/model) always get a 402.</p>
+                <select
+                  id="budgetOnExceeded"
+                  className="glass-input"
+                  value={budget.settings.onExceeded}
+                  onChange={(e) => updateBudget('onExceeded', e.target.value)}
+                >
+                  <option value="local">Fall back to local</option>
+                  <option value="reject">Reject with 402</option>
+                </select>
+              </div>
+            </div>
+          )}
+
           {/* Backend Directory */}
           <h4 style={{ marginTop: '24px', marginBottom: '12px' }}>Backend Directory</h4>
 
@@ -1125,6 +2181,10 @@ function BackendsSection({ settings, updateSetting, setMessage }) {
           {backends.map(b => {
             const stats = backendsStats[b.id] || {};
             const test = testResults[b.id];
+            const bHealth = health.backends[b.id];
+            const circuit = circuitBadge(bHealth?.circuit);
+            const bBudget = budget.backends[b.id];
+            const budgetState = budgetBadge(bBudget?.state);
             const testedBadge = b.tested
               ? { bg: 'var(--success-bg, #1a3a2a)', color: 'var(--success, #4ade80)', text: 'Tested' }
               : { bg: 'var(--error-bg, #3a1a1a)', color: 'var(--error, #f87171)', text: 'Untested' };
@@ -1134,12 +2194,44 @@ function BackendsSection({ settings, updateSetting, setMessage }) {
                   <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
                     <strong style={{ fontSize: '1.1em' }}>{b.name}</strong>
                     <span style={{ color: 'var(--text-muted)', fontSize: '0.85em' }}>{b.url}</span>
+                    {b.type === 'peer' && (
+                      <span style={{
+                        display: 'inline-block', padding: '2px 8px', borderRadius: '4px', fontSize: '0.75em',
+                        background: 'var(--bg-tertiary, #2a2a3a)', color: 'var(--accent, #818cf8)'
+                      }} title="Another Llama Manager — see the Fleet page">
+                        Peer
+                      </span>
+                    )}
+                    {b.protocol && b.protocol !== 'openai' && (
+                      <span style={{
+                        display: 'inline-block', padding: '2px 8px', borderRadius: '4px', fontSize: '0.75em',
+                        background: 'var(--bg-tertiary, #2a2a3a)', color: 'var(--text-secondary, #ccc)'
+                      }}>
+                        {BACKEND_PROTOCOLS.find(p => p.value === b.protocol)?.label || b.protocol}
+                      </span>
+                    )}
                     <span style={{
                       display: 'inline-block', padding: '2px 8px', borderRadius: '4px', fontSize: '0.75em',
                       background: testedBadge.bg, color: testedBadge.color
                     }}>
                       {testedBadge.text}
                     </span>
+                    {circuit && (
+                      <span style={{
+                        display: 'inline-block', padding: '2px 8px', borderRadius: '4px', fontSize: '0.75em',
+                        background: circuit.bg, color: circuit.color
+                      }}>
+                        {circuit.text}
+                      </span>
+                    )}
+                    {budgetState && (
+                      <span style={{
+                        display: 'inline-block', padding: '2px 8px', borderRadius: '4px', fontSize: '0.75em',
+                        background: budgetState.bg, color: budgetState.color
+                      }} title={bBudget.blocking ? `Routing skips this backend until ${new Date(bBudget.blocking.resetsAt).toLocaleString()}` : undefined}>
+                        {budgetState.text}
+                      </span>
+                    )}
                     {b.apiKeyEnvVar && (
                       <span style={{
                         display: 'inline-block', padding: '2px 8px', borderRadius: '4px', fontSize: '0.75em',
@@ -1163,6 +2255,9 @@ function BackendsSection({ settings, updateSetting, setMessage }) {
                     <button className="btn-secondary glass-btn" style={{ padding: '4px 12px', fontSize: '0.85em' }} onClick={() => testBackend(b.id)}>
                       {test?.testing ? 'Testing...' : 'Test'}
                     </button>
+                    <button className="btn-secondary glass-btn" style={{ padding: '4px 12px', fontSize: '0.85em' }} onClick={() => probeBackend(b.id)} title="Run a health probe now">
+                      Probe
+                    </button>
                     <button className="btn-secondary glass-btn" style={{ padding: '4px 12px', fontSize: '0.85em' }} onClick={() => setEditingId(editingId === b.id ? null : b.id)}>
                       {editingId === b.id ? 'Close' : 'Edit'}
                     </button>
@@ -1186,6 +2281,27 @@ function BackendsSection({ settings, updateSetting, setMessage }) {
                   )}
                 </div>
 
+                {/* Spend row */}
+                {bBudget && (bBudget.monthUsd > 0 || bBudget.budget) && (
+                  <div style={{ display: 'flex', gap: '24px', fontSize: '0.85em', color: 'var(--text-muted)', flexWrap: 'wrap', marginTop: '4px' }}>
+                    <span>Spend today: {spendLabel(bBudget.todayUsd, findLimit(bBudget, 'backend', 'day'))}</span>
+                    <span>This month: {spendLabel(bBudget.monthUsd, findLimit(bBudget, 'backend', 'month'))}</span>
+                  </div>
+                )}
+
+                {/* Health row */}
+                {bHealth && (
+                  <div style={{ display: 'flex', gap: '24px', fontSize: '0.85em', color: 'var(--text-muted)', flexWrap: 'wrap', marginTop: '4px' }}>
+                    <span style={bHealth.lastProbe && !bHealth.lastProbe.ok ? { color: 'var(--error, #f87171)' } : undefined}>
+                      Last probe: {bHealth.probe.enabled ? probeLabel(bHealth.lastProbe) : 'disabled'}
+                    </span>
+                    <span>Latency: {latencyLabel(bHealth.latency)}</span>
+                    {bHealth.latency.models.length > 1 && bHealth.latency.models.map(m => (
+                      <span key={m.model}><code>{m.model}</code> {latencyLabel(m)}</span>
+                    ))}
+                  </div>
+                )}
+
                 {/* Test result */}
                 {test && !test.testing && (
                   <div style={{ marginTop: '8px', padding: '8px', borderRadius: '4px', fontSize: '0.85em', background: test.success ? 'var(--success-bg, #1a3a2a)' : 'var(--error-bg, #3a1a1a)', color: test.success ? 'var(--success, #4ade80)' : 'var(--error, #f87171)' }}>
@@ -1212,7 +2328,10 @@ function BackendsSection({ settings, updateSetting, setMessage }) {
                       method: 'PUT',
                       headers: { 'Content-Type': 'application/json' },
                       body: JSON.stringify(updates)
-                    }).then(() => { fetchBackends(); setEditingId(null); });
+                    }).then(res => res.json()).then(data => {
+                      if (data.error) { setMessage({ type: 'error', text: `Failed to save backend: ${data.error}` }); return; }
+                      fetchBackends(); fetchBudget(); setEditingId(null);
+                    }).catch(err => setMessage({ type: 'error', text: `Failed to save backend: ${err.message}` }));
                   }} onCancel={() => setEditingId(null)} />
                 )}
               </div>
@@ -1240,10 +2359,36 @@ function BackendsSection({ settings, updateSetting, setMessage }) {
   );
 }
 
+// Upstream wire protocols. Non-OpenAI backends are translated by the manager
+// and serve chat completions only.
+const BACKEND_PROTOCOLS = [
+  { value: 'openai', label: 'OpenAI-compatible', placeholder: 'e.g. https://openrouter.ai/api/v1' },
+  { value: 'anthropic', label: 'Anthropic', placeholder: 'e.g. https://api.anthropic.com/v1' },
+  { value: 'gemini', label: 'Google Gemini', placeholder: 'e.g. https://generativelanguage.googleapis.com/v1beta' },
+  { value: 'ollama-native', label: 'Ollama (native API)', placeholder: 'e.g. http://gpu-box:11434' },
+];
+
+// Backend types. A peer is another Llama Manager reached through its /v1 API;
+// it reports what it can serve, so it needs no model mapping.
+const BACKEND_TYPES = [
+  { value: 'remote', label: 'Remote backend' },
+  { value: 'peer', label: 'Llama Manager peer' },
+];
+const PEER_URL_PLACEHOLDER = 'e.g. http://gpu-box:3001/v1';
+
 // Shared form fields for backend add/edit
 function BackendFormFields({ values, onChange, localModels = [], remoteModels: remoteModelsProp = [] }) {
   const update = (key, value) => onChange({ ...values, [key]: value });
+  const isPeer = values.type === 'peer';
+  const updateType = (type) => onChange({
+    ...values,
+    type,
+    ...(type === 'peer' ? { protocol: 'openai' } : {}),
+    // The form's empty catch-all placeholder means nothing to a peer.
+    ...(type === 'peer' && JSON.stringify(values.modelMapping) === JSON.stringify({ '*': '' }) ? { modelMapping: {} } : {}),
+  });
   const updateCost = (key, value) => onChange({ ...values, costs: { ...values.costs, [key]: value } });
+  const updateBudgetField = (key, value) => onChange({ ...values, budget: { ...values.budget, [key]: value } });
   const fieldPrefix = React.useId();
 
   // Local copy of remoteModels — initialised from prop, can be refreshed
@@ -1272,6 +2417,7 @@ function BackendFormFields({ values, onChange, localModels = [], remoteModels: r
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           url: values.url,
+          protocol: values.protocol || 'openai',
           apiKeyEnvVar: values.apiKeyEnvVar || undefined,
           extraHeaders: values.extraHeaders || undefined
         })
@@ -1314,9 +2460,23 @@ function BackendFormFields({ values, onChange, localModels = [], remoteModels: r
         <label htmlFor={`${fieldPrefix}-name`}>Name</label>
         <input id={`${fieldPrefix}-name`} className="glass-input" type="text" value={values.name} onChange={(e) => update('name', e.target.value)} placeholder="e.g. OpenRouter" />
       </div>
+      <div className="setting-item">
+        <label htmlFor={`${fieldPrefix}-type`}>Type</label>
+        <p className="setting-hint">A Llama Manager peer shares its loaded models, queue and thermal state, so requests go to it only when it can take them.</p>
+        <select id={`${fieldPrefix}-type`} className="glass-input" value={values.type || 'remote'} onChange={(e) => updateType(e.target.value)}>
+          {BACKEND_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+        </select>
+      </div>
+      <div className="setting-item">
+        <label htmlFor={`${fieldPrefix}-protocol`}>Protocol</label>
+        <p className="setting-hint">API the host speaks. Anthropic, Gemini and Ollama hosts are translated and serve chat completions only.</p>
+        <select id={`${fieldPrefix}-protocol`} className="glass-input" value={values.protocol || 'openai'} onChange={(e) => update('protocol', e.target.value)} disabled={isPeer}>
+          {BACKEND_PROTOCOLS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+        </select>
+      </div>
       <div className="setting-item">
         <label htmlFor={`${fieldPrefix}-url`}>URL</label>
-        <input id={`${fieldPrefix}-url`} className="glass-input" type="text" value={values.url} onChange={(e) => update('url', e.target.value)} placeholder="e.g. https://openrouter.ai/api/v1" />
+        <input id={`${fieldPrefix}-url`} className="glass-input" type="text" value={values.url} onChange={(e) => update('url', e.target.value)} placeholder={isPeer ? PEER_URL_PLACEHOLDER : (BACKEND_PROTOCOLS.find(p => p.value === values.protocol) || BACKEND_PROTOCOLS[0]).placeholder} />
       </div>
       <div className="setting-item">
         <label htmlFor={`${fieldPrefix}-api-key-env`}>API Key Env Variable</label>
@@ -1362,29 +2522,136 @@ function BackendFormFields({ values, onChange, localModels = [], remoteModels: r
         </div>
       </div>
 
+      {/* Budget section */}
+      <div className="setting-item" style={{ gridColumn: '1 / -1' }}>
+        <label>Budget (USD)</label>
+        <p className="setting-hint">Leave blank for no limit. Routing skips this host once a limit is spent, until the day or month resets (UTC).</p>
+        <div style={{ display: 'flex', gap: '12px', alignItems: 'center' }}>
+          <div>
+            <label htmlFor={`${fieldPrefix}-budget-daily`} style={{ fontSize: '0.85em' }}>Daily</label>
+            <input id={`${fieldPrefix}-budget-daily`} className="glass-input" type="number" value={values.budget?.dailyUsd ?? ''} onChange={(e) => updateBudgetField('dailyUsd', e.target.value)} min={0} step={0.01} style={{ width: '100px' }} />
+          </div>
+          <div>
+            <label htmlFor={`${fieldPrefix}-budget-monthly`} style={{ fontSize: '0.85em' }}>Monthly</label>
+            <input id={`${fieldPrefix}-budget-monthly`} className="glass-input" type="number" value={values.budget?.monthlyUsd ?? ''} onChange={(e) => updateBudgetField('monthlyUsd', e.target.value)} min={0} step={0.01} style={{ width: '100px' }} />
+          </div>
+          <div>
+            <label htmlFor={`${fieldPrefix}-budget-warn`} style={{ fontSize: '0.85em' }}>Warn %</label>
+            <input id={`${fieldPrefix}-budget-warn`} className="glass-input" type="number" value={values.budget?.warnPercent ?? ''} onChange={(e) => updateBudgetField('warnPercent', e.target.value)} min={1} max={100} placeholder="Global" style={{ width: '80px' }} />
+          </div>
+        </div>
+      </div>
+
+      <BackendTransformsFields values={values} onChange={onChange} fieldPrefix={fieldPrefix} />
+
       {/* Model mapping is managed in the dedicated "Model Mapping" settings tab. */}
       <div className="setting-item" style={{ gridColumn: '1 / -1' }}>
         <label>Model Mapping</label>
         <p className="setting-hint">
           Model mappings for this host are managed in the <strong>Model Mapping</strong> tab. Existing
           mappings are preserved when you edit a host here.
+          {isPeer && ' A peer also serves every model it reports, under the same name, without a mapping.'}
         </p>
       </div>
     </div>
   );
 }
 
+// Request/response transforms for one host, edited as text and previewed
+// against a sample chat request. Text that does not parse keeps the last good
+// transforms and shows why.
+function BackendTransformsFields({ values, onChange, fieldPrefix }) {
+  const [form, setForm] = React.useState(() => transformsToForm(values.transforms));
+  const [error, setError] = React.useState(null);
+  const [preview, setPreview] = React.useState(null);
+
+  const updateForm = (key, value) => {
+    const next = { ...form, [key]: value };
+    setForm(next);
+    try {
+      onChange({ ...values, transforms: formToTransforms(next) });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const runPreview = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/backends/transforms/preview`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ transforms: values.transforms, protocol: values.protocol || 'openai', url: values.url, modelMapping: values.modelMapping })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setPreview({ text: JSON.stringify(data.upstream ? { outbound: data.outbound, upstream: data.upstream } : data.outbound, null, 2) });
+    } catch (err) {
+      setPreview({ error: err.message });
+    }
+  };
+
+  return (
+    <div className="setting-item" style={{ gridColumn: '1 / -1' }}>
+      <label>Transforms</label>
+      <p className="setting-hint">
+        Adapt requests to this host&apos;s quirks. Drop and rename accept dotted paths
+        (e.g. <code>chat_template_kwargs.reasoning_effort</code>); defaults only fill fields the client left out.
+      </p>
+      <div className="settings-grid">
+        <div>
+          <label htmlFor={`${fieldPrefix}-tx-drop`} style={{ fontSize: '0.85em' }}>Drop fields</label>
+          <input id={`${fieldPrefix}-tx-drop`} className="glass-input" type="text" value={form.drop} onChange={(e) => updateForm('drop', e.target.value)} placeholder="reasoning_effort, top_k" />
+        </div>
+        <div>
+          <label htmlFor={`${fieldPrefix}-tx-max`} style={{ fontSize: '0.85em' }}>Cap max_tokens</label>
+          <input id={`${fieldPrefix}-tx-max`} className="glass-input" type="number" value={form.maxTokens} onChange={(e) => updateForm('maxTokens', e.target.value)} min={1} placeholder="No cap" />
+        </div>
+        <div>
+          <label htmlFor={`${fieldPrefix}-tx-rename`} style={{ fontSize: '0.85em' }}>Rename fields (one from=to per line)</label>
+          <textarea id={`${fieldPrefix}-tx-rename`} className="glass-input" rows={2} value={form.rename} onChange={(e) => updateForm('rename', e.target.value)} placeholder="max_tokens=max_completion_tokens" />
+        </div>
+        <div>
+          <label htmlFor={`${fieldPrefix}-tx-defaults`} style={{ fontSize: '0.85em' }}>Defaults (JSON)</label>
+          <textarea id={`${fieldPrefix}-tx-defaults`} className="glass-input" rows={2} value={form.defaults} onChange={(e) => updateForm('defaults', e.target.value)} placeholder='{"temperature": 0.7}' />
+        </div>
+      </div>
+      <div style={{ display: 'flex', gap: '16px', alignItems: 'center', marginTop: '8px', flexWrap: 'wrap' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.85em' }}>
+          <input type="checkbox" checked={form.stripThinking} onChange={(e) => updateForm('stripThinking', e.target.checked)} />
+          Strip thinking from sent messages
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.85em' }}>
+          <input type="checkbox" checked={form.stripReasoning} onChange={(e) => updateForm('stripReasoning', e.target.checked)} />
+          Strip reasoning from responses
+        </label>
+        <button type="button" className="btn-secondary glass-btn" style={{ padding: '4px 12px', fontSize: '0.85em' }} onClick={runPreview} disabled={!!error}>
+          Preview outbound request
+        </button>
+      </div>
+      {error && <p className="setting-hint" style={{ color: 'var(--error)' }}>{error}</p>}
+      {preview && (preview.error
+        ? <p className="setting-hint" style={{ color: 'var(--error)' }}>Preview failed: {preview.error}</p>
+        : <pre className="settings-preview">{preview.text}</pre>)}
+    </div>
+  );
+}
+
 // Edit form for existing backend
 function BackendEditForm({ backend, localModels, remoteModels, onSave, onCancel }) {
   const [values, setValues] = useState({
     name: backend.name,
     url: backend.url,
+    type: backend.type || 'remote',
+    protocol: backend.protocol || 'openai',
     apiKeyEnvVar: backend.apiKeyEnvVar || '',
     priority: backend.priority || 10,
     sharedResourceWeight: backend.sharedResourceWeight || 0,
     maxConcurrentRequests: backend.maxConcurrentRequests || 5,
     timeoutMs: backend.timeoutMs || 120000,
     costs: backend.costs || { inputTokenCostPer1M: 0, outputTokenCostPer1M: 0, currency: 'USD' },
+    budget: backend.budget || {},
+    transforms: backend.transforms || null,
     modelMapping: backend.modelMapping || { '*': '' }
   });
 
@@ -1426,7 +2693,7 @@ function LlamaCppUpdateSection() {
   // Subscribe to WebSocket updates
   useEffect(() => {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const ws = new WebSocket(`${protocol}//${window.location.host}/ws`);
+    const ws = new WebSocket(withWebSocketApiKey(`${protocol}//${window.location.host}/ws`, getStoredApiKey()));
 
     ws.onmessage = (event) => {
       try {
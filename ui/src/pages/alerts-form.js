@@ -0,0 +1,114 @@
+// Llama Manager alerts page form utilities.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Converts alert rules and channels between the API shape and the string
+// fields edited in the Alerts page tables.
+
+let nextRowId = 0;
+
+/**
+ * Editable row for a rule returned by GET /api/alerts/settings.
+ *
+ * @param {object} rule Normalized rule.
+ * @returns {object} Row with string-valued inputs.
+ */
+export function ruleToRow(rule) {
+  nextRowId += 1;
+  return {
+    rowId: nextRowId,
+    id: rule.id,
+    name: rule.name || '',
+    signal: rule.signal,
+    op: rule.op || '>',
+    threshold: rule.threshold == null ? '' : String(rule.threshold),
+    forSeconds: String(rule.forSeconds ?? 0),
+    cooldownSeconds: String(rule.cooldownSeconds ?? 300),
+    severity: rule.severity || 'warning',
+    enabled: rule.enabled !== false,
+    channels: (rule.channels || []).join(', '),
+  };
+}
+
+/**
+ * Rule body for PUT /api/alerts/settings. Numeric-looking thresholds are sent
+ * as numbers so `thermal.state == critical` and `queue.pending > 10` both work.
+ *
+ * @param {object} row Row from ruleToRow().
+ * @param {Record<string, {kind:string}>} signals Signal catalog.
+ * @returns {object} Rule.
+ */
+export function rowToRule(row, signals) {
+  const rule = {
+    id: row.id.trim(),
+    name: row.name.trim(),
+    signal: row.signal,
+    forSeconds: Number(row.forSeconds) || 0,
+    cooldownSeconds: Number(row.cooldownSeconds) || 0,
+    severity: row.severity,
+    enabled: row.enabled,
+    channels: row.channels.split(',').map(id => id.trim()).filter(Boolean),
+  };
+  if (signals[row.signal]?.kind === 'gauge') {
+    const text = row.threshold.trim();
+    rule.op = row.op;
+    rule.threshold = text !== '' && Number.isFinite(Number(text)) ? Number(text) : text;
+  }
+  return rule;
+}
+
+/**
+ * Editable row for a channel. The stored URL is never returned, so `url`
+ * starts empty and `storedOrigin` is shown as the placeholder.
+ *
+ * @param {object} channel Public channel (`urlOrigin`, `headerNames`).
+ * @returns {object} Row.
+ */
+export function channelToRow(channel) {
+  nextRowId += 1;
+  return {
+    rowId: nextRowId,
+    id: channel.id,
+    name: channel.name || '',
+    type: channel.type,
+    url: '',
+    storedOrigin: channel.urlOrigin || '',
+    topic: channel.topic || '',
+    minSeverity: channel.minSeverity || 'info',
+    enabled: channel.enabled !== false,
+  };
+}
+
+/**
+ * Channel body for PUT /api/alerts/settings. An empty URL is omitted so the
+ * server keeps the stored one.
+ *
+ * @param {object} row Row from channelToRow().
+ * @returns {object} Channel.
+ */
+export function rowToChannel(row) {
+  const channel = {
+    id: row.id.trim(),
+    name: row.name.trim(),
+    type: row.type,
+    minSeverity: row.minSeverity,
+    enabled: row.enabled,
+  };
+  if (row.url.trim()) channel.url = row.url.trim();
+  if (row.type === 'ntfy') channel.topic = row.topic.trim();
+  return channel;
+}
+
+/**
+ * Human-readable rule condition, e.g. `thermal.max_temp_c >= 95 for 30s`.
+ *
+ * @param {object} rule Normalized rule.
+ * @param {Record<string, {kind:string, unit:string}>} signals Signal catalog.
+ * @returns {string} Description.
+ */
+export function describeCondition(rule, signals) {
+  const signal = signals[rule.signal];
+  if (signal?.kind !== 'gauge') return `on ${rule.signal}`;
+  const unit = signal.unit ? ` ${signal.unit}` : '';
+  return `${rule.signal} ${rule.op} ${rule.threshold}${unit}${rule.forSeconds ? ` for ${rule.forSeconds}s` : ''}`;
+}
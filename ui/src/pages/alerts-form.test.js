@@ -0,0 +1,44 @@
+// Llama Manager alerts page form utility tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies that edited rule and channel rows round-trip to the settings API
+// shape without resending stored webhook URLs.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { channelToRow, describeCondition, ruleToRow, rowToChannel, rowToRule } from './alerts-form.js';
+
+const SIGNALS = {
+  'thermal.max_temp_c': { kind: 'gauge', unit: '°C' },
+  'thermal.state': { kind: 'gauge', unit: '' },
+  crash: { kind: 'event', unit: '' },
+};
+
+test('rule rows round-trip with numeric and string thresholds', () => {
+  const rule = { id: 'hot', name: 'Hot', signal: 'thermal.max_temp_c', op: '>=', threshold: 95, forSeconds: 30, cooldownSeconds: 900, severity: 'critical', enabled: true, channels: ['ops', 'phone'] };
+  const row = ruleToRow(rule);
+  assert.equal(row.channels, 'ops, phone');
+  assert.deepEqual(rowToRule(row, SIGNALS), rule);
+
+  const state = rowToRule({ ...row, signal: 'thermal.state', op: '==', threshold: ' critical ' }, SIGNALS);
+  assert.equal(state.threshold, 'critical');
+
+  const event = rowToRule({ ...row, signal: 'crash', channels: ' ' }, SIGNALS);
+  assert.equal('op' in event, false);
+  assert.deepEqual(event.channels, []);
+});
+
+test('channel rows only send a URL when one was typed', () => {
+  const row = channelToRow({ id: 'phone', type: 'ntfy', topic: 'lab', urlOrigin: 'https://ntfy.sh', headerNames: [], minSeverity: 'warning', enabled: true });
+  assert.equal(row.url, '');
+  assert.equal(row.storedOrigin, 'https://ntfy.sh');
+  assert.deepEqual(rowToChannel(row), { id: 'phone', name: '', type: 'ntfy', topic: 'lab', minSeverity: 'warning', enabled: true });
+  assert.equal(rowToChannel({ ...row, type: 'slack', url: ' https://hooks.example.com/x ' }).url, 'https://hooks.example.com/x');
+  assert.equal('topic' in rowToChannel({ ...row, type: 'slack' }), false);
+});
+
+test('conditions describe gauges and events', () => {
+  assert.equal(describeCondition({ signal: 'thermal.max_temp_c', op: '>=', threshold: 95, forSeconds: 30 }, SIGNALS), 'thermal.max_temp_c >= 95 °C for 30s');
+  assert.equal(describeCondition({ signal: 'crash' }, SIGNALS), 'on crash');
+});
@@ -0,0 +1,88 @@
+// Llama Manager logs page query utilities.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Builds the search/paging query for the persisted request and LLM log APIs,
+// and applies the same filter semantics to live WebSocket entries so rows
+// streamed in after a search still respect it.
+
+/** Time-range choices offered by the logs page, in milliseconds. */
+export const LOG_TIME_RANGES = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Maps the endpoint scope dropdown onto the API's endpoint filter. The
+ * default "conversations" scope excludes embeddings.
+ *
+ * @param {'conversations'|'all'|'embeddings'} scope Dropdown value.
+ * @returns {string} The endpoint query value, or '' for no filter.
+ */
+export function endpointFilterForScope(scope) {
+  if (scope === 'conversations') return '-embeddings';
+  if (scope === 'embeddings') return 'embeddings';
+  return '';
+}
+
+/**
+ * Builds the query string for GET /api/llm-logs and /api/request-logs.
+ * Empty values are omitted and a time range becomes an absolute `since`.
+ *
+ * @param {{q?: string, model?: string, backend?: string, status?: string,
+ *   client?: string, endpoint?: string, range?: string, cursor?: string|null,
+ *   limit?: number}} filters Current page filters.
+ * @param {number} [now] Clock, for the relative time range.
+ * @returns {string} Encoded query string without the leading `?`.
+ */
+export function buildLogQuery(filters, now = Date.now()) {
+  const params = new URLSearchParams();
+  for (const key of ['q', 'model', 'backend', 'status', 'client', 'endpoint', 'cursor']) {
+    const value = String(filters[key] ?? '').trim();
+    if (value) params.set(key, value);
+  }
+  if (LOG_TIME_RANGES[filters.range]) {
+    params.set('since', new Date(now - LOG_TIME_RANGES[filters.range]).toISOString());
+  }
+  if (filters.limit) params.set('limit', String(filters.limit));
+  return params.toString();
+}
+
+function searchableText(value, parts = []) {
+  if (typeof value === 'string') parts.push(value);
+  else if (Array.isArray(value)) value.forEach(v => searchableText(v, parts));
+  else if (value && typeof value === 'object') Object.values(value).forEach(v => searchableText(v, parts));
+  return parts;
+}
+
+/**
+ * Whether a live log entry matches the filters the server applied to the
+ * fetched page (all search terms, exact model/backend/client, endpoint,
+ * ok/error status, time range).
+ *
+ * @param {Record<string, any>} log A request or LLM log entry.
+ * @param {Parameters<typeof buildLogQuery>[0]} filters Current page filters.
+ * @param {number} [now] Clock, for the relative time range.
+ * @returns {boolean} True when the entry belongs in the current view.
+ */
+export function matchesLiveLog(log, filters, now = Date.now()) {
+  if (filters.model && log.model !== filters.model) return false;
+  if (filters.backend && (log.backend || 'local') !== filters.backend) return false;
+  if (filters.client && log.client !== filters.client && log.clientId !== filters.client) return false;
+  if (filters.endpoint) {
+    const excluded = filters.endpoint.startsWith('-');
+    if ((log.endpoint === filters.endpoint.slice(excluded ? 1 : 0)) === excluded) return false;
+  }
+  if (filters.status) {
+    const failed = log.status >= 400 || !!log.error;
+    if ((filters.status === 'error') !== failed) return false;
+  }
+  if (LOG_TIME_RANGES[filters.range] && Date.parse(log.timestamp) < now - LOG_TIME_RANGES[filters.range]) return false;
+  const terms = String(filters.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length) {
+    const text = searchableText(log).join('\n').toLowerCase();
+    if (!terms.every(term => text.includes(term))) return false;
+  }
+  return true;
+}
@@ -0,0 +1,40 @@
+// Llama Manager logs page query behavior tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies the persisted-log query string and that live entries are filtered
+// with the same semantics the server applies to fetched pages.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLogQuery, endpointFilterForScope, matchesLiveLog } from './logs-query.js';
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+test('builds a query string with only the filters that are set', () => {
+  assert.equal(
+    buildLogQuery({ q: ' timeout ', model: 'qwen', backend: '', status: 'error', endpoint: endpointFilterForScope('conversations'), range: '1h', limit: 50 }, NOW),
+    'q=timeout&model=qwen&status=error&endpoint=-embeddings&since=2026-03-01T11%3A00%3A00.000Z&limit=50'
+  );
+  assert.equal(buildLogQuery({ cursor: 'abc', range: 'forever' }), 'cursor=abc');
+  assert.equal(endpointFilterForScope('all'), '');
+});
+
+test('live entries match on every term, scope, status, and time range', () => {
+  const log = {
+    timestamp: '2026-03-01T11:30:00Z',
+    model: 'qwen',
+    endpoint: 'chat/completions',
+    status: 200,
+    client: 'ci-bot',
+    messages: [{ role: 'user', content: 'Explain the retry policy' }],
+    response: 'Retries back off exponentially.',
+  };
+  assert.ok(matchesLiveLog(log, { q: 'retry EXPONENTIALLY', endpoint: '-embeddings', status: 'ok', range: '1h' }, NOW));
+  assert.ok(!matchesLiveLog(log, { q: 'retry missing' }, NOW));
+  assert.ok(!matchesLiveLog(log, { endpoint: 'embeddings' }, NOW));
+  assert.ok(!matchesLiveLog(log, { status: 'error' }, NOW));
+  assert.ok(!matchesLiveLog(log, { client: 'someone-else' }, NOW));
+  assert.ok(!matchesLiveLog({ ...log, timestamp: '2026-03-01T10:00:00Z' }, { range: '1h' }, NOW));
+  assert.ok(matchesLiveLog(log, { backend: 'local' }, NOW));
+});
@@ -0,0 +1,40 @@
+// Llama Manager queue share utilities.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Describes a client's share of the local lane and edits the fair-share
+// weights for the Clients panel on the Queue page.
+
+const percent = value => `${Math.round(value * 100)}%`;
+
+/**
+ * A client's recent share of dispatches next to the share its weight entitles
+ * it to while it has work queued or running.
+ *
+ * @param {{recentShare:number, fairShare:number, pending:number, active:number}|null} queue
+ *   The client's `queue` entry from GET /api/queue/clients.
+ * @returns {string} e.g. `40% (fair 50%)`, `40%` when idle, `-` without dispatches.
+ */
+export function shareLabel(queue) {
+  if (!queue) return '-';
+  const busy = queue.pending > 0 || queue.active > 0;
+  if (!busy) return queue.recentShare ? percent(queue.recentShare) : '-';
+  return `${percent(queue.recentShare)} (fair ${percent(queue.fairShare)})`;
+}
+
+/**
+ * Weights after editing one client. Weight 1 is the default, so it is
+ * dropped rather than stored.
+ *
+ * @param {Record<string, number>} weights Current config.queueWeights.
+ * @param {string} clientId Client being edited.
+ * @param {string|number} value New weight from the input.
+ * @returns {Record<string, number>} Weights to PUT to /api/queue/clients/weights.
+ */
+export function withClientWeight(weights, clientId, value) {
+  const next = { ...weights };
+  const weight = Number(value);
+  if (value === '' || weight === 1) delete next[clientId];
+  else next[clientId] = weight;
+  return next;
+}
@@ -0,0 +1,22 @@
+// Llama Manager — queue share utility tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies client share labels and fair-share weight edits.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { shareLabel, withClientWeight } from './queue-share.js';
+
+test('share labels compare recent dispatches with the fair share', () => {
+  assert.equal(shareLabel({ recentShare: 0.4, fairShare: 0.5, pending: 3, active: 1 }), '40% (fair 50%)');
+  assert.equal(shareLabel({ recentShare: 0.25, fairShare: 0, pending: 0, active: 0 }), '25%');
+  assert.equal(shareLabel({ recentShare: 0, fairShare: 0, pending: 0, active: 0 }), '-');
+  assert.equal(shareLabel(null), '-');
+});
+
+test('weight edits drop the default weight', () => {
+  assert.deepEqual(withClientWeight({ a: 2 }, 'b', '0.5'), { a: 2, b: 0.5 });
+  assert.deepEqual(withClientWeight({ a: 2 }, 'a', '1'), {});
+  assert.deepEqual(withClientWeight({ a: 2 }, 'a', ''), {});
+});
@@ -0,0 +1,39 @@
+// Llama Manager request hedging utilities.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Edits the hedged alias list as text and summarizes GET /api/backends/hedging
+// budget use and race outcomes for the Remote Backends panel.
+
+/**
+ * Parse hedged model or alias names, one per line or comma-separated.
+ *
+ * @param {string} text Edited text.
+ * @returns {string[]} Names without blanks or repeats.
+ */
+export function parseHedgeAliases(text) {
+  return [...new Set(String(text || '').split(/[\n,]/).map(s => s.trim()).filter(Boolean))];
+}
+
+/**
+ * Budget use in the window and outcomes since start.
+ *
+ * @param {{eligible:number, hedged:number, outcomes:Object<string, number>}} snapshot GET /api/backends/hedging.
+ * @returns {string} e.g. `2 of 40 eligible requests hedged (5%) · remote won 1 · local won 1`.
+ */
+export function hedgeSummaryLabel(snapshot) {
+  const { eligible = 0, hedged = 0, outcomes = {} } = snapshot || {};
+  const share = eligible > 0 ? ` (${Math.round((hedged / eligible) * 100)}%)` : '';
+  const parts = [`${hedged} of ${eligible} eligible request${eligible === 1 ? '' : 's'} hedged${share}`];
+  const labels = [
+    ['remoteWon', 'remote won'],
+    ['localWon', 'local won'],
+    ['failed', 'failed'],
+    ['overBudget', 'over budget'],
+    ['noBackend', 'no backend'],
+  ];
+  for (const [key, label] of labels) {
+    if (outcomes[key]) parts.push(`${label} ${outcomes[key]}`);
+  }
+  return parts.join(' · ');
+}
@@ -0,0 +1,23 @@
+// Llama Manager — request hedging utility tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies alias list parsing and the budget and outcome summary.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { hedgeSummaryLabel, parseHedgeAliases } from './request-hedging.js';
+
+test('alias text splits on lines and commas without repeats', () => {
+  assert.deepEqual(parseHedgeAliases('chat-fast\n qwen3-*, chat-fast\n\n'), ['chat-fast', 'qwen3-*']);
+  assert.deepEqual(parseHedgeAliases(''), []);
+});
+
+test('the summary shows budget use and non-zero outcomes', () => {
+  assert.equal(
+    hedgeSummaryLabel({ eligible: 40, hedged: 2, outcomes: { remoteWon: 1, localWon: 1, failed: 0, overBudget: 0, noBackend: 0 } }),
+    '2 of 40 eligible requests hedged (5%) · remote won 1 · local won 1',
+  );
+  assert.equal(hedgeSummaryLabel({ eligible: 0, hedged: 0, outcomes: {} }), '0 of 0 eligible requests hedged');
+  assert.equal(hedgeSummaryLabel({ eligible: 1, hedged: 0, outcomes: { overBudget: 1 } }), '0 of 1 eligible request hedged (0%) · over budget 1');
+});
@@ -0,0 +1,99 @@
+// Llama Manager shadow traffic utilities.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Word-level diff of primary versus shadow outputs for the Shadow tab of the
+// Logs page, and the figures shown per shadow rule.
+
+/** Above this many word pairs the diff gives up and shows both sides whole. */
+const MAX_DIFF_CELLS = 4_000_000;
+
+function tokens(text) {
+  return String(text ?? '').match(/\s+|[^\s]+/g) || [];
+}
+
+function push(parts, type, text) {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) last.text += text;
+  else parts.push({ type, text });
+}
+
+/**
+ * Diff two outputs word by word (longest common subsequence), keeping
+ * whitespace so the parts concatenate back to either side.
+ *
+ * @param {string|null} primary Primary output.
+ * @param {string|null} shadow Shadow output.
+ * @returns {Array<{type:('same'|'removed'|'added'), text:string}>} Merged runs;
+ *   `removed` is primary-only text, `added` shadow-only text.
+ */
+export function diffWords(primary, shadow) {
+  const a = tokens(primary);
+  const b = tokens(shadow);
+  const parts = [];
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    if (a.length) parts.push({ type: 'removed', text: a.join('') });
+    if (b.length) parts.push({ type: 'added', text: b.join('') });
+    return parts;
+  }
+  // lengths[i][j] = LCS of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push(parts, 'same', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push(parts, 'removed', a[i++]);
+    } else {
+      push(parts, 'added', b[j++]);
+    }
+  }
+  while (i < a.length) push(parts, 'removed', a[i++]);
+  while (j < b.length) push(parts, 'added', b[j++]);
+  return parts;
+}
+
+/**
+ * Similarity as a percentage label.
+ *
+ * @param {number|null|undefined} similarity 0-1 score from the server.
+ * @returns {string} e.g. `87%`, or `—` when either output was missing.
+ */
+export function similarityLabel(similarity) {
+  return typeof similarity === 'number' ? `${Math.round(similarity * 100)}%` : '—';
+}
+
+/**
+ * Shadow minus primary, signed, for latency and token columns.
+ *
+ * @param {number|null|undefined} primary Primary figure.
+ * @param {number|null|undefined} shadow Shadow figure.
+ * @param {string} [unit] Suffix, e.g. `ms`.
+ * @returns {string} e.g. `+120ms`, `-4`, or `—` when either is missing.
+ */
+export function deltaLabel(primary, shadow, unit = '') {
+  if (typeof primary !== 'number' || typeof shadow !== 'number') return '—';
+  const delta = Math.round(shadow - primary);
+  return `${delta > 0 ? '+' : ''}${delta}${unit}`;
+}
+
+/**
+ * Skipped mirrors as one line, most frequent reason first.
+ *
+ * @param {Object<string, number>|undefined} skipped Count per reason.
+ * @returns {string} e.g. `not_resident 4, saturated 1`, or an empty string.
+ */
+export function skippedLabel(skipped) {
+  return Object.entries(skipped || {})
+    .sort((x, y) => y[1] - x[1])
+    .map(([reason, count]) => `${reason} ${count}`)
+    .join(', ');
+}
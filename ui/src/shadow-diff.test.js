@@ -0,0 +1,32 @@
+// Llama Manager — shadow traffic utility tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies the primary-versus-shadow word diff and the summary labels.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { deltaLabel, diffWords, similarityLabel, skippedLabel } from './shadow-diff.js';
+
+test('the diff marks primary-only and shadow-only words', () => {
+  assert.deepEqual(diffWords('The answer is 42.', 'The answer is 43.'), [
+    { type: 'same', text: 'The answer is ' },
+    { type: 'removed', text: '42.' },
+    { type: 'added', text: '43.' },
+  ]);
+  assert.deepEqual(diffWords('same', 'same'), [{ type: 'same', text: 'same' }]);
+  assert.deepEqual(diffWords(null, 'new text'), [{ type: 'added', text: 'new text' }]);
+  const parts = diffWords('a b c d', 'a x c d e');
+  assert.equal(parts.filter(p => p.type !== 'added').map(p => p.text).join(''), 'a b c d');
+  assert.equal(parts.filter(p => p.type !== 'removed').map(p => p.text).join(''), 'a x c d e');
+});
+
+test('labels format similarity, deltas and skip reasons', () => {
+  assert.equal(similarityLabel(0.873), '87%');
+  assert.equal(similarityLabel(null), '—');
+  assert.equal(deltaLabel(1000, 1120, 'ms'), '+120ms');
+  assert.equal(deltaLabel(10, 6), '-4');
+  assert.equal(deltaLabel(null, 6), '—');
+  assert.equal(skippedLabel({ saturated: 1, not_resident: 4 }), 'not_resident 4, saturated 1');
+  assert.equal(skippedLabel(undefined), '');
+});
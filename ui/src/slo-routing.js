@@ -0,0 +1,46 @@
+// Llama Manager latency-SLO routing utilities.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Edits the per-model TTFT targets of the `slo` offload policy as text and
+// formats GET /api/backends/slo accuracy rows for the Remote Backends panel.
+
+/**
+ * Targets as editable text, one `name=ms` pair per line.
+ *
+ * @param {Object<string, number>|undefined} targets Model or alias name to milliseconds.
+ * @returns {string} e.g. `default-big=2000\nqwen*=1500`.
+ */
+export function formatSloTargets(targets) {
+  return Object.entries(targets || {}).map(([name, ms]) => `${name}=${ms}`).join('\n');
+}
+
+/**
+ * Parse `name=ms` lines (or comma-separated pairs) back into targets. Blank
+ * entries are skipped; validation of the numbers is left to the server.
+ *
+ * @param {string} text Edited text.
+ * @returns {Object<string, string>} Name to millisecond string.
+ * @throws {Error} When an entry has no `=`.
+ */
+export function parseSloTargets(text) {
+  const targets = {};
+  for (const entry of String(text || '').split(/[\n,]/).map(s => s.trim()).filter(Boolean)) {
+    const at = entry.lastIndexOf('=');
+    if (at <= 0) throw new Error(`"${entry}" is not name=milliseconds`);
+    targets[entry.slice(0, at).trim()] = entry.slice(at + 1).trim();
+  }
+  return targets;
+}
+
+/**
+ * One line summarizing prediction accuracy for a host.
+ *
+ * @param {{samples:number, biasMs:number, meanAbsErrorMs:number, p95AbsErrorMs:number, attainment:number}} row
+ *   Accuracy row.
+ * @returns {string} e.g. `42 requests · 95% met · bias +120ms · error ~80ms (p95 300ms)`.
+ */
+export function sloAccuracyLabel(row) {
+  const bias = `${row.biasMs > 0 ? '+' : ''}${row.biasMs}ms`;
+  return `${row.samples} request${row.samples === 1 ? '' : 's'} · ${Math.round(row.attainment * 100)}% met · bias ${bias} · error ~${row.meanAbsErrorMs}ms (p95 ${row.p95AbsErrorMs}ms)`;
+}
@@ -0,0 +1,26 @@
+// Llama Manager — latency-SLO routing utility tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies the target text round trip and the accuracy summary line.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { formatSloTargets, parseSloTargets, sloAccuracyLabel } from './slo-routing.js';
+
+test('targets round-trip through name=ms text', () => {
+  const text = formatSloTargets({ 'default-big': 2000, 'qwen*': 1500 });
+  assert.equal(text, 'default-big=2000\nqwen*=1500');
+  assert.deepEqual(parseSloTargets(`${text}\n\n`), { 'default-big': '2000', 'qwen*': '1500' });
+  assert.deepEqual(parseSloTargets('a = 1, b=2'), { a: '1', b: '2' });
+  assert.deepEqual(parseSloTargets(''), {});
+  assert.equal(formatSloTargets(undefined), '');
+  assert.throws(() => parseSloTargets('qwen 1500'), /name=milliseconds/);
+});
+
+test('accuracy reads as attainment, bias and error', () => {
+  assert.equal(sloAccuracyLabel({ samples: 42, biasMs: 120, meanAbsErrorMs: 80, p95AbsErrorMs: 300, attainment: 0.952 }),
+    '42 requests · 95% met · bias +120ms · error ~80ms (p95 300ms)');
+  assert.equal(sloAccuracyLabel({ samples: 1, biasMs: -5, meanAbsErrorMs: 5, p95AbsErrorMs: 5, attainment: 0 }),
+    '1 request · 0% met · bias -5ms · error ~5ms (p95 5ms)');
+});
@@ -0,0 +1,72 @@
+// Llama Manager usage report utilities.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Turns the Dashboard usage panel's range and grouping choices into
+// /api/analytics/usage queries, and formats the chargeback figures it shows.
+
+export const USAGE_RANGES = Object.freeze([
+  { key: 'today', label: 'Today' },
+  { key: '7d', label: '7d' },
+  { key: '30d', label: '30d' },
+  { key: 'month', label: 'This month' },
+  { key: 'last-month', label: 'Last month' },
+]);
+
+const DAY_MS = 86_400_000;
+const day = ms => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * Inclusive UTC day range for a range key.
+ *
+ * @param {string} key One of USAGE_RANGES keys.
+ * @param {number} [now] Epoch milliseconds.
+ * @returns {{from:string, to:string}} YYYY-MM-DD bounds.
+ */
+export function usageRange(key, now = Date.now()) {
+  const today = day(now);
+  if (key === 'today') return { from: today, to: today };
+  if (key === '7d') return { from: day(now - 6 * DAY_MS), to: today };
+  if (key === 'month') return { from: `${today.slice(0, 7)}-01`, to: today };
+  if (key === 'last-month') {
+    const lastDay = Date.parse(`${today.slice(0, 7)}-01T00:00:00Z`) - DAY_MS;
+    return { from: `${day(lastDay).slice(0, 7)}-01`, to: day(lastDay) };
+  }
+  return { from: day(now - 29 * DAY_MS), to: today };
+}
+
+/**
+ * Query string for a whole-range usage report.
+ *
+ * @param {{range:string, groupBy:string, format?:string}} options Panel choices.
+ * @param {number} [now] Epoch milliseconds.
+ * @returns {string} `from=…&to=…&period=total&groupBy=…` (plus `format=csv`).
+ */
+export function usageQuery({ range, groupBy, format }, now = Date.now()) {
+  const params = new URLSearchParams({ ...usageRange(range, now), period: 'total', groupBy });
+  if (format) params.set('format', format);
+  return params.toString();
+}
+
+/**
+ * Compact USD amount: cents for normal spend, four decimals below a cent.
+ *
+ * @param {number} value Amount in USD.
+ * @returns {string} e.g. `$12.34`, `$0.0045`, `$0`.
+ */
+export function formatUsd(value) {
+  if (!value) return '$0';
+  return value < 0.01 ? `$${value.toFixed(4)}` : `$${value.toFixed(2)}`;
+}
+
+/**
+ * GPU time as seconds, minutes or hours.
+ *
+ * @param {number} seconds GPU-seconds.
+ * @returns {string} e.g. `42s`, `12.5m`, `3.2h`.
+ */
+export function formatGpuTime(seconds) {
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  if (seconds < 3600) return `${(seconds / 60).toFixed(1)}m`;
+  return `${(seconds / 3600).toFixed(1)}h`;
+}
@@ -0,0 +1,36 @@
+// Llama Manager — usage report utility tests.
+// Copyright (c) Llama Manager project. Use of this file is governed by the
+// LICENSE file in the repository root.
+//
+// Verifies range bounds across month boundaries, the report query string and
+// the compact cost / GPU-time formats.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { formatGpuTime, formatUsd, usageQuery, usageRange } from './usage-report.js';
+
+const now = Date.parse('2026-03-05T18:00:00Z');
+
+test('ranges resolve to inclusive UTC days', () => {
+  assert.deepEqual(usageRange('today', now), { from: '2026-03-05', to: '2026-03-05' });
+  assert.deepEqual(usageRange('7d', now), { from: '2026-02-27', to: '2026-03-05' });
+  assert.deepEqual(usageRange('30d', now), { from: '2026-02-04', to: '2026-03-05' });
+  assert.deepEqual(usageRange('month', now), { from: '2026-03-01', to: '2026-03-05' });
+  assert.deepEqual(usageRange('last-month', now), { from: '2026-02-01', to: '2026-02-28' });
+  assert.deepEqual(usageRange('last-month', Date.parse('2026-01-10T00:00:00Z')), { from: '2025-12-01', to: '2025-12-31' });
+});
+
+test('query requests a whole-range roll-up, optionally as CSV', () => {
+  assert.equal(usageQuery({ range: 'today', groupBy: 'client' }, now), 'from=2026-03-05&to=2026-03-05&period=total&groupBy=client');
+  assert.equal(usageQuery({ range: 'today', groupBy: 'client,model', format: 'csv' }, now),
+    'from=2026-03-05&to=2026-03-05&period=total&groupBy=client%2Cmodel&format=csv');
+});
+
+test('cost and GPU time formats', () => {
+  assert.equal(formatUsd(0), '$0');
+  assert.equal(formatUsd(0.0045), '$0.0045');
+  assert.equal(formatUsd(12.345), '$12.35');
+  assert.equal(formatGpuTime(42.4), '42s');
+  assert.equal(formatGpuTime(750), '12.5m');
+  assert.equal(formatGpuTime(11520), '3.2h');
+});